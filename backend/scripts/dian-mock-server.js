@@ -0,0 +1,15 @@
+/**
+ * Servidor local que simula el servicio web de la DIAN (habilitación)
+ *
+ * Uso: npm run dian:mock
+ * Luego configurar DIAN_WS_URL=http://localhost:4010/WcfDianCustomerServices.svc
+ */
+
+require('dotenv').config();
+const { createMockDianServer } = require('../src/services/dian/mockServer');
+
+const port = process.env.DIAN_MOCK_PORT || 4010;
+
+createMockDianServer().listen(port, () => {
+  console.log(`DIAN mock web service listening on http://localhost:${port}/WcfDianCustomerServices.svc`);
+});
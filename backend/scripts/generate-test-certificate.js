@@ -0,0 +1,54 @@
+/**
+ * Generar un certificado autofirmado (.p12) para probar la firma de
+ * documentos DIAN sin un certificado real de una entidad certificadora.
+ *
+ * Uso: node scripts/generate-test-certificate.js [ruta] [contraseña]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+
+const output = process.argv[2] || path.join(__dirname, '../certificates/test-certificate.p12');
+const password = process.argv[3] || 'suaza-test';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const attributes = [
+  { name: 'countryName', value: 'CO' },
+  { name: 'stateOrProvinceName', value: 'Huila' },
+  { name: 'localityName', value: 'Pitalito' },
+  { name: 'organizationName', value: 'Agropecuaria Suaza S.A.S.' },
+  { name: 'commonName', value: 'Suaza Facturacion Electronica (PRUEBAS)' }
+];
+
+const cert = forge.pki.createCertificate();
+cert.publicKey = forge.pki.publicKeyFromPem(publicKey);
+cert.serialNumber = `01${crypto.randomBytes(8).toString('hex')}`;
+cert.validity.notBefore = new Date();
+cert.validity.notAfter = new Date();
+cert.validity.notAfter.setFullYear(cert.validity.notBefore.getFullYear() + 2);
+cert.setSubject(attributes);
+cert.setIssuer(attributes);
+cert.setExtensions([
+  { name: 'basicConstraints', cA: false },
+  { name: 'keyUsage', digitalSignature: true, nonRepudiation: true }
+]);
+cert.sign(forge.pki.privateKeyFromPem(privateKey), forge.md.sha256.create());
+
+const p12 = forge.pkcs12.toPkcs12Asn1(forge.pki.privateKeyFromPem(privateKey), [cert], password, {
+  algorithm: '3des',
+  friendlyName: 'suaza-test'
+});
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(output, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+
+console.log(`✅ Certificado de pruebas creado en ${output}`);
+console.log(`   DIAN_CERT_PATH=${output}`);
+console.log(`   DIAN_CERT_PASSWORD=${password}`);
@@ -29,7 +29,16 @@ async function main() {
         'customers:update',
         'products:read',
         'sales:read',
-        'sales:create'
+        'sales:create',
+        'cash-sessions:read',
+        'cash-sessions:create',
+        'cash-sessions:update',
+        'quotations:read',
+        'quotations:create',
+        'quotations:update',
+        'quotations:delete',
+        'price-lists:read',
+        'promotions:read'
       ]
     }
   });
@@ -56,13 +65,31 @@ async function main() {
 
   console.log('✅ Usuario administrador creado');
 
-  // 3. Crear categorías de productos
+  // 3. Crear catálogo de impuestos y categorías de productos
+  const taxClasses = [
+    { code: 'IVA19', name: 'IVA 19%', type: 'IVA', rate: 19, description: 'Tarifa general' },
+    { code: 'IVA5', name: 'IVA 5%', type: 'IVA', rate: 5, description: 'Insumos agropecuarios con tarifa diferencial' },
+    { code: 'EXENTO', name: 'Exento de IVA', type: 'EXEMPT', rate: 0 },
+    { code: 'EXCLUIDO', name: 'Excluido de IVA', type: 'EXCLUDED', rate: 0 },
+    { code: 'INC8', name: 'Impuesto al consumo 8%', type: 'INC', rate: 8 }
+  ];
+
+  const taxClassIds = {};
+  for (const taxClass of taxClasses) {
+    const created = await prisma.taxClass.upsert({
+      where: { code: taxClass.code },
+      update: {},
+      create: taxClass
+    });
+    taxClassIds[taxClass.code] = created.id;
+  }
+
   const categories = [
-    { name: 'Fertilizantes', description: 'Abonos y fertilizantes para cultivos' },
-    { name: 'Semillas', description: 'Semillas de diferentes cultivos' },
-    { name: 'Herramientas', description: 'Herramientas agrícolas' },
-    { name: 'Pesticidas', description: 'Productos para control de plagas' },
-    { name: 'Riego', description: 'Sistemas y equipos de riego' }
+    { name: 'Fertilizantes', description: 'Abonos y fertilizantes para cultivos', taxClassId: taxClassIds.IVA5 },
+    { name: 'Semillas', description: 'Semillas de diferentes cultivos', taxClassId: taxClassIds.EXCLUIDO },
+    { name: 'Herramientas', description: 'Herramientas agrícolas', taxClassId: taxClassIds.IVA19 },
+    { name: 'Pesticidas', description: 'Productos para control de plagas', taxClassId: taxClassIds.IVA5 },
+    { name: 'Riego', description: 'Sistemas y equipos de riego', taxClassId: taxClassIds.IVA19 }
   ];
 
   for (const category of categories) {
@@ -73,7 +100,28 @@ async function main() {
     });
   }
 
-  console.log('✅ Categorías creadas');
+  console.log('✅ Impuestos y categorías creados');
+
+  // Reglas de retención (compras: retenemos al proveedor; ventas: nos retienen clientes agentes de retención)
+  const withholdingRegimes = ['RESPONSABLE_IVA', 'NO_RESPONSABLE_IVA', 'GRAN_CONTRIBUYENTE'];
+  const withholdingRules = [
+    { code: 'RTF-COMPRAS', name: 'Retención en la fuente compras 2,5%', type: 'RETEFUENTE', appliesTo: 'purchase', concept: 'COMPRAS', rate: 2.5, minBaseUvt: 10, taxRegimes: withholdingRegimes },
+    { code: 'RTF-SERVICIOS', name: 'Retención en la fuente servicios 4%', type: 'RETEFUENTE', appliesTo: 'purchase', concept: 'SERVICIOS', rate: 4, minBaseUvt: 2, taxRegimes: withholdingRegimes },
+    { code: 'RTF-TRANSPORTE', name: 'Retención en la fuente transporte de carga 1%', type: 'RETEFUENTE', appliesTo: 'purchase', concept: 'TRANSPORTE', rate: 1, minBaseUvt: 2, taxRegimes: withholdingRegimes },
+    { code: 'RTICA-PITALITO', name: 'ReteICA Pitalito 7 x mil', type: 'RETEICA', appliesTo: 'purchase', concept: 'COMPRAS', rate: 0.7, minBaseUvt: 10, taxRegimes: [], municipalityCode: '41551' },
+    { code: 'RTF-VENTAS', name: 'Retención en la fuente que nos practican 2,5%', type: 'RETEFUENTE', appliesTo: 'sale', concept: 'COMPRAS', rate: 2.5, minBaseUvt: 10, taxRegimes: [] },
+    { code: 'RTIVA-VENTAS', name: 'ReteIVA 15% (clientes grandes contribuyentes)', type: 'RETEIVA', appliesTo: 'sale', concept: 'COMPRAS', rate: 15, minBaseUvt: 10, taxRegimes: ['GRAN_CONTRIBUYENTE'] }
+  ];
+
+  for (const rule of withholdingRules) {
+    await prisma.withholdingRule.upsert({
+      where: { code: rule.code },
+      update: {},
+      create: rule
+    });
+  }
+
+  console.log('✅ Reglas de retención creadas');
 
   // 4. Crear clientes de prueba
   const customers = [
@@ -192,12 +240,59 @@ async function main() {
 
   console.log('✅ Productos de prueba creados');
 
+  // 6. Crear configuración DIAN de habilitación
+  await prisma.dianConfig.upsert({
+    where: { prefix_resolutionNumber: { prefix: 'SETP', resolutionNumber: '18760000001' } },
+    update: {},
+    create: {
+      companyName: 'Agropecuaria Suaza S.A.S.',
+      taxId: '900123456-8',
+      address: 'Calle 5 #4-32',
+      city: 'Pitalito',
+      phone: '3001112233',
+      email: 'facturacion@suaza.com',
+      resolutionNumber: '18760000001',
+      resolutionDate: new Date('2019-01-19'),
+      resolutionEndDate: new Date('2030-01-19'),
+      prefix: 'SETP',
+      startNumber: 990000000,
+      endNumber: 995000000,
+      currentNumber: 990000000
+    }
+  });
+
+  // Resolución de habilitación del documento soporte (numeración independiente)
+  await prisma.dianConfig.upsert({
+    where: { prefix_resolutionNumber: { prefix: 'DS', resolutionNumber: '18760000002' } },
+    update: {},
+    create: {
+      companyName: 'Agropecuaria Suaza S.A.S.',
+      taxId: '900123456-8',
+      address: 'Calle 5 #4-32',
+      city: 'Pitalito',
+      phone: '3001112233',
+      email: 'facturacion@suaza.com',
+      resolutionNumber: '18760000002',
+      resolutionDate: new Date('2019-01-19'),
+      resolutionEndDate: new Date('2030-01-19'),
+      prefix: 'DS',
+      startNumber: 1,
+      endNumber: 5000,
+      currentNumber: 1,
+      documentType: 'support'
+    }
+  });
+
+  console.log('✅ Configuración DIAN de pruebas creada');
+
   console.log('🎉 Seed completado exitosamente!');
   console.log('\n📋 Datos creados:');
   console.log('- Usuario admin: admin@suaza.com / admin123');
   console.log('- 5 clientes de prueba');
   console.log('- 5 categorías de productos');
+  console.log('- Reglas de retención (ReteFuente, ReteIVA, ReteICA)');
   console.log('- 3 productos de prueba');
+  console.log('- Resoluciones DIAN de habilitación (factura SETP, documento soporte DS)');
 }
 
 main()
@@ -0,0 +1,74 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+const {
+  IDEMPOTENCY_HEADER, IdempotencyError, hashRequest, claimKey, completeKey, releaseKey
+} = require('../services/idempotency');
+
+const prisma = new PrismaClient();
+
+// Visible ASCII, as clients usually send a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Middleware de idempotencia para los POST que mueven dinero
+ *
+ * Va después de la autenticación. Sin encabezado Idempotency-Key la petición
+ * sigue igual; con él, un reintento devuelve la respuesta original con el
+ * encabezado Idempotent-Replayed.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: `${IDEMPOTENCY_HEADER} must be 1 to 255 visible ASCII characters`,
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const path = `${req.baseUrl}${req.path}`.replace(/(.)\/$/, '$1');
+  let claim;
+  try {
+    claim = await claimKey(prisma, {
+      userId: req.user.id,
+      key,
+      method: req.method,
+      path,
+      requestHash: hashRequest(req.method, path, req.body)
+    });
+  } catch (error) {
+    if (error instanceof IdempotencyError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error claiming idempotency key:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+
+  if (claim.replay) {
+    logger.info(`Idempotent replay of ${req.method} ${path} (key ${key}) for user ${req.user.id}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.replay.responseStatus).json(claim.replay.responseBody);
+  }
+
+  // Store the response before it goes out, so a retry never finds the key still processing
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.json = json;
+    const stored = res.statusCode >= 200 && res.statusCode < 300
+      ? completeKey(prisma, claim.record.id, res.statusCode, body)
+      : releaseKey(prisma, claim.record.id);
+    stored
+      .catch((error) => logger.error(`Error storing idempotency key ${key}:`, error))
+      .finally(() => json(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotent
+};
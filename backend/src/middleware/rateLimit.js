@@ -0,0 +1,30 @@
+const rateLimit = require('express-rate-limit');
+const logger = require('../utils/logger');
+
+/**
+ * Límite de autorizaciones de supervisor (creditOverride) rechazadas por IP
+ *
+ * Solo cuenta las peticiones que traen creditOverride y terminan en error, así
+ * que las ventas normales y las autorizaciones correctas no lo consumen.
+ */
+const creditOverrideLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: Number(process.env.CREDIT_OVERRIDE_RATE_LIMIT_MAX) || 10,
+  skip: (req) => !req.body || !req.body.creditOverride,
+  skipSuccessfulRequests: true,
+  handler: (req, res, next, options) => {
+    logger.security('CREDIT_OVERRIDE_RATE_LIMITED', {
+      userId: req.user && req.user.id,
+      username: req.body.creditOverride.username,
+      ip: req.ip
+    });
+    res.status(options.statusCode).json({
+      error: 'Too many supervisor authorization attempts, try again later',
+      code: 'TOO_MANY_OVERRIDE_ATTEMPTS'
+    });
+  }
+});
+
+module.exports = {
+  creditOverrideLimiter
+};
@@ -0,0 +1,428 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  COLLECTED_METHODS, MOVEMENT_CATEGORIES, CashSessionError, findOpenSession, findSession, openSession,
+  summarizeSession, addMovement, closeSession
+} = require('../services/cashSessions');
+const { buildCashReportPdf } = require('../services/cashReport');
+const { getActiveConfig } = require('../services/dian/config');
+const { resolveIssuer } = require('../services/dian/ubl');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * /api/cash-sessions:
+ *   get:
+ *     summary: Get cash register sessions
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: register
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of cash register sessions
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('cash-sessions:read'),
+  [
+    query('status').optional().isIn(['open', 'closed']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { page = 1, limit = 20, status, register } = req.query;
+      const skip = (page - 1) * limit;
+
+      const where = {};
+      if (status) {
+        where.status = status;
+      }
+      if (register) {
+        where.register = register;
+      }
+
+      const [sessions, total] = await Promise.all([
+        prisma.cashSession.findMany({
+          where,
+          skip: parseInt(skip),
+          take: parseInt(limit),
+          include: {
+            user: { select: { id: true, username: true, firstName: true, lastName: true } },
+            _count: { select: { sales: true, payments: true, movements: true } }
+          },
+          orderBy: { openedAt: 'desc' }
+        }),
+        prisma.cashSession.count({ where })
+      ]);
+
+      res.json({
+        sessions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching cash register sessions:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/cash-sessions/current:
+ *   get:
+ *     summary: Open session of the current cashier, with its running totals
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The open session and its summary, or session null when the cashier has none
+ */
+router.get('/current', authenticateToken, async (req, res) => {
+  try {
+    const session = await findOpenSession(prisma, req.user.id);
+    if (!session) {
+      return res.json({ session: null, summary: null });
+    }
+
+    res.json({ session, summary: await summarizeSession(prisma, session) });
+  } catch (error) {
+    logger.error('Error fetching current cash register session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cash-sessions/open:
+ *   post:
+ *     summary: Open a cash register session with a starting float
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - register
+ *               - openingFloat
+ *             properties:
+ *               register:
+ *                 type: string
+ *                 description: Register name; sales use it as branch to pick the DIAN numbering resolution
+ *               openingFloat:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Session opened
+ *       409:
+ *         description: The cashier already has an open session or the register is in use
+ */
+router.post('/open',
+  authenticateToken,
+  requirePermission('cash-sessions:create'),
+  [
+    body('register').trim().notEmpty().withMessage('Register is required'),
+    body('openingFloat').isFloat({ min: 0 }).withMessage('Opening float must be a positive number'),
+    body('notes').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { register, openingFloat, notes } = req.body;
+      const session = await openSession(prisma, { register, openingFloat, notes }, req.user.id);
+
+      res.status(201).json(session);
+    } catch (error) {
+      if (error instanceof CashSessionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error opening cash register session:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/cash-sessions/{id}:
+ *   get:
+ *     summary: Get cash register session with its sales, payments and cash movements summary
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session and summary
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:id', authenticateToken, requirePermission('cash-sessions:read'), async (req, res) => {
+  try {
+    const session = await findSession(prisma, req.params.id);
+    res.json({ session, summary: await summarizeSession(prisma, session) });
+  } catch (error) {
+    if (error instanceof CashSessionError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error fetching cash register session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cash-sessions/{id}/movements:
+ *   post:
+ *     summary: Record a cash in/out movement (expense, withdrawal, deposit)
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Client-generated key (e.g. a UUID); a retry with the same key returns the original response
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - category
+ *               - amount
+ *               - description
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [in, out]
+ *               category:
+ *                 type: string
+ *                 enum: [DEPOSIT, EXPENSE, WITHDRAWAL, OTHER]
+ *               amount:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Movement recorded
+ *       409:
+ *         description: Session closed or not enough cash for the withdrawal
+ *       422:
+ *         description: Idempotency-Key already used for a different request (IDEMPOTENCY_KEY_MISMATCH)
+ */
+router.post('/:id/movements',
+  authenticateToken,
+  requirePermission('cash-sessions:update'),
+  idempotent,
+  [
+    body('type').isIn(Object.keys(MOVEMENT_CATEGORIES)).withMessage('Type must be in or out'),
+    body('category').isIn([...new Set(Object.values(MOVEMENT_CATEGORIES).flat())]).withMessage('Invalid category'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('description').trim().notEmpty().escape().withMessage('Description is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { type, category, amount, description } = req.body;
+      const movement = await addMovement(prisma, req.params.id, {
+        type, category, amount, description
+      }, req.user.id);
+
+      res.status(201).json(movement);
+    } catch (error) {
+      if (error instanceof CashSessionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error recording cash movement:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/cash-sessions/{id}/close:
+ *   post:
+ *     summary: Close a cash register session with the counted amounts per payment method
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - counted
+ *             properties:
+ *               counted:
+ *                 type: object
+ *                 description: Counted amount per payment method; cash is required, methods left out are not reconciled
+ *                 properties:
+ *                   cash:
+ *                     type: number
+ *                   card:
+ *                     type: number
+ *                   transfer:
+ *                     type: number
+ *                   check:
+ *                     type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session closed with the counted-vs-expected reconciliation
+ *       409:
+ *         description: Session already closed
+ */
+router.post('/:id/close',
+  authenticateToken,
+  requirePermission('cash-sessions:update'),
+  [
+    body('counted').isObject().withMessage('Counted amounts are required'),
+    body('counted.cash').isFloat({ min: 0 }).withMessage('Counted cash is required'),
+    ...COLLECTED_METHODS.filter((method) => method !== 'cash')
+      .map((method) => body(`counted.${method}`).optional({ nullable: true }).isFloat({ min: 0 })),
+    body('notes').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { counted, notes } = req.body;
+      const result = await closeSession(prisma, req.params.id, { counted, notes }, req.user.id);
+
+      res.json(result);
+    } catch (error) {
+      if (error instanceof CashSessionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error closing cash register session:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/cash-sessions/{id}/report/pdf:
+ *   get:
+ *     summary: Printable register report (Z report once closed, X report while open) on 80 mm paper
+ *     tags: [Cash Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:id/report/pdf', authenticateToken, requirePermission('cash-sessions:read'), async (req, res) => {
+  try {
+    const session = await findSession(prisma, req.params.id);
+    const summary = await summarizeSession(prisma, session);
+    const config = await getActiveConfig(prisma);
+
+    const pdf = await buildCashReportPdf(session, summary, config ? resolveIssuer(config) : null);
+    const kind = session.status === 'closed' ? 'Z' : 'X';
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="informe-${kind}-${session.register}-${session.id}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.end(pdf);
+  } catch (error) {
+    if (error instanceof CashSessionError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error generating cash register report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
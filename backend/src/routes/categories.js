@@ -7,6 +7,17 @@ const logger = require('../utils/logger');
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * Validate that an assigned tax class exists and is active
+ */
+const findTaxClassError = async (taxClassId) => {
+  if (!taxClassId) {
+    return null;
+  }
+  const taxClass = await prisma.taxClass.findUnique({ where: { id: taxClassId } });
+  return taxClass && taxClass.isActive ? null : 'Tax class not found or inactive';
+};
+
 /**
  * @swagger
  * /api/categories:
@@ -22,6 +33,7 @@ const prisma = new PrismaClient();
 router.get('/', authenticateToken, requirePermission('categories:read'), async (req, res) => {
   try {
     const categories = await prisma.category.findMany({
+      include: { taxClass: true },
       orderBy: { name: 'asc' }
     });
 
@@ -56,6 +68,7 @@ router.get('/:id', authenticateToken, requirePermission('categories:read'), asyn
     const category = await prisma.category.findUnique({
       where: { id },
       include: {
+        taxClass: true,
         _count: {
           select: { products: true }
         }
@@ -96,6 +109,9 @@ router.get('/:id', authenticateToken, requirePermission('categories:read'), asyn
  *                 type: string
  *               color:
  *                 type: string
+ *               taxClassId:
+ *                 type: string
+ *                 description: Default tax class of the category's products
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -106,7 +122,8 @@ router.post('/',
   [
     body('name').isLength({ min: 2 }).trim().escape(),
     body('description').optional().trim().escape(),
-    body('color').optional().isHexColor()
+    body('color').optional().isHexColor(),
+    body('taxClassId').optional({ nullable: true }).isString()
   ],
   async (req, res) => {
     try {
@@ -115,7 +132,12 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, description, color } = req.body;
+      const { name, description, color, taxClassId } = req.body;
+
+      const taxClassError = await findTaxClassError(taxClassId);
+      if (taxClassError) {
+        return res.status(400).json({ error: taxClassError });
+      }
 
       // Check if category name already exists
       const existingCategory = await prisma.category.findFirst({
@@ -131,7 +153,8 @@ router.post('/',
         data: {
           name,
           description,
-          color: color || '#1976d2'
+          color: color || '#1976d2',
+          taxClassId: taxClassId || null
         }
       });
 
@@ -171,6 +194,9 @@ router.post('/',
  *                 type: string
  *               color:
  *                 type: string
+ *               taxClassId:
+ *                 type: string
+ *                 nullable: true
  *     responses:
  *       200:
  *         description: Category updated successfully
@@ -181,7 +207,8 @@ router.put('/:id',
   [
     body('name').optional().isLength({ min: 2 }).trim().escape(),
     body('description').optional().trim().escape(),
-    body('color').optional().isHexColor()
+    body('color').optional().isHexColor(),
+    body('taxClassId').optional({ nullable: true }).isString()
   ],
   async (req, res) => {
     try {
@@ -198,6 +225,11 @@ router.put('/:id',
         updateData[key] === undefined && delete updateData[key]
       );
 
+      const taxClassError = await findTaxClassError(updateData.taxClassId);
+      if (taxClassError) {
+        return res.status(400).json({ error: taxClassError });
+      }
+
       // Check if name already exists (if updating name)
       if (updateData.name) {
         const existingCategory = await prisma.category.findFirst({
@@ -3,6 +3,8 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { body, query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { idempotent } = require('../middleware/idempotency');
+const { findOpenSession } = require('../services/cashSessions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -309,6 +311,11 @@ router.post('/',
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Client-generated key (e.g. a UUID); a retry with the same key returns the original response
  *     requestBody:
  *       required: true
  *       content:
@@ -334,10 +341,15 @@ router.post('/',
  *     responses:
  *       201:
  *         description: Payment added successfully
+ *       409:
+ *         description: Cash payment without an open cash register session
+ *       422:
+ *         description: Idempotency-Key already used for a different request (IDEMPOTENCY_KEY_MISMATCH)
  */
 router.post('/:id/payments', 
   authenticateToken, 
   requirePermission('credits:update'),
+  idempotent,
   [
     body('amount').isFloat({ min: 0.01 }),
     body('paymentMethod').isIn(['cash', 'card', 'transfer', 'check']),
@@ -381,9 +393,19 @@ router.post('/:id/payments',
         });
       }
 
+      // Cash goes into the cashier's open register session; other methods are linked when one is open
+      const cashSession = await findOpenSession(prisma, req.user.id);
+      if (!cashSession && paymentMethod === 'cash') {
+        return res.status(409).json({
+          error: 'No open cash register session; open the register before receiving cash',
+          code: 'CASH_SESSION_REQUIRED'
+        });
+      }
+
       // Create payment
       const payment = await prisma.payment.create({
         data: {
+          cashSessionId: cashSession ? cashSession.id : null,
           creditId: id,
           amount,
           paymentMethod,
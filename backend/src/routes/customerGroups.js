@@ -0,0 +1,306 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * Validate that an assigned price list exists
+ */
+const findPriceListError = async (priceListId) => {
+  if (!priceListId) {
+    return null;
+  }
+  const priceList = await prisma.priceList.findUnique({ where: { id: priceListId } });
+  return priceList ? null : 'Price list not found';
+};
+
+/**
+ * @swagger
+ * /api/customer-groups:
+ *   get:
+ *     summary: Get customer groups
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of customer groups with their price list
+ */
+router.get('/', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const groups = await prisma.customerGroup.findMany({
+      include: {
+        priceList: {
+          select: { id: true, name: true }
+        },
+        _count: {
+          select: { customers: true }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(groups);
+  } catch (error) {
+    logger.error('Error fetching customer groups:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customer-groups/{id}:
+ *   get:
+ *     summary: Get customer group by ID
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer group with its customers
+ */
+router.get('/:id', authenticateToken, requirePermission('customers:read'), async (req, res) => {
+  try {
+    const group = await prisma.customerGroup.findUnique({
+      where: { id: req.params.id },
+      include: {
+        priceList: {
+          select: { id: true, name: true }
+        },
+        customers: {
+          select: { id: true, name: true, taxId: true }
+        }
+      }
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Customer group not found' });
+    }
+
+    res.json(group);
+  } catch (error) {
+    logger.error('Error fetching customer group:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/customer-groups:
+ *   post:
+ *     summary: Create customer group
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               priceListId:
+ *                 type: string
+ *                 description: Price list for members without a list of their own
+ *     responses:
+ *       201:
+ *         description: Customer group created successfully
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('customers:create'),
+  [
+    body('name').isLength({ min: 2 }).trim().escape(),
+    body('description').optional().trim().escape(),
+    body('priceListId').optional({ nullable: true }).isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, description, priceListId } = req.body;
+
+      const existing = await prisma.customerGroup.findUnique({ where: { name } });
+      if (existing) {
+        return res.status(400).json({ error: 'Customer group name already exists' });
+      }
+
+      const priceListError = await findPriceListError(priceListId);
+      if (priceListError) {
+        return res.status(400).json({ error: priceListError });
+      }
+
+      const group = await prisma.customerGroup.create({
+        data: { name, description, priceListId },
+        include: { priceList: true }
+      });
+
+      logger.info(`Customer group created: ${name}`);
+      res.status(201).json(group);
+    } catch (error) {
+      logger.error('Error creating customer group:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/customer-groups/{id}:
+ *   put:
+ *     summary: Update customer group
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               priceListId:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Customer group updated successfully
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('customers:update'),
+  [
+    body('name').optional().isLength({ min: 2 }).trim().escape(),
+    body('description').optional().trim().escape(),
+    body('priceListId').optional({ nullable: true }).isString(),
+    body('isActive').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const group = await prisma.customerGroup.findUnique({ where: { id } });
+
+      if (!group) {
+        return res.status(404).json({ error: 'Customer group not found' });
+      }
+
+      const {
+        name, description, priceListId, isActive
+      } = req.body;
+
+      if (name && name !== group.name) {
+        const existing = await prisma.customerGroup.findUnique({ where: { name } });
+        if (existing) {
+          return res.status(400).json({ error: 'Customer group name already exists' });
+        }
+      }
+
+      const priceListError = await findPriceListError(priceListId);
+      if (priceListError) {
+        return res.status(400).json({ error: priceListError });
+      }
+
+      const updated = await prisma.customerGroup.update({
+        where: { id },
+        data: {
+          name, description, priceListId, isActive
+        },
+        include: { priceList: true }
+      });
+
+      logger.info(`Customer group updated: ${updated.name}`);
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating customer group:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/customer-groups/{id}:
+ *   delete:
+ *     summary: Delete customer group
+ *     tags: [Customer Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer group deleted successfully
+ *       400:
+ *         description: Group still has customers
+ */
+router.delete('/:id', authenticateToken, requirePermission('customers:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const group = await prisma.customerGroup.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { customers: true }
+        }
+      }
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Customer group not found' });
+    }
+
+    if (group._count.customers > 0) {
+      return res.status(400).json({ error: 'Cannot delete a customer group with customers' });
+    }
+
+    await prisma.customerGroup.delete({ where: { id } });
+
+    logger.info(`Customer group deleted: ${group.name}`);
+    res.json({ message: 'Customer group deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting customer group:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,8 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { TAX_REGIMES } = require('../services/withholdings');
+const { getCreditStatus } = require('../services/creditControl');
 
 // ============================================================================
 // CONFIGURATION
@@ -25,7 +27,12 @@ const customerValidationRules = {
     body('city').optional().trim().escape(),
     body('documentType').optional().isIn(['CC', 'CE', 'NIT', 'RUT', 'PASSPORT']).withMessage('Invalid document type'),
     body('documentNumber').isLength({ min: 5 }).trim().escape().withMessage('Document number must be at least 5 characters'),
-    body('creditLimit').optional().isFloat({ min: 0 }).withMessage('Credit limit must be a positive number')
+    body('creditLimit').optional().isFloat({ min: 0 }).withMessage('Credit limit must be a positive number'),
+    body('taxRegime').optional().isIn(TAX_REGIMES).withMessage('Invalid tax regime'),
+    body('isWithholdingAgent').optional().isBoolean().toBoolean(),
+    body('municipalityCode').optional().matches(/^\d{5}$/).withMessage('Municipality code must be a 5-digit DANE code'),
+    body('groupId').optional({ nullable: true }).isString(),
+    body('priceListId').optional({ nullable: true }).isString()
   ],
   update: [
     body('name').optional().isLength({ min: 2 }).trim().escape(),
@@ -35,7 +42,14 @@ const customerValidationRules = {
     body('city').optional().trim().escape(),
     body('documentType').optional().isIn(['CC', 'CE', 'NIT', 'RUT', 'PASSPORT']),
     body('documentNumber').optional().isLength({ min: 5 }).trim().escape(),
-    body('creditLimit').optional().isFloat({ min: 0 })
+    body('creditLimit').optional().isFloat({ min: 0 }),
+    body('taxRegime').optional().isIn(TAX_REGIMES),
+    body('isWithholdingAgent').optional().isBoolean().toBoolean(),
+    body('municipalityCode').optional().matches(/^\d{5}$/),
+    body('groupId').optional({ nullable: true }).isString(),
+    body('priceListId').optional({ nullable: true }).isString(),
+    body('isBlocked').optional().isBoolean().toBoolean(),
+    body('blockedReason').optional({ nullable: true }).trim().escape()
   ]
 };
 
@@ -142,6 +156,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const customer = await prisma.customer.findUnique({
       where: { id },
       include: {
+        group: {
+          select: { id: true, name: true, priceListId: true }
+        },
+        priceList: {
+          select: { id: true, name: true }
+        },
         _count: {
           select: { sales: true, credits: true }
         }
@@ -165,6 +185,50 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/customers/{id}/credit-status:
+ *   get:
+ *     summary: Get customer credit status (limit, outstanding balance, overdue credits and block)
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit status; creditLimit and available are null when the customer has no limit
+ */
+/**
+ * Get the credit status checked on credit sales
+ */
+router.get('/:id/credit-status', authenticateToken, async (req, res) => {
+  try {
+    const customer = await prisma.customer.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!customer) {
+      return res.status(404).json({ 
+        error: 'Customer not found',
+        code: 'CUSTOMER_NOT_FOUND'
+      });
+    }
+
+    res.json(await getCreditStatus(prisma, customer));
+  } catch (error) {
+    logger.error('Error fetching customer credit status:', error);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/customers:
@@ -208,12 +272,50 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                 type: string
  *               creditLimit:
  *                 type: number
+ *               taxRegime:
+ *                 type: string
+ *                 enum: [RESPONSABLE_IVA, NO_RESPONSABLE_IVA, GRAN_CONTRIBUYENTE, AUTORRETENEDOR, REGIMEN_SIMPLE]
+ *               isWithholdingAgent:
+ *                 type: boolean
+ *                 description: Customer withholds ReteFuente/ReteIVA/ReteICA on its purchases
+ *               municipalityCode:
+ *                 type: string
+ *                 description: DANE municipality code (ReteICA rules)
+ *               groupId:
+ *                 type: string
+ *                 description: Customer group (its price list applies when the customer has none)
+ *               priceListId:
+ *                 type: string
+ *                 description: Price list used to resolve sale prices for this customer
  *               notes:
  *                 type: string
  *     responses:
  *       201:
  *         description: Customer created successfully
  */
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Check that the assigned customer group and price list exist
+ */
+const findAssignmentError = async ({ groupId, priceListId }) => {
+  if (groupId) {
+    const group = await prisma.customerGroup.findUnique({ where: { id: groupId } });
+    if (!group) {
+      return { error: 'Customer group not found', code: 'GROUP_NOT_FOUND' };
+    }
+  }
+  if (priceListId) {
+    const priceList = await prisma.priceList.findUnique({ where: { id: priceListId } });
+    if (!priceList) {
+      return { error: 'Price list not found', code: 'PRICE_LIST_NOT_FOUND' };
+    }
+  }
+  return null;
+};
+
 // ============================================================================
 // ROUTE HANDLERS
 // ============================================================================
@@ -239,7 +341,12 @@ router.post('/', authenticateToken, customerValidationRules.create, async (req,
       city, 
       documentType, 
       documentNumber, 
-      creditLimit 
+      creditLimit,
+      taxRegime,
+      isWithholdingAgent,
+      municipalityCode,
+      groupId,
+      priceListId
     } = req.body;
 
     // Check if customer email already exists (if provided)
@@ -268,6 +375,11 @@ router.post('/', authenticateToken, customerValidationRules.create, async (req,
       });
     }
 
+    const assignmentError = await findAssignmentError({ groupId, priceListId });
+    if (assignmentError) {
+      return res.status(400).json(assignmentError);
+    }
+
     // Create customer
     const customer = await prisma.customer.create({
       data: {
@@ -277,7 +389,12 @@ router.post('/', authenticateToken, customerValidationRules.create, async (req,
         address,
         city,
         taxId: documentNumber,
-        creditLimit: creditLimit || 0
+        creditLimit: creditLimit || 0,
+        taxRegime,
+        isWithholdingAgent,
+        municipalityCode,
+        groupId,
+        priceListId
       }
     });
 
@@ -335,6 +452,26 @@ router.post('/', authenticateToken, customerValidationRules.create, async (req,
  *                 type: string
  *               creditLimit:
  *                 type: number
+ *               taxRegime:
+ *                 type: string
+ *                 enum: [RESPONSABLE_IVA, NO_RESPONSABLE_IVA, GRAN_CONTRIBUYENTE, AUTORRETENEDOR, REGIMEN_SIMPLE]
+ *               isWithholdingAgent:
+ *                 type: boolean
+ *                 description: Customer withholds ReteFuente/ReteIVA/ReteICA on its purchases
+ *               municipalityCode:
+ *                 type: string
+ *                 description: DANE municipality code (ReteICA rules)
+ *               groupId:
+ *                 type: string
+ *                 description: Customer group (its price list applies when the customer has none)
+ *               priceListId:
+ *                 type: string
+ *                 description: Price list used to resolve sale prices for this customer
+ *               isBlocked:
+ *                 type: boolean
+ *                 description: Blocked customers cannot buy on credit without a supervisor's authorization
+ *               blockedReason:
+ *                 type: string
  *               notes:
  *                 type: string
  *     responses:
@@ -408,11 +545,26 @@ router.put('/:id', authenticateToken, customerValidationRules.update, async (req
       }
     }
 
+    const assignmentError = await findAssignmentError(updateData);
+    if (assignmentError) {
+      return res.status(400).json(assignmentError);
+    }
+
+    // Unblocking clears the reason
+    if (updateData.isBlocked === false) {
+      updateData.blockedReason = null;
+    }
+
     const customer = await prisma.customer.update({
       where: { id },
       data: updateData
     });
 
+    if (updateData.isBlocked !== undefined && updateData.isBlocked !== existingCustomer.isBlocked) {
+      logger.audit(customer.isBlocked ? 'CUSTOMER_BLOCKED' : 'CUSTOMER_UNBLOCKED', req.user.id, {
+        customerId: id, reason: customer.blockedReason, ip: req.ip, userAgent: req.get('User-Agent')
+      });
+    }
     logger.info(`Customer updated: ${customer.name} (ID: ${id})`);
     res.json(customer);
   } catch (error) {
@@ -3,6 +3,7 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { getContingencyState, getQueueSummary } = require('../services/dian/contingency');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -529,6 +530,27 @@ router.get('/alerts', authenticateToken, requirePermission('dashboard:read'), as
       });
     }
 
+    // Check DIAN contingency queue
+    const [contingency, dianQueue] = await Promise.all([
+      getContingencyState(prisma),
+      getQueueSummary(prisma)
+    ]);
+
+    if (contingency.active || dianQueue.queued > 0) {
+      alerts.push({
+        type: dianQueue.overdue > 0 ? 'error' : 'warning',
+        title: 'Contingencia DIAN',
+        message: dianQueue.overdue > 0
+          ? `${dianQueue.queued} facturas pendientes de transmitir a la DIAN, ${dianQueue.overdue} fuera del plazo de 48 horas`
+          : `${dianQueue.queued} facturas pendientes de transmitir a la DIAN`,
+        contingencyActive: contingency.active,
+        reason: contingency.reason,
+        queued: dianQueue.queued,
+        overdue: dianQueue.overdue,
+        nextDeadline: dianQueue.nextDeadline
+      });
+    }
+
     res.json(alerts);
   } catch (error) {
     logger.error('Error generating dashboard alerts:', error);
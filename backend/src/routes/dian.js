@@ -1,12 +1,57 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
+const multer = require('multer');
 const { body, query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { getActiveConfig, getDianSettings } = require('../services/dian/config');
+const {
+  CREDIT_NOTE_CONCEPTS, DEBIT_NOTE_CONCEPTS, calculateInvoiceTotals, buildInvoiceXml
+} = require('../services/dian/ubl');
+const {
+  computeInvoiceCufe, buildQrData, qrImageDataUrl
+} = require('../services/dian/cufe');
+const { signDocument, verifyXml, SignatureError } = require('../services/dian/signer');
+const { DianTransportError } = require('../services/dian/transport');
+const {
+  signInvoice, submitToDian, queryDianStatus, summarizeResponse, recordDianResponse, transmitInvoice
+} = require('../services/dian/transmission');
+const { parseApplicationResponse } = require('../services/dian/applicationResponse');
+const { buildInvoicePdf } = require('../services/dian/pdf');
+const {
+  getContingencyState, setContingencyState, queueFields, getQueueSummary, processTransmissionQueue
+} = require('../services/dian/contingency');
+const {
+  NumberingError, resolutionStatus, assertResolutionInForce, allocateInvoiceNumber, warnIfResolutionRunningOut
+} = require('../services/dian/numbering');
+const {
+  SupportDocumentError, generateSupportDocument, recordSupportDocumentResponse, transmitSupportDocument
+} = require('../services/dian/supportDocument');
+const { ReceivedDocumentError } = require('../services/dian/attachedDocument');
+const {
+  EVENT_TYPES, CLAIM_CONCEPTS, RadianEventError, buildTimeline, transmitEvent, issuePurchaseEvent,
+  receiveCustomerEvent, processTacitAcceptances
+} = require('../services/dian/events');
+const { generateNote, creditedTotal } = require('../services/dian/notes');
+const { summarizeWithholdings } = require('../services/withholdings');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Customer RADIAN events are parsed in memory: ApplicationResponse XML, AttachedDocument or ZIP
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE || '10485760', 10) },
+  fileFilter: (req, file, cb) => cb(null, /\.(zip|xml)$/i.test(file.originalname))
+});
+
+const uploadEventFile = (req, res, next) => upload.single('file')(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  next();
+});
+
 /**
  * @swagger
  * /api/dian/invoice:
@@ -23,7 +68,6 @@ const prisma = new PrismaClient();
  *             type: object
  *             required:
  *               - saleId
- *               - customerId
  *             properties:
  *               saleId:
  *                 type: string
@@ -34,13 +78,15 @@ const prisma = new PrismaClient();
  *     responses:
  *       201:
  *         description: Electronic invoice generated successfully
+ *       409:
+ *         description: Sale already invoiced, or no numbering resolution in force
  */
 router.post('/invoice', 
   authenticateToken, 
   requirePermission('dian:create'),
   [
-    body('saleId').isUUID().withMessage('Valid sale ID is required'),
-    body('customerId').isUUID().withMessage('Valid customer ID is required'),
+    body('saleId').notEmpty().withMessage('Valid sale ID is required'),
+    body('customerId').optional().notEmpty().withMessage('Valid customer ID is required'),
     body('notes').optional().trim().escape()
   ],
   async (req, res) => {
@@ -50,7 +96,7 @@ router.post('/invoice',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { saleId, customerId, notes } = req.body;
+      const { saleId, notes } = req.body;
 
       // Get sale details
       const sale = await prisma.sale.findUnique({
@@ -61,6 +107,10 @@ router.post('/invoice',
             include: {
               product: true
             }
+          },
+          withholdings: true,
+          credits: {
+            select: { dueDate: true }
           }
         }
       });
@@ -69,61 +119,219 @@ router.post('/invoice',
         return res.status(404).json({ error: 'Sale not found' });
       }
 
-      if (sale.status !== 'completed') {
-        return res.status(400).json({ error: 'Sale must be completed to generate invoice' });
+      if (['cancelled', 'CANCELLED'].includes(sale.status)) {
+        return res.status(400).json({ error: 'Cancelled sales cannot be invoiced' });
+      }
+
+      // Get customer details (sales without customer are invoiced to the final consumer)
+      const customerId = req.body.customerId || sale.customerId;
+      let customer = null;
+      if (customerId) {
+        customer = await prisma.customer.findUnique({
+          where: { id: customerId }
+        });
+
+        if (!customer) {
+          return res.status(404).json({ error: 'Customer not found' });
+        }
       }
 
-      // Get customer details
-      const customer = await prisma.customer.findUnique({
-        where: { id: customerId }
+      // A sale is invoiced once; only a rejected or cancelled invoice may be issued again
+      const previous = await prisma.dianInvoice.findFirst({
+        where: { saleId },
+        orderBy: { createdAt: 'desc' }
       });
 
-      if (!customer) {
-        return res.status(404).json({ error: 'Customer not found' });
+      if (previous && !['rejected', 'cancelled'].includes(previous.status)) {
+        return res.status(409).json({
+          error: 'Sale already has an electronic invoice',
+          invoiceId: previous.id,
+          invoiceNumber: previous.invoiceNumber
+        });
       }
 
-      // Generate DIAN invoice number
-      const invoiceNumber = `FE-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+      // Calculate line taxes and totals
+      const totals = calculateInvoiceTotals(sale.items);
+      const issueDate = new Date();
 
-      // Calculate totals
-      const subtotal = sale.items.reduce((sum, item) => sum + (item.quantity * item.unitPrice), 0);
-      const tax = subtotal * 0.19; // 19% IVA Colombia
-      const total = subtotal + tax;
+      // In contingency the invoice is issued as type 04 and queued for deferred transmission
+      const contingency = await getContingencyState(prisma);
 
-      // Create DIAN invoice record
-      const dianInvoice = await prisma.dianInvoice.create({
-        data: {
+      const { invoice: generated, allocated } = await prisma.$transaction(async (tx) => {
+        // Reuse the number already taken from the resolution (by the sale or a rejected
+        // attempt); legacy sales without one take the next number now
+        const numberedBy = previous || (sale.dianConfigId ? sale : null);
+        let config;
+        let invoiceNumber;
+
+        if (numberedBy && numberedBy.dianConfigId) {
+          config = await tx.dianConfig.findUnique({ where: { id: numberedBy.dianConfigId } });
+          invoiceNumber = numberedBy.invoiceNumber;
+          assertResolutionInForce(config, issueDate);
+        } else {
+          ({ config, invoiceNumber } = await allocateInvoiceNumber(tx));
+        }
+
+        // A split payment that left a balance on credit is invoiced as a credit sale
+        const onCredit = sale.paymentMethod === 'credit' || sale.credits.length > 0;
+        const invoiceData = {
+          invoiceNumber,
+          issueDate,
+          dueDate: onCredit
+            ? (sale.credits[0] ? sale.credits[0].dueDate : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000))
+            : null,
+          config,
+          settings: getDianSettings(config),
+          customer,
+          customerName: sale.customerName,
+          paymentMethod: onCredit ? 'credit' : sale.paymentMethod,
+          totals,
+          withholdings: summarizeWithholdings(sale.withholdings),
+          notes,
+          contingency: contingency.active
+        };
+
+        // Compute CUFE and QR payload
+        const cufe = computeInvoiceCufe(invoiceData);
+        const qrData = buildQrData(invoiceData, cufe);
+
+        // Build UBL 2.1 document
+        const xml = buildInvoiceXml({ ...invoiceData, cufe, qrData });
+
+        const data = {
           invoiceNumber,
+          dianConfigId: config.id,
           saleId,
-          customerId,
-          subtotal,
-          tax,
-          total,
-          status: 'pending',
+          customerId: customer ? customer.id : null,
+          subtotal: totals.lineExtension,
+          tax: totals.taxTotal,
+          total: totals.payable,
+          status: 'generated',
+          cufe,
+          qrData,
+          xml,
           notes,
-          userId: req.user.id
-        }
-      });
+          userId: req.user.id,
+          ...(contingency.active ? queueFields(issueDate) : { contingency: false })
+        };
 
-      // TODO: Integrate with DIAN API for electronic signature
-      // For now, just mark as generated
-      await prisma.dianInvoice.update({
-        where: { id: dianInvoice.id },
-        data: { status: 'generated' }
+        // Create DIAN invoice record (or reissue the rejected one under the same number)
+        const invoice = previous && previous.invoiceNumber === invoiceNumber
+          ? await tx.dianInvoice.update({
+            where: { id: previous.id },
+            data: {
+              trackId: null,
+              applicationResponse: null,
+              signedAt: null,
+              sentAt: null,
+              cancelledAt: null,
+              cancellationReason: null,
+              transmissionAttempts: 0,
+              nextAttemptAt: null,
+              transmissionDeadline: null,
+              deadlineNotifiedAt: null,
+              lastError: null,
+              ...data
+            }
+          })
+          : await tx.dianInvoice.create({ data });
+
+        return { invoice, allocated: invoiceNumber !== (numberedBy && numberedBy.invoiceNumber) ? config : null };
       });
 
+      if (allocated) {
+        warnIfResolutionRunningOut(prisma, allocated).catch((error) => {
+          logger.error('Error raising DIAN numbering warning:', error);
+        });
+      }
+
+      let dianInvoice = generated;
+      if (contingency.active) {
+        // Sign locally now so the invoice can be delivered; the worker retries a failed signature
+        try {
+          dianInvoice = await signInvoice(prisma, generated, { status: 'queued' });
+        } catch (error) {
+          if (!(error instanceof SignatureError)) {
+            throw error;
+          }
+          dianInvoice = await prisma.dianInvoice.update({
+            where: { id: generated.id },
+            data: { lastError: error.message }
+          });
+        }
+        await prisma.sale.update({
+          where: { id: saleId },
+          data: { dianStatus: 'queued' }
+        });
+      }
+
+      const { invoiceNumber, cufe, xml } = dianInvoice;
+      logger.dian('GENERATE_INVOICE', dianInvoice.status, { invoiceNumber, saleId, cufe, contingency: contingency.active });
       logger.info(`DIAN invoice generated: ${invoiceNumber} for sale ${saleId}`);
       res.status(201).json({
-        message: 'Electronic invoice generated successfully',
-        invoice: dianInvoice
+        message: contingency.active
+          ? 'Contingency invoice generated and queued for transmission'
+          : 'Electronic invoice generated successfully',
+        invoice: dianInvoice,
+        xml
       });
     } catch (error) {
+      if (error instanceof NumberingError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
       logger.error('Error generating DIAN invoice:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
+/**
+ * @swagger
+ * /api/dian/invoice/{id}/xml:
+ *   get:
+ *     summary: Download DIAN invoice UBL 2.1 XML
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice XML document
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ */
+router.get('/invoice/:id/xml', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const invoice = await prisma.dianInvoice.findUnique({
+      where: { id },
+      select: { invoiceNumber: true, xml: true }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'DIAN invoice not found' });
+    }
+
+    if (!invoice.xml) {
+      return res.status(404).json({ error: 'Invoice XML not available' });
+    }
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.xml"`);
+    res.send(invoice.xml);
+  } catch (error) {
+    logger.error('Error downloading DIAN invoice XML:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/dian/invoice/{id}:
@@ -165,6 +373,18 @@ router.get('/invoice/:id', authenticateToken, requirePermission('dian:read'), as
             firstName: true,
             lastName: true
           }
+        },
+        dianNotes: {
+          select: {
+            id: true,
+            noteNumber: true,
+            type: true,
+            conceptCode: true,
+            total: true,
+            status: true,
+            createdAt: true
+          },
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -173,7 +393,10 @@ router.get('/invoice/:id', authenticateToken, requirePermission('dian:read'), as
       return res.status(404).json({ error: 'DIAN invoice not found' });
     }
 
-    res.json(invoice);
+    res.json({
+      ...invoice,
+      qrCode: invoice.qrData ? await qrImageDataUrl(invoice.qrData) : null
+    });
   } catch (error) {
     logger.error('Error fetching DIAN invoice:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -203,7 +426,7 @@ router.get('/invoice/:id', authenticateToken, requirePermission('dian:read'), as
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, generated, sent, accepted, rejected]
+ *           enum: [pending, generated, signed, sent, accepted, rejected]
  *         description: Invoice status filter
  *       - in: query
  *         name: startDate
@@ -227,7 +450,7 @@ router.get('/invoice',
   [
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('status').optional().isIn(['pending', 'generated', 'sent', 'accepted', 'rejected']),
+    query('status').optional().isIn(['pending', 'generated', 'signed', 'sent', 'accepted', 'rejected']),
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601()
   ],
@@ -301,6 +524,101 @@ router.get('/invoice',
   }
 );
 
+/**
+ * @swagger
+ * /api/dian/invoice/{id}/sign:
+ *   post:
+ *     summary: Sign invoice XML with XAdES-EPES
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice signed successfully
+ */
+router.post('/invoice/:id/sign', authenticateToken, requirePermission('dian:send'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invoice = await prisma.dianInvoice.findUnique({
+      where: { id }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'DIAN invoice not found' });
+    }
+
+    if (invoice.status !== 'generated') {
+      return res.status(400).json({ error: 'Only generated invoices can be signed' });
+    }
+
+    const signed = await signInvoice(prisma, invoice);
+
+    logger.info(`DIAN invoice ${invoice.invoiceNumber} signed`);
+    res.json({ message: 'Invoice signed successfully', invoice: signed });
+  } catch (error) {
+    if (error instanceof SignatureError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error signing DIAN invoice:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/invoice/{id}/signature:
+ *   get:
+ *     summary: Validate the digital signature of an invoice
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signature validation result
+ */
+router.get('/invoice/:id/signature', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const invoice = await prisma.dianInvoice.findUnique({
+      where: { id },
+      select: { invoiceNumber: true, xml: true, signedAt: true }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'DIAN invoice not found' });
+    }
+
+    if (!invoice.xml) {
+      return res.status(404).json({ error: 'Invoice XML not available' });
+    }
+
+    const validation = await verifyXml(invoice.xml);
+
+    res.json({
+      invoiceNumber: invoice.invoiceNumber,
+      signedAt: invoice.signedAt,
+      ...validation
+    });
+  } catch (error) {
+    logger.error('Error validating DIAN invoice signature:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/dian/invoice/{id}/send:
@@ -323,43 +641,49 @@ router.post('/invoice/:id/send', authenticateToken, requirePermission('dian:send
   try {
     const { id } = req.params;
 
-    const invoice = await prisma.dianInvoice.findUnique({
-      where: { id },
-      include: {
-        sale: {
-          include: {
-            customer: true,
-            items: {
-              include: {
-                product: true
-              }
-            }
-          }
-        }
-      }
+    let invoice = await prisma.dianInvoice.findUnique({
+      where: { id }
     });
 
     if (!invoice) {
       return res.status(404).json({ error: 'DIAN invoice not found' });
     }
 
-    if (invoice.status !== 'generated') {
+    // Queued contingency invoices can also be transmitted on demand
+    if (!['generated', 'signed', 'queued'].includes(invoice.status)) {
       return res.status(400).json({ error: 'Invoice must be generated before sending to DIAN' });
     }
 
-    // TODO: Integrate with DIAN API to send invoice
-    // For now, just update status
-    await prisma.dianInvoice.update({
-      where: { id },
-      data: { 
-        status: 'sent',
-        sentAt: new Date()
-      }
-    });
+    // The document must carry a valid signature before it can be transmitted
+    if (!invoice.signedAt) {
+      invoice = await signInvoice(prisma, invoice, invoice.status === 'queued' ? { status: 'queued' } : {});
+    }
+
+    const validation = await verifyXml(invoice.xml);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invoice signature is not valid', details: validation.errors });
+    }
+
+    const config = await getActiveConfig(prisma);
+    if (!config) {
+      return res.status(400).json({ error: 'DIAN configuration not found' });
+    }
 
-    logger.info(`DIAN invoice ${invoice.invoiceNumber} sent to DIAN`);
-    res.json({ message: 'Invoice sent to DIAN successfully' });
+    const { invoice: updated, response, zipKey } = await transmitInvoice(prisma, invoice, config);
+
+    if (zipKey) {
+      return res.json({ message: 'Invoice sent to DIAN test set', invoice: updated, trackId: zipKey });
+    }
+
+    res.json({
+      message: response.isValid ? 'Invoice accepted by DIAN' : 'Invoice rejected by DIAN',
+      invoice: updated,
+      dianResponse: summarizeResponse(response)
+    });
   } catch (error) {
+    if (error instanceof SignatureError || error instanceof DianTransportError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code, details: error.fault || undefined });
+    }
     logger.error('Error sending invoice to DIAN:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -395,18 +719,29 @@ router.get('/invoice/:id/status', authenticateToken, requirePermission('dian:rea
       return res.status(404).json({ error: 'DIAN invoice not found' });
     }
 
-    // TODO: Query DIAN API for real-time status
-    // For now, return stored status
-    const status = {
+    if (!invoice.trackId) {
+      return res.status(400).json({ error: 'Invoice has not been sent to DIAN' });
+    }
+
+    const response = await queryDianStatus(invoice.trackId, invoice.cufe);
+    const updated = response.statusCode
+      ? await recordDianResponse(prisma, invoice, response)
+      : invoice;
+
+    res.json({
       invoiceId: id,
       invoiceNumber: invoice.invoiceNumber,
-      status: invoice.status,
+      status: updated.status,
       lastChecked: new Date(),
-      dianResponse: 'Mock response - implement DIAN API integration'
-    };
-
-    res.json(status);
+      dianResponse: summarizeResponse(response),
+      applicationResponse: response.applicationResponse
+        ? await parseApplicationResponse(response.applicationResponse)
+        : null
+    });
   } catch (error) {
+    if (error instanceof DianTransportError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
     logger.error('Error checking DIAN invoice status:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -437,6 +772,7 @@ router.get('/invoice/:id/download', authenticateToken, requirePermission('dian:r
     const invoice = await prisma.dianInvoice.findUnique({
       where: { id },
       include: {
+        dianConfig: true,
         sale: {
           include: {
             customer: true,
@@ -454,12 +790,24 @@ router.get('/invoice/:id/download', authenticateToken, requirePermission('dian:r
       return res.status(404).json({ error: 'DIAN invoice not found' });
     }
 
-    // TODO: Generate PDF using a library like puppeteer or jsPDF
-    // For now, return a placeholder response
-    res.json({
-      message: 'PDF generation not implemented yet',
-      invoice: invoice
+    if (!invoice.xml) {
+      return res.status(404).json({ error: 'Invoice XML not available' });
+    }
+
+    // The representation shows the resolution that numbered the invoice
+    const config = invoice.dianConfig || await getActiveConfig(prisma);
+    if (!config) {
+      return res.status(400).json({ error: 'DIAN configuration not found' });
+    }
+
+    const pdf = await buildInvoicePdf({ invoice, config, sale: invoice.sale });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${invoice.invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length
     });
+    res.end(pdf);
   } catch (error) {
     logger.error('Error downloading DIAN invoice:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -519,12 +867,20 @@ router.post('/invoice/:id/cancel',
         return res.status(404).json({ error: 'DIAN invoice not found' });
       }
 
-      if (invoice.status === 'accepted') {
-        return res.status(400).json({ error: 'Cannot cancel accepted invoice' });
+      // DIAN does not allow cancelling validated documents; they are voided with a credit note
+      if (['sent', 'accepted'].includes(invoice.status)) {
+        return res.status(400).json({
+          error: 'Invoices sent to DIAN cannot be cancelled; issue a credit note with concept 2 (annulment) instead'
+        });
+      }
+
+      // A contingency invoice was already delivered to the buyer and must reach DIAN
+      if (invoice.status === 'queued') {
+        return res.status(400).json({
+          error: 'Contingency invoices must be transmitted to DIAN; annul them afterwards with a credit note'
+        });
       }
 
-      // TODO: Send cancellation request to DIAN API
-      // For now, just update status
       await prisma.dianInvoice.update({
         where: { id },
         data: { 
@@ -543,6 +899,1940 @@ router.post('/invoice/:id/cancel',
   }
 );
 
+// ========================================
+// NOTAS CRÉDITO Y DÉBITO
+// ========================================
+
+const NOTE_FILE_PREFIXES = {
+  credit: 'nc',
+  debit: 'nd'
+};
+
+// Credit notes for returned goods (or a full annulment) put the stock back
+const RESTOCK_CONCEPTS = ['1', '2'];
+
+/**
+ * Load an invoice with the data needed to correct it, or explain why it cannot be corrected
+ */
+const findInvoiceForNote = async (id) => {
+  const invoice = await prisma.dianInvoice.findUnique({
+    where: { id },
+    include: {
+      customer: true,
+      sale: {
+        include: {
+          items: {
+            include: {
+              product: true
+            }
+          }
+        }
+      },
+      dianNotes: {
+        include: {
+          items: true
+        }
+      }
+    }
+  });
+
+  if (!invoice) {
+    return { status: 404, error: 'DIAN invoice not found' };
+  }
+
+  // Notes reference the CUFE of a document already validated by DIAN
+  if (invoice.status !== 'accepted' || !invoice.cufe) {
+    return { status: 400, error: 'Only invoices accepted by DIAN can be corrected with notes' };
+  }
+
+  return { invoice };
+};
+
+/**
+ * Generate, number and store a credit or debit note. Returned goods are put back in stock
+ * within the same transaction.
+ */
+const createNote = async ({
+  type, invoice, config, conceptCode, reason, lines, restock, userId
+}) => prisma.$transaction(async (tx) => {
+  const note = await generateNote(tx, {
+    type, invoice, config, conceptCode, reason, lines, restock, userId
+  });
+
+  if (restock) {
+    for (const line of lines) {
+      const product = await tx.product.findUnique({
+        where: { id: line.productId },
+        select: { stock: true }
+      });
+
+      await tx.product.update({
+        where: { id: line.productId },
+        data: {
+          stock: {
+            increment: line.quantity
+          }
+        }
+      });
+
+      await tx.inventoryMovement.create({
+        data: {
+          productId: line.productId,
+          type: 'CREDIT_NOTE',
+          quantity: line.quantity,
+          previousStock: product.stock,
+          newStock: product.stock + line.quantity,
+          reason,
+          reference: `Credit note ${note.noteNumber} (invoice ${invoice.invoiceNumber})`,
+          userId
+        }
+      });
+    }
+  }
+
+  return note;
+});
+
+/**
+ * @swagger
+ * /api/dian/invoice/{id}/credit-note:
+ *   post:
+ *     summary: Issue a credit note for an accepted invoice
+ *     description: |
+ *       Concept 2 (annulment) credits every quantity not yet credited. Other concepts
+ *       require the items to credit; unitPrice defaults to the invoiced price.
+ *       Concepts 1 (returns) and 2 put the goods back in stock unless restock is false.
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - conceptCode
+ *               - reason
+ *             properties:
+ *               conceptCode:
+ *                 type: string
+ *                 enum: ['1', '2', '3', '4', '5', '6']
+ *               reason:
+ *                 type: string
+ *               restock:
+ *                 type: boolean
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Credit note generated successfully
+ */
+router.post('/invoice/:id/credit-note',
+  authenticateToken,
+  requirePermission('dian:create'),
+  [
+    body('conceptCode').isIn(Object.keys(CREDIT_NOTE_CONCEPTS)).withMessage('Valid credit note concept is required'),
+    body('reason').notEmpty().trim().escape().withMessage('Reason is required'),
+    body('restock').optional().isBoolean(),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+    body('items.*.productId').notEmpty().withMessage('Valid product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.unitPrice').optional().isFloat({ gt: 0 }).withMessage('Unit price must be positive')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { conceptCode, reason, items } = req.body;
+
+      const found = await findInvoiceForNote(req.params.id);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+      const { invoice } = found;
+
+      const config = await getActiveConfig(prisma);
+      if (!config) {
+        return res.status(400).json({ error: 'DIAN configuration not found' });
+      }
+
+      // Quantities and value already credited by notes that were not rejected
+      const creditNotes = invoice.dianNotes.filter((note) => note.type === 'credit' && note.status !== 'rejected');
+      const alreadyCredited = creditedTotal(invoice);
+      const returned = {};
+      creditNotes
+        .filter((note) => note.restock)
+        .flatMap((note) => note.items)
+        .forEach((item) => {
+          returned[item.productId] = (returned[item.productId] || 0) + item.quantity;
+        });
+
+      // Credited lines keep the tax liquidated on the invoiced sale
+      const invoiced = {};
+      invoice.sale.items.forEach((item) => {
+        const entry = invoiced[item.productId] || {
+          product: item.product,
+          quantity: 0,
+          unitPrice: Number(item.unitPrice),
+          taxCode: item.taxCode,
+          taxPercent: item.taxPercent
+        };
+        entry.quantity += item.quantity;
+        invoiced[item.productId] = entry;
+      });
+
+      let lines;
+      if (conceptCode === '2') {
+        lines = Object.entries(invoiced)
+          .map(([productId, entry]) => ({
+            productId,
+            product: entry.product,
+            quantity: entry.quantity - (returned[productId] || 0),
+            unitPrice: entry.unitPrice,
+            taxCode: entry.taxCode,
+            taxPercent: entry.taxPercent
+          }))
+          .filter((line) => line.quantity > 0);
+
+        if (lines.length === 0) {
+          return res.status(400).json({ error: 'Invoice has already been fully credited' });
+        }
+      } else {
+        if (!items) {
+          return res.status(400).json({ error: 'Items are required for partial credit notes' });
+        }
+
+        lines = [];
+        for (const item of items) {
+          const entry = invoiced[item.productId];
+          if (!entry) {
+            return res.status(400).json({ error: `Product ${item.productId} is not part of the invoice` });
+          }
+
+          const available = conceptCode === '1' ? entry.quantity - (returned[item.productId] || 0) : entry.quantity;
+          if (item.quantity > available) {
+            return res.status(400).json({
+              error: `Cannot credit ${item.quantity} units of ${entry.product.name}; only ${available} available`
+            });
+          }
+
+          const unitPrice = item.unitPrice !== undefined ? Number(item.unitPrice) : entry.unitPrice;
+          if (unitPrice > entry.unitPrice) {
+            return res.status(400).json({ error: `Credited unit price exceeds the invoiced price of ${entry.product.name}` });
+          }
+
+          lines.push({
+            productId: item.productId,
+            product: entry.product,
+            quantity: item.quantity,
+            unitPrice,
+            taxCode: entry.taxCode,
+            taxPercent: entry.taxPercent
+          });
+        }
+      }
+
+      const { payable } = calculateInvoiceTotals(lines);
+      if (alreadyCredited + payable > Number(invoice.total) + 0.01) {
+        return res.status(400).json({
+          error: 'Credit notes cannot exceed the invoice total',
+          invoiceTotal: Number(invoice.total),
+          alreadyCredited
+        });
+      }
+
+      const restock = RESTOCK_CONCEPTS.includes(conceptCode) && req.body.restock !== false;
+
+      const note = await createNote({
+        type: 'credit', invoice, config, conceptCode, reason, lines, restock, userId: req.user.id
+      });
+
+      logger.dian('GENERATE_CREDIT_NOTE', 'generated', {
+        noteNumber: note.noteNumber, invoiceNumber: invoice.invoiceNumber, conceptCode, cude: note.cude
+      });
+      res.status(201).json({
+        message: 'Credit note generated successfully',
+        note,
+        xml: note.xml
+      });
+    } catch (error) {
+      logger.error('Error generating DIAN credit note:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/invoice/{id}/debit-note:
+ *   post:
+ *     summary: Issue a debit note for an accepted invoice
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - conceptCode
+ *               - reason
+ *               - items
+ *             properties:
+ *               conceptCode:
+ *                 type: string
+ *                 enum: ['1', '2', '3', '4']
+ *               reason:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     description:
+ *                       type: string
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Debit note generated successfully
+ */
+router.post('/invoice/:id/debit-note',
+  authenticateToken,
+  requirePermission('dian:create'),
+  [
+    body('conceptCode').isIn(Object.keys(DEBIT_NOTE_CONCEPTS)).withMessage('Valid debit note concept is required'),
+    body('reason').notEmpty().trim().escape().withMessage('Reason is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.description').notEmpty().trim().withMessage('Item description is required'),
+    body('items.*.productId').optional().notEmpty(),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.unitPrice').isFloat({ gt: 0 }).withMessage('Unit price must be positive')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { conceptCode, reason, items } = req.body;
+
+      const found = await findInvoiceForNote(req.params.id);
+      if (found.error) {
+        return res.status(found.status).json({ error: found.error });
+      }
+      const { invoice } = found;
+
+      const config = await getActiveConfig(prisma);
+      if (!config) {
+        return res.status(400).json({ error: 'DIAN configuration not found' });
+      }
+
+      // Charges on an invoiced product keep its tax; other charges carry the general IVA
+      const lines = items.map((item) => {
+        const invoicedItem = item.productId && invoice.sale.items.find((saleItem) => saleItem.productId === item.productId);
+        return {
+          productId: item.productId || null,
+          description: item.description,
+          quantity: item.quantity,
+          unitPrice: Number(item.unitPrice),
+          ...(invoicedItem && { taxCode: invoicedItem.taxCode, taxPercent: invoicedItem.taxPercent })
+        };
+      });
+
+      const note = await createNote({
+        type: 'debit', invoice, config, conceptCode, reason, lines, restock: false, userId: req.user.id
+      });
+
+      logger.dian('GENERATE_DEBIT_NOTE', 'generated', {
+        noteNumber: note.noteNumber, invoiceNumber: invoice.invoiceNumber, conceptCode, cude: note.cude
+      });
+      res.status(201).json({
+        message: 'Debit note generated successfully',
+        note,
+        xml: note.xml
+      });
+    } catch (error) {
+      logger.error('Error generating DIAN debit note:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/notes:
+ *   get:
+ *     summary: Get credit and debit notes
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: invoiceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [credit, debit]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of notes
+ */
+router.get('/notes',
+  authenticateToken,
+  requirePermission('dian:read'),
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('type').optional().isIn(['credit', 'debit']),
+    query('status').optional().isIn(['generated', 'signed', 'sent', 'accepted', 'rejected'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        invoiceId = '',
+        type = '',
+        status = ''
+      } = req.query;
+
+      const skip = (page - 1) * limit;
+
+      const where = {};
+      if (invoiceId) {
+        where.invoiceId = invoiceId;
+      }
+      if (type) {
+        where.type = type;
+      }
+      if (status) {
+        where.status = status;
+      }
+
+      const [notes, total] = await Promise.all([
+        prisma.dianNote.findMany({
+          where,
+          skip: parseInt(skip),
+          take: parseInt(limit),
+          select: {
+            id: true,
+            noteNumber: true,
+            type: true,
+            conceptCode: true,
+            reason: true,
+            subtotal: true,
+            tax: true,
+            total: true,
+            status: true,
+            cude: true,
+            restock: true,
+            createdAt: true,
+            invoice: {
+              select: {
+                id: true,
+                invoiceNumber: true,
+                cufe: true
+              }
+            }
+          },
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.dianNote.count({ where })
+      ]);
+
+      res.json({
+        notes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching DIAN notes:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/notes/{id}:
+ *   get:
+ *     summary: Get credit or debit note by ID
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Note details
+ */
+router.get('/notes/:id', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const note = await prisma.dianNote.findUnique({
+      where: { id: req.params.id },
+      include: {
+        items: true,
+        invoice: {
+          select: {
+            id: true,
+            invoiceNumber: true,
+            cufe: true,
+            total: true
+          }
+        },
+        user: {
+          select: {
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      }
+    });
+
+    if (!note) {
+      return res.status(404).json({ error: 'DIAN note not found' });
+    }
+
+    res.json({
+      ...note,
+      qrCode: note.qrData ? await qrImageDataUrl(note.qrData) : null
+    });
+  } catch (error) {
+    logger.error('Error fetching DIAN note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/notes/{id}/xml:
+ *   get:
+ *     summary: Get the UBL 2.1 XML of a credit or debit note
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Note XML document
+ */
+router.get('/notes/:id/xml', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const note = await prisma.dianNote.findUnique({
+      where: { id: req.params.id },
+      select: { noteNumber: true, xml: true }
+    });
+
+    if (!note) {
+      return res.status(404).json({ error: 'DIAN note not found' });
+    }
+
+    res.type('application/xml');
+    res.set('Content-Disposition', `inline; filename="${note.noteNumber}.xml"`);
+    res.send(note.xml);
+  } catch (error) {
+    logger.error('Error fetching DIAN note XML:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Sign the stored UBL document of a note with the company certificate
+ */
+const signNote = async (note) => {
+  const signedXml = await signDocument(note.xml);
+  const updated = await prisma.dianNote.update({
+    where: { id: note.id },
+    data: {
+      xml: signedXml,
+      status: 'signed',
+      signedAt: new Date()
+    }
+  });
+
+  logger.dian('SIGN_NOTE', 'signed', { noteNumber: note.noteNumber });
+  return updated;
+};
+
+/**
+ * @swagger
+ * /api/dian/notes/{id}/sign:
+ *   post:
+ *     summary: Sign note XML with XAdES-EPES
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Note signed successfully
+ */
+router.post('/notes/:id/sign', authenticateToken, requirePermission('dian:send'), async (req, res) => {
+  try {
+    const note = await prisma.dianNote.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!note) {
+      return res.status(404).json({ error: 'DIAN note not found' });
+    }
+
+    if (note.status !== 'generated') {
+      return res.status(400).json({ error: 'Only generated notes can be signed' });
+    }
+
+    const signed = await signNote(note);
+
+    res.json({ message: 'Note signed successfully', note: signed });
+  } catch (error) {
+    if (error instanceof SignatureError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error signing DIAN note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Store the outcome of a DIAN validation on a note
+ */
+const recordNoteResponse = (note, response, data = {}) => prisma.dianNote.update({
+  where: { id: note.id },
+  data: {
+    ...data,
+    status: response.isValid ? 'accepted' : 'rejected',
+    applicationResponse: response.applicationResponse || note.applicationResponse
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/notes/{id}/send:
+ *   post:
+ *     summary: Send credit or debit note to DIAN
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Note sent to DIAN
+ */
+router.post('/notes/:id/send', authenticateToken, requirePermission('dian:send'), async (req, res) => {
+  try {
+    let note = await prisma.dianNote.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!note) {
+      return res.status(404).json({ error: 'DIAN note not found' });
+    }
+
+    if (!['generated', 'signed'].includes(note.status)) {
+      return res.status(400).json({ error: 'Note must be generated before sending to DIAN' });
+    }
+
+    if (note.status === 'generated') {
+      note = await signNote(note);
+    }
+
+    const validation = await verifyXml(note.xml);
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Note signature is not valid', details: validation.errors });
+    }
+
+    const config = await getActiveConfig(prisma);
+    if (!config) {
+      return res.status(400).json({ error: 'DIAN configuration not found' });
+    }
+
+    const submission = await submitToDian({
+      config, documentNumber: note.noteNumber, xml: note.xml, filePrefix: NOTE_FILE_PREFIXES[note.type]
+    });
+
+    if (submission.testSet) {
+      if (!submission.zipKey) {
+        logger.dian('SEND_TEST_SET', 'error', { noteNumber: note.noteNumber, errors: submission.errors });
+        return res.status(502).json({ error: 'DIAN did not accept the test set submission', details: submission.errors });
+      }
+
+      const updated = await prisma.dianNote.update({
+        where: { id: note.id },
+        data: {
+          status: 'sent',
+          sentAt: new Date(),
+          trackId: submission.zipKey
+        }
+      });
+
+      logger.dian('SEND_TEST_SET', 'sent', { noteNumber: note.noteNumber, zipKey: submission.zipKey });
+      return res.json({ message: 'Note sent to DIAN test set', note: updated, trackId: submission.zipKey });
+    }
+
+    const { response } = submission;
+    const updated = await recordNoteResponse(note, response, {
+      sentAt: new Date(),
+      trackId: response.documentKey || note.cude
+    });
+
+    logger.dian('SEND_NOTE', updated.status, {
+      noteNumber: note.noteNumber,
+      statusCode: response.statusCode,
+      errors: response.errors
+    });
+    res.json({
+      message: response.isValid ? 'Note accepted by DIAN' : 'Note rejected by DIAN',
+      note: updated,
+      dianResponse: summarizeResponse(response)
+    });
+  } catch (error) {
+    if (error instanceof SignatureError || error instanceof DianTransportError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error sending note to DIAN:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/notes/{id}/status:
+ *   get:
+ *     summary: Check DIAN note status
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: DIAN note status
+ */
+router.get('/notes/:id/status', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const note = await prisma.dianNote.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!note) {
+      return res.status(404).json({ error: 'DIAN note not found' });
+    }
+
+    if (!note.trackId) {
+      return res.status(400).json({ error: 'Note has not been sent to DIAN' });
+    }
+
+    const response = await queryDianStatus(note.trackId, note.cude);
+    const updated = response.statusCode
+      ? await recordNoteResponse(note, response)
+      : note;
+
+    res.json({
+      noteId: note.id,
+      noteNumber: note.noteNumber,
+      status: updated.status,
+      lastChecked: new Date(),
+      dianResponse: summarizeResponse(response),
+      applicationResponse: response.applicationResponse
+        ? await parseApplicationResponse(response.applicationResponse)
+        : null
+    });
+  } catch (error) {
+    if (error instanceof DianTransportError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error checking DIAN note status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/support-documents:
+ *   post:
+ *     summary: Generate the support document of a received purchase from a non-invoicing supplier
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - purchaseId
+ *             properties:
+ *               purchaseId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Support document generated successfully
+ *       409:
+ *         description: Purchase already has a support document, or no support document resolution in force
+ */
+router.post('/support-documents',
+  authenticateToken,
+  requirePermission('dian:create'),
+  [
+    body('purchaseId').notEmpty().withMessage('Valid purchase ID is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const document = await generateSupportDocument(prisma, req.body.purchaseId, req.user.id);
+
+      res.status(201).json({
+        message: 'Support document generated successfully',
+        supportDocument: document,
+        xml: document.xml
+      });
+    } catch (error) {
+      if (error instanceof SupportDocumentError || error instanceof NumberingError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error generating DIAN support document:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/support-documents:
+ *   get:
+ *     summary: Get support documents for purchases from non-invoicing suppliers
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of support documents
+ */
+router.get('/support-documents',
+  authenticateToken,
+  requirePermission('dian:read'),
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['generated', 'signed', 'sent', 'accepted', 'rejected'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        supplierId = '',
+        status = ''
+      } = req.query;
+
+      const skip = (page - 1) * limit;
+
+      const where = {};
+      if (supplierId) {
+        where.supplierId = supplierId;
+      }
+      if (status) {
+        where.status = status;
+      }
+
+      const [supportDocuments, total] = await Promise.all([
+        prisma.dianSupportDocument.findMany({
+          where,
+          skip: parseInt(skip),
+          take: parseInt(limit),
+          select: {
+            id: true,
+            documentNumber: true,
+            subtotal: true,
+            tax: true,
+            total: true,
+            status: true,
+            cuds: true,
+            lastError: true,
+            createdAt: true,
+            purchase: {
+              select: {
+                id: true,
+                orderNumber: true
+              }
+            },
+            supplier: {
+              select: {
+                id: true,
+                name: true,
+                taxId: true
+              }
+            }
+          },
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.dianSupportDocument.count({ where })
+      ]);
+
+      res.json({
+        supportDocuments,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching DIAN support documents:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/support-documents/{id}:
+ *   get:
+ *     summary: Get support document by ID
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Support document details
+ */
+router.get('/support-documents/:id', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const document = await prisma.dianSupportDocument.findUnique({
+      where: { id: req.params.id },
+      include: {
+        purchase: {
+          include: {
+            items: {
+              include: {
+                product: {
+                  select: { name: true, code: true }
+                }
+              }
+            }
+          }
+        },
+        supplier: true,
+        user: {
+          select: {
+            username: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      }
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'DIAN support document not found' });
+    }
+
+    res.json({
+      ...document,
+      qrCode: document.qrData ? await qrImageDataUrl(document.qrData) : null
+    });
+  } catch (error) {
+    logger.error('Error fetching DIAN support document:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/support-documents/{id}/xml:
+ *   get:
+ *     summary: Get the UBL 2.1 XML of a support document
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Support document XML
+ */
+router.get('/support-documents/:id/xml', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const document = await prisma.dianSupportDocument.findUnique({
+      where: { id: req.params.id },
+      select: { documentNumber: true, xml: true }
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'DIAN support document not found' });
+    }
+
+    res.type('application/xml');
+    res.set('Content-Disposition', `inline; filename="${document.documentNumber}.xml"`);
+    res.send(document.xml);
+  } catch (error) {
+    logger.error('Error fetching DIAN support document XML:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/support-documents/{id}/send:
+ *   post:
+ *     summary: Sign and send a support document to DIAN
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Support document sent to DIAN
+ */
+router.post('/support-documents/:id/send', authenticateToken, requirePermission('dian:send'), async (req, res) => {
+  try {
+    const document = await prisma.dianSupportDocument.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'DIAN support document not found' });
+    }
+
+    const { document: updated, response, zipKey } = await transmitSupportDocument(prisma, document);
+
+    if (zipKey) {
+      return res.json({ message: 'Support document sent to DIAN test set', supportDocument: updated, trackId: zipKey });
+    }
+
+    res.json({
+      message: response.isValid ? 'Support document accepted by DIAN' : 'Support document rejected by DIAN',
+      supportDocument: updated,
+      dianResponse: summarizeResponse(response)
+    });
+  } catch (error) {
+    if (error instanceof SupportDocumentError || error instanceof SignatureError || error instanceof DianTransportError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error sending support document to DIAN:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/support-documents/{id}/status:
+ *   get:
+ *     summary: Check DIAN support document status
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: DIAN support document status
+ */
+router.get('/support-documents/:id/status', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const document = await prisma.dianSupportDocument.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'DIAN support document not found' });
+    }
+
+    if (!document.trackId) {
+      return res.status(400).json({ error: 'Support document has not been sent to DIAN' });
+    }
+
+    const response = await queryDianStatus(document.trackId, document.cuds);
+    const updated = response.statusCode
+      ? await recordSupportDocumentResponse(prisma, document, response)
+      : document;
+
+    res.json({
+      supportDocumentId: document.id,
+      documentNumber: document.documentNumber,
+      status: updated.status,
+      lastChecked: new Date(),
+      dianResponse: summarizeResponse(response),
+      applicationResponse: response.applicationResponse
+        ? await parseApplicationResponse(response.applicationResponse)
+        : null
+    });
+  } catch (error) {
+    if (error instanceof DianTransportError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error checking DIAN support document status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/purchases/{purchaseId}/events:
+ *   post:
+ *     summary: Issue a RADIAN event (030-033) on the supplier invoice of an imported purchase
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventCode
+ *             properties:
+ *               eventCode:
+ *                 type: string
+ *                 enum: ['030', '031', '032', '033']
+ *               claimCode:
+ *                 type: string
+ *                 enum: ['01', '02', '03', '04']
+ *                 description: Claim concept, required for event 031
+ *               note:
+ *                 type: string
+ *               receivedBy:
+ *                 type: object
+ *                 description: Person who received the goods (event 032)
+ *                 properties:
+ *                   documentNumber:
+ *                     type: string
+ *                   firstName:
+ *                     type: string
+ *                   lastName:
+ *                     type: string
+ *                   jobTitle:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Event registered in DIAN (or rejected, see dianResponse)
+ *       409:
+ *         description: Event out of sequence or invoice already in a final state
+ */
+router.post('/purchases/:purchaseId/events',
+  authenticateToken,
+  requirePermission('dian:create'),
+  [
+    body('eventCode').isIn(['030', '031', '032', '033']).withMessage('Event code must be 030, 031, 032 or 033'),
+    body('claimCode').optional().isIn(Object.keys(CLAIM_CONCEPTS)),
+    body('note').optional().isString().isLength({ max: 500 }),
+    body('receivedBy').optional().isObject(),
+    body('receivedBy.documentNumber').if(body('receivedBy').exists()).notEmpty(),
+    body('receivedBy.firstName').if(body('receivedBy').exists()).notEmpty(),
+    body('receivedBy.lastName').if(body('receivedBy').exists()).notEmpty()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { eventCode, claimCode, note, receivedBy } = req.body;
+      const { event, response } = await issuePurchaseEvent(prisma, req.params.purchaseId, {
+        eventCode, claimCode, note, receivedBy
+      }, req.user.id);
+
+      const { xml, ...eventData } = event;
+      res.status(201).json({
+        message: response.isValid
+          ? `Event ${eventCode} (${EVENT_TYPES[eventCode].name}) registered in DIAN`
+          : `Event ${eventCode} (${EVENT_TYPES[eventCode].name}) rejected by DIAN`,
+        event: eventData,
+        dianResponse: summarizeResponse(response)
+      });
+    } catch (error) {
+      if (error instanceof RadianEventError || error instanceof SignatureError || error instanceof DianTransportError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error issuing RADIAN event:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/purchases/{purchaseId}/events:
+ *   get:
+ *     summary: Get the RADIAN event timeline of a supplier invoice
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: RADIAN status and events of the invoice
+ */
+router.get('/purchases/:purchaseId/events', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const purchase = await prisma.purchase.findUnique({
+      where: { id: req.params.purchaseId },
+      select: {
+        id: true,
+        orderNumber: true,
+        invoiceNumber: true,
+        invoiceCufe: true,
+        dianEvents: { orderBy: { eventDate: 'asc' } }
+      }
+    });
+
+    if (!purchase) {
+      return res.status(404).json({ error: 'Purchase not found' });
+    }
+
+    const { dianEvents, ...purchaseData } = purchase;
+    res.json({
+      purchase: purchaseData,
+      ...buildTimeline(dianEvents)
+    });
+  } catch (error) {
+    logger.error('Error fetching RADIAN events of purchase:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/invoice/{id}/events:
+ *   get:
+ *     summary: Get the RADIAN event timeline of an electronic invoice
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: RADIAN status, tacit acceptance deadline and events of the invoice
+ */
+router.get('/invoice/:id/events', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const invoice = await prisma.dianInvoice.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true,
+        invoiceNumber: true,
+        cufe: true,
+        status: true,
+        events: { orderBy: { eventDate: 'asc' } }
+      }
+    });
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'DIAN invoice not found' });
+    }
+
+    const { events, ...invoiceData } = invoice;
+    res.json({
+      invoice: invoiceData,
+      ...buildTimeline(events)
+    });
+  } catch (error) {
+    logger.error('Error fetching RADIAN events of invoice:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/events/receive:
+ *   post:
+ *     summary: Register a RADIAN event sent by a customer on one of our invoices
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: ApplicationResponse XML, AttachedDocument or ZIP
+ *     responses:
+ *       201:
+ *         description: Event registered on the invoice timeline
+ *       404:
+ *         description: No invoice matches the referenced CUFE
+ *       409:
+ *         description: Event already registered
+ */
+router.post('/events/receive',
+  authenticateToken,
+  requirePermission('dian:create'),
+  uploadEventFile,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'A .zip or .xml file is required' });
+      }
+
+      const { xml, ...event } = await receiveCustomerEvent(prisma, {
+        buffer: req.file.buffer,
+        fileName: req.file.originalname
+      });
+
+      res.status(201).json({
+        message: `Customer event ${event.eventCode} (${EVENT_TYPES[event.eventCode].name}) registered`,
+        event
+      });
+    } catch (error) {
+      if (error instanceof RadianEventError || error instanceof ReceivedDocumentError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error receiving RADIAN event:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/events/{id}/xml:
+ *   get:
+ *     summary: Get the ApplicationResponse XML of a RADIAN event
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event XML
+ */
+router.get('/events/:id/xml', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const event = await prisma.dianEvent.findUnique({
+      where: { id: req.params.id },
+      select: { eventNumber: true, xml: true }
+    });
+
+    if (!event) {
+      return res.status(404).json({ error: 'RADIAN event not found' });
+    }
+
+    res.type('application/xml');
+    res.set('Content-Disposition', `inline; filename="${event.eventNumber}.xml"`);
+    res.send(event.xml);
+  } catch (error) {
+    logger.error('Error fetching RADIAN event XML:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/events/{id}/send:
+ *   post:
+ *     summary: Retry sending an issued RADIAN event that could not be transmitted
+ *     description: Also sends a tacit acceptance (034) left failed after its automatic retries
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event sent to DIAN
+ */
+router.post('/events/:id/send', authenticateToken, requirePermission('dian:send'), async (req, res) => {
+  try {
+    const event = await prisma.dianEvent.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!event || event.direction !== 'issued') {
+      return res.status(404).json({ error: 'Issued RADIAN event not found' });
+    }
+
+    const { event: updated, response } = await transmitEvent(prisma, event);
+
+    const { xml, ...eventData } = updated;
+    res.json({
+      message: response.isValid ? 'Event registered in DIAN' : 'Event rejected by DIAN',
+      event: eventData,
+      dianResponse: summarizeResponse(response)
+    });
+  } catch (error) {
+    if (error instanceof RadianEventError || error instanceof SignatureError || error instanceof DianTransportError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error sending RADIAN event to DIAN:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/events/tacit-acceptance/process:
+ *   post:
+ *     summary: Issue tacit acceptance (034) for invoices whose acceptance period has expired
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: |
+ *           Invoices accepted, rejected by DIAN, left to retry after a send failure, and failed (retries
+ *           exhausted or the event could not be generated)
+ */
+router.post('/events/tacit-acceptance/process', authenticateToken, requirePermission('dian:send'), async (req, res) => {
+  try {
+    const result = await processTacitAcceptances(prisma);
+
+    res.json({
+      message: `${result.accepted.length} tacit acceptance(s) issued, ${result.rejected.length} rejected, `
+        + `${result.retrying.length} to retry, ${result.failed.length} failed`,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Error processing tacit acceptances:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/contingency:
+ *   get:
+ *     summary: Get DIAN contingency mode and the deferred transmission queue
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Contingency state, queue summary and queued invoices
+ */
+router.get('/contingency', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const [state, summary, invoices] = await Promise.all([
+      getContingencyState(prisma),
+      getQueueSummary(prisma),
+      prisma.dianInvoice.findMany({
+        where: { status: 'queued' },
+        orderBy: { transmissionDeadline: 'asc' },
+        take: 100,
+        select: {
+          id: true,
+          invoiceNumber: true,
+          saleId: true,
+          total: true,
+          signedAt: true,
+          transmissionAttempts: true,
+          nextAttemptAt: true,
+          transmissionDeadline: true,
+          lastError: true,
+          createdAt: true
+        }
+      })
+    ]);
+
+    res.json({ ...state, queue: summary, invoices });
+  } catch (error) {
+    logger.error('Error fetching DIAN contingency state:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/contingency:
+ *   put:
+ *     summary: Activate or deactivate DIAN contingency mode
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - active
+ *             properties:
+ *               active:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contingency mode updated
+ */
+router.put('/contingency',
+  authenticateToken,
+  requirePermission('dian:update'),
+  [
+    body('active').isBoolean().toBoolean().withMessage('Active must be a boolean'),
+    body('reason').if(body('active').equals('true')).trim().notEmpty().withMessage('Reason is required to activate contingency'),
+    body('reason').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const state = await setContingencyState(prisma, {
+        active: req.body.active,
+        reason: req.body.reason,
+        userId: req.user.id
+      });
+
+      logger.info(`DIAN contingency ${state.active ? 'activated' : 'deactivated'} by ${req.user.id}`);
+      res.json({
+        message: state.active ? 'Contingency mode activated' : 'Contingency mode deactivated',
+        ...state,
+        queue: await getQueueSummary(prisma)
+      });
+    } catch (error) {
+      logger.error('Error updating DIAN contingency state:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/contingency/process:
+ *   post:
+ *     summary: Transmit the due invoices of the contingency queue now
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Queue processing result
+ */
+router.post('/contingency/process', authenticateToken, requirePermission('dian:send'), async (req, res) => {
+  try {
+    const result = await processTransmissionQueue(prisma);
+
+    res.json({ ...result, queue: await getQueueSummary(prisma) });
+  } catch (error) {
+    logger.error('Error processing DIAN transmission queue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const RESOLUTION_FIELDS = [
+  'documentType', 'resolutionNumber', 'resolutionDate', 'resolutionEndDate', 'prefix', 'branch', 'startNumber', 'endNumber',
+  'currentNumber', 'technicalKey', 'warningRemainingNumbers', 'warningDaysBeforeExpiry', 'isActive'
+];
+
+const ISSUER_FIELDS = ['companyName', 'taxId', 'address', 'city', 'phone', 'email'];
+
+const pick = (source, fields) => fields.reduce((data, field) => (
+  source[field] !== undefined ? { ...data, [field]: source[field] } : data
+), {});
+
+/**
+ * Resolution with its remaining numbers and days (the technical key is not exposed)
+ */
+const presentResolution = ({ technicalKey, ...config }) => ({
+  ...config,
+  hasTechnicalKey: Boolean(technicalKey),
+  status: resolutionStatus(config)
+});
+
+/**
+ * Find an active resolution with the same prefix whose range overlaps [startNumber, endNumber]
+ */
+const findOverlappingResolution = (prefix, startNumber, endNumber, excludeId = null) => prisma.dianConfig.findFirst({
+  where: {
+    prefix,
+    isActive: true,
+    startNumber: { lte: endNumber },
+    endNumber: { gte: startNumber },
+    ...(excludeId && { id: { not: excludeId } })
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/resolutions:
+ *   get:
+ *     summary: List DIAN numbering resolutions with remaining numbers and days
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Numbering resolutions
+ */
+router.get('/resolutions', authenticateToken, requirePermission('dian:read'), async (req, res) => {
+  try {
+    const resolutions = await prisma.dianConfig.findMany({
+      orderBy: [{ prefix: 'asc' }, { resolutionDate: 'asc' }, { startNumber: 'asc' }]
+    });
+
+    res.json({ resolutions: resolutions.map(presentResolution) });
+  } catch (error) {
+    logger.error('Error fetching DIAN resolutions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/dian/resolutions:
+ *   post:
+ *     summary: Register a DIAN numbering resolution
+ *     description: Issuer data is copied from the active configuration unless provided.
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resolutionNumber
+ *               - resolutionDate
+ *               - prefix
+ *               - startNumber
+ *               - endNumber
+ *             properties:
+ *               documentType:
+ *                 type: string
+ *                 enum: [invoice, support]
+ *                 description: Sales invoices (default) or support documents
+ *               resolutionNumber:
+ *                 type: string
+ *               resolutionDate:
+ *                 type: string
+ *                 format: date
+ *               resolutionEndDate:
+ *                 type: string
+ *                 format: date
+ *               prefix:
+ *                 type: string
+ *               branch:
+ *                 type: string
+ *               startNumber:
+ *                 type: integer
+ *               endNumber:
+ *                 type: integer
+ *               currentNumber:
+ *                 type: integer
+ *                 description: Next number to issue (defaults to startNumber)
+ *               technicalKey:
+ *                 type: string
+ *               warningRemainingNumbers:
+ *                 type: integer
+ *               warningDaysBeforeExpiry:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Resolution registered
+ *       409:
+ *         description: Range overlaps an active resolution with the same prefix
+ */
+router.post('/resolutions',
+  authenticateToken,
+  requirePermission('dian:update'),
+  [
+    body('documentType').optional().isIn(['invoice', 'support']).withMessage('Document type must be invoice or support'),
+    body('resolutionNumber').trim().notEmpty().withMessage('Resolution number is required'),
+    body('resolutionDate').isISO8601().toDate().withMessage('Valid resolution date is required'),
+    body('resolutionEndDate').optional().isISO8601().toDate().withMessage('Valid resolution end date is required'),
+    body('prefix').trim().matches(/^[A-Z0-9]{0,4}$/i).withMessage('Prefix must have up to 4 letters or digits'),
+    body('branch').optional({ nullable: true }).trim(),
+    body('startNumber').isInt({ min: 1 }).toInt().withMessage('Start number must be a positive integer'),
+    body('endNumber').isInt({ min: 1 }).toInt().withMessage('End number must be a positive integer'),
+    body('currentNumber').optional().isInt({ min: 1 }).toInt(),
+    body('technicalKey').optional().trim(),
+    body('warningRemainingNumbers').optional().isInt({ min: 0 }).toInt(),
+    body('warningDaysBeforeExpiry').optional().isInt({ min: 0 }).toInt(),
+    ...ISSUER_FIELDS.map((field) => body(field).optional().trim().notEmpty())
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const data = pick(req.body, RESOLUTION_FIELDS);
+      data.prefix = data.prefix.toUpperCase();
+      data.currentNumber = data.currentNumber || data.startNumber;
+
+      if (data.startNumber > data.endNumber) {
+        return res.status(400).json({ error: 'Start number must not be greater than end number' });
+      }
+      if (data.currentNumber < data.startNumber || data.currentNumber > data.endNumber + 1) {
+        return res.status(400).json({ error: 'Current number must be within the authorized range' });
+      }
+      if (data.resolutionEndDate && data.resolutionEndDate <= data.resolutionDate) {
+        return res.status(400).json({ error: 'Resolution end date must be after the resolution date' });
+      }
+
+      const overlapping = await findOverlappingResolution(data.prefix, data.startNumber, data.endNumber);
+      if (overlapping) {
+        return res.status(409).json({
+          error: `Range overlaps resolution ${overlapping.resolutionNumber} (${overlapping.prefix}${overlapping.startNumber}-${overlapping.endNumber})`
+        });
+      }
+
+      // Issuer data, note and event consecutives carry over from the current configuration
+      const current = await getActiveConfig(prisma);
+      const issuer = { ...(current ? pick(current, ISSUER_FIELDS) : {}), ...pick(req.body, ISSUER_FIELDS) };
+      const missing = ISSUER_FIELDS.filter((field) => !issuer[field]);
+      if (missing.length > 0) {
+        return res.status(400).json({ error: `Issuer data is required: ${missing.join(', ')}` });
+      }
+
+      const resolution = await prisma.dianConfig.create({
+        data: {
+          ...issuer,
+          ...(current && {
+            creditNotePrefix: current.creditNotePrefix,
+            creditNoteNumber: current.creditNoteNumber,
+            debitNotePrefix: current.debitNotePrefix,
+            debitNoteNumber: current.debitNoteNumber,
+            eventPrefix: current.eventPrefix,
+            eventNumber: current.eventNumber
+          }),
+          ...data
+        }
+      });
+
+      logger.dian('REGISTER_RESOLUTION', 'created', {
+        resolutionNumber: resolution.resolutionNumber,
+        prefix: resolution.prefix,
+        branch: resolution.branch
+      });
+      res.status(201).json({ message: 'Numbering resolution registered', resolution: presentResolution(resolution) });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'Resolution already registered for this prefix' });
+      }
+      logger.error('Error registering DIAN resolution:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/dian/resolutions/{id}:
+ *   put:
+ *     summary: Update a DIAN numbering resolution (validity, branch, warnings or activation)
+ *     tags: [DIAN]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Resolution updated
+ */
+router.put('/resolutions/:id',
+  authenticateToken,
+  requirePermission('dian:update'),
+  [
+    body('resolutionEndDate').optional().isISO8601().toDate(),
+    body('branch').optional({ nullable: true }).trim(),
+    body('technicalKey').optional().trim(),
+    body('warningRemainingNumbers').optional().isInt({ min: 0 }).toInt(),
+    body('warningDaysBeforeExpiry').optional().isInt({ min: 0 }).toInt(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await prisma.dianConfig.findUnique({ where: { id: req.params.id } });
+      if (!existing) {
+        return res.status(404).json({ error: 'Resolution not found' });
+      }
+
+      // The authorized range and consecutive are fixed once numbers have been issued
+      const data = pick(req.body, [
+        'resolutionEndDate', 'branch', 'technicalKey', 'warningRemainingNumbers', 'warningDaysBeforeExpiry', 'isActive'
+      ]);
+      if (data.branch === '') {
+        data.branch = null;
+      }
+
+      if (data.isActive && !existing.isActive) {
+        const overlapping = await findOverlappingResolution(
+          existing.prefix, existing.startNumber, existing.endNumber, existing.id
+        );
+        if (overlapping) {
+          return res.status(409).json({
+            error: `Range overlaps resolution ${overlapping.resolutionNumber} (${overlapping.prefix}${overlapping.startNumber}-${overlapping.endNumber})`
+          });
+        }
+      }
+
+      const resolution = await prisma.dianConfig.update({
+        where: { id: existing.id },
+        // New thresholds or validity may warrant a new warning
+        data: { ...data, lastWarningAt: null }
+      });
+
+      logger.dian('UPDATE_RESOLUTION', 'updated', { resolutionNumber: resolution.resolutionNumber, changes: Object.keys(data) });
+      res.json({ message: 'Numbering resolution updated', resolution: presentResolution(resolution) });
+    } catch (error) {
+      logger.error('Error updating DIAN resolution:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/dian/settings:
@@ -563,7 +2853,7 @@ router.get('/settings', authenticateToken, requirePermission('dian:read'), async
       apiUrl: process.env.DIAN_API_URL || 'https://api.dian.gov.co',
       username: process.env.DIAN_USERNAME || 'Not configured',
       password: '***',
-      certificatePath: process.env.DIAN_CERTIFICATE_PATH || 'Not configured',
+      certificatePath: process.env.DIAN_CERT_PATH || process.env.DIAN_CERTIFICATE_PATH || 'Not configured',
       environment: process.env.NODE_ENV || 'development'
     };
 
@@ -0,0 +1,504 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  LAYAWAY_STATUSES, EXPIRY_POLICIES, DEPOSIT_METHODS, MAX_TERM_DAYS, LayawayError, LAYAWAY_INCLUDE,
+  withBalance, expireLayaways, findLayaway, createLayaway, addDeposit, cancelLayaway, refundLayaway
+} = require('../services/layaways');
+const { createSale, SaleError } = require('../services/sales');
+const { CashSessionError } = require('../services/cashSessions');
+const { NumberingError } = require('../services/dian/numbering');
+const { WITHHOLDING_CONCEPTS } = require('../services/withholdings');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const depositValidators = (field) => [
+  body(`${field}.method`).isIn(DEPOSIT_METHODS).withMessage('Invalid deposit method'),
+  body(`${field}.amount`).isFloat({ gt: 0 }).withMessage('Deposit amount must be greater than zero'),
+  body(`${field}.reference`).optional().trim().escape()
+];
+
+/**
+ * @swagger
+ * /api/layaways:
+ *   get:
+ *     summary: Get layaways (plan separe) with their deposits and balance
+ *     tags: [Layaways]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, completed, expired, refunded, forfeited]
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Layaway number or customer name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Layaways with paid and balance, soonest to expire first
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('sales:read'),
+  [
+    query('status').optional().isIn(LAYAWAY_STATUSES),
+    query('customerId').optional().isString(),
+    query('search').optional().trim(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        status, customerId, search, page = 1, limit = 20
+      } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      await expireLayaways(prisma);
+
+      const where = {};
+      if (status) where.status = status;
+      if (customerId) where.customerId = customerId;
+      if (search) {
+        where.OR = [
+          { layawayNumber: { contains: search, mode: 'insensitive' } },
+          { customer: { name: { contains: search, mode: 'insensitive' } } }
+        ];
+      }
+
+      const [layaways, total] = await Promise.all([
+        prisma.layaway.findMany({
+          where,
+          include: LAYAWAY_INCLUDE,
+          orderBy: { expiresAt: 'asc' },
+          skip,
+          take: parseInt(limit)
+        }),
+        prisma.layaway.count({ where })
+      ]);
+
+      res.json({
+        layaways: layaways.map(withBalance),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching layaways:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/layaways/{id}:
+ *   get:
+ *     summary: Get layaway by ID
+ *     tags: [Layaways]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Layaway with its lines, deposits, paid and balance
+ *       404:
+ *         description: Layaway not found
+ */
+router.get('/:id', authenticateToken, requirePermission('sales:read'), async (req, res) => {
+  try {
+    const layaway = await findLayaway(prisma, req.params.id);
+    res.json(layaway);
+  } catch (error) {
+    if (error instanceof LayawayError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error fetching layaway:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/layaways:
+ *   post:
+ *     summary: Open a layaway with an initial deposit, reserving its units at the agreed prices
+ *     tags: [Layaways]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Client-generated key (e.g. a UUID); a retry with the same key returns the original response
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerId
+ *               - items
+ *               - deposit
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *                       description: Agreed price; without it the customer's list price applies
+ *               deposit:
+ *                 type: object
+ *                 description: Initial deposit, at least LAYAWAY_MIN_DEPOSIT_PERCENT (default 10%) of the total
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [cash, card, transfer]
+ *                   amount:
+ *                     type: number
+ *                   reference:
+ *                     type: string
+ *               termDays:
+ *                 type: integer
+ *                 description: Days to pay and collect (default LAYAWAY_TERM_DAYS or 60, up to 180)
+ *               expiryPolicy:
+ *                 type: string
+ *                 enum: [refund, forfeit]
+ *                 description: What happens to the deposits on expiry or cancellation (default LAYAWAY_EXPIRY_POLICY or refund)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Layaway opened
+ *       403:
+ *         description: Agreed price below list price or cost without the sales:price-override permission
+ *       409:
+ *         description: Not enough unreserved stock (shortages listed in issues), or no open register session
+ *       422:
+ *         description: Idempotency-Key already used for a different request (IDEMPOTENCY_KEY_MISMATCH)
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('sales:create'),
+  idempotent,
+  [
+    body('customerId').notEmpty().withMessage('Customer is required'),
+    body('items').isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
+    body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+    body('deposit').isObject().withMessage('Initial deposit is required'),
+    ...depositValidators('deposit'),
+    body('termDays').optional().isInt({ min: 1, max: MAX_TERM_DAYS })
+      .withMessage(`Term must be between 1 and ${MAX_TERM_DAYS} days`),
+    body('expiryPolicy').optional().isIn(EXPIRY_POLICIES).withMessage('Invalid expiry policy'),
+    body('notes').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        customerId, items, deposit, termDays, expiryPolicy, notes
+      } = req.body;
+      const layaway = await createLayaway(prisma, {
+        customerId,
+        items,
+        deposit: { method: deposit.method, amount: Number(deposit.amount), reference: deposit.reference },
+        termDays,
+        expiryPolicy,
+        notes
+      }, req.user.id, req.user.permissions);
+
+      res.status(201).json(layaway);
+    } catch (error) {
+      if (error instanceof LayawayError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, issues: error.issues });
+      }
+      if (error instanceof CashSessionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error creating layaway:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/layaways/{id}/deposits:
+ *   post:
+ *     summary: Register a deposit on an active layaway
+ *     tags: [Layaways]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Client-generated key (e.g. a UUID); a retry with the same key returns the original response
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - method
+ *               - amount
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [cash, card, transfer]
+ *               amount:
+ *                 type: number
+ *                 description: Cannot exceed the balance
+ *               reference:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Deposit registered; returns the layaway with its new balance
+ *       409:
+ *         description: Layaway completed, expired or closed, or no open register session
+ *       422:
+ *         description: Idempotency-Key already used for a different request (IDEMPOTENCY_KEY_MISMATCH)
+ */
+router.post('/:id/deposits',
+  authenticateToken,
+  requirePermission('sales:create'),
+  idempotent,
+  [
+    body('method').isIn(DEPOSIT_METHODS).withMessage('Invalid deposit method'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Deposit amount must be greater than zero'),
+    body('reference').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { method, amount, reference } = req.body;
+      const layaway = await addDeposit(prisma, req.params.id, {
+        method, amount: Number(amount), reference
+      }, req.user.id);
+
+      res.status(201).json(layaway);
+    } catch (error) {
+      if (error instanceof LayawayError || error instanceof CashSessionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error registering layaway deposit:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/layaways/{id}/convert:
+ *   post:
+ *     summary: Convert a fully paid layaway into a sale with its deposits applied
+ *     description: |
+ *       The sale goes to the layaway's customer with its lines at the agreed prices, through
+ *       the cashier's open register session. Deposits above the amount due (e.g. after customer
+ *       withholdings) are handed back as change.
+ *     tags: [Layaways]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branch:
+ *                 type: string
+ *               withholdingConcept:
+ *                 type: string
+ *                 enum: [COMPRAS, SERVICIOS, HONORARIOS, ARRENDAMIENTOS, TRANSPORTE]
+ *     responses:
+ *       201:
+ *         description: Sale created and layaway completed
+ *       409:
+ *         description: Layaway not fully paid or already closed, not enough stock, or no open register session
+ */
+router.post('/:id/convert',
+  authenticateToken,
+  requirePermission('sales:create'),
+  [
+    body('branch').optional().trim(),
+    body('withholdingConcept').optional().isIn(WITHHOLDING_CONCEPTS).withMessage('Invalid withholding concept')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { branch, withholdingConcept } = req.body;
+      const sale = await createSale(prisma, {
+        layawayId: req.params.id,
+        branch,
+        withholdingConcept
+      }, req.user.id, req.user.permissions);
+
+      res.status(201).json({ layaway: await findLayaway(prisma, req.params.id), sale });
+    } catch (error) {
+      if (error instanceof LayawayError || error instanceof SaleError
+        || error instanceof CashSessionError || error instanceof NumberingError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error converting layaway:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/layaways/{id}/cancel:
+ *   post:
+ *     summary: Cancel an active layaway at the customer's request, releasing its units
+ *     description: With the refund policy the deposits are paid back in cash right away; with forfeit the store keeps them.
+ *     tags: [Layaways]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Layaway refunded or forfeited
+ *       409:
+ *         description: Layaway already closed, not enough cash in the register, or no open register session
+ */
+router.post('/:id/cancel',
+  authenticateToken,
+  requirePermission('sales:update'),
+  [body('reason').optional().trim().escape()],
+  async (req, res) => {
+    try {
+      const layaway = await cancelLayaway(prisma, req.params.id, { reason: req.body.reason }, req.user.id);
+      logger.audit('LAYAWAY_CANCELLED', req.user.id, {
+        layawayNumber: layaway.layawayNumber, status: layaway.status, paid: layaway.paid, reason: req.body.reason
+      });
+      res.json(layaway);
+    } catch (error) {
+      if (error instanceof LayawayError || error instanceof CashSessionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error cancelling layaway:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/layaways/{id}/refund:
+ *   post:
+ *     summary: Pay back in cash the deposits of an expired layaway with the refund policy
+ *     tags: [Layaways]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deposits refunded
+ *       409:
+ *         description: Layaway is not awaiting a refund, not enough cash in the register, or no open register session
+ */
+router.post('/:id/refund', authenticateToken, requirePermission('sales:update'), async (req, res) => {
+  try {
+    const layaway = await refundLayaway(prisma, req.params.id, req.user.id);
+    logger.audit('LAYAWAY_REFUNDED', req.user.id, {
+      layawayNumber: layaway.layawayNumber, refundAmount: layaway.refundAmount
+    });
+    res.json(layaway);
+  } catch (error) {
+    if (error instanceof LayawayError || error instanceof CashSessionError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error refunding layaway:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { TENDER_METHODS } = require('../services/sales');
+const { WITHHOLDING_CONCEPTS } = require('../services/withholdings');
+const { MAX_BATCH_SIZE, buildOfflineCatalog, syncOfflineSales } = require('../services/offlineSync');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * @swagger
+ * /api/offline-sales/catalog:
+ *   get:
+ *     summary: Catalog the POS caches to keep selling without connection
+ *     tags: [Offline Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: |
+ *           Active products with their tax and available stock, active customers with their group,
+ *           and the price lists in force with their quantity breaks
+ */
+router.get('/catalog', authenticateToken, requirePermission('sales:create'), async (req, res) => {
+  try {
+    const catalog = await buildOfflineCatalog(prisma);
+    res.json(catalog);
+  } catch (error) {
+    logger.error('Error building offline catalog:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/offline-sales/sync:
+ *   post:
+ *     summary: Register the sales made while offline. Idempotent by clientId; conflicts are reported per sale.
+ *     tags: [Offline Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sales
+ *             properties:
+ *               sales:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - clientId
+ *                     - items
+ *                   properties:
+ *                     clientId:
+ *                       type: string
+ *                       format: uuid
+ *                       description: Generated by the POS; a sale already registered comes back as duplicate
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When it was sold; the batch is registered in this order
+ *                     customerId:
+ *                       type: string
+ *                     customerName:
+ *                       type: string
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           productId:
+ *                             type: string
+ *                           quantity:
+ *                             type: integer
+ *                           unitPrice:
+ *                             type: number
+ *                             description: Price charged offline
+ *                     payments:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     paymentMethod:
+ *                       type: string
+ *                       enum: [cash, card, transfer, credit]
+ *                     expectedTotal:
+ *                       type: number
+ *                       description: Total charged offline; a different server total is a price conflict
+ *                     allowStockShortage:
+ *                       type: boolean
+ *                       description: Register it even without stock (requires inventory:update)
+ *                     withholdingConcept:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: |
+ *           One result per sale: synced (with its invoice number), duplicate, conflict (type stock, price,
+ *           catalog, numbering, cash_session, credit or promotion, with code, message and issues) or error
+ */
+router.post('/sync',
+  authenticateToken,
+  requirePermission('sales:create'),
+  [
+    body('sales').isArray({ min: 1, max: MAX_BATCH_SIZE })
+      .withMessage(`Sales must be an array with 1 to ${MAX_BATCH_SIZE} sales`),
+    body('sales.*.clientId').isUUID().withMessage('Client ID must be a UUID'),
+    body('sales.*').custom((sale) => Boolean(sale && (sale.payments || sale.paymentMethod)))
+      .withMessage('Each sale needs its payments or a payment method'),
+    body('sales.*.createdAt').optional().isISO8601().withMessage('Invalid sale date'),
+    body('sales.*.customerId').optional({ nullable: true }).isString(),
+    body('sales.*.customerName').optional().trim().escape(),
+    body('sales.*.items').isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
+    body('sales.*.items.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('sales.*.items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('sales.*.items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 })
+      .withMessage('Unit price must be a positive number'),
+    body('sales.*.payments').optional().isArray({ min: 1 }).withMessage('Payments must be an array with at least 1 tender'),
+    body('sales.*.payments.*.method').isIn(TENDER_METHODS).withMessage('Invalid tender method'),
+    body('sales.*.payments.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be greater than 0'),
+    body('sales.*.payments.*.reference').optional().trim(),
+    body('sales.*.paymentMethod').optional().isIn([...TENDER_METHODS, 'credit']).withMessage('Invalid payment method'),
+    body('sales.*.expectedTotal').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('sales.*.allowStockShortage').optional().isBoolean().toBoolean(),
+    body('sales.*.withholdingConcept').optional().isIn(WITHHOLDING_CONCEPTS).withMessage('Invalid withholding concept'),
+    body('sales.*.notes').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const sales = req.body.sales.map((sale) => ({
+        clientId: sale.clientId,
+        createdAt: sale.createdAt,
+        customerId: sale.customerId,
+        customerName: sale.customerName,
+        items: sale.items.map((item) => ({ productId: item.productId, quantity: item.quantity, unitPrice: item.unitPrice })),
+        payments: sale.payments,
+        paymentMethod: sale.paymentMethod,
+        expectedTotal: sale.expectedTotal,
+        allowStockShortage: sale.allowStockShortage,
+        withholdingConcept: sale.withholdingConcept,
+        notes: sale.notes
+      }));
+      const result = await syncOfflineSales(prisma, sales, req.user);
+
+      logger.info(`Offline sync by ${req.user.username}: ${result.summary.synced} synced, `
+        + `${result.summary.duplicates} duplicates, ${result.summary.conflicts} conflicts`);
+      res.json(result);
+    } catch (error) {
+      logger.error('Error syncing offline sales:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const {
+  PARKED_SALE_STATUSES, MAX_TTL_MINUTES, ParkedSaleError, PARKED_SALE_INCLUDE, expireParkedSales, findParkedSale,
+  parkSale, updateParkedSale, cancelParkedSale
+} = require('../services/parkedSales');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const parkedSaleValidators = [
+  body('customerId').optional({ nullable: true }).isString(),
+  body('customerName').optional().trim().escape(),
+  body('couponCode').optional({ nullable: true }).trim(),
+  body('notes').optional().trim().escape(),
+  body('expiresInMinutes').optional().isInt({ min: 1, max: MAX_TTL_MINUTES })
+    .withMessage(`Expiry must be between 1 and ${MAX_TTL_MINUTES} minutes`),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('items.*.unitPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Unit price must be a positive number')
+];
+
+/**
+ * @swagger
+ * /api/parked-sales:
+ *   get:
+ *     summary: Get parked sales, from every register
+ *     tags: [Parked Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [parked, completed, cancelled, expired]
+ *         description: Default parked
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Label or customer name
+ *     responses:
+ *       200:
+ *         description: Parked sales with their lines, oldest first
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('sales:read'),
+  [
+    query('status').optional().isIn(PARKED_SALE_STATUSES),
+    query('search').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status = 'parked', search } = req.query;
+
+      await expireParkedSales(prisma);
+
+      const where = { status };
+      if (search) {
+        where.OR = [
+          { label: { contains: search, mode: 'insensitive' } },
+          { customerName: { contains: search, mode: 'insensitive' } },
+          { customer: { name: { contains: search, mode: 'insensitive' } } }
+        ];
+      }
+
+      const parkedSales = await prisma.parkedSale.findMany({
+        where,
+        include: PARKED_SALE_INCLUDE,
+        orderBy: { createdAt: status === 'parked' ? 'asc' : 'desc' },
+        take: 100
+      });
+
+      res.json(parkedSales);
+    } catch (error) {
+      logger.error('Error fetching parked sales:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/parked-sales/{id}:
+ *   get:
+ *     summary: Get parked sale by ID
+ *     tags: [Parked Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Parked sale with its lines
+ *       404:
+ *         description: Parked sale not found
+ */
+router.get('/:id', authenticateToken, requirePermission('sales:read'), async (req, res) => {
+  try {
+    const parkedSale = await findParkedSale(prisma, req.params.id);
+    res.json(parkedSale);
+  } catch (error) {
+    if (error instanceof ParkedSaleError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error fetching parked sale:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/parked-sales:
+ *   post:
+ *     summary: Park an in-progress sale, reserving its units without deducting them from stock
+ *     tags: [Parked Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - label
+ *               - items
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 description: How the cashier identifies the ticket (e.g. customer and truck)
+ *               customerId:
+ *                 type: string
+ *               customerName:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               expiresInMinutes:
+ *                 type: integer
+ *                 description: Reservation time (default PARKED_SALE_TTL_MINUTES or 120, up to 1440)
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *                       description: Keyed-in price; without it the list price applies when charged
+ *     responses:
+ *       201:
+ *         description: Sale parked
+ *       409:
+ *         description: Not enough unreserved stock (shortages listed in issues)
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('sales:create'),
+  [
+    body('label').isLength({ min: 1, max: 80 }).trim().escape().withMessage('Label is required'),
+    body('items').isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
+    ...parkedSaleValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        label, customerId, customerName, couponCode, notes, items, expiresInMinutes
+      } = req.body;
+      const parkedSale = await parkSale(prisma, {
+        label, customerId, customerName, couponCode, notes, items, expiresInMinutes
+      }, req.user.id);
+
+      res.status(201).json(parkedSale);
+    } catch (error) {
+      if (error instanceof ParkedSaleError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, issues: error.issues });
+      }
+      logger.error('Error parking sale:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/parked-sales/{id}:
+ *   put:
+ *     summary: Update a parked sale. Items sent replace its lines and reservations; expiresInMinutes counts from now.
+ *     tags: [Parked Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               customerId:
+ *                 type: string
+ *               customerName:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               expiresInMinutes:
+ *                 type: integer
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Parked sale updated
+ *       409:
+ *         description: Parked sale already charged, cancelled or expired, or not enough unreserved stock
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('sales:create'),
+  [
+    body('label').optional().isLength({ min: 1, max: 80 }).trim().escape(),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
+    ...parkedSaleValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        label, customerId, customerName, couponCode, notes, items, expiresInMinutes
+      } = req.body;
+      const parkedSale = await updateParkedSale(prisma, req.params.id, {
+        label, customerId, customerName, couponCode, notes, items, expiresInMinutes
+      });
+
+      logger.info(`Parked sale updated: ${parkedSale.label}`);
+      res.json(parkedSale);
+    } catch (error) {
+      if (error instanceof ParkedSaleError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, issues: error.issues });
+      }
+      logger.error('Error updating parked sale:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/parked-sales/{id}:
+ *   delete:
+ *     summary: Cancel a parked sale, releasing its reserved units
+ *     tags: [Parked Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Parked sale cancelled
+ *       409:
+ *         description: Parked sale already charged, cancelled or expired
+ */
+router.delete('/:id', authenticateToken, requirePermission('sales:create'), async (req, res) => {
+  try {
+    const parkedSale = await cancelParkedSale(prisma, req.params.id, req.user.id);
+    res.json(parkedSale);
+  } catch (error) {
+    if (error instanceof ParkedSaleError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error cancelling parked sale:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
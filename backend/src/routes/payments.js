@@ -3,6 +3,8 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { body, query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { idempotent } = require('../middleware/idempotency');
+const { findOpenSession } = require('../services/cashSessions');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -211,6 +213,12 @@ router.get('/:id', authenticateToken, requirePermission('payments:read'), async
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Client-generated key (e.g. a UUID); a retry with the same key returns the original response
  *     requestBody:
  *       required: true
  *       content:
@@ -239,10 +247,15 @@ router.get('/:id', authenticateToken, requirePermission('payments:read'), async
  *     responses:
  *       201:
  *         description: Payment created successfully
+ *       409:
+ *         description: Cash payment without an open cash register session
+ *       422:
+ *         description: Idempotency-Key already used for a different request (IDEMPOTENCY_KEY_MISMATCH)
  */
 router.post('/', 
   authenticateToken, 
   requirePermission('payments:create'),
+  idempotent,
   [
     body('creditId').isUUID(),
     body('amount').isFloat({ min: 0.01 }),
@@ -287,9 +300,19 @@ router.post('/',
         });
       }
 
+      // Cash goes into the cashier's open register session; other methods are linked when one is open
+      const cashSession = await findOpenSession(prisma, req.user.id);
+      if (!cashSession && paymentMethod === 'cash') {
+        return res.status(409).json({
+          error: 'No open cash register session; open the register before receiving cash',
+          code: 'CASH_SESSION_REQUIRED'
+        });
+      }
+
       // Create payment
       const payment = await prisma.payment.create({
         data: {
+          cashSessionId: cashSession ? cashSession.id : null,
           creditId,
           amount,
           paymentMethod,
@@ -504,7 +527,7 @@ router.delete('/:id', authenticateToken, requirePermission('payments:delete'), a
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Payment summary statistics
+ *         description: Payment summary statistics, with the tenders received on sales broken down by method
  */
 router.get('/summary', authenticateToken, requirePermission('payments:read'), async (req, res) => {
   try {
@@ -541,6 +564,14 @@ router.get('/summary', authenticateToken, requirePermission('payments:read'), as
       _count: true
     });
 
+    // Get tenders received on sales, by method
+    const tenderBreakdown = await prisma.payment.groupBy({
+      by: ['method'],
+      where: { saleId: { not: null }, creditId: null },
+      _sum: { amount: true, changeDue: true },
+      _count: true
+    });
+
     // Get recent payments
     const recentPayments = await prisma.payment.findMany({
       include: {
@@ -576,6 +607,12 @@ router.get('/summary', authenticateToken, requirePermission('payments:read'), as
         amount: item._sum.amount || 0,
         count: item._count || 0
       })),
+      tenders: tenderBreakdown.map(item => ({
+        method: item.method,
+        amount: item._sum.amount || 0,
+        changeDue: item._sum.changeDue || 0,
+        count: item._count || 0
+      })),
       recentPayments
     };
 
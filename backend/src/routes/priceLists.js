@@ -0,0 +1,412 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const itemValidators = [
+  body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+  body('items.*.minQuantity').optional().isInt({ min: 1 }).withMessage('Minimum quantity must be a positive integer'),
+  body('items.*.price').isFloat({ min: 0 }).withMessage('Price must be a positive number')
+];
+
+/**
+ * Validate price list items: existing products and one price per quantity break
+ */
+const findItemsError = async (items) => {
+  const seen = new Set();
+  for (const item of items) {
+    const key = `${item.productId}:${item.minQuantity || 1}`;
+    if (seen.has(key)) {
+      return `Duplicate quantity break ${item.minQuantity || 1} for product ${item.productId}`;
+    }
+    seen.add(key);
+  }
+
+  const productIds = [...new Set(items.map((item) => item.productId))];
+  const found = await prisma.product.count({ where: { id: { in: productIds } } });
+  return found === productIds.length ? null : 'One or more products not found';
+};
+
+const findValidityError = (validFrom, validTo) => (
+  validFrom && validTo && new Date(validTo) < new Date(validFrom) ? 'Valid to must be after valid from' : null
+);
+
+const toItems = (items) => items.map((item) => ({
+  productId: item.productId,
+  minQuantity: item.minQuantity || 1,
+  price: item.price
+}));
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   get:
+ *     summary: Get price lists
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Price lists with the number of items, customers and groups using them
+ */
+router.get('/', authenticateToken, requirePermission('price-lists:read'), async (req, res) => {
+  try {
+    const priceLists = await prisma.priceList.findMany({
+      include: {
+        _count: {
+          select: { items: true, customers: true, groups: true }
+        }
+      },
+      orderBy: [{ isDefault: 'desc' }, { name: 'asc' }]
+    });
+
+    res.json(priceLists);
+  } catch (error) {
+    logger.error('Error fetching price lists:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   get:
+ *     summary: Get price list with its quantity breaks
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price list
+ *       404:
+ *         description: Price list not found
+ */
+router.get('/:id', authenticateToken, requirePermission('price-lists:read'), async (req, res) => {
+  try {
+    const priceList = await prisma.priceList.findUnique({
+      where: { id: req.params.id },
+      include: {
+        items: {
+          include: {
+            product: {
+              select: { id: true, code: true, name: true, price: true, cost: true }
+            }
+          },
+          orderBy: [{ productId: 'asc' }, { minQuantity: 'asc' }]
+        },
+        customers: {
+          select: { id: true, name: true }
+        },
+        groups: {
+          select: { id: true, name: true }
+        }
+      }
+    });
+
+    if (!priceList) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    res.json(priceList);
+  } catch (error) {
+    logger.error('Error fetching price list:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   post:
+ *     summary: Create price list
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *                 description: Applies to customers without a list of their own or of their group
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validTo:
+ *                 type: string
+ *                 format: date
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     minQuantity:
+ *                       type: integer
+ *                       description: Quantity per line from which the price applies (default 1)
+ *                     price:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Price list created successfully
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('price-lists:create'),
+  [
+    body('name').isLength({ min: 2 }).trim().escape(),
+    body('description').optional().trim().escape(),
+    body('isDefault').optional().isBoolean(),
+    body('validFrom').optional({ nullable: true }).isISO8601(),
+    body('validTo').optional({ nullable: true }).isISO8601(),
+    body('items').optional().isArray(),
+    ...itemValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        name, description, isDefault = false, validFrom, validTo, items = []
+      } = req.body;
+
+      const existing = await prisma.priceList.findUnique({ where: { name } });
+      if (existing) {
+        return res.status(400).json({ error: 'Price list name already exists' });
+      }
+
+      const inputError = findValidityError(validFrom, validTo) || await findItemsError(items);
+      if (inputError) {
+        return res.status(400).json({ error: inputError });
+      }
+
+      const priceList = await prisma.$transaction(async (tx) => {
+        // Only one default list
+        if (isDefault) {
+          await tx.priceList.updateMany({ where: { isDefault: true }, data: { isDefault: false } });
+        }
+
+        return tx.priceList.create({
+          data: {
+            name,
+            description,
+            isDefault,
+            validFrom: validFrom ? new Date(validFrom) : null,
+            validTo: validTo ? new Date(validTo) : null,
+            items: { create: toItems(items) }
+          },
+          include: { items: true }
+        });
+      });
+
+      logger.info(`Price list created: ${name} with ${items.length} prices`);
+      res.status(201).json(priceList);
+    } catch (error) {
+      logger.error('Error creating price list:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   put:
+ *     summary: Update price list. When items are sent they replace all of the list's prices; recorded sales keep their prices.
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validTo:
+ *                 type: string
+ *                 format: date
+ *               isActive:
+ *                 type: boolean
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Price list updated successfully
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('price-lists:update'),
+  [
+    body('name').optional().isLength({ min: 2 }).trim().escape(),
+    body('description').optional().trim().escape(),
+    body('isDefault').optional().isBoolean(),
+    body('validFrom').optional({ nullable: true }).isISO8601(),
+    body('validTo').optional({ nullable: true }).isISO8601(),
+    body('isActive').optional().isBoolean(),
+    body('items').optional().isArray(),
+    ...itemValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const priceList = await prisma.priceList.findUnique({ where: { id } });
+
+      if (!priceList) {
+        return res.status(404).json({ error: 'Price list not found' });
+      }
+
+      const {
+        name, description, isDefault, validFrom, validTo, isActive, items
+      } = req.body;
+
+      if (name && name !== priceList.name) {
+        const existing = await prisma.priceList.findUnique({ where: { name } });
+        if (existing) {
+          return res.status(400).json({ error: 'Price list name already exists' });
+        }
+      }
+
+      const inputError = findValidityError(
+        validFrom !== undefined ? validFrom : priceList.validFrom,
+        validTo !== undefined ? validTo : priceList.validTo
+      ) || (items ? await findItemsError(items) : null);
+      if (inputError) {
+        return res.status(400).json({ error: inputError });
+      }
+
+      const data = { name, description, isDefault, isActive };
+      if (validFrom !== undefined) {
+        data.validFrom = validFrom ? new Date(validFrom) : null;
+      }
+      if (validTo !== undefined) {
+        data.validTo = validTo ? new Date(validTo) : null;
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        if (isDefault) {
+          await tx.priceList.updateMany({ where: { isDefault: true, id: { not: id } }, data: { isDefault: false } });
+        }
+        if (items) {
+          await tx.priceListItem.deleteMany({ where: { priceListId: id } });
+          data.items = { create: toItems(items) };
+        }
+
+        return tx.priceList.update({
+          where: { id },
+          data,
+          include: { items: true }
+        });
+      });
+
+      logger.info(`Price list updated: ${updated.name}`);
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating price list:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   delete:
+ *     summary: Delete price list
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price list deleted successfully
+ *       400:
+ *         description: Price list assigned to customers or groups, or used on sales
+ */
+router.delete('/:id', authenticateToken, requirePermission('price-lists:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const priceList = await prisma.priceList.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { customers: true, groups: true, saleItems: true }
+        }
+      }
+    });
+
+    if (!priceList) {
+      return res.status(404).json({ error: 'Price list not found' });
+    }
+
+    if (priceList._count.customers > 0 || priceList._count.groups > 0 || priceList._count.saleItems > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete a price list assigned to customers or groups or used on sales; deactivate it instead'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.priceListItem.deleteMany({ where: { priceListId: id } }),
+      prisma.priceList.delete({ where: { id } })
+    ]);
+
+    logger.info(`Price list deleted: ${priceList.name}`);
+    res.json({ message: 'Price list deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting price list:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
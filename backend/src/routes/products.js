@@ -6,6 +6,8 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { resolveTaxClass, taxOfClass } = require('../services/taxes');
+const { reservedQuantities, withAvailability } = require('../services/stockReservations');
 
 // ============================================================================
 // CONFIGURATION
@@ -13,6 +15,20 @@ const logger = require('../utils/logger');
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Effective tax of a product: its own tax class, its category's, or the general IVA
+const withTax = (product) => ({ ...product, tax: taxOfClass(resolveTaxClass(product)) });
+
+/**
+ * Validate that an assigned tax class exists and is active
+ */
+const findTaxClassError = async (taxClassId) => {
+  if (!taxClassId) {
+    return null;
+  }
+  const taxClass = await prisma.taxClass.findUnique({ where: { id: taxClassId } });
+  return taxClass && taxClass.isActive ? null : 'Tax class not found or inactive';
+};
+
 // ============================================================================
 // VALIDATION RULES
 // ============================================================================
@@ -63,7 +79,7 @@ const productValidationRules = {
  *         description: Search term
  *     responses:
  *       200:
- *         description: List of products
+ *         description: List of products, with the units reserved by parked sales and layaways and the available stock (stock - reserved)
  */
 // ============================================================================
 // ROUTE HANDLERS
@@ -96,17 +112,21 @@ router.get('/', authenticateToken, async (req, res) => {
           category: {
             select: {
               id: true,
-              name: true
+              name: true,
+              taxClass: true
             }
-          }
+          },
+          taxClass: true
         },
         orderBy: { name: 'asc' }
       }),
       prisma.product.count({ where })
     ]);
 
+    const reserved = await reservedQuantities(prisma, products.map((product) => product.id));
+
     res.json({
-      products,
+      products: products.map((product) => withAvailability(withTax(product), reserved)),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -139,7 +159,7 @@ router.get('/', authenticateToken, async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: Product details
+ *         description: Product details, with reserved and available stock
  */
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -147,7 +167,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const product = await prisma.product.findUnique({
       where: { id },
       include: {
-        category: true,
+        category: {
+          include: { taxClass: true }
+        },
+        taxClass: true,
         supplier: true
       }
     });
@@ -156,7 +179,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    res.json(product);
+    const reserved = await reservedQuantities(prisma, [product.id]);
+    res.json(withAvailability(withTax(product), reserved));
   } catch (error) {
     logger.error('Error fetching product:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -199,6 +223,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                 type: integer
  *               categoryId:
  *                 type: string
+ *               taxClassId:
+ *                 type: string
+ *                 description: Tax class; when omitted the category's tax class applies
  *               supplierId:
  *                 type: string
  *     responses:
@@ -215,6 +242,7 @@ router.post('/',
     body('stock').optional().isInt({ min: 0 }),
     body('minStock').optional().isInt({ min: 0 }),
     body('categoryId').isUUID(),
+    body('taxClassId').optional({ nullable: true }).isString(),
   ],
   async (req, res) => {
     try {
@@ -223,7 +251,12 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { name, code, description, price, cost, stock, minStock, categoryId } = req.body;
+      const { name, code, description, price, cost, stock, minStock, categoryId, taxClassId } = req.body;
+
+      const taxClassError = await findTaxClassError(taxClassId);
+      if (taxClassError) {
+        return res.status(400).json({ error: taxClassError });
+      }
 
       // Check if product code already exists
       const existingProduct = await prisma.product.findFirst({
@@ -244,10 +277,12 @@ router.post('/',
           cost: cost || 0,
           stock: stock || 0,
           minStock: minStock || 0,
-          categoryId
+          categoryId,
+          taxClassId: taxClassId || null
         },
         include: {
           category: true,
+          taxClass: true
         }
       });
 
@@ -297,6 +332,9 @@ router.post('/',
  *                 type: integer
  *               categoryId:
  *                 type: string
+ *               taxClassId:
+ *                 type: string
+ *                 nullable: true
  *               supplierId:
  *                 type: string
  *     responses:
@@ -313,6 +351,7 @@ router.put('/:id',
     body('stock').optional().isInt({ min: 0 }),
     body('minStock').optional().isInt({ min: 0 }),
     body('categoryId').optional().isUUID(),
+    body('taxClassId').optional({ nullable: true }).isString(),
   ],
   async (req, res) => {
     try {
@@ -329,6 +368,11 @@ router.put('/:id',
         updateData[key] === undefined && delete updateData[key]
       );
 
+      const taxClassError = await findTaxClassError(updateData.taxClassId);
+      if (taxClassError) {
+        return res.status(400).json({ error: taxClassError });
+      }
+
       // Check if code already exists (if updating code)
       if (updateData.code) {
         const existingProduct = await prisma.product.findFirst({
@@ -348,6 +392,7 @@ router.put('/:id',
         data: updateData,
         include: {
           category: true,
+          taxClass: true
         }
       });
 
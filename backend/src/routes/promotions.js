@@ -0,0 +1,495 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { PROMOTION_TYPES, normalizeCoupon } = require('../services/promotions');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const promotionValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 2 }).trim().escape(),
+    body('description').optional().trim().escape(),
+    field('type').isIn(PROMOTION_TYPES).withMessage('Invalid promotion type'),
+    body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+    body('buyQuantity').optional({ nullable: true }).isInt({ min: 1 }),
+    body('getQuantity').optional({ nullable: true }).isInt({ min: 1 }),
+    body('categoryId').optional({ nullable: true }).isString(),
+    body('couponCode').optional({ nullable: true }).trim().isLength({ min: 3, max: 30 }),
+    body('minSubtotal').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('stackable').optional().isBoolean(),
+    body('priority').optional().isInt(),
+    field('startsAt').isISO8601(),
+    body('endsAt').optional({ nullable: true }).isISO8601(),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }),
+    body('isActive').optional().isBoolean(),
+    body('products').optional().isArray(),
+    body('products.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('products.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+  ];
+};
+
+/**
+ * Validate the rules of a promotion type, its scope and its dates
+ */
+const findPromotionError = async (promotion, id) => {
+  const value = Number(promotion.value || 0);
+  const products = promotion.products || [];
+
+  if (promotion.type === 'PERCENTAGE' && (value <= 0 || value > 100)) {
+    return 'Percentage must be between 0 and 100';
+  }
+  if (promotion.type === 'AMOUNT' && value <= 0) {
+    return 'Discount amount must be greater than 0';
+  }
+  if (promotion.type === 'BUY_X_GET_Y') {
+    if (!promotion.buyQuantity || !promotion.getQuantity) {
+      return 'Buy X get Y promotions require buyQuantity and getQuantity';
+    }
+    if (value <= 0 || value > 100) {
+      return 'Discount on the Y units must be between 0 and 100 percent (100 = free)';
+    }
+  }
+  if (promotion.type === 'COMBO' && (products.length < 2 || value <= 0)) {
+    return 'Combos require at least two products and a combo price';
+  }
+  if (promotion.categoryId && products.length > 0) {
+    return 'A promotion applies to some products or to a category, not both';
+  }
+  if (promotion.endsAt && new Date(promotion.endsAt) < new Date(promotion.startsAt)) {
+    return 'End date must be after start date';
+  }
+
+  if (promotion.categoryId) {
+    const category = await prisma.category.findUnique({ where: { id: promotion.categoryId } });
+    if (!category) {
+      return 'Category not found';
+    }
+  }
+
+  const productIds = products.map((product) => product.productId);
+  if (new Set(productIds).size !== productIds.length) {
+    return 'Each product can appear once in a promotion';
+  }
+  if (productIds.length > 0) {
+    const found = await prisma.product.count({ where: { id: { in: productIds } } });
+    if (found !== productIds.length) {
+      return 'One or more products not found';
+    }
+  }
+
+  if (promotion.couponCode) {
+    const existing = await prisma.promotion.findUnique({ where: { couponCode: promotion.couponCode } });
+    if (existing && existing.id !== id) {
+      return 'Coupon code already exists';
+    }
+  }
+
+  return null;
+};
+
+const toProducts = (products) => products.map((product) => ({
+  productId: product.productId,
+  quantity: product.quantity || 1
+}));
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Get promotions
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only active promotions in force today
+ *     responses:
+ *       200:
+ *         description: Promotions with their products, category and number of sale lines
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('promotions:read'),
+  [
+    query('active').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const where = {};
+      if (req.query.active === 'true') {
+        const now = new Date();
+        where.isActive = true;
+        where.startsAt = { lte: now };
+        where.OR = [{ endsAt: null }, { endsAt: { gte: now } }];
+      }
+
+      const promotions = await prisma.promotion.findMany({
+        where,
+        include: {
+          category: { select: { id: true, name: true } },
+          products: {
+            include: {
+              product: { select: { id: true, code: true, name: true, price: true } }
+            }
+          },
+          _count: {
+            select: { saleItems: true }
+          }
+        },
+        orderBy: [{ priority: 'desc' }, { startsAt: 'desc' }]
+      });
+
+      res.json(promotions);
+    } catch (error) {
+      logger.error('Error fetching promotions:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Get promotion with its usage and cost so far
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion
+ *       404:
+ *         description: Promotion not found
+ */
+router.get('/:id', authenticateToken, requirePermission('promotions:read'), async (req, res) => {
+  try {
+    const promotion = await prisma.promotion.findUnique({
+      where: { id: req.params.id },
+      include: {
+        category: { select: { id: true, name: true } },
+        products: {
+          include: {
+            product: { select: { id: true, code: true, name: true, price: true } }
+          }
+        }
+      }
+    });
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    const usage = await prisma.saleItemPromotion.aggregate({
+      where: { promotionId: promotion.id },
+      _sum: { amount: true },
+      _count: true
+    });
+
+    res.json({
+      ...promotion,
+      usage: {
+        lines: usage._count,
+        discount: Number(usage._sum.amount || 0)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching promotion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - type
+ *               - startsAt
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [PERCENTAGE, AMOUNT, BUY_X_GET_Y, COMBO]
+ *               value:
+ *                 type: number
+ *                 description: |
+ *                   PERCENTAGE: percent off. AMOUNT: amount off per unit. BUY_X_GET_Y: percent off the
+ *                   Y units (100 = free). COMBO: price of the combo.
+ *               buyQuantity:
+ *                 type: integer
+ *               getQuantity:
+ *                 type: integer
+ *               categoryId:
+ *                 type: string
+ *                 description: Category-wide campaign; leave products empty
+ *               products:
+ *                 type: array
+ *                 description: Products in scope; for combos, the quantity of each product in the combo
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               couponCode:
+ *                 type: string
+ *                 description: When set, the promotion only applies if the coupon is entered on the sale
+ *               minSubtotal:
+ *                 type: number
+ *                 description: Minimum amount of the promotion's products on the sale
+ *               stackable:
+ *                 type: boolean
+ *                 description: Combines with other stackable promotions on the same line
+ *               priority:
+ *                 type: integer
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               usageLimit:
+ *                 type: integer
+ *                 description: Maximum number of sales it can apply to
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('promotions:create'),
+  promotionValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        name, description, type, value = 0, buyQuantity, getQuantity, categoryId, couponCode,
+        minSubtotal, stackable = false, priority = 0, startsAt, endsAt, usageLimit, products = []
+      } = req.body;
+
+      const data = {
+        name,
+        description,
+        type,
+        value: type === 'BUY_X_GET_Y' && !req.body.value ? 100 : value,
+        buyQuantity: type === 'BUY_X_GET_Y' ? buyQuantity : null,
+        getQuantity: type === 'BUY_X_GET_Y' ? getQuantity : null,
+        categoryId: categoryId || null,
+        couponCode: couponCode ? normalizeCoupon(couponCode) : null,
+        minSubtotal: minSubtotal ?? null,
+        stackable,
+        priority,
+        startsAt: new Date(startsAt),
+        endsAt: endsAt ? new Date(endsAt) : null,
+        usageLimit: usageLimit ?? null
+      };
+
+      const inputError = await findPromotionError({ ...data, products });
+      if (inputError) {
+        return res.status(400).json({ error: inputError });
+      }
+
+      const promotion = await prisma.promotion.create({
+        data: {
+          ...data,
+          products: { create: toProducts(products) }
+        },
+        include: { products: true }
+      });
+
+      logger.info(`Promotion created: ${name} (${type}${data.couponCode ? `, coupon ${data.couponCode}` : ''})`);
+      res.status(201).json(promotion);
+    } catch (error) {
+      logger.error('Error creating promotion:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   put:
+ *     summary: Update promotion. When products are sent they replace the promotion's products; recorded sales keep their discounts.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Same fields as on creation, plus isActive
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('promotions:update'),
+  promotionValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const promotion = await prisma.promotion.findUnique({
+        where: { id },
+        include: { products: true }
+      });
+
+      if (!promotion) {
+        return res.status(404).json({ error: 'Promotion not found' });
+      }
+
+      const data = {};
+      ['name', 'description', 'type', 'value', 'buyQuantity', 'getQuantity', 'categoryId', 'minSubtotal',
+        'stackable', 'priority', 'usageLimit', 'isActive'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          data[field] = req.body[field];
+        }
+      });
+      if (req.body.couponCode !== undefined) {
+        data.couponCode = req.body.couponCode ? normalizeCoupon(req.body.couponCode) : null;
+      }
+      if (req.body.startsAt !== undefined) {
+        data.startsAt = new Date(req.body.startsAt);
+      }
+      if (req.body.endsAt !== undefined) {
+        data.endsAt = req.body.endsAt ? new Date(req.body.endsAt) : null;
+      }
+
+      const { products } = req.body;
+      const inputError = await findPromotionError({
+        ...promotion,
+        ...data,
+        products: products || promotion.products
+      }, id);
+      if (inputError) {
+        return res.status(400).json({ error: inputError });
+      }
+
+      const updated = await prisma.$transaction(async (tx) => {
+        if (products) {
+          await tx.promotionProduct.deleteMany({ where: { promotionId: id } });
+          data.products = { create: toProducts(products) };
+        }
+
+        return tx.promotion.update({
+          where: { id },
+          data,
+          include: { products: true }
+        });
+      });
+
+      logger.info(`Promotion updated: ${updated.name}`);
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating promotion:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   delete:
+ *     summary: Delete promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion deleted successfully
+ *       400:
+ *         description: Promotion already applied on sales
+ */
+router.delete('/:id', authenticateToken, requirePermission('promotions:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const promotion = await prisma.promotion.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { saleItems: true }
+        }
+      }
+    });
+
+    if (!promotion) {
+      return res.status(404).json({ error: 'Promotion not found' });
+    }
+
+    if (promotion._count.saleItems > 0) {
+      return res.status(400).json({ error: 'Cannot delete a promotion applied on sales; deactivate it instead' });
+    }
+
+    await prisma.$transaction([
+      prisma.promotionProduct.deleteMany({ where: { promotionId: id } }),
+      prisma.promotion.delete({ where: { id } })
+    ]);
+
+    logger.info(`Promotion deleted: ${promotion.name}`);
+    res.json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting promotion:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
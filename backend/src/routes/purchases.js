@@ -1,12 +1,35 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { round } = require('../utils/money');
+const { generateSupportDocument, transmitSupportDocument } = require('../services/dian/supportDocument');
+const { ReceivedDocumentError } = require('../services/dian/attachedDocument');
+const {
+  PurchaseImportError, importSupplierInvoice, resolveImportLine, discardImportLine
+} = require('../services/purchaseImport');
+const { PRODUCT_TAX_INCLUDE, itemTax, calculateLineTax } = require('../services/taxes');
+const { WITHHOLDING_CONCEPTS, calculateWithholdings, withholdingTotal } = require('../services/withholdings');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Supplier invoices are parsed in memory: AttachedDocument ZIPs or plain UBL XML
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE || '10485760', 10) },
+  fileFilter: (req, file, cb) => cb(null, /\.(zip|xml)$/i.test(file.originalname))
+});
+
+const uploadInvoiceFile = (req, res, next) => upload.single('file')(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  next();
+});
+
 /**
  * @swagger
  * /api/purchases:
@@ -35,7 +58,7 @@ const prisma = new PrismaClient();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, received, cancelled]
+ *           enum: [draft, pending, partially_received, received, cancelled]
  *         description: Purchase status
  *     responses:
  *       200:
@@ -107,6 +130,102 @@ router.get('/', authenticateToken, requirePermission('purchases:read'), async (r
   }
 });
 
+/**
+ * @swagger
+ * /api/purchases/import-lines:
+ *   get:
+ *     summary: Get the review queue of imported supplier invoice lines without a matching product
+ *     tags: [Purchases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, resolved, discarded]
+ *         description: Line status (default pending)
+ *       - in: query
+ *         name: purchaseId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Imported lines awaiting review
+ */
+router.get('/import-lines', 
+  authenticateToken, 
+  requirePermission('purchases:read'),
+  [
+    query('status').optional().isIn(['pending', 'resolved', 'discarded']),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { page = 1, limit = 20, status = 'pending', purchaseId = '' } = req.query;
+      const skip = (page - 1) * limit;
+
+      const where = { status };
+      if (purchaseId) {
+        where.purchaseId = purchaseId;
+      }
+
+      const [lines, total] = await Promise.all([
+        prisma.purchaseImportLine.findMany({
+          where,
+          skip: parseInt(skip),
+          take: parseInt(limit),
+          include: {
+            purchase: {
+              select: {
+                id: true,
+                orderNumber: true,
+                invoiceNumber: true,
+                status: true,
+                supplier: {
+                  select: {
+                    id: true,
+                    name: true,
+                    taxId: true
+                  }
+                }
+              }
+            },
+            product: {
+              select: {
+                id: true,
+                name: true,
+                code: true
+              }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }),
+        prisma.purchaseImportLine.count({ where })
+      ]);
+
+      res.json({
+        lines,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching purchase import lines:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/purchases/{id}:
@@ -136,7 +255,9 @@ router.get('/:id', authenticateToken, requirePermission('purchases:read'), async
           include: {
             product: true
           }
-        }
+        },
+        importLines: true,
+        withholdings: true
       }
     });
 
@@ -190,22 +311,27 @@ router.get('/:id', authenticateToken, requirePermission('purchases:read'), async
  *                 type: string
  *               paymentTerms:
  *                 type: string
+ *               withholdingConcept:
+ *                 type: string
+ *                 enum: [COMPRAS, SERVICIOS, HONORARIOS, ARRENDAMIENTOS, TRANSPORTE]
+ *                 description: Concept used to select the withholding rules (default COMPRAS)
  *     responses:
  *       201:
- *         description: Purchase created successfully
+ *         description: Purchase created successfully; withholdings reduce the amount payable to the supplier
  */
 router.post('/', 
   authenticateToken, 
   requirePermission('purchases:create'),
   [
-    body('supplierId').isUUID(),
+    body('supplierId').notEmpty().withMessage('Supplier ID is required'),
     body('items').isArray({ min: 1 }),
-    body('items.*.productId').isUUID(),
+    body('items.*.productId').notEmpty().withMessage('Product ID is required'),
     body('items.*.quantity').isInt({ min: 1 }),
     body('items.*.unitCost').isFloat({ min: 0 }),
     body('expectedDeliveryDate').isISO8601(),
     body('notes').optional().trim().escape(),
-    body('paymentTerms').optional().trim().escape()
+    body('paymentTerms').optional().trim().escape(),
+    body('withholdingConcept').optional().isIn(WITHHOLDING_CONCEPTS).withMessage('Invalid withholding concept')
   ],
   async (req, res) => {
     try {
@@ -214,7 +340,9 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { supplierId, items, expectedDeliveryDate, notes, paymentTerms } = req.body;
+      const {
+        supplierId, items, expectedDeliveryDate, notes, paymentTerms, withholdingConcept
+      } = req.body;
 
       // Check if supplier exists
       const supplier = await prisma.supplier.findUnique({
@@ -226,21 +354,37 @@ router.post('/',
       }
 
       // Check if products exist
+      const lines = [];
       for (const item of items) {
         const product = await prisma.product.findUnique({
-          where: { id: item.productId }
+          where: { id: item.productId },
+          include: PRODUCT_TAX_INCLUDE
         });
 
         if (!product) {
           return res.status(400).json({ error: `Product ${item.productId} not found` });
         }
+
+        // Non-invoicing suppliers (documento soporte) do not charge taxes
+        const total = round(item.quantity * item.unitCost);
+        const tax = supplier.requiresSupportDocument ? { code: null, percent: 0 } : itemTax({ product });
+        lines.push({ ...item, total, ...calculateLineTax(total, tax) });
       }
 
       // Calculate totals
-      const subtotal = items.reduce((sum, item) => sum + (item.quantity * item.unitCost), 0);
-      const tax = subtotal * 0.19; // 19% IVA Colombia
+      const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+      const tax = lines.reduce((sum, line) => sum + line.taxAmount, 0);
       const total = subtotal + tax;
 
+      // Withholdings practiced to the supplier by the configured purchase rules
+      const withholdings = await calculateWithholdings(prisma, {
+        appliesTo: 'purchase',
+        party: supplier,
+        subtotal,
+        vat: lines.filter((line) => line.taxCode === '01').reduce((sum, line) => sum + line.taxAmount, 0),
+        concept: withholdingConcept
+      });
+
       // Generate order number
       const orderNumber = `PO-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 
@@ -252,23 +396,31 @@ router.post('/',
           subtotal,
           tax,
           total,
+          withholdingTotal: withholdingTotal(withholdings),
           status: 'pending',
           expectedDeliveryDate: new Date(expectedDeliveryDate),
           notes,
           paymentTerms,
-          userId: req.user.id
-        }
+          userId: req.user.id,
+          withholdings: {
+            create: withholdings.map((withholding) => ({ ...withholding, supplierId }))
+          }
+        },
+        include: { withholdings: true }
       });
 
       // Create purchase items
-      for (const item of items) {
+      for (const item of lines) {
         await prisma.purchaseItem.create({
           data: {
             purchaseId: purchase.id,
             productId: item.productId,
             quantity: item.quantity,
             unitCost: item.unitCost,
-            total: item.quantity * item.unitCost
+            total: item.total,
+            taxCode: item.taxCode,
+            taxPercent: item.taxPercent,
+            taxAmount: item.taxAmount
           }
         });
       }
@@ -282,6 +434,159 @@ router.post('/',
   }
 );
 
+/**
+ * @swagger
+ * /api/purchases/import:
+ *   post:
+ *     summary: Import a supplier electronic invoice (AttachedDocument ZIP or UBL XML) as a draft purchase
+ *     tags: [Purchases]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Draft purchase created; lines without a matching product are queued for review
+ *       409:
+ *         description: Invoice already imported
+ *       422:
+ *         description: Invalid document, unknown supplier or invoice not validated by DIAN
+ */
+router.post('/import', 
+  authenticateToken, 
+  requirePermission('purchases:create'),
+  uploadInvoiceFile,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'A .zip or .xml file is required' });
+      }
+
+      const result = await importSupplierInvoice(prisma, {
+        buffer: req.file.buffer,
+        fileName: req.file.originalname
+      }, req.user.id);
+
+      res.status(201).json({
+        message: result.pendingLines.length > 0
+          ? `Purchase imported; ${result.pendingLines.length} line(s) need review`
+          : 'Purchase imported successfully',
+        ...result
+      });
+    } catch (error) {
+      if (error instanceof PurchaseImportError || error instanceof ReceivedDocumentError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, details: error.details });
+      }
+      logger.error('Error importing supplier invoice:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/purchases/import-lines/{id}/resolve:
+ *   post:
+ *     summary: Match an imported line to a product and add it to its draft purchase
+ *     tags: [Purchases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 description: Units to receive, required when the invoiced quantity is fractional
+ *               saveMapping:
+ *                 type: boolean
+ *                 description: Remember the supplier code for future imports (default true)
+ *     responses:
+ *       200:
+ *         description: Line resolved and added to the purchase
+ */
+router.post('/import-lines/:id/resolve', 
+  authenticateToken, 
+  requirePermission('purchases:update'),
+  [
+    body('productId').notEmpty().withMessage('Product ID is required'),
+    body('quantity').optional().isInt({ min: 1 }).toInt(),
+    body('saveMapping').optional().isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await resolveImportLine(prisma, req.params.id, req.body, req.user.id);
+
+      res.json({ message: 'Import line resolved successfully', ...result });
+    } catch (error) {
+      if (error instanceof PurchaseImportError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error resolving purchase import line:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/purchases/import-lines/{id}/discard:
+ *   post:
+ *     summary: Discard an imported line that will not be received
+ *     tags: [Purchases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Line discarded
+ */
+router.post('/import-lines/:id/discard', authenticateToken, requirePermission('purchases:update'), async (req, res) => {
+  try {
+    const line = await discardImportLine(prisma, req.params.id, req.user.id);
+    res.json({ message: 'Import line discarded', line });
+  } catch (error) {
+    if (error instanceof PurchaseImportError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error discarding purchase import line:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * @swagger
  * /api/purchases/{id}/receive:
@@ -318,14 +623,14 @@ router.post('/',
  *                       type: number
  *     responses:
  *       200:
- *         description: Purchase items received successfully
+ *         description: Purchase items received successfully, with the DIAN support document when the supplier does not invoice
  */
 router.post('/:id/receive', 
   authenticateToken, 
   requirePermission('purchases:update'),
   [
     body('receivedItems').isArray({ min: 1 }),
-    body('receivedItems.*.itemId').isUUID(),
+    body('receivedItems.*.itemId').notEmpty().withMessage('Purchase item ID is required'),
     body('receivedItems.*.receivedQuantity').isInt({ min: 1 }),
     body('receivedItems.*.receivedCost').isFloat({ min: 0 })
   ],
@@ -355,6 +660,14 @@ router.post('/:id/receive',
         return res.status(400).json({ error: 'Purchase already received' });
       }
 
+      if (purchase.status === 'draft') {
+        return res.status(400).json({ error: 'Draft purchases must be confirmed before receiving' });
+      }
+
+      const allItemsReceived = purchase.items.every(item => 
+        receivedItems.some(ri => ri.itemId === item.id && ri.receivedQuantity === item.quantity)
+      );
+
       // Receive items and update inventory
       await prisma.$transaction(async (prisma) => {
         for (const receivedItem of receivedItems) {
@@ -379,7 +692,7 @@ router.post('/:id/receive',
           });
 
           // Update product stock and cost
-          await prisma.product.update({
+          const product = await prisma.product.update({
             where: { id: purchaseItem.productId },
             data: {
               stock: {
@@ -395,17 +708,14 @@ router.post('/:id/receive',
               productId: purchaseItem.productId,
               type: 'PURCHASE',
               quantity: receivedItem.receivedQuantity,
+              previousStock: product.stock - receivedItem.receivedQuantity,
+              newStock: product.stock,
               reference: `Purchase ${purchase.orderNumber}`,
               userId: req.user.id
             }
           });
         }
 
-        // Update purchase status
-        const allItemsReceived = purchase.items.every(item => 
-          receivedItems.some(ri => ri.itemId === item.id && ri.receivedQuantity === item.quantity)
-        );
-
         await prisma.purchase.update({
           where: { id },
           data: {
@@ -416,7 +726,31 @@ router.post('/:id/receive',
       });
 
       logger.info(`Purchase ${purchase.orderNumber} items received`);
-      res.json({ message: 'Purchase items received successfully' });
+
+      // Purchases from non-invoicing suppliers require a DIAN support document once fully received.
+      // A failure does not undo the reception: the document can be generated or resent from /api/dian
+      let supportDocument = null;
+      if (allItemsReceived && purchase.supplier.requiresSupportDocument) {
+        let document = null;
+        try {
+          document = await generateSupportDocument(prisma, id, req.user.id);
+          const { document: sent } = await transmitSupportDocument(prisma, document);
+          supportDocument = {
+            id: sent.id, documentNumber: sent.documentNumber, status: sent.status, cuds: sent.cuds
+          };
+        } catch (error) {
+          logger.error(`Error issuing support document for purchase ${purchase.orderNumber}:`, error);
+          supportDocument = {
+            id: document ? document.id : null,
+            documentNumber: document ? document.documentNumber : null,
+            status: document ? document.status : null,
+            error: error.message,
+            code: error.code
+          };
+        }
+      }
+
+      res.json({ message: 'Purchase items received successfully', supportDocument });
     } catch (error) {
       logger.error('Error receiving purchase items:', error);
       res.status(500).json({ error: 'Internal server error' });
@@ -478,6 +812,19 @@ router.put('/:id/status',
         return res.status(404).json({ error: 'Purchase not found' });
       }
 
+      // An imported draft is confirmed once every line has been reviewed
+      if (purchase.status === 'draft') {
+        const pendingLines = await prisma.purchaseImportLine.count({
+          where: { purchaseId: id, status: 'pending' }
+        });
+        if (pendingLines > 0) {
+          return res.status(400).json({
+            error: `Purchase has ${pendingLines} imported line(s) pending review`,
+            code: 'IMPORT_LINES_PENDING'
+          });
+        }
+      }
+
       const updatedPurchase = await prisma.purchase.update({
         where: { id },
         data: { status },
@@ -544,6 +891,16 @@ router.delete('/:id', authenticateToken, requirePermission('purchases:delete'),
       where: { purchaseId: id }
     });
 
+    // Delete review queue lines of an imported invoice
+    await prisma.purchaseImportLine.deleteMany({
+      where: { purchaseId: id }
+    });
+
+    // Delete withholdings practiced to the supplier
+    await prisma.withholding.deleteMany({
+      where: { purchaseId: id }
+    });
+
     // Delete purchase
     await prisma.purchase.delete({
       where: { id }
@@ -0,0 +1,726 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const {
+  QUOTATION_STATUSES, OPEN_STATUSES, QuotationError, QUOTATION_INCLUDE, expireQuotations, findQuotation,
+  createQuotation, updateQuotation, checkQuotation, convertQuotation
+} = require('../services/quotations');
+const { buildQuotationPdf } = require('../services/quotationPdf');
+const { EmailError, sendEmail } = require('../services/email');
+const { SaleError } = require('../services/sales');
+const { CreditControlError } = require('../services/creditControl');
+const { creditOverrideLimiter } = require('../middleware/rateLimit');
+const { CashSessionError } = require('../services/cashSessions');
+const { NumberingError } = require('../services/dian/numbering');
+const { WITHHOLDING_CONCEPTS } = require('../services/withholdings');
+const { getActiveConfig } = require('../services/dian/config');
+const { resolveIssuer } = require('../services/dian/ubl');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const itemValidators = [
+  body('items').isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number')
+];
+
+const quotationPdf = async (quotation) => {
+  const config = await getActiveConfig(prisma);
+  return buildQuotationPdf(quotation, config ? resolveIssuer(config) : null);
+};
+
+/**
+ * @swagger
+ * /api/quotations:
+ *   get:
+ *     summary: Get quotations
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, sent, accepted, expired]
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Seller
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of quotations
+ */
+router.get('/',
+  authenticateToken,
+  requirePermission('quotations:read'),
+  [
+    query('status').optional().isIn(QUOTATION_STATUSES),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        page = 1, limit = 20, status, customerId, userId, search
+      } = req.query;
+      const skip = (page - 1) * limit;
+
+      await expireQuotations(prisma);
+
+      const where = {};
+      if (status) {
+        where.status = status;
+      }
+      if (customerId) {
+        where.customerId = customerId;
+      }
+      if (userId) {
+        where.userId = userId;
+      }
+      if (search) {
+        where.OR = [
+          { quoteNumber: { contains: search, mode: 'insensitive' } },
+          { customerName: { contains: search, mode: 'insensitive' } }
+        ];
+      }
+
+      const [quotations, total] = await Promise.all([
+        prisma.quotation.findMany({
+          where,
+          skip: parseInt(skip),
+          take: parseInt(limit),
+          include: {
+            customer: { select: { id: true, name: true } },
+            user: { select: { id: true, username: true, firstName: true, lastName: true } },
+            sale: { select: { id: true, invoiceNumber: true } },
+            _count: { select: { items: true } }
+          },
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.quotation.count({ where })
+      ]);
+
+      res.json({
+        quotations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching quotations:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quotations/{id}:
+ *   get:
+ *     summary: Get quotation with its items and a stock/price check against current list prices
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quotation and check
+ *       404:
+ *         description: Quotation not found
+ */
+router.get('/:id', authenticateToken, requirePermission('quotations:read'), async (req, res) => {
+  try {
+    const quotation = await findQuotation(prisma, req.params.id);
+    res.json({ ...quotation, check: await checkQuotation(prisma, quotation) });
+  } catch (error) {
+    if (error instanceof QuotationError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error fetching quotation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quotations:
+ *   post:
+ *     summary: Create a draft quotation
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *               customerName:
+ *                 type: string
+ *                 description: For customers not registered
+ *               customerEmail:
+ *                 type: string
+ *                 description: Delivery address; defaults to the customer's email
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     unitPrice:
+ *                       type: number
+ *                       description: Defaults to the customer's list price
+ *               validUntil:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to 15 days
+ *               terms:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Quotation created
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('quotations:create'),
+  [
+    body('customerId').optional(),
+    body('customerName').optional().trim().escape(),
+    body('customerEmail').optional().isEmail().normalizeEmail(),
+    ...itemValidators,
+    body('validUntil').optional().isISO8601().withMessage('Valid until must be a date'),
+    body('terms').optional().trim(),
+    body('notes').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.body.customerId && !req.body.customerName) {
+        return res.status(400).json({ error: 'Customer or customer name is required' });
+      }
+
+      const {
+        customerId, customerName, customerEmail, items, validUntil, terms, notes
+      } = req.body;
+      const quotation = await createQuotation(prisma, {
+        customerId, customerName, customerEmail, items, validUntil, terms, notes
+      }, req.user.id);
+
+      res.status(201).json(quotation);
+    } catch (error) {
+      if (error instanceof QuotationError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error creating quotation:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quotations/{id}:
+ *   put:
+ *     summary: Update a draft or sent quotation
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               customerEmail:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               validUntil:
+ *                 type: string
+ *                 format: date
+ *               terms:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quotation updated
+ *       409:
+ *         description: Quotation already accepted or expired
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('quotations:update'),
+  [
+    body('customerEmail').optional().isEmail().normalizeEmail(),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
+    body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+    body('validUntil').optional().isISO8601().withMessage('Valid until must be a date'),
+    body('terms').optional().trim(),
+    body('notes').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        customerEmail, items, validUntil, terms, notes
+      } = req.body;
+      const quotation = await updateQuotation(prisma, req.params.id, {
+        customerEmail, items, validUntil, terms, notes
+      });
+
+      logger.info(`Quotation ${quotation.quoteNumber} updated`);
+      res.json(quotation);
+    } catch (error) {
+      if (error instanceof QuotationError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error updating quotation:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/status:
+ *   put:
+ *     summary: Mark a draft or sent quotation as sent, accepted or expired
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [sent, accepted, expired]
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       409:
+ *         description: Quotation already accepted or expired
+ */
+router.put('/:id/status',
+  authenticateToken,
+  requirePermission('quotations:update'),
+  [
+    body('status').isIn(['sent', 'accepted', 'expired']).withMessage('Invalid status')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status } = req.body;
+      const quotation = await findQuotation(prisma, req.params.id);
+      if (!OPEN_STATUSES.includes(quotation.status)) {
+        return res.status(409).json({
+          error: `Quotation is ${quotation.status} and cannot change status`,
+          code: 'QUOTATION_CLOSED'
+        });
+      }
+
+      const data = { status };
+      if (status === 'sent' && !quotation.sentAt) {
+        data.sentAt = new Date();
+      }
+      if (status === 'accepted') {
+        data.acceptedAt = new Date();
+      }
+
+      const updated = await prisma.quotation.update({
+        where: { id: quotation.id },
+        data,
+        include: QUOTATION_INCLUDE
+      });
+
+      logger.info(`Quotation ${quotation.quoteNumber} status updated to ${status}`);
+      res.json(updated);
+    } catch (error) {
+      if (error instanceof QuotationError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error updating quotation status:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/pdf:
+ *   get:
+ *     summary: Printable quotation
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quotation PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Quotation not found
+ */
+router.get('/:id/pdf', authenticateToken, requirePermission('quotations:read'), async (req, res) => {
+  try {
+    const quotation = await findQuotation(prisma, req.params.id);
+    const pdf = await quotationPdf(quotation);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${quotation.quoteNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.end(pdf);
+  } catch (error) {
+    if (error instanceof QuotationError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error generating quotation PDF:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/quotations/{id}/send:
+ *   post:
+ *     summary: Email the quotation PDF to the customer and mark it as sent
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: Overrides the quotation's customer email
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quotation sent
+ *       400:
+ *         description: No email address for the customer
+ *       409:
+ *         description: Quotation already accepted or expired
+ *       502:
+ *         description: The mail server rejected the message
+ *       503:
+ *         description: Email delivery is not configured
+ */
+router.post('/:id/send',
+  authenticateToken,
+  requirePermission('quotations:update'),
+  [
+    body('email').optional().isEmail().normalizeEmail(),
+    body('message').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const quotation = await findQuotation(prisma, req.params.id);
+      if (!OPEN_STATUSES.includes(quotation.status)) {
+        return res.status(409).json({
+          error: `Quotation is ${quotation.status} and cannot be sent`,
+          code: 'QUOTATION_CLOSED'
+        });
+      }
+
+      const to = req.body.email || quotation.customerEmail;
+      if (!to) {
+        return res.status(400).json({ error: 'Customer has no email address', code: 'EMAIL_REQUIRED' });
+      }
+
+      const pdf = await quotationPdf(quotation);
+      const validUntil = quotation.validUntil.toISOString().slice(0, 10);
+      await sendEmail(prisma, {
+        to,
+        subject: `Cotización ${quotation.quoteNumber}`,
+        text: [
+          `Estimado(a) ${quotation.customerName || 'cliente'}:`,
+          '',
+          req.body.message || `Adjuntamos la cotización ${quotation.quoteNumber}, válida hasta el ${validUntil}.`,
+          '',
+          'Quedamos atentos a sus comentarios.'
+        ].join('\n'),
+        attachments: [{ filename: `${quotation.quoteNumber}.pdf`, content: pdf, contentType: 'application/pdf' }],
+        metadata: { quotationId: quotation.id, quoteNumber: quotation.quoteNumber }
+      });
+
+      const updated = await prisma.quotation.update({
+        where: { id: quotation.id },
+        data: {
+          status: 'sent',
+          sentAt: new Date(),
+          customerEmail: to
+        },
+        include: QUOTATION_INCLUDE
+      });
+
+      res.json({ message: `Quotation sent to ${to}`, quotation: updated });
+    } catch (error) {
+      if (error instanceof QuotationError || error instanceof EmailError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error sending quotation:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quotations/{id}/convert:
+ *   post:
+ *     summary: Convert a quotation into a sale
+ *     description: |
+ *       Re-checks stock and list prices. Shortages always block the conversion; list prices
+ *       that changed since the quotation block it unless acceptPriceChanges is true. The sale
+ *       always keeps the quoted prices, including negotiated ones, and goes through the
+ *       cashier's open register session.
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentMethod
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [cash, card, transfer, credit]
+ *               acceptPriceChanges:
+ *                 type: boolean
+ *               creditOverride:
+ *                 type: object
+ *                 description: Supervisor authorization (username, pin, reason) for a credit sale of a blocked customer, with overdue credits or over its limit
+ *               branch:
+ *                 type: string
+ *               withholdingConcept:
+ *                 type: string
+ *                 enum: [COMPRAS, SERVICIOS, HONORARIOS, ARRENDAMIENTOS, TRANSPORTE]
+ *     responses:
+ *       201:
+ *         description: Sale created and quotation accepted
+ *       403:
+ *         description: |
+ *           Quoted prices below the list price or below cost without the sales:price-override permission,
+ *           or a credit sale the customer's block, overdue credits or credit limit do not allow
+ *       409:
+ *         description: Quotation expired or converted, stock shortages or changed prices (listed in issues), or no open register session
+ *       423:
+ *         description: Supervisor PIN locked after too many failed attempts (SUPERVISOR_PIN_LOCKED)
+ *       429:
+ *         description: Too many rejected supervisor authorizations from this address
+ */
+router.post('/:id/convert',
+  authenticateToken,
+  requirePermission('quotations:update'),
+  creditOverrideLimiter,
+  [
+    body('paymentMethod').isIn(['cash', 'card', 'transfer', 'credit']).withMessage('Invalid payment method'),
+    body('acceptPriceChanges').optional().isBoolean(),
+    body('creditOverride').optional().isObject(),
+    body('creditOverride.username').if(body('creditOverride').exists()).notEmpty().trim()
+      .withMessage('Supervisor username is required'),
+    body('creditOverride.pin').if(body('creditOverride').exists()).notEmpty()
+      .withMessage('Supervisor PIN is required'),
+    body('creditOverride.reason').optional().trim().escape(),
+    body('branch').optional().trim(),
+    body('withholdingConcept').optional().isIn(WITHHOLDING_CONCEPTS).withMessage('Invalid withholding concept')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        paymentMethod, acceptPriceChanges, creditOverride, branch, withholdingConcept
+      } = req.body;
+      const result = await convertQuotation(prisma, req.params.id, {
+        paymentMethod,
+        acceptPriceChanges,
+        creditOverride: creditOverride && {
+          username: creditOverride.username,
+          pin: creditOverride.pin,
+          reason: creditOverride.reason,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        },
+        branch,
+        withholdingConcept
+      }, req.user.id, req.user.permissions);
+
+      res.status(201).json(result);
+    } catch (error) {
+      if (error instanceof QuotationError || error instanceof CreditControlError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, issues: error.issues });
+      }
+      if (error instanceof SaleError || error instanceof CashSessionError || error instanceof NumberingError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error converting quotation:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/quotations/{id}:
+ *   delete:
+ *     summary: Delete a draft quotation
+ *     tags: [Quotations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quotation deleted
+ *       409:
+ *         description: Only drafts can be deleted
+ */
+router.delete('/:id', authenticateToken, requirePermission('quotations:delete'), async (req, res) => {
+  try {
+    const quotation = await findQuotation(prisma, req.params.id);
+    if (quotation.status !== 'draft') {
+      return res.status(409).json({ error: 'Only draft quotations can be deleted', code: 'QUOTATION_CLOSED' });
+    }
+
+    await prisma.$transaction([
+      prisma.quotationItem.deleteMany({ where: { quotationId: quotation.id } }),
+      prisma.quotation.delete({ where: { id: quotation.id } })
+    ]);
+
+    logger.info(`Quotation ${quotation.quoteNumber} deleted`);
+    res.json({ message: 'Quotation deleted successfully' });
+  } catch (error) {
+    if (error instanceof QuotationError) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error deleting quotation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
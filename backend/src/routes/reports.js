@@ -3,6 +3,9 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { round } = require('../utils/money');
+const { summarizeTaxes } = require('../services/taxes');
+const { expireQuotations } = require('../services/quotations');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -234,7 +237,7 @@ router.get('/dashboard', authenticateToken, requirePermission('reports:read'), a
  *         name: paymentMethod
  *         schema:
  *           type: string
- *         description: Payment method filter
+ *         description: Payment method filter (mixed for sales paid with several tenders or partly on credit)
  *     responses:
  *       200:
  *         description: Sales report
@@ -246,7 +249,7 @@ router.get('/sales',
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
     query('customerId').optional().isUUID(),
-    query('paymentMethod').optional().isIn(['cash', 'card', 'transfer', 'credit'])
+    query('paymentMethod').optional().isIn(['cash', 'card', 'transfer', 'credit', 'mixed'])
   ],
   async (req, res) => {
     try {
@@ -286,6 +289,13 @@ router.get('/sales',
                 select: { name: true, code: true }
               }
             }
+          },
+          returns: {
+            select: { returnNumber: true, totalAmount: true, refundAmount: true }
+          },
+          payments: {
+            where: { creditId: null },
+            select: { method: true, amount: true, changeDue: true, reference: true }
           }
         },
         orderBy: { createdAt: 'desc' }
@@ -293,8 +303,13 @@ router.get('/sales',
 
       // Calculate totals
       const totalSales = sales.reduce((sum, sale) => sum + sale.total, 0);
-      const totalTax = sales.reduce((sum, sale) => sum + sale.tax, 0);
+      const totalTax = sales.reduce((sum, sale) => sum + Number(sale.taxAmount), 0);
+      const totalWithholdings = sales.reduce((sum, sale) => sum + Number(sale.withholdingTotal), 0);
+      const saleReturns = sales.flatMap((sale) => sale.returns);
+      const totalReturns = saleReturns.reduce((sum, saleReturn) => sum + Number(saleReturn.totalAmount), 0);
+      const totalRefunds = saleReturns.reduce((sum, saleReturn) => sum + Number(saleReturn.refundAmount), 0);
       const totalSubtotal = sales.reduce((sum, sale) => sum + sale.subtotal, 0);
+      const totalDiscount = sales.reduce((sum, sale) => sum + Number(sale.discount), 0);
 
       // Group by payment method
       const paymentMethodBreakdown = sales.reduce((acc, sale) => {
@@ -302,6 +317,29 @@ router.get('/sales',
         return acc;
       }, {});
 
+      // Group by tender received; what the tenders did not cover went on credit
+      const tenderBreakdown = sales.reduce((acc, sale) => {
+        const add = (method, amount, changeDue = 0) => {
+          if (!acc[method]) {
+            acc[method] = { count: 0, amount: 0, changeDue: 0 };
+          }
+          acc[method].count += 1;
+          acc[method].amount += amount;
+          acc[method].changeDue += changeDue;
+        };
+        const payable = Number(sale.totalAmount) - Number(sale.withholdingTotal);
+        if (sale.payments.length === 0) {
+          add(String(sale.paymentMethod).toLowerCase(), payable);
+          return acc;
+        }
+        sale.payments.forEach((payment) => add(payment.method, Number(payment.amount), Number(payment.changeDue)));
+        const remainder = round(payable - sale.payments.reduce((sum, payment) => sum + Number(payment.amount), 0));
+        if (remainder > 0) {
+          add('credit', remainder);
+        }
+        return acc;
+      }, {});
+
       // Group by customer
       const customerBreakdown = sales.reduce((acc, sale) => {
         const customerName = sale.customer.name;
@@ -318,11 +356,20 @@ router.get('/sales',
         summary: {
           totalSales,
           totalTax,
+          totalWithholdings,
+          totalReturns,
+          // Promotion discounts, already deducted from the subtotal
+          totalDiscount,
+          netReceivable: sales.reduce((sum, sale) => sum + Number(sale.totalAmount), 0) - totalWithholdings - totalRefunds,
           totalSubtotal,
           count: sales.length,
           averageSale: sales.length > 0 ? totalSales / sales.length : 0
         },
+        // Taxable base and tax per DIAN tax and rate, from the tax liquidated on each line
+        taxBreakdown: summarizeTaxes(sales.flatMap((sale) => sale.items)
+          .map((item) => ({ ...item, taxableAmount: item.totalPrice }))),
         paymentMethodBreakdown,
+        tenderBreakdown,
         customerBreakdown,
         sales
       };
@@ -606,7 +653,8 @@ router.get('/purchases',
 
       // Calculate totals
       const totalPurchases = purchases.reduce((sum, purchase) => sum + purchase.total, 0);
-      const totalTax = purchases.reduce((sum, purchase) => sum + purchase.tax, 0);
+      const totalTax = purchases.reduce((sum, purchase) => sum + Number(purchase.tax), 0);
+      const totalWithholdings = purchases.reduce((sum, purchase) => sum + Number(purchase.withholdingTotal), 0);
       const totalSubtotal = purchases.reduce((sum, purchase) => sum + purchase.subtotal, 0);
 
       // Group by status
@@ -631,10 +679,14 @@ router.get('/purchases',
         summary: {
           totalPurchases,
           totalTax,
+          totalWithholdings,
+          netPayable: purchases.reduce((sum, purchase) => sum + Number(purchase.total), 0) - totalWithholdings,
           totalSubtotal,
           count: purchases.length,
           averagePurchase: purchases.length > 0 ? totalPurchases / purchases.length : 0
         },
+        taxBreakdown: summarizeTaxes(purchases.flatMap((purchase) => purchase.items)
+          .map((item) => ({ ...item, taxableAmount: item.total }))),
         statusBreakdown,
         supplierBreakdown,
         purchases
@@ -648,4 +700,228 @@ router.get('/purchases',
   }
 );
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @swagger
+ * /api/reports/quotations:
+ *   get:
+ *     summary: Quote-to-sale conversion report per seller
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (quotation issue date)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date (quotation issue date)
+ *     responses:
+ *       200:
+ *         description: Quotations report
+ */
+router.get('/quotations',
+  authenticateToken,
+  requirePermission('reports:read'),
+  [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { startDate, endDate } = req.query;
+
+      const where = {};
+
+      if (startDate && endDate) {
+        where.createdAt = {
+          gte: new Date(startDate),
+          lte: new Date(endDate)
+        };
+      }
+
+      await expireQuotations(prisma);
+
+      const quotations = await prisma.quotation.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, username: true, firstName: true, lastName: true }
+          },
+          sale: {
+            select: { totalAmount: true }
+          }
+        }
+      });
+
+      const conversionRate = (converted, count) => (count > 0 ? Math.round((converted / count) * 10000) / 100 : 0);
+
+      // Group by seller
+      const sellers = Object.values(quotations.reduce((acc, quotation) => {
+        if (!acc[quotation.userId]) {
+          acc[quotation.userId] = {
+            user: quotation.user,
+            quotations: 0,
+            converted: 0,
+            statusBreakdown: {},
+            quotedTotal: 0,
+            convertedTotal: 0
+          };
+        }
+        const seller = acc[quotation.userId];
+        seller.quotations += 1;
+        seller.statusBreakdown[quotation.status] = (seller.statusBreakdown[quotation.status] || 0) + 1;
+        seller.quotedTotal += Number(quotation.totalAmount);
+        if (quotation.sale) {
+          seller.converted += 1;
+          seller.convertedTotal += Number(quotation.sale.totalAmount);
+        }
+        return acc;
+      }, {}))
+        .map((seller) => ({ ...seller, conversionRate: conversionRate(seller.converted, seller.quotations) }))
+        .sort((a, b) => b.conversionRate - a.conversionRate);
+
+      const converted = quotations.filter((quotation) => quotation.sale);
+
+      res.json({
+        summary: {
+          quotations: quotations.length,
+          converted: converted.length,
+          conversionRate: conversionRate(converted.length, quotations.length),
+          quotedTotal: quotations.reduce((sum, quotation) => sum + Number(quotation.totalAmount), 0),
+          convertedTotal: converted.reduce((sum, quotation) => sum + Number(quotation.sale.totalAmount), 0)
+        },
+        sellers
+      });
+    } catch (error) {
+      logger.error('Error generating quotations report:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/reports/promotions:
+ *   get:
+ *     summary: Promotion cost report
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (sale date)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date (sale date)
+ *     responses:
+ *       200:
+ *         description: Discount given, units and net revenue per promotion
+ */
+router.get('/promotions',
+  authenticateToken,
+  requirePermission('reports:read'),
+  [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { startDate, endDate } = req.query;
+
+      const saleWhere = { status: { notIn: ['CANCELLED', 'cancelled'] } };
+
+      if (startDate && endDate) {
+        saleWhere.createdAt = {
+          gte: new Date(startDate),
+          lte: new Date(endDate)
+        };
+      }
+
+      const applied = await prisma.saleItemPromotion.findMany({
+        where: { saleItem: { sale: saleWhere } },
+        include: {
+          promotion: {
+            select: { id: true, name: true, type: true, couponCode: true }
+          },
+          saleItem: {
+            select: { saleId: true, quantity: true, totalPrice: true }
+          }
+        }
+      });
+
+      // Group by promotion; the cost of a promotion is the discount it gave
+      const promotions = Object.values(applied.reduce((acc, entry) => {
+        if (!acc[entry.promotionId]) {
+          acc[entry.promotionId] = {
+            promotion: entry.promotion,
+            sales: new Set(),
+            lines: 0,
+            units: 0,
+            discount: 0,
+            netRevenue: 0
+          };
+        }
+        const promotion = acc[entry.promotionId];
+        promotion.sales.add(entry.saleItem.saleId);
+        promotion.lines += 1;
+        promotion.units += entry.saleItem.quantity;
+        promotion.discount += Number(entry.amount);
+        promotion.netRevenue += Number(entry.saleItem.totalPrice);
+        return acc;
+      }, {}))
+        .map((promotion) => ({ ...promotion, sales: promotion.sales.size }))
+        .sort((a, b) => b.discount - a.discount);
+
+      const [totals, promotedSales] = await Promise.all([
+        prisma.sale.aggregate({
+          where: saleWhere,
+          _sum: { subtotal: true, discount: true },
+          _count: true
+        }),
+        prisma.sale.count({ where: { ...saleWhere, discount: { gt: 0 } } })
+      ]);
+
+      const totalDiscount = Number(totals._sum.discount || 0);
+      const grossSubtotal = Number(totals._sum.subtotal || 0) + totalDiscount;
+
+      res.json({
+        summary: {
+          sales: totals._count,
+          promotedSales,
+          totalDiscount,
+          // Share of the pre-discount subtotal given away in promotions
+          discountRate: grossSubtotal > 0 ? Math.round((totalDiscount / grossSubtotal) * 10000) / 100 : 0
+        },
+        promotions
+      });
+    } catch (error) {
+      logger.error('Error generating promotions report:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
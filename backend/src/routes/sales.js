@@ -3,6 +3,27 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../middleware/auth-simple');
 const { body, query, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { round } = require('../utils/money');
+const { idempotent } = require('../middleware/idempotency');
+const { creditOverrideLimiter } = require('../middleware/rateLimit');
+const { NumberingError } = require('../services/dian/numbering');
+const { WITHHOLDING_CONCEPTS } = require('../services/withholdings');
+const { CashSessionError } = require('../services/cashSessions');
+const {
+  TENDER_METHODS, SaleError, applyLineDiscount, createSale
+} = require('../services/sales');
+const { createPriceResolver } = require('../services/pricing');
+const { PromotionError, resolvePromotions } = require('../services/promotions');
+const { CreditControlError } = require('../services/creditControl');
+const { ParkedSaleError } = require('../services/parkedSales');
+const {
+  REFUND_METHODS, RETURN_DESTINATIONS, SaleReturnError, createSaleReturn
+} = require('../services/saleReturns');
+const { PAPER_WIDTHS, ReceiptError, prepareReceipt } = require('../services/receipts/receipt');
+const { renderEscPos } = require('../services/receipts/escpos');
+const { renderReceiptHtml } = require('../services/receipts/html');
+const { renderReceiptPdf } = require('../services/receipts/pdf');
+const { printSaleReceipt } = require('../services/receipts/printer');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -134,8 +155,23 @@ router.get('/:id', authenticateToken, async (req, res) => {
         customer: true,
         items: {
           include: {
-            product: true
+            product: true,
+            promotions: {
+              include: {
+                promotion: { select: { id: true, name: true, type: true, couponCode: true } }
+              }
+            }
           }
+        },
+        withholdings: true,
+        payments: {
+          orderBy: { createdAt: 'asc' }
+        },
+        returns: {
+          include: {
+            items: true
+          },
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -159,6 +195,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Client-generated key (e.g. a UUID); a retry with the same key returns the original response
  *     requestBody:
  *       required: true
  *       content:
@@ -166,9 +208,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - customerId
  *               - items
- *               - paymentMethod
  *             properties:
  *               customerId:
  *                 type: string
@@ -183,28 +223,125 @@ router.get('/:id', authenticateToken, async (req, res) => {
  *                       type: integer
  *                     unitPrice:
  *                       type: number
+ *                       description: |
+ *                         Defaults to the customer's price list (own list, group list, default list,
+ *                         then product price). Prices below the list price or below cost require
+ *                         the sales:price-override permission and are flagged on the sale item.
+ *                         Lines with a keyed-in price get no promotions.
+ *               couponCode:
+ *                 type: string
+ *                 description: Coupon of a promotion; automatic promotions apply without it
+ *               payments:
+ *                 type: array
+ *                 description: |
+ *                   Tenders received at the counter. Cash may exceed the amount due and the excess is
+ *                   returned as change; the unpaid remainder goes on the customer's credit.
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - method
+ *                     - amount
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [cash, card, transfer]
+ *                     amount:
+ *                       type: number
+ *                       description: Amount received (for cash, the amount handed over)
+ *                     reference:
+ *                       type: string
+ *                       description: Card voucher or transfer (e.g. Nequi) reference
  *               paymentMethod:
  *                 type: string
  *                 enum: [cash, card, transfer, credit]
+ *                 description: Single method for the whole sale, when payments is not sent
+ *               creditOverride:
+ *                 type: object
+ *                 description: |
+ *                   Supervisor authorization to leave the remainder on credit of a blocked customer, one
+ *                   with overdue credits or one over its credit limit; it is written to the audit log
+ *                 required:
+ *                   - username
+ *                   - pin
+ *                 properties:
+ *                   username:
+ *                     type: string
+ *                     description: Supervisor with the credits:override permission
+ *                   pin:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *               parkedSaleId:
+ *                 type: string
+ *                 description: Parked sale being charged; its reserved units are released to this sale
+ *               branch:
+ *                 type: string
+ *                 description: Sucursal o caja; selecciona la resolución de numeración DIAN (por defecto la caja del turno abierto)
  *               notes:
  *                 type: string
  *               dueDate:
  *                 type: string
  *                 format: date
+ *               withholdingConcept:
+ *                 type: string
+ *                 enum: [COMPRAS, SERVICIOS, HONORARIOS, ARRENDAMIENTOS, TRANSPORTE]
+ *                 description: Concept the customer withholds under, when it is a withholding agent (default COMPRAS)
  *     responses:
  *       201:
- *         description: Sale created successfully
+ *         description: |
+ *           Sale created successfully, with its payments, the change due and the amount left on credit;
+ *           withholdings of withholding-agent customers reduce the amount receivable. Promotion
+ *           discounts are recorded per line and already deducted from the unit prices.
+ *       400:
+ *         description: |
+ *           Validation error, card/transfer tenders above the amount due, an unpaid remainder without a
+ *           registered customer, or a coupon that is not valid or does not apply to the sale
+ *       403:
+ *         description: |
+ *           Price below the list price or below cost without the sales:price-override permission, or a
+ *           credit remainder for a blocked customer, one with overdue credits or over its credit limit
+ *           (CUSTOMER_BLOCKED, CREDIT_OVERDUE, CREDIT_LIMIT_EXCEEDED, listed in issues) without a valid
+ *           supervisor authorization
+ *       409:
+ *         description: |
+ *           No open cash register session, no DIAN numbering resolution in force or range exhausted,
+ *           coupon usage limit reached, or parked sale already charged, cancelled or expired
+ *       422:
+ *         description: Idempotency-Key already used for a different request (IDEMPOTENCY_KEY_MISMATCH)
+ *       423:
+ *         description: Supervisor PIN locked after too many failed attempts (SUPERVISOR_PIN_LOCKED)
+ *       429:
+ *         description: Too many rejected supervisor authorizations from this address
  */
 router.post('/', 
   authenticateToken, 
+  creditOverrideLimiter,
+  idempotent,
   [
     body('customerId').optional(),
     body('customerName').optional().trim().escape(),
     body('items').isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
     body('items.*.productId').notEmpty().withMessage('Product ID is required'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
-    body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
-    body('paymentMethod').isIn(['cash', 'card', 'transfer', 'credit']).withMessage('Invalid payment method'),
+    body('items.*.unitPrice').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+    body('couponCode').optional().trim(),
+    body('payments').optional().isArray({ min: 1 }).withMessage('Payments must be an array with at least 1 tender'),
+    body('payments.*.method').isIn(TENDER_METHODS).withMessage('Invalid tender method'),
+    body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Tender amount must be greater than 0'),
+    body('payments.*.reference').optional().trim(),
+    body('paymentMethod')
+      .if(body('payments').not().exists())
+      .isIn(['cash', 'card', 'transfer', 'credit'])
+      .withMessage('Invalid payment method'),
+    body('creditOverride').optional().isObject(),
+    body('creditOverride.username').if(body('creditOverride').exists()).notEmpty().trim()
+      .withMessage('Supervisor username is required'),
+    body('creditOverride.pin').if(body('creditOverride').exists()).notEmpty()
+      .withMessage('Supervisor PIN is required'),
+    body('creditOverride.reason').optional().trim().escape(),
+    body('parkedSaleId').optional().isString(),
+    body('branch').optional().trim(),
+    body('withholdingConcept').optional().isIn(WITHHOLDING_CONCEPTS).withMessage('Invalid withholding concept'),
     body('notes').optional().trim().escape()
   ],
   async (req, res) => {
@@ -214,129 +351,154 @@ router.post('/',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { customerId, customerName, items, paymentMethod, notes } = req.body;
+      const {
+        customerId, customerName, items, couponCode, payments, paymentMethod, creditOverride, parkedSaleId,
+        branch, withholdingConcept, notes
+      } = req.body;
+
+      const sale = await createSale(prisma, {
+        customerId,
+        customerName,
+        items,
+        couponCode,
+        payments,
+        paymentMethod,
+        creditOverride: creditOverride && {
+          username: creditOverride.username,
+          pin: creditOverride.pin,
+          reason: creditOverride.reason,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        },
+        parkedSaleId,
+        branch,
+        withholdingConcept,
+        notes
+      }, req.user.id, req.user.permissions);
+
+      res.status(201).json(sale);
+    } catch (error) {
+      if (error instanceof CreditControlError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code, issues: error.issues });
+      }
+      if (error instanceof SaleError || error instanceof PromotionError || error instanceof ParkedSaleError
+        || error instanceof NumberingError || error instanceof CashSessionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error creating sale:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/sales/prices:
+ *   post:
+ *     summary: Resolve the list prices and promotions a customer gets for some quantities
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *               couponCode:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *     responses:
+ *       200:
+ *         description: |
+ *           Price per line, with the price list and quantity break that set it, and the promotions
+ *           that apply (netPrice is the unit price after discounts)
+ *       400:
+ *         description: Coupon not valid or not applicable
+ */
+router.post('/prices',
+  authenticateToken,
+  [
+    body('customerId').optional(),
+    body('couponCode').optional().trim(),
+    body('items').isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
+    body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { customerId, couponCode, items } = req.body;
 
-      // Check if customer exists (only if customerId is provided)
       let customer = null;
       if (customerId) {
-        customer = await prisma.customer.findUnique({
-          where: { id: customerId }
-        });
-
+        customer = await prisma.customer.findUnique({ where: { id: customerId } });
         if (!customer) {
-          return res.status(400).json({ error: 'Customer not found' });
+          return res.status(404).json({ error: 'Customer not found', code: 'CUSTOMER_NOT_FOUND' });
         }
       }
 
-      // Check if products exist and have sufficient stock
+      const priceFor = await createPriceResolver(prisma, customer);
+      const prices = [];
+      const products = [];
       for (const item of items) {
-        const product = await prisma.product.findUnique({
-          where: { id: item.productId }
-        });
-
+        const product = await prisma.product.findUnique({ where: { id: item.productId } });
         if (!product) {
-          return res.status(400).json({ error: `Product ${item.productId} not found` });
-        }
-
-        if (product.stock < item.quantity) {
-          return res.status(400).json({ 
-            error: `Insufficient stock for product ${product.name}. Available: ${product.stock}` 
-          });
+          return res.status(404).json({ error: `Product ${item.productId} not found`, code: 'PRODUCT_NOT_FOUND' });
         }
-      }
-
-      // Calculate totals
-      const subtotal = items.reduce((sum, item) => sum + (item.quantity * item.unitPrice), 0);
-      const tax = subtotal * 0.19; // 19% IVA Colombia
-      const total = subtotal + tax;
-
-      // Generate invoice number
-      const invoiceNumber = `INV-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-
-      // Create sale transaction
-      const result = await prisma.$transaction(async (prisma) => {
-        // Create sale
-        const sale = await prisma.sale.create({
-          data: {
-            invoiceNumber,
-            customerId: customerId || null,
-            customerName: customerName || 'Cliente General',
-            subtotal,
-            taxAmount: tax,
-            totalAmount: total,
-            paymentMethod,
-            status: paymentMethod === 'credit' ? 'PENDING' : 'PAID',
-            notes,
-            userId: req.user.id
-          }
+        products.push(product);
+        prices.push({
+          productId: product.id,
+          quantity: item.quantity,
+          basePrice: Number(product.price),
+          ...priceFor(product, item.quantity)
         });
+      }
 
-        // Create sale items and update inventory
-        for (const item of items) {
-          await prisma.saleItem.create({
-            data: {
-              saleId: sale.id,
-              productId: item.productId,
-              quantity: item.quantity,
-              unitPrice: item.unitPrice,
-              totalPrice: item.quantity * item.unitPrice
-            }
-          });
-
-          // Get current stock before update
-          const product = await prisma.product.findUnique({
-            where: { id: item.productId },
-            select: { stock: true }
-          });
-          const previousStock = product.stock;
-          const newStock = previousStock - item.quantity;
-
-          // Update product stock
-          await prisma.product.update({
-            where: { id: item.productId },
-            data: {
-              stock: {
-                decrement: item.quantity
-              }
-            }
-          });
-
-          // Create inventory movement
-          await prisma.inventoryMovement.create({
-            data: {
-              productId: item.productId,
-              type: 'SALE',
-              quantity: -item.quantity,
-              previousStock: previousStock,
-              newStock: newStock,
-              reference: `Sale ${invoiceNumber}`,
-              userId: req.user.id
-            }
-          });
-        }
-
-        // If credit sale, create credit record (only if customer exists)
-        if (paymentMethod === 'credit' && customerId) {
-          await prisma.credit.create({
-            data: {
-              customerId,
-              amount: total,
-              interestRate: 0,
-              term: 30,
-              dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days default
-              status: 'ACTIVE',
-              notes: `Crédito por venta ${invoiceNumber}`
-            }
-          });
-        }
-
-        return sale;
+      const promotion = await resolvePromotions(prisma, prices.map((line, index) => ({
+        productId: line.productId,
+        categoryId: products[index].categoryId,
+        quantity: line.quantity,
+        unitPrice: line.price
+      })), couponCode);
+
+      res.json({
+        prices: prices.map((line, index) => {
+          const discounted = applyLineDiscount(
+            { quantity: line.quantity, unitPrice: line.price, totalPrice: round(line.quantity * line.price) },
+            promotion.lines[index]
+          );
+          return {
+            ...line,
+            netPrice: discounted.unitPrice,
+            discount: discounted.discount,
+            promotions: discounted.promotions
+          };
+        }),
+        coupon: promotion.coupon ? { id: promotion.coupon.id, name: promotion.coupon.name } : null
       });
-
-      logger.info(`Sale created: ${invoiceNumber} for customer ${customer?.name || customerName || 'Cliente General'}`);
-      res.status(201).json(result);
     } catch (error) {
-      logger.error('Error creating sale:', error);
+      if (error instanceof PromotionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error resolving prices:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
@@ -391,7 +553,8 @@ router.put('/:id/status',
         where: { id },
         include: {
           items: true,
-          customer: true
+          customer: true,
+          returns: true
         }
       });
 
@@ -399,6 +562,13 @@ router.put('/:id/status',
         return res.status(404).json({ error: 'Sale not found' });
       }
 
+      // Cancelling restores every item; goods already returned would be restocked twice
+      if (status === 'cancelled' && sale.returns.length > 0) {
+        return res.status(400).json({
+          error: 'Sale has returns; return the remaining items instead of cancelling it'
+        });
+      }
+
       // If cancelling, restore inventory
       if (status === 'cancelled' && sale.status !== 'cancelled') {
         await prisma.$transaction(async (prisma) => {
@@ -449,6 +619,300 @@ router.put('/:id/status',
   }
 );
 
+/**
+ * @swagger
+ * /api/sales/{id}/returns:
+ *   post:
+ *     summary: Return part of a sale
+ *     description: |
+ *       Returned units go back to stock or to the damaged bin. The refund (line totals
+ *       minus the share withheld by the customer) is paid in cash from the cashier's open
+ *       register session, added to the customer's store credit or paid into the sale's
+ *       credit. Sales with an accepted electronic invoice get a credit note (concept 1).
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Client-generated key (e.g. a UUID); a retry with the same key returns the original response
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *               - reason
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     saleItemId:
+ *                       type: string
+ *                       description: Sale line returned; without it the units come off the product's lines in order
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     destination:
+ *                       type: string
+ *                       enum: [stock, damaged]
+ *                       default: stock
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [cash, store_credit, credit]
+ *                 description: Defaults to credit for credit sales and cash otherwise
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return registered, with its credit note when the sale was invoiced
+ *       400:
+ *         description: Product not in the sale or more units than sold
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: Invoice not accepted by DIAN, no open register session, not enough cash or refund above the credit balance
+ *       422:
+ *         description: Idempotency-Key already used for a different request (IDEMPOTENCY_KEY_MISMATCH)
+ */
+router.post('/:id/returns',
+  authenticateToken,
+  idempotent,
+  [
+    body('items').isArray({ min: 1 }).withMessage('Items must be an array with at least 1 item'),
+    body('items.*.saleItemId').optional().isString(),
+    body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.destination').optional().isIn(RETURN_DESTINATIONS).withMessage('Invalid destination'),
+    body('refundMethod').optional().isIn(REFUND_METHODS).withMessage('Invalid refund method'),
+    body('reason').notEmpty().trim().escape().withMessage('Reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { items, refundMethod, reason } = req.body;
+      const saleReturn = await createSaleReturn(prisma, req.params.id, {
+        items, refundMethod, reason
+      }, req.user.id);
+
+      res.status(201).json(saleReturn);
+    } catch (error) {
+      if (error instanceof SaleReturnError || error instanceof CashSessionError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error creating sale return:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/sales/{id}/returns:
+ *   get:
+ *     summary: Get the returns of a sale
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Returns with their items and credit notes
+ */
+router.get('/:id/returns', authenticateToken, async (req, res) => {
+  try {
+    const returns = await prisma.saleReturn.findMany({
+      where: { saleId: req.params.id },
+      include: {
+        items: {
+          include: {
+            product: true
+          }
+        },
+        creditNote: {
+          select: { id: true, noteNumber: true, status: true, total: true }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(returns);
+  } catch (error) {
+    logger.error('Error fetching sale returns:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/sales/{id}/receipt:
+ *   get:
+ *     summary: Sale receipt for 58 or 80 mm thermal paper, as ESC/POS bytes or as the HTML/PDF fallback
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf, escpos]
+ *         description: Default html
+ *       - in: query
+ *         name: width
+ *         schema:
+ *           type: string
+ *           enum: ['58', '80']
+ *         description: Paper width in mm (default from the receipt template)
+ *     responses:
+ *       200:
+ *         description: Receipt with company data, lines, taxes, tenders, change and the CUFE/QR when invoiced
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Sale not found
+ */
+router.get('/:id/receipt',
+  authenticateToken,
+  [
+    query('format').optional().isIn(['html', 'pdf', 'escpos']).withMessage('Format must be html, pdf or escpos'),
+    query('width').optional().isIn(PAPER_WIDTHS).withMessage(`Width must be one of ${PAPER_WIDTHS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { format = 'html', width } = req.query;
+      const { sale, receipt } = await prepareReceipt(prisma, req.params.id, { width });
+      const filename = `tirilla-${sale.invoiceNumber}`;
+
+      if (format === 'html') {
+        return res.type('html').send(await renderReceiptHtml(receipt));
+      }
+
+      const content = format === 'pdf' ? await renderReceiptPdf(receipt) : renderEscPos(receipt);
+      res.set({
+        'Content-Type': format === 'pdf' ? 'application/pdf' : 'application/octet-stream',
+        'Content-Disposition': format === 'pdf'
+          ? `inline; filename="${filename}.pdf"`
+          : `attachment; filename="${filename}.bin"`,
+        'Content-Length': content.length
+      });
+      res.end(content);
+    } catch (error) {
+      if (error instanceof ReceiptError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error generating sale receipt:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/sales/{id}/receipt/print:
+ *   post:
+ *     summary: Print the sale receipt (ESC/POS) on the thermal printer of the sale's register
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               printer:
+ *                 type: string
+ *                 description: Printer name from RECEIPT_PRINTERS (default the register of the sale)
+ *               width:
+ *                 type: string
+ *                 enum: ['58', '80']
+ *                 description: Paper width in mm (default from the printer or the receipt template)
+ *     responses:
+ *       200:
+ *         description: Receipt sent to the printer
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: No printer configured for the register (use the HTML/PDF receipt)
+ *       502:
+ *         description: Printer unreachable
+ */
+router.post('/:id/receipt/print',
+  authenticateToken,
+  [
+    body('printer').optional().isString().trim(),
+    body('width').optional().isIn(PAPER_WIDTHS).withMessage(`Width must be one of ${PAPER_WIDTHS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { printer, width } = req.body;
+      const printed = await printSaleReceipt(prisma, req.params.id, { printer, width });
+
+      logger.info(`Receipt printed on ${printed.printer} for sale ${req.params.id}`);
+      res.json(printed);
+    } catch (error) {
+      if (error instanceof ReceiptError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      logger.error('Error printing sale receipt:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/sales/{id}:
@@ -474,7 +938,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     const sale = await prisma.sale.findUnique({
       where: { id },
       include: {
-        items: true
+        items: true,
+        returns: true
       }
     });
 
@@ -482,6 +947,12 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Sale not found' });
     }
 
+    if (sale.returns.length > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete a sale with returns'
+      });
+    }
+
     if (sale.status === 'completed') {
       return res.status(400).json({ 
         error: 'Cannot delete completed sale' 
@@ -507,6 +978,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         where: { saleId: id }
       });
 
+      // Delete withholdings practiced on the sale
+      await prisma.withholding.deleteMany({
+        where: { saleId: id }
+      });
+
       // Delete sale
       await prisma.sale.delete({
         where: { id }
@@ -3,10 +3,14 @@ const { PrismaClient } = require('@prisma/client');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { TAX_REGIMES } = require('../services/withholdings');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// DIAN identification types accepted for suppliers: CC, NIT, CE, passport
+const SUPPLIER_DOCUMENT_TYPES = ['13', '31', '22', '41'];
+
 /**
  * @swagger
  * /api/suppliers:
@@ -153,6 +157,19 @@ router.get('/:id', authenticateToken, requirePermission('suppliers:read'), async
  *                 type: string
  *               taxId:
  *                 type: string
+ *               documentType:
+ *                 type: string
+ *                 description: DIAN identification type (13 CC, 31 NIT, 22 CE, 41 passport)
+ *               requiresSupportDocument:
+ *                 type: boolean
+ *                 description: Supplier is not required to invoice; received purchases issue a DIAN support document
+ *               taxRegime:
+ *                 type: string
+ *                 enum: [RESPONSABLE_IVA, NO_RESPONSABLE_IVA, GRAN_CONTRIBUYENTE, AUTORRETENEDOR, REGIMEN_SIMPLE]
+ *                 description: Selects the withholding rules applied to purchases
+ *               municipalityCode:
+ *                 type: string
+ *                 description: DANE municipality code (ReteICA rules)
  *               paymentTerms:
  *                 type: string
  *               notes:
@@ -175,6 +192,10 @@ router.post('/',
     body('country').optional().trim().escape(),
     body('postalCode').optional().trim().escape(),
     body('taxId').optional().trim().escape(),
+    body('documentType').optional().isIn(SUPPLIER_DOCUMENT_TYPES),
+    body('requiresSupportDocument').optional().isBoolean().toBoolean(),
+    body('taxRegime').optional().isIn(TAX_REGIMES),
+    body('municipalityCode').optional().matches(/^\d{5}$/).withMessage('Municipality code must be a 5-digit DANE code'),
     body('paymentTerms').optional().trim().escape(),
     body('notes').optional().trim().escape()
   ],
@@ -196,6 +217,10 @@ router.post('/',
         country, 
         postalCode, 
         taxId, 
+        documentType,
+        requiresSupportDocument,
+        taxRegime,
+        municipalityCode,
         paymentTerms, 
         notes 
       } = req.body;
@@ -222,6 +247,10 @@ router.post('/',
           country,
           postalCode,
           taxId,
+          documentType,
+          requiresSupportDocument,
+          taxRegime,
+          municipalityCode,
           paymentTerms,
           notes
         }
@@ -277,6 +306,19 @@ router.post('/',
  *                 type: string
  *               taxId:
  *                 type: string
+ *               documentType:
+ *                 type: string
+ *                 description: DIAN identification type (13 CC, 31 NIT, 22 CE, 41 passport)
+ *               requiresSupportDocument:
+ *                 type: boolean
+ *                 description: Supplier is not required to invoice; received purchases issue a DIAN support document
+ *               taxRegime:
+ *                 type: string
+ *                 enum: [RESPONSABLE_IVA, NO_RESPONSABLE_IVA, GRAN_CONTRIBUYENTE, AUTORRETENEDOR, REGIMEN_SIMPLE]
+ *                 description: Selects the withholding rules applied to purchases
+ *               municipalityCode:
+ *                 type: string
+ *                 description: DANE municipality code (ReteICA rules)
  *               paymentTerms:
  *                 type: string
  *               notes:
@@ -299,6 +341,10 @@ router.put('/:id',
     body('country').optional().trim().escape(),
     body('postalCode').optional().trim().escape(),
     body('taxId').optional().trim().escape(),
+    body('documentType').optional().isIn(SUPPLIER_DOCUMENT_TYPES),
+    body('requiresSupportDocument').optional().isBoolean().toBoolean(),
+    body('taxRegime').optional().isIn(TAX_REGIMES),
+    body('municipalityCode').optional().matches(/^\d{5}$/).withMessage('Municipality code must be a 5-digit DANE code'),
     body('paymentTerms').optional().trim().escape(),
     body('notes').optional().trim().escape()
   ],
@@ -388,6 +434,11 @@ router.delete('/:id', authenticateToken, requirePermission('suppliers:delete'),
       });
     }
 
+    // Delete the supplier's product code mappings
+    await prisma.supplierProductCode.deleteMany({
+      where: { supplierId: id }
+    });
+
     // Delete supplier
     await prisma.supplier.delete({
       where: { id }
@@ -401,4 +452,157 @@ router.delete('/:id', authenticateToken, requirePermission('suppliers:delete'),
   }
 });
 
+/**
+ * @swagger
+ * /api/suppliers/{id}/product-codes:
+ *   get:
+ *     summary: Get the supplier product codes used to match imported electronic invoices
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier code to product mappings
+ */
+router.get('/:id/product-codes', authenticateToken, requirePermission('suppliers:read'), async (req, res) => {
+  try {
+    const productCodes = await prisma.supplierProductCode.findMany({
+      where: { supplierId: req.params.id },
+      include: {
+        product: {
+          select: { id: true, name: true, code: true, barcode: true }
+        }
+      },
+      orderBy: { supplierCode: 'asc' }
+    });
+
+    res.json(productCodes);
+  } catch (error) {
+    logger.error('Error fetching supplier product codes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/product-codes:
+ *   put:
+ *     summary: Map a supplier product code to a product
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierCode
+ *               - productId
+ *             properties:
+ *               supplierCode:
+ *                 type: string
+ *               productId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Mapping saved
+ */
+router.put('/:id/product-codes', 
+  authenticateToken, 
+  requirePermission('suppliers:update'),
+  [
+    body('supplierCode').trim().notEmpty().withMessage('Supplier code is required'),
+    body('productId').notEmpty().withMessage('Product ID is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const { supplierCode, productId } = req.body;
+
+      const [supplier, product] = await Promise.all([
+        prisma.supplier.findUnique({ where: { id } }),
+        prisma.product.findUnique({ where: { id: productId } })
+      ]);
+
+      if (!supplier) {
+        return res.status(404).json({ error: 'Supplier not found' });
+      }
+      if (!product) {
+        return res.status(400).json({ error: 'Product not found' });
+      }
+
+      const productCode = await prisma.supplierProductCode.upsert({
+        where: { supplierId_supplierCode: { supplierId: id, supplierCode } },
+        update: { productId },
+        create: { supplierId: id, supplierCode, productId }
+      });
+
+      logger.info(`Supplier ${supplier.name} code ${supplierCode} mapped to product ${product.code}`);
+      res.json(productCode);
+    } catch (error) {
+      logger.error('Error saving supplier product code:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/product-codes/{codeId}:
+ *   delete:
+ *     summary: Delete a supplier product code mapping
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: codeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mapping deleted
+ */
+router.delete('/:id/product-codes/:codeId', authenticateToken, requirePermission('suppliers:update'), async (req, res) => {
+  try {
+    const { count } = await prisma.supplierProductCode.deleteMany({
+      where: { id: req.params.codeId, supplierId: req.params.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Supplier product code not found' });
+    }
+
+    res.json({ message: 'Supplier product code deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting supplier product code:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,250 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const { TAX_TYPES, GENERAL_IVA } = require('../services/taxes');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// IVA and INC carry a rate; exempt and excluded goods are always at 0%
+const RATED_TYPES = ['IVA', 'INC'];
+
+/**
+ * @swagger
+ * /api/taxes:
+ *   get:
+ *     summary: Get the tax catalog (tax classes assignable to products and categories)
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax classes and the class applied to products without one
+ */
+router.get('/', authenticateToken, requirePermission('taxes:read'), async (req, res) => {
+  try {
+    const taxClasses = await prisma.taxClass.findMany({
+      include: {
+        _count: {
+          select: { products: true, categories: true }
+        }
+      },
+      orderBy: [{ type: 'asc' }, { rate: 'desc' }]
+    });
+
+    res.json({ taxClasses, defaultTaxClass: GENERAL_IVA });
+  } catch (error) {
+    logger.error('Error fetching tax classes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/taxes:
+ *   post:
+ *     summary: Create tax class
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - type
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [IVA, INC, EXEMPT, EXCLUDED]
+ *               rate:
+ *                 type: number
+ *                 description: Rate in percent; ignored for EXEMPT and EXCLUDED
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tax class created successfully
+ */
+router.post('/',
+  authenticateToken,
+  requirePermission('taxes:create'),
+  [
+    body('code').isLength({ min: 2, max: 20 }).trim().toUpperCase(),
+    body('name').isLength({ min: 2 }).trim().escape(),
+    body('type').isIn(Object.keys(TAX_TYPES)).withMessage('Type must be IVA, INC, EXEMPT or EXCLUDED'),
+    body('rate').if(body('type').isIn(RATED_TYPES)).isFloat({ gt: 0, max: 100 }).withMessage('Rate is required for IVA and INC'),
+    body('description').optional().trim().escape()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { code, name, type, rate, description } = req.body;
+
+      const existing = await prisma.taxClass.findUnique({ where: { code } });
+      if (existing) {
+        return res.status(400).json({ error: 'Tax class code already exists' });
+      }
+
+      const taxClass = await prisma.taxClass.create({
+        data: {
+          code,
+          name,
+          type,
+          rate: RATED_TYPES.includes(type) ? rate : 0,
+          description
+        }
+      });
+
+      logger.info(`Tax class created: ${code}`);
+      res.status(201).json(taxClass);
+    } catch (error) {
+      logger.error('Error creating tax class:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/taxes/{id}:
+ *   put:
+ *     summary: Update tax class. Sales and purchases already recorded keep the tax they were liquidated with.
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Tax class updated successfully
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('taxes:update'),
+  [
+    body('name').optional().isLength({ min: 2 }).trim().escape(),
+    body('rate').optional().isFloat({ gt: 0, max: 100 }),
+    body('description').optional().trim().escape(),
+    body('isActive').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const taxClass = await prisma.taxClass.findUnique({ where: { id } });
+
+      if (!taxClass) {
+        return res.status(404).json({ error: 'Tax class not found' });
+      }
+
+      const { name, rate, description, isActive } = req.body;
+      if (rate !== undefined && !RATED_TYPES.includes(taxClass.type)) {
+        return res.status(400).json({ error: `${taxClass.type} tax classes have no rate` });
+      }
+
+      const updated = await prisma.taxClass.update({
+        where: { id },
+        data: { name, rate, description, isActive }
+      });
+
+      logger.info(`Tax class updated: ${updated.code}`);
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating tax class:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/taxes/{id}:
+ *   delete:
+ *     summary: Delete tax class
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax class deleted successfully
+ */
+router.delete('/:id', authenticateToken, requirePermission('taxes:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const taxClass = await prisma.taxClass.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { products: true, categories: true }
+        }
+      }
+    });
+
+    if (!taxClass) {
+      return res.status(404).json({ error: 'Tax class not found' });
+    }
+
+    if (taxClass._count.products > 0 || taxClass._count.categories > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete a tax class assigned to products or categories; deactivate it instead'
+      });
+    }
+
+    await prisma.taxClass.delete({
+      where: { id }
+    });
+
+    logger.info(`Tax class deleted: ${taxClass.code}`);
+    res.json({ message: 'Tax class deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting tax class:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const logger = require('../utils/logger');
+const { hasPermission } = require('../services/notifications');
+const { CREDIT_OVERRIDE_PERMISSION } = require('../services/creditControl');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -298,6 +300,82 @@ router.put('/:id',
   }
 );
 
+/**
+ * @swagger
+ * /api/users/me/supervisor-pin:
+ *   put:
+ *     summary: Set the current user's supervisor PIN, used to authorize credit sales at the point of sale
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - pin
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password
+ *               pin:
+ *                 type: string
+ *                 description: 4 to 8 digits
+ *     responses:
+ *       200:
+ *         description: Supervisor PIN set
+ *       401:
+ *         description: Wrong password
+ *       403:
+ *         description: User without the credits:override permission
+ */
+router.put('/me/supervisor-pin',
+  authenticateToken,
+  [
+    body('password').notEmpty().withMessage('Current password is required'),
+    body('pin').matches(/^\d{4,8}$/).withMessage('PIN must be 4 to 8 digits')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!hasPermission(req.user.permissions, CREDIT_OVERRIDE_PERMISSION)) {
+        return res.status(403).json({ error: 'Only users who can authorize credit sales need a supervisor PIN' });
+      }
+
+      const { password, pin } = req.body;
+      const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+      if (!await bcrypt.compare(password, user.password)) {
+        logger.security('SUPERVISOR_PIN_CHANGE_FAILED', { userId: user.id });
+        return res.status(401).json({ error: 'Invalid password' });
+      }
+
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          supervisorPin: await bcrypt.hash(pin, 12),
+          // A new PIN set with the password lifts a lock from failed attempts
+          supervisorPinFailedAttempts: 0,
+          supervisorPinLockedUntil: null
+        }
+      });
+
+      logger.audit('SUPERVISOR_PIN_SET', user.id, { ip: req.ip, userAgent: req.get('User-Agent') });
+      res.json({ message: 'Supervisor PIN set successfully' });
+    } catch (error) {
+      logger.error('Error setting supervisor PIN:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/users/{id}:
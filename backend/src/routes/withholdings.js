@@ -0,0 +1,460 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+const {
+  WITHHOLDING_TYPES, TAX_REGIMES, WITHHOLDING_CONCEPTS, getUvtValue, buildWithholdingCertificate
+} = require('../services/withholdings');
+const { buildWithholdingCertificatePdf } = require('../services/withholdingCertificate');
+const { getActiveConfig } = require('../services/dian/config');
+const { resolveIssuer } = require('../services/dian/ubl');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const ruleValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isLength({ min: 2 }).trim().escape(),
+    field('type').isIn(Object.keys(WITHHOLDING_TYPES)).withMessage('Type must be RETEFUENTE, RETEIVA or RETEICA'),
+    field('appliesTo').isIn(['sale', 'purchase']).withMessage('appliesTo must be sale or purchase'),
+    field('rate').isFloat({ gt: 0, max: 100 }).withMessage('Rate must be a percentage greater than 0'),
+    body('concept').optional().isIn(WITHHOLDING_CONCEPTS).withMessage('Invalid withholding concept'),
+    body('minBaseUvt').optional().isFloat({ min: 0 }),
+    body('taxRegimes').optional().isArray(),
+    body('taxRegimes.*').isIn(TAX_REGIMES).withMessage('Invalid tax regime'),
+    body('municipalityCode').optional({ nullable: true }).matches(/^\d{5}$/).withMessage('Municipality code must be a 5-digit DANE code'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// Certificates cover a taxable year; the previous year is the one usually certified
+const yearQuery = query('year').optional().isInt({ min: 2000, max: 2100 }).toInt();
+const certificateYear = (req) => req.query.year || new Date().getFullYear() - 1;
+
+/**
+ * @swagger
+ * /api/withholdings/rules:
+ *   get:
+ *     summary: Get withholding rules (ReteFuente, ReteIVA, ReteICA) and the UVT value in force
+ *     tags: [Withholdings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Withholding rules, supported regimes and concepts
+ */
+router.get('/rules', authenticateToken, requirePermission('withholdings:read'), async (req, res) => {
+  try {
+    const year = new Date().getFullYear();
+    const rules = await prisma.withholdingRule.findMany({
+      orderBy: [{ appliesTo: 'asc' }, { type: 'asc' }, { concept: 'asc' }]
+    });
+
+    res.json({
+      rules,
+      taxRegimes: TAX_REGIMES,
+      concepts: WITHHOLDING_CONCEPTS,
+      uvt: { year, value: await getUvtValue(prisma, year) }
+    });
+  } catch (error) {
+    logger.error('Error fetching withholding rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/withholdings/rules:
+ *   post:
+ *     summary: Create withholding rule
+ *     tags: [Withholdings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - type
+ *               - appliesTo
+ *               - rate
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [RETEFUENTE, RETEIVA, RETEICA]
+ *               appliesTo:
+ *                 type: string
+ *                 enum: [sale, purchase]
+ *                 description: sale = withheld by withholding-agent customers; purchase = withheld to suppliers
+ *               concept:
+ *                 type: string
+ *                 enum: [COMPRAS, SERVICIOS, HONORARIOS, ARRENDAMIENTOS, TRANSPORTE]
+ *               rate:
+ *                 type: number
+ *                 description: Percent of the subtotal (ReteIVA - percent of the IVA)
+ *               minBaseUvt:
+ *                 type: number
+ *                 description: Minimum subtotal in UVT for the rule to apply
+ *               taxRegimes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tax regimes of the customer or supplier the rule applies to (empty = all)
+ *               municipalityCode:
+ *                 type: string
+ *                 description: DANE municipality code (empty = all)
+ *     responses:
+ *       201:
+ *         description: Withholding rule created successfully
+ */
+router.post('/rules',
+  authenticateToken,
+  requirePermission('withholdings:create'),
+  [
+    body('code').isLength({ min: 2, max: 30 }).trim().toUpperCase(),
+    ...ruleValidation(false)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const {
+        code, name, type, appliesTo, concept, rate, minBaseUvt, taxRegimes, municipalityCode
+      } = req.body;
+
+      const existing = await prisma.withholdingRule.findUnique({ where: { code } });
+      if (existing) {
+        return res.status(400).json({ error: 'Withholding rule code already exists' });
+      }
+
+      const rule = await prisma.withholdingRule.create({
+        data: {
+          code,
+          name,
+          type,
+          appliesTo,
+          concept,
+          rate,
+          minBaseUvt,
+          taxRegimes: taxRegimes || [],
+          municipalityCode
+        }
+      });
+
+      logger.info(`Withholding rule created: ${code}`);
+      res.status(201).json(rule);
+    } catch (error) {
+      logger.error('Error creating withholding rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/withholdings/rules/{id}:
+ *   put:
+ *     summary: Update withholding rule. Withholdings already practiced keep the rate they were calculated with.
+ *     tags: [Withholdings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Withholding rule updated successfully
+ */
+router.put('/rules/:id',
+  authenticateToken,
+  requirePermission('withholdings:update'),
+  ruleValidation(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { id } = req.params;
+      const rule = await prisma.withholdingRule.findUnique({ where: { id } });
+
+      if (!rule) {
+        return res.status(404).json({ error: 'Withholding rule not found' });
+      }
+
+      const {
+        name, type, appliesTo, concept, rate, minBaseUvt, taxRegimes, municipalityCode, isActive
+      } = req.body;
+
+      const updated = await prisma.withholdingRule.update({
+        where: { id },
+        data: {
+          name, type, appliesTo, concept, rate, minBaseUvt, taxRegimes, municipalityCode, isActive
+        }
+      });
+
+      logger.info(`Withholding rule updated: ${updated.code}`);
+      res.json(updated);
+    } catch (error) {
+      logger.error('Error updating withholding rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/withholdings/rules/{id}:
+ *   delete:
+ *     summary: Delete withholding rule
+ *     tags: [Withholdings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Withholding rule deleted successfully
+ */
+router.delete('/rules/:id', authenticateToken, requirePermission('withholdings:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rule = await prisma.withholdingRule.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { withholdings: true }
+        }
+      }
+    });
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Withholding rule not found' });
+    }
+
+    if (rule._count.withholdings > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete a withholding rule already applied; deactivate it instead'
+      });
+    }
+
+    await prisma.withholdingRule.delete({
+      where: { id }
+    });
+
+    logger.info(`Withholding rule deleted: ${rule.code}`);
+    res.json({ message: 'Withholding rule deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting withholding rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/withholdings/certificates:
+ *   get:
+ *     summary: Suppliers with withholdings in a taxable year (certificates to issue)
+ *     tags: [Withholdings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Taxable year (default previous year)
+ *     responses:
+ *       200:
+ *         description: Withheld amount per supplier and type
+ */
+router.get('/certificates',
+  authenticateToken,
+  requirePermission('withholdings:read'),
+  [yearQuery],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const year = certificateYear(req);
+      const grouped = await prisma.withholding.groupBy({
+        by: ['supplierId', 'type'],
+        where: {
+          year,
+          supplierId: { not: null },
+          purchase: { status: { not: 'cancelled' } }
+        },
+        _sum: { baseAmount: true, amount: true }
+      });
+
+      const suppliers = await prisma.supplier.findMany({
+        where: { id: { in: [...new Set(grouped.map((entry) => entry.supplierId))] } },
+        select: { id: true, name: true, taxId: true, email: true }
+      });
+
+      const certificates = suppliers.map((supplier) => {
+        const ofSupplier = grouped.filter((entry) => entry.supplierId === supplier.id);
+        const totals = Object.fromEntries(Object.keys(WITHHOLDING_TYPES).map((type) => {
+          const entry = ofSupplier.find((group) => group.type === type);
+          return [type, entry ? Number(entry._sum.amount) : 0];
+        }));
+        return {
+          supplier,
+          totals: { ...totals, total: Object.values(totals).reduce((sum, value) => sum + value, 0) }
+        };
+      }).sort((a, b) => b.totals.total - a.totals.total);
+
+      res.json({ year, certificates });
+    } catch (error) {
+      logger.error('Error fetching withholding certificates:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/withholdings/certificates/{supplierId}:
+ *   get:
+ *     summary: Annual withholding certificate of a supplier
+ *     tags: [Withholdings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Taxable year (default previous year)
+ *     responses:
+ *       200:
+ *         description: Withholdings grouped by type, concept, rate and municipality
+ *       404:
+ *         description: Supplier not found
+ */
+router.get('/certificates/:supplierId',
+  authenticateToken,
+  requirePermission('withholdings:read'),
+  [yearQuery],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const supplier = await prisma.supplier.findUnique({ where: { id: req.params.supplierId } });
+      if (!supplier) {
+        return res.status(404).json({ error: 'Supplier not found' });
+      }
+
+      res.json(await buildWithholdingCertificate(prisma, supplier, certificateYear(req)));
+    } catch (error) {
+      logger.error('Error building withholding certificate:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/withholdings/certificates/{supplierId}/pdf:
+ *   get:
+ *     summary: Download the annual withholding certificate of a supplier (PDF)
+ *     tags: [Withholdings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Certificate PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: No active DIAN configuration with the company data
+ */
+router.get('/certificates/:supplierId/pdf',
+  authenticateToken,
+  requirePermission('withholdings:read'),
+  [yearQuery],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const supplier = await prisma.supplier.findUnique({ where: { id: req.params.supplierId } });
+      if (!supplier) {
+        return res.status(404).json({ error: 'Supplier not found' });
+      }
+
+      // The withholding agent is the company registered in the DIAN configuration
+      const config = await getActiveConfig(prisma);
+      if (!config) {
+        return res.status(409).json({ error: 'No active DIAN configuration with the company data' });
+      }
+
+      const year = certificateYear(req);
+      const certificate = await buildWithholdingCertificate(prisma, supplier, year);
+      const pdf = await buildWithholdingCertificatePdf(certificate, resolveIssuer(config));
+      const fileName = `retenciones-${year}-${(supplier.taxId || supplier.id).replace(/[^\w-]/g, '')}.pdf`;
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="${fileName}"`,
+        'Content-Length': pdf.length
+      });
+      res.end(pdf);
+    } catch (error) {
+      logger.error('Error generating withholding certificate PDF:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
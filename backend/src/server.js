@@ -14,6 +14,11 @@ require('dotenv').config();
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const { authenticateToken } = require('./middleware/auth');
+const { startTransmissionWorker } = require('./services/dian/contingency');
+const { startTacitAcceptanceWorker } = require('./services/dian/events');
+const { startParkedSaleExpiryWorker } = require('./services/parkedSales');
+const { startLayawayExpiryWorker } = require('./services/layaways');
+const { startIdempotencyKeyCleanupWorker } = require('./services/idempotency');
 
 // ==========================
 // CONFIGURACIÓN DE PRISMA
@@ -103,11 +108,21 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', authenticateToken, require('./routes/users'));
 app.use('/api/products', authenticateToken, require('./routes/products'));
 app.use('/api/categories', authenticateToken, require('./routes/categories'));
+app.use('/api/taxes', authenticateToken, require('./routes/taxes'));
+app.use('/api/withholdings', authenticateToken, require('./routes/withholdings'));
 app.use('/api/inventory', authenticateToken, require('./routes/inventory'));
 app.use('/api/suppliers', authenticateToken, require('./routes/suppliers'));
 app.use('/api/purchases', authenticateToken, require('./routes/purchases'));
 app.use('/api/customers', authenticateToken, require('./routes/customers'));
+app.use('/api/customer-groups', authenticateToken, require('./routes/customerGroups'));
+app.use('/api/price-lists', authenticateToken, require('./routes/priceLists'));
+app.use('/api/promotions', authenticateToken, require('./routes/promotions'));
 app.use('/api/sales', authenticateToken, require('./routes/sales'));
+app.use('/api/parked-sales', authenticateToken, require('./routes/parkedSales'));
+app.use('/api/layaways', authenticateToken, require('./routes/layaways'));
+app.use('/api/offline-sales', authenticateToken, require('./routes/offlineSales'));
+app.use('/api/cash-sessions', authenticateToken, require('./routes/cashSessions'));
+app.use('/api/quotations', authenticateToken, require('./routes/quotations'));
 app.use('/api/credits', authenticateToken, require('./routes/credits'));
 app.use('/api/payments', authenticateToken, require('./routes/payments'));
 app.use('/api/reports', authenticateToken, require('./routes/reports'));
@@ -134,6 +149,21 @@ async function startServer() {
       logger.info(`🚀 Servidor corriendo en http://localhost:${PORT}`);
       logger.info(`📚 Swagger Docs: http://localhost:${PORT}/api-docs`);
     });
+
+    // Cola de transmisión diferida de facturas en contingencia DIAN
+    startTransmissionWorker(prisma);
+
+    // Aceptación tácita (evento 034) de facturas con recibo de bienes vencido
+    startTacitAcceptanceWorker(prisma);
+
+    // Vencimiento de las ventas en espera y sus reservas
+    startParkedSaleExpiryWorker(prisma);
+
+    // Vencimiento de los planes separe (devolución o pérdida de los abonos)
+    startLayawayExpiryWorker(prisma);
+
+    // Limpieza de las llaves Idempotency-Key vencidas
+    startIdempotencyKeyCleanupWorker(prisma);
   } catch (error) {
     logger.error('❌ Error al iniciar servidor:', error);
     process.exit(1);
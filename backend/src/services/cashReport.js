@@ -0,0 +1,187 @@
+/**
+ * Informe de caja imprimible (informe X con el turno abierto, Z al cierre)
+ *
+ * Se genera en formato de tirilla de 80 mm para la impresora del POS, con las
+ * ventas y pagos por medio de pago, los movimientos de efectivo y la
+ * conciliación de lo contado contra lo esperado.
+ */
+
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { printable, formatMoney } = require('./dian/pdf');
+
+// 80 mm receipt paper
+const PAGE_WIDTH = 226;
+const MARGIN = 10;
+const LINE_HEIGHT = 11;
+
+const METHOD_LABELS = {
+  cash: 'Efectivo',
+  card: 'Tarjeta',
+  transfer: 'Transferencia',
+  check: 'Cheque',
+  credit: 'Crédito',
+  layaway: 'Abonos plan separe'
+};
+
+const CATEGORY_LABELS = {
+  DEPOSIT: 'Ingreso',
+  EXPENSE: 'Gasto',
+  WITHDRAWAL: 'Retiro',
+  OTHER: 'Otro'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('es-CO', { timeZone: 'America/Bogota' }) : '');
+
+const personName = (user) => (user ? `${user.firstName} ${user.lastName}`.trim() || user.username : '');
+
+/**
+ * Generar el PDF del informe de un turno
+ *
+ * @param {Object} session - Turno con user y closedBy
+ * @param {Object} summary - Resultado de summarizeSession()
+ * @param {Object} [company] - Emisor (resolveIssuer()) para el encabezado
+ * @returns {Promise<Buffer>}
+ */
+const buildCashReportPdf = async (session, summary, company = null) => {
+  const closed = session.status === 'closed';
+  const reconciliation = session.reconciliation || {};
+
+  // [left, right, options] rows; a null row is a separator
+  const rows = [];
+  const title = (text) => rows.push([text, '', { bold: true, center: true }]);
+  const line = (left, right = '', options = {}) => rows.push([left, right, options]);
+  const separator = () => rows.push(null);
+
+  if (company) {
+    title(company.name);
+    line(`NIT ${company.number}-${company.checkDigit}`, '', { center: true });
+  }
+  title(closed ? 'INFORME Z - CIERRE DE CAJA' : 'INFORME X - CAJA ABIERTA');
+  separator();
+  line('Caja', session.register);
+  line('Cajero', personName(session.user));
+  line('Apertura', formatDate(session.openedAt));
+  if (closed) {
+    line('Cierre', formatDate(session.closedAt));
+    line('Cerrado por', personName(session.closedBy));
+  }
+  if (summary.sales.firstInvoice) {
+    line('Facturas', `${summary.sales.firstInvoice} a ${summary.sales.lastInvoice}`);
+  }
+  separator();
+
+  line('VENTAS', '', { bold: true });
+  Object.entries(summary.sales.byMethod).forEach(([method, entry]) => {
+    line(`${METHOD_LABELS[method] || method} (${entry.count})`, formatMoney(entry.total));
+  });
+  line('Total ventas', formatMoney(summary.sales.total), { bold: true });
+  if (summary.sales.withheld > 0) {
+    line('Retenciones de clientes', `-${formatMoney(summary.sales.withheld)}`);
+  }
+  if (summary.sales.cancelled > 0) {
+    line('Ventas anuladas', String(summary.sales.cancelled));
+  }
+  separator();
+
+  if (summary.payments.count > 0) {
+    line('ABONOS A CRÉDITOS', '', { bold: true });
+    Object.entries(summary.payments.byMethod).forEach(([method, value]) => {
+      line(METHOD_LABELS[method] || method, formatMoney(value));
+    });
+    separator();
+  }
+
+  if (summary.deposits.count > 0) {
+    line('ABONOS A PLAN SEPARE', '', { bold: true });
+    Object.entries(summary.deposits.byMethod).forEach(([method, value]) => {
+      line(METHOD_LABELS[method] || method, formatMoney(value));
+    });
+    separator();
+  }
+
+  line('EFECTIVO', '', { bold: true });
+  line('Base de caja', formatMoney(summary.openingFloat));
+  if (summary.refunds.count > 0) {
+    line(`Devoluciones (${summary.refunds.count})`, `-${formatMoney(summary.refunds.total)}`);
+  }
+  if (summary.layawayRefunds.count > 0) {
+    line(`Devoluciones plan separe (${summary.layawayRefunds.count})`, `-${formatMoney(summary.layawayRefunds.total)}`);
+  }
+  summary.movements.items.forEach((movement) => {
+    const sign = movement.type === 'out' ? '-' : '';
+    line(`${CATEGORY_LABELS[movement.category] || movement.category}: ${movement.description}`,
+      `${sign}${formatMoney(movement.amount)}`);
+  });
+  line('Efectivo esperado', formatMoney(summary.expected.cash), { bold: true });
+  separator();
+
+  line('CONCILIACIÓN', '', { bold: true });
+  Object.entries(summary.expected)
+    .filter(([method, expected]) => expected !== 0 || (reconciliation[method] && reconciliation[method].counted !== null))
+    .forEach(([method, expected]) => {
+      const entry = reconciliation[method];
+      line(METHOD_LABELS[method] || method, '', { bold: true });
+      line('  Esperado', formatMoney(expected));
+      if (entry && entry.counted !== null) {
+        line('  Contado', formatMoney(entry.counted));
+        line('  Diferencia', formatMoney(entry.difference));
+      }
+    });
+  if (summary.creditSales > 0) {
+    line('Ventas a crédito (no ingresan a caja)', formatMoney(summary.creditSales));
+  }
+  if (session.notes) {
+    separator();
+    line(session.notes);
+  }
+  separator();
+  line(`Impreso ${formatDate(new Date())}`, '', { center: true });
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`${closed ? 'Informe Z' : 'Informe X'} ${session.register}`);
+  pdf.setCreator('Agropecuaria Suaza POS');
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const size = 8;
+  const width = PAGE_WIDTH - MARGIN * 2;
+
+  const height = MARGIN * 2 + rows.length * LINE_HEIGHT;
+  const page = pdf.addPage([PAGE_WIDTH, height]);
+  let y = height - MARGIN - size;
+
+  rows.forEach((row) => {
+    if (!row) {
+      page.drawLine({
+        start: { x: MARGIN, y: y + size / 2 },
+        end: { x: PAGE_WIDTH - MARGIN, y: y + size / 2 },
+        thickness: 0.5,
+        dashArray: [2, 2]
+      });
+      y -= LINE_HEIGHT;
+      return;
+    }
+
+    const [left, right, options] = row;
+    const font = options.bold ? bold : regular;
+    const rightText = printable(right);
+    const rightWidth = font.widthOfTextAtSize(rightText, size);
+    let leftText = printable(left);
+    // Truncate the label so it never overlaps the amount
+    while (leftText.length > 1 && font.widthOfTextAtSize(leftText, size) > width - rightWidth - 4) {
+      leftText = leftText.slice(0, -1);
+    }
+
+    const leftX = options.center ? MARGIN + (width - font.widthOfTextAtSize(leftText, size)) / 2 : MARGIN;
+    page.drawText(leftText, { x: leftX, y, font, size });
+    if (rightText) {
+      page.drawText(rightText, { x: PAGE_WIDTH - MARGIN - rightWidth, y, font, size });
+    }
+    y -= LINE_HEIGHT;
+  });
+
+  return Buffer.from(await pdf.save());
+};
+
+module.exports = {
+  buildCashReportPdf
+};
@@ -0,0 +1,363 @@
+/**
+ * Turnos de caja (apertura y cierre de caja) del POS
+ *
+ * Cada cajero abre un turno en una caja con una base en efectivo; las ventas y
+ * pagos que registra quedan asociados al turno, igual que las entradas y
+ * salidas de efectivo (gastos, retiros). Al cierre se compara lo contado con lo
+ * esperado por medio de pago y el resultado queda guardado para el informe Z.
+ */
+
+const { round } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// Medios de pago que ingresan dinero a la caja (las ventas a crédito no)
+const COLLECTED_METHODS = ['cash', 'card', 'transfer', 'check'];
+
+const MOVEMENT_CATEGORIES = {
+  in: ['DEPOSIT', 'OTHER'],
+  out: ['EXPENSE', 'WITHDRAWAL', 'OTHER']
+};
+
+const CANCELLED_STATUSES = ['CANCELLED', 'cancelled'];
+
+/**
+ * Error de turno de caja (sin turno abierto, caja ocupada, turno cerrado...)
+ */
+class CashSessionError extends Error {
+  constructor(message, code, statusCode = 409) {
+    super(message);
+    this.name = 'CashSessionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const sum = (values) => round(values.reduce((total, value) => total + Number(value), 0));
+
+/**
+ * Turno abierto de un cajero (o null)
+ */
+const findOpenSession = (prisma, userId) => prisma.cashSession.findFirst({
+  where: { userId, status: 'open' }
+});
+
+/**
+ * Turno abierto de un cajero; sin turno no se puede vender
+ *
+ * @throws {CashSessionError} CASH_SESSION_REQUIRED
+ */
+const requireOpenSession = async (prisma, userId) => {
+  const session = await findOpenSession(prisma, userId);
+  if (!session) {
+    throw new CashSessionError(
+      'No open cash register session; open the register before selling',
+      'CASH_SESSION_REQUIRED'
+    );
+  }
+  return session;
+};
+
+/**
+ * Buscar un turno por id
+ */
+const findSession = async (prisma, sessionId) => {
+  const session = await prisma.cashSession.findUnique({
+    where: { id: sessionId },
+    include: {
+      user: { select: { id: true, username: true, firstName: true, lastName: true } },
+      closedBy: { select: { id: true, username: true, firstName: true, lastName: true } }
+    }
+  });
+  if (!session) {
+    throw new CashSessionError('Cash register session not found', 'CASH_SESSION_NOT_FOUND', 404);
+  }
+  return session;
+};
+
+const assertOpen = (session) => {
+  if (session.status !== 'open') {
+    throw new CashSessionError(`Cash register session is ${session.status}`, 'CASH_SESSION_CLOSED');
+  }
+};
+
+/**
+ * Abrir un turno de caja
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} data
+ * @param {string} data.register - Caja (o sucursal) en la que se abre el turno
+ * @param {number} data.openingFloat - Base de caja en efectivo
+ * @param {string} [data.notes] - Observaciones
+ * @param {string} userId - Cajero
+ * @throws {CashSessionError} CASH_SESSION_ALREADY_OPEN o REGISTER_IN_USE
+ */
+const openSession = async (prisma, { register, openingFloat, notes }, userId) => {
+  const own = await findOpenSession(prisma, userId);
+  if (own) {
+    throw new CashSessionError(
+      `You already have an open session on register ${own.register}`,
+      'CASH_SESSION_ALREADY_OPEN'
+    );
+  }
+
+  const inUse = await prisma.cashSession.findFirst({ where: { register, status: 'open' } });
+  if (inUse) {
+    throw new CashSessionError(`Register ${register} already has an open session`, 'REGISTER_IN_USE');
+  }
+
+  const session = await prisma.cashSession.create({
+    data: {
+      register,
+      userId,
+      openingFloat,
+      notes
+    }
+  });
+
+  logger.info(`Cash register ${register} opened by user ${userId} with float ${openingFloat}`);
+  return session;
+};
+
+/**
+ * Totales de un turno: ventas por medio de pago (según los pagos recibidos en
+ * cada venta, los abonos de plan separe aplicados y el saldo dejado a
+ * crédito), abonos a créditos y a planes separe, devoluciones pagadas en
+ * efectivo, movimientos de efectivo y valor esperado en caja por medio de pago
+ *
+ * @returns {Promise<Object>} Resumen usado por el cierre y el informe Z
+ */
+const summarizeSession = async (prisma, session) => {
+  const [sales, payments, deposits, refunds, layawayRefunds, movements] = await Promise.all([
+    prisma.sale.findMany({
+      where: { cashSessionId: session.id },
+      select: {
+        id: true,
+        invoiceNumber: true,
+        totalAmount: true,
+        withholdingTotal: true,
+        paymentMethod: true,
+        status: true,
+        payments: { where: { creditId: null }, select: { method: true, amount: true, layawayId: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.payment.findMany({ where: { cashSessionId: session.id, creditId: { not: null } } }),
+    prisma.payment.findMany({ where: { cashSessionId: session.id, layawayId: { not: null } } }),
+    prisma.saleReturn.findMany({
+      where: { cashSessionId: session.id },
+      select: { id: true, returnNumber: true, refundAmount: true }
+    }),
+    prisma.layaway.findMany({
+      where: { refundCashSessionId: session.id },
+      select: { id: true, layawayNumber: true, refundAmount: true }
+    }),
+    prisma.cashMovement.findMany({ where: { sessionId: session.id }, orderBy: { createdAt: 'asc' } })
+  ]);
+
+  const active = sales.filter((sale) => !CANCELLED_STATUSES.includes(sale.status));
+  const methodOf = (value) => String(value || 'cash').toLowerCase();
+
+  // Customers that withhold pay the net amount
+  const salesByMethod = {};
+  const addSale = (method, total, withheld) => {
+    const entry = salesByMethod[method] || { count: 0, total: 0, withheld: 0, collected: 0 };
+    entry.count += 1;
+    entry.total = round(entry.total + Number(total));
+    entry.withheld = round(entry.withheld + Number(withheld));
+    entry.collected = round(entry.total - entry.withheld);
+    salesByMethod[method] = entry;
+  };
+  active.forEach((sale) => {
+    if (sale.payments.length === 0) {
+      // Credit sales, and sales recorded before tenders were stored: one method for the whole sale
+      addSale(methodOf(sale.paymentMethod), sale.totalAmount, sale.withholdingTotal || 0);
+      return;
+    }
+
+    // Tenders are net of withholdings; the unpaid remainder went on credit. Layaway
+    // deposits were collected by the sessions that received them
+    sale.payments
+      .filter((payment) => !payment.layawayId)
+      .forEach((payment) => addSale(methodOf(payment.method), payment.amount, 0));
+    const applied = sale.payments.filter((payment) => payment.layawayId);
+    if (applied.length > 0) {
+      addSale('layaway', sum(applied.map((payment) => payment.amount)), 0);
+    }
+    const remainder = round(Number(sale.totalAmount) - Number(sale.withholdingTotal || 0)
+      - sum(sale.payments.map((payment) => payment.amount)));
+    if (remainder > 0) {
+      addSale('credit', remainder, 0);
+    }
+  });
+
+  const paymentsByMethod = {};
+  payments.forEach((payment) => {
+    const method = methodOf(payment.method);
+    paymentsByMethod[method] = round((paymentsByMethod[method] || 0) + Number(payment.amount));
+  });
+
+  const depositsByMethod = {};
+  deposits.forEach((deposit) => {
+    const method = methodOf(deposit.method);
+    depositsByMethod[method] = round((depositsByMethod[method] || 0) + Number(deposit.amount));
+  });
+
+  const cashIn = sum(movements.filter((movement) => movement.type === 'in').map((movement) => movement.amount));
+  const cashOut = sum(movements.filter((movement) => movement.type === 'out').map((movement) => movement.amount));
+
+  const expected = Object.fromEntries(COLLECTED_METHODS.map((method) => [
+    method,
+    round((salesByMethod[method] ? salesByMethod[method].collected : 0) + (paymentsByMethod[method] || 0)
+      + (depositsByMethod[method] || 0))
+  ]));
+  const refunded = sum(refunds.map((refund) => refund.refundAmount));
+  const layawayRefunded = sum(layawayRefunds.map((layaway) => layaway.refundAmount));
+  expected.cash = round(Number(session.openingFloat) + expected.cash + cashIn - cashOut - refunded - layawayRefunded);
+
+  return {
+    openingFloat: Number(session.openingFloat),
+    sales: {
+      count: active.length,
+      cancelled: sales.length - active.length,
+      total: sum(active.map((sale) => sale.totalAmount)),
+      withheld: sum(active.map((sale) => sale.withholdingTotal || 0)),
+      byMethod: salesByMethod,
+      firstInvoice: active.length > 0 ? active[0].invoiceNumber : null,
+      lastInvoice: active.length > 0 ? active[active.length - 1].invoiceNumber : null
+    },
+    payments: {
+      count: payments.length,
+      total: sum(payments.map((payment) => payment.amount)),
+      byMethod: paymentsByMethod
+    },
+    deposits: {
+      count: deposits.length,
+      total: sum(deposits.map((deposit) => deposit.amount)),
+      byMethod: depositsByMethod
+    },
+    refunds: {
+      count: refunds.length,
+      total: refunded
+    },
+    layawayRefunds: {
+      count: layawayRefunds.length,
+      total: layawayRefunded
+    },
+    movements: {
+      in: cashIn,
+      out: cashOut,
+      items: movements
+    },
+    creditSales: salesByMethod.credit ? salesByMethod.credit.total : 0,
+    expected
+  };
+};
+
+/**
+ * Registrar una entrada o salida de efectivo en un turno abierto
+ *
+ * @param {Object} movement
+ * @param {string} movement.type - in o out
+ * @param {string} movement.category - DEPOSIT, EXPENSE, WITHDRAWAL u OTHER
+ * @param {number} movement.amount - Valor
+ * @param {string} movement.description - Concepto
+ * @throws {CashSessionError} CASH_SESSION_CLOSED o INSUFFICIENT_CASH
+ */
+const addMovement = async (prisma, sessionId, { type, category, amount, description }, userId) => {
+  const session = await findSession(prisma, sessionId);
+  assertOpen(session);
+
+  if (!MOVEMENT_CATEGORIES[type].includes(category)) {
+    throw new CashSessionError(`Category ${category} is not valid for cash ${type} movements`, 'INVALID_CATEGORY', 400);
+  }
+
+  if (type === 'out') {
+    const { expected } = await summarizeSession(prisma, session);
+    if (Number(amount) > expected.cash) {
+      throw new CashSessionError(
+        `Not enough cash in the register: ${expected.cash} available`,
+        'INSUFFICIENT_CASH'
+      );
+    }
+  }
+
+  const movement = await prisma.cashMovement.create({
+    data: {
+      sessionId,
+      type,
+      category,
+      amount,
+      description,
+      userId
+    }
+  });
+
+  logger.info(`Cash ${type} of ${amount} (${category}) on register ${session.register}`);
+  return movement;
+};
+
+/**
+ * Cerrar un turno comparando lo contado con lo esperado por medio de pago
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} sessionId - Turno abierto
+ * @param {Object} closing
+ * @param {Object} closing.counted - Valor contado por medio de pago ({ cash, card, transfer, check });
+ *   el efectivo es obligatorio, los medios no contados no se concilian
+ * @param {string} [closing.notes] - Observaciones del cierre
+ * @param {string} userId - Usuario que cierra
+ * @returns {Promise<{ session: Object, summary: Object }>}
+ */
+const closeSession = async (prisma, sessionId, { counted, notes }, userId) => {
+  const session = await findSession(prisma, sessionId);
+  assertOpen(session);
+
+  const summary = await summarizeSession(prisma, session);
+  const reconciliation = Object.fromEntries(COLLECTED_METHODS.map((method) => {
+    const value = counted[method];
+    const countedValue = value === undefined || value === null ? null : round(value);
+    return [method, {
+      expected: summary.expected[method],
+      counted: countedValue,
+      difference: countedValue === null ? null : round(countedValue - summary.expected[method])
+    }];
+  }));
+
+  const closed = await prisma.cashSession.update({
+    where: { id: session.id },
+    data: {
+      status: 'closed',
+      closedAt: new Date(),
+      closedById: userId,
+      expectedCash: reconciliation.cash.expected,
+      countedCash: reconciliation.cash.counted,
+      cashDifference: reconciliation.cash.difference,
+      reconciliation,
+      notes: [session.notes, notes].filter(Boolean).join('\n') || null
+    },
+    include: {
+      user: { select: { id: true, username: true, firstName: true, lastName: true } },
+      closedBy: { select: { id: true, username: true, firstName: true, lastName: true } }
+    }
+  });
+
+  if (reconciliation.cash.difference !== 0) {
+    logger.warn(`Register ${session.register} closed with a cash difference of ${reconciliation.cash.difference}`);
+  }
+  logger.info(`Cash register ${session.register} closed by user ${userId}`);
+
+  return { session: closed, summary };
+};
+
+module.exports = {
+  COLLECTED_METHODS,
+  MOVEMENT_CATEGORIES,
+  CashSessionError,
+  findOpenSession,
+  requireOpenSession,
+  findSession,
+  openSession,
+  summarizeSession,
+  addMovement,
+  closeSession
+};
@@ -0,0 +1,271 @@
+/**
+ * Control de crédito en el punto de venta
+ *
+ * Una venta que deja saldo a crédito se rechaza si el cliente está bloqueado,
+ * si tiene créditos vencidos o si su saldo pendiente más el nuevo crédito
+ * supera el cupo (creditLimit; un cliente sin cupo definido no tiene tope).
+ *
+ * Un supervisor con el permiso credits:override puede autorizarla digitando su
+ * usuario y su PIN. Cada autorización queda en el log de auditoría (AuditLog)
+ * con el estado de crédito del cliente en ese momento. Tras
+ * SUPERVISOR_PIN_MAX_ATTEMPTS PIN errados seguidos el PIN del supervisor se
+ * bloquea SUPERVISOR_PIN_LOCK_MINUTES.
+ */
+
+const bcrypt = require('bcryptjs');
+const { hasPermission } = require('./notifications');
+const { round } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const CREDIT_OVERRIDE_PERMISSION = 'credits:override';
+
+// Estados de Credit como los escriben las rutas de créditos y abonos
+const CREDIT_STATUS = {
+  ACTIVE: 'active',
+  OVERDUE: 'overdue',
+  PAID: 'paid'
+};
+
+// Créditos con saldo por cobrar
+const OPEN_CREDIT_STATUSES = [CREDIT_STATUS.ACTIVE, CREDIT_STATUS.OVERDUE];
+
+/**
+ * Error de control de crédito; issues lista las condiciones incumplidas
+ */
+class CreditControlError extends Error {
+  constructor(message, code, statusCode = 403, issues = []) {
+    super(message);
+    this.name = 'CreditControlError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Intentos de PIN permitidos y minutos de bloqueo, desde las variables de entorno
+ */
+const getSupervisorPinSettings = () => ({
+  maxAttempts: Number(process.env.SUPERVISOR_PIN_MAX_ATTEMPTS) || 5,
+  lockMinutes: Number(process.env.SUPERVISOR_PIN_LOCK_MINUTES) || 15
+});
+
+/**
+ * Estado de crédito de un cliente: cupo, saldo pendiente y créditos vencidos
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} customer - Cliente (creditLimit, isBlocked, blockedReason)
+ * @param {Date} [date] - Fecha de corte para los vencimientos
+ * @returns {Promise<{ creditLimit: number|null, outstanding: number, available: number|null,
+ *   overdue: Array<{ id, saleId, dueDate, balance }>, isBlocked: boolean, blockedReason: string|null }>}
+ */
+const getCreditStatus = async (prisma, customer, date = new Date()) => {
+  const credits = await prisma.credit.findMany({
+    where: { customerId: customer.id, status: { in: OPEN_CREDIT_STATUSES } },
+    include: { payments: { select: { amount: true } } },
+    orderBy: { dueDate: 'asc' }
+  });
+
+  const open = credits
+    .map((credit) => ({
+      id: credit.id,
+      saleId: credit.saleId,
+      status: credit.status,
+      dueDate: credit.dueDate,
+      balance: round(Number(credit.amount) - credit.payments.reduce((sum, payment) => sum + Number(payment.amount), 0))
+    }))
+    .filter((credit) => credit.balance > 0);
+
+  const outstanding = round(open.reduce((sum, credit) => sum + credit.balance, 0));
+  const creditLimit = customer.creditLimit === null || customer.creditLimit === undefined
+    ? null
+    : Number(customer.creditLimit);
+
+  return {
+    creditLimit,
+    outstanding,
+    available: creditLimit === null ? null : round(creditLimit - outstanding),
+    overdue: open
+      .filter((credit) => credit.status === CREDIT_STATUS.OVERDUE || new Date(credit.dueDate) < date)
+      .map(({ status, ...credit }) => credit),
+    isBlocked: Boolean(customer.isBlocked),
+    blockedReason: customer.blockedReason || null
+  };
+};
+
+/**
+ * Condiciones que impiden dejar un valor a crédito
+ *
+ * @param {Object} status - Resultado de getCreditStatus
+ * @param {number} amount - Valor que quedaría a crédito
+ * @returns {Array<{ code: string, message: string }>} CUSTOMER_BLOCKED, CREDIT_OVERDUE, CREDIT_LIMIT_EXCEEDED
+ */
+const findCreditIssues = (status, amount) => {
+  const issues = [];
+  if (status.isBlocked) {
+    issues.push({
+      code: 'CUSTOMER_BLOCKED',
+      message: `Customer is blocked${status.blockedReason ? `: ${status.blockedReason}` : ''}`
+    });
+  }
+  if (status.overdue.length > 0) {
+    const overdueBalance = round(status.overdue.reduce((sum, credit) => sum + credit.balance, 0));
+    issues.push({
+      code: 'CREDIT_OVERDUE',
+      message: `Customer has ${status.overdue.length} overdue credit(s) for ${overdueBalance}`
+    });
+  }
+  if (status.creditLimit !== null && round(status.outstanding + amount) > status.creditLimit) {
+    issues.push({
+      code: 'CREDIT_LIMIT_EXCEEDED',
+      message: `Outstanding balance ${status.outstanding} plus ${amount} exceeds the credit limit of ${status.creditLimit}`
+    });
+  }
+  return issues;
+};
+
+/**
+ * Verificar el usuario y el PIN del supervisor que autoriza
+ *
+ * Cada PIN errado suma un intento fallido al supervisor; al llegar al máximo
+ * el PIN queda bloqueado y un PIN correcto reinicia el conteo.
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {{ username: string, pin: string, ipAddress?: string }} override
+ * @param {Date} [now] - Fecha de la autorización
+ * @returns {Promise<Object>} Supervisor
+ * @throws {CreditControlError} INVALID_SUPERVISOR_PIN, SUPERVISOR_PIN_LOCKED u OVERRIDE_NOT_ALLOWED
+ */
+const verifySupervisor = async (prisma, { username, pin, ipAddress }, now = new Date()) => {
+  const supervisor = await prisma.user.findUnique({
+    where: { username },
+    include: { role: true }
+  });
+
+  if (supervisor && supervisor.supervisorPinLockedUntil && supervisor.supervisorPinLockedUntil > now) {
+    logger.security('SUPERVISOR_PIN_LOCKED', {
+      username, purpose: 'credit override', lockedUntil: supervisor.supervisorPinLockedUntil, ip: ipAddress
+    });
+    throw new CreditControlError(
+      'Supervisor PIN is locked after too many failed attempts; try again later',
+      'SUPERVISOR_PIN_LOCKED',
+      423
+    );
+  }
+
+  const valid = supervisor && supervisor.isActive && supervisor.supervisorPin
+    && await bcrypt.compare(String(pin), supervisor.supervisorPin);
+  if (!valid) {
+    const details = { username, purpose: 'credit override', ip: ipAddress };
+    if (supervisor && supervisor.supervisorPin) {
+      const { maxAttempts, lockMinutes } = getSupervisorPinSettings();
+      const { supervisorPinFailedAttempts: attempts } = await prisma.user.update({
+        where: { id: supervisor.id },
+        data: { supervisorPinFailedAttempts: { increment: 1 } }
+      });
+      details.attempts = attempts;
+      if (attempts >= maxAttempts) {
+        details.lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+        await prisma.user.update({
+          where: { id: supervisor.id },
+          data: { supervisorPinFailedAttempts: 0, supervisorPinLockedUntil: details.lockedUntil }
+        });
+      }
+    }
+    logger.security('SUPERVISOR_PIN_FAILED', details);
+    throw new CreditControlError('Invalid supervisor username or PIN', 'INVALID_SUPERVISOR_PIN');
+  }
+
+  if (supervisor.supervisorPinFailedAttempts > 0 || supervisor.supervisorPinLockedUntil) {
+    await prisma.user.update({
+      where: { id: supervisor.id },
+      data: { supervisorPinFailedAttempts: 0, supervisorPinLockedUntil: null }
+    });
+  }
+
+  if (!hasPermission(supervisor.role && supervisor.role.permissions, CREDIT_OVERRIDE_PERMISSION)) {
+    throw new CreditControlError(
+      `User ${username} is not allowed to authorize credit sales`,
+      'OVERRIDE_NOT_ALLOWED'
+    );
+  }
+
+  return supervisor;
+};
+
+/**
+ * Autorizar que un valor quede a crédito de un cliente
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} customer - Cliente
+ * @param {number} amount - Valor que queda a crédito
+ * @param {{ username, pin, reason }} [override] - Autorización del supervisor
+ * @returns {Promise<{ status: Object, issues: Array, supervisor: Object|null }>} supervisor solo si
+ *   hubo que autorizar la venta
+ * @throws {CreditControlError} Con el código de la primera condición incumplida si no hay
+ *   autorización, o INVALID_SUPERVISOR_PIN / SUPERVISOR_PIN_LOCKED / OVERRIDE_NOT_ALLOWED
+ */
+const authorizeCredit = async (prisma, customer, amount, override) => {
+  const status = await getCreditStatus(prisma, customer);
+  const issues = findCreditIssues(status, amount);
+
+  if (issues.length === 0) {
+    return { status, issues, supervisor: null };
+  }
+  if (!override) {
+    throw new CreditControlError(
+      `${issues.map((issue) => issue.message).join('; ')}; a supervisor must authorize the credit`,
+      issues[0].code,
+      403,
+      issues
+    );
+  }
+
+  const supervisor = await verifySupervisor(prisma, override);
+  return { status, issues, supervisor };
+};
+
+/**
+ * Registrar en la auditoría una venta a crédito autorizada por un supervisor
+ *
+ * @param {Object} prisma - Cliente Prisma (o transacción)
+ * @param {Object} data
+ * @param {Object} data.sale - Venta registrada
+ * @param {number} data.amount - Valor que quedó a crédito
+ * @param {Object} data.authorization - Resultado de authorizeCredit
+ * @param {Object} data.override - Autorización recibida (reason, ipAddress, userAgent)
+ * @param {string} data.userId - Cajero que registró la venta
+ * @returns {Promise<Object>} Registro de auditoría
+ */
+const recordCreditOverride = (prisma, {
+  sale, amount, authorization, override, userId
+}) => prisma.auditLog.create({
+  data: {
+    userId: authorization.supervisor.id,
+    action: 'CREDIT_OVERRIDE',
+    table: 'sales',
+    recordId: sale.id,
+    oldValues: authorization.status,
+    newValues: {
+      invoiceNumber: sale.invoiceNumber,
+      customerId: sale.customerId,
+      creditAmount: amount,
+      issues: authorization.issues.map((issue) => issue.code),
+      reason: override.reason || null,
+      cashierId: userId
+    },
+    ipAddress: override.ipAddress,
+    userAgent: override.userAgent
+  }
+});
+
+module.exports = {
+  CREDIT_OVERRIDE_PERMISSION,
+  CREDIT_STATUS,
+  CreditControlError,
+  getCreditStatus,
+  findCreditIssues,
+  verifySupervisor,
+  authorizeCredit,
+  recordCreditOverride
+};
@@ -0,0 +1,193 @@
+/**
+ * Documentos ApplicationResponse: respuestas de validación DIAN y eventos
+ * RADIAN sobre facturas electrónicas (acuse, reclamo, recibo del bien y
+ * aceptaciones)
+ */
+
+const crypto = require('crypto');
+const {
+  el, serialize, parse, findByName, findAllByName, textOf
+} = require('./xml');
+const { DIAN_NIT } = require('./config');
+const { formatDateTime, buildExtensions } = require('./ubl');
+
+const NAMESPACES = {
+  xmlns: 'urn:oasis:names:specification:ubl:schema:xsd:ApplicationResponse-2',
+  'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+  'xmlns:ext': 'urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2',
+  'xmlns:sts': 'dian:gov:co:facturaelectronica:Structures-2-1',
+  'xmlns:ds': 'http://www.w3.org/2000/09/xmldsig#',
+  'xmlns:xades': 'http://uri.etsi.org/01903/v1.3.2#',
+  'xmlns:xades141': 'http://uri.etsi.org/01903/v1.4.1#'
+};
+
+// Códigos de respuesta de la validación previa
+const RESPONSE_CODES = {
+  ACCEPTED: '02',
+  REJECTED: '04'
+};
+
+const partyNode = (name, nit, partyName, { checkDigit, documentType = '31', taxLevelCode } = {}) => el(name, {},
+  el('cac:PartyTaxScheme', {},
+    el('cbc:RegistrationName', {}, partyName),
+    el('cbc:CompanyID', { schemeAgencyID: '195', schemeID: checkDigit, schemeName: documentType }, nit),
+    taxLevelCode && el('cbc:TaxLevelCode', {}, taxLevelCode),
+    el('cac:TaxScheme', {},
+      el('cbc:ID', {}, '01'),
+      el('cbc:Name', {}, 'IVA'))));
+
+const readPartyNode = (node) => ({
+  nit: node ? textOf(findByName(node, 'cbc:CompanyID')) : null,
+  name: node ? textOf(findByName(node, 'cbc:RegistrationName')) : null
+});
+
+/**
+ * Construir la respuesta de validación de un documento
+ *
+ * @param {Object} response
+ * @param {string} response.environment - 1 producción, 2 pruebas
+ * @param {string} response.documentId - Número del documento validado
+ * @param {string} response.documentKey - CUFE/CUDE del documento validado
+ * @param {string} response.receiverNit - NIT del emisor del documento
+ * @param {boolean} response.accepted - Resultado de la validación
+ * @param {Array} [response.lines] - Reglas incumplidas ({ code, description })
+ */
+const buildValidationResponse = ({
+  environment, documentId, documentKey, receiverNit, receiverName, accepted, lines = [], issueDate = new Date()
+}) => {
+  const issued = formatDateTime(issueDate);
+  const id = String(Date.now());
+  const uuid = crypto.createHash('sha384').update(`${id}${documentKey}${accepted}`).digest('hex');
+
+  return serialize(el('ApplicationResponse', NAMESPACES,
+    el('cbc:UBLVersionID', {}, 'UBL 2.1'),
+    el('cbc:CustomizationID', {}, '1'),
+    el('cbc:ProfileID', {}, 'DIAN 2.1'),
+    el('cbc:ProfileExecutionID', {}, environment),
+    el('cbc:ID', {}, id),
+    el('cbc:UUID', { schemeName: 'CUDE-SHA384' }, uuid),
+    el('cbc:IssueDate', {}, issued.date),
+    el('cbc:IssueTime', {}, issued.time),
+    partyNode('cac:SenderParty', DIAN_NIT, 'Unidad Especial Dirección de Impuestos y Aduanas Nacionales'),
+    partyNode('cac:ReceiverParty', receiverNit, receiverName || receiverNit),
+    el('cac:DocumentResponse', {},
+      el('cac:Response', {},
+        el('cbc:ResponseCode', {}, accepted ? RESPONSE_CODES.ACCEPTED : RESPONSE_CODES.REJECTED),
+        el('cbc:Description', {}, accepted
+          ? 'Documento validado por la DIAN'
+          : 'Documento con errores en campos mandatorios')),
+      el('cac:DocumentReference', {},
+        el('cbc:ID', {}, documentId),
+        el('cbc:UUID', { schemeName: 'CUFE-SHA384' }, documentKey)),
+      lines.map((line, index) => el('cac:LineResponse', {},
+        el('cac:LineReference', {}, el('cbc:LineID', {}, index + 1)),
+        el('cac:Response', {},
+          el('cbc:ResponseCode', {}, line.code),
+          el('cbc:Description', {}, line.description)))))));
+};
+
+/**
+ * Construir un evento RADIAN sobre una factura electrónica de venta
+ *
+ * @param {Object} event
+ * @param {string} event.eventNumber - Consecutivo del evento
+ * @param {string} event.eventCode - 030, 031, 032, 033 o 034
+ * @param {string} event.description - Nombre del evento
+ * @param {Date} event.issueDate - Fecha de generación
+ * @param {Object} event.config - DianConfig de la empresa (proveedor tecnológico)
+ * @param {Object} event.settings - Parámetros de getDianSettings()
+ * @param {Object} event.sender - Quien emite el evento ({ number, checkDigit, documentType, name, taxLevelCode })
+ * @param {Object} event.receiver - Contraparte de la factura
+ * @param {Object} event.document - Factura referenciada ({ id, uuid })
+ * @param {string} [event.claimCode] - Concepto del reclamo (031)
+ * @param {string} [event.note] - Observaciones
+ * @param {Object} [event.receivedBy] - Persona que recibe (030 y 032): { documentNumber, firstName, lastName, jobTitle, department }
+ * @param {string} [event.cude] - CUDE calculado con computeEventCude()
+ */
+const buildEventResponse = ({
+  eventNumber, eventCode, description, issueDate, config, settings, sender, receiver, document,
+  claimCode, note, receivedBy, cude
+}) => {
+  const issued = formatDateTime(issueDate);
+  const party = (name, data) => partyNode(name, data.number, data.name, data);
+
+  return el('ApplicationResponse', NAMESPACES,
+    buildExtensions({
+      invoiceNumber: eventNumber, config, settings, issuer: sender, withInvoiceControl: false
+    }),
+    el('cbc:UBLVersionID', {}, 'UBL 2.1'),
+    el('cbc:CustomizationID', {}, '1'),
+    el('cbc:ProfileID', {}, 'DIAN 2.1: ApplicationResponse de la Factura Electrónica de Venta'),
+    el('cbc:ProfileExecutionID', {}, settings.environment),
+    el('cbc:ID', {}, eventNumber),
+    cude && el('cbc:UUID', { schemeID: settings.environment, schemeName: 'CUDE-SHA384' }, cude),
+    el('cbc:IssueDate', {}, issued.date),
+    el('cbc:IssueTime', {}, issued.time),
+    note && el('cbc:Note', {}, note),
+    party('cac:SenderParty', sender),
+    party('cac:ReceiverParty', receiver),
+    el('cac:DocumentResponse', {},
+      el('cac:Response', {},
+        el('cbc:ResponseCode', { listID: claimCode }, eventCode),
+        el('cbc:Description', {}, description)),
+      el('cac:DocumentReference', {},
+        el('cbc:ID', {}, document.id),
+        el('cbc:UUID', { schemeName: 'CUFE-SHA384' }, document.uuid),
+        el('cbc:DocumentTypeCode', {}, '01')),
+      receivedBy && el('cac:IssuerParty', {},
+        el('cac:Person', {},
+          el('cbc:ID', { schemeID: '13', schemeName: '13' }, receivedBy.documentNumber),
+          el('cbc:FirstName', {}, receivedBy.firstName),
+          el('cbc:FamilyName', {}, receivedBy.lastName),
+          receivedBy.jobTitle && el('cbc:JobTitle', {}, receivedBy.jobTitle),
+          receivedBy.department && el('cbc:OrganizationDepartment', {}, receivedBy.department)))));
+};
+
+const buildEventResponseXml = (event) => serialize(buildEventResponse(event));
+
+/**
+ * Extraer los datos relevantes de un ApplicationResponse
+ */
+const parseApplicationResponse = async (xml) => {
+  const root = await parse(xml);
+  const documentResponses = findAllByName(root, 'cac:DocumentResponse');
+  const uuidNode = root.children.find((child) => child.name === 'cbc:UUID');
+
+  return {
+    id: textOf(root.children.find((child) => child.name === 'cbc:ID')),
+    uuid: textOf(uuidNode),
+    uuidScheme: uuidNode ? uuidNode.attrs.schemeName || null : null,
+    profileExecutionId: textOf(root.children.find((child) => child.name === 'cbc:ProfileExecutionID')),
+    issueDate: textOf(findByName(root, 'cbc:IssueDate')),
+    issueTime: textOf(findByName(root, 'cbc:IssueTime')),
+    note: textOf(root.children.find((child) => child.name === 'cbc:Note')),
+    sender: readPartyNode(findByName(root, 'cac:SenderParty')),
+    receiver: readPartyNode(findByName(root, 'cac:ReceiverParty')),
+    responses: documentResponses.map((documentResponse) => {
+      const response = documentResponse.children.find((child) => child.name === 'cac:Response');
+      const reference = findByName(documentResponse, 'cac:DocumentReference');
+      const responseCode = findByName(response, 'cbc:ResponseCode');
+      return {
+        responseCode: textOf(responseCode),
+        listId: responseCode ? responseCode.attrs.listID || null : null,
+        description: textOf(findByName(response, 'cbc:Description')),
+        documentId: textOf(findByName(reference, 'cbc:ID')),
+        documentKey: textOf(findByName(reference, 'cbc:UUID')),
+        documentTypeCode: textOf(findByName(reference, 'cbc:DocumentTypeCode')),
+        lines: findAllByName(documentResponse, 'cac:LineResponse').map((line) => ({
+          code: textOf(findByName(line, 'cbc:ResponseCode')),
+          description: textOf(findByName(line, 'cbc:Description'))
+        }))
+      };
+    })
+  };
+};
+
+module.exports = {
+  RESPONSE_CODES,
+  buildValidationResponse,
+  buildEventResponse,
+  buildEventResponseXml,
+  parseApplicationResponse
+};
@@ -0,0 +1,122 @@
+/**
+ * Lectura de facturas electrónicas recibidas de proveedores
+ *
+ * Los proveedores envían un ZIP con el AttachedDocument (contenedor que
+ * incluye la factura UBL firmada y el ApplicationResponse de validación de la
+ * DIAN) y la representación gráfica en PDF. También se acepta el XML suelto
+ * del AttachedDocument o de la factura.
+ */
+
+const { parse, textOf } = require('./xml');
+const { pathOf, readInvoice } = require('./reader');
+const { readZipEntries } = require('./transport');
+const { RESPONSE_CODES, parseApplicationResponse } = require('./applicationResponse');
+
+// Local file header signature of a ZIP archive ("PK\x03\x04")
+const ZIP_SIGNATURE = 0x04034b50;
+
+/**
+ * Error de lectura de un documento recibido
+ */
+class ReceivedDocumentError extends Error {
+  constructor(message, code = 'INVALID_DOCUMENT') {
+    super(message);
+    this.name = 'ReceivedDocumentError';
+    this.code = code;
+    this.statusCode = 422;
+  }
+}
+
+const localName = (node) => node.name.split(':').pop();
+
+/**
+ * Archivos XML contenidos en el archivo cargado (ZIP o XML)
+ */
+const readXmlFiles = (buffer, fileName) => {
+  if (buffer.length > 4 && buffer.readUInt32LE(0) === ZIP_SIGNATURE) {
+    try {
+      return readZipEntries(buffer).filter((entry) => /\.xml$/i.test(entry.name));
+    } catch (error) {
+      throw new ReceivedDocumentError('The ZIP file could not be read', 'INVALID_ZIP');
+    }
+  }
+  return [{ name: fileName, content: buffer.toString('utf8') }];
+};
+
+/**
+ * Factura y respuesta de validación embebidas en un AttachedDocument
+ */
+const unwrapAttachedDocument = async (root) => {
+  const invoiceXml = textOf(pathOf(root, 'cac:Attachment', 'cac:ExternalReference', 'cbc:Description'));
+  const responseXml = textOf(pathOf(root, 'cac:ParentDocumentLineReference', 'cac:DocumentReference',
+    'cac:Attachment', 'cac:ExternalReference', 'cbc:Description'));
+
+  if (!invoiceXml) {
+    throw new ReceivedDocumentError('The AttachedDocument does not embed an invoice', 'MISSING_INVOICE');
+  }
+
+  return {
+    invoiceRoot: await parse(invoiceXml.trim()),
+    applicationResponse: responseXml ? responseXml.trim() : null
+  };
+};
+
+/**
+ * Resultado de la validación DIAN incluido por el proveedor
+ */
+const readValidation = async (applicationResponse) => {
+  if (!applicationResponse) {
+    return null;
+  }
+  const [response = {}] = (await parseApplicationResponse(applicationResponse)).responses;
+  return {
+    responseCode: response.responseCode || null,
+    description: response.description || null,
+    accepted: response.responseCode === RESPONSE_CODES.ACCEPTED
+  };
+};
+
+/**
+ * Leer la factura electrónica de un proveedor desde un ZIP o XML
+ *
+ * @param {Buffer} buffer - Contenido del archivo cargado
+ * @param {string} [fileName] - Nombre original del archivo
+ * @returns {Promise<{ invoice: Object, validation: Object|null, fileName: string }>}
+ *   invoice con la estructura de readInvoice(); validation es null si el
+ *   archivo no trae el ApplicationResponse de la DIAN
+ * @throws {ReceivedDocumentError}
+ */
+const readReceivedInvoice = async (buffer, fileName = 'document.xml') => {
+  const files = readXmlFiles(buffer, fileName);
+
+  for (const file of files) {
+    let root;
+    try {
+      root = await parse(file.content);
+    } catch (error) {
+      continue;
+    }
+
+    let invoiceRoot = root;
+    let applicationResponse = null;
+    if (localName(root) === 'AttachedDocument') {
+      ({ invoiceRoot, applicationResponse } = await unwrapAttachedDocument(root));
+    }
+
+    if (localName(invoiceRoot) === 'Invoice') {
+      return {
+        invoice: readInvoice(invoiceRoot),
+        validation: await readValidation(applicationResponse),
+        fileName: file.name
+      };
+    }
+  }
+
+  throw new ReceivedDocumentError('No electronic invoice found in the uploaded file', 'MISSING_INVOICE');
+};
+
+module.exports = {
+  ReceivedDocumentError,
+  readXmlFiles,
+  readReceivedInvoice
+};
@@ -0,0 +1,71 @@
+/**
+ * Configuración de facturación electrónica DIAN
+ *
+ * Los datos del emisor y la resolución viven en DianConfig; los datos del
+ * software propio y del ambiente se leen de variables de entorno.
+ */
+
+const DIAN_NIT = '800197268';
+
+/**
+ * Parámetros del software y ambiente de facturación
+ *
+ * @param {Object} [config] - Resolución DianConfig (aporta su clave técnica si la tiene)
+ */
+const getDianSettings = (config = null) => {
+  const testMode = process.env.DIAN_TEST_MODE !== 'false';
+  return {
+    testMode,
+    // 1 = producción, 2 = pruebas (habilitación)
+    environment: testMode ? '2' : '1',
+    softwareId: process.env.DIAN_SOFTWARE_ID || '',
+    softwarePin: process.env.DIAN_SOFTWARE_PIN || '',
+    // Clave técnica de la resolución (entregada por DIAN con el rango de numeración)
+    technicalKey: (config && config.technicalKey) || process.env.DIAN_TECHNICAL_KEY || '',
+    // Identificador del set de pruebas: si existe, los envíos van por SendTestSetAsync
+    testSetId: testMode ? process.env.DIAN_TEST_SET_ID || '' : '',
+    transport: process.env.DIAN_TRANSPORT || 'soap',
+    wsUrl: process.env.DIAN_WS_URL || '',
+    timeout: parseInt(process.env.DIAN_WS_TIMEOUT || '30000', 10),
+    currency: 'COP'
+  };
+};
+
+/**
+ * Calcular el dígito de verificación de un NIT
+ */
+const computeCheckDigit = (nit) => {
+  const weights = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+  const digits = String(nit).replace(/\D/g, '').split('').reverse();
+  const sum = digits.reduce((acc, digit, index) => acc + Number(digit) * weights[index], 0);
+  const remainder = sum % 11;
+  return String(remainder > 1 ? 11 - remainder : remainder);
+};
+
+/**
+ * Separar un NIT en número y dígito de verificación ("900123456-7")
+ */
+const splitNit = (taxId) => {
+  const [number, checkDigit] = String(taxId || '').split('-');
+  const cleanNumber = number.replace(/\D/g, '');
+  return {
+    number: cleanNumber,
+    checkDigit: checkDigit ? checkDigit.replace(/\D/g, '') : computeCheckDigit(cleanNumber)
+  };
+};
+
+/**
+ * Obtener la configuración DIAN activa del emisor (resolución de facturación más reciente)
+ */
+const getActiveConfig = async (prisma) => prisma.dianConfig.findFirst({
+  where: { isActive: true, documentType: 'invoice' },
+  orderBy: { createdAt: 'desc' }
+});
+
+module.exports = {
+  DIAN_NIT,
+  getDianSettings,
+  computeCheckDigit,
+  splitNit,
+  getActiveConfig
+};
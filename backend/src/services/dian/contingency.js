@@ -0,0 +1,302 @@
+/**
+ * Modo de contingencia DIAN y cola de transmisión diferida
+ *
+ * Mientras la contingencia está activa las facturas se generan con
+ * InvoiceTypeCode 04, se firman localmente y quedan en estado "queued". Un
+ * worker node-cron las transmite con reintentos exponenciales y avisa de las
+ * que superan el plazo legal de 48 horas sin llegar a la DIAN.
+ */
+
+const cron = require('node-cron');
+const { getActiveConfig } = require('./config');
+const { signInvoice, transmitInvoice } = require('./transmission');
+const { notifyUsersWithPermission } = require('../notifications');
+const logger = require('../../utils/logger');
+
+// SystemConfig key that stores the contingency state
+const CONTINGENCY_KEY = 'dian.contingency';
+const TRANSMISSION_WINDOW_HOURS = 48;
+const HOUR_MS = 60 * 60 * 1000;
+const LEASE_MINUTES = 10;
+
+/**
+ * Parámetros de la cola (variables de entorno)
+ */
+const getQueueSettings = () => ({
+  enabled: process.env.DIAN_QUEUE_ENABLED !== 'false',
+  schedule: process.env.DIAN_QUEUE_CRON || '*/5 * * * *',
+  batchSize: parseInt(process.env.DIAN_QUEUE_BATCH_SIZE || '20', 10),
+  retryBaseMinutes: parseInt(process.env.DIAN_QUEUE_RETRY_MINUTES || '5', 10),
+  retryMaxMinutes: parseInt(process.env.DIAN_QUEUE_RETRY_MAX_MINUTES || '120', 10)
+});
+
+/**
+ * Estado actual de la contingencia
+ *
+ * @returns {Promise<{ active: boolean, reason: string|null, since: string|null, userId: string|null }>}
+ */
+const getContingencyState = async (prisma) => {
+  const entry = await prisma.systemConfig.findUnique({ where: { key: CONTINGENCY_KEY } });
+  const inactive = { active: false, reason: null, since: null, userId: null };
+  if (!entry) {
+    return inactive;
+  }
+
+  try {
+    return { ...inactive, ...JSON.parse(entry.value) };
+  } catch (error) {
+    logger.error(`Invalid ${CONTINGENCY_KEY} value, contingency treated as inactive`);
+    return inactive;
+  }
+};
+
+/**
+ * Activar o desactivar la contingencia
+ *
+ * Al desactivarla, las facturas en cola se reprograman para el siguiente ciclo del worker.
+ */
+const setContingencyState = async (prisma, { active, reason = null, userId = null }) => {
+  const state = {
+    active: Boolean(active),
+    reason: active ? reason : null,
+    since: new Date().toISOString(),
+    userId
+  };
+
+  await prisma.systemConfig.upsert({
+    where: { key: CONTINGENCY_KEY },
+    update: { value: JSON.stringify(state) },
+    create: {
+      key: CONTINGENCY_KEY,
+      value: JSON.stringify(state),
+      description: 'Modo de contingencia de facturación electrónica DIAN'
+    }
+  });
+
+  if (!state.active) {
+    await prisma.dianInvoice.updateMany({
+      where: { status: 'queued' },
+      data: { nextAttemptAt: new Date() }
+    });
+  }
+
+  logger.dian('CONTINGENCY', state.active ? 'activated' : 'deactivated', { reason: state.reason, userId });
+  return state;
+};
+
+/**
+ * Campos de una factura que entra a la cola de transmisión
+ */
+const queueFields = (issuedAt = new Date()) => ({
+  status: 'queued',
+  contingency: true,
+  transmissionAttempts: 0,
+  nextAttemptAt: issuedAt,
+  transmissionDeadline: new Date(issuedAt.getTime() + TRANSMISSION_WINDOW_HOURS * HOUR_MS),
+  deadlineNotifiedAt: null,
+  lastError: null
+});
+
+/**
+ * Minutos de espera antes del siguiente intento (exponencial con tope)
+ */
+const retryDelayMinutes = (attempts, settings = getQueueSettings()) => Math.min(
+  settings.retryBaseMinutes * 2 ** Math.max(0, attempts - 1),
+  settings.retryMaxMinutes
+);
+
+/**
+ * Tamaño de la cola y facturas fuera del plazo legal
+ */
+const getQueueSummary = async (prisma, now = new Date()) => {
+  const [queued, overdue, oldest] = await Promise.all([
+    prisma.dianInvoice.count({ where: { status: 'queued' } }),
+    prisma.dianInvoice.count({ where: { status: 'queued', transmissionDeadline: { lt: now } } }),
+    prisma.dianInvoice.findFirst({
+      where: { status: 'queued' },
+      orderBy: { transmissionDeadline: 'asc' },
+      select: { invoiceNumber: true, transmissionDeadline: true }
+    })
+  ]);
+
+  return {
+    queued,
+    overdue,
+    nextDeadline: oldest ? oldest.transmissionDeadline : null,
+    nextDeadlineInvoice: oldest ? oldest.invoiceNumber : null
+  };
+};
+
+/**
+ * Intentar transmitir una factura de la cola
+ */
+const attemptTransmission = async (prisma, invoice, config, now) => {
+  // Lease the invoice so a concurrent run (worker or manual) does not transmit it twice
+  const claimed = await prisma.dianInvoice.updateMany({
+    where: { id: invoice.id, status: 'queued', nextAttemptAt: invoice.nextAttemptAt },
+    data: { nextAttemptAt: new Date(now.getTime() + LEASE_MINUTES * 60 * 1000) }
+  });
+  if (claimed.count === 0) {
+    return { skipped: true };
+  }
+
+  try {
+    // Contingency invoices are signed on issue; a failed signature is retried here
+    const signed = invoice.signedAt ? invoice : await signInvoice(prisma, invoice, { status: 'queued' });
+    const { invoice: updated } = await transmitInvoice(prisma, signed, config);
+    await prisma.dianInvoice.update({
+      where: { id: invoice.id },
+      data: { transmissionAttempts: { increment: 1 } }
+    });
+    return { sent: true, status: updated.status };
+  } catch (error) {
+    const attempts = invoice.transmissionAttempts + 1;
+    const delay = retryDelayMinutes(attempts);
+
+    await prisma.dianInvoice.update({
+      where: { id: invoice.id },
+      data: {
+        transmissionAttempts: attempts,
+        nextAttemptAt: new Date(now.getTime() + delay * 60 * 1000),
+        lastError: error.message
+      }
+    });
+
+    logger.dian('QUEUE_RETRY', 'error', {
+      invoiceNumber: invoice.invoiceNumber,
+      attempts,
+      retryInMinutes: delay,
+      error: error.message,
+      code: error.code
+    });
+    return { sent: false, error: error.message };
+  }
+};
+
+/**
+ * Avisar (una vez por factura) de las facturas que superaron las 48 horas sin transmitirse
+ */
+const reportMissedDeadlines = async (prisma, now) => {
+  const overdue = await prisma.dianInvoice.findMany({
+    where: {
+      status: 'queued',
+      transmissionDeadline: { lt: now },
+      deadlineNotifiedAt: null
+    },
+    select: { id: true, invoiceNumber: true, transmissionDeadline: true, lastError: true }
+  });
+
+  if (overdue.length === 0) {
+    return [];
+  }
+
+  await prisma.dianInvoice.updateMany({
+    where: { id: { in: overdue.map((invoice) => invoice.id) } },
+    data: { deadlineNotifiedAt: now }
+  });
+
+  const numbers = overdue.map((invoice) => invoice.invoiceNumber);
+  logger.dian('QUEUE_DEADLINE', 'overdue', { invoices: numbers });
+
+  await notifyUsersWithPermission(prisma, 'dian:send', {
+    subject: `${overdue.length} factura(s) de contingencia sin transmitir a la DIAN`,
+    message: `Las facturas ${numbers.join(', ')} superaron el plazo de ${TRANSMISSION_WINDOW_HOURS} horas `
+      + 'para su transmisión a la DIAN. Revise la conexión y la cola de contingencia.',
+    metadata: {
+      category: 'DIAN_CONTINGENCY',
+      invoices: overdue.map((invoice) => ({
+        id: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        transmissionDeadline: invoice.transmissionDeadline,
+        lastError: invoice.lastError
+      }))
+    }
+  });
+
+  return numbers;
+};
+
+/**
+ * Procesar las facturas de la cola cuyo reintento ya venció
+ *
+ * @returns {Promise<{ processed: number, sent: number, failed: number, overdue: string[] }>}
+ */
+const processTransmissionQueue = async (prisma, { now = new Date(), settings = getQueueSettings() } = {}) => {
+  const result = {
+    processed: 0, sent: 0, failed: 0, overdue: []
+  };
+
+  const due = await prisma.dianInvoice.findMany({
+    where: { status: 'queued', nextAttemptAt: { lte: now } },
+    orderBy: { transmissionDeadline: 'asc' },
+    take: settings.batchSize
+  });
+
+  if (due.length > 0) {
+    const config = await getActiveConfig(prisma);
+    if (!config) {
+      logger.error('DIAN transmission queue: DIAN configuration not found');
+    } else {
+      for (const invoice of due) {
+        const outcome = await attemptTransmission(prisma, invoice, config, now);
+        if (!outcome.skipped) {
+          result.processed += 1;
+          result[outcome.sent ? 'sent' : 'failed'] += 1;
+        }
+      }
+    }
+  }
+
+  result.overdue = await reportMissedDeadlines(prisma, now);
+  return result;
+};
+
+/**
+ * Iniciar el worker node-cron de la cola de transmisión
+ *
+ * @returns {Object|null} Tarea programada (null si está deshabilitado)
+ */
+const startTransmissionWorker = (prisma, settings = getQueueSettings()) => {
+  if (!settings.enabled) {
+    logger.info('DIAN transmission queue worker disabled');
+    return null;
+  }
+  if (!cron.validate(settings.schedule)) {
+    logger.error(`Invalid DIAN_QUEUE_CRON expression: ${settings.schedule}`);
+    return null;
+  }
+
+  let running = false;
+  const task = cron.schedule(settings.schedule, async () => {
+    // Skip a tick while the previous run is still transmitting
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const result = await processTransmissionQueue(prisma, { settings });
+      if (result.processed > 0 || result.overdue.length > 0) {
+        logger.info(`DIAN transmission queue: ${result.sent} sent, ${result.failed} failed, ${result.overdue.length} overdue`);
+      }
+    } catch (error) {
+      logger.error('Error processing DIAN transmission queue:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info(`DIAN transmission queue worker scheduled (${settings.schedule})`);
+  return task;
+};
+
+module.exports = {
+  TRANSMISSION_WINDOW_HOURS,
+  getQueueSettings,
+  getContingencyState,
+  setContingencyState,
+  queueFields,
+  retryDelayMinutes,
+  getQueueSummary,
+  processTransmissionQueue,
+  startTransmissionWorker
+};
@@ -0,0 +1,223 @@
+/**
+ * Código Único de Factura Electrónica (CUFE) y código QR
+ * (Anexo Técnico de Factura Electrónica de Venta 1.9, numerales 11.1 y 11.6)
+ *
+ * Incluye el CUDS del documento soporte en adquisiciones a no obligados a
+ * facturar (Anexo Técnico de Documento Soporte 1.1).
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const {
+  amount, formatDateTime, resolveIssuer, resolveBuyer
+} = require('./ubl');
+
+// Tributos que participan en el CUFE, en el orden exigido
+const CUFE_TAX_CODES = ['01', '04', '03']; // IVA, INC, ICA
+
+const QR_BASE_URLS = {
+  1: 'https://catalogo-vpfe.dian.gov.co/document/searchqr?documentkey=',
+  2: 'https://catalogo-vpfe-hab.dian.gov.co/document/searchqr?documentkey='
+};
+
+/**
+ * Valor total por código de tributo a partir de los subtotales de impuestos
+ */
+const taxAmountsByCode = (taxSubtotals) => {
+  const amounts = Object.fromEntries(CUFE_TAX_CODES.map((code) => [code, 0]));
+  taxSubtotals.forEach((subtotal) => {
+    if (amounts[subtotal.code] !== undefined) {
+      amounts[subtotal.code] += Number(subtotal.taxAmount);
+    }
+  });
+  return amounts;
+};
+
+/**
+ * CUFE = SHA-384(NumFac + FecFac + HorFac + ValFac + CodImp1 + ValImp1 + CodImp2
+ *   + ValImp2 + CodImp3 + ValImp3 + ValTot + NitOFE + NumAdq + ClTec + TipoAmbie)
+ */
+const computeCufe = (fields) => {
+  const taxes = CUFE_TAX_CODES
+    .map((code) => `${code}${amount(fields.taxes[code] || 0)}`)
+    .join('');
+
+  const source = [
+    fields.invoiceNumber,
+    fields.issueDate,
+    fields.issueTime,
+    amount(fields.lineExtension),
+    taxes,
+    amount(fields.payable),
+    fields.issuerNit,
+    fields.buyerNumber,
+    fields.technicalKey,
+    fields.environment
+  ].join('');
+
+  return crypto.createHash('sha384').update(source).digest('hex');
+};
+
+/**
+ * Campos del CUFE a partir de los datos de la factura
+ */
+const invoiceCufeFields = ({
+  invoiceNumber, issueDate, totals, config, customer, customerName, settings
+}) => {
+  const issued = formatDateTime(issueDate);
+  return {
+    invoiceNumber,
+    issueDate: issued.date,
+    issueTime: issued.time,
+    lineExtension: totals.lineExtension,
+    taxes: taxAmountsByCode(totals.taxSubtotals),
+    payable: totals.payable,
+    issuerNit: resolveIssuer(config).number,
+    buyerNumber: resolveBuyer(customer, customerName).number,
+    technicalKey: settings.technicalKey,
+    environment: settings.environment
+  };
+};
+
+/**
+ * Calcular el CUFE de una factura electrónica de venta
+ */
+const computeInvoiceCufe = (invoice) => computeCufe(invoiceCufeFields(invoice));
+
+/**
+ * Calcular el CUDE de una nota crédito o débito. Usa la misma composición del
+ * CUFE, con el PIN del software en lugar de la clave técnica
+ */
+const computeNoteCude = (note) => computeCufe({
+  ...invoiceCufeFields({ ...note, invoiceNumber: note.noteNumber }),
+  technicalKey: note.settings.softwarePin
+});
+
+/**
+ * Contenido del código QR de la representación gráfica
+ */
+const buildQrData = (invoice, cufe) => {
+  const fields = invoiceCufeFields(invoice);
+  const otherTaxes = fields.taxes['04'] + fields.taxes['03'];
+
+  return [
+    `NumFac: ${fields.invoiceNumber}`,
+    `FecFac: ${fields.issueDate}`,
+    `HorFac: ${fields.issueTime}`,
+    `NitFac: ${fields.issuerNit}`,
+    `DocAdq: ${fields.buyerNumber}`,
+    `ValFac: ${amount(fields.lineExtension)}`,
+    `ValIva: ${amount(fields.taxes['01'])}`,
+    `ValOtroIm: ${amount(otherTaxes)}`,
+    `ValTolFac: ${amount(fields.payable)}`,
+    `CUFE: ${cufe}`,
+    `QRCode: ${QR_BASE_URLS[fields.environment]}${cufe}`
+  ].join('\n');
+};
+
+/**
+ * Contenido del código QR de una nota crédito o débito
+ */
+const buildNoteQrData = (note, cude) => buildQrData({ ...note, invoiceNumber: note.noteNumber }, cude)
+  .replace('CUFE: ', 'CUDE: ');
+
+/**
+ * CUDS = SHA-384(NumDS + FecDS + HorDS + ValDS + CodImp + ValImp + ValTol
+ *   + NumSNO + NITABS + SoftwarePIN + TipoAmb)
+ */
+const computeCuds = (fields) => {
+  const source = [
+    fields.documentNumber,
+    fields.issueDate,
+    fields.issueTime,
+    amount(fields.lineExtension),
+    `01${amount(fields.taxes['01'] || 0)}`,
+    amount(fields.payable),
+    fields.sellerNumber,
+    fields.acquirerNit,
+    fields.softwarePin,
+    fields.environment
+  ].join('');
+
+  return crypto.createHash('sha384').update(source).digest('hex');
+};
+
+/**
+ * Campos del CUDS a partir de los datos del documento soporte
+ */
+const supportDocumentCudsFields = ({
+  documentNumber, issueDate, totals, config, supplier, settings
+}) => {
+  const issued = formatDateTime(issueDate);
+  return {
+    documentNumber,
+    issueDate: issued.date,
+    issueTime: issued.time,
+    lineExtension: totals.lineExtension,
+    taxes: taxAmountsByCode(totals.taxSubtotals),
+    payable: totals.payable,
+    sellerNumber: resolveBuyer(supplier, supplier.name).number,
+    acquirerNit: resolveIssuer(config).number,
+    softwarePin: settings.softwarePin,
+    environment: settings.environment
+  };
+};
+
+/**
+ * Calcular el CUDS de un documento soporte
+ */
+const computeSupportDocumentCuds = (document) => computeCuds(supportDocumentCudsFields(document));
+
+/**
+ * Contenido del código QR de un documento soporte
+ */
+const buildSupportDocumentQrData = (document, cuds) => {
+  const fields = supportDocumentCudsFields(document);
+
+  return [
+    `NumDS: ${fields.documentNumber}`,
+    `FecDS: ${fields.issueDate}`,
+    `HorDS: ${fields.issueTime}`,
+    `NumSNO: ${fields.sellerNumber}`,
+    `DocABS: ${fields.acquirerNit}`,
+    `ValDS: ${amount(fields.lineExtension)}`,
+    `ValIva: ${amount(fields.taxes['01'])}`,
+    `ValTolDS: ${amount(fields.payable)}`,
+    `CUDS: ${cuds}`,
+    `QRCode: ${QR_BASE_URLS[fields.environment]}${cuds}`
+  ].join('\n');
+};
+
+/**
+ * CUDE de un evento RADIAN = SHA-384(Num_DE + Fec_Emi + Hor_Emi + NitFE + DocAdq
+ *   + ResponseCode + ID + DocumentTypeCode + SoftwarePIN)
+ */
+const computeEventCude = (fields) => crypto.createHash('sha384').update([
+  fields.eventNumber,
+  fields.issueDate,
+  fields.issueTime,
+  fields.senderNit,
+  fields.receiverNit,
+  fields.eventCode,
+  fields.documentId,
+  fields.documentTypeCode || '01',
+  fields.softwarePin
+].join('')).digest('hex');
+
+/**
+ * Imagen PNG del código QR como data URL
+ */
+const qrImageDataUrl = (qrData) => QRCode.toDataURL(qrData, { errorCorrectionLevel: 'M', margin: 1 });
+
+module.exports = {
+  computeCufe,
+  computeInvoiceCufe,
+  computeNoteCude,
+  buildQrData,
+  buildNoteQrData,
+  computeCuds,
+  computeSupportDocumentCuds,
+  buildSupportDocumentQrData,
+  computeEventCude,
+  qrImageDataUrl
+};
@@ -0,0 +1,622 @@
+/**
+ * Eventos RADIAN sobre facturas electrónicas de venta
+ *
+ * Como adquirientes emitimos los eventos 030-033 sobre las facturas de
+ * proveedores importadas como compras. Como emisores registramos los eventos
+ * que nos envían los clientes sobre nuestras facturas y emitimos la
+ * aceptación tácita (034) cuando el cliente no acepta ni reclama dentro de
+ * los 3 días hábiles siguientes al recibo del bien (032).
+ */
+
+const cron = require('node-cron');
+const { getActiveConfig, getDianSettings } = require('./config');
+const { resolveIssuer, resolveBuyer, formatDateTime } = require('./ubl');
+const { computeEventCude } = require('./cufe');
+const { buildEventResponseXml, parseApplicationResponse } = require('./applicationResponse');
+const { readXmlFiles } = require('./attachedDocument');
+const { signDocument, verifyXml } = require('./signer');
+const { submitEvent } = require('./transmission');
+const { parse, textOf } = require('./xml');
+const { pathOf } = require('./reader');
+const logger = require('../../utils/logger');
+
+const EVENT_TYPES = {
+  '030': { name: 'Acuse de recibo de la Factura Electrónica de Venta', issuedBy: 'buyer' },
+  '031': { name: 'Reclamo de la Factura Electrónica de Venta', issuedBy: 'buyer' },
+  '032': { name: 'Recibo del bien y/o prestación del servicio', issuedBy: 'buyer' },
+  '033': { name: 'Aceptación expresa', issuedBy: 'buyer' },
+  '034': { name: 'Aceptación tácita', issuedBy: 'seller' }
+};
+
+// Conceptos de reclamo del evento 031
+const CLAIM_CONCEPTS = {
+  '01': 'Documento con inconsistencias',
+  '02': 'Mercancía no entregada totalmente',
+  '03': 'Mercancía no entregada parcialmente',
+  '04': 'Servicio no prestado'
+};
+
+// Events that must already be registered before each event
+const REQUIRED_EVENTS = {
+  '032': ['030'],
+  '031': ['030', '032'],
+  '033': ['030', '032'],
+  '034': ['030', '032']
+};
+
+// An invoice is either claimed or accepted (expressly or tacitly), only once
+const FINAL_EVENTS = ['031', '033', '034'];
+
+// Events that count towards the invoice state: pending or accepted by DIAN, or received from the customer
+const EFFECTIVE_STATUSES = ['generated', 'signed', 'sent', 'accepted', 'received'];
+
+// Issued events not yet answered by DIAN
+const PENDING_STATUSES = ['generated', 'signed'];
+
+const TACIT_ACCEPTANCE_BUSINESS_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Colombia has no daylight saving time: UTC-5 all year
+const BOGOTA_OFFSET_MS = 5 * 60 * 60 * 1000;
+
+/**
+ * Error de eventos RADIAN (secuencia inválida, factura no encontrada...)
+ */
+class RadianEventError extends Error {
+  constructor(message, code, statusCode = 409) {
+    super(message);
+    this.name = 'RadianEventError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validar el orden de los eventos de una factura
+ *
+ * @param {string[]} registered - Códigos de los eventos ya registrados
+ * @param {string} eventCode - Evento a registrar
+ * @returns {string|null} Motivo por el que no se puede registrar, o null
+ */
+const eventSequenceError = (registered, eventCode) => {
+  if (!EVENT_TYPES[eventCode]) {
+    return `Unknown RADIAN event ${eventCode}`;
+  }
+  if (registered.includes(eventCode)) {
+    return `Event ${eventCode} (${EVENT_TYPES[eventCode].name}) is already registered for this invoice`;
+  }
+  const missing = (REQUIRED_EVENTS[eventCode] || []).filter((code) => !registered.includes(code));
+  if (missing.length > 0) {
+    return `Event ${eventCode} requires event(s) ${missing.join(', ')} first`;
+  }
+  const final = FINAL_EVENTS.find((code) => registered.includes(code));
+  if (FINAL_EVENTS.includes(eventCode) && final) {
+    return `Invoice already has event ${final} (${EVENT_TYPES[final].name})`;
+  }
+  return null;
+};
+
+/**
+ * Festivos configurados (DIAN_HOLIDAYS, fechas YYYY-MM-DD separadas por coma)
+ */
+const getHolidays = () => (process.env.DIAN_HOLIDAYS || '')
+  .split(',')
+  .map((date) => date.trim())
+  .filter(Boolean);
+
+/**
+ * Fin del plazo de aceptación: el tercer día hábil siguiente al recibo del bien
+ *
+ * @param {Date} receivedAt - Fecha del evento 032
+ * @param {string[]} [holidays] - Festivos (YYYY-MM-DD)
+ * @returns {Date} Instante a partir del cual opera la aceptación tácita
+ */
+const tacitAcceptanceDeadline = (receivedAt, holidays = getHolidays()) => {
+  // Count days on the Colombian calendar
+  const day = new Date(new Date(receivedAt).getTime() - BOGOTA_OFFSET_MS);
+  day.setUTCHours(0, 0, 0, 0);
+
+  let businessDays = 0;
+  while (businessDays < TACIT_ACCEPTANCE_BUSINESS_DAYS) {
+    day.setUTCDate(day.getUTCDate() + 1);
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6 && !holidays.includes(day.toISOString().slice(0, 10))) {
+      businessDays += 1;
+    }
+  }
+
+  // End of that business day in Bogotá
+  return new Date(day.getTime() + DAY_MS + BOGOTA_OFFSET_MS);
+};
+
+/**
+ * Reintentos del envío de la aceptación tácita (variables de entorno)
+ */
+const getTacitAcceptanceSettings = () => ({
+  maxAttempts: parseInt(process.env.DIAN_TACIT_ACCEPTANCE_MAX_ATTEMPTS || '5', 10),
+  retryBaseMinutes: parseInt(process.env.DIAN_TACIT_ACCEPTANCE_RETRY_MINUTES || '60', 10),
+  retryMaxMinutes: parseInt(process.env.DIAN_TACIT_ACCEPTANCE_RETRY_MAX_MINUTES || '1440', 10)
+});
+
+/**
+ * Estado RADIAN de una factura a partir de sus eventos
+ */
+const radianStatus = (codes) => {
+  if (codes.includes('031')) return 'claimed';
+  if (codes.includes('033')) return 'accepted';
+  if (codes.includes('034')) return 'tacitly_accepted';
+  if (codes.includes('032')) return 'goods_received';
+  if (codes.includes('030')) return 'acknowledged';
+  return 'none';
+};
+
+/**
+ * Línea de tiempo de eventos de una factura (propia o de proveedor)
+ *
+ * @param {Object[]} events - Registros DianEvent de la factura
+ * @returns {{ status: string, tacitAcceptanceAt: Date|null, events: Object[] }}
+ */
+const buildTimeline = (events) => {
+  const sorted = [...events].sort((a, b) => new Date(a.eventDate) - new Date(b.eventDate));
+  const effective = sorted.filter((event) => EFFECTIVE_STATUSES.includes(event.status));
+  const codes = effective.map((event) => event.eventCode);
+  const goodsReceived = effective.find((event) => event.eventCode === '032');
+  const final = FINAL_EVENTS.some((code) => codes.includes(code));
+
+  return {
+    status: radianStatus(codes),
+    tacitAcceptanceAt: goodsReceived && !final ? tacitAcceptanceDeadline(goodsReceived.eventDate) : null,
+    events: sorted.map(({ xml, applicationResponse, ...event }) => ({
+      ...event,
+      eventName: EVENT_TYPES[event.eventCode] ? EVENT_TYPES[event.eventCode].name : event.eventCode,
+      claimConcept: event.claimCode ? CLAIM_CONCEPTS[event.claimCode] || null : null
+    }))
+  };
+};
+
+/**
+ * Reservar el siguiente consecutivo de eventos
+ */
+const nextEventNumber = async (tx, config) => {
+  const updated = await tx.dianConfig.update({
+    where: { id: config.id },
+    data: { eventNumber: { increment: 1 } }
+  });
+  return `${updated.eventPrefix}${updated.eventNumber}`;
+};
+
+/**
+ * Generar un evento emitido por la empresa (XML sin firmar y CUDE)
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} event
+ * @param {string} event.eventCode - 030 a 034
+ * @param {Object} event.document - Factura referenciada ({ id, uuid })
+ * @param {Object} event.receiver - Contraparte ({ number, checkDigit, documentType, name })
+ * @param {Object} event.link - { dianInvoiceId } o { purchaseId }
+ * @param {string[]} event.registered - Códigos de eventos ya registrados para la factura
+ * @param {string} [event.claimCode]
+ * @param {string} [event.note]
+ * @param {Object} [event.receivedBy]
+ * @param {string} [event.userId]
+ */
+const createIssuedEvent = async (prisma, {
+  eventCode, document, receiver, link, registered, claimCode, note, receivedBy, userId
+}) => {
+  const sequenceError = eventSequenceError(registered, eventCode);
+  if (sequenceError) {
+    throw new RadianEventError(sequenceError, 'INVALID_EVENT_SEQUENCE');
+  }
+  if (eventCode === '031' && !CLAIM_CONCEPTS[claimCode]) {
+    throw new RadianEventError('A claim (031) requires a valid claim concept (01-04)', 'CLAIM_CONCEPT_REQUIRED', 400);
+  }
+
+  const config = await getActiveConfig(prisma);
+  if (!config) {
+    throw new RadianEventError('DIAN configuration not found', 'DIAN_NOT_CONFIGURED', 400);
+  }
+
+  const settings = getDianSettings(config);
+  const sender = resolveIssuer(config);
+  const issueDate = new Date();
+  const issued = formatDateTime(issueDate);
+
+  return prisma.$transaction(async (tx) => {
+    const eventNumber = await nextEventNumber(tx, config);
+    const cude = computeEventCude({
+      eventNumber,
+      issueDate: issued.date,
+      issueTime: issued.time,
+      senderNit: sender.number,
+      receiverNit: receiver.number,
+      eventCode,
+      documentId: document.id,
+      softwarePin: settings.softwarePin
+    });
+
+    const xml = buildEventResponseXml({
+      eventNumber,
+      eventCode,
+      description: EVENT_TYPES[eventCode].name,
+      issueDate,
+      config,
+      settings,
+      sender,
+      receiver,
+      document,
+      claimCode: eventCode === '031' ? claimCode : undefined,
+      note,
+      receivedBy: ['030', '032'].includes(eventCode) ? receivedBy : undefined,
+      cude
+    });
+
+    return tx.dianEvent.create({
+      data: {
+        eventCode,
+        direction: 'issued',
+        eventNumber,
+        cude,
+        ...link,
+        documentNumber: document.id,
+        documentKey: document.uuid,
+        senderNit: sender.number,
+        senderName: sender.name,
+        receiverNit: receiver.number,
+        receiverName: receiver.name,
+        claimCode: eventCode === '031' ? claimCode : null,
+        note,
+        status: 'generated',
+        eventDate: issueDate,
+        xml,
+        userId
+      }
+    });
+  });
+};
+
+/**
+ * Firmar (si hace falta) y registrar un evento emitido en la DIAN
+ *
+ * @returns {Promise<{ event: Object, response: Object }>}
+ * @throws {RadianEventError|SignatureError|DianTransportError}
+ */
+const transmitEvent = async (prisma, event) => {
+  // A failed event (automatic retries exhausted) can still be sent by hand
+  if (![...PENDING_STATUSES, 'failed'].includes(event.status)) {
+    throw new RadianEventError(`Event ${event.eventNumber} was already ${event.status}`, 'INVALID_STATUS', 400);
+  }
+
+  try {
+    let current = event;
+    if (!current.signedAt) {
+      current = await prisma.dianEvent.update({
+        where: { id: event.id },
+        data: { xml: await signDocument(event.xml), status: 'signed', signedAt: new Date() }
+      });
+    }
+
+    const validation = await verifyXml(current.xml);
+    if (!validation.valid) {
+      throw new RadianEventError(`Event signature is not valid: ${validation.errors.join('; ')}`, 'INVALID_SIGNATURE', 400);
+    }
+
+    const config = await getActiveConfig(prisma);
+    const response = await submitEvent({ config, eventNumber: current.eventNumber, xml: current.xml });
+    const updated = await prisma.dianEvent.update({
+      where: { id: event.id },
+      data: {
+        status: response.isValid ? 'accepted' : 'rejected',
+        sentAt: new Date(),
+        trackId: response.documentKey || current.cude,
+        applicationResponse: response.applicationResponse || null,
+        lastError: response.isValid ? null : response.errors.join('; ')
+      }
+    });
+
+    logger.dian('SEND_EVENT', updated.status, {
+      eventNumber: event.eventNumber,
+      eventCode: event.eventCode,
+      invoice: event.documentNumber,
+      errors: response.errors
+    });
+    return { event: updated, response };
+  } catch (error) {
+    await prisma.dianEvent.update({
+      where: { id: event.id },
+      data: { lastError: error.message }
+    });
+    throw error;
+  }
+};
+
+const registeredCodes = (events) => events
+  .filter((event) => EFFECTIVE_STATUSES.includes(event.status))
+  .map((event) => event.eventCode);
+
+/**
+ * Emitir un evento (030-033) sobre la factura electrónica de una compra
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} purchaseId - Compra importada de una factura electrónica
+ * @param {Object} data - { eventCode, claimCode, note, receivedBy }
+ * @param {string} userId
+ */
+const issuePurchaseEvent = async (prisma, purchaseId, data, userId) => {
+  const purchase = await prisma.purchase.findUnique({
+    where: { id: purchaseId },
+    include: { supplier: true, dianEvents: true }
+  });
+
+  if (!purchase) {
+    throw new RadianEventError('Purchase not found', 'PURCHASE_NOT_FOUND', 404);
+  }
+  if (!purchase.invoiceCufe) {
+    throw new RadianEventError('Purchase was not imported from an electronic invoice', 'NOT_ELECTRONIC_INVOICE', 400);
+  }
+  if (EVENT_TYPES[data.eventCode]?.issuedBy !== 'buyer') {
+    throw new RadianEventError(`Event ${data.eventCode} cannot be issued on a supplier invoice`, 'INVALID_EVENT', 400);
+  }
+
+  const event = await createIssuedEvent(prisma, {
+    ...data,
+    document: { id: purchase.invoiceNumber, uuid: purchase.invoiceCufe },
+    // Suppliers issuing electronic invoices are identified by NIT unless registered otherwise
+    receiver: resolveBuyer({ ...purchase.supplier, documentType: purchase.supplier.documentType || '31' }),
+    link: { purchaseId: purchase.id },
+    registered: registeredCodes(purchase.dianEvents),
+    userId
+  });
+
+  return transmitEvent(prisma, event);
+};
+
+/**
+ * Generar la aceptación tácita (034) de una factura propia
+ */
+const createTacitAcceptance = (prisma, invoice, userId = null) => createIssuedEvent(prisma, {
+    eventCode: '034',
+    document: { id: invoice.invoiceNumber, uuid: invoice.cufe },
+    receiver: resolveBuyer(invoice.customer, invoice.sale ? invoice.sale.customerName : null),
+    link: { dianInvoiceId: invoice.id },
+    registered: registeredCodes(invoice.events),
+  note: 'Aceptación tácita: el adquiriente no aceptó ni reclamó dentro de los 3 días hábiles siguientes al recibo',
+  userId
+});
+
+/**
+ * Enviar la aceptación tácita de una factura
+ *
+ * Si no se pudo enviar (firma o conexión) el mismo evento se reintenta con
+ * espera exponencial, sin tomar otro consecutivo; al llegar al máximo de
+ * intentos queda en failed. El rechazo de la DIAN es definitivo.
+ *
+ * @returns {Promise<string>} accepted, rejected, retrying o failed
+ */
+const sendTacitAcceptance = async (prisma, event, now) => {
+  try {
+    const { event: sent } = await transmitEvent(prisma, event);
+    return sent.status;
+  } catch (error) {
+    const settings = getTacitAcceptanceSettings();
+    const attempts = event.attempts + 1;
+    const exhausted = attempts >= settings.maxAttempts;
+    const delay = Math.min(settings.retryBaseMinutes * 2 ** (attempts - 1), settings.retryMaxMinutes);
+
+    await prisma.dianEvent.update({
+      where: { id: event.id },
+      data: exhausted
+        ? { attempts, status: 'failed', nextAttemptAt: null }
+        : { attempts, nextAttemptAt: new Date(now.getTime() + delay * 60 * 1000) }
+    });
+
+    logger.dian('TACIT_ACCEPTANCE_RETRY', exhausted ? 'failed' : 'error', {
+      eventNumber: event.eventNumber,
+      invoice: event.documentNumber,
+      attempts,
+      retryInMinutes: exhausted ? null : delay,
+      error: error.message,
+      code: error.code
+    });
+    return exhausted ? 'failed' : 'retrying';
+  }
+};
+
+/**
+ * Leer el evento (ApplicationResponse) contenido en un archivo enviado por un cliente
+ */
+const readEventFile = async (buffer, fileName) => {
+  for (const file of readXmlFiles(buffer, fileName)) {
+    let root;
+    try {
+      root = await parse(file.content);
+    } catch (error) {
+      continue;
+    }
+
+    const name = root.name.split(':').pop();
+    if (name === 'ApplicationResponse') {
+      return { xml: file.content, ...(await parseApplicationResponse(file.content)) };
+    }
+    if (name === 'AttachedDocument') {
+      const embedded = textOf(pathOf(root, 'cac:Attachment', 'cac:ExternalReference', 'cbc:Description'));
+      if (embedded && /ApplicationResponse/.test(embedded)) {
+        return { xml: embedded.trim(), ...(await parseApplicationResponse(embedded.trim())) };
+      }
+    }
+  }
+
+  throw new RadianEventError('No RADIAN event found in the uploaded file', 'MISSING_EVENT', 422);
+};
+
+/**
+ * Registrar un evento que un cliente emitió sobre una de nuestras facturas
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} file - { buffer, fileName } del ApplicationResponse (XML, ZIP o AttachedDocument)
+ * @returns {Promise<Object>} Registro DianEvent recibido
+ */
+const receiveCustomerEvent = async (prisma, { buffer, fileName }) => {
+  const parsed = await readEventFile(buffer, fileName);
+  const [response = {}] = parsed.responses;
+
+  if (EVENT_TYPES[response.responseCode]?.issuedBy !== 'buyer') {
+    throw new RadianEventError(`Unsupported customer event ${response.responseCode}`, 'INVALID_EVENT', 422);
+  }
+
+  const invoice = await prisma.dianInvoice.findFirst({
+    where: { cufe: response.documentKey },
+    include: { events: true }
+  });
+  if (!invoice) {
+    throw new RadianEventError(`No invoice found with CUFE ${response.documentKey}`, 'INVOICE_NOT_FOUND', 404);
+  }
+
+  if (parsed.uuid) {
+    const existing = await prisma.dianEvent.findUnique({ where: { cude: parsed.uuid } });
+    if (existing) {
+      throw new RadianEventError(`Event ${parsed.id} was already registered`, 'EVENT_ALREADY_REGISTERED');
+    }
+  }
+
+  // The event is already registered in RADIAN; an out-of-order event is recorded but logged
+  const sequenceError = eventSequenceError(registeredCodes(invoice.events), response.responseCode);
+  if (sequenceError) {
+    logger.warn(`Customer event ${parsed.id} on invoice ${invoice.invoiceNumber}: ${sequenceError}`);
+  }
+
+  const eventDate = parsed.issueDate
+    ? new Date(`${parsed.issueDate}T${parsed.issueTime || '00:00:00-05:00'}`)
+    : new Date();
+
+  const event = await prisma.dianEvent.create({
+    data: {
+      eventCode: response.responseCode,
+      direction: 'received',
+      eventNumber: parsed.id,
+      cude: parsed.uuid,
+      dianInvoiceId: invoice.id,
+      documentNumber: response.documentId || invoice.invoiceNumber,
+      documentKey: response.documentKey,
+      senderNit: parsed.sender.nit,
+      senderName: parsed.sender.name,
+      receiverNit: parsed.receiver.nit,
+      receiverName: parsed.receiver.name,
+      claimCode: response.responseCode === '031' ? response.listId : null,
+      note: parsed.note || response.description,
+      status: 'received',
+      eventDate: Number.isNaN(eventDate.getTime()) ? new Date() : eventDate,
+      xml: parsed.xml
+    }
+  });
+
+  logger.dian('RECEIVE_EVENT', 'received', {
+    eventNumber: parsed.id,
+    eventCode: response.responseCode,
+    invoice: invoice.invoiceNumber
+  });
+  return event;
+};
+
+/**
+ * Emitir la aceptación tácita de las facturas cuyo plazo venció
+ *
+ * Una factura tiene una sola 034: la pendiente de envío se reintenta y la
+ * rechazada por la DIAN o agotada (failed) queda para revisión manual.
+ *
+ * @returns {Promise<{ accepted: string[], rejected: string[], retrying: string[], failed: string[] }>}
+ */
+const processTacitAcceptances = async (prisma, { now = new Date() } = {}) => {
+  const result = {
+    accepted: [], rejected: [], retrying: [], failed: []
+  };
+
+  const candidates = await prisma.dianInvoice.findMany({
+    where: {
+      status: 'accepted',
+      events: {
+        some: { eventCode: '032', status: { in: EFFECTIVE_STATUSES } },
+        none: {
+          OR: [
+            { eventCode: { in: ['031', '033'] }, status: { in: EFFECTIVE_STATUSES } },
+            { eventCode: '034', status: { notIn: PENDING_STATUSES } }
+          ]
+        }
+      }
+    },
+    include: { events: true, customer: true, sale: { select: { customerName: true } } }
+  });
+
+  for (const invoice of candidates) {
+    const goodsReceived = invoice.events.find((event) => event.eventCode === '032'
+      && EFFECTIVE_STATUSES.includes(event.status));
+    if (tacitAcceptanceDeadline(goodsReceived.eventDate) > now) {
+      continue;
+    }
+
+    const pending = invoice.events.find((event) => event.eventCode === '034'
+      && PENDING_STATUSES.includes(event.status));
+    if (pending && pending.nextAttemptAt && new Date(pending.nextAttemptAt) > now) {
+      continue;
+    }
+
+    try {
+      const event = pending || await createTacitAcceptance(prisma, invoice);
+      const status = await sendTacitAcceptance(prisma, event, now);
+      result[status].push(invoice.invoiceNumber);
+    } catch (error) {
+      logger.error(`Error issuing tacit acceptance for invoice ${invoice.invoiceNumber}:`, error);
+      result.failed.push(invoice.invoiceNumber);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Iniciar el worker node-cron de aceptación tácita (DIAN_TACIT_ACCEPTANCE_CRON)
+ */
+const startTacitAcceptanceWorker = (prisma, schedule = process.env.DIAN_TACIT_ACCEPTANCE_CRON || '0 * * * *') => {
+  if (process.env.DIAN_TACIT_ACCEPTANCE_ENABLED === 'false') {
+    logger.info('DIAN tacit acceptance worker disabled');
+    return null;
+  }
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid DIAN_TACIT_ACCEPTANCE_CRON expression: ${schedule}`);
+    return null;
+  }
+
+  let running = false;
+  const task = cron.schedule(schedule, async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const result = await processTacitAcceptances(prisma);
+      if (Object.values(result).some((invoices) => invoices.length > 0)) {
+        logger.info(`DIAN tacit acceptance: ${result.accepted.length} issued, ${result.rejected.length} rejected, `
+          + `${result.retrying.length} to retry, ${result.failed.length} failed`);
+      }
+    } catch (error) {
+      logger.error('Error processing DIAN tacit acceptances:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info(`DIAN tacit acceptance worker scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = {
+  EVENT_TYPES,
+  CLAIM_CONCEPTS,
+  RadianEventError,
+  eventSequenceError,
+  tacitAcceptanceDeadline,
+  buildTimeline,
+  transmitEvent,
+  issuePurchaseEvent,
+  receiveCustomerEvent,
+  processTacitAcceptances,
+  startTacitAcceptanceWorker
+};
@@ -0,0 +1,381 @@
+/**
+ * Servidor local que imita WcfDianCustomerServices para pruebas de habilitación
+ *
+ * Acepta los ZIP firmados enviados por SendBillSync/SendTestSetAsync, valida
+ * firma, CUFE y totales, y responde con ApplicationResponse realistas
+ * (incluyendo los códigos de rechazo de la DIAN). GetStatus y GetStatusZip
+ * consultan los documentos procesados en memoria. SendEventUpdateStatus
+ * registra eventos RADIAN validando firma, CUDE y orden de los eventos.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const AdmZip = require('adm-zip');
+const { el, canonicalize, parse } = require('./xml');
+const { verifyXml } = require('./signer');
+const { computeCufe, computeCuds, computeEventCude } = require('./cufe');
+const { readInvoice } = require('./reader');
+const { buildValidationResponse, parseApplicationResponse } = require('./applicationResponse');
+const { eventSequenceError } = require('./events');
+const { findLocal, readZipEntries } = require('./transport');
+
+const ACTION_BASE = 'http://wcf.dian.colombia/IWcfDianCustomerServices/';
+
+const STATUS = {
+  accepted: {
+    statusCode: '00',
+    statusDescription: 'Procesado Correctamente.'
+  },
+  rejected: {
+    statusCode: '99',
+    statusDescription: 'Validación contiene errores en campos mandatorios.'
+  },
+  notFound: {
+    statusCode: '66',
+    statusDescription: 'TrackId no existe en los registros de la DIAN.'
+  }
+};
+
+const DOCUMENT_LABELS = {
+  Invoice: 'Factura electrónica',
+  CreditNote: 'Nota crédito',
+  DebitNote: 'Nota débito'
+};
+
+const rule = (code, description) => ({ code, description: `Rechazo: ${description}` });
+
+const soapResponse = (operation, result) => canonicalize(
+  el('s:Envelope', {
+    'xmlns:s': 'http://www.w3.org/2003/05/soap-envelope',
+    'xmlns:a': 'http://www.w3.org/2005/08/addressing'
+  },
+    el('s:Header', {},
+      el('a:Action', { 's:mustUnderstand': '1' }, `${ACTION_BASE}${operation}Response`)),
+    el('s:Body', {},
+      el(`${operation}Response`, { xmlns: 'http://wcf.dian.colombia' }, result)))
+);
+
+const soapFault = (reason) => canonicalize(
+  el('s:Envelope', { 'xmlns:s': 'http://www.w3.org/2003/05/soap-envelope' },
+    el('s:Body', {},
+      el('s:Fault', {},
+        el('s:Code', {}, el('s:Value', {}, 's:Sender')),
+        el('s:Reason', {}, el('s:Text', { 'xml:lang': 'es-CO' }, reason)))))
+);
+
+const dianResponseNode = (operation, response) => el(`${operation}Result`, {
+  'xmlns:b': 'http://schemas.datacontract.org/2004/07/DianResponse',
+  'xmlns:i': 'http://www.w3.org/2001/XMLSchema-instance'
+},
+  el('b:ErrorMessage', { 'xmlns:c': 'http://schemas.microsoft.com/2003/10/Serialization/Arrays' },
+    response.errors.map((error) => el('c:string', {}, error))),
+  el('b:IsValid', {}, String(response.isValid)),
+  el('b:StatusCode', {}, response.statusCode),
+  el('b:StatusDescription', {}, response.statusDescription),
+  el('b:StatusMessage', {}, response.statusMessage),
+  el('b:XmlBase64Bytes', {}, response.applicationResponse
+    ? Buffer.from(response.applicationResponse, 'utf8').toString('base64')
+    : ''),
+  el('b:XmlDocumentKey', {}, response.documentKey || ''),
+  el('b:XmlFileName', {}, response.fileName || ''));
+
+/**
+ * Validar un documento recibido y construir la respuesta DIAN
+ */
+const validateDocument = async ({
+  fileName, contentFile, technicalKey, softwarePin, processed
+}) => {
+  const rejected = (lines, document = {}) => ({ lines, document });
+  let entries;
+
+  try {
+    entries = readZipEntries(contentFile).filter((entry) => entry.name.endsWith('.xml'));
+  } catch (error) {
+    return rejected([rule('ZB01', 'Fallo en la descompresión del archivo ZIP.')]);
+  }
+
+  if (entries.length !== 1) {
+    return rejected([rule('ZB01', 'El archivo ZIP debe contener exactamente un documento XML.')]);
+  }
+
+  let document;
+  try {
+    document = readInvoice(await parse(entries[0].content));
+  } catch (error) {
+    return rejected([rule('ZB01', 'Fallo en el esquema XML del archivo.')]);
+  }
+
+  const lines = [];
+
+  const signature = await verifyXml(entries[0].content);
+  if (!signature.valid) {
+    lines.push(rule('ZE02', 'Valor de la firma inválido.'));
+  }
+
+  const taxes = {};
+  document.taxSubtotals.forEach((subtotal) => {
+    taxes[subtotal.code] = (taxes[subtotal.code] || 0) + subtotal.taxAmount;
+  });
+
+  // CUFE (facturas) uses the technical key; CUDE (notas) uses the software PIN
+  const documentKeySecret = { 'CUFE-SHA384': technicalKey, 'CUDE-SHA384': softwarePin }[document.uuidScheme];
+  if (documentKeySecret !== undefined) {
+    const expected = computeCufe({
+      invoiceNumber: document.id,
+      issueDate: document.issueDate,
+      issueTime: document.issueTime,
+      lineExtension: document.lineExtension,
+      taxes,
+      payable: document.payable,
+      issuerNit: document.supplier.nit,
+      buyerNumber: document.customer.nit,
+      technicalKey: documentKeySecret,
+      environment: document.profileExecutionId
+    });
+    if (expected !== document.uuid) {
+      lines.push(document.uuidScheme === 'CUFE-SHA384'
+        ? rule('FAD06', 'Valor del CUFE no está calculado correctamente.')
+        : rule('CAD06', 'Valor del CUDE no está calculado correctamente.'));
+    }
+  }
+
+  // CUDS (documento soporte): the seller is the non-invoicing supplier and the acquirer is the issuer
+  if (document.uuidScheme === 'CUDS-SHA384') {
+    const expected = computeCuds({
+      documentNumber: document.id,
+      issueDate: document.issueDate,
+      issueTime: document.issueTime,
+      lineExtension: document.lineExtension,
+      taxes,
+      payable: document.payable,
+      sellerNumber: document.supplier.nit,
+      acquirerNit: document.customer.nit,
+      softwarePin,
+      environment: document.profileExecutionId
+    });
+    if (expected !== document.uuid) {
+      lines.push(rule('DSAD06', 'Valor del CUDS no está calculado correctamente.'));
+    }
+  }
+
+  if (Math.abs(document.payable - document.taxInclusive) > 0.01) {
+    lines.push(rule('FAU14', 'Valor a pagar no corresponde al valor total con tributos.'));
+  }
+
+  if (processed.has(document.uuid) && processed.get(document.uuid).isValid) {
+    lines.push(rule('90', `Documento con ${(document.uuidScheme || 'CUFE').slice(0, 4)} '${document.uuid}' procesado anteriormente.`));
+  }
+
+  return { lines, document, fileName };
+};
+
+/**
+ * Validar un evento RADIAN recibido
+ *
+ * @param {Map} registered - CUFE -> códigos de eventos ya registrados
+ */
+const validateEvent = async ({ contentFile, softwarePin, registered }) => {
+  let entries;
+  try {
+    entries = readZipEntries(contentFile).filter((entry) => entry.name.endsWith('.xml'));
+  } catch (error) {
+    return { lines: [rule('ZB01', 'Fallo en la descompresión del archivo ZIP.')], event: {} };
+  }
+
+  let event;
+  try {
+    event = await parseApplicationResponse(entries[0].content);
+  } catch (error) {
+    return { lines: [rule('ZB01', 'Fallo en el esquema XML del archivo.')], event: {} };
+  }
+
+  const lines = [];
+  const signature = await verifyXml(entries[0].content);
+  if (!signature.valid) {
+    lines.push(rule('ZE02', 'Valor de la firma inválido.'));
+  }
+
+  const [response = {}] = event.responses;
+  const expected = computeEventCude({
+    eventNumber: event.id,
+    issueDate: event.issueDate,
+    issueTime: event.issueTime,
+    senderNit: event.sender.nit,
+    receiverNit: event.receiver.nit,
+    eventCode: response.responseCode,
+    documentId: response.documentId,
+    documentTypeCode: response.documentTypeCode,
+    softwarePin
+  });
+  if (expected !== event.uuid) {
+    lines.push(rule('AAD06', 'Valor del CUDE no está calculado correctamente.'));
+  }
+
+  // Buyer events on our own invoices are registered by the buyer's provider, not through this server
+  const sequenceError = response.responseCode !== '034'
+    && eventSequenceError(registered.get(response.documentKey) || [], response.responseCode);
+  if (sequenceError) {
+    lines.push(rule('LGC01', sequenceError));
+  }
+
+  return { lines, event, response };
+};
+
+/**
+ * Crear la aplicación Express del servidor de pruebas
+ *
+ * @param {Object} [options]
+ * @param {string} [options.technicalKey] - Clave técnica para recalcular el CUFE
+ * @param {string} [options.softwarePin] - PIN del software para recalcular el CUDE
+ */
+const createMockDianServer = ({
+  technicalKey = process.env.DIAN_TECHNICAL_KEY || '',
+  softwarePin = process.env.DIAN_SOFTWARE_PIN || ''
+} = {}) => {
+  const app = express();
+  const processed = new Map(); // trackId (CUFE o ZipKey) -> respuesta
+  const registeredEvents = new Map(); // CUFE -> códigos de eventos RADIAN registrados
+
+  const processDocument = async (fileName, contentFile) => {
+    const { lines, document } = await validateDocument({
+      fileName, contentFile, technicalKey, softwarePin, processed
+    });
+    const isValid = lines.length === 0;
+    const status = isValid ? STATUS.accepted : STATUS.rejected;
+
+    const response = {
+      isValid,
+      ...status,
+      statusMessage: isValid
+        ? `La ${DOCUMENT_LABELS[document.documentType] || 'Factura electrónica'} ${document.id}, ha sido autorizada.`
+        : 'Documento con errores en campos mandatorios.',
+      errors: lines.map((line) => `Regla: ${line.code}, ${line.description}`),
+      documentKey: document.uuid || null,
+      fileName: fileName.replace(/^z/, 'ad').replace(/\.zip$/, '.xml'),
+      applicationResponse: buildValidationResponse({
+        environment: document.profileExecutionId || '2',
+        documentId: document.id || fileName,
+        documentKey: document.uuid || '',
+        receiverNit: document.supplier ? document.supplier.nit : '',
+        receiverName: document.supplier ? document.supplier.name : '',
+        accepted: isValid,
+        lines
+      })
+    };
+
+    if (document.uuid && !(processed.has(document.uuid) && processed.get(document.uuid).isValid)) {
+      processed.set(document.uuid, response);
+    }
+    return response;
+  };
+
+  app.post('/WcfDianCustomerServices.svc', express.text({ type: () => true, limit: '20mb' }), async (req, res) => {
+    res.type('application/soap+xml; charset=utf-8');
+
+    let body;
+    try {
+      body = findLocal(await parse(req.body), 'Body');
+    } catch (error) {
+      return res.status(400).send(soapFault('Mensaje SOAP inválido'));
+    }
+
+    const request = body && body.children.find((child) => typeof child !== 'string');
+    if (!request) {
+      return res.status(400).send(soapFault('Mensaje SOAP sin operación'));
+    }
+
+    const operation = request.name.split(':').pop();
+    const param = (name) => {
+      const node = findLocal(request, name);
+      return node ? node.children.join('') : '';
+    };
+
+    try {
+      switch (operation) {
+        case 'SendBillSync': {
+          const response = await processDocument(param('fileName'), param('contentFile'));
+          return res.send(soapResponse(operation, dianResponseNode(operation, response)));
+        }
+
+        case 'SendTestSetAsync': {
+          const response = await processDocument(param('fileName'), param('contentFile'));
+          const zipKey = crypto.randomUUID();
+          processed.set(zipKey, response);
+          return res.send(soapResponse(operation, el(`${operation}Result`, {
+            'xmlns:b': 'http://schemas.datacontract.org/2004/07/UploadDocumentResponse'
+          },
+            el('b:ErrorMessageList', {}),
+            el('b:ZipKey', {}, zipKey))));
+        }
+
+        case 'SendEventUpdateStatus': {
+          const { lines, event, response: eventResponse } = await validateEvent({
+            contentFile: param('contentFile'), softwarePin, registered: registeredEvents
+          });
+          const isValid = lines.length === 0;
+          if (isValid) {
+            registeredEvents.set(eventResponse.documentKey, [
+              ...(registeredEvents.get(eventResponse.documentKey) || []),
+              eventResponse.responseCode
+            ]);
+          }
+
+          const response = {
+            isValid,
+            ...(isValid ? STATUS.accepted : STATUS.rejected),
+            statusMessage: isValid
+              ? `Evento ${event.id} registrado sobre la factura ${eventResponse.documentId}.`
+              : 'Evento con errores en campos mandatorios.',
+            errors: lines.map((line) => `Regla: ${line.code}, ${line.description}`),
+            documentKey: event.uuid || null,
+            applicationResponse: buildValidationResponse({
+              environment: event.profileExecutionId || '2',
+              documentId: event.id || '',
+              documentKey: event.uuid || '',
+              receiverNit: event.sender ? event.sender.nit : '',
+              receiverName: event.sender ? event.sender.name : '',
+              accepted: isValid,
+              lines
+            })
+          };
+          if (event.uuid) {
+            processed.set(event.uuid, response);
+          }
+          return res.send(soapResponse(operation, dianResponseNode(operation, response)));
+        }
+
+        case 'GetStatus': {
+          const response = processed.get(param('trackId')) || {
+            isValid: false,
+            ...STATUS.notFound,
+            statusMessage: STATUS.notFound.statusDescription,
+            errors: []
+          };
+          return res.send(soapResponse(operation, dianResponseNode(operation, response)));
+        }
+
+        case 'GetStatusZip': {
+          const response = processed.get(param('trackId'));
+          let content = '';
+          if (response) {
+            const zip = new AdmZip();
+            zip.addFile(response.fileName, Buffer.from(response.applicationResponse, 'utf8'));
+            content = zip.toBuffer().toString('base64');
+          }
+          return res.send(soapResponse(operation, el(`${operation}Result`, {}, content)));
+        }
+
+        default:
+          return res.status(400).send(soapFault(`Operación no soportada: ${operation}`));
+      }
+    } catch (error) {
+      return res.status(500).send(soapFault(error.message));
+    }
+  });
+
+  return app;
+};
+
+module.exports = {
+  createMockDianServer
+};
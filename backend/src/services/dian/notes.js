@@ -0,0 +1,117 @@
+/**
+ * Notas crédito y débito electrónicas
+ *
+ * Genera, numera y firma con CUDE una nota que corrige una factura aceptada por
+ * la DIAN. Se usa desde las rutas de notas y desde las devoluciones de ventas,
+ * siempre dentro de la transacción de quien la emite.
+ */
+
+const { getDianSettings } = require('./config');
+const { CREDIT_NOTE_CONCEPTS, DEBIT_NOTE_CONCEPTS, calculateInvoiceTotals, buildNoteXml } = require('./ubl');
+const { computeNoteCude, buildNoteQrData } = require('./cufe');
+
+/**
+ * Reservar el siguiente consecutivo de un tipo de nota
+ */
+const nextNoteNumber = async (tx, config, type) => {
+  const field = `${type}NoteNumber`;
+  const updated = await tx.dianConfig.update({
+    where: { id: config.id },
+    data: { [field]: { increment: 1 } }
+  });
+  return `${updated[`${type}NotePrefix`]}${updated[field]}`;
+};
+
+/**
+ * Generar y guardar una nota
+ *
+ * @param {Object} tx - Cliente Prisma de la transacción
+ * @param {Object} data
+ * @param {string} data.type - credit o debit
+ * @param {Object} data.invoice - DianInvoice aceptada, con customer y sale
+ * @param {Object} data.config - Resolución activa (consecutivos de notas)
+ * @param {string} data.conceptCode - Concepto de corrección DIAN
+ * @param {string} data.reason - Motivo
+ * @param {Array} data.lines - Líneas con productId, product, quantity, unitPrice, taxCode y taxPercent
+ * @param {boolean} data.restock - La mercancía volvió al inventario (no mueve el stock)
+ * @param {string} data.userId - Usuario que emite la nota
+ * @returns {Promise<Object>} DianNote con sus items
+ */
+const generateNote = async (tx, {
+  type, invoice, config, conceptCode, reason, lines, restock, userId
+}) => {
+  const settings = getDianSettings();
+  const concepts = type === 'credit' ? CREDIT_NOTE_CONCEPTS : DEBIT_NOTE_CONCEPTS;
+  const totals = calculateInvoiceTotals(lines);
+  const noteNumber = await nextNoteNumber(tx, config, type);
+
+  const noteData = {
+    type,
+    noteNumber,
+    issueDate: new Date(),
+    concept: { code: conceptCode, description: concepts[conceptCode] },
+    invoice: {
+      invoiceNumber: invoice.invoiceNumber,
+      cufe: invoice.cufe,
+      issueDate: invoice.createdAt
+    },
+    config,
+    settings,
+    customer: invoice.customer,
+    customerName: invoice.sale.customerName,
+    paymentMethod: invoice.sale.paymentMethod,
+    totals,
+    notes: reason
+  };
+
+  const cude = computeNoteCude(noteData);
+  const qrData = buildNoteQrData(noteData, cude);
+  const xml = buildNoteXml({ ...noteData, cude, qrData });
+
+  return tx.dianNote.create({
+    data: {
+      noteNumber,
+      type,
+      invoiceId: invoice.id,
+      conceptCode,
+      reason,
+      subtotal: totals.lineExtension,
+      tax: totals.taxTotal,
+      total: totals.payable,
+      status: 'generated',
+      cude,
+      qrData,
+      xml,
+      restock,
+      userId,
+      items: {
+        create: lines.map((line, index) => ({
+          productId: line.productId || null,
+          description: line.product ? line.product.name : line.description,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          totalPrice: line.quantity * line.unitPrice,
+          taxCode: totals.lines[index].taxCode,
+          taxPercent: totals.lines[index].taxPercent,
+          taxAmount: totals.lines[index].taxAmount
+        }))
+      }
+    },
+    include: {
+      items: true
+    }
+  });
+};
+
+/**
+ * Valor ya acreditado a una factura por notas crédito no rechazadas
+ */
+const creditedTotal = (invoice) => (invoice.dianNotes || [])
+  .filter((note) => note.type === 'credit' && note.status !== 'rejected')
+  .reduce((sum, note) => sum + Number(note.total), 0);
+
+module.exports = {
+  nextNoteNumber,
+  generateNote,
+  creditedTotal
+};
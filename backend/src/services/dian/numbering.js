@@ -0,0 +1,247 @@
+/**
+ * Numeración de facturas según las resoluciones DIAN
+ *
+ * Cada registro DianConfig es una resolución de numeración (prefijo, rango,
+ * vigencia y sucursal opcional). Los números se asignan con un UPDATE
+ * condicionado dentro de la transacción del documento: si la transacción se
+ * revierte, el consecutivo también, y dos ventas concurrentes nunca obtienen
+ * el mismo número.
+ */
+
+const { notifyUsersWithPermission } = require('../notifications');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Minimum time between two warnings for the same resolution
+const WARNING_INTERVAL_MS = DAY_MS;
+
+/**
+ * Error de numeración (rango agotado, resolución vencida o inexistente)
+ */
+class NumberingError extends Error {
+  constructor(message, code = 'NUMBERING_NOT_CONFIGURED') {
+    super(message);
+    this.name = 'NumberingError';
+    this.code = code;
+    this.statusCode = 409;
+  }
+}
+
+const isoDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Fecha final de vigencia de una resolución
+ */
+const resolutionEndDate = (config) => (config.resolutionEndDate
+  ? new Date(config.resolutionEndDate)
+  // Vigencia estándar de 24 meses cuando la resolución no indica fecha final
+  : new Date(new Date(config.resolutionDate).setUTCMonth(new Date(config.resolutionDate).getUTCMonth() + 24)));
+
+/**
+ * Estado de una resolución: números y días restantes
+ *
+ * @param {Object} config - Registro DianConfig
+ * @param {Date} [now]
+ */
+const resolutionStatus = (config, now = new Date()) => {
+  // Resolution dates are calendar dates, stored at UTC midnight and valid for the whole day
+  const today = isoDate(now);
+  const startDate = isoDate(config.resolutionDate);
+  const endDate = isoDate(resolutionEndDate(config));
+  const remaining = Math.max(0, config.endNumber - config.currentNumber + 1);
+  const daysLeft = Math.round((new Date(endDate) - new Date(today)) / DAY_MS);
+
+  const notStarted = today < startDate;
+  const expired = today > endDate;
+  const exhausted = remaining === 0;
+
+  return {
+    startDate,
+    endDate,
+    remaining,
+    daysLeft: Math.max(0, daysLeft),
+    notStarted,
+    expired,
+    exhausted,
+    usable: config.isActive && !notStarted && !expired && !exhausted,
+    warning: remaining <= config.warningRemainingNumbers || daysLeft <= config.warningDaysBeforeExpiry
+  };
+};
+
+/**
+ * Rechazar documentos fuera de la vigencia de su resolución
+ */
+const assertResolutionInForce = (config, now = new Date()) => {
+  const status = resolutionStatus(config, now);
+  if (status.expired) {
+    throw new NumberingError(
+      `Resolution ${config.resolutionNumber} (${config.prefix}) expired on ${status.endDate}`,
+      'RESOLUTION_EXPIRED'
+    );
+  }
+  if (status.notStarted) {
+    throw new NumberingError(
+      `Resolution ${config.resolutionNumber} (${config.prefix}) is in force from ${status.startDate}`,
+      'RESOLUTION_NOT_STARTED'
+    );
+  }
+  return status;
+};
+
+/**
+ * Resoluciones activas para un prefijo y/o sucursal, en orden de uso
+ *
+ * Las resoluciones de la sucursal van antes que las generales (sin sucursal);
+ * dentro de cada grupo se agota primero la más antigua.
+ */
+const findActiveResolutions = async (prisma, { prefix, branch, documentType = 'invoice' } = {}) => {
+  const where = { isActive: true, documentType };
+  if (prefix) {
+    where.prefix = prefix;
+  }
+  where.OR = branch ? [{ branch }, { branch: null }] : [{ branch: null }];
+
+  const resolutions = await prisma.dianConfig.findMany({
+    where,
+    orderBy: [{ resolutionDate: 'asc' }, { startNumber: 'asc' }]
+  });
+
+  return resolutions.sort((a, b) => Number(!a.branch) - Number(!b.branch));
+};
+
+/**
+ * Asignar el siguiente número de la resolución vigente (factura o documento soporte)
+ *
+ * Debe llamarse con el cliente de la transacción que crea el documento para
+ * que el número se libere si la transacción falla.
+ *
+ * @param {Object} tx - Cliente Prisma de la transacción
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Prefijo requerido
+ * @param {string} [options.branch] - Sucursal o caja que emite
+ * @param {string} [options.documentType] - invoice (por defecto) o support
+ * @returns {Promise<{ config: Object, number: number, invoiceNumber: string }>}
+ */
+const allocateInvoiceNumber = async (tx, {
+  prefix, branch, documentType = 'invoice', now = new Date()
+} = {}) => {
+  const resolutions = await findActiveResolutions(tx, { prefix, branch, documentType });
+  const statuses = resolutions.map((config) => resolutionStatus(config, now));
+
+  for (let index = 0; index < resolutions.length; index += 1) {
+    const candidate = resolutions[index];
+    if (!statuses[index].usable) {
+      continue;
+    }
+
+    try {
+      // Conditional increment: the row lock serializes concurrent sales and the
+      // range check is re-evaluated against the latest committed value
+      const config = await tx.dianConfig.update({
+        where: { id: candidate.id, isActive: true, currentNumber: { lte: candidate.endNumber } },
+        data: { currentNumber: { increment: 1 } }
+      });
+      const number = config.currentNumber - 1;
+
+      return { config, number, invoiceNumber: `${config.prefix}${number}` };
+    } catch (error) {
+      // P2025: the range was exhausted (or deactivated) by a concurrent sale
+      if (error.code !== 'P2025') {
+        throw error;
+      }
+    }
+  }
+
+  const scope = [
+    documentType !== 'invoice' && `${documentType} documents`,
+    prefix && `prefix ${prefix}`,
+    branch && `branch ${branch}`
+  ].filter(Boolean).join(', ');
+  const suffix = scope ? ` for ${scope}` : '';
+
+  if (resolutions.length === 0) {
+    throw new NumberingError(`No active DIAN numbering resolution${suffix}`, 'NUMBERING_NOT_CONFIGURED');
+  }
+  if (statuses.every((status) => status.expired)) {
+    throw new NumberingError(`DIAN numbering resolutions${suffix} have expired`, 'RESOLUTION_EXPIRED');
+  }
+  if (statuses.every((status) => status.notStarted || status.expired)) {
+    throw new NumberingError(`No DIAN numbering resolution${suffix} is in force yet`, 'RESOLUTION_NOT_STARTED');
+  }
+  throw new NumberingError(`DIAN numbering range${suffix} is exhausted`, 'RESOLUTION_EXHAUSTED');
+};
+
+/**
+ * Avisar (a lo sumo una vez al día) cuando una resolución está por agotarse o vencer
+ *
+ * @param {Object} prisma - Cliente Prisma (fuera de la transacción de la venta)
+ * @param {Object} config - Resolución tras asignar el número
+ * @returns {Promise<boolean>} true si se generó el aviso
+ */
+const warnIfResolutionRunningOut = async (prisma, config, now = new Date()) => {
+  const status = resolutionStatus(config, now);
+  if (!status.warning) {
+    return false;
+  }
+
+  // Claim the warning slot so concurrent sales do not notify twice
+  const claimed = await prisma.dianConfig.updateMany({
+    where: {
+      id: config.id,
+      OR: [
+        { lastWarningAt: null },
+        { lastWarningAt: { lt: new Date(now.getTime() - WARNING_INTERVAL_MS) } }
+      ]
+    },
+    data: { lastWarningAt: now }
+  });
+  if (claimed.count === 0) {
+    return false;
+  }
+
+  const details = [];
+  if (status.remaining <= config.warningRemainingNumbers) {
+    details.push(`quedan ${status.remaining} números (hasta ${config.prefix}${config.endNumber})`);
+  }
+  if (status.daysLeft <= config.warningDaysBeforeExpiry) {
+    details.push(`vence el ${status.endDate} (${status.daysLeft} días)`);
+  }
+
+  const subject = `Resolución de numeración ${config.prefix} por agotarse`;
+  const message = `La resolución DIAN ${config.resolutionNumber} (prefijo ${config.prefix}`
+    + `${config.branch ? `, sucursal ${config.branch}` : ''}): ${details.join(' y ')}. `
+    + 'Solicite una nueva resolución de numeración y regístrela antes de que se agote.';
+
+  const count = await notifyUsersWithPermission(prisma, 'dian:update', {
+    subject,
+    message,
+    metadata: {
+      category: 'DIAN_NUMBERING',
+      configId: config.id,
+      prefix: config.prefix,
+      branch: config.branch,
+      remaining: status.remaining,
+      daysLeft: status.daysLeft,
+      endDate: status.endDate
+    }
+  });
+
+  logger.dian('NUMBERING_WARNING', 'warning', {
+    prefix: config.prefix,
+    resolutionNumber: config.resolutionNumber,
+    remaining: status.remaining,
+    daysLeft: status.daysLeft,
+    notified: count
+  });
+  return true;
+};
+
+module.exports = {
+  NumberingError,
+  resolutionEndDate,
+  resolutionStatus,
+  assertResolutionInForce,
+  findActiveResolutions,
+  allocateInvoiceNumber,
+  warnIfResolutionRunningOut
+};
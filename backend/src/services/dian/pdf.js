@@ -0,0 +1,507 @@
+/**
+ * Representación gráfica (PDF) de documentos electrónicos DIAN
+ *
+ * El diseño se define en templates/invoice.json (tamaños, colores, columnas,
+ * logo y pie de página). DIAN_PDF_TEMPLATE puede apuntar a un JSON propio que
+ * se combina sobre el predeterminado, de modo que basta con indicar el logo o
+ * el pie de página de la empresa.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { parse } = require('./xml');
+const { readInvoice } = require('./reader');
+const { resolveIssuer, resolveBuyer } = require('./ubl');
+const { amountInWords } = require('../../utils/numberToWords');
+
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, 'templates', 'invoice.json');
+
+const DOCUMENT_TYPES = {
+  13: 'CC',
+  22: 'CE',
+  31: 'NIT',
+  41: 'Pasaporte'
+};
+
+const PAYMENT_METHODS = {
+  CASH: 'Contado - Efectivo',
+  CARD: 'Contado - Tarjeta',
+  TRANSFER: 'Contado - Transferencia',
+  MIXED: 'Pago mixto',
+  CREDIT: 'Crédito'
+};
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+const mergeTemplate = (base, override) => {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeTemplate(base[key], value) : value;
+  });
+  return merged;
+};
+
+const readTemplateFile = (file) => {
+  const template = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Logo paths are relative to the template that declares them
+  if (template.logo && template.logo.path && !path.isAbsolute(template.logo.path)) {
+    template.logo.path = path.resolve(path.dirname(file), template.logo.path);
+  }
+  return template;
+};
+
+/**
+ * Plantilla efectiva: la predeterminada combinada con DIAN_PDF_TEMPLATE
+ */
+const loadTemplate = (customPath = process.env.DIAN_PDF_TEMPLATE) => {
+  const template = readTemplateFile(DEFAULT_TEMPLATE_PATH);
+  return customPath ? mergeTemplate(template, readTemplateFile(customPath)) : template;
+};
+
+const hexColor = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+};
+
+// Standard PDF fonts only cover WinAnsi (Latin-1); anything else is replaced
+const printable = (value) => String(value === null || value === undefined ? '' : value)
+  .normalize('NFC')
+  .replace(/[\r\n\t]+/g, ' ')
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const currencyFormat = new Intl.NumberFormat('es-CO', {
+  style: 'currency',
+  currency: 'COP',
+  minimumFractionDigits: 2
+});
+
+const formatMoney = (value) => currencyFormat.format(Number(value) || 0);
+
+const fillPlaceholders = (text, context) => text
+  .replace(/\{(\w+)\}/g, (match, key) => (context[key] !== undefined && context[key] !== null ? context[key] : ''));
+
+/**
+ * Partir un texto en líneas que quepan en el ancho dado
+ */
+const wrapText = (text, font, size, width) => {
+  const lines = [];
+  let current = '';
+
+  printable(text).split(' ').forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, size) <= width) {
+      current = candidate;
+      return;
+    }
+    if (current) {
+      lines.push(current);
+    }
+    // Words longer than the column (such as the CUFE) are split by characters
+    current = '';
+    for (const char of word) {
+      if (font.widthOfTextAtSize(current + char, size) > width && current) {
+        lines.push(current);
+        current = '';
+      }
+      current += char;
+    }
+  });
+
+  if (current) {
+    lines.push(current);
+  }
+  return lines.length ? lines : [''];
+};
+
+const embedLogo = async (pdf, logo) => {
+  if (!logo || !logo.path || !fs.existsSync(logo.path)) {
+    return null;
+  }
+  const bytes = fs.readFileSync(logo.path);
+  return /\.jpe?g$/i.test(logo.path) ? pdf.embedJpg(bytes) : pdf.embedPng(bytes);
+};
+
+/**
+ * Datos de la representación gráfica a partir del XML firmado de la factura
+ */
+const buildPdfData = async ({ invoice, config, sale }) => {
+  const document = readInvoice(await parse(invoice.xml));
+  const issuer = resolveIssuer(config);
+  const buyer = resolveBuyer(sale ? sale.customer : null, sale ? sale.customerName : null);
+
+  const taxBreakdown = {};
+  document.lines.forEach((line) => {
+    line.taxSubtotals.forEach((subtotal) => {
+      const key = `${subtotal.code}:${subtotal.percent}`;
+      const entry = taxBreakdown[key] || {
+        code: subtotal.code, name: subtotal.name, percent: subtotal.percent, taxableAmount: 0, taxAmount: 0
+      };
+      entry.taxableAmount += subtotal.taxableAmount;
+      entry.taxAmount += subtotal.taxAmount;
+      taxBreakdown[key] = entry;
+    });
+  });
+
+  return {
+    document,
+    issuer,
+    buyer,
+    config,
+    invoiceNumber: invoice.invoiceNumber,
+    cufe: invoice.cufe || document.uuid,
+    qrData: invoice.qrData,
+    status: invoice.status,
+    contingency: Boolean(invoice.contingency),
+    paymentMethod: sale ? PAYMENT_METHODS[String(sale.paymentMethod).toUpperCase()] || sale.paymentMethod : null,
+    notes: invoice.notes,
+    lines: document.lines.map((line) => ({
+      code: line.sellersItemId || line.standardItemId || '',
+      description: line.description,
+      quantity: line.quantity,
+      unitPrice: formatMoney(line.unitPrice),
+      taxPercent: line.taxSubtotals.length ? `${line.taxSubtotals[0].percent}%` : '0%',
+      lineExtension: formatMoney(line.lineExtension)
+    })),
+    taxBreakdown: Object.values(taxBreakdown)
+      .sort((a, b) => a.code.localeCompare(b.code) || b.percent - a.percent),
+    taxTotal: document.taxSubtotals.reduce((sum, subtotal) => sum + subtotal.taxAmount, 0)
+  };
+};
+
+/**
+ * Generar el PDF de una factura electrónica
+ *
+ * @param {Object} params
+ * @param {Object} params.invoice - DianInvoice con XML, CUFE y datos QR
+ * @param {Object} params.config - DianConfig activa (encabezado y resolución)
+ * @param {Object} [params.sale] - Venta con cliente, para datos de contacto del adquiriente
+ * @param {Object} [params.template] - Plantilla de diseño (por defecto loadTemplate())
+ * @returns {Promise<Buffer>}
+ */
+const buildInvoicePdf = async ({ invoice, config, sale, template = loadTemplate() }) => {
+  const data = await buildPdfData({ invoice, config, sale });
+  const { document, issuer, buyer } = data;
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`${template.title} ${data.invoiceNumber}`);
+  pdf.setAuthor(issuer.name);
+  pdf.setSubject(data.cufe || '');
+  pdf.setCreator('Agropecuaria Suaza POS');
+
+  const standardFont = (name, fallback) => (Object.values(StandardFonts).includes(name) ? name : fallback);
+  const fonts = {
+    regular: await pdf.embedFont(standardFont(template.fonts.regular, StandardFonts.Helvetica)),
+    bold: await pdf.embedFont(standardFont(template.fonts.bold, StandardFonts.HelveticaBold))
+  };
+  const colors = Object.fromEntries(Object.entries(template.colors).map(([key, value]) => [key, hexColor(value)]));
+  const sizes = template.fontSizes;
+  const [pageWidth, pageHeight] = template.page.size;
+  const margin = template.page.margin;
+  const contentWidth = pageWidth - margin * 2;
+  const lineHeight = (size) => size * 1.35;
+
+  const footerContext = {
+    companyName: issuer.name,
+    taxId: `${issuer.number}-${issuer.checkDigit}`,
+    phone: issuer.phone,
+    email: issuer.email,
+    address: issuer.address,
+    city: issuer.city,
+    qrUrl: data.qrData ? (data.qrData.match(/https?:\/\/\S+/) || [''])[0] : ''
+  };
+  const footerLines = (template.footer || []).flatMap((line) => (
+    wrapText(fillPlaceholders(line, footerContext), fonts.regular, sizes.small, contentWidth)
+  ));
+  const footerHeight = footerLines.length * lineHeight(sizes.small) + lineHeight(sizes.small) * 2;
+
+  let page;
+  let y;
+
+  const text = (value, x, {
+    font = fonts.regular, size = sizes.body, color = colors.text, align = 'left', width = 0
+  } = {}) => {
+    const content = printable(value);
+    const textWidth = font.widthOfTextAtSize(content, size);
+    let left = x;
+    if (align === 'right') {
+      left = x + width - textWidth;
+    } else if (align === 'center') {
+      left = x + (width - textWidth) / 2;
+    }
+    page.drawText(content, { x: left, y, font, size, color });
+  };
+
+  const newPage = () => {
+    page = pdf.addPage([pageWidth, pageHeight]);
+    y = pageHeight - margin;
+  };
+
+  const ensureSpace = (height, onNewPage) => {
+    if (y - height < margin + footerHeight) {
+      newPage();
+      if (onNewPage) {
+        onNewPage();
+      }
+    }
+  };
+
+  const sectionTitle = (title) => {
+    ensureSpace(lineHeight(sizes.heading) * 2);
+    page.drawRectangle({
+      x: margin, y: y - lineHeight(sizes.heading) + 3, width: contentWidth, height: lineHeight(sizes.heading), color: colors.primary
+    });
+    y -= lineHeight(sizes.heading) - 5;
+    text(title, margin + 4, { font: fonts.bold, size: sizes.heading, color: colors.headerText });
+    y -= lineHeight(sizes.heading);
+  };
+
+  newPage();
+
+  // Encabezado: logo y datos del emisor a la izquierda, datos del documento a la derecha
+  const logo = await embedLogo(pdf, template.logo);
+  const headerTop = y;
+  let issuerX = margin;
+  if (logo) {
+    const scale = template.logo.width / logo.width;
+    page.drawImage(logo, {
+      x: margin, y: headerTop - logo.height * scale, width: logo.width * scale, height: logo.height * scale
+    });
+    issuerX += template.logo.width + 10;
+  }
+
+  y = headerTop - sizes.heading;
+  text(issuer.name, issuerX, { font: fonts.bold, size: sizes.heading + 2 });
+  [
+    `NIT ${issuer.number}-${issuer.checkDigit}`,
+    issuer.address,
+    [issuer.city, process.env.DIAN_DEPARTMENT_NAME].filter(Boolean).join(', '),
+    [issuer.phone && `Tel. ${issuer.phone}`, issuer.email].filter(Boolean).join(' - '),
+    `Responsabilidad fiscal: ${issuer.taxLevelCode}`
+  ].filter(Boolean).forEach((line) => {
+    y -= lineHeight(sizes.body);
+    text(line, issuerX);
+  });
+  const issuerBottom = y;
+
+  const boxWidth = 190;
+  const boxX = pageWidth - margin - boxWidth;
+  const boxLines = [
+    ['No.', data.invoiceNumber],
+    ['Fecha de emisión', `${document.issueDate} ${document.issueTime.slice(0, 8)}`],
+    ['Fecha de vencimiento', document.dueDate || document.issueDate],
+    ['Forma de pago', data.paymentMethod],
+    ['Moneda', document.currency],
+    ['Tipo', data.contingency ? 'Contingencia' : null]
+  ].filter(([, value]) => value);
+  const boxHeight = lineHeight(sizes.title) + boxLines.length * lineHeight(sizes.body) + 10;
+  page.drawRectangle({
+    x: boxX, y: headerTop - boxHeight, width: boxWidth, height: boxHeight, borderColor: colors.primary, borderWidth: 1
+  });
+  y = headerTop - sizes.title - 4;
+  wrapText(template.title, fonts.bold, sizes.title - 2, boxWidth - 12).forEach((line) => {
+    text(line, boxX, { font: fonts.bold, size: sizes.title - 2, color: colors.primary, align: 'center', width: boxWidth });
+  });
+  boxLines.forEach(([label, value]) => {
+    y -= lineHeight(sizes.body);
+    text(`${label}:`, boxX + 6, { font: fonts.bold });
+    text(value, boxX + 6, { align: 'right', width: boxWidth - 12 });
+  });
+
+  y = Math.min(issuerBottom, headerTop - boxHeight, logo ? headerTop - logo.height * (template.logo.width / logo.width) : headerTop) - 10;
+
+  // Resolución de numeración
+  const resolutionDate = config.resolutionDate ? new Date(config.resolutionDate).toISOString().slice(0, 10) : '';
+  const resolution = `Autorización de numeración de facturación DIAN No. ${config.resolutionNumber} del ${resolutionDate}. `
+    + `Prefijo ${config.prefix || 'sin prefijo'}, rango del ${config.startNumber} al ${config.endNumber}.`;
+  wrapText(resolution, fonts.regular, sizes.small, contentWidth).forEach((line) => {
+    text(line, margin, { size: sizes.small, color: colors.muted });
+    y -= lineHeight(sizes.small);
+  });
+  y -= 6;
+
+  // Adquiriente
+  sectionTitle('ADQUIRIENTE');
+  const buyerId = `${DOCUMENT_TYPES[buyer.documentType] || buyer.documentType} ${buyer.number}${buyer.checkDigit ? `-${buyer.checkDigit}` : ''}`;
+  const buyerFields = [
+    ['Nombre', buyer.name],
+    ['Identificación', buyerId],
+    ['Dirección', [buyer.address, buyer.city].filter(Boolean).join(', ')],
+    ['Teléfono', buyer.phone],
+    ['Correo', buyer.email]
+  ].filter(([, value]) => value);
+  const half = contentWidth / 2;
+  buyerFields.forEach(([label, value], index) => {
+    const x = margin + 4 + (index % 2) * half;
+    text(`${label}:`, x, { font: fonts.bold });
+    text(value, x + 62, { width: half - 70 });
+    if (index % 2 === 1 || index === buyerFields.length - 1) {
+      y -= lineHeight(sizes.body);
+    }
+  });
+  y -= 8;
+
+  // Detalle
+  const columns = template.columns.map((column) => ({ ...column, width: column.width * contentWidth }));
+  const drawTableHeader = () => {
+    const height = lineHeight(sizes.body) + 4;
+    page.drawRectangle({ x: margin, y: y - height + sizes.body + 2, width: contentWidth, height, color: colors.primary });
+    let x = margin;
+    columns.forEach((column) => {
+      text(column.label, x + 3, {
+        font: fonts.bold, color: colors.headerText, align: column.align || 'left', width: column.width - 6
+      });
+      x += column.width;
+    });
+    y -= height + 2;
+  };
+
+  ensureSpace(lineHeight(sizes.body) * 3);
+  y -= sizes.body;
+  drawTableHeader();
+
+  data.lines.forEach((line) => {
+    const cells = columns.map((column) => wrapText(line[column.key], fonts.regular, sizes.body, column.width - 6));
+    const rows = Math.max(...cells.map((cell) => cell.length));
+    ensureSpace(rows * lineHeight(sizes.body) + 4, () => {
+      y -= sizes.body;
+      drawTableHeader();
+    });
+
+    const top = y;
+    let x = margin;
+    columns.forEach((column, index) => {
+      y = top;
+      cells[index].forEach((cellLine) => {
+        text(cellLine, x + 3, { align: column.align || 'left', width: column.width - 6 });
+        y -= lineHeight(sizes.body);
+      });
+      x += column.width;
+    });
+    y = top - rows * lineHeight(sizes.body);
+    page.drawLine({
+      start: { x: margin, y: y + sizes.body - 1 },
+      end: { x: margin + contentWidth, y: y + sizes.body - 1 },
+      thickness: 0.5,
+      color: colors.border
+    });
+    y -= 2;
+  });
+
+  // Impuestos y totales
+  const totalsRows = [
+    ['Subtotal', formatMoney(document.lineExtension)],
+    ['Total impuestos', formatMoney(data.taxTotal)],
+    ['Total', formatMoney(document.taxInclusive)],
+    ['Total a pagar', formatMoney(document.payable)]
+  ];
+  const breakdownRows = data.taxBreakdown.map((entry) => [
+    `${entry.name} ${entry.percent}%`, formatMoney(entry.taxableAmount), formatMoney(entry.taxAmount)
+  ]);
+  ensureSpace(Math.max(totalsRows.length, breakdownRows.length + 1) * lineHeight(sizes.body) + 20);
+  y -= 10;
+
+  const totalsTop = y;
+  const breakdownWidth = contentWidth * 0.5;
+  const breakdownColumn = breakdownWidth / 3;
+  ['Tarifa', 'Base gravable', 'Impuesto'].forEach((label, index) => {
+    text(label, margin + index * breakdownColumn, {
+      font: fonts.bold, align: index ? 'right' : 'left', width: breakdownColumn - 6
+    });
+  });
+  breakdownRows.forEach((row) => {
+    y -= lineHeight(sizes.body);
+    row.forEach((value, index) => {
+      text(value, margin + index * breakdownColumn, { align: index ? 'right' : 'left', width: breakdownColumn - 6 });
+    });
+  });
+  const breakdownBottom = y;
+
+  y = totalsTop;
+  const totalsX = margin + contentWidth * 0.6;
+  const totalsWidth = contentWidth * 0.4;
+  totalsRows.forEach(([label, value], index) => {
+    const isLast = index === totalsRows.length - 1;
+    const font = isLast ? fonts.bold : fonts.regular;
+    text(label, totalsX, { font: fonts.bold, size: isLast ? sizes.heading : sizes.body });
+    text(value, totalsX, { font, size: isLast ? sizes.heading : sizes.body, align: 'right', width: totalsWidth });
+    y -= lineHeight(isLast ? sizes.heading : sizes.body);
+  });
+  y = Math.min(y, breakdownBottom - lineHeight(sizes.body)) - 4;
+
+  wrapText(`SON: ${amountInWords(document.payable)}`, fonts.bold, sizes.body, contentWidth).forEach((line) => {
+    ensureSpace(lineHeight(sizes.body));
+    text(line, margin, { font: fonts.bold });
+    y -= lineHeight(sizes.body);
+  });
+
+  if (data.notes) {
+    y -= 4;
+    wrapText(`Observaciones: ${data.notes}`, fonts.regular, sizes.body, contentWidth).forEach((line) => {
+      ensureSpace(lineHeight(sizes.body));
+      text(line, margin);
+      y -= lineHeight(sizes.body);
+    });
+  }
+
+  // CUFE y código QR
+  const qrSize = template.qr.size;
+  ensureSpace(qrSize + 12);
+  y -= 8;
+  const qrTop = y;
+  if (data.qrData) {
+    const qrPng = await QRCode.toBuffer(data.qrData, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: qrSize * 3 });
+    const qrImage = await pdf.embedPng(qrPng);
+    page.drawImage(qrImage, { x: margin, y: qrTop - qrSize, width: qrSize, height: qrSize });
+  }
+
+  const infoX = margin + (data.qrData ? qrSize + 12 : 0);
+  const infoWidth = contentWidth - (infoX - margin);
+  y = qrTop - sizes.body;
+  text('CUFE:', infoX, { font: fonts.bold });
+  y -= lineHeight(sizes.body);
+  wrapText(data.cufe || 'Pendiente', fonts.regular, sizes.body, infoWidth).forEach((line) => {
+    text(line, infoX);
+    y -= lineHeight(sizes.body);
+  });
+  y -= 4;
+  [
+    `Estado DIAN: ${data.status}`,
+    `Software de facturación propio de ${issuer.name} - NIT ${issuer.number}-${issuer.checkDigit}`
+  ].forEach((line) => {
+    text(line, infoX, { size: sizes.small, color: colors.muted });
+    y -= lineHeight(sizes.small);
+  });
+
+  // Pie de página y numeración en todas las páginas
+  const pages = pdf.getPages();
+  pages.forEach((footerPage, index) => {
+    page = footerPage;
+    y = margin + footerLines.length * lineHeight(sizes.small) + 2;
+    page.drawLine({
+      start: { x: margin, y: y + sizes.small + 2 },
+      end: { x: margin + contentWidth, y: y + sizes.small + 2 },
+      thickness: 0.5,
+      color: colors.border
+    });
+    footerLines.forEach((line) => {
+      text(line, margin, { size: sizes.small, color: colors.muted, align: 'center', width: contentWidth });
+      y -= lineHeight(sizes.small);
+    });
+    text(`Página ${index + 1} de ${pages.length}`, margin, {
+      size: sizes.small, color: colors.muted, align: 'right', width: contentWidth
+    });
+  });
+
+  return Buffer.from(await pdf.save());
+};
+
+module.exports = {
+  mergeTemplate,
+  loadTemplate,
+  printable,
+  formatMoney,
+  wrapText,
+  buildInvoicePdf
+};
@@ -0,0 +1,95 @@
+/**
+ * Lectura de documentos UBL 2.1 (facturas y notas) ya construidos o recibidos
+ */
+
+const { findByName, findAllByName, textOf } = require('./xml');
+
+const childOf = (node, name) => (node ? node.children.find((child) => child.name === name) : null);
+
+const childText = (node, name) => textOf(childOf(node, name));
+
+const pathOf = (node, ...names) => names.reduce((current, name) => childOf(current, name), node);
+
+/**
+ * Datos de una parte (emisor o adquiriente)
+ */
+const readParty = (partyWrapper) => {
+  const party = childOf(partyWrapper, 'cac:Party');
+  const taxScheme = childOf(party, 'cac:PartyTaxScheme');
+  const companyId = childOf(taxScheme, 'cbc:CompanyID');
+
+  return {
+    nit: textOf(companyId),
+    checkDigit: companyId ? companyId.attrs.schemeID || null : null,
+    documentType: companyId ? companyId.attrs.schemeName || null : null,
+    name: childText(taxScheme, 'cbc:RegistrationName') || textOf(pathOf(party, 'cac:PartyName', 'cbc:Name')),
+    email: textOf(pathOf(party, 'cac:Contact', 'cbc:ElectronicMail'))
+  };
+};
+
+/**
+ * Subtotales de impuestos de un cac:TaxTotal
+ */
+const readTaxSubtotals = (taxTotals) => taxTotals.flatMap((taxTotal) => findAllByName(taxTotal, 'cac:TaxSubtotal')
+  .map((subtotal) => {
+    const category = childOf(subtotal, 'cac:TaxCategory');
+    return {
+      code: textOf(pathOf(category, 'cac:TaxScheme', 'cbc:ID')),
+      name: textOf(pathOf(category, 'cac:TaxScheme', 'cbc:Name')),
+      percent: Number(childText(category, 'cbc:Percent') || 0),
+      taxableAmount: Number(childText(subtotal, 'cbc:TaxableAmount') || 0),
+      taxAmount: Number(childText(subtotal, 'cbc:TaxAmount') || 0)
+    };
+  }));
+
+/**
+ * Extraer encabezado, partes, totales y líneas de un documento UBL
+ *
+ * @param {Object} root - Árbol del documento (resultado de xml.parse)
+ */
+const readInvoice = (root) => {
+  const monetaryTotal = childOf(root, 'cac:LegalMonetaryTotal') || childOf(root, 'cac:RequestedMonetaryTotal');
+  const taxTotals = root.children.filter((child) => child.name === 'cac:TaxTotal');
+  const lineName = ['cac:InvoiceLine', 'cac:CreditNoteLine', 'cac:DebitNoteLine']
+    .find((name) => childOf(root, name));
+
+  return {
+    documentType: root.name.split(':').pop(),
+    id: childText(root, 'cbc:ID'),
+    uuid: childText(root, 'cbc:UUID'),
+    uuidScheme: childOf(root, 'cbc:UUID') ? childOf(root, 'cbc:UUID').attrs.schemeName : null,
+    profileExecutionId: childText(root, 'cbc:ProfileExecutionID'),
+    issueDate: childText(root, 'cbc:IssueDate'),
+    issueTime: childText(root, 'cbc:IssueTime'),
+    dueDate: childText(root, 'cbc:DueDate') || textOf(findByName(root, 'cbc:PaymentDueDate')),
+    currency: childText(root, 'cbc:DocumentCurrencyCode'),
+    supplier: readParty(childOf(root, 'cac:AccountingSupplierParty')),
+    customer: readParty(childOf(root, 'cac:AccountingCustomerParty')),
+    taxSubtotals: readTaxSubtotals(taxTotals),
+    lineExtension: Number(childText(monetaryTotal, 'cbc:LineExtensionAmount') || 0),
+    taxExclusive: Number(childText(monetaryTotal, 'cbc:TaxExclusiveAmount') || 0),
+    taxInclusive: Number(childText(monetaryTotal, 'cbc:TaxInclusiveAmount') || 0),
+    payable: Number(childText(monetaryTotal, 'cbc:PayableAmount') || 0),
+    lines: lineName ? root.children.filter((child) => child.name === lineName).map((line) => {
+      const item = childOf(line, 'cac:Item');
+      const quantity = line.children.find((child) => /Quantity$/.test(child.name));
+      return {
+        id: childText(line, 'cbc:ID'),
+        quantity: Number(textOf(quantity) || 0),
+        lineExtension: Number(childText(line, 'cbc:LineExtensionAmount') || 0),
+        description: childText(item, 'cbc:Description'),
+        sellersItemId: textOf(pathOf(item, 'cac:SellersItemIdentification', 'cbc:ID')),
+        standardItemId: textOf(pathOf(item, 'cac:StandardItemIdentification', 'cbc:ID')),
+        unitPrice: Number(textOf(pathOf(line, 'cac:Price', 'cbc:PriceAmount')) || 0),
+        taxSubtotals: readTaxSubtotals(line.children.filter((child) => child.name === 'cac:TaxTotal'))
+      };
+    }) : []
+  };
+};
+
+module.exports = {
+  childOf,
+  childText,
+  pathOf,
+  readInvoice
+};
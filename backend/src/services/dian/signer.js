@@ -0,0 +1,340 @@
+/**
+ * Firma digital XAdES-EPES de documentos electrónicos DIAN
+ * (Política de firma de la DIAN, versión 2)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const forge = require('node-forge');
+const {
+  el, canonicalize, serialize, parse, findNode, findByName, findAllByName, textOf, namespacesInScope
+} = require('./xml');
+const { formatDateTime } = require('./ubl');
+
+const ALGORITHMS = {
+  canonicalization: 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315',
+  signature: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+  digest: 'http://www.w3.org/2001/04/xmlenc#sha256',
+  envelopedSignature: 'http://www.w3.org/2000/09/xmldsig#enveloped-signature'
+};
+
+const SIGNED_PROPERTIES_TYPE = 'http://uri.etsi.org/01903#SignedProperties';
+
+const SIGNATURE_POLICY = {
+  identifier: 'https://facturaelectronica.dian.gov.co/politicadefirma/v2/politicadefirmav2.pdf',
+  description: 'Política de firma para facturas electrónicas de la República de Colombia',
+  digest: 'dMoMvtcG5aIzgYo0tIsSQeVJBDnUnfSOfBpxXrmor0Y='
+};
+
+const certificateCache = new Map();
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('base64');
+
+/**
+ * Error de firma con código para la respuesta HTTP
+ */
+class SignatureError extends Error {
+  constructor(message, code = 'SIGNATURE_ERROR') {
+    super(message);
+    this.name = 'SignatureError';
+    this.code = code;
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Nombre distinguido en formato RFC 4514 (del atributo más específico al más general)
+ */
+const distinguishedName = (attributes) => attributes
+  .map((attribute) => `${attribute.shortName || attribute.name || attribute.type}=${attribute.value}`)
+  .reverse()
+  .join(',');
+
+/**
+ * Cargar un certificado PKCS#12 (.p12/.pfx) con su llave privada
+ *
+ * @param {Object} options
+ * @param {string} options.path - Ruta al archivo .p12
+ * @param {string} options.password - Contraseña del archivo
+ */
+const loadCertificate = ({ path, password }) => {
+  if (!path) {
+    throw new SignatureError('Digital certificate path is not configured', 'CERTIFICATE_NOT_CONFIGURED');
+  }
+
+  const cacheKey = `${path}:${password}`;
+  if (certificateCache.has(cacheKey)) {
+    return certificateCache.get(cacheKey);
+  }
+
+  if (!fs.existsSync(path)) {
+    throw new SignatureError(`Digital certificate not found at ${path}`, 'CERTIFICATE_NOT_FOUND');
+  }
+
+  let p12;
+  try {
+    const asn1 = forge.asn1.fromDer(fs.readFileSync(path).toString('binary'));
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1, password || '');
+  } catch (error) {
+    throw new SignatureError(`Unable to open digital certificate: ${error.message}`, 'CERTIFICATE_INVALID');
+  }
+
+  const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag];
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag];
+
+  if (!keyBags || !keyBags.length || !certBags || !certBags.length) {
+    throw new SignatureError('Digital certificate must contain a private key and a certificate', 'CERTIFICATE_INVALID');
+  }
+
+  const privateKey = keyBags[0].key;
+  const publicModulus = forge.pki.setRsaPublicKey(privateKey.n, privateKey.e);
+  // The signing certificate is the one matching the private key, not an intermediate CA
+  const certBag = certBags.find((bag) => bag.cert.publicKey.n.equals(publicModulus.n)) || certBags[0];
+  const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certBag.cert)).getBytes();
+  const derBuffer = Buffer.from(der, 'binary');
+
+  const certificate = {
+    privateKeyPem: forge.pki.privateKeyToPem(privateKey),
+    certificateBase64: derBuffer.toString('base64'),
+    digest: sha256(derBuffer),
+    issuerName: distinguishedName(certBag.cert.issuer.attributes),
+    subjectName: distinguishedName(certBag.cert.subject.attributes),
+    serialNumber: BigInt(`0x${certBag.cert.serialNumber}`).toString(),
+    validFrom: certBag.cert.validity.notBefore,
+    validTo: certBag.cert.validity.notAfter
+  };
+
+  certificateCache.set(cacheKey, certificate);
+  return certificate;
+};
+
+/**
+ * Certificado configurado para la empresa (DIAN_CERT_PATH / DIAN_CERT_PASSWORD)
+ */
+const getConfiguredCertificate = () => loadCertificate({
+  path: process.env.DIAN_CERT_PATH || process.env.DIAN_CERTIFICATE_PATH,
+  password: process.env.DIAN_CERT_PASSWORD
+});
+
+const digestMethod = () => el('ds:DigestMethod', { Algorithm: ALGORITHMS.digest });
+
+const buildSignature = (id, certificate, signingTime) => {
+  const issued = formatDateTime(signingTime);
+
+  return el('ds:Signature', { Id: id },
+    el('ds:SignedInfo', {},
+      el('ds:CanonicalizationMethod', { Algorithm: ALGORITHMS.canonicalization }),
+      el('ds:SignatureMethod', { Algorithm: ALGORITHMS.signature }),
+      el('ds:Reference', { Id: `${id}-ref0`, URI: '' },
+        el('ds:Transforms', {},
+          el('ds:Transform', { Algorithm: ALGORITHMS.envelopedSignature })),
+        digestMethod(),
+        el('ds:DigestValue', {})),
+      el('ds:Reference', { URI: `#${id}-keyinfo` },
+        digestMethod(),
+        el('ds:DigestValue', {})),
+      el('ds:Reference', { Type: SIGNED_PROPERTIES_TYPE, URI: `#${id}-signedprops` },
+        digestMethod(),
+        el('ds:DigestValue', {}))),
+    el('ds:SignatureValue', { Id: `${id}-sigvalue` }),
+    el('ds:KeyInfo', { Id: `${id}-keyinfo` },
+      el('ds:X509Data', {},
+        el('ds:X509Certificate', {}, certificate.certificateBase64))),
+    el('ds:Object', {},
+      el('xades:QualifyingProperties', { Target: `#${id}` },
+        el('xades:SignedProperties', { Id: `${id}-signedprops` },
+          el('xades:SignedSignatureProperties', {},
+            el('xades:SigningTime', {}, `${issued.date}T${issued.time}`),
+            el('xades:SigningCertificate', {},
+              el('xades:Cert', {},
+                el('xades:CertDigest', {},
+                  digestMethod(),
+                  el('ds:DigestValue', {}, certificate.digest)),
+                el('xades:IssuerSerial', {},
+                  el('ds:X509IssuerName', {}, certificate.issuerName),
+                  el('ds:X509SerialNumber', {}, certificate.serialNumber)))),
+            el('xades:SignaturePolicyIdentifier', {},
+              el('xades:SignaturePolicyId', {},
+                el('xades:SigPolicyId', {},
+                  el('xades:Identifier', {}, SIGNATURE_POLICY.identifier),
+                  el('xades:Description', {}, SIGNATURE_POLICY.description)),
+                el('xades:SigPolicyHash', {},
+                  digestMethod(),
+                  el('ds:DigestValue', {}, SIGNATURE_POLICY.digest)))),
+            el('xades:SignerRole', {},
+              el('xades:ClaimedRoles', {},
+                el('xades:ClaimedRole', {}, 'supplier'))))))));
+};
+
+const findById = (root, id) => findNode(root, (node) => node.attrs.Id === id);
+
+/**
+ * Forma canónica de un elemento referenciado por Id, con los espacios de
+ * nombres heredados de sus ancestros
+ */
+const canonicalById = (root, id) => {
+  const found = findById(root, id);
+  if (!found) {
+    return null;
+  }
+  return canonicalize(found.node, namespacesInScope(found.ancestors));
+};
+
+/**
+ * Copia del documento sin la firma (transformación enveloped-signature)
+ */
+const withoutSignature = (node) => ({
+  ...node,
+  children: node.children
+    .filter((child) => typeof child === 'string' || child.name !== 'ds:Signature')
+    .map((child) => (typeof child === 'string' ? child : withoutSignature(child)))
+});
+
+const setText = (node, text) => {
+  node.children = [text];
+};
+
+/**
+ * Firmar un documento UBL con XAdES-EPES
+ *
+ * La firma se inserta en la última ext:UBLExtension vacía del documento.
+ *
+ * @param {string} xml - Documento UBL sin firmar
+ * @param {Object} certificate - Resultado de loadCertificate()
+ * @param {Object} [options]
+ * @param {Date} [options.signingTime] - Momento de la firma
+ * @returns {Promise<string>} Documento firmado
+ */
+const signXml = async (xml, certificate, { signingTime = new Date() } = {}) => {
+  const root = await parse(xml);
+
+  if (findByName(root, 'ds:Signature')) {
+    throw new SignatureError('Document is already signed', 'ALREADY_SIGNED');
+  }
+
+  const placeholder = findAllByName(root, 'ext:ExtensionContent')
+    .filter((node) => node.children.every((child) => typeof child === 'string' && !child.trim()))
+    .pop();
+
+  if (!placeholder) {
+    throw new SignatureError('Document has no UBL extension reserved for the signature', 'NO_SIGNATURE_EXTENSION');
+  }
+
+  // Digest of the whole document before the signature is inserted (enveloped)
+  const documentDigest = sha256(canonicalize(root));
+
+  const id = `xmldsig-${crypto.randomUUID()}`;
+  const signature = buildSignature(id, certificate, signingTime);
+  placeholder.children = [signature];
+
+  const [documentRef, keyInfoRef, signedPropsRef] = findAllByName(signature, 'ds:Reference');
+  setText(findByName(documentRef, 'ds:DigestValue'), documentDigest);
+  setText(findByName(keyInfoRef, 'ds:DigestValue'), sha256(canonicalById(root, `${id}-keyinfo`)));
+  setText(findByName(signedPropsRef, 'ds:DigestValue'), sha256(canonicalById(root, `${id}-signedprops`)));
+
+  const signedInfo = findNode(root, (node) => node.name === 'ds:SignedInfo');
+  const signatureValue = crypto.sign(
+    'sha256',
+    Buffer.from(canonicalize(signedInfo.node, namespacesInScope(signedInfo.ancestors))),
+    certificate.privateKeyPem
+  );
+  setText(findByName(signature, 'ds:SignatureValue'), signatureValue.toString('base64'));
+
+  return serialize(root);
+};
+
+/**
+ * Firmar con el certificado configurado para la empresa
+ */
+const signDocument = (xml, options) => signXml(xml, getConfiguredCertificate(), options);
+
+/**
+ * Validar la firma XAdES de un documento
+ *
+ * Verifica los digest de todas las referencias, el valor de la firma y que el
+ * certificado incluido coincida con el declarado en SigningCertificate.
+ *
+ * @returns {Promise<Object>} { valid, errors, signingTime, certificate }
+ */
+const verifyXml = async (xml) => {
+  const root = await parse(xml);
+  const errors = [];
+
+  const signatureFound = findNode(root, (node) => node.name === 'ds:Signature');
+  if (!signatureFound) {
+    return { valid: false, errors: ['Document is not signed'] };
+  }
+  const signature = signatureFound.node;
+
+  findAllByName(signature, 'ds:Reference').forEach((reference) => {
+    const uri = reference.attrs.URI;
+    const expected = textOf(findByName(reference, 'ds:DigestValue'));
+    let canonical;
+
+    if (uri === '') {
+      canonical = canonicalize(withoutSignature(root));
+    } else {
+      canonical = canonicalById(root, uri.replace(/^#/, ''));
+    }
+
+    if (canonical === null) {
+      errors.push(`Referenced element ${uri} not found`);
+    } else if (sha256(canonical) !== expected) {
+      errors.push(`Digest mismatch for reference "${uri}"`);
+    }
+  });
+
+  const certificateBase64 = textOf(findByName(signature, 'ds:X509Certificate'));
+  let x509 = null;
+  try {
+    x509 = new crypto.X509Certificate(Buffer.from(certificateBase64 || '', 'base64'));
+  } catch (error) {
+    errors.push('Embedded X509 certificate is invalid');
+  }
+
+  if (x509) {
+    const signedInfo = findNode(signature, (node) => node.name === 'ds:SignedInfo');
+    const signatureValue = Buffer.from(textOf(findByName(signature, 'ds:SignatureValue')) || '', 'base64');
+    const verified = crypto.verify(
+      'sha256',
+      Buffer.from(canonicalize(signedInfo.node, namespacesInScope([...signatureFound.ancestors, ...signedInfo.ancestors]))),
+      x509.publicKey,
+      signatureValue
+    );
+    if (!verified) {
+      errors.push('Signature value does not match SignedInfo');
+    }
+
+    const certDigest = findByName(signature, 'xades:CertDigest');
+    if (!certDigest || textOf(findByName(certDigest, 'ds:DigestValue')) !== sha256(x509.raw)) {
+      errors.push('SigningCertificate digest does not match the embedded certificate');
+    }
+  }
+
+  const policy = textOf(findByName(signature, 'xades:Identifier'));
+  if (policy !== SIGNATURE_POLICY.identifier) {
+    errors.push('Signature policy is not the DIAN policy');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    signingTime: textOf(findByName(signature, 'xades:SigningTime')),
+    certificate: x509 ? {
+      subject: x509.subject,
+      issuer: x509.issuer,
+      serialNumber: x509.serialNumber,
+      validFrom: x509.validFrom,
+      validTo: x509.validTo
+    } : null
+  };
+};
+
+module.exports = {
+  SignatureError,
+  loadCertificate,
+  getConfiguredCertificate,
+  signXml,
+  signDocument,
+  verifyXml
+};
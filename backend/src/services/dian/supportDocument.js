@@ -0,0 +1,267 @@
+/**
+ * Documento soporte en adquisiciones efectuadas a no obligados a facturar
+ *
+ * Las compras recibidas de proveedores marcados con requiresSupportDocument
+ * generan un documento soporte numerado con su propia resolución
+ * (DianConfig.documentType = 'support'), firmado con el mismo certificado de
+ * las facturas y transmitido a la DIAN.
+ */
+
+const { getDianSettings } = require('./config');
+const { calculateInvoiceTotals, buildSupportDocumentXml } = require('./ubl');
+const { computeSupportDocumentCuds, buildSupportDocumentQrData } = require('./cufe');
+const { signDocument, verifyXml } = require('./signer');
+const { submitToDian } = require('./transmission');
+const { allocateInvoiceNumber, assertResolutionInForce, warnIfResolutionRunningOut } = require('./numbering');
+const { summarizeWithholdings } = require('../withholdings');
+const logger = require('../../utils/logger');
+
+// Prefix of the DIAN file name for support documents
+const FILE_PREFIX = 'ds';
+
+/**
+ * Error de validación del documento soporte
+ */
+class SupportDocumentError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'SupportDocumentError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Items del documento soporte: cantidades y costos efectivamente recibidos
+ */
+const supportDocumentItems = (purchase) => purchase.items
+  .filter((item) => (item.receivedQuantity ?? item.quantity) > 0)
+  .map((item) => ({
+    productId: item.productId,
+    product: item.product,
+    quantity: item.receivedQuantity ?? item.quantity,
+    unitPrice: Number(item.receivedCost ?? item.unitCost)
+  }));
+
+/**
+ * Verificar que una compra puede generar documento soporte
+ */
+const assertSupportDocumentAllowed = (purchase) => {
+  if (!purchase.supplier.requiresSupportDocument) {
+    throw new SupportDocumentError(
+      `Supplier ${purchase.supplier.name} is not flagged as a non-invoicing supplier`,
+      'SUPPLIER_INVOICES'
+    );
+  }
+  if (!purchase.supplier.taxId) {
+    throw new SupportDocumentError(
+      `Supplier ${purchase.supplier.name} has no identification document`,
+      'SUPPLIER_WITHOUT_ID'
+    );
+  }
+  if (purchase.status !== 'received') {
+    throw new SupportDocumentError('Only fully received purchases can generate a support document', 'PURCHASE_NOT_RECEIVED');
+  }
+  if (purchase.supportDocument) {
+    throw new SupportDocumentError(
+      `Purchase ${purchase.orderNumber} already has support document ${purchase.supportDocument.documentNumber}`,
+      'SUPPORT_DOCUMENT_EXISTS',
+      409
+    );
+  }
+};
+
+/**
+ * Generar (numerar y construir) el documento soporte de una compra recibida
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} purchaseId - Compra recibida
+ * @param {string} userId - Usuario que genera el documento
+ * @returns {Promise<Object>} Registro DianSupportDocument en estado generated
+ * @throws {SupportDocumentError|NumberingError}
+ */
+const generateSupportDocument = async (prisma, purchaseId, userId) => {
+  const purchase = await prisma.purchase.findUnique({
+    where: { id: purchaseId },
+    include: {
+      supplier: true,
+      supportDocument: true,
+      items: { include: { product: true } },
+      withholdings: true
+    }
+  });
+
+  if (!purchase) {
+    throw new SupportDocumentError('Purchase not found', 'PURCHASE_NOT_FOUND', 404);
+  }
+  assertSupportDocumentAllowed(purchase);
+
+  // Non-invoicing sellers are not VAT responsible: the document carries no IVA
+  const totals = calculateInvoiceTotals(supportDocumentItems(purchase), { withTaxes: false });
+  const issueDate = new Date();
+
+  const document = await prisma.$transaction(async (tx) => {
+    const { config, invoiceNumber: documentNumber } = await allocateInvoiceNumber(tx, {
+      documentType: 'support',
+      now: issueDate
+    });
+    assertResolutionInForce(config, issueDate);
+
+    const data = {
+      documentNumber,
+      issueDate,
+      dueDate: purchase.dueDate,
+      config,
+      settings: getDianSettings(config),
+      supplier: purchase.supplier,
+      paymentMethod: purchase.paymentMethod,
+      totals,
+      withholdings: summarizeWithholdings(purchase.withholdings),
+      notes: `Compra ${purchase.orderNumber}`
+    };
+    const cuds = computeSupportDocumentCuds(data);
+    const qrData = buildSupportDocumentQrData(data, cuds);
+
+    return tx.dianSupportDocument.create({
+      data: {
+        documentNumber,
+        dianConfigId: config.id,
+        purchaseId: purchase.id,
+        supplierId: purchase.supplierId,
+        subtotal: totals.lineExtension,
+        tax: totals.taxTotal,
+        total: totals.payable,
+        status: 'generated',
+        cuds,
+        qrData,
+        xml: buildSupportDocumentXml({ ...data, cuds, qrData }),
+        userId
+      },
+      include: { dianConfig: true }
+    });
+  });
+
+  logger.dian('GENERATE_SUPPORT_DOCUMENT', 'generated', {
+    documentNumber: document.documentNumber,
+    purchase: purchase.orderNumber,
+    supplier: purchase.supplier.taxId
+  });
+
+  try {
+    await warnIfResolutionRunningOut(prisma, document.dianConfig);
+  } catch (error) {
+    logger.error('Error checking support document resolution:', error);
+  }
+
+  return document;
+};
+
+/**
+ * Firmar el documento soporte con el certificado de la empresa
+ */
+const signSupportDocument = async (prisma, document) => {
+  const signedXml = await signDocument(document.xml);
+  const updated = await prisma.dianSupportDocument.update({
+    where: { id: document.id },
+    data: {
+      xml: signedXml,
+      status: 'signed',
+      signedAt: new Date()
+    }
+  });
+
+  logger.dian('SIGN_SUPPORT_DOCUMENT', 'signed', { documentNumber: document.documentNumber });
+  return updated;
+};
+
+/**
+ * Guardar el resultado de la validación DIAN en el documento soporte
+ */
+const recordSupportDocumentResponse = (prisma, document, response, data = {}) => prisma.dianSupportDocument.update({
+  where: { id: document.id },
+  data: {
+    ...data,
+    status: response.isValid ? 'accepted' : 'rejected',
+    applicationResponse: response.applicationResponse || document.applicationResponse
+  }
+});
+
+/**
+ * Firmar (si hace falta) y transmitir un documento soporte
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} document - Registro DianSupportDocument generado o firmado
+ * @returns {Promise<{ document: Object, response: Object|null, zipKey: string|null }>}
+ * @throws {SupportDocumentError|SignatureError|DianTransportError}
+ */
+const transmitSupportDocument = async (prisma, document) => {
+  if (!['generated', 'signed'].includes(document.status)) {
+    throw new SupportDocumentError('Support document must be generated before sending to DIAN', 'INVALID_STATUS');
+  }
+
+  try {
+    const signed = document.status === 'generated' ? await signSupportDocument(prisma, document) : document;
+
+    const validation = await verifyXml(signed.xml);
+    if (!validation.valid) {
+      throw new SupportDocumentError(
+        `Support document signature is not valid: ${validation.errors.join('; ')}`,
+        'INVALID_SIGNATURE'
+      );
+    }
+
+    const config = await prisma.dianConfig.findUnique({ where: { id: signed.dianConfigId } });
+    const submission = await submitToDian({
+      config, documentNumber: signed.documentNumber, xml: signed.xml, filePrefix: FILE_PREFIX
+    });
+
+    if (submission.testSet) {
+      if (!submission.zipKey) {
+        logger.dian('SEND_TEST_SET', 'error', { documentNumber: signed.documentNumber, errors: submission.errors });
+        throw new SupportDocumentError('DIAN did not accept the test set submission', 'TEST_SET_NOT_ACCEPTED', 502);
+      }
+
+      const updated = await prisma.dianSupportDocument.update({
+        where: { id: signed.id },
+        data: {
+          status: 'sent',
+          sentAt: new Date(),
+          trackId: submission.zipKey,
+          lastError: null
+        }
+      });
+
+      logger.dian('SEND_TEST_SET', 'sent', { documentNumber: signed.documentNumber, zipKey: submission.zipKey });
+      return { document: updated, response: null, zipKey: submission.zipKey };
+    }
+
+    const { response } = submission;
+    const updated = await recordSupportDocumentResponse(prisma, signed, response, {
+      sentAt: new Date(),
+      trackId: response.documentKey || signed.cuds,
+      lastError: null
+    });
+
+    logger.dian('SEND_SUPPORT_DOCUMENT', updated.status, {
+      documentNumber: signed.documentNumber,
+      statusCode: response.statusCode,
+      errors: response.errors
+    });
+    return { document: updated, response, zipKey: null };
+  } catch (error) {
+    // Keep the failure on the document so it can be retried from /api/dian/support-documents
+    await prisma.dianSupportDocument.update({
+      where: { id: document.id },
+      data: { lastError: error.message }
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  SupportDocumentError,
+  generateSupportDocument,
+  signSupportDocument,
+  recordSupportDocumentResponse,
+  transmitSupportDocument
+};
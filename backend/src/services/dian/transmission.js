@@ -0,0 +1,186 @@
+/**
+ * Firma y transmisión de facturas a la DIAN
+ *
+ * Compartido por las rutas /api/dian y por la cola de transmisión diferida
+ * (modo de contingencia).
+ */
+
+const { getDianSettings, splitNit } = require('./config');
+const { signDocument } = require('./signer');
+const { getTransport, buildDocumentZip, DianTransportError } = require('./transport');
+const logger = require('../../utils/logger');
+
+/**
+ * Firmar el documento UBL almacenado de una factura con el certificado de la empresa
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} invoice - Registro DianInvoice
+ * @param {Object} [data] - Campos adicionales a guardar (ej: estado de la cola)
+ */
+const signInvoice = async (prisma, invoice, data = {}) => {
+  const signedXml = await signDocument(invoice.xml);
+  const updated = await prisma.dianInvoice.update({
+    where: { id: invoice.id },
+    data: {
+      xml: signedXml,
+      status: 'signed',
+      signedAt: new Date(),
+      ...data
+    }
+  });
+
+  logger.dian('SIGN_INVOICE', 'signed', { invoiceNumber: invoice.invoiceNumber });
+  return updated;
+};
+
+/**
+ * Empaquetar un documento firmado y enviarlo por el transporte configurado.
+ * Con un set de pruebas (habilitación) el envío es asíncrono y solo retorna un ZipKey.
+ */
+const submitToDian = async ({ config, documentNumber, xml, filePrefix }) => {
+  const settings = getDianSettings();
+  const transport = getTransport(settings);
+  const { fileName, zip } = buildDocumentZip({
+    issuerNit: splitNit(config.taxId).number,
+    sequence: documentNumber.replace(/\D/g, '') || 0,
+    xml,
+    prefix: filePrefix
+  });
+
+  if (settings.testSetId) {
+    const { zipKey, errors } = await transport.sendTestSetAsync(fileName, zip, settings.testSetId);
+    return { testSet: true, zipKey, errors };
+  }
+
+  return { testSet: false, response: await transport.sendBillSync(fileName, zip) };
+};
+
+/**
+ * Empaquetar un evento RADIAN firmado y registrarlo en la DIAN. Los eventos se
+ * registran siempre con SendEventUpdateStatus, también en habilitación.
+ */
+const submitEvent = async ({ config, eventNumber, xml }) => {
+  const transport = getTransport(getDianSettings());
+  const { zip } = buildDocumentZip({
+    issuerNit: splitNit(config.taxId).number,
+    sequence: eventNumber.replace(/\D/g, '') || 0,
+    xml,
+    prefix: 'ar'
+  });
+  return transport.sendEventUpdateStatus(zip);
+};
+
+/**
+ * Consultar el estado de validación de un documento enviado. Los envíos
+ * síncronos se rastrean por CUFE/CUDE; los del set de pruebas por ZipKey.
+ */
+const queryDianStatus = (trackId, documentKey) => {
+  const transport = getTransport(getDianSettings());
+  return trackId === documentKey ? transport.getStatus(trackId) : transport.getStatusZip(trackId);
+};
+
+/**
+ * Campos relevantes de una respuesta DIAN, como se guardan en Sale.dianResponse
+ */
+const summarizeResponse = (response) => ({
+  isValid: response.isValid,
+  statusCode: response.statusCode,
+  statusDescription: response.statusDescription,
+  statusMessage: response.statusMessage,
+  errors: response.errors,
+  documentKey: response.documentKey,
+  checkedAt: new Date()
+});
+
+/**
+ * Guardar el resultado de la validación DIAN en la factura y su venta
+ */
+const recordDianResponse = async (prisma, invoice, response, data = {}) => {
+  const status = response.isValid ? 'accepted' : 'rejected';
+
+  const updated = await prisma.dianInvoice.update({
+    where: { id: invoice.id },
+    data: {
+      ...data,
+      status,
+      applicationResponse: response.applicationResponse || invoice.applicationResponse
+    }
+  });
+
+  await prisma.sale.update({
+    where: { id: invoice.saleId },
+    data: {
+      dianStatus: status,
+      dianResponse: summarizeResponse(response)
+    }
+  });
+
+  return updated;
+};
+
+/**
+ * Transmitir una factura firmada y registrar el resultado
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} invoice - DianInvoice con XML firmado y verificado
+ * @param {Object} config - DianConfig del emisor
+ * @returns {Promise<{ invoice: Object, response: Object|null, zipKey: string|null }>}
+ * @throws {DianTransportError} Si la DIAN no está disponible o no recibe el set de pruebas
+ */
+const transmitInvoice = async (prisma, invoice, config) => {
+  const submission = await submitToDian({ config, documentNumber: invoice.invoiceNumber, xml: invoice.xml });
+  // A successful submission leaves the deferred transmission queue
+  const dequeued = { nextAttemptAt: null, lastError: null };
+
+  // Habilitación: the test set is processed asynchronously and queried later by ZipKey
+  if (submission.testSet) {
+    if (!submission.zipKey) {
+      logger.dian('SEND_TEST_SET', 'error', { invoiceNumber: invoice.invoiceNumber, errors: submission.errors });
+      throw new DianTransportError('DIAN did not accept the test set submission', {
+        code: 'TEST_SET_NOT_ACCEPTED',
+        fault: submission.errors
+      });
+    }
+
+    const updated = await prisma.dianInvoice.update({
+      where: { id: invoice.id },
+      data: {
+        ...dequeued,
+        status: 'sent',
+        sentAt: new Date(),
+        trackId: submission.zipKey
+      }
+    });
+    await prisma.sale.update({
+      where: { id: invoice.saleId },
+      data: { dianStatus: 'sent' }
+    });
+
+    logger.dian('SEND_TEST_SET', 'sent', { invoiceNumber: invoice.invoiceNumber, zipKey: submission.zipKey });
+    return { invoice: updated, response: null, zipKey: submission.zipKey };
+  }
+
+  const { response } = submission;
+  const updated = await recordDianResponse(prisma, invoice, response, {
+    ...dequeued,
+    sentAt: new Date(),
+    trackId: response.documentKey || invoice.cufe
+  });
+
+  logger.dian('SEND_BILL', updated.status, {
+    invoiceNumber: invoice.invoiceNumber,
+    statusCode: response.statusCode,
+    errors: response.errors
+  });
+  return { invoice: updated, response, zipKey: null };
+};
+
+module.exports = {
+  signInvoice,
+  submitToDian,
+  submitEvent,
+  queryDianStatus,
+  summarizeResponse,
+  recordDianResponse,
+  transmitInvoice
+};
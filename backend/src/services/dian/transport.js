@@ -0,0 +1,348 @@
+/**
+ * Transporte de documentos electrónicos hacia los servicios web de la DIAN
+ *
+ * El transporte por defecto ('soap') consume WcfDianCustomerServices con
+ * WS-Security. Apuntando DIAN_WS_URL al servidor local de pruebas
+ * (npm run dian:mock) se puede ejercitar todo el flujo sin conexión.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+const {
+  el, canonicalize, parse, findNode, findByName, textOf, namespacesInScope
+} = require('./xml');
+const { getConfiguredCertificate } = require('./signer');
+const { RESPONSE_CODES, parseApplicationResponse } = require('./applicationResponse');
+
+const ENDPOINTS = {
+  1: 'https://vpfe.dian.gov.co/WcfDianCustomerServices.svc',
+  2: 'https://vpfe-hab.dian.gov.co/WcfDianCustomerServices.svc'
+};
+
+const ACTION_BASE = 'http://wcf.dian.colombia/IWcfDianCustomerServices/';
+
+const NS = {
+  soap: 'http://www.w3.org/2003/05/soap-envelope',
+  wcf: 'http://wcf.dian.colombia',
+  wsa: 'http://www.w3.org/2005/08/addressing',
+  wsse: 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd',
+  wsu: 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-utility-1.0.xsd',
+  ds: 'http://www.w3.org/2000/09/xmldsig#'
+};
+
+const X509_TOKEN_TYPE = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-x509-token-profile-1.0#X509v3';
+const BASE64_ENCODING = 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-soap-message-security-1.0#Base64Binary';
+const EXCLUSIVE_C14N = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+
+/**
+ * Error de comunicación con el servicio web de la DIAN
+ */
+class DianTransportError extends Error {
+  constructor(message, { code = 'DIAN_UNAVAILABLE', fault = null } = {}) {
+    super(message);
+    this.name = 'DianTransportError';
+    this.code = code;
+    this.fault = fault;
+    this.statusCode = 502;
+  }
+}
+
+const localName = (name) => name.split(':').pop();
+
+const findLocal = (node, name) => {
+  const found = findNode(node, (candidate) => localName(candidate.name) === name);
+  return found ? found.node : null;
+};
+
+const findAllLocal = (node, name, results = []) => {
+  if (typeof node === 'string') {
+    return results;
+  }
+  if (localName(node.name) === name) {
+    results.push(node);
+  }
+  node.children.forEach((child) => findAllLocal(child, name, results));
+  return results;
+};
+
+/**
+ * Nombres de archivo según el anexo técnico:
+ * z{NIT 10}{código PT 3}{año 2}{consecutivo hexadecimal 8}
+ */
+const documentFileNames = ({ issuerNit, sequence, prefix = 'fv', date = new Date() }) => {
+  const base = [
+    String(issuerNit).padStart(10, '0'),
+    '000',
+    String(date.getFullYear()).slice(-2),
+    Number(sequence).toString(16).padStart(8, '0').slice(-8)
+  ].join('');
+  return { xmlName: `${prefix}${base}.xml`, zipName: `z${base}.zip` };
+};
+
+/**
+ * Empaquetar un documento firmado en el ZIP que exige la DIAN
+ */
+const buildDocumentZip = ({ issuerNit, sequence, xml, prefix }) => {
+  const { xmlName, zipName } = documentFileNames({ issuerNit, sequence, prefix });
+  const zip = new AdmZip();
+  zip.addFile(xmlName, Buffer.from(xml, 'utf8'));
+  return { fileName: zipName, xmlName, zip: zip.toBuffer() };
+};
+
+/**
+ * Archivos XML contenidos en un ZIP (base64 o Buffer)
+ */
+const readZipEntries = (content) => {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'base64');
+  return new AdmZip(buffer).getEntries()
+    .filter((entry) => !entry.isDirectory)
+    .map((entry) => ({ name: entry.entryName, content: entry.getData().toString('utf8') }));
+};
+
+/**
+ * Encabezado WS-Security: Timestamp, certificado y firma del destino (wsa:To)
+ */
+const signEnvelope = (envelope, certificate) => {
+  const header = findByName(envelope, 'soap:Header');
+  const security = findByName(header, 'wsse:Security');
+  const toFound = findNode(envelope, (node) => node.name === 'wsa:To');
+  const toId = toFound.node.attrs['wsu:Id'];
+  const tokenId = `X509-${crypto.randomUUID()}`;
+
+  const digest = crypto.createHash('sha256')
+    .update(canonicalize(toFound.node, namespacesInScope(toFound.ancestors), { exclusive: true }))
+    .digest('base64');
+
+  const signedInfo = el('ds:SignedInfo', {},
+    el('ds:CanonicalizationMethod', { Algorithm: EXCLUSIVE_C14N }),
+    el('ds:SignatureMethod', { Algorithm: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256' }),
+    el('ds:Reference', { URI: `#${toId}` },
+      el('ds:Transforms', {}, el('ds:Transform', { Algorithm: EXCLUSIVE_C14N })),
+      el('ds:DigestMethod', { Algorithm: 'http://www.w3.org/2001/04/xmlenc#sha256' }),
+      el('ds:DigestValue', {}, digest)));
+
+  const signature = el('ds:Signature', { 'xmlns:ds': NS.ds, Id: `SIG-${crypto.randomUUID()}` },
+    signedInfo,
+    el('ds:SignatureValue', {}),
+    el('ds:KeyInfo', {},
+      el('wsse:SecurityTokenReference', {},
+        el('wsse:Reference', { URI: `#${tokenId}`, ValueType: X509_TOKEN_TYPE }))));
+
+  security.children.push(
+    el('wsse:BinarySecurityToken', {
+      EncodingType: BASE64_ENCODING,
+      ValueType: X509_TOKEN_TYPE,
+      'wsu:Id': tokenId
+    }, certificate.certificateBase64),
+    signature
+  );
+
+  const signedInfoFound = findNode(envelope, (node) => node === signedInfo);
+  const value = crypto.sign(
+    'sha256',
+    Buffer.from(canonicalize(signedInfo, namespacesInScope(signedInfoFound.ancestors), { exclusive: true })),
+    certificate.privateKeyPem
+  );
+  findByName(signature, 'ds:SignatureValue').children = [value.toString('base64')];
+};
+
+/**
+ * Construir el sobre SOAP 1.2 de una operación
+ */
+const buildEnvelope = ({ url, operation, params, certificate }) => {
+  const created = new Date();
+  const expires = new Date(created.getTime() + 60 * 1000);
+
+  const envelope = el('soap:Envelope', { 'xmlns:soap': NS.soap, 'xmlns:wcf': NS.wcf },
+    el('soap:Header', { 'xmlns:wsa': NS.wsa },
+      el('wsse:Security', { 'xmlns:wsse': NS.wsse, 'xmlns:wsu': NS.wsu },
+        el('wsu:Timestamp', { 'wsu:Id': `TS-${crypto.randomUUID()}` },
+          el('wsu:Created', {}, created.toISOString()),
+          el('wsu:Expires', {}, expires.toISOString()))),
+      el('wsa:Action', {}, `${ACTION_BASE}${operation}`),
+      el('wsa:To', { 'xmlns:wsu': NS.wsu, 'wsu:Id': `id-${crypto.randomUUID()}` }, url)),
+    el('soap:Body', {},
+      el(`wcf:${operation}`, {},
+        Object.entries(params).map(([name, value]) => el(`wcf:${name}`, {}, value)))));
+
+  if (certificate) {
+    signEnvelope(envelope, certificate);
+  }
+
+  return canonicalize(envelope);
+};
+
+/**
+ * Normalizar un DianResponse (SendBillSync, GetStatus)
+ */
+const parseDianResponse = (result) => {
+  const base64 = textOf(findLocal(result, 'XmlBase64Bytes'));
+  const errorMessage = findLocal(result, 'ErrorMessage');
+  return {
+    isValid: textOf(findLocal(result, 'IsValid')) === 'true',
+    statusCode: textOf(findLocal(result, 'StatusCode')),
+    statusDescription: textOf(findLocal(result, 'StatusDescription')),
+    statusMessage: textOf(findLocal(result, 'StatusMessage')),
+    errors: errorMessage ? findAllLocal(errorMessage, 'string').map(textOf) : [],
+    documentKey: textOf(findLocal(result, 'XmlDocumentKey')),
+    fileName: textOf(findLocal(result, 'XmlFileName')),
+    applicationResponse: base64 ? Buffer.from(base64, 'base64').toString('utf8') : null
+  };
+};
+
+/**
+ * Transporte SOAP hacia WcfDianCustomerServices
+ *
+ * @param {Object} options
+ * @param {string} options.url - URL del servicio
+ * @param {Object} [options.certificate] - Certificado para WS-Security
+ * @param {number} [options.timeout] - Tiempo máximo de espera en ms
+ */
+const createSoapTransport = ({ url, certificate, timeout = 30000 }) => {
+  const call = async (operation, params) => {
+    const envelope = buildEnvelope({ url, operation, params, certificate });
+
+    let response;
+    try {
+      response = await axios.post(url, envelope, {
+        timeout,
+        headers: {
+          'Content-Type': `application/soap+xml;charset=UTF-8;action="${ACTION_BASE}${operation}"`
+        },
+        responseType: 'text',
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw new DianTransportError(`DIAN web service unreachable: ${error.message}`);
+    }
+
+    let root;
+    try {
+      root = await parse(response.data);
+    } catch (error) {
+      throw new DianTransportError(`Invalid response from DIAN web service (HTTP ${response.status})`);
+    }
+
+    const fault = findLocal(root, 'Fault');
+    if (fault) {
+      const reason = textOf(findLocal(fault, 'Text')) || textOf(findLocal(fault, 'faultstring'));
+      throw new DianTransportError(`DIAN web service fault: ${reason}`, { code: 'DIAN_FAULT', fault: reason });
+    }
+
+    if (response.status >= 400) {
+      throw new DianTransportError(`DIAN web service responded with HTTP ${response.status}`);
+    }
+
+    return findLocal(root, `${operation}Result`);
+  };
+
+  return {
+    name: 'soap',
+
+    /**
+     * Envío síncrono de un documento (producción)
+     */
+    sendBillSync: async (fileName, zip) => parseDianResponse(
+      await call('SendBillSync', { fileName, contentFile: zip.toString('base64') })
+    ),
+
+    /**
+     * Envío asíncrono de un documento del set de pruebas (habilitación)
+     */
+    sendTestSetAsync: async (fileName, zip, testSetId) => {
+      const result = await call('SendTestSetAsync', {
+        fileName,
+        contentFile: zip.toString('base64'),
+        testSetId
+      });
+      return {
+        zipKey: textOf(findLocal(result, 'ZipKey')),
+        errors: findAllLocal(result, 'ProcessedMessage').map(textOf)
+      };
+    },
+
+    /**
+     * Registro de un evento RADIAN (ApplicationResponse firmado) sobre una factura
+     */
+    sendEventUpdateStatus: async (zip) => parseDianResponse(
+      await call('SendEventUpdateStatus', { contentFile: zip.toString('base64') })
+    ),
+
+    /**
+     * Estado de un documento por su CUFE/CUDE
+     */
+    getStatus: async (trackId) => parseDianResponse(await call('GetStatus', { trackId })),
+
+    /**
+     * Estado de un envío asíncrono; la DIAN responde con un ZIP de ApplicationResponse
+     */
+    getStatusZip: async (trackId) => {
+      const result = await call('GetStatusZip', { trackId });
+      const content = textOf(result);
+      const [entry] = content ? readZipEntries(content) : [];
+      if (!entry) {
+        return {
+          isValid: false,
+          statusCode: null,
+          statusDescription: 'Status not available yet',
+          errors: [],
+          documentKey: null,
+          applicationResponse: null
+        };
+      }
+
+      const [documentResponse = {}] = (await parseApplicationResponse(entry.content)).responses;
+      const accepted = documentResponse.responseCode === RESPONSE_CODES.ACCEPTED;
+      return {
+        isValid: accepted,
+        statusCode: accepted ? '00' : '99',
+        statusDescription: documentResponse.description,
+        statusMessage: documentResponse.description,
+        errors: (documentResponse.lines || []).map((line) => `Regla: ${line.code}, ${line.description}`),
+        documentKey: documentResponse.documentKey,
+        fileName: entry.name,
+        applicationResponse: entry.content
+      };
+    }
+  };
+};
+
+const transports = {
+  soap: (settings) => createSoapTransport({
+    url: settings.wsUrl || ENDPOINTS[settings.environment],
+    certificate: getConfiguredCertificate(),
+    timeout: settings.timeout
+  })
+};
+
+/**
+ * Registrar una implementación de transporte adicional
+ */
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+/**
+ * Transporte configurado (DIAN_TRANSPORT, por defecto 'soap')
+ */
+const getTransport = (settings) => {
+  const name = settings.transport || 'soap';
+  const factory = transports[name];
+  if (!factory) {
+    throw new DianTransportError(`Unknown DIAN transport "${name}"`, { code: 'DIAN_TRANSPORT_UNKNOWN' });
+  }
+  return factory(settings);
+};
+
+module.exports = {
+  DianTransportError,
+  documentFileNames,
+  buildDocumentZip,
+  readZipEntries,
+  createSoapTransport,
+  registerTransport,
+  getTransport,
+  findLocal,
+  findAllLocal
+};
@@ -0,0 +1,611 @@
+/**
+ * Generación de documentos UBL 2.1 para facturación electrónica DIAN
+ * (Anexo Técnico de Factura Electrónica de Venta, versión 1.9)
+ */
+
+const crypto = require('crypto');
+const { el, serialize } = require('./xml');
+const { itemTax, calculateLineTax, summarizeTaxes } = require('../taxes');
+const { DIAN_NIT, splitNit } = require('./config');
+const { resolutionEndDate } = require('./numbering');
+const { round } = require('../../utils/money');
+
+const NAMESPACES = {
+  xmlns: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+  'xmlns:ds': 'http://www.w3.org/2000/09/xmldsig#',
+  'xmlns:ext': 'urn:oasis:names:specification:ubl:schema:xsd:CommonExtensionComponents-2',
+  'xmlns:sts': 'dian:gov:co:facturaelectronica:Structures-2-1',
+  'xmlns:xades': 'http://uri.etsi.org/01903/v1.3.2#',
+  'xmlns:xades141': 'http://uri.etsi.org/01903/v1.4.1#',
+  'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+};
+
+// Elementos propios de cada tipo de documento
+const DOCUMENT_TYPES = {
+  invoice: {
+    root: 'Invoice',
+    line: 'cac:InvoiceLine',
+    quantity: 'cbc:InvoicedQuantity',
+    monetaryTotal: 'cac:LegalMonetaryTotal'
+  },
+  credit: {
+    root: 'CreditNote',
+    line: 'cac:CreditNoteLine',
+    quantity: 'cbc:CreditedQuantity',
+    monetaryTotal: 'cac:LegalMonetaryTotal',
+    customizationId: '20', // Nota crédito que referencia una factura electrónica
+    profileId: 'DIAN 2.1: Nota Crédito de Factura Electrónica de Venta'
+  },
+  debit: {
+    root: 'DebitNote',
+    line: 'cac:DebitNoteLine',
+    quantity: 'cbc:DebitedQuantity',
+    monetaryTotal: 'cac:RequestedMonetaryTotal',
+    customizationId: '30', // Nota débito que referencia una factura electrónica
+    profileId: 'DIAN 2.1: Nota Débito de Factura Electrónica de Venta'
+  },
+  support: {
+    root: 'Invoice',
+    line: 'cac:InvoiceLine',
+    quantity: 'cbc:InvoicedQuantity',
+    monetaryTotal: 'cac:LegalMonetaryTotal',
+    customizationId: '10', // Vendedor residente en Colombia
+    profileId: 'DIAN 2.1: documento soporte en adquisiciones efectuadas a no obligados a facturar.',
+    linePeriod: true
+  }
+};
+
+// Tipos de factura (Anexo Técnico, numeral 13.1.3)
+const INVOICE_TYPE_CODES = {
+  sale: '01',
+  contingency: '04', // Contingencia por inconvenientes de la DIAN o de transmisión
+  support: '05' // Documento soporte en adquisiciones a no obligados a facturar
+};
+
+// Conceptos de corrección (Anexo Técnico, numerales 13.2.4 y 13.2.5)
+const CREDIT_NOTE_CONCEPTS = {
+  1: 'Devolución parcial de los bienes y/o no aceptación parcial del servicio',
+  2: 'Anulación de factura electrónica',
+  3: 'Rebaja o descuento parcial o total',
+  4: 'Ajuste de precio',
+  5: 'Descuento comercial por pronto pago',
+  6: 'Descuento comercial por volumen de ventas'
+};
+
+const DEBIT_NOTE_CONCEPTS = {
+  1: 'Intereses',
+  2: 'Gastos por cobrar',
+  3: 'Cambio del valor',
+  4: 'Otros'
+};
+
+const documentNamespaces = (root) => ({
+  ...NAMESPACES,
+  xmlns: `urn:oasis:names:specification:ubl:schema:xsd:${root}-2`,
+  'xsi:schemaLocation': `urn:oasis:names:specification:ubl:schema:xsd:${root}-2 `
+    + `http://docs.oasis-open.org/ubl/os-UBL-2.1/xsd/maindoc/UBL-${root}-2.1.xsd`
+});
+
+// Consumidor final (Anexo Técnico, numeral 13.2.1)
+const FINAL_CONSUMER = {
+  documentType: '13',
+  number: '222222222222',
+  name: 'Consumidor Final'
+};
+
+const PAYMENT_MEANS_CODES = {
+  cash: '10',
+  card: '48',
+  transfer: '47',
+  credit: '1'
+};
+
+const amount = (value) => round(value).toFixed(2);
+const money = (name, value, currency = 'COP') => el(name, { currencyID: currency }, amount(value));
+
+/**
+ * Fecha y hora en zona horaria de Colombia (UTC-5), como las exige el anexo
+ */
+const formatDateTime = (date) => {
+  const local = new Date(new Date(date).getTime() - 5 * 60 * 60 * 1000);
+  const iso = local.toISOString();
+  return {
+    date: iso.slice(0, 10),
+    time: `${iso.slice(11, 19)}-05:00`
+  };
+};
+
+/**
+ * Calcular líneas, impuestos y totales de una factura a partir de sus items
+ *
+ * El tributo de cada línea es el liquidado en el item (taxCode/taxPercent) o el
+ * de la clase tributaria del producto (ver services/taxes).
+ *
+ * @param {Array} items - Items con quantity, unitPrice y product
+ * @param {Object} [options]
+ * @param {boolean} [options.withTaxes] - false para vendedores no responsables de IVA
+ */
+const calculateInvoiceTotals = (items, { withTaxes = true } = {}) => {
+  const lines = items.map((item, index) => {
+    const quantity = Number(item.quantity);
+    const unitPrice = Number(item.unitPrice);
+    const lineExtension = round(quantity * unitPrice);
+    const tax = withTaxes ? itemTax(item) : { code: null, name: null, percent: 0 };
+
+    return {
+      id: index + 1,
+      productCode: item.product?.code || item.productId || String(index + 1),
+      barcode: item.product?.barcode || null,
+      description: item.product?.name || item.description || 'Producto',
+      unit: item.product?.unit || 'UND',
+      quantity,
+      unitPrice: round(unitPrice),
+      lineExtension,
+      taxableAmount: lineExtension,
+      taxName: tax.name,
+      ...calculateLineTax(lineExtension, tax)
+    };
+  });
+
+  const lineExtension = round(lines.reduce((sum, line) => sum + line.lineExtension, 0));
+  const taxTotal = round(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+  const taxSubtotals = summarizeTaxes(lines);
+
+  return {
+    lines,
+    lineExtension,
+    // Excluded lines are not part of the taxable base
+    taxExclusive: round(taxSubtotals.reduce((sum, subtotal) => sum + subtotal.taxableAmount, 0)),
+    taxSubtotals,
+    taxTotal,
+    taxInclusive: round(lineExtension + taxTotal),
+    payable: round(lineExtension + taxTotal)
+  };
+};
+
+/**
+ * Código de seguridad del software: SHA-384(IdSoftware + PIN + NumFac)
+ */
+const softwareSecurityCode = (settings, invoiceNumber) => crypto
+  .createHash('sha384')
+  .update(`${settings.softwareId}${settings.softwarePin}${invoiceNumber}`)
+  .digest('hex');
+
+/**
+ * Identificación del adquiriente a partir del cliente registrado
+ */
+const resolveBuyer = (customer, customerName) => {
+  if (!customer || !customer.taxId) {
+    return { ...FINAL_CONSUMER, name: customerName || FINAL_CONSUMER.name, isCompany: false };
+  }
+
+  const isNit = customer.documentType
+    ? customer.documentType === '31'
+    : String(customer.taxId).includes('-');
+  const { number, checkDigit } = isNit ? splitNit(customer.taxId) : { number: customer.taxId, checkDigit: null };
+
+  return {
+    documentType: customer.documentType || (isNit ? '31' : '13'),
+    number,
+    checkDigit,
+    name: customer.name,
+    isCompany: isNit,
+    address: customer.address,
+    city: customer.city,
+    phone: customer.phone,
+    email: customer.email
+  };
+};
+
+const buildAddress = (name, party) => el(name, {},
+  party.municipalityCode && el('cbc:ID', {}, party.municipalityCode),
+  party.city && el('cbc:CityName', {}, party.city),
+  party.departmentName && el('cbc:CountrySubentity', {}, party.departmentName),
+  party.departmentCode && el('cbc:CountrySubentityCode', {}, party.departmentCode),
+  party.address && el('cac:AddressLine', {}, el('cbc:Line', {}, party.address)),
+  el('cac:Country', {},
+    el('cbc:IdentificationCode', {}, 'CO'),
+    el('cbc:Name', { languageID: 'es' }, 'Colombia')));
+
+const companyId = (party) => el('cbc:CompanyID', {
+  schemeAgencyID: '195',
+  schemeAgencyName: 'CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)',
+  schemeID: party.checkDigit || undefined,
+  schemeName: party.documentType
+}, party.number);
+
+/**
+ * Parte emisora o adquiriente (cac:Party)
+ */
+const buildParty = (party, { registrationPrefix } = {}) => el('cac:Party', {},
+  party.isCompany && el('cac:PartyIdentification', {},
+    el('cbc:ID', { schemeAgencyID: '195', schemeID: party.checkDigit, schemeName: party.documentType }, party.number)),
+  el('cac:PartyName', {}, el('cbc:Name', {}, party.name)),
+  (party.city || party.address) && el('cac:PhysicalLocation', {}, buildAddress('cac:Address', party)),
+  el('cac:PartyTaxScheme', {},
+    el('cbc:RegistrationName', {}, party.name),
+    companyId(party),
+    el('cbc:TaxLevelCode', { listName: '48' }, party.taxLevelCode || 'R-99-PN'),
+    (party.city || party.address) && buildAddress('cac:RegistrationAddress', party),
+    el('cac:TaxScheme', {},
+      el('cbc:ID', {}, party.isCompany ? '01' : 'ZZ'),
+      el('cbc:Name', {}, party.isCompany ? 'IVA' : 'No aplica'))),
+  el('cac:PartyLegalEntity', {},
+    el('cbc:RegistrationName', {}, party.name),
+    companyId(party),
+    registrationPrefix && el('cac:CorporateRegistrationScheme', {}, el('cbc:ID', {}, registrationPrefix))),
+  (party.phone || party.email) && el('cac:Contact', {},
+    party.phone && el('cbc:Telephone', {}, party.phone),
+    party.email && el('cbc:ElectronicMail', {}, party.email)));
+
+const buildTaxTotal = (taxAmount, subtotals, currency) => el('cac:TaxTotal', {},
+  money('cbc:TaxAmount', taxAmount, currency),
+  subtotals.map((subtotal) => el('cac:TaxSubtotal', {},
+    money('cbc:TaxableAmount', subtotal.taxableAmount, currency),
+    money('cbc:TaxAmount', subtotal.taxAmount, currency),
+    el('cac:TaxCategory', {},
+      el('cbc:Percent', {}, Number(subtotal.percent).toFixed(2)),
+      el('cac:TaxScheme', {},
+        el('cbc:ID', {}, subtotal.code),
+        el('cbc:Name', {}, subtotal.name))))));
+
+/**
+ * Un cac:TaxTotal por tributo (IVA, INC...) con sus subtotales por tarifa
+ */
+const buildTaxTotals = (subtotals, currency) => [...new Set(subtotals.map((subtotal) => subtotal.code))]
+  .map((code) => {
+    const ofTax = subtotals.filter((subtotal) => subtotal.code === code);
+    return buildTaxTotal(round(ofTax.reduce((sum, subtotal) => sum + subtotal.taxAmount, 0)), ofTax, currency);
+  });
+
+/**
+ * Un cac:WithholdingTaxTotal por retención (ReteRenta, ReteIVA, ReteICA) con sus subtotales por tarifa
+ */
+const buildWithholdingTaxTotals = (subtotals, currency) => [...new Set(subtotals.map((subtotal) => subtotal.code))]
+  .map((code) => {
+    const ofTax = subtotals.filter((subtotal) => subtotal.code === code);
+    return el('cac:WithholdingTaxTotal', {},
+      money('cbc:TaxAmount', round(ofTax.reduce((sum, subtotal) => sum + subtotal.taxAmount, 0)), currency),
+      ofTax.map((subtotal) => el('cac:TaxSubtotal', {},
+        money('cbc:TaxableAmount', subtotal.taxableAmount, currency),
+        money('cbc:TaxAmount', subtotal.taxAmount, currency),
+        el('cac:TaxCategory', {},
+          el('cbc:Percent', {}, Number(subtotal.percent).toFixed(3)),
+          el('cac:TaxScheme', {},
+            el('cbc:ID', {}, subtotal.code),
+            el('cbc:Name', {}, subtotal.name))))));
+  });
+
+const buildInvoiceLine = (line, currency, names = DOCUMENT_TYPES.invoice) => el(names.line, {},
+  el('cbc:ID', {}, line.id),
+  el(names.quantity, { unitCode: '94' }, line.quantity),
+  money('cbc:LineExtensionAmount', line.lineExtension, currency),
+  names.linePeriod && el('cac:InvoicePeriod', {},
+    el('cbc:StartDate', {}, line.periodStart),
+    el('cbc:DescriptionCode', {}, '1'),
+    el('cbc:Description', {}, 'Por operación')),
+  line.taxCode && buildTaxTotal(line.taxAmount, [{
+    code: line.taxCode,
+    name: line.taxName,
+    percent: line.taxPercent,
+    taxableAmount: line.lineExtension,
+    taxAmount: line.taxAmount
+  }], currency),
+  el('cac:Item', {},
+    el('cbc:Description', {}, line.description),
+    el('cac:SellersItemIdentification', {}, el('cbc:ID', {}, line.productCode)),
+    el('cac:StandardItemIdentification', {},
+      el('cbc:ID', { schemeID: '999', schemeName: 'Estándar de adopción del contribuyente' }, line.barcode || line.productCode))),
+  el('cac:Price', {},
+    money('cbc:PriceAmount', line.unitPrice, currency),
+    el('cbc:BaseQuantity', { unitCode: '94' }, line.quantity)));
+
+/**
+ * Control de numeración: resolución de autorización y rango (solo facturas)
+ */
+const buildInvoiceControl = (config) => {
+  // Resolution dates are calendar dates, stored at UTC midnight
+  const resolutionStart = new Date(config.resolutionDate).toISOString().slice(0, 10);
+  const resolutionEnd = resolutionEndDate(config).toISOString().slice(0, 10);
+
+  return el('sts:InvoiceControl', {},
+    el('sts:InvoiceAuthorization', {}, config.resolutionNumber),
+    el('sts:AuthorizationPeriod', {},
+      el('cbc:StartDate', {}, resolutionStart),
+      el('cbc:EndDate', {}, resolutionEnd)),
+    el('sts:AuthorizedInvoices', {},
+      config.prefix && el('sts:Prefix', {}, config.prefix),
+      el('sts:From', {}, config.startNumber),
+      el('sts:To', {}, config.endNumber)));
+};
+
+/**
+ * Extensiones DIAN: resolución, proveedor tecnológico y código de seguridad
+ */
+const buildDianExtensions = ({
+  invoiceNumber, config, settings, issuer, qrData, withInvoiceControl = true
+}) => el('sts:DianExtensions', {},
+  withInvoiceControl && buildInvoiceControl(config),
+  el('sts:InvoiceSource', {},
+    el('cbc:IdentificationCode', {
+      listAgencyID: '6',
+      listAgencyName: 'United Nations Economic Commission for Europe',
+      listSchemeURI: 'urn:oasis:names:specification:ubl:codelist:gc:CountryIdentificationCode-2.1'
+    }, 'CO')),
+  el('sts:SoftwareProvider', {},
+    el('sts:ProviderID', {
+      schemeAgencyID: '195',
+      schemeAgencyName: 'CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)',
+      schemeID: issuer.checkDigit,
+      schemeName: '31'
+    }, issuer.number),
+    el('sts:SoftwareID', {
+      schemeAgencyID: '195',
+      schemeAgencyName: 'CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)'
+    }, settings.softwareId)),
+  el('sts:SoftwareSecurityCode', {
+    schemeAgencyID: '195',
+    schemeAgencyName: 'CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)'
+  }, softwareSecurityCode(settings, invoiceNumber)),
+  el('sts:AuthorizationProvider', {},
+    el('sts:AuthorizationProviderID', {
+      schemeAgencyID: '195',
+      schemeAgencyName: 'CO, DIAN (Dirección de Impuestos y Aduanas Nacionales)',
+      schemeID: '4',
+      schemeName: '31'
+    }, DIAN_NIT)),
+  qrData && el('sts:QRCode', {}, qrData));
+
+/**
+ * Datos del emisor a partir de DianConfig
+ */
+const resolveIssuer = (config) => {
+  const { number, checkDigit } = splitNit(config.taxId);
+  return {
+    documentType: '31',
+    number,
+    checkDigit,
+    name: config.companyName,
+    isCompany: true,
+    address: config.address,
+    city: config.city,
+    phone: config.phone,
+    email: config.email,
+    municipalityCode: process.env.DIAN_MUNICIPALITY_CODE,
+    departmentName: process.env.DIAN_DEPARTMENT_NAME,
+    departmentCode: process.env.DIAN_DEPARTMENT_CODE,
+    taxLevelCode: process.env.DIAN_TAX_LEVEL_CODE || 'O-13'
+  };
+};
+
+/**
+ * Extensiones UBL: datos DIAN y espacio reservado para la firma digital XAdES
+ */
+const buildExtensions = (options) => el('ext:UBLExtensions', {},
+  el('ext:UBLExtension', {},
+    el('ext:ExtensionContent', {}, buildDianExtensions(options))),
+  el('ext:UBLExtension', {}, el('ext:ExtensionContent', {})));
+
+/**
+ * Partes, medio de pago, impuestos, totales y líneas (comunes a facturas, notas y documentos soporte)
+ */
+const buildCommercialContent = ({
+  config, issuer, customer, customerName, paymentMethod, dueDate, totals, currency,
+  documentType = DOCUMENT_TYPES.invoice, seller = null, withholdings = []
+}) => {
+  // Documento soporte: the non-invoicing seller is the supplier party and the issuer acquires
+  const [supplierParty, customerParty] = seller ? [seller, issuer] : [issuer, resolveBuyer(customer, customerName)];
+  const method = String(paymentMethod || 'cash').toLowerCase();
+
+  return [
+    el('cac:AccountingSupplierParty', {},
+      el('cbc:AdditionalAccountID', {}, supplierParty.isCompany ? '1' : '2'),
+      buildParty(supplierParty, { registrationPrefix: seller ? undefined : config.prefix })),
+    el('cac:AccountingCustomerParty', {},
+      el('cbc:AdditionalAccountID', {}, customerParty.isCompany ? '1' : '2'),
+      buildParty(customerParty, { registrationPrefix: seller ? config.prefix : undefined })),
+    el('cac:PaymentMeans', {},
+      el('cbc:ID', {}, method === 'credit' ? '2' : '1'),
+      el('cbc:PaymentMeansCode', {}, PAYMENT_MEANS_CODES[method] || 'ZZZ'),
+      dueDate && el('cbc:PaymentDueDate', {}, formatDateTime(dueDate).date)),
+    buildTaxTotals(totals.taxSubtotals, currency),
+    buildWithholdingTaxTotals(withholdings, currency),
+    el(documentType.monetaryTotal, {},
+      money('cbc:LineExtensionAmount', totals.lineExtension, currency),
+      money('cbc:TaxExclusiveAmount', totals.taxExclusive, currency),
+      money('cbc:TaxInclusiveAmount', totals.taxInclusive, currency),
+      money('cbc:PayableAmount', totals.payable, currency)),
+    totals.lines.map((line) => buildInvoiceLine(line, currency, documentType))
+  ];
+};
+
+/**
+ * Construir el árbol UBL de una factura electrónica de venta
+ *
+ * @param {Object} invoice - Datos de la factura
+ * @param {string} invoice.invoiceNumber - Número con prefijo (ej: SETP990000001)
+ * @param {Date} invoice.issueDate - Fecha de expedición
+ * @param {Date} [invoice.dueDate] - Fecha de vencimiento (ventas a crédito)
+ * @param {Object} invoice.config - Registro DianConfig activo
+ * @param {Object} invoice.settings - Parámetros de getDianSettings()
+ * @param {Object} [invoice.customer] - Cliente registrado
+ * @param {string} [invoice.customerName] - Nombre para ventas sin cliente
+ * @param {string} invoice.paymentMethod - cash, card, transfer o credit
+ * @param {Object} invoice.totals - Resultado de calculateInvoiceTotals()
+ * @param {string} [invoice.notes] - Observaciones
+ * @param {string} [invoice.cufe] - CUFE calculado con computeInvoiceCufe()
+ * @param {string} [invoice.qrData] - Contenido del código QR
+ * @param {boolean} [invoice.contingency] - Factura emitida en contingencia (tipo 04)
+ * @param {Array} [invoice.withholdings] - Retenciones del cliente, de summarizeWithholdings()
+ */
+const buildInvoice = (invoice) => {
+  const {
+    invoiceNumber, issueDate, dueDate, config, settings, customer, customerName,
+    paymentMethod, totals, notes, cufe, qrData, contingency = false, withholdings
+  } = invoice;
+  const issuer = resolveIssuer(config);
+  const issued = formatDateTime(issueDate);
+
+  return el('Invoice', documentNamespaces('Invoice'),
+    buildExtensions({
+      invoiceNumber, config, settings, issuer, qrData
+    }),
+    el('cbc:UBLVersionID', {}, 'UBL 2.1'),
+    el('cbc:CustomizationID', {}, '10'),
+    el('cbc:ProfileID', {}, 'DIAN 2.1: Factura Electrónica de Venta'),
+    el('cbc:ProfileExecutionID', {}, settings.environment),
+    el('cbc:ID', {}, invoiceNumber),
+    cufe && el('cbc:UUID', { schemeID: settings.environment, schemeName: 'CUFE-SHA384' }, cufe),
+    el('cbc:IssueDate', {}, issued.date),
+    el('cbc:IssueTime', {}, issued.time),
+    dueDate && el('cbc:DueDate', {}, formatDateTime(dueDate).date),
+    el('cbc:InvoiceTypeCode', {}, contingency ? INVOICE_TYPE_CODES.contingency : INVOICE_TYPE_CODES.sale),
+    notes && el('cbc:Note', {}, notes),
+    el('cbc:DocumentCurrencyCode', {}, settings.currency),
+    el('cbc:LineCountNumeric', {}, totals.lines.length),
+    buildCommercialContent({
+      config, issuer, customer, customerName, paymentMethod, dueDate, totals, withholdings, currency: settings.currency
+    }));
+};
+
+/**
+ * Construir una nota crédito o débito que corrige una factura electrónica
+ *
+ * @param {Object} note
+ * @param {string} note.type - credit o debit
+ * @param {string} note.noteNumber - Número de la nota (prefijo + consecutivo)
+ * @param {Date} note.issueDate - Fecha de emisión
+ * @param {Object} note.concept - Concepto de corrección ({ code, description })
+ * @param {Object} note.invoice - Factura referenciada ({ invoiceNumber, cufe, issueDate })
+ * @param {Object} note.config - DianConfig activa
+ * @param {Object} note.settings - Resultado de getDianSettings()
+ * @param {Object} [note.customer] - Adquiriente de la factura
+ * @param {string} [note.customerName] - Nombre para ventas sin cliente registrado
+ * @param {string} [note.paymentMethod] - Medio de pago de la factura
+ * @param {Object} note.totals - Resultado de calculateInvoiceTotals()
+ * @param {string} [note.notes] - Observaciones
+ * @param {string} [note.cude] - CUDE calculado con computeNoteCude()
+ * @param {string} [note.qrData] - Contenido del código QR
+ */
+const buildNote = (note) => {
+  const {
+    type, noteNumber, issueDate, concept, invoice, config, settings, customer, customerName,
+    paymentMethod, totals, notes, cude, qrData
+  } = note;
+  const documentType = DOCUMENT_TYPES[type];
+  const issuer = resolveIssuer(config);
+  const issued = formatDateTime(issueDate);
+
+  return el(documentType.root, documentNamespaces(documentType.root),
+    buildExtensions({
+      invoiceNumber: noteNumber, config, settings, issuer, qrData, withInvoiceControl: false
+    }),
+    el('cbc:UBLVersionID', {}, 'UBL 2.1'),
+    el('cbc:CustomizationID', {}, documentType.customizationId),
+    el('cbc:ProfileID', {}, documentType.profileId),
+    el('cbc:ProfileExecutionID', {}, settings.environment),
+    el('cbc:ID', {}, noteNumber),
+    cude && el('cbc:UUID', { schemeID: settings.environment, schemeName: 'CUDE-SHA384' }, cude),
+    el('cbc:IssueDate', {}, issued.date),
+    el('cbc:IssueTime', {}, issued.time),
+    type === 'credit' && el('cbc:CreditNoteTypeCode', {}, '91'),
+    notes && el('cbc:Note', {}, notes),
+    el('cbc:DocumentCurrencyCode', {}, settings.currency),
+    el('cbc:LineCountNumeric', {}, totals.lines.length),
+    el('cac:DiscrepancyResponse', {},
+      el('cbc:ReferenceID', {}, invoice.invoiceNumber),
+      el('cbc:ResponseCode', {}, concept.code),
+      el('cbc:Description', {}, concept.description)),
+    el('cac:BillingReference', {},
+      el('cac:InvoiceDocumentReference', {},
+        el('cbc:ID', {}, invoice.invoiceNumber),
+        el('cbc:UUID', { schemeName: 'CUFE-SHA384' }, invoice.cufe),
+        el('cbc:IssueDate', {}, formatDateTime(invoice.issueDate).date))),
+    buildCommercialContent({
+      config, issuer, customer, customerName, paymentMethod, totals, currency: settings.currency, documentType
+    }));
+};
+
+/**
+ * Construir un documento soporte en adquisiciones a no obligados a facturar
+ *
+ * @param {Object} document
+ * @param {string} document.documentNumber - Número con prefijo de la resolución de documento soporte
+ * @param {Date} document.issueDate - Fecha de generación
+ * @param {Date} [document.dueDate] - Fecha de pago
+ * @param {Object} document.config - Resolución DianConfig de documento soporte
+ * @param {Object} document.settings - Parámetros de getDianSettings()
+ * @param {Object} document.supplier - Proveedor no obligado a facturar (vendedor)
+ * @param {string} [document.paymentMethod] - Medio de pago de la compra
+ * @param {Object} document.totals - Resultado de calculateInvoiceTotals()
+ * @param {string} [document.notes] - Observaciones
+ * @param {string} [document.cuds] - CUDS calculado con computeSupportDocumentCuds()
+ * @param {string} [document.qrData] - Contenido del código QR
+ * @param {Array} [document.withholdings] - Retenciones practicadas, de summarizeWithholdings()
+ */
+const buildSupportDocument = (document) => {
+  const {
+    documentNumber, issueDate, dueDate, config, settings, supplier, paymentMethod, totals, notes, cuds, qrData,
+    withholdings
+  } = document;
+  const documentType = DOCUMENT_TYPES.support;
+  const issuer = resolveIssuer(config);
+  const issued = formatDateTime(issueDate);
+
+  return el(documentType.root, documentNamespaces(documentType.root),
+    buildExtensions({
+      invoiceNumber: documentNumber, config, settings, issuer, qrData
+    }),
+    el('cbc:UBLVersionID', {}, 'UBL 2.1'),
+    el('cbc:CustomizationID', {}, documentType.customizationId),
+    el('cbc:ProfileID', {}, documentType.profileId),
+    el('cbc:ProfileExecutionID', {}, settings.environment),
+    el('cbc:ID', {}, documentNumber),
+    cuds && el('cbc:UUID', { schemeID: settings.environment, schemeName: 'CUDS-SHA384' }, cuds),
+    el('cbc:IssueDate', {}, issued.date),
+    el('cbc:IssueTime', {}, issued.time),
+    dueDate && el('cbc:DueDate', {}, formatDateTime(dueDate).date),
+    el('cbc:InvoiceTypeCode', {}, INVOICE_TYPE_CODES.support),
+    notes && el('cbc:Note', {}, notes),
+    el('cbc:DocumentCurrencyCode', {}, settings.currency),
+    el('cbc:LineCountNumeric', {}, totals.lines.length),
+    buildCommercialContent({
+      config,
+      issuer,
+      seller: resolveBuyer(supplier, supplier.name),
+      paymentMethod,
+      dueDate,
+      totals: { ...totals, lines: totals.lines.map((line) => ({ ...line, periodStart: issued.date })) },
+      withholdings,
+      currency: settings.currency,
+      documentType
+    }));
+};
+
+const buildInvoiceXml = (invoice) => serialize(buildInvoice(invoice));
+
+const buildNoteXml = (note) => serialize(buildNote(note));
+
+const buildSupportDocumentXml = (document) => serialize(buildSupportDocument(document));
+
+module.exports = {
+  INVOICE_TYPE_CODES,
+  CREDIT_NOTE_CONCEPTS,
+  DEBIT_NOTE_CONCEPTS,
+  FINAL_CONSUMER,
+  round,
+  amount,
+  formatDateTime,
+  calculateInvoiceTotals,
+  resolveIssuer,
+  resolveBuyer,
+  buildExtensions,
+  buildInvoice,
+  buildInvoiceXml,
+  buildNote,
+  buildNoteXml,
+  buildSupportDocument,
+  buildSupportDocumentXml
+};
@@ -0,0 +1,208 @@
+/**
+ * Utilidades XML para documentos electrónicos DIAN
+ *
+ * Los documentos se construyen como árboles de nodos ({ name, attrs, children })
+ * y se serializan directamente en forma canónica (C14N 1.0 inclusiva), de modo
+ * que el XML almacenado es el mismo que se firma y se transmite.
+ */
+
+const xml2js = require('xml2js');
+
+/**
+ * Crear un nodo de elemento. Los hijos nulos o indefinidos se descartan y los
+ * valores primitivos se convierten en texto.
+ */
+const el = (name, attrs = {}, ...children) => ({
+  name,
+  attrs: Object.fromEntries(
+    Object.entries(attrs || {}).filter(([, value]) => value !== undefined && value !== null)
+  ),
+  children: children
+    .flat(Infinity)
+    .filter((child) => child !== undefined && child !== null && child !== false)
+    .map((child) => (typeof child === 'object' ? child : String(child)))
+});
+
+const escapeText = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\r/g, '&#xD;');
+
+const escapeAttr = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/"/g, '&quot;')
+  .replace(/\t/g, '&#x9;')
+  .replace(/\n/g, '&#xA;')
+  .replace(/\r/g, '&#xD;');
+
+const isNamespaceAttr = (name) => name === 'xmlns' || name.startsWith('xmlns:');
+
+/**
+ * Declaraciones de espacio de nombres propias de un nodo ({ prefijo: uri })
+ */
+const ownNamespaces = (node) => {
+  const namespaces = {};
+  Object.entries(node.attrs).forEach(([name, value]) => {
+    if (isNamespaceAttr(name)) {
+      namespaces[name === 'xmlns' ? '' : name.slice(6)] = value;
+    }
+  });
+  return namespaces;
+};
+
+/**
+ * Prefijos usados visiblemente por un elemento (C14N exclusiva)
+ */
+const utilizedPrefixes = (node) => {
+  const prefixes = new Set([node.name.includes(':') ? node.name.split(':')[0] : '']);
+  Object.keys(node.attrs)
+    .filter((name) => !isNamespaceAttr(name) && name.includes(':'))
+    .forEach((name) => prefixes.add(name.split(':')[0]));
+  return prefixes;
+};
+
+const serializeNode = (node, rendered, scope, exclusive) => {
+  if (typeof node === 'string') {
+    return escapeText(node);
+  }
+
+  const inScope = { ...scope, ...ownNamespaces(node) };
+  const utilized = exclusive ? utilizedPrefixes(node) : null;
+
+  // Only namespace declarations that differ from the closest rendered ancestor are output
+  const namespaces = Object.entries(inScope)
+    .filter(([prefix]) => !exclusive || utilized.has(prefix))
+    .filter(([prefix, uri]) => rendered[prefix] !== uri && !(prefix === '' && uri === '' && rendered[prefix] === undefined))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const attributes = Object.entries(node.attrs)
+    .filter(([name]) => !isNamespaceAttr(name))
+    .map(([name, value]) => {
+      const [prefix, local] = name.includes(':') ? name.split(':') : ['', name];
+      return { name, value, uri: prefix ? inScope[prefix] || '' : '', local };
+    })
+    .sort((a, b) => (a.uri === b.uri ? a.local.localeCompare(b.local) : a.uri.localeCompare(b.uri)));
+
+  const renderedForChildren = { ...rendered };
+  namespaces.forEach(([prefix, uri]) => { renderedForChildren[prefix] = uri; });
+
+  const open = [
+    node.name,
+    ...namespaces.map(([prefix, uri]) => `${prefix ? `xmlns:${prefix}` : 'xmlns'}="${escapeAttr(uri)}"`),
+    ...attributes.map(({ name, value }) => `${name}="${escapeAttr(value)}"`)
+  ].join(' ');
+
+  const content = node.children
+    .map((child) => serializeNode(child, renderedForChildren, inScope, exclusive))
+    .join('');
+  return `<${open}>${content}</${node.name}>`;
+};
+
+/**
+ * Serializar un nodo en forma canónica. `inheritedNamespaces` contiene los
+ * espacios de nombres declarados en los ancestros, necesarios al canonicalizar
+ * un subárbol (SignedInfo, SignedProperties, KeyInfo). Con `exclusive` se
+ * aplica C14N exclusiva, usada por WS-Security.
+ */
+const canonicalize = (node, inheritedNamespaces = {}, { exclusive = false } = {}) => (
+  serializeNode(node, {}, inheritedNamespaces, exclusive)
+);
+
+/**
+ * Serializar un documento completo con declaración XML
+ */
+const serialize = (node) => `<?xml version="1.0" encoding="UTF-8" standalone="no"?>${canonicalize(node)}`;
+
+/**
+ * Buscar el primer descendiente (en profundidad) que cumpla el predicado.
+ * Devuelve el nodo y la cadena de ancestros.
+ */
+const findNode = (node, predicate, ancestors = []) => {
+  if (typeof node === 'string') {
+    return null;
+  }
+  if (predicate(node)) {
+    return { node, ancestors };
+  }
+  for (const child of node.children) {
+    const found = findNode(child, predicate, [...ancestors, node]);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+};
+
+const findByName = (node, name) => {
+  const found = findNode(node, (candidate) => candidate.name === name);
+  return found ? found.node : null;
+};
+
+const findAllByName = (node, name, results = []) => {
+  if (typeof node === 'string') {
+    return results;
+  }
+  if (node.name === name) {
+    results.push(node);
+  }
+  node.children.forEach((child) => findAllByName(child, name, results));
+  return results;
+};
+
+/**
+ * Texto concatenado de un nodo
+ */
+const textOf = (node) => {
+  if (!node) {
+    return null;
+  }
+  return node.children.map((child) => (typeof child === 'string' ? child : textOf(child))).join('');
+};
+
+/**
+ * Espacios de nombres en el ámbito de un nodo dado su cadena de ancestros
+ */
+const namespacesInScope = (ancestors) => ancestors
+  .reduce((scope, ancestor) => ({ ...scope, ...ownNamespaces(ancestor) }), {});
+
+const convertParsed = (parsed) => {
+  const name = parsed['#name'];
+  const attrs = parsed.$ || {};
+  const children = (parsed.$$ || []).map((child) => (
+    child['#name'] === '__text__' ? child._ : convertParsed(child)
+  ));
+  return { name, attrs: { ...attrs }, children };
+};
+
+/**
+ * Convertir un documento XML en árbol de nodos
+ */
+const parse = async (xml) => {
+  const parser = new xml2js.Parser({
+    explicitChildren: true,
+    preserveChildrenOrder: true,
+    charsAsChildren: true,
+    includeWhiteChars: true,
+    explicitRoot: true,
+    trim: false,
+    normalize: false
+  });
+  const result = await parser.parseStringPromise(xml);
+  const [rootName] = Object.keys(result);
+  return convertParsed({ '#name': rootName, ...result[rootName] });
+};
+
+module.exports = {
+  el,
+  canonicalize,
+  serialize,
+  parse,
+  findNode,
+  findByName,
+  findAllByName,
+  textOf,
+  namespacesInScope,
+  ownNamespaces
+};
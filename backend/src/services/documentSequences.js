@@ -0,0 +1,73 @@
+/**
+ * Consecutivos de los documentos internos
+ *
+ * Las cotizaciones (COT-) y los planes separe (SEP-) toman su número de una
+ * fila de DocumentSequence con un incremento atómico, igual que las
+ * resoluciones DIAN: dos documentos creados al mismo tiempo nunca reciben el
+ * mismo número y borrar un borrador no hace que su número se repita. La fila
+ * se crea con el primer documento, a partir del mayor número ya emitido.
+ */
+
+/**
+ * Asignar el siguiente número de un consecutivo
+ *
+ * Debe llamarse con el cliente de la transacción que crea el documento para
+ * que el número se libere si la transacción falla.
+ *
+ * @param {Object} tx - Cliente Prisma de la transacción
+ * @param {string} name - Consecutivo (quotation, layaway)
+ * @param {Function} findLastNumber - async (tx) => mayor número ya emitido, para crear el consecutivo
+ * @returns {Promise<number>} Número asignado
+ */
+const nextDocumentNumber = async (tx, name, findLastNumber) => {
+  // The row lock serializes concurrent documents until the transaction ends
+  const increment = () => tx.documentSequence.update({
+    where: { name },
+    data: { lastNumber: { increment: 1 } }
+  });
+
+  try {
+    return (await increment()).lastNumber;
+  } catch (error) {
+    // P2025: first document of this kind
+    if (error.code !== 'P2025') {
+      throw error;
+    }
+  }
+
+  // skipDuplicates lets a concurrent first document create the row without aborting the transaction
+  await tx.documentSequence.createMany({
+    data: [{ name, lastNumber: await findLastNumber(tx) }],
+    skipDuplicates: true
+  });
+  return (await increment()).lastNumber;
+};
+
+/**
+ * Número de un documento con su prefijo (COT-000042)
+ */
+const formatDocumentNumber = (prefix, number) => `${prefix}${String(number).padStart(6, '0')}`;
+
+/**
+ * Mayor número emitido con un prefijo, leído del último documento
+ *
+ * @param {Object} delegate - Modelo de Prisma (tx.quotation, tx.layaway)
+ * @param {string} field - Campo del número (quoteNumber, layawayNumber)
+ * @param {string} prefix - Prefijo (COT-, SEP-)
+ * @returns {Promise<number>}
+ */
+const lastIssuedNumber = async (delegate, field, prefix) => {
+  // Numbers are zero-padded, so the text order is the numeric order
+  const last = await delegate.findFirst({
+    where: { [field]: { startsWith: prefix } },
+    orderBy: { [field]: 'desc' },
+    select: { [field]: true }
+  });
+  return last ? parseInt(last[field].slice(prefix.length), 10) || 0 : 0;
+};
+
+module.exports = {
+  nextDocumentNumber,
+  formatDocumentNumber,
+  lastIssuedNumber
+};
@@ -0,0 +1,99 @@
+/**
+ * Envío de correos (SMTP)
+ *
+ * Usa la configuración SMTP_* y EMAIL_FROM del entorno. Cada envío queda
+ * registrado como una Notification de tipo EMAIL con su estado (SENT o
+ * FAILED), igual que las demás notificaciones del sistema.
+ */
+
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+/**
+ * Error de envío de correo
+ */
+class EmailError extends Error {
+  constructor(message, code, statusCode = 502) {
+    super(message);
+    this.name = 'EmailError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+let transporter = null;
+
+const isEmailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT || '587', 10);
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Enviar un correo y registrarlo como notificación
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} email
+ * @param {string} email.to - Destinatario
+ * @param {string} email.subject - Asunto
+ * @param {string} email.text - Cuerpo en texto plano
+ * @param {Array<{ filename, content, contentType }>} [email.attachments] - Adjuntos
+ * @param {Object} [email.metadata] - Datos de la notificación (documento enviado)
+ * @returns {Promise<Object>} Notification enviada
+ * @throws {EmailError} EMAIL_NOT_CONFIGURED o EMAIL_SEND_FAILED
+ */
+const sendEmail = async (prisma, {
+  to, subject, text, attachments = [], metadata = {}
+}) => {
+  if (!isEmailConfigured()) {
+    throw new EmailError('Email delivery is not configured (SMTP_HOST)', 'EMAIL_NOT_CONFIGURED', 503);
+  }
+
+  const notification = await prisma.notification.create({
+    data: {
+      type: 'EMAIL',
+      recipient: to,
+      subject,
+      message: text,
+      metadata
+    }
+  });
+
+  try {
+    await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      attachments
+    });
+  } catch (error) {
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { status: 'FAILED', error: error.message }
+    });
+    logger.error(`Error sending email "${subject}" to ${to}:`, error);
+    throw new EmailError(`Email could not be sent: ${error.message}`, 'EMAIL_SEND_FAILED');
+  }
+
+  logger.info(`Email "${subject}" sent to ${to}`);
+  return prisma.notification.update({
+    where: { id: notification.id },
+    data: { status: 'SENT', sentAt: new Date() }
+  });
+};
+
+module.exports = {
+  EmailError,
+  isEmailConfigured,
+  sendEmail
+};
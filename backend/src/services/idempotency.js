@@ -0,0 +1,201 @@
+/**
+ * Llaves de idempotencia (encabezado Idempotency-Key)
+ *
+ * Si la red se cae después de que el servidor registró una venta o un pago,
+ * el POS reintenta sin saber si quedó registrado. Con la misma llave el
+ * reintento devuelve la respuesta original en vez de cobrar dos veces. La
+ * llave se guarda por usuario con el hash de la petición: reutilizarla con
+ * otro cuerpo u otra ruta se rechaza. Solo se guardan las respuestas
+ * exitosas; un error no movió dinero y libera la llave para reintentar una vez
+ * corregido. Las llaves vencen a las IDEMPOTENCY_KEY_TTL_HOURS y un worker las
+ * borra.
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const logger = require('../utils/logger');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+const KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+// A key still processing after this long belongs to a request that died with the server
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+class IdempotencyError extends Error {
+  constructor(message, code, statusCode = 409) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * JSON con las llaves ordenadas, para que el orden de los campos no cambie el hash
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash SHA-256 de una petición
+ *
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta sin query string
+ * @param {Object} body - Cuerpo recibido (antes de validarlo y sanearlo)
+ * @returns {string}
+ */
+const hashRequest = (method, path, body) => crypto
+  .createHash('sha256')
+  .update(`${method} ${path}\n${canonicalJson(body || {})}`)
+  .digest('hex');
+
+/**
+ * Tomar una llave para procesar la petición, o la respuesta guardada si ya se procesó
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {{ userId: string, key: string, method: string, path: string, requestHash: string }} request
+ * @returns {Promise<{ record?: Object, replay?: Object }>} record para procesarla, replay con la respuesta original
+ * @throws {IdempotencyError} IDEMPOTENCY_KEY_MISMATCH (otra petición) o IDEMPOTENCY_KEY_IN_PROGRESS
+ */
+const claimKey = async (prisma, { userId, key, method, path, requestHash }) => {
+  const now = new Date();
+
+  // Two attempts: the stored key may be expired or abandoned and removed in between
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          userId,
+          key,
+          method,
+          path,
+          requestHash,
+          expiresAt: new Date(now.getTime() + KEY_TTL_HOURS * 60 * 60 * 1000)
+        }
+      });
+      return { record };
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({ where: { userId_key: { userId, key } } });
+    if (!existing) {
+      continue;
+    }
+
+    const abandoned = existing.status === 'processing'
+      && now - new Date(existing.updatedAt) > PROCESSING_TIMEOUT_MS;
+    if (new Date(existing.expiresAt) <= now || abandoned) {
+      await prisma.idempotencyKey.deleteMany({ where: { id: existing.id, updatedAt: existing.updatedAt } });
+      continue;
+    }
+
+    if (existing.requestHash !== requestHash) {
+      throw new IdempotencyError(
+        `Idempotency key was already used for a different request (${existing.method} ${existing.path})`,
+        'IDEMPOTENCY_KEY_MISMATCH',
+        422
+      );
+    }
+    if (existing.status === 'processing') {
+      throw new IdempotencyError(
+        'A request with this idempotency key is still being processed; retry later',
+        'IDEMPOTENCY_KEY_IN_PROGRESS'
+      );
+    }
+    return { replay: existing };
+  }
+
+  throw new IdempotencyError(
+    'A request with this idempotency key is still being processed; retry later',
+    'IDEMPOTENCY_KEY_IN_PROGRESS'
+  );
+};
+
+/**
+ * Guardar la respuesta exitosa de la petición
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} id - Llave tomada con claimKey()
+ * @param {number} statusCode - Código HTTP de la respuesta
+ * @param {*} body - Cuerpo JSON de la respuesta
+ */
+const completeKey = (prisma, id, statusCode, body) => prisma.idempotencyKey.update({
+  where: { id },
+  data: {
+    status: 'completed',
+    responseStatus: statusCode,
+    // Decimals and dates as they went out in the original response
+    responseBody: JSON.parse(JSON.stringify(body === undefined ? null : body))
+  }
+});
+
+/**
+ * Liberar la llave de una petición que falló, para que pueda reintentarse
+ */
+const releaseKey = (prisma, id) => prisma.idempotencyKey.deleteMany({ where: { id } });
+
+/**
+ * Borrar las llaves vencidas
+ *
+ * @returns {Promise<{ count: number }>}
+ */
+const purgeExpiredKeys = (prisma, date = new Date()) => prisma.idempotencyKey.deleteMany({
+  where: { expiresAt: { lte: date } }
+});
+
+/**
+ * Iniciar el worker node-cron que borra las llaves vencidas (IDEMPOTENCY_KEYS_CLEANUP_CRON)
+ */
+const startIdempotencyKeyCleanupWorker = (prisma, schedule = process.env.IDEMPOTENCY_KEYS_CLEANUP_CRON || '30 * * * *') => {
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid IDEMPOTENCY_KEYS_CLEANUP_CRON expression: ${schedule}`);
+    return null;
+  }
+
+  let running = false;
+  const task = cron.schedule(schedule, async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const { count } = await purgeExpiredKeys(prisma);
+      if (count > 0) {
+        logger.info(`Expired idempotency keys removed: ${count}`);
+      }
+    } catch (error) {
+      logger.error('Error removing expired idempotency keys:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info(`Idempotency key cleanup worker scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  KEY_TTL_HOURS,
+  IdempotencyError,
+  hashRequest,
+  claimKey,
+  completeKey,
+  releaseKey,
+  purgeExpiredKeys,
+  startIdempotencyKeyCleanupWorker
+};
@@ -0,0 +1,486 @@
+/**
+ * Plan separe (apartados con abonos)
+ *
+ * El cliente separa alambre, motobombas o lotes de semilla con un abono
+ * inicial y los va pagando con abonos (Payment con layawayId) recibidos en la
+ * caja. Las unidades quedan reservadas (ver stockReservations) con el precio
+ * pactado hasta el vencimiento. Pagado completo se convierte en una venta
+ * normal con los abonos aplicados (createSale con layawayId).
+ *
+ * Al vencerse o anularse rige su política: refund devuelve los abonos en
+ * efectivo desde la caja (el vencido queda en expired hasta que se pague la
+ * devolución) y forfeit los deja en poder del almacén.
+ */
+
+const cron = require('node-cron');
+const { PRODUCT_TAX_INCLUDE, itemTax, calculateLineTax } = require('./taxes');
+const { createPriceResolver, priceOverrideFlag, canOverridePrice } = require('./pricing');
+const { requireOpenSession, summarizeSession, CashSessionError } = require('./cashSessions');
+const { reservedQuantities } = require('./stockReservations');
+const { nextDocumentNumber, formatDocumentNumber, lastIssuedNumber } = require('./documentSequences');
+const { round } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const LAYAWAY_STATUSES = ['active', 'completed', 'expired', 'refunded', 'forfeited'];
+
+const EXPIRY_POLICIES = ['refund', 'forfeit'];
+
+// Medios con los que se reciben los abonos en el mostrador
+const DEPOSIT_METHODS = ['cash', 'card', 'transfer'];
+
+const DEFAULT_TERM_DAYS = Number(process.env.LAYAWAY_TERM_DAYS) || 60;
+
+const MAX_TERM_DAYS = 180;
+
+const DEFAULT_EXPIRY_POLICY = process.env.LAYAWAY_EXPIRY_POLICY === 'forfeit' ? 'forfeit' : 'refund';
+
+// Porcentaje del total que debe cubrir el abono inicial
+const MIN_DEPOSIT_PERCENT = Number(process.env.LAYAWAY_MIN_DEPOSIT_PERCENT || 10);
+
+/**
+ * Error de plan separe (vencido, ya retirado, sin existencias, abono inválido...)
+ */
+class LayawayError extends Error {
+  constructor(message, code, statusCode = 400, issues = undefined) {
+    super(message);
+    this.name = 'LayawayError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.issues = issues;
+  }
+}
+
+const LAYAWAY_INCLUDE = {
+  customer: { select: { id: true, name: true, taxId: true, phone: true } },
+  user: { select: { id: true, username: true, firstName: true, lastName: true } },
+  items: {
+    include: {
+      product: { select: { id: true, code: true, name: true, price: true, stock: true } }
+    }
+  },
+  payments: { orderBy: { createdAt: 'asc' } },
+  sale: { select: { id: true, invoiceNumber: true } }
+};
+
+/**
+ * Agregar a un plan separe lo abonado y el saldo por pagar
+ */
+const withBalance = (layaway) => {
+  const paid = round(layaway.payments.reduce((sum, payment) => sum + Number(payment.amount), 0));
+  return { ...layaway, paid, balance: round(Number(layaway.totalAmount) - paid) };
+};
+
+/**
+ * Aplicar el vencimiento a los planes activos cuyo plazo ya pasó: los de
+ * política refund quedan en expired (abonos por devolver) y los de forfeit se
+ * cierran como forfeited
+ *
+ * @returns {Promise<{ expired: number, forfeited: number }>}
+ */
+const expireLayaways = async (prisma, date = new Date()) => {
+  const due = { status: 'active', expiresAt: { lte: date } };
+  const [expired, forfeited] = await Promise.all([
+    prisma.layaway.updateMany({ where: { ...due, expiryPolicy: 'refund' }, data: { status: 'expired' } }),
+    prisma.layaway.updateMany({ where: { ...due, expiryPolicy: 'forfeit' }, data: { status: 'forfeited', closedAt: date } })
+  ]);
+  return { expired: expired.count, forfeited: forfeited.count };
+};
+
+/**
+ * Buscar un plan separe por id (con vencimiento aplicado)
+ *
+ * @returns {Promise<Object>} Plan con paid y balance
+ * @throws {LayawayError} LAYAWAY_NOT_FOUND
+ */
+const findLayaway = async (prisma, id) => {
+  await expireLayaways(prisma);
+  const layaway = await prisma.layaway.findUnique({ where: { id }, include: LAYAWAY_INCLUDE });
+  if (!layaway) {
+    throw new LayawayError('Layaway not found', 'LAYAWAY_NOT_FOUND', 404);
+  }
+  return withBalance(layaway);
+};
+
+const assertActive = (layaway) => {
+  if (layaway.status !== 'active') {
+    throw new LayawayError(`Layaway ${layaway.layawayNumber} is ${layaway.status}`, 'LAYAWAY_CLOSED', 409);
+  }
+};
+
+const validateDeposit = ({ method, amount }, balance) => {
+  if (!DEPOSIT_METHODS.includes(method)) {
+    throw new LayawayError(`Invalid deposit method ${method}`, 'INVALID_TENDER');
+  }
+  if (round(amount) > balance) {
+    throw new LayawayError(`Deposit of ${amount} exceeds the balance of ${balance}`, 'DEPOSIT_EXCEEDS_BALANCE');
+  }
+};
+
+/**
+ * Liquidar las líneas: precio de lista del cliente o precio digitado (con el
+ * permiso de precios si queda por debajo de lista o costo), impuesto según la
+ * clase tributaria y existencias sin reservar
+ *
+ * @throws {LayawayError} PRODUCT_NOT_FOUND, PRICE_OVERRIDE_NOT_ALLOWED o INSUFFICIENT_STOCK
+ */
+const priceItems = async (prisma, customer, items, permissions) => {
+  const priceFor = await createPriceResolver(prisma, customer);
+  const reserved = await reservedQuantities(prisma, items.map((item) => item.productId));
+  const requested = new Map();
+  const lines = [];
+  const shortages = [];
+
+  for (const item of items) {
+    const product = await prisma.product.findUnique({
+      where: { id: item.productId },
+      include: PRODUCT_TAX_INCLUDE
+    });
+    if (!product) {
+      throw new LayawayError(`Product ${item.productId} not found`, 'PRODUCT_NOT_FOUND');
+    }
+
+    requested.set(product.id, (requested.get(product.id) || 0) + item.quantity);
+    const available = product.stock - (reserved.get(product.id) || 0);
+    if (available < requested.get(product.id)) {
+      shortages.push({
+        productId: product.id, name: product.name, quantity: item.quantity, stock: product.stock, reserved: reserved.get(product.id) || 0, available
+      });
+    }
+
+    const listPrice = priceFor(product, item.quantity).price;
+    const manual = item.unitPrice !== undefined && item.unitPrice !== null;
+    const unitPrice = manual ? Number(item.unitPrice) : listPrice;
+    const totalPrice = round(item.quantity * unitPrice);
+    lines.push({
+      name: product.name,
+      productId: product.id,
+      quantity: item.quantity,
+      unitPrice,
+      totalPrice,
+      listPrice,
+      priceOverride: manual ? priceOverrideFlag({ unitPrice, listPrice, cost: product.cost }) : null,
+      ...calculateLineTax(totalPrice, itemTax({ product }))
+    });
+  }
+
+  if (shortages.length > 0) {
+    throw new LayawayError(
+      `Insufficient stock for ${shortages.map((line) => `${line.name} (available ${line.available})`).join(', ')}`,
+      'INSUFFICIENT_STOCK',
+      409,
+      shortages
+    );
+  }
+
+  const overrides = lines.filter((line) => line.priceOverride);
+  if (overrides.length > 0 && !canOverridePrice(permissions)) {
+    throw new LayawayError(
+      `Price below list price or cost for ${overrides.map((line) => line.name).join(', ')}; `
+        + 'a user with price override permission must approve it',
+      'PRICE_OVERRIDE_NOT_ALLOWED',
+      403
+    );
+  }
+
+  const subtotal = round(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+  const taxAmount = round(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+  return {
+    lines: lines.map(({ name, ...line }) => line),
+    subtotal,
+    taxAmount,
+    totalAmount: round(subtotal + taxAmount)
+  };
+};
+
+const LAYAWAY_PREFIX = 'SEP-';
+
+const nextLayawayNumber = async (tx) => formatDocumentNumber(
+  LAYAWAY_PREFIX,
+  await nextDocumentNumber(tx, 'layaway', () => lastIssuedNumber(tx.layaway, 'layawayNumber', LAYAWAY_PREFIX))
+);
+
+/**
+ * Abrir un plan separe con el abono inicial
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} data
+ * @param {string} data.customerId - Cliente registrado
+ * @param {Array<{ productId, quantity, unitPrice }>} data.items - Líneas; sin precio se usa el de lista
+ * @param {{ method, amount, reference }} data.deposit - Abono inicial (mínimo LAYAWAY_MIN_DEPOSIT_PERCENT del total)
+ * @param {number} [data.termDays] - Plazo (por defecto LAYAWAY_TERM_DAYS o 60)
+ * @param {string} [data.expiryPolicy] - refund o forfeit (por defecto LAYAWAY_EXPIRY_POLICY o refund)
+ * @param {string} [data.notes] - Observaciones
+ * @param {string} userId - Cajero
+ * @param {string[]} [permissions] - Permisos del cajero (precios por debajo de lista o costo)
+ * @returns {Promise<Object>} Plan separe con paid y balance
+ * @throws {LayawayError|CashSessionError}
+ */
+const createLayaway = async (prisma, {
+  customerId, items, deposit, termDays, expiryPolicy, notes
+}, userId, permissions = []) => {
+  const cashSession = await requireOpenSession(prisma, userId);
+
+  const customer = await prisma.customer.findUnique({ where: { id: customerId } });
+  if (!customer) {
+    throw new LayawayError('Customer not found', 'CUSTOMER_NOT_FOUND');
+  }
+
+  const {
+    lines, subtotal, taxAmount, totalAmount
+  } = await priceItems(prisma, customer, items, permissions);
+
+  const minimum = round(totalAmount * MIN_DEPOSIT_PERCENT / 100);
+  if (round(deposit.amount) < minimum) {
+    throw new LayawayError(
+      `The initial deposit must be at least ${minimum} (${MIN_DEPOSIT_PERCENT}% of ${totalAmount})`,
+      'DEPOSIT_TOO_LOW'
+    );
+  }
+  validateDeposit(deposit, totalAmount);
+
+  const layaway = await prisma.$transaction(async (tx) => {
+    const layawayNumber = await nextLayawayNumber(tx);
+    return tx.layaway.create({
+      data: {
+        layawayNumber,
+        customerId,
+        expiresAt: new Date(Date.now() + (termDays || DEFAULT_TERM_DAYS) * 24 * 60 * 60 * 1000),
+        expiryPolicy: expiryPolicy || DEFAULT_EXPIRY_POLICY,
+        subtotal,
+        taxAmount,
+        totalAmount,
+        notes,
+        userId,
+        items: { create: lines },
+        payments: {
+          create: {
+            method: deposit.method,
+            amount: round(deposit.amount),
+            reference: deposit.reference,
+            notes: `Abono inicial plan separe ${layawayNumber}`,
+            cashSessionId: cashSession.id
+          }
+        }
+      },
+      include: LAYAWAY_INCLUDE
+    });
+  });
+
+  logger.info(`Layaway ${layaway.layawayNumber} opened for ${customer.name}: ${totalAmount}, `
+    + `deposit ${deposit.amount}, due ${layaway.expiresAt.toISOString().slice(0, 10)}`);
+  return withBalance(layaway);
+};
+
+/**
+ * Registrar un abono a un plan separe activo
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} id - Plan separe
+ * @param {{ method, amount, reference }} deposit - Abono recibido en la caja
+ * @param {string} userId - Cajero
+ * @returns {Promise<Object>} Plan separe con paid y balance
+ * @throws {LayawayError} LAYAWAY_CLOSED, INVALID_TENDER o DEPOSIT_EXCEEDS_BALANCE
+ */
+const addDeposit = async (prisma, id, { method, amount, reference }, userId) => {
+  const cashSession = await requireOpenSession(prisma, userId);
+  const layaway = await findLayaway(prisma, id);
+  assertActive(layaway);
+  validateDeposit({ method, amount }, layaway.balance);
+
+  await prisma.payment.create({
+    data: {
+      layawayId: id,
+      method,
+      amount: round(amount),
+      reference,
+      notes: `Abono plan separe ${layaway.layawayNumber}`,
+      cashSessionId: cashSession.id
+    }
+  });
+
+  const updated = await findLayaway(prisma, id);
+  logger.info(`Deposit of ${amount} on layaway ${layaway.layawayNumber}, balance ${updated.balance}`);
+  return updated;
+};
+
+/**
+ * Devolver en efectivo lo abonado y cerrar el plan como refunded
+ *
+ * @throws {CashSessionError} CASH_SESSION_REQUIRED o INSUFFICIENT_CASH
+ */
+const refundDeposits = async (prisma, layaway, fromStatus, userId) => {
+  let cashSession = null;
+  if (layaway.paid > 0) {
+    cashSession = await requireOpenSession(prisma, userId);
+    const { expected } = await summarizeSession(prisma, cashSession);
+    if (layaway.paid > expected.cash) {
+      throw new CashSessionError(`Not enough cash in the register: ${expected.cash} available`, 'INSUFFICIENT_CASH');
+    }
+  }
+
+  const now = new Date();
+  const { count } = await prisma.layaway.updateMany({
+    where: { id: layaway.id, status: fromStatus },
+    data: {
+      status: 'refunded',
+      refundAmount: layaway.paid,
+      refundedAt: now,
+      refundCashSessionId: cashSession ? cashSession.id : null,
+      closedAt: now
+    }
+  });
+  if (count === 0) {
+    throw new LayawayError(`Layaway ${layaway.layawayNumber} was already closed`, 'LAYAWAY_CLOSED', 409);
+  }
+};
+
+/**
+ * Anular un plan separe activo a pedido del cliente, liberando sus unidades
+ *
+ * Con política refund los abonos se devuelven en efectivo en el acto; con
+ * forfeit quedan en poder del almacén.
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} id - Plan separe
+ * @param {{ reason }} data - Motivo
+ * @param {string} userId - Cajero
+ * @returns {Promise<Object>} Plan separe cerrado
+ * @throws {LayawayError|CashSessionError}
+ */
+const cancelLayaway = async (prisma, id, { reason }, userId) => {
+  const layaway = await findLayaway(prisma, id);
+  assertActive(layaway);
+
+  if (layaway.expiryPolicy === 'refund') {
+    await refundDeposits(prisma, layaway, 'active', userId);
+  } else {
+    const { count } = await prisma.layaway.updateMany({
+      where: { id, status: 'active' },
+      data: { status: 'forfeited', closedAt: new Date() }
+    });
+    if (count === 0) {
+      throw new LayawayError(`Layaway ${layaway.layawayNumber} was already closed`, 'LAYAWAY_CLOSED', 409);
+    }
+  }
+
+  if (reason) {
+    await prisma.layaway.update({
+      where: { id },
+      data: { notes: [layaway.notes, `Anulado: ${reason}`].filter(Boolean).join('\n') }
+    });
+  }
+
+  logger.info(`Layaway ${layaway.layawayNumber} cancelled by user ${userId} `
+    + `(${layaway.expiryPolicy === 'refund' ? `refunded ${layaway.paid}` : `forfeited ${layaway.paid}`})`);
+  return findLayaway(prisma, id);
+};
+
+/**
+ * Pagar la devolución de los abonos de un plan vencido con política refund
+ *
+ * @throws {LayawayError} LAYAWAY_NOT_REFUNDABLE si no está vencido pendiente de devolución
+ */
+const refundLayaway = async (prisma, id, userId) => {
+  const layaway = await findLayaway(prisma, id);
+  if (layaway.status !== 'expired') {
+    throw new LayawayError(
+      `Layaway ${layaway.layawayNumber} is ${layaway.status}; only expired layaways await a refund`,
+      'LAYAWAY_NOT_REFUNDABLE',
+      409
+    );
+  }
+
+  await refundDeposits(prisma, layaway, 'expired', userId);
+  logger.info(`Layaway ${layaway.layawayNumber} deposits refunded: ${layaway.paid}`);
+  return findLayaway(prisma, id);
+};
+
+/**
+ * Plan separe que se va a convertir en venta (debe estar activo)
+ *
+ * @throws {LayawayError} LAYAWAY_NOT_FOUND o LAYAWAY_CLOSED
+ */
+const findConvertibleLayaway = async (prisma, id) => {
+  const layaway = await findLayaway(prisma, id);
+  assertActive(layaway);
+  return layaway;
+};
+
+/**
+ * Cerrar el plan separe con la venta que lo convirtió (dentro de su
+ * transacción) y pasarle sus abonos
+ *
+ * @param {Object} prisma - Transacción
+ * @param {string} id - Plan separe
+ * @param {Object} data
+ * @param {string} data.saleId - Venta
+ * @param {number} data.excess - Abonado de más que se devuelve como cambio
+ * @param {string} data.cashSessionId - Turno que entrega el cambio
+ * @throws {LayawayError} LAYAWAY_CLOSED si otra caja ya lo cerró
+ */
+const completeLayaway = async (prisma, id, { saleId, excess, cashSessionId }) => {
+  const now = new Date();
+  const { count } = await prisma.layaway.updateMany({
+    where: { id, status: 'active' },
+    data: {
+      status: 'completed',
+      saleId,
+      closedAt: now,
+      ...(excess > 0 && { refundAmount: excess, refundedAt: now, refundCashSessionId: cashSessionId })
+    }
+  });
+  if (count === 0) {
+    throw new LayawayError('Layaway was already completed, cancelled or expired', 'LAYAWAY_CLOSED', 409);
+  }
+  await prisma.payment.updateMany({ where: { layawayId: id }, data: { saleId } });
+};
+
+/**
+ * Iniciar el worker node-cron que aplica los vencimientos (LAYAWAY_EXPIRY_CRON)
+ */
+const startLayawayExpiryWorker = (prisma, schedule = process.env.LAYAWAY_EXPIRY_CRON || '0 * * * *') => {
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid LAYAWAY_EXPIRY_CRON expression: ${schedule}`);
+    return null;
+  }
+
+  let running = false;
+  const task = cron.schedule(schedule, async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const { expired, forfeited } = await expireLayaways(prisma);
+      if (expired + forfeited > 0) {
+        logger.info(`Layaways expired: ${expired} awaiting refund, ${forfeited} forfeited`);
+      }
+    } catch (error) {
+      logger.error('Error expiring layaways:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info(`Layaway expiry worker scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = {
+  LAYAWAY_STATUSES,
+  EXPIRY_POLICIES,
+  DEPOSIT_METHODS,
+  MAX_TERM_DAYS,
+  LayawayError,
+  LAYAWAY_INCLUDE,
+  withBalance,
+  expireLayaways,
+  findLayaway,
+  createLayaway,
+  addDeposit,
+  cancelLayaway,
+  refundLayaway,
+  findConvertibleLayaway,
+  completeLayaway,
+  startLayawayExpiryWorker
+};
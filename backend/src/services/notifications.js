@@ -0,0 +1,60 @@
+/**
+ * Notificaciones internas del sistema
+ *
+ * Crea registros Notification de tipo SYSTEM dirigidos a los usuarios que
+ * tienen un permiso determinado (el destinatario es el id del usuario).
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * Verificar si una lista de permisos incluye el permiso solicitado
+ * (mismas reglas que el middleware requirePermission)
+ */
+const hasPermission = (permissions, permission) => {
+  const list = Array.isArray(permissions) ? permissions : [];
+  return list.includes('*')
+    || list.includes(permission)
+    || list.includes(`${permission.split('.')[0]}.*`);
+};
+
+/**
+ * Notificar a los usuarios activos que tienen un permiso
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} permission - Permiso requerido (ej: 'dian:update')
+ * @param {Object} notification
+ * @param {string} notification.subject
+ * @param {string} notification.message
+ * @param {Object} [notification.metadata]
+ * @returns {Promise<number>} Número de notificaciones creadas
+ */
+const notifyUsersWithPermission = async (prisma, permission, { subject, message, metadata = {} }) => {
+  const users = await prisma.user.findMany({
+    where: { isActive: true },
+    include: { role: true }
+  });
+
+  const recipients = users.filter((user) => user.role && hasPermission(user.role.permissions, permission));
+  if (recipients.length === 0) {
+    logger.warn(`No recipients with permission ${permission} for notification: ${subject}`);
+    return 0;
+  }
+
+  const result = await prisma.notification.createMany({
+    data: recipients.map((user) => ({
+      type: 'SYSTEM',
+      recipient: user.id,
+      subject,
+      message,
+      metadata
+    }))
+  });
+
+  return result.count;
+};
+
+module.exports = {
+  hasPermission,
+  notifyUsersWithPermission
+};
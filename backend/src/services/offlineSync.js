@@ -0,0 +1,220 @@
+/**
+ * Sincronización del POS sin conexión
+ *
+ * Cuando la sucursal pierde internet el POS sigue vendiendo con el catálogo,
+ * los precios y los clientes que guardó en IndexedDB, y encola las ventas con
+ * un ID generado en el navegador. Al volver la conexión las envía en lote:
+ * cada venta se registra con createSale a los precios que se cobraron, y el ID
+ * del cliente hace idempotente el reenvío (una venta ya registrada se devuelve
+ * como duplicada). Las que no se pueden registrar (existencias, precios,
+ * numeración DIAN, caja o crédito) vuelven como conflicto para que el cajero o
+ * un supervisor las resuelva, sin detener el resto del lote.
+ */
+
+const { SaleError, createSale } = require('./sales');
+const { CashSessionError } = require('./cashSessions');
+const { NumberingError } = require('./dian/numbering');
+const { PromotionError } = require('./promotions');
+const { CreditControlError } = require('./creditControl');
+const { hasPermission } = require('./notifications');
+const { resolveTaxClass, taxOfClass } = require('./taxes');
+const { reservedQuantities, withAvailability } = require('./stockReservations');
+const logger = require('../utils/logger');
+
+const MAX_BATCH_SIZE = 50;
+
+// Registering an offline sale with stock it no longer has leaves inventory negative
+const STOCK_SHORTAGE_PERMISSION = 'inventory:update';
+
+// Sale error codes that are not the cashier's input but a conflict with the server's data
+const CONFLICT_TYPES = {
+  INSUFFICIENT_STOCK: 'stock',
+  PRODUCT_NOT_FOUND: 'catalog',
+  CUSTOMER_NOT_FOUND: 'catalog',
+  PRICE_OVERRIDE_NOT_ALLOWED: 'price',
+  TOTAL_MISMATCH: 'price',
+  CUSTOMER_REQUIRED: 'credit'
+};
+
+const SALE_SUMMARY_SELECT = {
+  id: true, invoiceNumber: true, clientId: true, totalAmount: true, status: true, createdAt: true
+};
+
+/**
+ * Catálogo para trabajar sin conexión: productos activos con su impuesto y
+ * disponibilidad, clientes activos y listas de precios vigentes con sus escalas
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @returns {Promise<{ generatedAt: Date, products: Array, customers: Array, priceLists: Array }>}
+ */
+const buildOfflineCatalog = async (prisma) => {
+  const now = new Date();
+  const [products, customers, priceLists] = await Promise.all([
+    prisma.product.findMany({
+      where: { isActive: true },
+      include: {
+        category: { select: { id: true, name: true, taxClass: true } },
+        taxClass: true
+      },
+      orderBy: { name: 'asc' }
+    }),
+    prisma.customer.findMany({
+      where: { isActive: true },
+      include: { group: { select: { id: true, name: true, priceListId: true, isActive: true } } },
+      orderBy: { name: 'asc' }
+    }),
+    prisma.priceList.findMany({
+      where: {
+        isActive: true,
+        AND: [
+          { OR: [{ validFrom: null }, { validFrom: { lte: now } }] },
+          { OR: [{ validTo: null }, { validTo: { gte: now } }] }
+        ]
+      },
+      include: { items: { select: { productId: true, minQuantity: true, price: true } } }
+    })
+  ]);
+
+  const reserved = await reservedQuantities(prisma, products.map((product) => product.id));
+
+  return {
+    generatedAt: now,
+    products: products.map((product) => withAvailability(
+      { ...product, tax: taxOfClass(resolveTaxClass(product)) },
+      reserved
+    )),
+    customers,
+    priceLists
+  };
+};
+
+/**
+ * Clasificar el error de una venta sincronizada
+ *
+ * @returns {{ type: string, code: string, message: string, issues?: Array }|null} null si no es un conflicto
+ */
+const describeConflict = (error) => {
+  const conflict = { code: error.code, message: error.message, issues: error.issues };
+  if (error instanceof NumberingError) return { type: 'numbering', ...conflict };
+  if (error instanceof CashSessionError) return { type: 'cash_session', ...conflict };
+  if (error instanceof CreditControlError) return { type: 'credit', ...conflict };
+  if (error instanceof PromotionError) return { type: 'promotion', ...conflict };
+  if (error instanceof SaleError) return { type: CONFLICT_TYPES[error.code] || 'sale', ...conflict };
+  return null;
+};
+
+/**
+ * Registrar una venta del POS sin conexión (idempotente por clientId)
+ */
+const syncOfflineSale = async (prisma, entry, user) => {
+  const existing = await prisma.sale.findUnique({ where: { clientId: entry.clientId }, select: SALE_SUMMARY_SELECT });
+  if (existing) {
+    return { clientId: entry.clientId, status: 'duplicate', sale: existing };
+  }
+
+  if (entry.allowStockShortage && !hasPermission(user.permissions, STOCK_SHORTAGE_PERMISSION)) {
+    return {
+      clientId: entry.clientId,
+      status: 'conflict',
+      conflict: {
+        type: 'stock',
+        code: 'STOCK_SHORTAGE_NOT_ALLOWED',
+        message: `Registering a sale without stock requires the ${STOCK_SHORTAGE_PERMISSION} permission`
+      }
+    };
+  }
+
+  try {
+    const sale = await createSale(prisma, {
+      customerId: entry.customerId,
+      customerName: entry.customerName,
+      items: entry.items,
+      payments: entry.payments,
+      paymentMethod: entry.paymentMethod,
+      withholdingConcept: entry.withholdingConcept,
+      notes: entry.notes,
+      offline: {
+        clientId: entry.clientId,
+        createdAt: entry.createdAt ? new Date(entry.createdAt) : undefined,
+        expectedTotal: entry.expectedTotal,
+        allowStockShortage: Boolean(entry.allowStockShortage)
+      }
+    }, user.id, user.permissions);
+
+    return {
+      clientId: entry.clientId,
+      status: 'synced',
+      sale: {
+        id: sale.id,
+        invoiceNumber: sale.invoiceNumber,
+        clientId: sale.clientId,
+        totalAmount: sale.totalAmount,
+        status: sale.status,
+        createdAt: sale.createdAt,
+        change: sale.change,
+        creditAmount: sale.creditAmount
+      }
+    };
+  } catch (error) {
+    // Another register sent the same sale at the same time
+    if (error.code === 'P2002') {
+      const sale = await prisma.sale.findUnique({ where: { clientId: entry.clientId }, select: SALE_SUMMARY_SELECT });
+      if (sale) {
+        return { clientId: entry.clientId, status: 'duplicate', sale };
+      }
+    }
+
+    const conflict = describeConflict(error);
+    if (!conflict) {
+      logger.error(`Error syncing offline sale ${entry.clientId}:`, error);
+      return {
+        clientId: entry.clientId,
+        status: 'error',
+        conflict: { type: 'server', code: 'INTERNAL_ERROR', message: 'Internal server error' }
+      };
+    }
+    return { clientId: entry.clientId, status: 'conflict', conflict };
+  }
+};
+
+/**
+ * Sincronizar un lote de ventas hechas sin conexión
+ *
+ * Se registran en el orden en que se vendieron para que las existencias y los
+ * consecutivos sigan ese orden; una venta en conflicto no detiene las demás.
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Array} sales - Ventas encoladas (clientId, createdAt, líneas con el precio cobrado, pagos, expectedTotal)
+ * @param {{ id: string, permissions: string[] }} user - Cajero que sincroniza
+ * @returns {Promise<{ results: Array, summary: { synced: number, duplicates: number, conflicts: number, errors: number } }>}
+ */
+const syncOfflineSales = async (prisma, sales, user) => {
+  const ordered = [...sales].sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+
+  const results = [];
+  for (const entry of ordered) {
+    results.push(await syncOfflineSale(prisma, entry, user));
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const summary = {
+    synced: count('synced'),
+    duplicates: count('duplicate'),
+    conflicts: count('conflict'),
+    errors: count('error')
+  };
+  if (summary.conflicts > 0 || summary.errors > 0) {
+    logger.warn(`Offline sync by user ${user.id}: ${summary.synced} synced, ${summary.conflicts} conflicts, `
+      + `${summary.errors} errors: ${results.filter((result) => result.conflict)
+        .map((result) => `${result.clientId} ${result.conflict.code}`).join('; ')}`);
+  }
+
+  return { results, summary };
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  STOCK_SHORTAGE_PERMISSION,
+  buildOfflineCatalog,
+  syncOfflineSales
+};
@@ -0,0 +1,293 @@
+/**
+ * Ventas en espera (tiquetes parqueados)
+ *
+ * En temporada de cosecha el cajero deja un tiquete en espera mientras el
+ * cliente carga el camión y atiende al siguiente. El tiquete guarda cliente,
+ * cupón y líneas con una etiqueta y un vencimiento, y se puede recuperar y
+ * cobrar desde cualquier caja.
+ *
+ * Sus unidades quedan reservadas (ver stockReservations): no se descuentan del
+ * inventario, pero las demás ventas no las pueden vender. Un tiquete vencido
+ * libera sus unidades de inmediato; el worker solo lo marca como vencido.
+ */
+
+const cron = require('node-cron');
+const { findOpenSession } = require('./cashSessions');
+const { reservedQuantities } = require('./stockReservations');
+const logger = require('../utils/logger');
+
+const PARKED_SALE_STATUSES = ['parked', 'completed', 'cancelled', 'expired'];
+
+const DEFAULT_TTL_MINUTES = Number(process.env.PARKED_SALE_TTL_MINUTES) || 120;
+
+const MAX_TTL_MINUTES = 24 * 60;
+
+/**
+ * Error de venta en espera (vencida, ya cobrada, sin existencias...)
+ */
+class ParkedSaleError extends Error {
+  constructor(message, code, statusCode = 400, issues = undefined) {
+    super(message);
+    this.name = 'ParkedSaleError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.issues = issues;
+  }
+}
+
+const PARKED_SALE_INCLUDE = {
+  customer: { select: { id: true, name: true, taxId: true } },
+  user: { select: { id: true, username: true, firstName: true, lastName: true } },
+  items: {
+    include: {
+      product: { select: { id: true, code: true, name: true, price: true, stock: true } }
+    }
+  },
+  sale: { select: { id: true, invoiceNumber: true } }
+};
+
+// Tiquetes cuyas unidades siguen reservadas
+const activeWhere = (date = new Date()) => ({ status: 'parked', expiresAt: { gt: date } });
+
+const expiryFrom = (minutes) => new Date(Date.now() + (minutes || DEFAULT_TTL_MINUTES) * 60 * 1000);
+
+/**
+ * Marcar como vencidos los tiquetes en espera cuyo plazo ya pasó
+ */
+const expireParkedSales = (prisma, date = new Date()) => prisma.parkedSale.updateMany({
+  where: { status: 'parked', expiresAt: { lte: date } },
+  data: { status: 'expired' }
+});
+
+/**
+ * Buscar un tiquete por id (con vencimiento aplicado)
+ *
+ * @throws {ParkedSaleError} PARKED_SALE_NOT_FOUND
+ */
+const findParkedSale = async (prisma, id) => {
+  await expireParkedSales(prisma);
+  const parkedSale = await prisma.parkedSale.findUnique({ where: { id }, include: PARKED_SALE_INCLUDE });
+  if (!parkedSale) {
+    throw new ParkedSaleError('Parked sale not found', 'PARKED_SALE_NOT_FOUND', 404);
+  }
+  return parkedSale;
+};
+
+/**
+ * Verificar que los productos existan y que haya unidades sin reservar
+ *
+ * @throws {ParkedSaleError} PRODUCT_NOT_FOUND o INSUFFICIENT_STOCK (con los faltantes en issues)
+ */
+const checkAvailability = async (prisma, items, exceptId) => {
+  const requested = items.reduce(
+    (quantities, item) => quantities.set(item.productId, (quantities.get(item.productId) || 0) + item.quantity),
+    new Map()
+  );
+  const productIds = [...requested.keys()];
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds } },
+    select: { id: true, name: true, stock: true }
+  });
+
+  const missing = productIds.find((productId) => !products.some((product) => product.id === productId));
+  if (missing) {
+    throw new ParkedSaleError(`Product ${missing} not found`, 'PRODUCT_NOT_FOUND');
+  }
+
+  const reserved = await reservedQuantities(prisma, productIds, { parkedSaleId: exceptId });
+  const shortages = products
+    .map((product) => ({
+      productId: product.id,
+      name: product.name,
+      quantity: requested.get(product.id),
+      stock: product.stock,
+      reserved: reserved.get(product.id) || 0,
+      available: product.stock - (reserved.get(product.id) || 0)
+    }))
+    .filter((line) => line.available < line.quantity);
+  if (shortages.length > 0) {
+    throw new ParkedSaleError(
+      `Insufficient stock for ${shortages.map((line) => `${line.name} (available ${line.available})`).join(', ')}`,
+      'INSUFFICIENT_STOCK',
+      409,
+      shortages
+    );
+  }
+};
+
+const toItems = (items) => items.map((item) => ({
+  productId: item.productId,
+  quantity: item.quantity,
+  unitPrice: item.unitPrice !== undefined && item.unitPrice !== null ? item.unitPrice : null
+}));
+
+/**
+ * Dejar una venta en espera reservando sus unidades
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} data
+ * @param {string} data.label - Etiqueta del tiquete
+ * @param {string} [data.customerId] - Cliente registrado
+ * @param {string} [data.customerName] - Nombre si no está registrado
+ * @param {string} [data.couponCode] - Cupón digitado
+ * @param {string} [data.notes] - Observaciones
+ * @param {Array<{ productId, quantity, unitPrice }>} data.items - Líneas
+ * @param {number} [data.expiresInMinutes] - Plazo de la reserva (por defecto PARKED_SALE_TTL_MINUTES o 120)
+ * @param {string} userId - Cajero
+ * @returns {Promise<Object>} Tiquete en espera
+ * @throws {ParkedSaleError} CUSTOMER_NOT_FOUND, PRODUCT_NOT_FOUND o INSUFFICIENT_STOCK
+ */
+const parkSale = async (prisma, {
+  label, customerId, customerName, couponCode, notes, items, expiresInMinutes
+}, userId) => {
+  if (customerId) {
+    const customer = await prisma.customer.findUnique({ where: { id: customerId } });
+    if (!customer) {
+      throw new ParkedSaleError('Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+  }
+
+  await checkAvailability(prisma, items);
+  const session = await findOpenSession(prisma, userId);
+
+  const parkedSale = await prisma.parkedSale.create({
+    data: {
+      label,
+      customerId: customerId || null,
+      customerName,
+      couponCode: couponCode || null,
+      notes,
+      expiresAt: expiryFrom(expiresInMinutes),
+      register: session ? session.register : null,
+      userId,
+      items: { create: toItems(items) }
+    },
+    include: PARKED_SALE_INCLUDE
+  });
+
+  logger.info(`Sale parked: ${label} with ${items.length} lines until ${parkedSale.expiresAt.toISOString()}`);
+  return parkedSale;
+};
+
+/**
+ * Modificar un tiquete en espera; si cambian las líneas se vuelven a reservar
+ * y si se indica un plazo se cuenta desde ahora
+ *
+ * @throws {ParkedSaleError} PARKED_SALE_CLOSED, CUSTOMER_NOT_FOUND, PRODUCT_NOT_FOUND o INSUFFICIENT_STOCK
+ */
+const updateParkedSale = async (prisma, id, {
+  label, customerId, customerName, couponCode, notes, items, expiresInMinutes
+}) => {
+  const parkedSale = await findParkedSale(prisma, id);
+  if (parkedSale.status !== 'parked') {
+    throw new ParkedSaleError(`Parked sale is ${parkedSale.status} and cannot be modified`, 'PARKED_SALE_CLOSED', 409);
+  }
+
+  if (customerId) {
+    const customer = await prisma.customer.findUnique({ where: { id: customerId } });
+    if (!customer) {
+      throw new ParkedSaleError('Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+  }
+  if (items) {
+    await checkAvailability(prisma, items, id);
+  }
+
+  const data = {
+    label, customerId, customerName, couponCode, notes
+  };
+  if (expiresInMinutes) {
+    data.expiresAt = expiryFrom(expiresInMinutes);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    if (items) {
+      await tx.parkedSaleItem.deleteMany({ where: { parkedSaleId: id } });
+      data.items = { create: toItems(items) };
+    }
+    return tx.parkedSale.update({ where: { id }, data, include: PARKED_SALE_INCLUDE });
+  });
+};
+
+/**
+ * Anular un tiquete en espera, liberando sus unidades
+ *
+ * @throws {ParkedSaleError} PARKED_SALE_CLOSED
+ */
+const cancelParkedSale = async (prisma, id, userId) => {
+  const parkedSale = await findParkedSale(prisma, id);
+  if (parkedSale.status !== 'parked') {
+    throw new ParkedSaleError(`Parked sale is ${parkedSale.status} and cannot be cancelled`, 'PARKED_SALE_CLOSED', 409);
+  }
+
+  const cancelled = await prisma.parkedSale.update({
+    where: { id },
+    data: { status: 'cancelled' },
+    include: PARKED_SALE_INCLUDE
+  });
+
+  logger.info(`Parked sale ${parkedSale.label} cancelled by user ${userId}`);
+  return cancelled;
+};
+
+/**
+ * Tomar un tiquete en espera para la venta que lo cobra (dentro de su transacción)
+ *
+ * Solo uno de los cajeros que lo hayan recuperado puede cobrarlo.
+ *
+ * @throws {ParkedSaleError} PARKED_SALE_CLOSED si ya se cobró, se anuló o venció
+ */
+const completeParkedSale = async (prisma, id, saleId) => {
+  const { count } = await prisma.parkedSale.updateMany({
+    where: { id, ...activeWhere() },
+    data: { status: 'completed', saleId }
+  });
+  if (count === 0) {
+    throw new ParkedSaleError('Parked sale was already completed, cancelled or expired', 'PARKED_SALE_CLOSED', 409);
+  }
+};
+
+/**
+ * Iniciar el worker node-cron que marca los tiquetes vencidos (PARKED_SALES_EXPIRY_CRON)
+ */
+const startParkedSaleExpiryWorker = (prisma, schedule = process.env.PARKED_SALES_EXPIRY_CRON || '*/5 * * * *') => {
+  if (!cron.validate(schedule)) {
+    logger.error(`Invalid PARKED_SALES_EXPIRY_CRON expression: ${schedule}`);
+    return null;
+  }
+
+  let running = false;
+  const task = cron.schedule(schedule, async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const { count } = await expireParkedSales(prisma);
+      if (count > 0) {
+        logger.info(`Parked sales expired: ${count}, reservations released`);
+      }
+    } catch (error) {
+      logger.error('Error expiring parked sales:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  logger.info(`Parked sale expiry worker scheduled (${schedule})`);
+  return task;
+};
+
+module.exports = {
+  PARKED_SALE_STATUSES,
+  MAX_TTL_MINUTES,
+  ParkedSaleError,
+  PARKED_SALE_INCLUDE,
+  expireParkedSales,
+  findParkedSale,
+  parkSale,
+  updateParkedSale,
+  cancelParkedSale,
+  completeParkedSale,
+  startParkedSaleExpiryWorker
+};
@@ -0,0 +1,112 @@
+/**
+ * Listas de precios y escalas por volumen
+ *
+ * El precio de venta se resuelve en el servidor: primero la lista propia del
+ * cliente, luego la de su grupo (mayorista, cooperativa...) y por último la
+ * lista por defecto; si ninguna tiene el producto se usa el precio del
+ * producto. Dentro de una lista rige la escala de mayor cantidad mínima que
+ * alcance la cantidad de la línea.
+ *
+ * Vender por debajo del precio de lista o del costo queda marcado en la línea
+ * y requiere el permiso sales:price-override.
+ */
+
+const { hasPermission } = require('./notifications');
+const { round } = require('../utils/money');
+
+const PRICE_OVERRIDE_PERMISSION = 'sales:price-override';
+
+/**
+ * Listas activas y vigentes que aplican a un cliente, en orden de prioridad
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object|null} customer - Cliente (con groupId y priceListId) o null
+ * @param {Date} [date] - Fecha de la venta
+ * @returns {Promise<Array>} Listas con sus escalas
+ */
+const findApplicableLists = async (prisma, customer, date = new Date()) => {
+  const group = customer && customer.groupId
+    ? await prisma.customerGroup.findUnique({ where: { id: customer.groupId } })
+    : null;
+
+  const lists = await prisma.priceList.findMany({
+    where: {
+      isActive: true,
+      AND: [
+        { OR: [{ validFrom: null }, { validFrom: { lte: date } }] },
+        { OR: [{ validTo: null }, { validTo: { gte: date } }] }
+      ]
+    },
+    include: { items: true }
+  });
+
+  const byId = (id) => lists.find((list) => list.id === id);
+  return [
+    customer && customer.priceListId ? byId(customer.priceListId) : null,
+    group && group.isActive && group.priceListId ? byId(group.priceListId) : null,
+    ...lists.filter((list) => list.isDefault)
+  ].filter(Boolean);
+};
+
+/**
+ * Precio de un producto para una cantidad según las listas aplicables
+ *
+ * @param {Array} lists - Resultado de findApplicableLists
+ * @param {Object} product - Producto (price)
+ * @param {number} quantity - Cantidad de la línea
+ * @returns {{ price: number, priceListId: string|null, priceListName: string|null, minQuantity: number|null }}
+ */
+const resolvePrice = (lists, product, quantity) => {
+  for (const list of lists) {
+    const tier = list.items
+      .filter((item) => item.productId === product.id && item.minQuantity <= quantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    if (tier) {
+      return {
+        price: Number(tier.price),
+        priceListId: list.id,
+        priceListName: list.name,
+        minQuantity: tier.minQuantity
+      };
+    }
+  }
+  return { price: Number(product.price), priceListId: null, priceListName: null, minQuantity: null };
+};
+
+/**
+ * Resolver de precios para un cliente (carga las listas una sola vez)
+ *
+ * @returns {Promise<Function>} (product, quantity) => resolvePrice(...)
+ */
+const createPriceResolver = async (prisma, customer, date) => {
+  const lists = await findApplicableLists(prisma, customer, date);
+  return (product, quantity) => resolvePrice(lists, product, quantity);
+};
+
+/**
+ * Marca de un precio manual: BELOW_COST si no cubre el costo, BELOW_LIST si
+ * es menor que el de lista, o null
+ */
+const priceOverrideFlag = ({ unitPrice, listPrice, cost }) => {
+  if (cost !== null && cost !== undefined && round(unitPrice) < round(cost)) {
+    return 'BELOW_COST';
+  }
+  if (round(unitPrice) < round(listPrice)) {
+    return 'BELOW_LIST';
+  }
+  return null;
+};
+
+/**
+ * Verificar si el usuario puede vender por debajo del precio de lista o del costo
+ */
+const canOverridePrice = (permissions) => hasPermission(permissions, PRICE_OVERRIDE_PERMISSION);
+
+module.exports = {
+  PRICE_OVERRIDE_PERMISSION,
+  findApplicableLists,
+  resolvePrice,
+  createPriceResolver,
+  priceOverrideFlag,
+  canOverridePrice
+};
@@ -0,0 +1,257 @@
+/**
+ * Promociones y descuentos de las ventas
+ *
+ * Tipos de promoción:
+ * - PERCENTAGE: porcentaje de descuento sobre las líneas
+ * - AMOUNT: valor fijo de descuento por unidad
+ * - BUY_X_GET_Y: por cada buyQuantity + getQuantity unidades de un producto,
+ *   getQuantity llevan value % de descuento (100 = gratis)
+ * - COMBO: los productos de la promoción, en sus cantidades, por value
+ *
+ * El alcance son los productos de la promoción, o toda una categoría
+ * (campañas de temporada), o todos los productos. Las que tienen couponCode
+ * solo aplican si se digita el cupón.
+ *
+ * Se evalúan de mayor a menor prioridad (a igual prioridad, la que más
+ * descuenta). Una promoción no acumulable solo aplica a líneas sin otra
+ * promoción; una acumulable, a líneas cuyas promociones también lo son, sobre
+ * el valor que queda después de ellas. La exclusividad es por línea: un combo
+ * o un lleve X pague Y ocupa la línea completa aunque no use todas sus
+ * unidades.
+ */
+
+const { round } = require('../utils/money');
+
+const PROMOTION_TYPES = ['PERCENTAGE', 'AMOUNT', 'BUY_X_GET_Y', 'COMBO'];
+
+/**
+ * Error de promoción o cupón
+ */
+class PromotionError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'PromotionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const sum = (values) => round(values.reduce((total, value) => total + Number(value), 0));
+
+const normalizeCoupon = (code) => String(code).trim().toUpperCase();
+
+const isExhausted = (promotion) => (
+  promotion.usageLimit !== null && promotion.usageLimit !== undefined && promotion.usageCount >= promotion.usageLimit
+);
+
+/**
+ * Promociones activas y vigentes en una fecha, con sus productos
+ */
+const findActivePromotions = (prisma, date = new Date()) => prisma.promotion.findMany({
+  where: {
+    isActive: true,
+    startsAt: { lte: date },
+    OR: [{ endsAt: null }, { endsAt: { gte: date } }]
+  },
+  include: { products: true }
+});
+
+const inScope = (promotion, line) => {
+  if (promotion.products.length > 0) {
+    return promotion.products.some((product) => product.productId === line.productId);
+  }
+  if (promotion.categoryId) {
+    return line.categoryId === promotion.categoryId;
+  }
+  return true;
+};
+
+/**
+ * Descuento que una promoción daría sobre las líneas disponibles
+ *
+ * @param {Object} promotion - Promoción con sus productos
+ * @param {Array<{ index, productId, categoryId, quantity, net }>} lines - Líneas con su valor pendiente
+ * @returns {Map<number, number>} Descuento por índice de línea
+ */
+const evaluatePromotion = (promotion, lines) => {
+  const discounts = new Map();
+  const matching = lines.filter((line) => inScope(promotion, line));
+  if (matching.length === 0) {
+    return discounts;
+  }
+  if (promotion.minSubtotal !== null && promotion.minSubtotal !== undefined
+    && sum(matching.map((line) => line.net)) < Number(promotion.minSubtotal)) {
+    return discounts;
+  }
+
+  const value = Number(promotion.value);
+  const unitValue = (line) => line.net / line.quantity;
+
+  switch (promotion.type) {
+    case 'PERCENTAGE':
+      matching.forEach((line) => discounts.set(line.index, round(line.net * value / 100)));
+      break;
+    case 'AMOUNT':
+      matching.forEach((line) => discounts.set(line.index, Math.min(line.net, round(value * line.quantity))));
+      break;
+    case 'BUY_X_GET_Y': {
+      const setSize = promotion.buyQuantity + promotion.getQuantity;
+      matching.forEach((line) => {
+        const discounted = Math.floor(line.quantity / setSize) * promotion.getQuantity;
+        discounts.set(line.index, Math.min(line.net, round(discounted * unitValue(line) * value / 100)));
+      });
+      break;
+    }
+    case 'COMBO': {
+      const parts = promotion.products.map((part) => ({
+        part,
+        line: matching.find((line) => line.productId === part.productId)
+      }));
+      if (parts.some(({ line }) => !line)) {
+        break;
+      }
+      const combos = Math.min(...parts.map(({ part, line }) => Math.floor(line.quantity / part.quantity)));
+      const regular = parts.map(({ part, line }) => round(part.quantity * combos * unitValue(line)));
+      const regularTotal = sum(regular);
+      const total = round(regularTotal - value * combos);
+      if (combos === 0 || total <= 0) {
+        break;
+      }
+      // The combo discount is spread over its lines by their share of the regular price
+      let allocated = 0;
+      parts.forEach(({ line }, index) => {
+        const share = index === parts.length - 1
+          ? round(total - allocated)
+          : round(total * regular[index] / regularTotal);
+        allocated = round(allocated + share);
+        discounts.set(line.index, Math.min(line.net, share));
+      });
+      break;
+    }
+    default:
+      break;
+  }
+
+  [...discounts].forEach(([index, amount]) => amount <= 0 && discounts.delete(index));
+  return discounts;
+};
+
+/**
+ * Aplicar las promociones a las líneas de una venta
+ *
+ * @param {Array} promotions - Promociones vigentes (findActivePromotions)
+ * @param {Array<{ productId, categoryId, quantity, unitPrice, eligible }>} items - Líneas; las que
+ *   tienen eligible en false (precio digitado a mano) no reciben promociones
+ * @param {string} [couponCode] - Cupón digitado
+ * @returns {{ lines: Array<{ discount: number, promotions: Array<{ promotionId, name, amount }> }>, coupon: Object|null }}
+ * @throws {PromotionError} INVALID_COUPON, COUPON_EXHAUSTED o COUPON_NOT_APPLICABLE
+ */
+const applyPromotions = (promotions, items, couponCode) => {
+  const lines = items.map((item, index) => ({
+    index,
+    productId: item.productId,
+    categoryId: item.categoryId,
+    quantity: item.quantity,
+    net: round(item.quantity * item.unitPrice),
+    eligible: item.eligible !== false,
+    applied: []
+  }));
+
+  let coupon = null;
+  if (couponCode) {
+    coupon = promotions.find((promotion) => (
+      promotion.couponCode && normalizeCoupon(promotion.couponCode) === normalizeCoupon(couponCode)
+    ));
+    if (!coupon) {
+      throw new PromotionError(`Coupon ${couponCode} is not valid or has expired`, 'INVALID_COUPON');
+    }
+    if (isExhausted(coupon)) {
+      throw new PromotionError(`Coupon ${couponCode} has reached its usage limit`, 'COUPON_EXHAUSTED', 409);
+    }
+  }
+
+  const eligible = lines.filter((line) => line.eligible);
+  const ordered = promotions
+    .filter((promotion) => (!promotion.couponCode || promotion === coupon) && !isExhausted(promotion))
+    .map((promotion) => ({ promotion, estimate: sum([...evaluatePromotion(promotion, eligible).values()]) }))
+    .sort((a, b) => b.promotion.priority - a.promotion.priority || b.estimate - a.estimate)
+    .map(({ promotion }) => promotion);
+
+  ordered.forEach((promotion) => {
+    const available = eligible.filter((line) => line.net > 0 && (promotion.stackable
+      ? line.applied.every((applied) => applied.stackable)
+      : line.applied.length === 0));
+
+    evaluatePromotion(promotion, available).forEach((amount, index) => {
+      const line = lines[index];
+      line.net = round(line.net - amount);
+      line.applied.push({
+        promotionId: promotion.id, name: promotion.name, stackable: promotion.stackable, amount
+      });
+    });
+  });
+
+  if (coupon && !lines.some((line) => line.applied.some((applied) => applied.promotionId === coupon.id))) {
+    throw new PromotionError(`Coupon ${couponCode} does not apply to the products of this sale`, 'COUPON_NOT_APPLICABLE');
+  }
+
+  return {
+    lines: lines.map((line) => ({
+      discount: sum(line.applied.map((applied) => applied.amount)),
+      promotions: line.applied.map(({ promotionId, name, amount }) => ({ promotionId, name, amount }))
+    })),
+    coupon
+  };
+};
+
+/**
+ * Registrar el uso de las promociones aplicadas en una venta
+ *
+ * Se llama dentro de la transacción de la venta. El límite se compara en el
+ * mismo UPDATE que suma el uso, así dos ventas simultáneas que vieron la
+ * promoción disponible no pueden pasar de usageLimit.
+ *
+ * @param {Object} tx - Cliente Prisma de la transacción
+ * @param {Array<{ promotionId, name }>} applied - Promociones aplicadas, sin repetir
+ * @param {Object|null} coupon - Promoción del cupón digitado
+ * @throws {PromotionError} COUPON_EXHAUSTED o PROMOTION_EXHAUSTED
+ */
+const recordPromotionUses = async (tx, applied, coupon) => {
+  for (const { promotionId, name } of applied) {
+    const { count } = await tx.promotion.updateMany({
+      where: {
+        id: promotionId,
+        OR: [{ usageLimit: null }, { usageCount: { lt: tx.promotion.fields.usageLimit } }]
+      },
+      data: { usageCount: { increment: 1 } }
+    });
+    if (count > 0) {
+      continue;
+    }
+    if (coupon && coupon.id === promotionId) {
+      throw new PromotionError(`Coupon ${coupon.couponCode} has reached its usage limit`, 'COUPON_EXHAUSTED', 409);
+    }
+    throw new PromotionError(`Promotion ${name} has reached its usage limit`, 'PROMOTION_EXHAUSTED', 409);
+  }
+};
+
+/**
+ * Cargar las promociones vigentes y aplicarlas a las líneas de una venta
+ *
+ * @see applyPromotions
+ */
+const resolvePromotions = async (prisma, items, couponCode, date) => {
+  const promotions = await findActivePromotions(prisma, date);
+  return applyPromotions(promotions, items, couponCode);
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  PromotionError,
+  normalizeCoupon,
+  findActivePromotions,
+  evaluatePromotion,
+  applyPromotions,
+  resolvePromotions,
+  recordPromotionUses
+};
@@ -0,0 +1,314 @@
+/**
+ * Importación de facturas electrónicas de proveedores como compras
+ *
+ * La factura UBL se asocia al proveedor por NIT y cada línea a un producto por
+ * el código guardado para ese proveedor (SupplierProductCode) o por código de
+ * barras / código interno. La compra queda en borrador; las líneas sin
+ * producto pasan a la cola de revisión (PurchaseImportLine) y al resolverlas
+ * se guarda el código del proveedor para las siguientes importaciones.
+ */
+
+const { getActiveConfig, splitNit } = require('./dian/config');
+const { readReceivedInvoice } = require('./dian/attachedDocument');
+const { calculateWithholdings, withholdingTotal } = require('./withholdings');
+const { round } = require('../utils/money');
+const logger = require('../utils/logger');
+
+/**
+ * Error de importación (proveedor desconocido, factura duplicada, línea ya revisada...)
+ */
+class PurchaseImportError extends Error {
+  constructor(message, code, statusCode = 422, details = undefined) {
+    super(message);
+    this.name = 'PurchaseImportError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Tributo de una línea de la factura (IVA o INC); sin tributo el bien es excluido
+ */
+const lineTax = (line) => {
+  const tax = line.taxSubtotals.find((subtotal) => ['01', '04'].includes(subtotal.code));
+  return tax
+    ? { taxCode: tax.code, taxPercent: tax.percent, taxAmount: tax.taxAmount }
+    : { taxCode: null, taxPercent: 0, taxAmount: 0 };
+};
+
+/**
+ * Buscar el proveedor por NIT (con o sin dígito de verificación)
+ */
+const findSupplierByNit = (prisma, nit) => prisma.supplier.findFirst({
+  where: {
+    OR: [{ taxId: nit }, { taxId: { startsWith: `${nit}-` } }]
+  }
+});
+
+/**
+ * Producto de una línea: código guardado del proveedor, luego código de barras o código interno
+ */
+const matchProduct = async (prisma, supplierId, line) => {
+  if (line.sellersItemId) {
+    const mapping = await prisma.supplierProductCode.findUnique({
+      where: { supplierId_supplierCode: { supplierId, supplierCode: line.sellersItemId } }
+    });
+    if (mapping) {
+      return mapping.productId;
+    }
+  }
+
+  const codes = [line.standardItemId, line.sellersItemId].filter(Boolean);
+  if (codes.length === 0) {
+    return null;
+  }
+
+  const product = await prisma.product.findFirst({
+    where: {
+      OR: [{ barcode: { in: codes } }, { code: { in: codes } }]
+    },
+    select: { id: true }
+  });
+  return product ? product.id : null;
+};
+
+/**
+ * Importar la factura electrónica de un proveedor como compra en borrador
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} file
+ * @param {Buffer} file.buffer - ZIP del AttachedDocument o XML
+ * @param {string} file.fileName - Nombre original del archivo
+ * @param {string} userId - Usuario que importa
+ * @returns {Promise<{ purchase: Object, matched: number, pendingLines: Object[], dianValidation: Object|null }>}
+ * @throws {PurchaseImportError|ReceivedDocumentError}
+ */
+const importSupplierInvoice = async (prisma, { buffer, fileName }, userId) => {
+  const { invoice, validation } = await readReceivedInvoice(buffer, fileName);
+
+  if (validation && !validation.accepted) {
+    throw new PurchaseImportError(
+      `Invoice ${invoice.id} was not validated by DIAN: ${validation.description}`,
+      'INVOICE_NOT_VALIDATED'
+    );
+  }
+
+  const config = await getActiveConfig(prisma);
+  if (config && invoice.customer.nit !== splitNit(config.taxId).number) {
+    throw new PurchaseImportError(
+      `Invoice ${invoice.id} is addressed to NIT ${invoice.customer.nit}, not to this company`,
+      'INVOICE_NOT_ADDRESSED_TO_COMPANY'
+    );
+  }
+
+  const supplier = await findSupplierByNit(prisma, invoice.supplier.nit);
+  if (!supplier) {
+    throw new PurchaseImportError(
+      `No supplier registered with NIT ${invoice.supplier.nit}`,
+      'SUPPLIER_NOT_FOUND',
+      422,
+      { nit: invoice.supplier.nit, name: invoice.supplier.name, email: invoice.supplier.email }
+    );
+  }
+
+  if (invoice.uuid) {
+    const existing = await prisma.purchase.findUnique({
+      where: { invoiceCufe: invoice.uuid },
+      select: { id: true, orderNumber: true }
+    });
+    if (existing) {
+      throw new PurchaseImportError(
+        `Invoice ${invoice.id} was already imported as purchase ${existing.orderNumber}`,
+        'INVOICE_ALREADY_IMPORTED',
+        409,
+        { purchaseId: existing.id }
+      );
+    }
+  }
+
+  const items = [];
+  const importLines = [];
+  for (const line of invoice.lines) {
+    const productId = await matchProduct(prisma, supplier.id, line);
+    const unitCost = line.quantity > 0 ? round(line.lineExtension / line.quantity) : 0;
+    const tax = lineTax(line);
+
+    // Purchase items hold whole units; fractional quantities need a unit conversion on review
+    if (productId && Number.isInteger(line.quantity) && line.quantity > 0) {
+      items.push({
+        productId,
+        quantity: line.quantity,
+        unitCost,
+        total: line.lineExtension,
+        ...tax
+      });
+    } else {
+      importLines.push({
+        lineNumber: line.id,
+        supplierCode: line.sellersItemId,
+        standardCode: line.standardItemId,
+        description: line.description,
+        quantity: line.quantity,
+        unitCost,
+        total: line.lineExtension,
+        ...tax,
+        reason: productId ? 'FRACTIONAL_QUANTITY' : 'PRODUCT_NOT_FOUND',
+        productId
+      });
+    }
+  }
+
+  const tax = round(invoice.taxSubtotals.reduce((sum, subtotal) => sum + subtotal.taxAmount, 0));
+  const withholdings = await calculateWithholdings(prisma, {
+    appliesTo: 'purchase',
+    party: supplier,
+    subtotal: invoice.lineExtension,
+    vat: invoice.taxSubtotals.filter((subtotal) => subtotal.code === '01').reduce((sum, subtotal) => sum + subtotal.taxAmount, 0),
+    date: invoice.issueDate ? new Date(invoice.issueDate) : new Date()
+  });
+
+  const purchase = await prisma.purchase.create({
+    data: {
+      orderNumber: `PO-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+      invoiceNumber: invoice.id,
+      invoiceCufe: invoice.uuid,
+      supplierId: supplier.id,
+      subtotal: invoice.lineExtension,
+      tax,
+      total: invoice.payable,
+      withholdingTotal: withholdingTotal(withholdings),
+      status: 'draft',
+      dueDate: invoice.dueDate ? new Date(invoice.dueDate) : null,
+      notes: `Importada de la factura electrónica ${invoice.id} del ${invoice.issueDate}`,
+      userId,
+      items: { create: items },
+      importLines: { create: importLines },
+      withholdings: { create: withholdings.map((withholding) => ({ ...withholding, supplierId: supplier.id })) }
+    },
+    include: {
+      supplier: true,
+      items: { include: { product: true } },
+      importLines: true,
+      withholdings: true
+    }
+  });
+
+  logger.info(`Supplier invoice ${invoice.id} imported as purchase ${purchase.orderNumber}: `
+    + `${items.length} lines matched, ${importLines.length} pending review`);
+
+  return {
+    purchase,
+    matched: items.length,
+    pendingLines: purchase.importLines,
+    dianValidation: validation
+  };
+};
+
+/**
+ * Buscar una línea pendiente de revisión de una compra en borrador
+ */
+const findPendingLine = async (prisma, lineId) => {
+  const line = await prisma.purchaseImportLine.findUnique({
+    where: { id: lineId },
+    include: { purchase: true }
+  });
+
+  if (!line) {
+    throw new PurchaseImportError('Import line not found', 'IMPORT_LINE_NOT_FOUND', 404);
+  }
+  if (line.status !== 'pending') {
+    throw new PurchaseImportError(`Import line was already ${line.status}`, 'IMPORT_LINE_REVIEWED', 409);
+  }
+  if (line.purchase.status !== 'draft') {
+    throw new PurchaseImportError('Only lines of draft purchases can be reviewed', 'PURCHASE_NOT_DRAFT', 409);
+  }
+  return line;
+};
+
+/**
+ * Asociar una línea pendiente a un producto y agregarla a la compra
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} lineId - Línea de la cola de revisión
+ * @param {Object} resolution
+ * @param {string} resolution.productId - Producto al que corresponde la línea
+ * @param {number} [resolution.quantity] - Unidades del producto (obligatorio si la cantidad facturada es fraccionaria)
+ * @param {boolean} [resolution.saveMapping] - Guardar el código del proveedor para próximas importaciones
+ * @param {string} userId - Usuario que revisa
+ */
+const resolveImportLine = async (prisma, lineId, { productId, quantity, saveMapping = true }, userId) => {
+  const line = await findPendingLine(prisma, lineId);
+
+  const product = await prisma.product.findUnique({ where: { id: productId }, select: { id: true } });
+  if (!product) {
+    throw new PurchaseImportError(`Product ${productId} not found`, 'PRODUCT_NOT_FOUND', 400);
+  }
+
+  const units = quantity !== undefined ? Number(quantity) : Number(line.quantity);
+  if (!Number.isInteger(units) || units < 1) {
+    throw new PurchaseImportError(
+      `Invoiced quantity ${line.quantity} is not a whole number of units; provide the quantity to receive`,
+      'QUANTITY_REQUIRED',
+      400
+    );
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const item = await tx.purchaseItem.create({
+      data: {
+        purchaseId: line.purchaseId,
+        productId,
+        quantity: units,
+        unitCost: round(Number(line.total) / units),
+        total: line.total,
+        taxCode: line.taxCode,
+        taxPercent: line.taxPercent,
+        taxAmount: line.taxAmount
+      }
+    });
+
+    if (saveMapping && line.supplierCode) {
+      await tx.supplierProductCode.upsert({
+        where: { supplierId_supplierCode: { supplierId: line.purchase.supplierId, supplierCode: line.supplierCode } },
+        update: { productId },
+        create: { supplierId: line.purchase.supplierId, supplierCode: line.supplierCode, productId }
+      });
+    }
+
+    const resolved = await tx.purchaseImportLine.update({
+      where: { id: line.id },
+      data: {
+        status: 'resolved',
+        productId,
+        resolvedById: userId,
+        resolvedAt: new Date()
+      }
+    });
+
+    return { line: resolved, item };
+  });
+};
+
+/**
+ * Descartar una línea pendiente (no se recibirá en inventario)
+ */
+const discardImportLine = async (prisma, lineId, userId) => {
+  const line = await findPendingLine(prisma, lineId);
+
+  return prisma.purchaseImportLine.update({
+    where: { id: line.id },
+    data: {
+      status: 'discarded',
+      resolvedById: userId,
+      resolvedAt: new Date()
+    }
+  });
+};
+
+module.exports = {
+  PurchaseImportError,
+  importSupplierInvoice,
+  resolveImportLine,
+  discardImportLine
+};
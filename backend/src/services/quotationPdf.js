@@ -0,0 +1,162 @@
+/**
+ * Cotización imprimible (PDF)
+ *
+ * Encabezado con los datos de la empresa, cliente, validez, detalle de
+ * productos con su impuesto, totales y condiciones comerciales.
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { printable, formatMoney, wrapText } = require('./dian/pdf');
+
+const PAGE_SIZE = [612, 792];
+const MARGIN = 48;
+
+const COLUMNS = [
+  { label: 'Código', width: 70 },
+  { label: 'Descripción', width: 190 },
+  { label: 'Cant.', width: 40, align: 'right' },
+  { label: 'Precio', width: 90, align: 'right' },
+  { label: 'Imp.', width: 36, align: 'right' },
+  { label: 'Total', width: 90, align: 'right' }
+];
+
+const formatDate = (value) => new Date(value).toLocaleDateString('es-CO', { timeZone: 'America/Bogota' });
+
+/**
+ * Generar el PDF de una cotización
+ *
+ * @param {Object} quotation - Cotización con customer, user e items.product
+ * @param {Object} [company] - Emisor (resolveIssuer() de la resolución activa)
+ * @returns {Promise<Buffer>}
+ */
+const buildQuotationPdf = async (quotation, company = null) => {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Cotización ${quotation.quoteNumber}`);
+  if (company) {
+    pdf.setAuthor(printable(company.name));
+  }
+  pdf.setCreator('Agropecuaria Suaza POS');
+
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const muted = rgb(0.4, 0.4, 0.4);
+  const [pageWidth, pageHeight] = PAGE_SIZE;
+  const contentWidth = pageWidth - MARGIN * 2;
+
+  let page = pdf.addPage(PAGE_SIZE);
+  let y = pageHeight - MARGIN;
+
+  const text = (value, x, { font = regular, size = 9, color = rgb(0, 0, 0), align = 'left', width = 0 } = {}) => {
+    const content = printable(value);
+    const left = align === 'right' ? x + width - font.widthOfTextAtSize(content, size) : x;
+    page.drawText(content, { x: left, y, font, size, color });
+  };
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) {
+      page = pdf.addPage(PAGE_SIZE);
+      y = pageHeight - MARGIN;
+    }
+  };
+
+  const row = (values, options = {}) => {
+    ensureSpace(14);
+    let x = MARGIN;
+    COLUMNS.forEach((column, index) => {
+      text(values[index], x, { ...options, align: column.align, width: column.width - 6 });
+      x += column.width;
+    });
+    y -= 14;
+  };
+
+  if (company) {
+    text(company.name, MARGIN, { font: bold, size: 12 });
+    y -= 14;
+    text(`NIT ${company.number}-${company.checkDigit}`, MARGIN);
+    y -= 12;
+    text([company.address, company.city, company.phone].filter(Boolean).join(' - '), MARGIN, { color: muted });
+  }
+  y = pageHeight - MARGIN;
+  text('COTIZACIÓN', MARGIN, { font: bold, size: 14, align: 'right', width: contentWidth });
+  y -= 16;
+  text(quotation.quoteNumber, MARGIN, { font: bold, size: 11, align: 'right', width: contentWidth });
+  y -= 14;
+  text(`Fecha: ${formatDate(quotation.createdAt)}`, MARGIN, { align: 'right', width: contentWidth });
+  y -= 12;
+  text(`Válida hasta: ${formatDate(quotation.validUntil)}`, MARGIN, { font: bold, align: 'right', width: contentWidth });
+  y -= 28;
+
+  const customer = quotation.customer || {};
+  text('Cliente', MARGIN, { font: bold, size: 10 });
+  y -= 14;
+  text(`${quotation.customerName || customer.name || ''}${customer.taxId ? ` - NIT/CC ${customer.taxId}` : ''}`, MARGIN);
+  y -= 12;
+  const contact = [customer.address, customer.city, customer.phone, quotation.customerEmail].filter(Boolean).join(' - ');
+  if (contact) {
+    text(contact, MARGIN);
+    y -= 12;
+  }
+  y -= 14;
+
+  row(COLUMNS.map((column) => column.label), { font: bold });
+  page.drawLine({
+    start: { x: MARGIN, y: y + 10 },
+    end: { x: MARGIN + contentWidth, y: y + 10 },
+    thickness: 0.5,
+    color: muted
+  });
+  quotation.items.forEach((item) => {
+    let name = printable(item.product.name);
+    while (name.length > 1 && regular.widthOfTextAtSize(name, 9) > COLUMNS[1].width - 6) {
+      name = name.slice(0, -1);
+    }
+    row([
+      item.product.code,
+      name,
+      String(item.quantity),
+      formatMoney(item.unitPrice),
+      item.taxCode ? `${Number(item.taxPercent)}%` : 'Excl.',
+      formatMoney(item.totalPrice)
+    ]);
+  });
+  y -= 8;
+
+  ensureSpace(60);
+  const totalsX = MARGIN + contentWidth - 220;
+  [
+    ['Subtotal', quotation.subtotal],
+    ['Impuestos', quotation.taxAmount],
+    ['Total', quotation.totalAmount]
+  ].forEach(([label, value], index) => {
+    const font = index === 2 ? bold : regular;
+    text(label, totalsX, { font });
+    text(formatMoney(value), totalsX, { font, align: 'right', width: 220 });
+    y -= 14;
+  });
+  y -= 14;
+
+  if (quotation.terms) {
+    ensureSpace(40);
+    text('Condiciones', MARGIN, { font: bold, size: 10 });
+    y -= 14;
+    wrapText(quotation.terms, regular, 9, contentWidth).forEach((line) => {
+      ensureSpace(12);
+      text(line, MARGIN);
+      y -= 12;
+    });
+    y -= 8;
+  }
+
+  ensureSpace(40);
+  if (quotation.user) {
+    text(`Asesor: ${`${quotation.user.firstName} ${quotation.user.lastName}`.trim() || quotation.user.username}`, MARGIN);
+    y -= 16;
+  }
+  text('Precios sujetos a disponibilidad de inventario al momento de la compra.', MARGIN, { size: 8, color: muted });
+
+  return Buffer.from(await pdf.save());
+};
+
+module.exports = {
+  buildQuotationPdf
+};
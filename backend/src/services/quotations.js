@@ -0,0 +1,309 @@
+/**
+ * Cotizaciones a clientes
+ *
+ * Una cotización fija productos, cantidades y precios con una fecha de validez
+ * y condiciones comerciales. Pasa de borrador a enviada (al remitirla por
+ * correo) y a aceptada; vencida la validez queda expirada. Al convertirla en
+ * venta se vuelven a verificar existencias y precios vigentes.
+ */
+
+const { PRODUCT_TAX_INCLUDE, itemTax, calculateLineTax } = require('./taxes');
+const { createSale } = require('./sales');
+const { createPriceResolver } = require('./pricing');
+const { reservedQuantities } = require('./stockReservations');
+const { nextDocumentNumber, formatDocumentNumber, lastIssuedNumber } = require('./documentSequences');
+const { round } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const QUOTATION_STATUSES = ['draft', 'sent', 'accepted', 'expired'];
+
+// Cotizaciones que aún se pueden editar, enviar o vencer
+const OPEN_STATUSES = ['draft', 'sent'];
+
+const DEFAULT_VALIDITY_DAYS = 15;
+
+/**
+ * Error de cotización (vencida, ya convertida, sin existencias...)
+ */
+class QuotationError extends Error {
+  constructor(message, code, statusCode = 400, issues = undefined) {
+    super(message);
+    this.name = 'QuotationError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.issues = issues;
+  }
+}
+
+const QUOTATION_INCLUDE = {
+  customer: true,
+  user: { select: { id: true, username: true, firstName: true, lastName: true, email: true } },
+  items: {
+    include: {
+      product: {
+        include: PRODUCT_TAX_INCLUDE
+      }
+    }
+  },
+  sale: { select: { id: true, invoiceNumber: true, totalAmount: true, createdAt: true } }
+};
+
+/**
+ * Marcar como vencidas las cotizaciones abiertas cuya validez ya pasó
+ */
+const expireQuotations = (prisma) => prisma.quotation.updateMany({
+  where: { status: { in: OPEN_STATUSES }, validUntil: { lt: new Date() } },
+  data: { status: 'expired' }
+});
+
+/**
+ * Buscar una cotización por id (con vencimiento aplicado)
+ *
+ * @throws {QuotationError} QUOTATION_NOT_FOUND
+ */
+const findQuotation = async (prisma, id) => {
+  await expireQuotations(prisma);
+  const quotation = await prisma.quotation.findUnique({ where: { id }, include: QUOTATION_INCLUDE });
+  if (!quotation) {
+    throw new QuotationError('Quotation not found', 'QUOTATION_NOT_FOUND', 404);
+  }
+  return quotation;
+};
+
+/**
+ * Liquidar las líneas cotizadas: precio de lista del cliente si no se indica
+ * otro e impuesto según la clase tributaria del producto. Cada línea guarda el
+ * precio de lista del momento para detectar después si la lista cambió.
+ */
+const priceItems = async (prisma, customer, items) => {
+  const priceFor = await createPriceResolver(prisma, customer);
+  const lines = [];
+  for (const item of items) {
+    const product = await prisma.product.findUnique({
+      where: { id: item.productId },
+      include: PRODUCT_TAX_INCLUDE
+    });
+    if (!product) {
+      throw new QuotationError(`Product ${item.productId} not found`, 'PRODUCT_NOT_FOUND');
+    }
+
+    const listPrice = priceFor(product, item.quantity).price;
+    const unitPrice = item.unitPrice !== undefined ? Number(item.unitPrice) : listPrice;
+    const totalPrice = round(item.quantity * unitPrice);
+    lines.push({
+      productId: item.productId,
+      quantity: item.quantity,
+      unitPrice,
+      listPrice,
+      totalPrice,
+      ...calculateLineTax(totalPrice, itemTax({ product }))
+    });
+  }
+
+  const subtotal = round(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+  const taxAmount = round(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+  return { lines, subtotal, taxAmount, totalAmount: round(subtotal + taxAmount) };
+};
+
+const QUOTE_PREFIX = 'COT-';
+
+const nextQuoteNumber = async (tx) => formatDocumentNumber(
+  QUOTE_PREFIX,
+  await nextDocumentNumber(tx, 'quotation', () => lastIssuedNumber(tx.quotation, 'quoteNumber', QUOTE_PREFIX))
+);
+
+/**
+ * Crear una cotización en borrador
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} data
+ * @param {string} [data.customerId] - Cliente registrado
+ * @param {string} [data.customerName] - Nombre si no está registrado
+ * @param {string} [data.customerEmail] - Correo de envío (por defecto el del cliente)
+ * @param {Array<{ productId, quantity, unitPrice }>} data.items - Líneas; sin precio se usa el de lista
+ * @param {Date|string} [data.validUntil] - Validez (por defecto 15 días)
+ * @param {string} [data.terms] - Condiciones comerciales
+ * @param {string} [data.notes] - Observaciones
+ * @param {string} userId - Vendedor
+ */
+const createQuotation = async (prisma, {
+  customerId, customerName, customerEmail, items, validUntil, terms, notes
+}, userId) => {
+  let customer = null;
+  if (customerId) {
+    customer = await prisma.customer.findUnique({ where: { id: customerId } });
+    if (!customer) {
+      throw new QuotationError('Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+  }
+
+  const { lines, subtotal, taxAmount, totalAmount } = await priceItems(prisma, customer, items);
+
+  const quotation = await prisma.$transaction(async (tx) => tx.quotation.create({
+    data: {
+      quoteNumber: await nextQuoteNumber(tx),
+      customerId: customerId || null,
+      customerName: customer ? customer.name : customerName,
+      customerEmail: customerEmail || (customer ? customer.email : null),
+      validUntil: validUntil
+        ? new Date(validUntil)
+        : new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000),
+      terms,
+      notes,
+      subtotal,
+      taxAmount,
+      totalAmount,
+      userId,
+      items: { create: lines }
+    },
+    include: QUOTATION_INCLUDE
+  }));
+
+  logger.info(`Quotation ${quotation.quoteNumber} created for ${quotation.customerName || 'customer'}`);
+  return quotation;
+};
+
+/**
+ * Modificar una cotización abierta; si cambian las líneas se liquidan de nuevo
+ *
+ * @throws {QuotationError} QUOTATION_CLOSED
+ */
+const updateQuotation = async (prisma, id, {
+  customerEmail, items, validUntil, terms, notes
+}) => {
+  const quotation = await findQuotation(prisma, id);
+  if (!OPEN_STATUSES.includes(quotation.status)) {
+    throw new QuotationError(`Quotation is ${quotation.status} and cannot be modified`, 'QUOTATION_CLOSED', 409);
+  }
+
+  const data = { customerEmail, terms, notes };
+  if (validUntil) {
+    data.validUntil = new Date(validUntil);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    if (items) {
+      const { lines, subtotal, taxAmount, totalAmount } = await priceItems(tx, quotation.customer, items);
+      await tx.quotationItem.deleteMany({ where: { quotationId: id } });
+      Object.assign(data, {
+        subtotal, taxAmount, totalAmount, items: { create: lines }
+      });
+    }
+
+    return tx.quotation.update({ where: { id }, data, include: QUOTATION_INCLUDE });
+  });
+};
+
+/**
+ * Comparar las líneas cotizadas con las existencias sin reservar y los precios
+ * de lista vigentes para el cliente
+ *
+ * El cambio de precio se mide contra el precio de lista guardado al cotizar,
+ * no contra el cotizado, para que un precio negociado no cuente como cambio.
+ * Las líneas cotizadas antes de guardarlo se comparan con su precio cotizado.
+ *
+ * @returns {Promise<Array<{ productId, name, quantity, stock, reserved, quotedPrice, quotedListPrice, currentPrice,
+ *   insufficientStock, priceChanged }>>}
+ */
+const checkQuotation = async (prisma, quotation) => {
+  const priceFor = await createPriceResolver(prisma, quotation.customer);
+  const reserved = await reservedQuantities(prisma, quotation.items.map((item) => item.productId));
+  return quotation.items.map((item) => {
+    const currentPrice = priceFor(item.product, item.quantity).price;
+    const quotedListPrice = Number(item.listPrice !== null && item.listPrice !== undefined ? item.listPrice : item.unitPrice);
+    return {
+      productId: item.productId,
+      name: item.product.name,
+      quantity: item.quantity,
+      stock: item.product.stock,
+      reserved: reserved.get(item.productId) || 0,
+      quotedPrice: Number(item.unitPrice),
+      quotedListPrice,
+      currentPrice,
+      insufficientStock: item.product.stock - (reserved.get(item.productId) || 0) < item.quantity,
+      priceChanged: currentPrice !== quotedListPrice
+    };
+  });
+};
+
+/**
+ * Convertir una cotización en venta
+ *
+ * Exige existencias para todas las líneas. La venta se hace a los precios
+ * cotizados; si algún precio de lista cambió desde la cotización se rechaza,
+ * salvo que se confirme mantener lo cotizado (acceptPriceChanges).
+ *
+ * La venta toma la cotización dentro de su transacción (createSale con
+ * quotationId): si otra caja la convirtió al mismo tiempo, esta venta se
+ * revierte sin descontar existencias ni consumir números DIAN.
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} id - Cotización
+ * @param {Object} options
+ * @param {string} options.paymentMethod - Medio de pago de la venta
+ * @param {boolean} [options.acceptPriceChanges] - Vender a los precios cotizados aunque la lista haya cambiado
+ * @param {Object} [options.creditOverride] - Autorización del supervisor para el crédito (ver createSale)
+ * @param {string} [options.branch] - Sucursal de la resolución
+ * @param {string} [options.withholdingConcept] - Concepto de retención del cliente
+ * @param {string} userId - Cajero que registra la venta
+ * @param {string[]} [permissions] - Permisos del cajero (precios cotizados por debajo de lista o costo)
+ * @returns {Promise<{ quotation: Object, sale: Object }>}
+ * @throws {QuotationError|SaleError|CreditControlError|CashSessionError|NumberingError}
+ */
+const convertQuotation = async (prisma, id, {
+  paymentMethod, acceptPriceChanges = false, creditOverride, branch, withholdingConcept
+}, userId, permissions = []) => {
+  const quotation = await findQuotation(prisma, id);
+
+  if (quotation.saleId) {
+    throw new QuotationError(`Quotation already converted into sale ${quotation.sale.invoiceNumber}`, 'QUOTATION_CONVERTED', 409);
+  }
+  if (quotation.status === 'expired') {
+    throw new QuotationError(`Quotation expired on ${quotation.validUntil.toISOString().slice(0, 10)}`, 'QUOTATION_EXPIRED', 409);
+  }
+
+  const lines = await checkQuotation(prisma, quotation);
+  const shortages = lines.filter((line) => line.insufficientStock);
+  if (shortages.length > 0) {
+    throw new QuotationError('Insufficient stock to convert the quotation', 'INSUFFICIENT_STOCK', 409, shortages);
+  }
+
+  const changed = lines.filter((line) => line.priceChanged);
+  if (changed.length > 0 && !acceptPriceChanges) {
+    throw new QuotationError('List prices changed since the quotation was issued', 'PRICES_CHANGED', 409, changed);
+  }
+
+  const sale = await createSale(prisma, {
+    customerId: quotation.customerId,
+    customerName: quotation.customerName,
+    items: lines.map((line) => ({
+      productId: line.productId,
+      quantity: line.quantity,
+      unitPrice: line.quotedPrice
+    })),
+    paymentMethod,
+    creditOverride,
+    branch,
+    withholdingConcept,
+    notes: `Cotización ${quotation.quoteNumber}`,
+    quotationId: id
+  }, userId, permissions);
+
+  const converted = await findQuotation(prisma, id);
+
+  logger.info(`Quotation ${quotation.quoteNumber} converted into sale ${sale.invoiceNumber}`);
+  return { quotation: converted, sale };
+};
+
+module.exports = {
+  QUOTATION_STATUSES,
+  OPEN_STATUSES,
+  QuotationError,
+  QUOTATION_INCLUDE,
+  expireQuotations,
+  findQuotation,
+  createQuotation,
+  updateQuotation,
+  checkQuotation,
+  convertQuotation
+};
@@ -0,0 +1,90 @@
+/**
+ * Codificación ESC/POS de la tirilla
+ *
+ * Genera los bytes que entiende cualquier impresora térmica compatible con
+ * Epson: texto en la página de códigos PC850 (tildes, eñes y signos de
+ * apertura), negrilla, código QR nativo, avance, corte y apertura del cajón.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// PC850 code points for the characters a Spanish receipt needs
+const CP850 = {
+  'á': 0xa0, 'é': 0x82, 'í': 0xa1, 'ó': 0xa2, 'ú': 0xa3, 'ñ': 0xa4, 'Ñ': 0xa5, 'ü': 0x81, 'Ü': 0x9a,
+  'Á': 0xb5, 'É': 0x90, 'Í': 0xd6, 'Ó': 0xe0, 'Ú': 0xe9, '¿': 0xa8, '¡': 0xad, 'º': 0xa7, 'ª': 0xa6, '°': 0xf8
+};
+
+/**
+ * Texto en PC850; lo que no existe en la página pierde la tilde o queda como '?'
+ */
+const encodeText = (text) => Buffer.from([...String(text)].map((char) => {
+  const code = char.charCodeAt(0);
+  if (code >= 0x20 && code < 0x7f) return code;
+  // formatMoney() separates the currency sign with a no-break space
+  if (/\s/.test(char)) return 0x20;
+  if (CP850[char]) return CP850[char];
+  const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return plain.length === 1 && plain.charCodeAt(0) < 0x7f ? plain.charCodeAt(0) : 0x3f;
+}));
+
+/**
+ * Código QR con el comando GS ( k (modelo 2, corrección M)
+ */
+const qrCode = (data, moduleSize) => {
+  const payload = Buffer.from(data, 'utf8');
+  const length = payload.length + 3;
+  return Buffer.concat([
+    Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, Math.min(Math.max(moduleSize, 1), 16)]),
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]),
+    Buffer.from([GS, 0x28, 0x6b, length & 0xff, (length >> 8) & 0xff, 0x31, 0x50, 0x30]),
+    payload,
+    Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30])
+  ]);
+};
+
+/**
+ * Bytes ESC/POS de una tirilla diagramada con buildReceipt()
+ *
+ * @param {Object} receipt - Resultado de buildReceipt()
+ * @returns {Buffer}
+ */
+const renderEscPos = (receipt) => {
+  const { escpos, qr } = receipt.template;
+  const chunks = [
+    Buffer.from([ESC, 0x40]),
+    Buffer.from([ESC, 0x74, escpos.codePage])
+  ];
+
+  let bold = false;
+  receipt.lines.forEach((line) => {
+    if (line.qr) {
+      chunks.push(Buffer.from([ESC, 0x61, 0x01]), qrCode(line.qr, qr.moduleSize), Buffer.from([LF, ESC, 0x61, 0x00]));
+      return;
+    }
+    if (Boolean(line.bold) !== bold) {
+      bold = Boolean(line.bold);
+      chunks.push(Buffer.from([ESC, 0x45, bold ? 1 : 0]));
+    }
+    chunks.push(encodeText(line.text.trimEnd()), Buffer.from([LF]));
+  });
+  if (bold) {
+    chunks.push(Buffer.from([ESC, 0x45, 0]));
+  }
+
+  chunks.push(Buffer.from([ESC, 0x64, escpos.feedLines]));
+  if (escpos.cut) {
+    chunks.push(Buffer.from([GS, 0x56, 0x01]));
+  }
+  if (escpos.openDrawer) {
+    chunks.push(Buffer.from([ESC, 0x70, 0x00, 0x19, 0xfa]));
+  }
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  renderEscPos
+};
@@ -0,0 +1,53 @@
+/**
+ * Tirilla en HTML para imprimir desde el navegador cuando la caja no tiene
+ * impresora térmica configurada (o para la vista previa)
+ */
+
+const QRCode = require('qrcode');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * HTML de una tirilla diagramada con buildReceipt()
+ *
+ * @param {Object} receipt - Resultado de buildReceipt()
+ * @returns {Promise<string>}
+ */
+const renderReceiptHtml = async (receipt) => {
+  const body = await Promise.all(receipt.lines.map(async (line) => {
+    if (line.qr) {
+      const src = await QRCode.toDataURL(line.qr, { errorCorrectionLevel: 'M', margin: 1, width: receipt.template.qr.size * 2 });
+      return `<div class="qr"><img src="${src}" width="${receipt.template.qr.size}" alt="QR"></div>`;
+    }
+    const text = escapeHtml(line.text) || '&nbsp;';
+    return `<div>${line.bold ? `<strong>${text}</strong>` : text}</div>`;
+  }));
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(receipt.title)}</title>
+<style>
+  @page { size: ${receipt.width}mm auto; margin: 0; }
+  body { margin: 0; }
+  .receipt { width: ${receipt.columns}ch; padding: 2mm; font: 12px/1.25 "Courier New", monospace; white-space: pre; }
+  .qr { text-align: center; margin: 4px 0; }
+</style>
+</head>
+<body>
+<div class="receipt">
+${body.join('\n')}
+</div>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  renderReceiptHtml
+};
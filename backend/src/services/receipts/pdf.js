@@ -0,0 +1,55 @@
+/**
+ * Tirilla en PDF del ancho del papel (58 u 80 mm) para imprimir sin
+ * controlador ESC/POS
+ */
+
+const QRCode = require('qrcode');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { printable } = require('../dian/pdf');
+
+const MARGIN = 10;
+
+/**
+ * PDF de una tirilla diagramada con buildReceipt()
+ *
+ * @param {Object} receipt - Resultado de buildReceipt()
+ * @returns {Promise<Buffer>}
+ */
+const renderReceiptPdf = async (receipt) => {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(printable(receipt.title));
+  pdf.setCreator('Agropecuaria Suaza POS');
+  const regular = await pdf.embedFont(StandardFonts.Courier);
+  const bold = await pdf.embedFont(StandardFonts.CourierBold);
+
+  // Monospaced size that fits exactly the paper's columns
+  const width = receipt.pageWidth - MARGIN * 2;
+  const size = width / regular.widthOfTextAtSize('0'.repeat(receipt.columns), 1);
+  const lineHeight = size * 1.3;
+
+  const qrSize = Math.min(receipt.template.qr.size, width);
+  const qrImages = await Promise.all(receipt.lines.filter((line) => line.qr).map(async (line) => pdf.embedPng(
+    await QRCode.toBuffer(line.qr, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: qrSize * 3 })
+  )));
+
+  const height = MARGIN * 2 + receipt.lines.reduce((total, line) => total + (line.qr ? qrSize + 6 : lineHeight), 0);
+  const page = pdf.addPage([receipt.pageWidth, height]);
+  let y = height - MARGIN;
+
+  receipt.lines.forEach((line) => {
+    if (line.qr) {
+      y -= qrSize + 3;
+      page.drawImage(qrImages.shift(), { x: (receipt.pageWidth - qrSize) / 2, y, width: qrSize, height: qrSize });
+      y -= 3;
+      return;
+    }
+    y -= lineHeight;
+    page.drawText(printable(line.text), { x: MARGIN, y: y + (lineHeight - size) / 2, font: line.bold ? bold : regular, size });
+  });
+
+  return Buffer.from(await pdf.save());
+};
+
+module.exports = {
+  renderReceiptPdf
+};
@@ -0,0 +1,129 @@
+/**
+ * Envío de la tirilla ESC/POS a la impresora de la caja
+ *
+ * Las impresoras se configuran por caja en RECEIPT_PRINTERS
+ * ("CAJA1=tcp://192.168.1.50:9100,CAJA2=file:/dev/usb/lp0?width=58") y
+ * RECEIPT_PRINTER es la de las cajas no listadas. tcp:// abre un socket crudo
+ * (puerto 9100 de las impresoras de red) y file: escribe en el dispositivo o en
+ * un archivo de cola. El destino nunca viene de la petición, solo de la
+ * configuración del servidor.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const { getActiveConfig } = require('../dian/config');
+const { ReceiptError, findReceiptSale, buildReceipt } = require('./receipt');
+const { renderEscPos } = require('./escpos');
+
+const PRINTER_TIMEOUT_MS = parseInt(process.env.RECEIPT_PRINTER_TIMEOUT_MS, 10) || 5000;
+
+const parsePrinters = (value = process.env.RECEIPT_PRINTERS) => String(value || '')
+  .split(',')
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .reduce((printers, entry) => {
+    const separator = entry.indexOf('=');
+    if (separator > 0) {
+      printers[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+    }
+    return printers;
+  }, {});
+
+/**
+ * Impresora de una caja
+ *
+ * @param {string} [register] - Caja (la del turno de la venta)
+ * @returns {{ target: string, protocol: string, host?: string, port?: number, path?: string, width?: string }}
+ */
+const resolvePrinter = (register) => {
+  const target = parsePrinters()[register] || process.env.RECEIPT_PRINTER;
+  if (!target) {
+    throw new ReceiptError(
+      `No receipt printer configured${register ? ` for register ${register}` : ''}`,
+      'PRINTER_NOT_CONFIGURED',
+      409
+    );
+  }
+
+  let url;
+  try {
+    url = new URL(target);
+  } catch (error) {
+    throw new ReceiptError(`Invalid receipt printer target ${target}`, 'PRINTER_NOT_CONFIGURED', 409);
+  }
+  const width = url.searchParams.get('width') || undefined;
+
+  if (url.protocol === 'tcp:' && url.hostname) {
+    return {
+      target, protocol: 'tcp', host: url.hostname, port: parseInt(url.port, 10) || 9100, width
+    };
+  }
+  if (url.protocol === 'file:' && url.pathname) {
+    return {
+      target, protocol: 'file', path: decodeURIComponent(url.pathname), width
+    };
+  }
+  throw new ReceiptError(`Receipt printer target must be tcp:// or file: (${target})`, 'PRINTER_NOT_CONFIGURED', 409);
+};
+
+const sendTcp = (printer, bytes) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host: printer.host, port: printer.port });
+  socket.setTimeout(PRINTER_TIMEOUT_MS);
+  socket.once('connect', () => socket.end(bytes));
+  socket.once('timeout', () => socket.destroy(new Error(`timed out after ${PRINTER_TIMEOUT_MS} ms`)));
+  socket.once('error', reject);
+  socket.once('close', (hadError) => {
+    if (!hadError) resolve();
+  });
+});
+
+/**
+ * Enviar los bytes ESC/POS a la impresora
+ *
+ * @param {Object} printer - Resultado de resolvePrinter()
+ * @param {Buffer} bytes - Tirilla de renderEscPos()
+ */
+const sendToPrinter = async (printer, bytes) => {
+  try {
+    if (printer.protocol === 'tcp') {
+      await sendTcp(printer, bytes);
+    } else {
+      // Append so a spool file keeps every receipt; devices ignore the flag
+      await fs.promises.writeFile(printer.path, bytes, { flag: 'a' });
+    }
+  } catch (error) {
+    throw new ReceiptError(`Receipt printer ${printer.target} unavailable: ${error.message}`, 'PRINTER_UNAVAILABLE', 502);
+  }
+};
+
+/**
+ * Imprimir la tirilla de una venta en la impresora de su caja
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} id - Venta
+ * @param {Object} [options]
+ * @param {string} [options.printer] - Impresora configurada (por defecto la de la caja de la venta)
+ * @param {string|number} [options.width] - Papel (por defecto el de la impresora o la plantilla)
+ * @returns {Promise<{ printer: string, width: string, bytes: number }>}
+ */
+const printSaleReceipt = async (prisma, id, { printer: name, width } = {}) => {
+  if (name && !parsePrinters()[name]) {
+    throw new ReceiptError(`No receipt printer named ${name}`, 'PRINTER_NOT_CONFIGURED', 409);
+  }
+  const sale = await findReceiptSale(prisma, id);
+  const register = name || (sale.cashSession && sale.cashSession.register);
+  const printer = resolvePrinter(register);
+  const config = sale.dianConfig || await getActiveConfig(prisma);
+
+  const receipt = buildReceipt(sale, { config, width: width || printer.width });
+  const bytes = renderEscPos(receipt);
+  await sendToPrinter(printer, bytes);
+
+  return { printer: register || 'default', width: receipt.width, bytes: bytes.length };
+};
+
+module.exports = {
+  resolvePrinter,
+  sendToPrinter,
+  printSaleReceipt
+};
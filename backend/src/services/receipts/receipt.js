@@ -0,0 +1,342 @@
+/**
+ * Tirilla de venta para impresoras térmicas (58 y 80 mm)
+ *
+ * La venta se diagrama una sola vez en líneas de ancho fijo según las columnas
+ * del papel; los renderizadores ESC/POS, HTML y PDF solo dibujan esas líneas,
+ * así que la tirilla impresa y la vista previa son idénticas. El diseño sale de
+ * templates/receipt.json combinado con la plantilla propia de RECEIPT_TEMPLATE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergeTemplate, formatMoney } = require('../dian/pdf');
+const { getActiveConfig, splitNit } = require('../dian/config');
+const { summarizeTaxes } = require('../taxes');
+const { WITHHOLDING_TYPES } = require('../withholdings');
+const { round } = require('../../utils/money');
+
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, 'templates', 'receipt.json');
+
+const PAPER_WIDTHS = ['58', '80'];
+
+// Voided or rejected invoices do not give the receipt its CUFE
+const VOID_INVOICE_STATUSES = ['cancelled', 'rejected'];
+
+const METHOD_LABELS = {
+  cash: 'Efectivo',
+  card: 'Tarjeta',
+  transfer: 'Transferencia',
+  check: 'Cheque',
+  return: 'Devolución'
+};
+
+const DOCUMENT_TYPES = {
+  13: 'CC',
+  22: 'CE',
+  31: 'NIT',
+  41: 'Pasaporte'
+};
+
+class ReceiptError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'ReceiptError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const RECEIPT_SALE_INCLUDE = {
+  customer: true,
+  user: { select: { firstName: true, lastName: true, username: true } },
+  cashSession: { select: { register: true } },
+  dianConfig: true,
+  items: { include: { product: { select: { name: true, code: true } } } },
+  withholdings: true,
+  payments: { orderBy: { createdAt: 'asc' } },
+  dianInvoices: { orderBy: { createdAt: 'desc' } },
+  layaway: { select: { layawayNumber: true, refundAmount: true } }
+};
+
+/**
+ * Plantilla efectiva: la predeterminada combinada con RECEIPT_TEMPLATE
+ */
+const loadReceiptTemplate = (customPath = process.env.RECEIPT_TEMPLATE) => {
+  const template = JSON.parse(fs.readFileSync(DEFAULT_TEMPLATE_PATH, 'utf8'));
+  return customPath ? mergeTemplate(template, JSON.parse(fs.readFileSync(customPath, 'utf8'))) : template;
+};
+
+/**
+ * Venta con todo lo que imprime la tirilla
+ */
+const findReceiptSale = async (prisma, id) => {
+  const sale = await prisma.sale.findUnique({ where: { id }, include: RECEIPT_SALE_INCLUDE });
+  if (!sale) {
+    throw new ReceiptError('Sale not found', 'SALE_NOT_FOUND', 404);
+  }
+  return sale;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('es-CO', { timeZone: 'America/Bogota' }) : '');
+
+const personName = (user) => (user ? `${user.firstName} ${user.lastName}`.trim() || user.username : '');
+
+/**
+ * Reemplazar {campo}; una línea cuyos campos están todos vacíos se omite (null)
+ */
+const fillLine = (text, context) => {
+  const keys = text.match(/\{\w+\}/g) || [];
+  if (keys.length && keys.every((key) => !context[key.slice(1, -1)] && context[key.slice(1, -1)] !== 0)) {
+    return null;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, key) => (
+    context[key] !== undefined && context[key] !== null ? String(context[key]) : ''
+  ));
+};
+
+/**
+ * Partir un texto en líneas de hasta `columns` caracteres conservando su
+ * sangría (las palabras más largas, como el CUFE, se cortan)
+ */
+const wrapColumns = (text, totalColumns) => {
+  const indent = String(text).match(/^ */)[0];
+  const columns = totalColumns - indent.length;
+  const lines = [];
+  let current = '';
+  String(text).replace(/\s+/g, ' ').trim().split(' ').forEach((word) => {
+    let rest = word;
+    while (rest.length > columns) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(rest.slice(0, columns));
+      rest = rest.slice(columns);
+    }
+    if (!rest) return;
+    if (!current) {
+      current = rest;
+    } else if (current.length + 1 + rest.length <= columns) {
+      current = `${current} ${rest}`;
+    } else {
+      lines.push(current);
+      current = rest;
+    }
+  });
+  if (current) {
+    lines.push(current);
+  }
+  return lines.map((line) => `${indent}${line}`);
+};
+
+/**
+ * Factura electrónica vigente de la venta, si la tiene
+ */
+const receiptInvoice = (sale) => (sale.dianInvoices || [])
+  .find((invoice) => !VOID_INVOICE_STATUSES.includes(invoice.status)) || null;
+
+/**
+ * Diagramar la tirilla de una venta
+ *
+ * @param {Object} sale - Venta de findReceiptSale()
+ * @param {Object} params
+ * @param {Object} [params.config] - Resolución DIAN con los datos de la empresa (por defecto la de la venta)
+ * @param {Object} [params.template] - Plantilla (por defecto loadReceiptTemplate())
+ * @param {string|number} [params.width] - Papel: 58 u 80 mm (por defecto el de la plantilla)
+ * @returns {{ width: string, columns: number, pageWidth: number, template: Object, title: string,
+ *   lines: Array<{ text: string, bold?: boolean } | { qr: string }> }}
+ */
+const buildReceipt = (sale, { config = sale.dianConfig, template = loadReceiptTemplate(), width } = {}) => {
+  const paperWidth = String(width || template.defaultWidth);
+  if (!PAPER_WIDTHS.includes(paperWidth) || !template.paper[paperWidth]) {
+    throw new ReceiptError(`Paper width must be one of ${PAPER_WIDTHS.join(', ')} mm`, 'INVALID_PAPER_WIDTH');
+  }
+  const { columns, pageWidth } = template.paper[paperWidth];
+  const invoice = receiptInvoice(sale);
+
+  const taxId = config ? splitNit(config.taxId) : null;
+  const context = {
+    companyName: config && config.companyName,
+    taxId: taxId && `${taxId.number}-${taxId.checkDigit}`,
+    address: config && config.address,
+    city: config && config.city,
+    phone: config && config.phone,
+    email: config && config.email,
+    resolutionNumber: config && config.resolutionNumber,
+    resolutionDate: config && config.resolutionDate ? new Date(config.resolutionDate).toISOString().slice(0, 10) : '',
+    prefix: config && config.prefix,
+    startNumber: config && config.startNumber,
+    endNumber: config && config.endNumber,
+    invoiceNumber: sale.invoiceNumber,
+    register: sale.cashSession && sale.cashSession.register,
+    cashier: personName(sale.user),
+    qrUrl: invoice && invoice.qrData ? (invoice.qrData.match(/https?:\/\/\S+/) || [''])[0] : ''
+  };
+
+  const lines = [];
+  const center = (text, options = {}) => wrapColumns(text, columns).forEach((part) => {
+    const padding = Math.floor((columns - part.length) / 2);
+    lines.push({ text: `${' '.repeat(padding)}${part}`, ...options });
+  });
+  const left = (text, options = {}) => wrapColumns(text, columns).forEach((part) => lines.push({ text: part, ...options }));
+  const row = (label, value, options = {}) => {
+    const right = String(value);
+    if (label.length + 1 + right.length <= columns) {
+      lines.push({ text: `${label}${right.padStart(columns - label.length)}`, ...options });
+      return;
+    }
+    // The amount goes on its own line when it does not fit next to the label
+    left(label, options);
+    lines.push({ text: right.padStart(columns), ...options });
+  };
+  const separator = () => lines.push({ text: '-'.repeat(columns) });
+  const blank = () => lines.push({ text: '' });
+
+  // Encabezado con los datos de la empresa
+  if (config) {
+    template.header.forEach((text, index) => {
+      const line = fillLine(text, context);
+      if (line !== null) {
+        center(line, { bold: index === 0 });
+      }
+    });
+  }
+  blank();
+  const title = invoice ? template.titles.invoice : template.titles.ticket;
+  center(title, { bold: true });
+  center(`No. ${sale.invoiceNumber}`, { bold: true });
+  if (config && template.resolution) {
+    const resolution = fillLine(template.resolution, context);
+    if (resolution !== null) {
+      center(resolution);
+    }
+  }
+  if (sale.status === 'CANCELLED') {
+    center('*** VENTA ANULADA ***', { bold: true });
+  }
+  separator();
+
+  row('Fecha', formatDate(sale.createdAt));
+  if (context.register) {
+    row('Caja', context.register);
+  }
+  row('Cajero', context.cashier);
+  const customer = sale.customer;
+  row('Cliente', customer ? customer.name : sale.customerName || 'Cliente general');
+  const customerTaxId = customer ? customer.taxId : sale.customerTaxId;
+  if (customerTaxId) {
+    row(customer && customer.documentType ? DOCUMENT_TYPES[customer.documentType] || 'Doc.' : 'Doc.', customerTaxId);
+  }
+  separator();
+
+  // Detalle: descripción y luego cantidad por precio unitario
+  sale.items.forEach((item) => {
+    const code = template.showProductCode && item.product && item.product.code ? `${item.product.code} ` : '';
+    left(`${code}${item.product ? item.product.name : item.productId}`);
+    row(`  ${item.quantity} x ${formatMoney(item.unitPrice)}`, formatMoney(item.totalPrice));
+  });
+  separator();
+
+  // Totales
+  row('Subtotal', formatMoney(sale.subtotal));
+  if (Number(sale.discount) > 0) {
+    row('Descuentos', `-${formatMoney(sale.discount)}`);
+  }
+  summarizeTaxes(sale.items.map((item) => ({
+    taxCode: item.taxCode,
+    taxPercent: item.taxPercent,
+    taxAmount: item.taxAmount,
+    taxableAmount: item.totalPrice
+  }))).forEach((tax) => row(`${tax.name} ${tax.percent}%`, formatMoney(tax.taxAmount)));
+  row('TOTAL', formatMoney(sale.totalAmount), { bold: true });
+
+  const withheld = Number(sale.withholdingTotal);
+  if (withheld > 0) {
+    (sale.withholdings || []).forEach((withholding) => {
+      const type = WITHHOLDING_TYPES[withholding.type];
+      row(`${type ? type.name : withholding.type} ${Number(withholding.rate)}%`, `-${formatMoney(withholding.amount)}`);
+    });
+    row('Neto a pagar', formatMoney(Number(sale.totalAmount) - withheld), { bold: true });
+  }
+  separator();
+
+  // Medios de pago; el efectivo se imprime como lo recibido y luego el cambio
+  const payable = round(Number(sale.totalAmount) - withheld);
+  const tenders = (sale.payments || []).filter((payment) => payment.method !== 'return');
+  let paid = 0;
+  let change = 0;
+  if (tenders.length) {
+    left('FORMA DE PAGO', { bold: true });
+  }
+  tenders.forEach((payment) => {
+    const method = String(payment.method).toLowerCase();
+    const label = METHOD_LABELS[method] || payment.method;
+    const received = Number(payment.amount) + Number(payment.changeDue || 0);
+    row(payment.layawayId ? `Abono plan separe - ${label}` : label, formatMoney(received));
+    if (payment.reference) {
+      left(`  Ref. ${payment.reference}`);
+    }
+    paid += Number(payment.amount);
+    change += Number(payment.changeDue || 0);
+  });
+  // What the layaway deposits exceed the sale is handed back as change
+  if (sale.layaway && Number(sale.layaway.refundAmount) > 0) {
+    change += Number(sale.layaway.refundAmount);
+    paid -= Number(sale.layaway.refundAmount);
+  }
+  if (change > 0) {
+    row('Cambio', formatMoney(change), { bold: true });
+  }
+  const creditAmount = round(payable - paid);
+  if (creditAmount > 0) {
+    row('Saldo a crédito', formatMoney(creditAmount), { bold: true });
+  }
+  if (sale.layaway) {
+    left(`Plan separe ${sale.layaway.layawayNumber}`);
+  }
+  if (sale.notes) {
+    blank();
+    left(sale.notes);
+  }
+
+  // CUFE y código QR de la factura electrónica
+  if (invoice && invoice.cufe) {
+    separator();
+    left('CUFE:', { bold: true });
+    left(invoice.cufe);
+  }
+  if (invoice && invoice.qrData && template.qr.enabled) {
+    lines.push({ qr: invoice.qrData });
+  }
+
+  blank();
+  template.footer.forEach((text) => {
+    const line = fillLine(text, context);
+    if (line !== null) {
+      center(line);
+    }
+  });
+
+  return {
+    width: paperWidth, columns, pageWidth, template, title, lines
+  };
+};
+
+/**
+ * Diagramar la tirilla con los datos de la empresa de la venta o, si la venta
+ * no tiene resolución, de la resolución activa
+ */
+const prepareReceipt = async (prisma, id, { width } = {}) => {
+  const sale = await findReceiptSale(prisma, id);
+  const config = sale.dianConfig || await getActiveConfig(prisma);
+  return { sale, receipt: buildReceipt(sale, { config, width }) };
+};
+
+module.exports = {
+  PAPER_WIDTHS,
+  ReceiptError,
+  loadReceiptTemplate,
+  findReceiptSale,
+  buildReceipt,
+  prepareReceipt
+};
@@ -0,0 +1,384 @@
+/**
+ * Devoluciones parciales de ventas
+ *
+ * El cliente devuelve algunas unidades de una venta: cada línea vuelve al
+ * inventario o a la bodega de averiados, y el valor se le reintegra en
+ * efectivo desde el turno de caja, como saldo a favor o abonándolo al crédito
+ * de la venta. Si la venta tiene factura electrónica aceptada se emite la nota
+ * crédito de devolución (concepto 1) en la misma transacción.
+ */
+
+const { getActiveConfig } = require('./dian/config');
+const { calculateInvoiceTotals } = require('./dian/ubl');
+const { generateNote, creditedTotal } = require('./dian/notes');
+const { requireOpenSession, summarizeSession, CashSessionError } = require('./cashSessions');
+const { round } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// cash: efectivo del turno; store_credit: saldo a favor del cliente; credit: abono al crédito de la venta
+const REFUND_METHODS = ['cash', 'store_credit', 'credit'];
+
+// stock: vuelve a la venta; damaged: bodega de averiados
+const RETURN_DESTINATIONS = ['stock', 'damaged'];
+
+const CANCELLED_STATUSES = ['CANCELLED', 'cancelled'];
+
+// Facturas que ya no respaldan la venta
+const VOID_INVOICE_STATUSES = ['cancelled', 'rejected'];
+
+// Concepto DIAN de nota crédito por devolución de parte de los bienes
+const RETURN_NOTE_CONCEPT = '1';
+
+/**
+ * Error de validación de una devolución
+ */
+class SaleReturnError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'SaleReturnError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const SALE_INCLUDE = {
+  customer: true,
+  items: {
+    include: {
+      product: true
+    }
+  },
+  returns: {
+    include: {
+      items: true
+    }
+  },
+  dianInvoices: {
+    include: {
+      customer: true,
+      dianNotes: true
+    }
+  }
+};
+
+/**
+ * Unidades vendidas y ya devueltas de cada línea de la venta
+ *
+ * Cada línea conserva su precio aunque el producto se haya vendido en varias.
+ * Las devoluciones sin línea (anteriores al vínculo) se descuentan de las
+ * líneas del producto en orden.
+ */
+const returnableItems = (sale) => {
+  const lines = sale.items.map((item) => ({
+    saleItemId: item.id,
+    productId: item.productId,
+    product: item.product,
+    sold: item.quantity,
+    returned: 0,
+    unitPrice: Number(item.unitPrice),
+    taxCode: item.taxCode,
+    taxPercent: item.taxPercent
+  }));
+
+  sale.returns.flatMap((saleReturn) => saleReturn.items).forEach((item) => {
+    const line = item.saleItemId && lines.find((candidate) => candidate.saleItemId === item.saleItemId);
+    if (line) {
+      line.returned += item.quantity;
+      return;
+    }
+    let pending = item.quantity;
+    lines.filter((candidate) => candidate.productId === item.productId).forEach((candidate) => {
+      const taken = Math.min(pending, candidate.sold - candidate.returned);
+      candidate.returned += taken;
+      pending -= taken;
+    });
+  });
+
+  return lines;
+};
+
+/**
+ * Factura electrónica vigente de la venta; debe estar aceptada para emitir la nota
+ *
+ * @throws {SaleReturnError} INVOICE_NOT_ACCEPTED
+ */
+const invoiceForReturn = (sale) => {
+  const invoice = sale.dianInvoices.find((candidate) => !VOID_INVOICE_STATUSES.includes(candidate.status));
+  if (!invoice) {
+    return null;
+  }
+
+  if (invoice.status !== 'accepted' || !invoice.cufe) {
+    throw new SaleReturnError(
+      `Invoice ${invoice.invoiceNumber} must be accepted by DIAN before returning goods`,
+      'INVOICE_NOT_ACCEPTED',
+      409
+    );
+  }
+  return invoice;
+};
+
+/**
+ * Crédito abierto por la venta (las ventas anteriores al vínculo se ubican por la nota)
+ */
+const findSaleCredit = (prisma, sale) => prisma.credit.findFirst({
+  where: {
+    OR: [
+      { saleId: sale.id },
+      { notes: `Crédito por venta ${sale.invoiceNumber}` }
+    ]
+  },
+  include: {
+    payments: true
+  }
+});
+
+/**
+ * Registrar la devolución de parte de una venta
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string} saleId - Venta
+ * @param {Object} data
+ * @param {Array<{ saleItemId, productId, quantity, destination }>} data.items - Unidades devueltas;
+ *   sin saleItemId se toman de las líneas del producto en orden
+ * @param {string} [data.refundMethod] - cash, store_credit o credit; por defecto credit en
+ *   ventas a crédito y cash en las demás
+ * @param {string} data.reason - Motivo de la devolución
+ * @param {string} userId - Usuario que recibe la devolución
+ * @returns {Promise<Object>} SaleReturn con items y creditNote
+ * @throws {SaleReturnError|CashSessionError}
+ */
+const createSaleReturn = async (prisma, saleId, { items, refundMethod, reason }, userId) => {
+  const sale = await prisma.sale.findUnique({ where: { id: saleId }, include: SALE_INCLUDE });
+  if (!sale) {
+    throw new SaleReturnError('Sale not found', 'SALE_NOT_FOUND', 404);
+  }
+  if (CANCELLED_STATUSES.includes(sale.status)) {
+    throw new SaleReturnError('Cancelled sales cannot receive returns', 'SALE_CANCELLED', 409);
+  }
+
+  const method = refundMethod || (String(sale.paymentMethod).toLowerCase() === 'credit' ? 'credit' : 'cash');
+
+  // Returned lines keep the price and tax liquidated on each sale line
+  const returnable = returnableItems(sale);
+  const requested = new Map();
+  const lines = items.flatMap((item) => {
+    const candidates = returnable.filter((line) => line.productId === item.productId
+      && (!item.saleItemId || line.saleItemId === item.saleItemId));
+    if (candidates.length === 0) {
+      throw new SaleReturnError(
+        item.saleItemId
+          ? `Sale item ${item.saleItemId} of product ${item.productId} is not part of the sale`
+          : `Product ${item.productId} is not part of the sale`,
+        'PRODUCT_NOT_IN_SALE'
+      );
+    }
+
+    const left = (line) => line.sold - line.returned - (requested.get(line.saleItemId) || 0);
+    const available = candidates.reduce((sum, line) => sum + left(line), 0);
+    if (item.quantity > available) {
+      throw new SaleReturnError(
+        `Cannot return ${item.quantity} units of ${candidates[0].product.name}; only ${available} available`,
+        'QUANTITY_EXCEEDS_SOLD'
+      );
+    }
+
+    // Without a sale item the units come off the product's lines in order
+    let pending = item.quantity;
+    return candidates.reduce((taken, line) => {
+      const quantity = Math.min(pending, left(line));
+      if (quantity > 0) {
+        pending -= quantity;
+        requested.set(line.saleItemId, (requested.get(line.saleItemId) || 0) + quantity);
+        taken.push({
+          saleItemId: line.saleItemId,
+          productId: line.productId,
+          product: line.product,
+          quantity,
+          unitPrice: line.unitPrice,
+          taxCode: line.taxCode,
+          taxPercent: line.taxPercent,
+          destination: item.destination || 'stock'
+        });
+      }
+      return taken;
+    }, []);
+  });
+
+  const totals = calculateInvoiceTotals(lines);
+
+  // The customer only paid the share of the sale that was not withheld
+  const withheldShare = Number(sale.totalAmount) > 0
+    ? Number(sale.withholdingTotal || 0) * totals.payable / Number(sale.totalAmount)
+    : 0;
+  const refundAmount = round(totals.payable - withheldShare);
+
+  const invoice = invoiceForReturn(sale);
+  let config = null;
+  if (invoice) {
+    if (creditedTotal(invoice) + totals.payable > Number(invoice.total) + 0.01) {
+      throw new SaleReturnError('Credit notes cannot exceed the invoice total', 'INVOICE_FULLY_CREDITED', 409);
+    }
+    config = await getActiveConfig(prisma);
+    if (!config) {
+      throw new SaleReturnError('DIAN configuration not found', 'DIAN_CONFIG_NOT_FOUND');
+    }
+  }
+
+  let cashSession = null;
+  let credit = null;
+  if (method === 'cash') {
+    cashSession = await requireOpenSession(prisma, userId);
+    const { expected } = await summarizeSession(prisma, cashSession);
+    if (refundAmount > expected.cash) {
+      throw new CashSessionError(`Not enough cash in the register: ${expected.cash} available`, 'INSUFFICIENT_CASH');
+    }
+  } else if (method === 'store_credit') {
+    if (!sale.customerId) {
+      throw new SaleReturnError('Store credit requires a registered customer', 'CUSTOMER_REQUIRED');
+    }
+  } else {
+    credit = await findSaleCredit(prisma, sale);
+    if (!credit) {
+      throw new SaleReturnError(`Sale ${sale.invoiceNumber} has no credit to reduce`, 'CREDIT_NOT_FOUND', 409);
+    }
+    const balance = round(Number(credit.amount) - credit.payments.reduce((sum, payment) => sum + Number(payment.amount), 0));
+    if (refundAmount > balance) {
+      throw new SaleReturnError(
+        `Refund of ${refundAmount} exceeds the credit balance of ${balance}`,
+        'REFUND_EXCEEDS_BALANCE',
+        409
+      );
+    }
+  }
+
+  const returnNumber = `${sale.invoiceNumber}-D${sale.returns.length + 1}`;
+  const reference = `Return ${returnNumber} (sale ${sale.invoiceNumber})`;
+
+  const saleReturn = await prisma.$transaction(async (tx) => {
+    // Goods were received by the return itself; the note only records it
+    const creditNote = invoice
+      ? await generateNote(tx, {
+        type: 'credit',
+        invoice: { ...invoice, sale },
+        config,
+        conceptCode: RETURN_NOTE_CONCEPT,
+        reason,
+        lines,
+        restock: true,
+        userId
+      })
+      : null;
+
+    const created = await tx.saleReturn.create({
+      data: {
+        returnNumber,
+        saleId: sale.id,
+        reason,
+        refundMethod: method,
+        subtotal: totals.lineExtension,
+        taxAmount: totals.taxTotal,
+        totalAmount: totals.payable,
+        refundAmount,
+        cashSessionId: cashSession ? cashSession.id : null,
+        creditId: credit ? credit.id : null,
+        creditNoteId: creditNote ? creditNote.id : null,
+        userId,
+        items: {
+          create: lines.map((line, index) => ({
+            saleItemId: line.saleItemId,
+            productId: line.productId,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+            totalPrice: totals.lines[index].lineExtension,
+            taxCode: totals.lines[index].taxCode,
+            taxPercent: totals.lines[index].taxPercent,
+            taxAmount: totals.lines[index].taxAmount,
+            destination: line.destination
+          }))
+        }
+      },
+      include: {
+        items: true,
+        creditNote: true
+      }
+    });
+
+    for (const line of lines) {
+      const product = await tx.product.findUnique({
+        where: { id: line.productId },
+        select: { stock: true }
+      });
+
+      // Damaged goods are kept apart and do not become sellable stock
+      const damaged = line.destination === 'damaged';
+      await tx.product.update({
+        where: { id: line.productId },
+        data: damaged
+          ? { damagedStock: { increment: line.quantity } }
+          : { stock: { increment: line.quantity } }
+      });
+
+      await tx.inventoryMovement.create({
+        data: {
+          productId: line.productId,
+          type: damaged ? 'RETURN_DAMAGED' : 'RETURN',
+          quantity: line.quantity,
+          previousStock: product.stock,
+          newStock: damaged ? product.stock : product.stock + line.quantity,
+          reason,
+          reference,
+          userId
+        }
+      });
+    }
+
+    if (method === 'store_credit') {
+      await tx.customer.update({
+        where: { id: sale.customerId },
+        data: { storeCredit: { increment: refundAmount } }
+      });
+    } else if (method === 'credit') {
+      // The return pays part of the debt, so the credit balance follows the payments
+      await tx.payment.create({
+        data: {
+          creditId: credit.id,
+          saleId: sale.id,
+          amount: refundAmount,
+          method: 'return',
+          reference: returnNumber,
+          notes: reason
+        }
+      });
+
+      const paid = credit.payments.reduce((sum, payment) => sum + Number(payment.amount), 0) + refundAmount;
+      if (round(Number(credit.amount) - paid) <= 0) {
+        await tx.credit.update({
+          where: { id: credit.id },
+          data: { status: 'paid' }
+        });
+      }
+    }
+
+    const fullyReturned = returnable
+      .every((line) => line.returned + (requested.get(line.saleItemId) || 0) >= line.sold);
+    if (fullyReturned) {
+      await tx.sale.update({
+        where: { id: sale.id },
+        data: { status: 'RETURNED' }
+      });
+    }
+
+    return created;
+  });
+
+  logger.info(`Return ${returnNumber} of ${totals.payable} on sale ${sale.invoiceNumber}, refunded by ${method}`);
+  return saleReturn;
+};
+
+module.exports = {
+  REFUND_METHODS,
+  RETURN_DESTINATIONS,
+  SaleReturnError,
+  createSaleReturn
+};
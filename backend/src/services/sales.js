@@ -0,0 +1,507 @@
+/**
+ * Registro de ventas del POS
+ *
+ * Valida cliente y existencias (sin las reservadas por ventas en espera y
+ * planes separe), resuelve el precio de lista de cada línea, aplica las
+ * promociones vigentes y el cupón, liquida los impuestos por línea y las
+ * retenciones del cliente, controla el cupo del saldo a crédito, toma el
+ * consecutivo de la resolución DIAN y descuenta el inventario en una sola
+ * transacción. La usan la ruta de ventas y la conversión de cotizaciones y de
+ * planes separe.
+ */
+
+const { allocateInvoiceNumber, warnIfResolutionRunningOut } = require('./dian/numbering');
+const { PRODUCT_TAX_INCLUDE, itemTax, calculateLineTax } = require('./taxes');
+const { calculateWithholdings, withholdingTotal } = require('./withholdings');
+const { requireOpenSession } = require('./cashSessions');
+const { createPriceResolver, priceOverrideFlag, canOverridePrice } = require('./pricing');
+const { resolvePromotions, recordPromotionUses } = require('./promotions');
+const { CREDIT_STATUS, authorizeCredit, recordCreditOverride } = require('./creditControl');
+const { ParkedSaleError, findParkedSale, completeParkedSale } = require('./parkedSales');
+const { findConvertibleLayaway, completeLayaway } = require('./layaways');
+const { reservedQuantities } = require('./stockReservations');
+const { round } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// Medios con los que se paga en el mostrador; lo que no se paga queda a crédito
+const TENDER_METHODS = ['cash', 'card', 'transfer'];
+
+// Cotizaciones que aún se pueden convertir en venta (las aceptadas sin venta también)
+const CONVERTIBLE_QUOTATION_STATUSES = ['draft', 'sent', 'accepted'];
+
+/**
+ * Error de validación de una venta (cliente, producto, existencias o pagos)
+ */
+class SaleError extends Error {
+  constructor(message, code, statusCode = 400, issues = undefined) {
+    super(message);
+    this.name = 'SaleError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Repartir lo que se debe pagar entre los pagos recibidos
+ *
+ * Los pagos con tarjeta o transferencia no pueden superar lo que se debe; el
+ * efectivo sí, y el exceso se devuelve como cambio. Lo que no alcanzan a
+ * cubrir los pagos queda como saldo a crédito.
+ *
+ * @param {Array<{ method, amount, reference }>} tenders - Pagos recibidos
+ * @param {number} payable - Valor a pagar (total menos retenciones)
+ * @returns {{ payments: Array<{ method, amount, changeDue, reference }>, change: number, remainder: number }}
+ * @throws {SaleError} INVALID_TENDER o TENDER_EXCEEDS_TOTAL
+ */
+const applyTenders = (tenders, payable) => {
+  tenders.forEach((tender) => {
+    if (!TENDER_METHODS.includes(tender.method)) {
+      throw new SaleError(`Invalid tender method ${tender.method}`, 'INVALID_TENDER');
+    }
+  });
+
+  const nonCash = round(tenders
+    .filter((tender) => tender.method !== 'cash')
+    .reduce((sum, tender) => sum + Number(tender.amount), 0));
+  if (nonCash > payable) {
+    throw new SaleError(
+      `Card and transfer payments (${nonCash}) exceed the amount due (${payable})`,
+      'TENDER_EXCEEDS_TOTAL'
+    );
+  }
+
+  // Cash covers what is left after the other tenders; the excess is change
+  let cashDue = round(payable - nonCash);
+  let change = 0;
+  const payments = tenders.map((tender) => {
+    const amount = round(tender.amount);
+    if (tender.method !== 'cash') {
+      return { method: tender.method, amount, changeDue: 0, reference: tender.reference };
+    }
+    const applied = Math.min(amount, cashDue);
+    cashDue = round(cashDue - applied);
+    change = round(change + amount - applied);
+    return { method: 'cash', amount: applied, changeDue: round(amount - applied), reference: tender.reference };
+  });
+
+  const paid = round(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  return { payments: payments.filter((payment) => payment.amount > 0), change, remainder: round(payable - paid) };
+};
+
+/**
+ * Llevar el descuento de promociones al precio neto de la línea
+ *
+ * unitPrice queda como precio neto por unidad (así lo usan la factura, las
+ * devoluciones y las notas crédito); el redondeo a centavos se ajusta en la
+ * última promoción de la línea.
+ *
+ * @param {Object} line - Línea con quantity, unitPrice y totalPrice
+ * @param {{ discount: number, promotions: Array }} promotion - Resultado de la línea en applyPromotions
+ * @returns {Object} Línea con unitPrice, totalPrice, discount y promotions
+ */
+const applyLineDiscount = (line, { discount, promotions }) => {
+  if (discount <= 0) {
+    return { ...line, discount: 0, promotions: [] };
+  }
+  const unitPrice = round((line.totalPrice - discount) / line.quantity);
+  const totalPrice = round(line.quantity * unitPrice);
+  const applied = round(line.totalPrice - totalPrice);
+  const adjustment = round(applied - discount);
+  return {
+    ...line,
+    unitPrice,
+    totalPrice,
+    discount: applied,
+    promotions: promotions.map((promotion, index) => (
+      index === promotions.length - 1 ? { ...promotion, amount: round(promotion.amount + adjustment) } : promotion
+    ))
+  };
+};
+
+/**
+ * Registrar una venta
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {Object} data
+ * @param {string} [data.customerId] - Cliente registrado
+ * @param {string} [data.customerName] - Nombre para ventas sin cliente registrado
+ * @param {Array<{ productId, quantity, unitPrice }>} data.items - Líneas vendidas; sin unitPrice se
+ *   vende al precio de lista del cliente
+ * @param {string} [data.couponCode] - Cupón de promoción digitado
+ * @param {Array<{ method, amount, reference }>} [data.payments] - Pagos recibidos (cash, card, transfer);
+ *   el saldo sin pagar queda a crédito del cliente
+ * @param {string} [data.paymentMethod] - Medio único (cash, card, transfer o credit) si no se envían pagos
+ * @param {{ username, pin, reason, ipAddress, userAgent }} [data.creditOverride] - Autorización del
+ *   supervisor para un crédito de cliente bloqueado, en mora o sin cupo
+ * @param {string} [data.parkedSaleId] - Venta en espera que se cobra; sus unidades reservadas quedan
+ *   disponibles para esta venta
+ * @param {string} [data.layawayId] - Plan separe pagado que se retira: la venta se hace a su cliente
+ *   con sus líneas y precios pactados (se ignoran customerId e items) y se paga con sus abonos
+ * @param {string} [data.quotationId] - Cotización que se convierte; queda aceptada con esta venta
+ *   dentro de su transacción
+ * @param {string} [data.branch] - Sucursal de la resolución; por defecto la caja del turno
+ * @param {string} [data.withholdingConcept] - Concepto de retención del cliente
+ * @param {string} [data.notes] - Observaciones
+ * @param {Object} [data.offline] - Venta hecha en el POS sin conexión que se sincroniza
+ * @param {string} data.offline.clientId - ID generado por el POS (única por venta)
+ * @param {Date} [data.offline.createdAt] - Momento de la venta en el POS
+ * @param {number} [data.offline.expectedTotal] - Total cobrado en el POS; si el del servidor difiere
+ *   la venta no se registra (TOTAL_MISMATCH)
+ * @param {boolean} [data.offline.allowStockShortage] - Registrar la venta aunque las existencias no
+ *   alcancen (la mercancía ya se entregó); el inventario queda negativo
+ * @param {string} userId - Cajero
+ * @param {string[]} [permissions] - Permisos del cajero (precios por debajo de lista o costo)
+ * @returns {Promise<Object>} Venta con sus retenciones, pagos y el cambio a entregar
+ * @throws {SaleError|PromotionError|CreditControlError|ParkedSaleError|LayawayError|CashSessionError|NumberingError}
+ */
+const createSale = async (prisma, {
+  customerId, customerName, items, couponCode, payments: tenders, paymentMethod, creditOverride,
+  parkedSaleId, layawayId, quotationId, branch, withholdingConcept, notes, offline
+}, userId, permissions = []) => {
+  // Every sale belongs to the cashier's open register session
+  const cashSession = await requireOpenSession(prisma, userId);
+
+  // A layaway is sold to its customer, with its lines at the agreed prices
+  const layaway = layawayId ? await findConvertibleLayaway(prisma, layawayId) : null;
+  if (layaway) {
+    customerId = layaway.customerId;
+    items = layaway.items.map((item) => ({
+      productId: item.productId,
+      quantity: item.quantity,
+      unitPrice: Number(item.unitPrice)
+    }));
+  }
+
+  // Check if customer exists (only if customerId is provided)
+  let customer = null;
+  if (customerId) {
+    customer = await prisma.customer.findUnique({
+      where: { id: customerId }
+    });
+
+    if (!customer) {
+      throw new SaleError('Customer not found', 'CUSTOMER_NOT_FOUND');
+    }
+  }
+
+  if (parkedSaleId) {
+    const parkedSale = await findParkedSale(prisma, parkedSaleId);
+    if (parkedSale.status !== 'parked') {
+      throw new ParkedSaleError(`Parked sale ${parkedSale.label} is ${parkedSale.status}`, 'PARKED_SALE_CLOSED', 409);
+    }
+  }
+
+  // Check if products exist and have sufficient stock not reserved by other parked sales or layaways
+  const reserved = await reservedQuantities(prisma, items.map((item) => item.productId), { parkedSaleId, layawayId });
+  const priceFor = await createPriceResolver(prisma, customer);
+  const pricedLines = [];
+  const shortages = [];
+  for (const item of items) {
+    const product = await prisma.product.findUnique({
+      where: { id: item.productId },
+      include: PRODUCT_TAX_INCLUDE
+    });
+
+    if (!product) {
+      throw new SaleError(`Product ${item.productId} not found`, 'PRODUCT_NOT_FOUND');
+    }
+
+    const available = product.stock - (reserved.get(product.id) || 0);
+    if (available < item.quantity) {
+      shortages.push({
+        productId: product.id, name: product.name, requested: item.quantity, available, reserved: reserved.get(product.id) || 0
+      });
+    }
+
+    // The customer's list price applies unless the cashier keys in another one
+    const { price: listPrice, priceListId } = priceFor(product, item.quantity);
+    const manual = item.unitPrice !== undefined && item.unitPrice !== null;
+    const unitPrice = manual ? Number(item.unitPrice) : listPrice;
+    const priceOverride = manual ? priceOverrideFlag({ unitPrice, listPrice, cost: product.cost }) : null;
+
+    pricedLines.push({
+      ...item,
+      product,
+      name: product.name,
+      manual,
+      unitPrice,
+      listPrice,
+      priceListId,
+      priceOverride,
+      totalPrice: round(item.quantity * unitPrice)
+    });
+  }
+
+  // An offline sale already handed the goods over; an authorized sync records it anyway
+  if (shortages.length > 0 && !(offline && offline.allowStockShortage)) {
+    throw new SaleError(
+      shortages.map((shortage) => `Insufficient stock for product ${shortage.name}. Available: ${shortage.available}`
+        + (shortage.reserved ? ` (${shortage.reserved} reserved by parked sales and layaways)` : '')).join('; '),
+      'INSUFFICIENT_STOCK',
+      400,
+      shortages
+    );
+  }
+
+  // The agreed prices of a layaway were approved when it was opened
+  const overrides = pricedLines.filter((line) => line.priceOverride);
+  if (overrides.length > 0 && !layaway && !canOverridePrice(permissions)) {
+    throw new SaleError(
+      `Price below ${overrides.some((line) => line.priceOverride === 'BELOW_COST') ? 'cost' : 'list price'} for `
+        + `${overrides.map((line) => line.name).join(', ')}; a user with price override permission must approve it`,
+      'PRICE_OVERRIDE_NOT_ALLOWED',
+      403
+    );
+  }
+
+  // Promotions apply to list-priced lines; a keyed-in price is already the agreed price
+  const promotion = await resolvePromotions(prisma, pricedLines.map((line) => ({
+    productId: line.productId,
+    categoryId: line.product.categoryId,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    eligible: !line.manual
+  })), couponCode);
+
+  // Line tax from the product's tax class, on the discounted line value as taxable base
+  const lines = pricedLines.map((pricedLine, index) => {
+    const { product, ...line } = applyLineDiscount(pricedLine, promotion.lines[index]);
+    return { ...line, ...calculateLineTax(line.totalPrice, itemTax({ product })) };
+  });
+  const appliedPromotions = [...new Map(lines.flatMap((line) => line.promotions.map((applied) => [applied.promotionId, applied])))
+    .values()];
+
+  // Calculate totals
+  const discount = round(lines.reduce((sum, line) => sum + line.discount, 0));
+  const subtotal = lines.reduce((sum, line) => sum + line.totalPrice, 0);
+  const tax = lines.reduce((sum, line) => sum + line.taxAmount, 0);
+  const total = subtotal + tax;
+
+  // The customer already paid what the offline register charged
+  if (offline && offline.expectedTotal !== undefined && offline.expectedTotal !== null
+    && round(total) !== round(offline.expectedTotal)) {
+    throw new SaleError(
+      `Offline sale total ${round(offline.expectedTotal)} does not match ${round(total)} calculated by the server`,
+      'TOTAL_MISMATCH',
+      409,
+      [{ expectedTotal: round(offline.expectedTotal), total: round(total) }]
+    );
+  }
+
+  // Withholding-agent customers withhold on the sale; they pay the net amount
+  const withholdings = await calculateWithholdings(prisma, {
+    appliesTo: 'sale',
+    party: customer,
+    subtotal,
+    vat: lines.filter((line) => line.taxCode === '01').reduce((sum, line) => sum + line.taxAmount, 0),
+    concept: withholdingConcept
+  });
+  const withheld = withholdingTotal(withholdings);
+  const payable = round(total - withheld);
+
+  // A layaway must be fully paid by its deposits; what they exceed goes back as change
+  if (layaway && payable > layaway.paid) {
+    throw new SaleError(
+      `Layaway ${layaway.layawayNumber} has a balance of ${round(payable - layaway.paid)}; register the deposit first`,
+      'LAYAWAY_NOT_PAID',
+      409
+    );
+  }
+
+  // A single payment method pays the whole sale, or leaves it all on credit
+  const { payments, change, remainder } = layaway
+    ? { payments: [], change: round(layaway.paid - payable), remainder: 0 }
+    : applyTenders(
+      tenders || (paymentMethod === 'credit' ? [] : [{ method: paymentMethod, amount: payable }]),
+      payable
+    );
+  if (remainder > 0 && !customer) {
+    throw new SaleError(
+      `A registered customer is required to leave ${remainder} on credit`,
+      'CUSTOMER_REQUIRED'
+    );
+  }
+  // Blocked customers, overdue credits and exceeded limits need a supervisor's authorization
+  const creditAuthorization = remainder > 0
+    ? await authorizeCredit(prisma, customer, remainder, creditOverride)
+    : null;
+  const methods = [...new Set((layaway ? layaway.payments : payments).map((payment) => payment.method))];
+  let saleMethod = 'mixed';
+  if (methods.length === 0) {
+    saleMethod = 'credit';
+  } else if (methods.length === 1 && remainder <= 0) {
+    [saleMethod] = methods;
+  }
+
+  // Create sale transaction
+  const { sale: result, resolution } = await prisma.$transaction(async (prisma) => {
+    // Take the next number of the DIAN resolution; it is released if the sale fails
+    const { config: resolution, invoiceNumber } = await allocateInvoiceNumber(prisma, {
+      branch: branch || cashSession.register
+    });
+
+    // Create sale
+    const sale = await prisma.sale.create({
+      data: {
+        invoiceNumber,
+        dianConfigId: resolution.id,
+        customerId: customerId || null,
+        customerName: customerName || 'Cliente General',
+        subtotal,
+        discount,
+        couponCode: promotion.coupon ? promotion.coupon.couponCode : null,
+        taxAmount: tax,
+        totalAmount: total,
+        withholdingTotal: withheld,
+        paymentMethod: saleMethod,
+        cashSessionId: cashSession.id,
+        status: remainder > 0 ? 'PENDING' : 'PAID',
+        notes: notes || (layaway ? `Plan separe ${layaway.layawayNumber}` : undefined),
+        clientId: offline ? offline.clientId : undefined,
+        offlineCreatedAt: offline ? offline.createdAt : undefined,
+        userId,
+        withholdings: {
+          create: withholdings.map((withholding) => ({ ...withholding, customerId }))
+        },
+        payments: {
+          create: payments.map((payment) => ({ ...payment, cashSessionId: cashSession.id }))
+        }
+      },
+      include: { withholdings: true, payments: true }
+    });
+
+    if (parkedSaleId) {
+      await completeParkedSale(prisma, parkedSaleId, sale.id);
+    }
+    if (layaway) {
+      await completeLayaway(prisma, layawayId, { saleId: sale.id, excess: change, cashSessionId: cashSession.id });
+    }
+    // Claim the quotation with the sale, so a concurrent conversion finds it taken and rolls back
+    if (quotationId) {
+      const now = new Date();
+      const { count } = await prisma.quotation.updateMany({
+        where: {
+          id: quotationId, saleId: null, status: { in: CONVERTIBLE_QUOTATION_STATUSES }, validUntil: { gte: now }
+        },
+        data: { status: 'accepted', saleId: sale.id }
+      });
+      if (count === 0) {
+        throw new SaleError('Quotation was already converted or has expired', 'QUOTATION_CLOSED', 409);
+      }
+      await prisma.quotation.updateMany({ where: { id: quotationId, acceptedAt: null }, data: { acceptedAt: now } });
+    }
+
+    // Create sale items and update inventory
+    for (const item of lines) {
+      await prisma.saleItem.create({
+        data: {
+          saleId: sale.id,
+          productId: item.productId,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          totalPrice: item.totalPrice,
+          discount: item.discount,
+          listPrice: item.listPrice,
+          priceListId: item.priceListId,
+          priceOverride: item.priceOverride,
+          taxCode: item.taxCode,
+          taxPercent: item.taxPercent,
+          taxAmount: item.taxAmount,
+          promotions: {
+            create: item.promotions.map((applied) => ({ promotionId: applied.promotionId, amount: applied.amount }))
+          }
+        }
+      });
+
+      // Get current stock before update
+      const product = await prisma.product.findUnique({
+        where: { id: item.productId },
+        select: { stock: true }
+      });
+      const previousStock = product.stock;
+      const newStock = previousStock - item.quantity;
+
+      // Update product stock
+      await prisma.product.update({
+        where: { id: item.productId },
+        data: {
+          stock: {
+            decrement: item.quantity
+          }
+        }
+      });
+
+      // Create inventory movement
+      await prisma.inventoryMovement.create({
+        data: {
+          productId: item.productId,
+          type: 'SALE',
+          quantity: -item.quantity,
+          previousStock: previousStock,
+          newStock: newStock,
+          reference: `Sale ${invoiceNumber}`,
+          userId
+        }
+      });
+    }
+
+    // Another sale may have used up a limited promotion since it was applied
+    await recordPromotionUses(prisma, appliedPromotions, promotion.coupon);
+
+    // The unpaid remainder goes on the customer's credit
+    if (remainder > 0) {
+      await prisma.credit.create({
+        data: {
+          customerId,
+          saleId: sale.id,
+          amount: remainder,
+          interestRate: 0,
+          term: 30,
+          dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days default
+          status: CREDIT_STATUS.ACTIVE,
+          notes: `Crédito por venta ${invoiceNumber}`
+        }
+      });
+    }
+
+    if (creditAuthorization && creditAuthorization.supervisor) {
+      await recordCreditOverride(prisma, {
+        sale, amount: remainder, authorization: creditAuthorization, override: creditOverride, userId
+      });
+    }
+
+    return { sale, resolution };
+  });
+
+  warnIfResolutionRunningOut(prisma, resolution).catch((error) => {
+    logger.error('Error raising DIAN numbering warning:', error);
+  });
+
+  if (discount > 0) {
+    logger.info(`Sale ${result.invoiceNumber} promotions: `
+      + lines.flatMap((line) => line.promotions.map((applied) => `${applied.name} on ${line.name} -${applied.amount}`)).join('; '));
+  }
+  if (overrides.length > 0) {
+    logger.warn(`Sale ${result.invoiceNumber} has price overrides by user ${userId}: `
+      + overrides.map((line) => `${line.name} ${line.unitPrice} (list ${line.listPrice}, ${line.priceOverride})`).join('; '));
+  }
+  if (shortages.length > 0) {
+    logger.warn(`Offline sale ${result.invoiceNumber} synced by user ${userId} with stock shortages: `
+      + shortages.map((shortage) => `${shortage.name} ${shortage.requested} (available ${shortage.available})`).join('; '));
+  }
+  if (creditAuthorization && creditAuthorization.supervisor) {
+    logger.warn(`Sale ${result.invoiceNumber} credit of ${remainder} authorized by ${creditAuthorization.supervisor.username}: `
+      + creditAuthorization.issues.map((issue) => issue.message).join('; '));
+  }
+  logger.info(`Sale created: ${result.invoiceNumber} for customer ${customer?.name || customerName || 'Cliente General'}`);
+  return { ...result, change, creditAmount: remainder };
+};
+
+module.exports = {
+  TENDER_METHODS,
+  SaleError,
+  applyTenders,
+  applyLineDiscount,
+  createSale
+};
@@ -0,0 +1,61 @@
+/**
+ * Unidades reservadas del inventario
+ *
+ * Las ventas en espera vigentes y los planes separe activos reservan unidades
+ * que siguen en el inventario pero que las demás ventas no pueden vender. Las
+ * reservas se calculan sobre los documentos no vencidos, así que uno vencido
+ * libera sus unidades de inmediato aunque el worker aún no lo haya marcado.
+ */
+
+/**
+ * Unidades reservadas por producto
+ *
+ * @param {Object} prisma - Cliente Prisma
+ * @param {string[]} productIds - Productos a consultar
+ * @param {Object} [except] - Documentos que no se cuentan (el que se cobra o se modifica)
+ * @param {string} [except.parkedSaleId] - Venta en espera
+ * @param {string} [except.layawayId] - Plan separe
+ * @returns {Promise<Map<string, number>>} Unidades reservadas por producto
+ */
+const reservedQuantities = async (prisma, productIds, { parkedSaleId, layawayId } = {}) => {
+  const now = new Date();
+  const [parked, layaway] = await Promise.all([
+    prisma.parkedSaleItem.findMany({
+      where: {
+        productId: { in: productIds },
+        parkedSale: {
+          status: 'parked', expiresAt: { gt: now }, ...(parkedSaleId && { id: { not: parkedSaleId } })
+        }
+      },
+      select: { productId: true, quantity: true }
+    }),
+    prisma.layawayItem.findMany({
+      where: {
+        productId: { in: productIds },
+        layaway: {
+          status: 'active', expiresAt: { gt: now }, ...(layawayId && { id: { not: layawayId } })
+        }
+      },
+      select: { productId: true, quantity: true }
+    })
+  ]);
+
+  return [...parked, ...layaway].reduce(
+    (reserved, item) => reserved.set(item.productId, (reserved.get(item.productId) || 0) + item.quantity),
+    new Map()
+  );
+};
+
+/**
+ * Agregar a un producto sus unidades reservadas y disponibles
+ */
+const withAvailability = (product, reserved) => ({
+  ...product,
+  reserved: reserved.get(product.id) || 0,
+  available: product.stock - (reserved.get(product.id) || 0)
+});
+
+module.exports = {
+  reservedQuantities,
+  withAvailability
+};
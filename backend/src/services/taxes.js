@@ -0,0 +1,123 @@
+/**
+ * Catálogo de impuestos de productos (IVA, INC, exentos y excluidos)
+ *
+ * Cada producto usa la clase tributaria asignada a él o, en su defecto, la de su
+ * categoría; sin asignación se aplica el IVA general. El impuesto se liquida por
+ * línea sobre la base gravable (valor de la línea menos descuentos) redondeado a
+ * dos decimales, y los totales del documento son la suma de las líneas.
+ */
+
+const { round } = require('../utils/money');
+
+// Tipos de impuesto y tributo DIAN con el que se reportan
+const TAX_TYPES = {
+  IVA: { dianCode: '01', name: 'IVA' },
+  INC: { dianCode: '04', name: 'INC' },
+  // Exento: se reporta como IVA a tarifa 0%
+  EXEMPT: { dianCode: '01', name: 'IVA' },
+  // Excluido: no causa IVA y la línea no lleva tributo
+  EXCLUDED: { dianCode: null, name: null }
+};
+
+const TAX_NAMES = { '01': 'IVA', '04': 'INC', '03': 'ICA' };
+
+// IVA general vigente en Colombia, para productos sin clase tributaria
+const GENERAL_IVA = {
+  code: 'IVA19',
+  name: 'IVA 19%',
+  type: 'IVA',
+  rate: 19
+};
+
+// Include de Prisma para resolver la clase tributaria de un producto
+const PRODUCT_TAX_INCLUDE = {
+  taxClass: true,
+  category: { include: { taxClass: true } }
+};
+
+/**
+ * Clase tributaria de un producto (propia, de su categoría o IVA general)
+ */
+const resolveTaxClass = (product) => (product && product.taxClass)
+  || (product && product.category && product.category.taxClass)
+  || GENERAL_IVA;
+
+/**
+ * Tributo DIAN y tarifa de una clase tributaria
+ *
+ * @returns {{ code: string|null, name: string|null, percent: number }}
+ *   code null para bienes excluidos
+ */
+const taxOfClass = (taxClass) => {
+  const type = TAX_TYPES[taxClass.type] || TAX_TYPES.IVA;
+  return {
+    code: type.dianCode,
+    name: type.name,
+    percent: type.dianCode && taxClass.type !== 'EXEMPT' ? Number(taxClass.rate) : 0
+  };
+};
+
+/**
+ * Tributo de un item: el liquidado en la venta o compra (taxCode/taxPercent)
+ * o, si no lo tiene, el de la clase tributaria del producto
+ */
+const itemTax = (item) => {
+  if (item.taxCode !== undefined) {
+    return {
+      code: item.taxCode || null,
+      name: item.taxCode ? TAX_NAMES[item.taxCode] || item.taxCode : null,
+      percent: item.taxCode ? Number(item.taxPercent || 0) : 0
+    };
+  }
+  return taxOfClass(resolveTaxClass(item.product));
+};
+
+/**
+ * Liquidar el impuesto de una línea
+ *
+ * @param {number} taxableAmount - Base gravable (cantidad x precio menos descuentos)
+ * @param {Object} tax - Resultado de itemTax() o taxOfClass()
+ * @returns {{ taxCode: string|null, taxPercent: number, taxAmount: number }}
+ */
+const calculateLineTax = (taxableAmount, tax) => ({
+  taxCode: tax.code,
+  taxPercent: tax.percent,
+  taxAmount: tax.code ? round(Number(taxableAmount) * tax.percent / 100) : 0
+});
+
+/**
+ * Subtotales por tributo y tarifa a partir de líneas liquidadas
+ *
+ * @param {Array} lines - Líneas con taxCode, taxPercent, taxAmount y taxableAmount
+ * @returns {Array<{ code, name, percent, taxableAmount, taxAmount }>}
+ */
+const summarizeTaxes = (lines) => {
+  const subtotals = new Map();
+  lines.filter((line) => line.taxCode).forEach((line) => {
+    const percent = Number(line.taxPercent);
+    const key = `${line.taxCode}:${percent}`;
+    const subtotal = subtotals.get(key) || {
+      code: line.taxCode,
+      name: TAX_NAMES[line.taxCode] || line.taxCode,
+      percent,
+      taxableAmount: 0,
+      taxAmount: 0
+    };
+    subtotal.taxableAmount = round(subtotal.taxableAmount + Number(line.taxableAmount));
+    subtotal.taxAmount = round(subtotal.taxAmount + Number(line.taxAmount));
+    subtotals.set(key, subtotal);
+  });
+
+  return [...subtotals.values()].sort((a, b) => a.code.localeCompare(b.code) || b.percent - a.percent);
+};
+
+module.exports = {
+  TAX_TYPES,
+  GENERAL_IVA,
+  PRODUCT_TAX_INCLUDE,
+  resolveTaxClass,
+  taxOfClass,
+  itemTax,
+  calculateLineTax,
+  summarizeTaxes
+};
@@ -0,0 +1,139 @@
+/**
+ * Certificado anual de retenciones en la fuente (PDF)
+ *
+ * Se expide al proveedor con las retenciones de renta, IVA e ICA practicadas en
+ * el año gravable, agrupadas por concepto y tarifa, a partir del resultado de
+ * buildWithholdingCertificate().
+ */
+
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { printable, formatMoney } = require('./dian/pdf');
+
+const PAGE_SIZE = [612, 792];
+const MARGIN = 48;
+
+const TYPE_LABELS = {
+  RETEFUENTE: 'Retención en la fuente a título de renta',
+  RETEIVA: 'Retención de IVA',
+  RETEICA: 'Retención de ICA'
+};
+
+const COLUMNS = [
+  { label: 'Concepto', width: 150 },
+  { label: 'Municipio', width: 70 },
+  { label: 'Tarifa', width: 60, align: 'right' },
+  { label: 'Base', width: 118, align: 'right' },
+  { label: 'Retenido', width: 118, align: 'right' }
+];
+
+/**
+ * Generar el PDF del certificado
+ *
+ * @param {Object} certificate - Resultado de buildWithholdingCertificate()
+ * @param {Object} agent - Agente retenedor (resolveIssuer() de la resolución activa)
+ * @returns {Promise<Buffer>}
+ */
+const buildWithholdingCertificatePdf = async (certificate, agent) => {
+  const { year, supplier, rows, totals } = certificate;
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Certificado de retenciones ${year} - ${printable(supplier.name)}`);
+  pdf.setAuthor(printable(agent.name));
+  pdf.setCreator('Agropecuaria Suaza POS');
+
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const muted = rgb(0.4, 0.4, 0.4);
+  const [pageWidth, pageHeight] = PAGE_SIZE;
+  const contentWidth = pageWidth - MARGIN * 2;
+
+  let page = pdf.addPage(PAGE_SIZE);
+  let y = pageHeight - MARGIN;
+
+  const text = (value, x, { font = regular, size = 9, color = rgb(0, 0, 0), align = 'left', width = 0 } = {}) => {
+    const content = printable(value);
+    const left = align === 'right' ? x + width - font.widthOfTextAtSize(content, size) : x;
+    page.drawText(content, { x: left, y, font, size, color });
+  };
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) {
+      page = pdf.addPage(PAGE_SIZE);
+      y = pageHeight - MARGIN;
+    }
+  };
+
+  const row = (values, options = {}) => {
+    ensureSpace(14);
+    let x = MARGIN;
+    COLUMNS.forEach((column, index) => {
+      text(values[index], x, { ...options, align: column.align, width: column.width - 6 });
+      x += column.width;
+    });
+    y -= 14;
+  };
+
+  text('CERTIFICADO DE RETENCIONES', MARGIN, { font: bold, size: 14 });
+  y -= 18;
+  text(`Año gravable ${year}`, MARGIN, { size: 10, color: muted });
+  y -= 28;
+
+  text('Agente retenedor', MARGIN, { font: bold, size: 10 });
+  y -= 14;
+  text(`${agent.name} - NIT ${agent.number}-${agent.checkDigit}`, MARGIN);
+  y -= 12;
+  text([agent.address, agent.city].filter(Boolean).join(', '), MARGIN);
+  y -= 22;
+
+  text('Retenido', MARGIN, { font: bold, size: 10 });
+  y -= 14;
+  text(`${supplier.name} - NIT/CC ${supplier.taxId || ''}`, MARGIN);
+  y -= 12;
+  text([supplier.address, supplier.city].filter(Boolean).join(', '), MARGIN);
+  y -= 26;
+
+  Object.keys(TYPE_LABELS).forEach((type) => {
+    const ofType = rows.filter((entry) => entry.type === type);
+    if (ofType.length === 0) {
+      return;
+    }
+
+    ensureSpace(48);
+    text(TYPE_LABELS[type], MARGIN, { font: bold, size: 10 });
+    y -= 16;
+    row(COLUMNS.map((column) => column.label), { font: bold });
+    page.drawLine({
+      start: { x: MARGIN, y: y + 10 },
+      end: { x: MARGIN + contentWidth, y: y + 10 },
+      thickness: 0.5,
+      color: muted
+    });
+    ofType.forEach((entry) => row([
+      entry.concept,
+      entry.municipalityCode || '',
+      `${entry.rate.toFixed(3)}%`,
+      formatMoney(entry.baseAmount),
+      formatMoney(entry.amount)
+    ]));
+    row(['Total', '', '', '', formatMoney(totals[type])], { font: bold });
+    y -= 12;
+  });
+
+  if (rows.length === 0) {
+    text('No se practicaron retenciones en el año gravable.', MARGIN);
+    y -= 20;
+  }
+
+  ensureSpace(60);
+  text(`Total retenido: ${formatMoney(totals.total)}`, MARGIN, { font: bold, size: 11 });
+  y -= 28;
+  text(`Expedido el ${new Date().toISOString().slice(0, 10)}. Los valores retenidos fueron consignados oportunamente a favor`, MARGIN, { size: 8, color: muted });
+  y -= 11;
+  text('de la DIAN y del municipio correspondiente. Se expide sin firma autógrafa (Decreto 836 de 1991, art. 10).', MARGIN, { size: 8, color: muted });
+
+  return Buffer.from(await pdf.save());
+};
+
+module.exports = {
+  buildWithholdingCertificatePdf
+};
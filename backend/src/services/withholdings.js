@@ -0,0 +1,203 @@
+/**
+ * Retenciones en la fuente: ReteFuente (renta), ReteIVA y ReteICA
+ *
+ * Las reglas (WithholdingRule) se configuran por tipo, operación (venta o
+ * compra), concepto, régimen tributario del tercero, municipio y base mínima en
+ * UVT. En las compras la empresa retiene al proveedor; en las ventas el cliente
+ * agente de retención nos retiene. Las retenciones no cambian el total del
+ * documento: se descuentan del valor neto a pagar o a cobrar.
+ */
+
+const { round } = require('../utils/money');
+const logger = require('../utils/logger');
+
+// Tipos de retención, tributo DIAN con el que se reportan y base sobre la que se calculan
+const WITHHOLDING_TYPES = {
+  RETEFUENTE: { dianCode: '06', name: 'ReteRenta', base: 'subtotal' },
+  RETEIVA: { dianCode: '05', name: 'ReteIVA', base: 'vat' },
+  RETEICA: { dianCode: '07', name: 'ReteICA', base: 'subtotal' }
+};
+
+// Regímenes tributarios de clientes y proveedores (sin régimen: responsable de IVA)
+const TAX_REGIMES = [
+  'RESPONSABLE_IVA',
+  'NO_RESPONSABLE_IVA',
+  'GRAN_CONTRIBUYENTE',
+  'AUTORRETENEDOR',
+  'REGIMEN_SIMPLE'
+];
+
+const DEFAULT_TAX_REGIME = 'RESPONSABLE_IVA';
+
+const WITHHOLDING_CONCEPTS = ['COMPRAS', 'SERVICIOS', 'HONORARIOS', 'ARRENDAMIENTOS', 'TRANSPORTE'];
+
+// Valor de la UVT por año; se puede sobrescribir con la clave UVT_<año> de SystemConfig
+const UVT_VALUES = {
+  2024: 47065,
+  2025: 49799,
+  2026: 52374
+};
+
+/**
+ * Valor de la UVT de un año (SystemConfig UVT_<año> o tabla por defecto)
+ */
+const getUvtValue = async (prisma, year) => {
+  const entry = await prisma.systemConfig.findUnique({ where: { key: `UVT_${year}` } });
+  if (entry && Number(entry.value) > 0) {
+    return Number(entry.value);
+  }
+  if (entry) {
+    logger.error(`Invalid UVT_${year} value, using the default UVT`);
+  }
+
+  const known = Object.keys(UVT_VALUES).map(Number).filter((value) => value <= year);
+  return UVT_VALUES[known.length > 0 ? Math.max(...known) : Math.min(...Object.keys(UVT_VALUES).map(Number))];
+};
+
+/**
+ * Calcular las retenciones de una venta o compra según las reglas activas
+ *
+ * @param {Object} prisma - Cliente Prisma (o transacción)
+ * @param {Object} operation
+ * @param {string} operation.appliesTo - sale o purchase
+ * @param {Object} [operation.party] - Cliente (venta) o proveedor (compra)
+ * @param {number} operation.subtotal - Base gravable del documento (sin impuestos)
+ * @param {number} [operation.vat] - IVA del documento (base de ReteIVA)
+ * @param {string} [operation.concept] - Concepto de la operación (COMPRAS por defecto)
+ * @param {Date} [operation.date] - Fecha de la operación (año de la UVT y del certificado)
+ * @returns {Promise<Array<{ ruleId, type, concept, rate, baseAmount, amount, municipalityCode, year }>>}
+ */
+const calculateWithholdings = async (prisma, {
+  appliesTo, party, subtotal, vat = 0, concept = 'COMPRAS', date = new Date()
+}) => {
+  // In sales only customers designated as withholding agents withhold
+  if (!party || (appliesTo === 'sale' && !party.isWithholdingAgent)) {
+    return [];
+  }
+
+  const rules = await prisma.withholdingRule.findMany({
+    where: { appliesTo, concept, isActive: true },
+    orderBy: { type: 'asc' }
+  });
+  if (rules.length === 0) {
+    return [];
+  }
+
+  const year = date.getFullYear();
+  const uvt = await getUvtValue(prisma, year);
+  const regime = party.taxRegime || DEFAULT_TAX_REGIME;
+  const municipalityCode = party.municipalityCode || process.env.DIAN_MUNICIPALITY_CODE || null;
+  const bases = { subtotal: Number(subtotal), vat: Number(vat) };
+
+  return rules
+    .filter((rule) => rule.taxRegimes.length === 0 || rule.taxRegimes.includes(regime))
+    .filter((rule) => !rule.municipalityCode || rule.municipalityCode === municipalityCode)
+    .filter((rule) => bases.subtotal >= Number(rule.minBaseUvt) * uvt)
+    .map((rule) => {
+      const baseAmount = round(bases[WITHHOLDING_TYPES[rule.type].base]);
+      return {
+        ruleId: rule.id,
+        type: rule.type,
+        concept,
+        rate: Number(rule.rate),
+        baseAmount,
+        amount: round(baseAmount * Number(rule.rate) / 100),
+        municipalityCode: rule.type === 'RETEICA' ? municipalityCode : null,
+        year
+      };
+    })
+    .filter((withholding) => withholding.amount > 0);
+};
+
+/**
+ * Total retenido
+ */
+const withholdingTotal = (withholdings) => round(withholdings.reduce((sum, withholding) => sum + Number(withholding.amount), 0));
+
+/**
+ * Subtotales por tributo y tarifa para el cac:WithholdingTaxTotal del UBL
+ *
+ * @param {Array} withholdings - Registros Withholding de la venta o compra
+ * @returns {Array<{ code, name, percent, taxableAmount, taxAmount }>}
+ */
+const summarizeWithholdings = (withholdings = []) => {
+  const subtotals = new Map();
+  withholdings.forEach((withholding) => {
+    const type = WITHHOLDING_TYPES[withholding.type];
+    const percent = Number(withholding.rate);
+    const key = `${type.dianCode}:${percent}`;
+    const subtotal = subtotals.get(key) || {
+      code: type.dianCode,
+      name: type.name,
+      percent,
+      taxableAmount: 0,
+      taxAmount: 0
+    };
+    subtotal.taxableAmount = round(subtotal.taxableAmount + Number(withholding.baseAmount));
+    subtotal.taxAmount = round(subtotal.taxAmount + Number(withholding.amount));
+    subtotals.set(key, subtotal);
+  });
+
+  return [...subtotals.values()].sort((a, b) => a.code.localeCompare(b.code) || b.percent - a.percent);
+};
+
+/**
+ * Certificado anual de retenciones practicadas a un proveedor
+ *
+ * Agrupa las retenciones de compras no anuladas por tipo, concepto, tarifa y municipio.
+ *
+ * @returns {Promise<{ year, supplier, rows: Array, totals: Object, purchases: number }>}
+ */
+const buildWithholdingCertificate = async (prisma, supplier, year) => {
+  const withholdings = await prisma.withholding.findMany({
+    where: {
+      supplierId: supplier.id,
+      year,
+      purchase: { status: { not: 'cancelled' } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const rows = new Map();
+  withholdings.forEach((withholding) => {
+    const rate = Number(withholding.rate);
+    const key = [withholding.type, withholding.concept, rate, withholding.municipalityCode || ''].join(':');
+    const row = rows.get(key) || {
+      type: withholding.type,
+      name: WITHHOLDING_TYPES[withholding.type].name,
+      concept: withholding.concept,
+      rate,
+      municipalityCode: withholding.municipalityCode,
+      baseAmount: 0,
+      amount: 0
+    };
+    row.baseAmount = round(row.baseAmount + Number(withholding.baseAmount));
+    row.amount = round(row.amount + Number(withholding.amount));
+    rows.set(key, row);
+  });
+
+  const totals = Object.fromEntries(Object.keys(WITHHOLDING_TYPES).map((type) => [
+    type,
+    withholdingTotal(withholdings.filter((withholding) => withholding.type === type))
+  ]));
+
+  return {
+    year,
+    supplier,
+    rows: [...rows.values()],
+    totals: { ...totals, total: withholdingTotal(withholdings) },
+    purchases: new Set(withholdings.map((withholding) => withholding.purchaseId)).size
+  };
+};
+
+module.exports = {
+  WITHHOLDING_TYPES,
+  TAX_REGIMES,
+  WITHHOLDING_CONCEPTS,
+  UVT_VALUES,
+  getUvtValue,
+  calculateWithholdings,
+  withholdingTotal,
+  summarizeWithholdings,
+  buildWithholdingCertificate
+};
@@ -0,0 +1,18 @@
+/**
+ * Redondeo de valores en pesos
+ *
+ * Todos los servicios liquidan líneas, impuestos, retenciones y saldos con
+ * este mismo redondeo para que los totales cuadren entre documentos.
+ */
+
+/**
+ * Redondear un valor a dos decimales (Number.EPSILON evita que 1.005 quede en 1)
+ *
+ * @param {number|string|Object} value - Número, texto o Decimal de Prisma
+ * @returns {number}
+ */
+const round = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  round
+};
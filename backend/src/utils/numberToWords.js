@@ -0,0 +1,98 @@
+/**
+ * Conversión de números a letras en español (valores en pesos colombianos)
+ */
+
+const UNITS = ['', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve'];
+
+const TEENS_AND_TWENTIES = [
+  'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+  'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete',
+  'veintiocho', 'veintinueve'
+];
+
+const TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+
+const HUNDREDS = [
+  '', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos',
+  'ochocientos', 'novecientos'
+];
+
+// "uno" becomes "un" before a noun (un mil -> mil, veintiún millones, un peso)
+const apocope = (words) => {
+  if (words.endsWith('veintiuno')) {
+    return `${words.slice(0, -9)}veintiún`;
+  }
+  return words.endsWith('uno') ? words.slice(0, -1) : words;
+};
+
+const belowHundred = (n) => {
+  if (n < 10) {
+    return UNITS[n];
+  }
+  if (n < 30) {
+    return TEENS_AND_TWENTIES[n - 10];
+  }
+  const units = n % 10;
+  return units ? `${TENS[Math.floor(n / 10)]} y ${UNITS[units]}` : TENS[Math.floor(n / 10)];
+};
+
+const belowThousand = (n) => {
+  if (n === 100) {
+    return 'cien';
+  }
+  const rest = n % 100;
+  const hundreds = HUNDREDS[Math.floor(n / 100)];
+  return [hundreds, rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+const belowMillion = (n) => {
+  const thousands = Math.floor(n / 1000);
+  const rest = n % 1000;
+  const prefix = thousands === 0 ? '' : thousands === 1 ? 'mil' : `${apocope(belowThousand(thousands))} mil`;
+  return [prefix, rest ? belowThousand(rest) : ''].filter(Boolean).join(' ');
+};
+
+/**
+ * Número entero en letras (minúsculas)
+ */
+const numberToWords = (value) => {
+  const n = Math.floor(Math.abs(Number(value)));
+  if (n === 0) {
+    return 'cero';
+  }
+  if (n < 1000000) {
+    return belowMillion(n);
+  }
+
+  const millions = Math.floor(n / 1000000);
+  const rest = n % 1000000;
+  const prefix = millions === 1 ? 'un millón' : `${apocope(numberToWords(millions))} millones`;
+  return [prefix, rest ? belowMillion(rest) : ''].filter(Boolean).join(' ');
+};
+
+/**
+ * Valor en pesos en letras, como se imprime en las facturas:
+ * "CIENTO DIECINUEVE MIL PESOS CON CINCUENTA CENTAVOS M/CTE"
+ */
+const amountInWords = (value) => {
+  const totalCents = Math.round(Math.abs(Number(value)) * 100);
+  const pesos = Math.floor(totalCents / 100);
+  const cents = totalCents % 100;
+
+  let words = apocope(numberToWords(pesos));
+  if (pesos >= 1000000 && pesos % 1000000 === 0) {
+    words += ' de';
+  }
+  words += pesos === 1 ? ' peso' : ' pesos';
+
+  if (cents) {
+    words += ` con ${apocope(numberToWords(cents))} ${cents === 1 ? 'centavo' : 'centavos'}`;
+  }
+
+  return `${words} M/CTE`.toUpperCase();
+};
+
+module.exports = {
+  numberToWords,
+  amountInWords
+};
@@ -0,0 +1,26 @@
+const express = require('express');
+
+/**
+ * Express app that mounts a router behind an authenticated user
+ *
+ * Pair it with the auth middleware mock, which lets every request through:
+ *   jest.mock('../../src/middleware/auth', () => require('../helpers/auth'));
+ *
+ * @param {string} path - Mount path (e.g. /api/sales)
+ * @param {Object} router - Express router under test
+ * @param {Object|Function} user - req.user, or a function returning it per request
+ */
+const buildApp = (path, router, user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = typeof user === 'function' ? user() : user;
+    next();
+  });
+  app.use(path, router);
+  return app;
+};
+
+module.exports = {
+  buildApp
+};
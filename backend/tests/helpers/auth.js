@@ -0,0 +1,8 @@
+/**
+ * middleware/auth with the token check skipped: buildApp() sets req.user.
+ * requirePermission is the real one, so permission checks still apply.
+ */
+module.exports = {
+  ...jest.requireActual('../../src/middleware/auth'),
+  authenticateToken: (req, res, next) => next()
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+
+/**
+ * Write a self-signed PKCS#12 certificate to a temporary directory
+ *
+ * @param {string} [password]
+ * @returns {{ path: string, password: string, cleanup: Function }}
+ */
+const createTestCertificate = (password = 'secret') => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey);
+  cert.serialNumber = '0a1b2c';
+  cert.validity.notBefore = new Date('2024-01-01T00:00:00Z');
+  cert.validity.notAfter = new Date('2034-01-01T00:00:00Z');
+  const attributes = [
+    { shortName: 'CN', value: 'Agropecuaria La Suaza SAS' },
+    { shortName: 'O', value: 'Agropecuaria La Suaza SAS' },
+    { shortName: 'C', value: 'CO' }
+  ];
+  cert.setSubject(attributes);
+  cert.setIssuer(attributes);
+  const key = forge.pki.privateKeyFromPem(privateKey);
+  cert.sign(key, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(key, [cert], password, { algorithm: '3des' });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dian-cert-'));
+  const file = path.join(dir, 'test.p12');
+  fs.writeFileSync(file, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+
+  return {
+    path: file,
+    password,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+};
+
+module.exports = {
+  createTestCertificate
+};
@@ -0,0 +1,48 @@
+/**
+ * Active DianConfig used by the DIAN tests: habilitación test set SETP, range 990000000 to 995000000
+ */
+const dianConfig = (overrides = {}) => ({
+  id: 'config-1',
+  companyName: 'Agropecuaria La Suaza SAS',
+  taxId: '900123456-8',
+  address: 'Calle 5 # 4-20',
+  city: 'Pitalito',
+  phone: '3001234567',
+  email: 'facturacion@lasuaza.co',
+  prefix: 'SETP',
+  resolutionNumber: '18760000001',
+  resolutionDate: new Date('2019-01-19T00:00:00Z'),
+  resolutionEndDate: new Date('2030-01-19T00:00:00Z'),
+  startNumber: 990000000,
+  endNumber: 995000000,
+  currentNumber: 990000001,
+  warningRemainingNumbers: 100,
+  warningDaysBeforeExpiry: 30,
+  documentType: 'invoice',
+  branch: null,
+  isActive: true,
+  technicalKey: 'fc8eac422eba16e22ffd8c6f94b3f40a6e38162c',
+  ...overrides
+});
+
+/**
+ * Settings as returned by getDianSettings() in the habilitación environment
+ */
+const dianSettings = (overrides = {}) => ({
+  testMode: true,
+  environment: '2',
+  softwareId: '56f2ae4e-9812-4fad-9255-08fcfcd5ccb0',
+  softwarePin: '12345',
+  technicalKey: 'fc8eac422eba16e22ffd8c6f94b3f40a6e38162c',
+  testSetId: '',
+  transport: 'local',
+  wsUrl: '',
+  timeout: 1000,
+  currency: 'COP',
+  ...overrides
+});
+
+module.exports = {
+  dianConfig,
+  dianSettings
+};
@@ -0,0 +1,30 @@
+/**
+ * In-memory prisma.documentSequence delegate
+ *
+ * @param {Object} [initial] - Last number by sequence name (e.g. { quotation: 41 })
+ * @returns {{ sequences: Map<string, number>, delegate: Object }}
+ */
+const documentSequenceStore = (initial = {}) => {
+  const sequences = new Map(Object.entries(initial));
+
+  const delegate = {
+    update: jest.fn(async ({ where, data }) => {
+      if (!sequences.has(where.name)) {
+        throw Object.assign(new Error('Record to update not found.'), { code: 'P2025' });
+      }
+      sequences.set(where.name, sequences.get(where.name) + data.lastNumber.increment);
+      return { name: where.name, lastNumber: sequences.get(where.name) };
+    }),
+    createMany: jest.fn(async ({ data }) => {
+      const created = data.filter((row) => !sequences.has(row.name));
+      created.forEach((row) => sequences.set(row.name, row.lastNumber));
+      return { count: created.length };
+    })
+  };
+
+  return { sequences, delegate };
+};
+
+module.exports = {
+  documentSequenceStore
+};
@@ -0,0 +1,40 @@
+/**
+ * In-memory prisma.idempotencyKey delegate with the unique (userId, key) index
+ *
+ * @returns {{ records: Object[], delegate: Object }}
+ */
+const idempotencyKeyStore = () => {
+  const records = [];
+  let sequence = 0;
+  const matches = (record, where = {}) => Object.entries(where).every(([field, value]) => (
+    value instanceof Date ? record[field].getTime() === value.getTime() : record[field] === value
+  ));
+
+  const delegate = {
+    create: jest.fn(async ({ data }) => {
+      if (records.some((record) => record.userId === data.userId && record.key === data.key)) {
+        throw Object.assign(new Error('Unique constraint failed on the fields: (`userId`,`key`)'), { code: 'P2002' });
+      }
+      sequence += 1;
+      const record = {
+        id: `key-${sequence}`, status: 'processing', updatedAt: new Date(), ...data
+      };
+      records.push(record);
+      return record;
+    }),
+    findUnique: jest.fn(async ({ where }) => records
+      .find((record) => record.userId === where.userId_key.userId && record.key === where.userId_key.key) || null),
+    update: jest.fn(async ({ where, data }) => Object.assign(records.find((record) => record.id === where.id), data, { updatedAt: new Date() })),
+    deleteMany: jest.fn(async ({ where }) => {
+      const removed = records.filter((record) => matches(record, where));
+      removed.forEach((record) => records.splice(records.indexOf(record), 1));
+      return { count: removed.length };
+    })
+  };
+
+  return { records, delegate };
+};
+
+module.exports = {
+  idempotencyKeyStore
+};
@@ -0,0 +1,16 @@
+/**
+ * Silent stand-in for utils/logger, so tests keep the console clean and can
+ * assert on what was logged:
+ *   jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+ */
+module.exports = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn(),
+  security: jest.fn(),
+  performance: jest.fn(),
+  dian: jest.fn(),
+  notification: jest.fn()
+};
@@ -0,0 +1,82 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const express = require('express');
+const request = require('supertest');
+const { idempotent } = require('../../src/middleware/idempotency');
+const { buildApp } = require('../helpers/app');
+const { idempotencyKeyStore } = require('../helpers/idempotency');
+
+let store;
+let charges;
+
+// Charges the payment once per handled request; amounts below zero fail validation
+const router = express.Router();
+router.post('/', idempotent, (req, res) => {
+  if (req.body.amount < 0) {
+    return res.status(400).json({ error: 'Invalid amount', code: 'VALIDATION_ERROR' });
+  }
+  charges += 1;
+  return res.status(201).json({ id: `payment-${charges}`, amount: req.body.amount });
+});
+
+const app = buildApp('/api/payments', router, () => ({ id: 'user-1' }));
+
+const pay = (body, key) => {
+  const post = request(app).post('/api/payments/').send(body);
+  return key === undefined ? post : post.set('Idempotency-Key', key);
+};
+
+beforeEach(() => {
+  store = idempotencyKeyStore();
+  Object.assign(mockPrisma, { idempotencyKey: store.delegate });
+  charges = 0;
+});
+
+describe('idempotent middleware', () => {
+  it('replays the original response to a retry without charging twice', async () => {
+    const first = await pay({ amount: 50000 }, 'retry-1');
+    const retry = await pay({ amount: 50000 }, 'retry-1');
+
+    expect(first.status).toBe(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(charges).toBe(1);
+    expect(store.records).toEqual([expect.objectContaining({
+      userId: 'user-1', key: 'retry-1', method: 'POST', path: '/api/payments', status: 'completed', responseStatus: 201
+    })]);
+  });
+
+  it('refuses a key reused with another body', async () => {
+    await pay({ amount: 50000 }, 'retry-1');
+    const response = await pay({ amount: 60000 }, 'retry-1');
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+    expect(charges).toBe(1);
+  });
+
+  it('releases the key of a failed request so the corrected retry goes through', async () => {
+    const failed = await pay({ amount: -1 }, 'retry-1');
+    expect(failed.status).toBe(400);
+    expect(store.records).toHaveLength(0);
+    expect((await pay({ amount: 50000 }, 'retry-1')).status).toBe(201);
+    expect(charges).toBe(1);
+  });
+
+  it('lets requests without the header through and rejects malformed keys', async () => {
+    await pay({ amount: 50000 });
+    await pay({ amount: 50000 });
+    expect(charges).toBe(2);
+    expect(store.delegate.create).not.toHaveBeenCalled();
+
+    const response = await pay({ amount: 50000 }, 'llave con espacios');
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect((await pay({ amount: 50000 }, 'k'.repeat(256))).status).toBe(400);
+  });
+});
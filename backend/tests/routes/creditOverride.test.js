@@ -0,0 +1,75 @@
+const request = require('supertest');
+
+process.env.CREDIT_OVERRIDE_RATE_LIMIT_MAX = '3';
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+jest.mock('../../src/middleware/auth-simple', () => ({ authenticateToken: (req, res, next) => next() }));
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/services/sales', () => ({
+  ...jest.requireActual('../../src/services/sales'),
+  createSale: jest.fn()
+}));
+
+const salesRouter = require('../../src/routes/sales');
+const logger = require('../../src/utils/logger');
+const { createSale } = require('../../src/services/sales');
+const { CreditControlError } = require('../../src/services/creditControl');
+const { buildApp } = require('../helpers/app');
+
+const app = buildApp('/api/sales', salesRouter, { id: 'cashier-1', permissions: ['sales:create'] });
+
+const sell = (creditOverride) => request(app).post('/api/sales').send({
+  customerId: 'customer-1',
+  items: [{ productId: 'p1', quantity: 1 }],
+  paymentMethod: 'credit',
+  creditOverride
+});
+
+describe('POST /api/sales with a supervisor authorization', () => {
+  beforeEach(() => {
+    createSale.mockReset();
+  });
+
+  it('does not count authorized sales or sales without an authorization', async () => {
+    createSale.mockResolvedValue({ id: 'sale-1', invoiceNumber: 'POS1' });
+
+    for (let sale = 0; sale < 4; sale += 1) {
+      expect((await sell({ username: 'jefe', pin: '4321' })).status).toBe(201);
+    }
+    createSale.mockRejectedValue(new CreditControlError('Customer has 1 overdue credit(s) for 50000', 'CREDIT_OVERDUE'));
+    for (let sale = 0; sale < 4; sale += 1) {
+      expect((await sell()).status).toBe(403);
+    }
+  });
+
+  it('maps a locked PIN to 423', async () => {
+    createSale.mockRejectedValue(new CreditControlError('Supervisor PIN is locked', 'SUPERVISOR_PIN_LOCKED', 423));
+
+    const response = await sell({ username: 'jefe', pin: '4321' });
+
+    expect(response.status).toBe(423);
+    expect(response.body.code).toBe('SUPERVISOR_PIN_LOCKED');
+  });
+
+  it('rate-limits the rejected authorizations of a client', async () => {
+    createSale.mockRejectedValue(new CreditControlError('Invalid supervisor username or PIN', 'INVALID_SUPERVISOR_PIN'));
+
+    // The locked PIN above already counts as one rejection
+    expect((await sell({ username: 'jefe', pin: '0000' })).status).toBe(403);
+    expect((await sell({ username: 'jefe', pin: '0001' })).status).toBe(403);
+
+    const limited = await sell({ username: 'jefe', pin: '0002' });
+    expect(limited.status).toBe(429);
+    expect(limited.body).toEqual({
+      error: 'Too many supervisor authorization attempts, try again later', code: 'TOO_MANY_OVERRIDE_ATTEMPTS'
+    });
+    expect(createSale).toHaveBeenCalledTimes(2);
+    expect(logger.security).toHaveBeenCalledWith('CREDIT_OVERRIDE_RATE_LIMITED', expect.objectContaining({
+      userId: 'cashier-1', username: 'jefe'
+    }));
+
+    // Sales without an authorization go through
+    createSale.mockResolvedValue({ id: 'sale-2', invoiceNumber: 'POS2' });
+    expect((await sell()).status).toBe(201);
+  });
+});
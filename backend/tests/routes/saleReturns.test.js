@@ -0,0 +1,168 @@
+const request = require('supertest');
+
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../../src/middleware/auth-simple', () => ({ authenticateToken: (req, res, next) => next() }));
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const salesRouter = require('../../src/routes/sales');
+const { buildApp } = require('../helpers/app');
+const { dianConfig } = require('../helpers/dian');
+
+const concentrate = { id: 'p1', code: 'CONC-40', name: 'Concentrado 40 kg' };
+
+/**
+ * Sale of product p1 in two lines at different prices (a promotion on the second one)
+ */
+const twoLineSale = () => ({
+  id: 'sale-1',
+  invoiceNumber: 'POS-1',
+  customerId: 'customer-1',
+  paymentMethod: 'CASH',
+  status: 'COMPLETED',
+  totalAmount: 3 * 11900 + 2 * 9520,
+  withholdingTotal: 0,
+  items: [
+    { id: 'line-a', productId: 'p1', product: concentrate, quantity: 3, unitPrice: '10000.00', taxCode: '01', taxPercent: 19 },
+    { id: 'line-b', productId: 'p1', product: concentrate, quantity: 2, unitPrice: '8000.00', taxCode: '01', taxPercent: 19 }
+  ],
+  returns: [],
+  dianInvoices: []
+});
+
+const creditSale = () => ({
+  id: 'sale-2',
+  invoiceNumber: 'SETP990000002',
+  customerId: 'customer-1',
+  paymentMethod: 'CREDIT',
+  status: 'PENDING',
+  totalAmount: 119000,
+  withholdingTotal: 0,
+  items: [{ id: 'line-c', productId: 'p1', product: concentrate, quantity: 10, unitPrice: 10000, taxCode: '01', taxPercent: 19 }],
+  returns: [],
+  dianInvoices: [{
+    id: 'invoice-2',
+    invoiceNumber: 'SETP990000002',
+    status: 'accepted',
+    cufe: 'c'.repeat(96),
+    total: 119000,
+    createdAt: new Date('2026-10-01T15:00:00Z'),
+    customer: { name: 'Cooperativa del Huila', taxId: '800199436-5', documentType: '31' },
+    dianNotes: []
+  }]
+});
+
+const app = buildApp('/api/sales', salesRouter, { id: 'user-1' });
+const postReturn = (saleId, body) => request(app).post(`/api/sales/${saleId}/returns`).send(body);
+
+let sales;
+let config;
+
+beforeEach(() => {
+  sales = { 'sale-1': twoLineSale(), 'sale-2': creditSale() };
+  config = dianConfig({ creditNotePrefix: 'NC', creditNoteNumber: 0 });
+  process.env.DIAN_TEST_MODE = 'true';
+  process.env.DIAN_SOFTWARE_PIN = '12345';
+
+  Object.assign(mockPrisma, {
+    sale: {
+      findUnique: jest.fn(async ({ where }) => sales[where.id] || null),
+      update: jest.fn(async ({ where, data }) => Object.assign(sales[where.id], data))
+    },
+    saleReturn: {
+      create: jest.fn(async ({ data }) => {
+        const saleReturn = { id: `return-${data.returnNumber}`, ...data, items: data.items.create };
+        sales[data.saleId].returns.push(saleReturn);
+        return { ...saleReturn, creditNote: null };
+      })
+    },
+    product: {
+      findUnique: jest.fn(async () => ({ stock: 20 })),
+      update: jest.fn(async () => ({}))
+    },
+    inventoryMovement: { create: jest.fn(async () => ({})) },
+    customer: { update: jest.fn(async () => ({})) },
+    credit: {
+      findFirst: jest.fn(async () => ({ id: 'credit-2', amount: 119000, payments: [] })),
+      update: jest.fn(async () => ({}))
+    },
+    payment: { create: jest.fn(async () => ({})) },
+    dianConfig: {
+      findFirst: jest.fn(async () => config),
+      update: jest.fn(async ({ data }) => {
+        config.creditNoteNumber += data.creditNoteNumber.increment;
+        return { ...config };
+      })
+    },
+    dianNote: { create: jest.fn(async ({ data }) => ({ id: 'note-1', ...data, items: data.items.create })) }
+  });
+  mockPrisma.$transaction = jest.fn((callback) => callback(mockPrisma));
+});
+
+describe('POST /api/sales/:id/returns', () => {
+  it('refunds a returned line at the price it was sold for', async () => {
+    const response = await postReturn('sale-1', {
+      items: [{ saleItemId: 'line-b', productId: 'p1', quantity: 1 }], reason: 'Bulto roto', refundMethod: 'store_credit'
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ returnNumber: 'POS-1-D1', totalAmount: 9520, refundAmount: 9520 });
+    expect(response.body.items).toEqual([expect.objectContaining({ saleItemId: 'line-b', quantity: 1, unitPrice: 8000 })]);
+    expect(mockPrisma.customer.update).toHaveBeenCalledWith({ where: { id: 'customer-1' }, data: { storeCredit: { increment: 9520 } } });
+
+    const again = await postReturn('sale-1', {
+      items: [{ saleItemId: 'line-b', productId: 'p1', quantity: 2 }], reason: 'Bulto roto', refundMethod: 'store_credit'
+    });
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('QUANTITY_EXCEEDS_SOLD');
+  });
+
+  it('takes the units of a product from its lines in order, after older returns without a line', async () => {
+    sales['sale-1'].returns.push({ items: [{ saleItemId: null, productId: 'p1', quantity: 2 }] });
+
+    const response = await postReturn('sale-1', {
+      items: [{ productId: 'p1', quantity: 2 }], reason: 'No los necesita', refundMethod: 'store_credit'
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.items.map((item) => [item.saleItemId, item.quantity, item.unitPrice]))
+      .toEqual([['line-a', 1, 10000], ['line-b', 1, 8000]]);
+    expect(response.body.totalAmount).toBe(11900 + 9520);
+    expect(mockPrisma.sale.update).not.toHaveBeenCalled();
+
+    const rest = await postReturn('sale-1', {
+      items: [{ productId: 'p1', quantity: 1, destination: 'damaged' }], reason: 'Húmedo', refundMethod: 'store_credit'
+    });
+    expect(rest.body.items).toEqual([expect.objectContaining({ saleItemId: 'line-b', unitPrice: 8000, destination: 'damaged' })]);
+    expect(mockPrisma.sale.update).toHaveBeenCalledWith({ where: { id: 'sale-1' }, data: { status: 'RETURNED' } });
+  });
+
+  it('issues a credit note for an invoiced credit sale and pays the refund into the credit', async () => {
+    const response = await postReturn('sale-2', { items: [{ productId: 'p1', quantity: 4 }], reason: 'Devuelve cuatro bultos' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      refundMethod: 'credit', totalAmount: 47600, creditId: 'credit-2', creditNoteId: 'note-1'
+    });
+    expect(mockPrisma.dianNote.create.mock.calls[0][0].data).toMatchObject({
+      noteNumber: 'NC1', conceptCode: '1', total: 47600, restock: true
+    });
+    expect(mockPrisma.payment.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ creditId: 'credit-2', amount: 47600, method: 'return', reference: 'SETP990000002-D1' })
+    });
+    expect(mockPrisma.credit.update).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown sale lines and invalid bodies', async () => {
+    const unknownLine = await postReturn('sale-1', {
+      items: [{ saleItemId: 'line-z', productId: 'p1', quantity: 1 }], reason: 'x', refundMethod: 'store_credit'
+    });
+    expect(unknownLine.status).toBe(400);
+    expect(unknownLine.body.code).toBe('PRODUCT_NOT_IN_SALE');
+
+    expect((await postReturn('missing', { items: [{ productId: 'p1', quantity: 1 }], reason: 'x' })).status).toBe(404);
+    expect((await postReturn('sale-1', { items: [], reason: '' })).status).toBe(400);
+    expect(mockPrisma.saleReturn.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const {
+  CashSessionError, openSession, summarizeSession, addMovement, closeSession
+} = require('../../src/services/cashSessions');
+
+const session = {
+  id: 'session-1', register: 'CAJA1', userId: 'user-1', status: 'open', openingFloat: '100000.00', notes: null
+};
+
+const fakePrisma = ({ open = [] } = {}) => ({
+  cashSession: {
+    findFirst: jest.fn(async ({ where }) => open.find((candidate) => Object.entries(where)
+      .every(([field, value]) => candidate[field] === value)) || null),
+    findUnique: jest.fn(async () => session),
+    create: jest.fn(async ({ data }) => ({ id: 'session-2', status: 'open', ...data })),
+    update: jest.fn(async ({ data }) => ({ ...session, ...data }))
+  },
+  sale: {
+    findMany: jest.fn(async () => [
+      {
+        invoiceNumber: 'FE1', totalAmount: '50000.00', withholdingTotal: 0, paymentMethod: 'CASH', status: 'COMPLETED', payments: [{ method: 'cash', amount: '50000.00', layawayId: null }]
+      },
+      // Split tender with a withholding and the rest on credit
+      {
+        invoiceNumber: 'FE2',
+        totalAmount: 200000,
+        withholdingTotal: 5000,
+        paymentMethod: 'MIXED',
+        status: 'COMPLETED',
+        payments: [{ method: 'card', amount: 100000, layawayId: null }, { method: 'CASH', amount: 45000, layawayId: null }]
+      },
+      {
+        invoiceNumber: 'FE3', totalAmount: 30000, withholdingTotal: null, paymentMethod: 'CREDIT', status: 'COMPLETED', payments: []
+      },
+      {
+        invoiceNumber: 'FE4', totalAmount: 99999, withholdingTotal: 0, paymentMethod: 'CASH', status: 'CANCELLED', payments: [{ method: 'cash', amount: 99999, layawayId: null }]
+      },
+      // Layaway picked up: the deposit was collected by an earlier session
+      {
+        invoiceNumber: 'FE5',
+        totalAmount: 80000,
+        withholdingTotal: 0,
+        paymentMethod: 'CASH',
+        status: 'COMPLETED',
+        payments: [{ method: 'cash', amount: 60000, layawayId: null }, { method: 'cash', amount: 20000, layawayId: 'layaway-1' }]
+      }
+    ])
+  },
+  payment: {
+    findMany: jest.fn(async ({ where }) => (where.creditId
+      ? [{ method: 'transfer', amount: 40000 }]
+      : [{ method: 'cash', amount: 10000 }]))
+  },
+  saleReturn: { findMany: jest.fn(async () => [{ returnNumber: 'DEV-1', refundAmount: 15000 }]) },
+  layaway: { findMany: jest.fn(async () => [{ layawayNumber: 'PS-1', refundAmount: 5000 }]) },
+  cashMovement: {
+    findMany: jest.fn(async () => [
+      { type: 'in', category: 'DEPOSIT', amount: 20000 },
+      { type: 'out', category: 'EXPENSE', amount: '30000.00' }
+    ]),
+    create: jest.fn(async ({ data }) => ({ id: 'movement-1', ...data }))
+  }
+});
+
+describe('openSession', () => {
+  it('allows one open session per cashier and per register', async () => {
+    await expect(openSession(fakePrisma({ open: [session] }), { register: 'CAJA2', openingFloat: 0 }, 'user-1'))
+      .rejects.toMatchObject({ code: 'CASH_SESSION_ALREADY_OPEN' });
+    await expect(openSession(fakePrisma({ open: [session] }), { register: 'CAJA1', openingFloat: 0 }, 'user-2'))
+      .rejects.toMatchObject({ code: 'REGISTER_IN_USE', statusCode: 409 });
+    await expect(openSession(fakePrisma({ open: [session] }), { register: 'CAJA2', openingFloat: 50000 }, 'user-2'))
+      .resolves.toMatchObject({ register: 'CAJA2', userId: 'user-2', openingFloat: 50000 });
+  });
+});
+
+describe('summarizeSession', () => {
+  it('splits the sales by tender and works out the cash expected in the register', async () => {
+    const summary = await summarizeSession(fakePrisma(), session);
+
+    expect(summary.sales).toMatchObject({
+      count: 4, cancelled: 1, total: 360000, withheld: 5000, firstInvoice: 'FE1', lastInvoice: 'FE5'
+    });
+    expect(summary.sales.byMethod).toEqual({
+      cash: {
+        count: 3, total: 155000, withheld: 0, collected: 155000
+      },
+      card: {
+        count: 1, total: 100000, withheld: 0, collected: 100000
+      },
+      credit: {
+        count: 2, total: 80000, withheld: 0, collected: 80000
+      },
+      layaway: {
+        count: 1, total: 20000, withheld: 0, collected: 20000
+      }
+    });
+    expect(summary.creditSales).toBe(80000);
+    // Float + cash sales + layaway deposits + cash in - cash out - refunds - layaway refunds
+    expect(summary.expected).toEqual({
+      cash: 235000, card: 100000, transfer: 40000, check: 0
+    });
+  });
+});
+
+describe('addMovement', () => {
+  it('rejects a withdrawal larger than the cash in the register', async () => {
+    await expect(addMovement(fakePrisma(), 'session-1', {
+      type: 'out', category: 'WITHDRAWAL', amount: 235001, description: 'Consignación'
+    }, 'user-1')).rejects.toMatchObject({ code: 'INSUFFICIENT_CASH' });
+    await expect(addMovement(fakePrisma(), 'session-1', {
+      type: 'in', category: 'EXPENSE', amount: 1000, description: 'Cambio'
+    }, 'user-1')).rejects.toMatchObject({ code: 'INVALID_CATEGORY', statusCode: 400 });
+    await expect(addMovement(fakePrisma(), 'session-1', {
+      type: 'out', category: 'WITHDRAWAL', amount: 235000, description: 'Consignación'
+    }, 'user-1')).resolves.toMatchObject({ sessionId: 'session-1', type: 'out', amount: 235000 });
+  });
+});
+
+describe('closeSession', () => {
+  it('stores the difference of each counted tender', async () => {
+    const prisma = fakePrisma();
+
+    const { session: closed } = await closeSession(prisma, 'session-1', { counted: { cash: 234000, card: 100000 }, notes: 'Faltante' }, 'user-2');
+
+    expect(closed).toMatchObject({
+      status: 'closed', closedById: 'user-2', expectedCash: 235000, countedCash: 234000, cashDifference: -1000, notes: 'Faltante'
+    });
+    expect(closed.reconciliation).toEqual({
+      cash: { expected: 235000, counted: 234000, difference: -1000 },
+      card: { expected: 100000, counted: 100000, difference: 0 },
+      transfer: { expected: 40000, counted: null, difference: null },
+      check: { expected: 0, counted: null, difference: null }
+    });
+  });
+
+  it('does not close a session twice', async () => {
+    const prisma = fakePrisma();
+    prisma.cashSession.findUnique.mockResolvedValueOnce({ ...session, status: 'closed' });
+
+    await expect(closeSession(prisma, 'session-1', { counted: { cash: 0 } }, 'user-1')).rejects.toThrow(CashSessionError);
+    expect(prisma.cashSession.update).not.toHaveBeenCalled();
+  });
+});
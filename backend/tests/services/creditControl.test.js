@@ -0,0 +1,148 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const bcrypt = require('bcryptjs');
+const logger = require('../../src/utils/logger');
+const {
+  CREDIT_STATUS, CreditControlError, getCreditStatus, findCreditIssues, verifySupervisor, authorizeCredit
+} = require('../../src/services/creditControl');
+
+const now = new Date('2026-10-19T15:00:00Z');
+
+describe('getCreditStatus', () => {
+  it('adds the open balance of the active and overdue credits', async () => {
+    const prisma = {
+      credit: {
+        findMany: jest.fn(async () => [
+          {
+            id: 'c1', saleId: 's1', status: CREDIT_STATUS.ACTIVE, amount: '60000.00', dueDate: new Date('2026-12-01'), payments: [{ amount: '10000.00' }]
+          },
+          // Past its due date but not yet marked overdue by the credits routes
+          {
+            id: 'c2', saleId: 's2', status: CREDIT_STATUS.ACTIVE, amount: 40000, dueDate: new Date('2026-09-01'), payments: []
+          },
+          {
+            id: 'c3', saleId: 's3', status: CREDIT_STATUS.OVERDUE, amount: 20000, dueDate: new Date('2026-11-01'), payments: [{ amount: 5000 }]
+          },
+          {
+            id: 'c4', saleId: 's4', status: CREDIT_STATUS.ACTIVE, amount: 10000, dueDate: new Date('2026-08-01'), payments: [{ amount: 10000 }]
+          }
+        ])
+      }
+    };
+
+    const status = await getCreditStatus(prisma, { id: 'customer-1', creditLimit: '150000.00' }, now);
+
+    expect(prisma.credit.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { customerId: 'customer-1', status: { in: ['active', 'overdue'] } }
+    }));
+    expect(status).toEqual({
+      creditLimit: 150000,
+      outstanding: 105000,
+      available: 45000,
+      overdue: [
+        {
+          id: 'c2', saleId: 's2', dueDate: new Date('2026-09-01'), balance: 40000
+        },
+        {
+          id: 'c3', saleId: 's3', dueDate: new Date('2026-11-01'), balance: 15000
+        }
+      ],
+      isBlocked: false,
+      blockedReason: null
+    });
+  });
+});
+
+describe('findCreditIssues', () => {
+  it('lists every condition that blocks the credit', () => {
+    expect(findCreditIssues({
+      creditLimit: 100000, outstanding: 90000, overdue: [{ balance: 30000 }], isBlocked: true, blockedReason: 'Cheque devuelto'
+    }, 20000).map((issue) => issue.code)).toEqual(['CUSTOMER_BLOCKED', 'CREDIT_OVERDUE', 'CREDIT_LIMIT_EXCEEDED']);
+    expect(findCreditIssues({
+      creditLimit: null, outstanding: 900000, overdue: [], isBlocked: false
+    }, 500000)).toEqual([]);
+  });
+});
+
+describe('verifySupervisor', () => {
+  let users;
+  let prisma;
+
+  beforeAll(async () => {
+    process.env.SUPERVISOR_PIN_MAX_ATTEMPTS = '3';
+    process.env.SUPERVISOR_PIN_LOCK_MINUTES = '15';
+    users = {
+      jefe: {
+        id: 'supervisor-1', username: 'jefe', isActive: true, supervisorPin: await bcrypt.hash('4321', 4), role: { permissions: ['credits:override'] }
+      },
+      cajero: {
+        id: 'cashier-1', username: 'cajero', isActive: true, supervisorPin: await bcrypt.hash('1111', 4), role: { permissions: ['sales:create'] }
+      }
+    };
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.values(users).forEach((user) => Object.assign(user, { supervisorPinFailedAttempts: 0, supervisorPinLockedUntil: null }));
+    prisma = {
+      user: {
+        findUnique: jest.fn(async ({ where }) => (users[where.username] ? { ...users[where.username] } : null)),
+        update: jest.fn(async ({ where, data }) => {
+          const user = Object.values(users).find((candidate) => candidate.id === where.id);
+          Object.entries(data).forEach(([field, value]) => {
+            user[field] = value && value.increment ? user[field] + value.increment : value;
+          });
+          return { ...user };
+        })
+      }
+    };
+  });
+
+  it('locks the PIN after the maximum failed attempts and logs each one', async () => {
+    for (let attempt = 1; attempt <= 3; attempt += 1) {
+      await expect(verifySupervisor(prisma, { username: 'jefe', pin: '0000', ipAddress: '10.0.0.7' }, now))
+        .rejects.toMatchObject({ code: 'INVALID_SUPERVISOR_PIN', statusCode: 403 });
+    }
+
+    expect(users.jefe).toMatchObject({ supervisorPinFailedAttempts: 0, supervisorPinLockedUntil: new Date('2026-10-19T15:15:00Z') });
+    expect(logger.security).toHaveBeenLastCalledWith('SUPERVISOR_PIN_FAILED', expect.objectContaining({
+      username: 'jefe', attempts: 3, ip: '10.0.0.7', lockedUntil: new Date('2026-10-19T15:15:00Z')
+    }));
+
+    // Even the right PIN is refused while locked
+    await expect(verifySupervisor(prisma, { username: 'jefe', pin: '4321' }, new Date('2026-10-19T15:10:00Z')))
+      .rejects.toMatchObject({ code: 'SUPERVISOR_PIN_LOCKED', statusCode: 423 });
+    expect(logger.security).toHaveBeenLastCalledWith('SUPERVISOR_PIN_LOCKED', expect.objectContaining({ username: 'jefe' }));
+
+    await expect(verifySupervisor(prisma, { username: 'jefe', pin: '4321' }, new Date('2026-10-19T15:16:00Z')))
+      .resolves.toMatchObject({ id: 'supervisor-1' });
+    expect(users.jefe).toMatchObject({ supervisorPinFailedAttempts: 0, supervisorPinLockedUntil: null });
+  });
+
+  it('resets the failed attempts after a correct PIN', async () => {
+    await expect(verifySupervisor(prisma, { username: 'jefe', pin: '0000' }, now)).rejects.toThrow(CreditControlError);
+    await expect(verifySupervisor(prisma, { username: 'jefe', pin: '0000' }, now)).rejects.toThrow(CreditControlError);
+    await verifySupervisor(prisma, { username: 'jefe', pin: '4321' }, now);
+    await expect(verifySupervisor(prisma, { username: 'jefe', pin: '0000' }, now)).rejects.toThrow(CreditControlError);
+
+    expect(users.jefe).toMatchObject({ supervisorPinFailedAttempts: 1, supervisorPinLockedUntil: null });
+  });
+
+  it('refuses unknown users and users without the override permission', async () => {
+    await expect(verifySupervisor(prisma, { username: 'nadie', pin: '4321' }, now))
+      .rejects.toMatchObject({ code: 'INVALID_SUPERVISOR_PIN' });
+    await expect(verifySupervisor(prisma, { username: 'cajero', pin: '1111' }, now))
+      .rejects.toMatchObject({ code: 'OVERRIDE_NOT_ALLOWED' });
+  });
+
+  it('lets a supervisor authorize a credit above the limit', async () => {
+    prisma.credit = { findMany: jest.fn(async () => []) };
+    const customer = { id: 'customer-1', creditLimit: 100000 };
+
+    await expect(authorizeCredit(prisma, customer, 150000))
+      .rejects.toMatchObject({ code: 'CREDIT_LIMIT_EXCEEDED', issues: [expect.objectContaining({ code: 'CREDIT_LIMIT_EXCEEDED' })] });
+    await expect(authorizeCredit(prisma, customer, 150000, { username: 'jefe', pin: '4321' }))
+      .resolves.toMatchObject({ supervisor: { id: 'supervisor-1' }, issues: [expect.objectContaining({ code: 'CREDIT_LIMIT_EXCEEDED' })] });
+    await expect(authorizeCredit(prisma, customer, 50000)).resolves.toMatchObject({ supervisor: null, issues: [] });
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/logger'));
+jest.mock('../../../src/services/dian/transmission', () => ({
+  signInvoice: jest.fn(),
+  transmitInvoice: jest.fn()
+}));
+jest.mock('../../../src/services/notifications', () => ({
+  notifyUsersWithPermission: jest.fn(async () => 1)
+}));
+
+const {
+  getContingencyState, setContingencyState, queueFields, retryDelayMinutes, processTransmissionQueue
+} = require('../../../src/services/dian/contingency');
+const { signInvoice, transmitInvoice } = require('../../../src/services/dian/transmission');
+const { notifyUsersWithPermission } = require('../../../src/services/notifications');
+const { DianTransportError } = require('../../../src/services/dian/transport');
+const { dianConfig } = require('../../helpers/dian');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const settings = {
+  enabled: true, schedule: '*/5 * * * *', batchSize: 20, retryBaseMinutes: 5, retryMaxMinutes: 120
+};
+
+/**
+ * Prisma over a list of queued invoices; updateMany honours the lease condition
+ */
+const fakePrisma = (invoices) => ({
+  systemConfig: { findUnique: jest.fn(async () => null), upsert: jest.fn(async () => ({})) },
+  dianConfig: { findFirst: jest.fn(async () => dianConfig()) },
+  dianInvoice: {
+    findMany: jest.fn(async ({ where }) => invoices.filter((invoice) => invoice.status === 'queued'
+      && (where.nextAttemptAt ? invoice.nextAttemptAt <= where.nextAttemptAt.lte : true)
+      && (where.transmissionDeadline ? invoice.transmissionDeadline < where.transmissionDeadline.lt : true)
+      && (where.deadlineNotifiedAt === null ? !invoice.deadlineNotifiedAt : true))),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const matches = invoices.filter((invoice) => invoice.status === 'queued'
+        && (!where.id || (where.id.in ? where.id.in.includes(invoice.id) : invoice.id === where.id))
+        && (!where.nextAttemptAt || invoice.nextAttemptAt.getTime() === where.nextAttemptAt.getTime()));
+      matches.forEach((invoice) => Object.assign(invoice, data));
+      return { count: matches.length };
+    }),
+    update: jest.fn(async ({ where, data }) => {
+      const invoice = invoices.find((candidate) => candidate.id === where.id);
+      Object.entries(data).forEach(([key, value]) => {
+        invoice[key] = value && value.increment ? invoice[key] + value.increment : value;
+      });
+      return { ...invoice };
+    })
+  }
+});
+
+const queued = (id, overrides = {}) => ({
+  id,
+  invoiceNumber: `SETP${id}`,
+  signedAt: new Date('2026-10-19T10:00:00Z'),
+  ...queueFields(new Date('2026-10-19T10:00:00Z')),
+  ...overrides
+});
+
+describe('queue settings', () => {
+  it('doubles the wait after each failed attempt up to the maximum', () => {
+    expect([1, 2, 3, 4, 5, 6, 10].map((attempts) => retryDelayMinutes(attempts, settings)))
+      .toEqual([5, 10, 20, 40, 80, 120, 120]);
+  });
+
+  it('gives a queued invoice the 48 hour transmission deadline', () => {
+    const fields = queueFields(now);
+    expect(fields).toMatchObject({ status: 'queued', contingency: true, transmissionAttempts: 0, nextAttemptAt: now });
+    expect(fields.transmissionDeadline.toISOString()).toBe('2026-10-21T12:00:00.000Z');
+  });
+});
+
+describe('contingency state', () => {
+  it('is inactive until set and when the stored value is invalid', async () => {
+    const prisma = fakePrisma([]);
+    await expect(getContingencyState(prisma)).resolves.toMatchObject({ active: false });
+
+    prisma.systemConfig.findUnique.mockResolvedValueOnce({ value: '{not json' });
+    await expect(getContingencyState(prisma)).resolves.toMatchObject({ active: false });
+  });
+
+  it('reschedules the queue for the next run when it is turned off', async () => {
+    const invoices = [queued('1', { nextAttemptAt: new Date('2026-10-19T13:00:00Z') })];
+    const prisma = fakePrisma(invoices);
+
+    const state = await setContingencyState(prisma, { active: false, reason: 'ignored', userId: 'user-1' });
+
+    expect(state).toMatchObject({ active: false, reason: null, userId: 'user-1' });
+    expect(JSON.parse(prisma.systemConfig.upsert.mock.calls[0][0].create.value).active).toBe(false);
+    expect(prisma.dianInvoice.updateMany).toHaveBeenCalledWith(expect.objectContaining({ where: { status: 'queued' } }));
+  });
+});
+
+describe('processTransmissionQueue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('transmits the due invoices and schedules a retry for the ones that fail', async () => {
+    const invoices = [queued('1'), queued('2', { transmissionAttempts: 2 }), queued('3', { nextAttemptAt: new Date('2026-10-19T12:30:00Z') })];
+    const prisma = fakePrisma(invoices);
+    transmitInvoice
+      .mockImplementationOnce(async (client, invoice) => ({ invoice: { ...invoice, status: 'accepted' } }))
+      .mockRejectedValueOnce(new DianTransportError('DIAN web service unreachable: ECONNREFUSED'));
+
+    const result = await processTransmissionQueue(prisma, { now, settings });
+
+    expect(result).toEqual({ processed: 2, sent: 1, failed: 1, overdue: [] });
+    expect(invoices[0].transmissionAttempts).toBe(1);
+    expect(invoices[1]).toMatchObject({ transmissionAttempts: 3, lastError: 'DIAN web service unreachable: ECONNREFUSED' });
+    // Third attempt: 5 * 2^2 = 20 minutes
+    expect(invoices[1].nextAttemptAt.toISOString()).toBe('2026-10-19T12:20:00.000Z');
+    expect(transmitInvoice).toHaveBeenCalledTimes(2);
+    expect(signInvoice).not.toHaveBeenCalled();
+  });
+
+  it('signs an invoice whose signature failed on issue before sending it', async () => {
+    const invoices = [queued('1', { signedAt: null })];
+    signInvoice.mockImplementationOnce(async (client, invoice) => ({ ...invoice, signedAt: now }));
+    transmitInvoice.mockImplementationOnce(async (client, invoice) => ({ invoice: { ...invoice, status: 'accepted' } }));
+
+    await processTransmissionQueue(fakePrisma(invoices), { now, settings });
+
+    expect(signInvoice).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ id: '1' }), { status: 'queued' });
+    expect(transmitInvoice.mock.calls[0][1].signedAt).toBe(now);
+  });
+
+  it('skips an invoice leased by a concurrent run', async () => {
+    const invoices = [queued('1')];
+    const prisma = fakePrisma(invoices);
+    prisma.dianInvoice.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(processTransmissionQueue(prisma, { now, settings }))
+      .resolves.toEqual({ processed: 0, sent: 0, failed: 0, overdue: [] });
+    expect(transmitInvoice).not.toHaveBeenCalled();
+  });
+
+  it('notifies the invoices past the 48 hours only once', async () => {
+    const invoices = [queued('1', {
+      transmissionDeadline: new Date('2026-10-19T11:00:00Z'), nextAttemptAt: new Date('2026-10-19T13:00:00Z')
+    })];
+    const prisma = fakePrisma(invoices);
+
+    expect((await processTransmissionQueue(prisma, { now, settings })).overdue).toEqual(['SETP1']);
+    expect(notifyUsersWithPermission).toHaveBeenCalledWith(prisma, 'dian:send', expect.objectContaining({
+      subject: '1 factura(s) de contingencia sin transmitir a la DIAN'
+    }));
+    expect((await processTransmissionQueue(prisma, { now, settings })).overdue).toEqual([]);
+    expect(notifyUsersWithPermission).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const {
+  computeCufe, computeInvoiceCufe, computeNoteCude, buildQrData, buildNoteQrData, qrImageDataUrl
+} = require('../../../src/services/dian/cufe');
+const { calculateInvoiceTotals } = require('../../../src/services/dian/ubl');
+const { dianConfig, dianSettings } = require('../../helpers/dian');
+
+const sha384 = (text) => crypto.createHash('sha384').update(text).digest('hex');
+
+const invoice = {
+  invoiceNumber: 'SETP990000001',
+  issueDate: new Date('2024-03-01T15:00:00Z'),
+  config: dianConfig(),
+  settings: dianSettings(),
+  customer: { taxId: '800199436-5', documentType: '31', name: 'Cooperativa del Huila' },
+  totals: calculateInvoiceTotals([
+    { productId: 'p1', quantity: 2, unitPrice: 95000, taxCode: '01', taxPercent: 19 },
+    { productId: 'p2', quantity: 1, unitPrice: 50000, taxCode: null, taxPercent: 0 }
+  ])
+};
+
+describe('computeCufe', () => {
+  it('matches the example of the DIAN technical annex', () => {
+    const cufe = computeCufe({
+      invoiceNumber: '323200000129',
+      issueDate: '2019-01-16',
+      issueTime: '10:53:10-05:00',
+      lineExtension: 1500000,
+      taxes: { '01': 285000 },
+      payable: 1785000,
+      issuerNit: '700085371',
+      buyerNumber: '800199436',
+      technicalKey: '693ff6f2a553c3646a063436fd4dd9ded0311471',
+      environment: '1'
+    });
+
+    expect(cufe).toBe('8bb918b19ba22a694f1da11c643b5e9de39adf60311cf179179e9b33381030bcd4c3c3f156c506ed5908f9276f5bd9b4');
+  });
+});
+
+describe('computeInvoiceCufe', () => {
+  it('takes the local issue time, the taxes by code and the NITs without check digit', () => {
+    expect(computeInvoiceCufe(invoice)).toBe(sha384(
+      'SETP990000001' + '2024-03-01' + '10:00:00-05:00' + '240000.00'
+      + '01' + '36100.00' + '04' + '0.00' + '03' + '0.00' + '276100.00'
+      + '900123456' + '800199436' + 'fc8eac422eba16e22ffd8c6f94b3f40a6e38162c' + '2'
+    ));
+  });
+
+  it('identifies a sale without customer by the final consumer document', () => {
+    const cufe = computeInvoiceCufe({ ...invoice, customer: null, customerName: 'Mostrador' });
+    expect(cufe).toBe(sha384(
+      'SETP990000001' + '2024-03-01' + '10:00:00-05:00' + '240000.00'
+      + '01' + '36100.00' + '04' + '0.00' + '03' + '0.00' + '276100.00'
+      + '900123456' + '222222222222' + 'fc8eac422eba16e22ffd8c6f94b3f40a6e38162c' + '2'
+    ));
+  });
+});
+
+describe('computeNoteCude', () => {
+  it('uses the note number and the software PIN instead of the technical key', () => {
+    const note = { ...invoice, noteNumber: 'NC1' };
+    expect(computeNoteCude(note)).toBe(sha384(
+      'NC1' + '2024-03-01' + '10:00:00-05:00' + '240000.00'
+      + '01' + '36100.00' + '04' + '0.00' + '03' + '0.00' + '276100.00'
+      + '900123456' + '800199436' + '12345' + '2'
+    ));
+  });
+});
+
+describe('QR data', () => {
+  it('lists the invoice values and the habilitación search URL', () => {
+    const qr = buildQrData(invoice, 'abc123');
+
+    expect(qr.split('\n')).toEqual([
+      'NumFac: SETP990000001',
+      'FecFac: 2024-03-01',
+      'HorFac: 10:00:00-05:00',
+      'NitFac: 900123456',
+      'DocAdq: 800199436',
+      'ValFac: 240000.00',
+      'ValIva: 36100.00',
+      'ValOtroIm: 0.00',
+      'ValTolFac: 276100.00',
+      'CUFE: abc123',
+      'QRCode: https://catalogo-vpfe-hab.dian.gov.co/document/searchqr?documentkey=abc123'
+    ]);
+  });
+
+  it('labels the code of a note as CUDE', () => {
+    const qr = buildNoteQrData({ ...invoice, noteNumber: 'NC1' }, 'def456');
+    expect(qr).toContain('NumFac: NC1');
+    expect(qr).toContain('CUDE: def456');
+  });
+
+  it('renders the QR as a PNG data URL', async () => {
+    await expect(qrImageDataUrl(buildQrData(invoice, 'abc123'))).resolves.toMatch(/^data:image\/png;base64,/);
+  });
+});
@@ -0,0 +1,162 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/logger'));
+jest.mock('../../../src/services/dian/signer', () => ({
+  signDocument: jest.fn(async (xml) => xml),
+  verifyXml: jest.fn(async () => ({ valid: true, errors: [] }))
+}));
+jest.mock('../../../src/services/dian/transmission', () => ({
+  submitEvent: jest.fn()
+}));
+
+const { tacitAcceptanceDeadline, processTacitAcceptances, transmitEvent } = require('../../../src/services/dian/events');
+const { submitEvent } = require('../../../src/services/dian/transmission');
+const { DianTransportError } = require('../../../src/services/dian/transport');
+const { dianConfig } = require('../../helpers/dian');
+
+describe('tacitAcceptanceDeadline', () => {
+  it('ends with the third business day after the goods were received, in Bogotá time', () => {
+    // Thursday: Friday, Monday and Tuesday
+    expect(tacitAcceptanceDeadline(new Date('2026-10-01T15:00:00Z'), []).toISOString()).toBe('2026-10-07T05:00:00.000Z');
+    // 22:00 on Thursday in Bogotá is still Thursday
+    expect(tacitAcceptanceDeadline(new Date('2026-10-02T03:00:00Z'), []).toISOString()).toBe('2026-10-07T05:00:00.000Z');
+  });
+
+  it('skips holidays', () => {
+    expect(tacitAcceptanceDeadline(new Date('2026-10-09T15:00:00Z'), ['2026-10-12']).toISOString()).toBe('2026-10-16T05:00:00.000Z');
+  });
+});
+
+describe('processTacitAcceptances', () => {
+  const received = new Date('2026-10-01T15:00:00Z');
+  let config;
+  let events;
+  let prisma;
+
+  const matches = (value, condition) => (condition && typeof condition === 'object'
+    ? (!condition.in || condition.in.includes(value)) && (!condition.notIn || !condition.notIn.includes(value))
+    : condition === undefined || value === condition);
+  const matchesEvent = (event, where) => (where.OR
+    ? where.OR.some((condition) => matchesEvent(event, condition))
+    : matches(event.eventCode, where.eventCode) && matches(event.status, where.status));
+  const tacitAcceptances = () => events.filter((event) => event.eventCode === '034');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(process.env, {
+      DIAN_TEST_MODE: 'true',
+      DIAN_SOFTWARE_PIN: '12345',
+      DIAN_TACIT_ACCEPTANCE_MAX_ATTEMPTS: '3',
+      DIAN_TACIT_ACCEPTANCE_RETRY_MINUTES: '60',
+      DIAN_TACIT_ACCEPTANCE_RETRY_MAX_MINUTES: '1440'
+    });
+    config = dianConfig({ eventPrefix: 'EV', eventNumber: 0 });
+    events = [
+      { id: 'e030', dianInvoiceId: 'invoice-1', eventCode: '030', status: 'received', eventDate: received },
+      { id: 'e032', dianInvoiceId: 'invoice-1', eventCode: '032', status: 'received', eventDate: received }
+    ];
+    const invoice = {
+      id: 'invoice-1',
+      invoiceNumber: 'SETP990000007',
+      cufe: 'c'.repeat(96),
+      status: 'accepted',
+      customer: { name: 'Cooperativa del Huila', taxId: '800199436-5', documentType: '31' },
+      sale: { customerName: 'Cooperativa del Huila' }
+    };
+    prisma = {
+      dianConfig: {
+        findFirst: jest.fn(async () => config),
+        update: jest.fn(async ({ data }) => {
+          config.eventNumber += data.eventNumber.increment;
+          return { ...config };
+        })
+      },
+      dianInvoice: {
+        findMany: jest.fn(async ({ where }) => {
+          const eligible = events.some((event) => matchesEvent(event, where.events.some))
+            && !events.some((event) => matchesEvent(event, where.events.none));
+          return eligible ? [{ ...invoice, events: events.map((event) => ({ ...event })) }] : [];
+        })
+      },
+      dianEvent: {
+        create: jest.fn(async ({ data }) => {
+          const event = {
+            id: `e${events.length}`, attempts: 0, nextAttemptAt: null, signedAt: null, ...data
+          };
+          events.push(event);
+          return { ...event };
+        }),
+        update: jest.fn(async ({ where, data }) => ({ ...Object.assign(events.find((event) => event.id === where.id), data) }))
+      }
+    };
+    prisma.$transaction = jest.fn((callback) => callback(prisma));
+  });
+
+  it('waits for the deadline before issuing the 034', async () => {
+    await expect(processTacitAcceptances(prisma, { now: new Date('2026-10-06T12:00:00Z') }))
+      .resolves.toEqual({ accepted: [], rejected: [], retrying: [], failed: [] });
+    expect(prisma.dianEvent.create).not.toHaveBeenCalled();
+  });
+
+  it('retries the same event with backoff while DIAN is unreachable and fails it at the cap', async () => {
+    submitEvent.mockRejectedValue(new DianTransportError('DIAN web service unreachable: ECONNREFUSED'));
+    let now = new Date('2026-10-10T12:00:00Z');
+
+    expect((await processTacitAcceptances(prisma, { now })).retrying).toEqual(['SETP990000007']);
+    expect(tacitAcceptances()).toEqual([expect.objectContaining({
+      eventNumber: 'EV1', status: 'signed', attempts: 1, nextAttemptAt: new Date('2026-10-10T13:00:00Z')
+    })]);
+
+    // Before the next attempt is due nothing is sent
+    await processTacitAcceptances(prisma, { now: new Date('2026-10-10T12:30:00Z') });
+    expect(submitEvent).toHaveBeenCalledTimes(1);
+
+    now = new Date('2026-10-10T13:00:00Z');
+    expect((await processTacitAcceptances(prisma, { now })).retrying).toEqual(['SETP990000007']);
+    expect(tacitAcceptances()[0]).toMatchObject({ attempts: 2, nextAttemptAt: new Date('2026-10-10T15:00:00Z') });
+
+    now = new Date('2026-10-10T15:00:00Z');
+    expect((await processTacitAcceptances(prisma, { now })).failed).toEqual(['SETP990000007']);
+    expect(tacitAcceptances()).toEqual([expect.objectContaining({
+      eventNumber: 'EV1', status: 'failed', attempts: 3, nextAttemptAt: null
+    })]);
+    expect(config.eventNumber).toBe(1);
+
+    // A failed event is left for a manual resend
+    await processTacitAcceptances(prisma, { now: new Date('2026-10-12T15:00:00Z') });
+    expect(submitEvent).toHaveBeenCalledTimes(3);
+  });
+
+  it('sends the pending event once DIAN is back, keeping its number', async () => {
+    submitEvent
+      .mockRejectedValueOnce(new DianTransportError('DIAN web service unreachable: ECONNREFUSED'))
+      .mockResolvedValueOnce({ isValid: true, errors: [], documentKey: 'key-1' });
+
+    await processTacitAcceptances(prisma, { now: new Date('2026-10-10T12:00:00Z') });
+    const result = await processTacitAcceptances(prisma, { now: new Date('2026-10-10T13:00:00Z') });
+
+    expect(result.accepted).toEqual(['SETP990000007']);
+    expect(tacitAcceptances()).toEqual([expect.objectContaining({ eventNumber: 'EV1', status: 'accepted' })]);
+    expect(prisma.dianEvent.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry a 034 rejected by DIAN', async () => {
+    submitEvent.mockResolvedValue({ isValid: false, errors: ['Regla 90: documento rechazado'], documentKey: 'key-1' });
+    const now = new Date('2026-10-10T12:00:00Z');
+
+    expect((await processTacitAcceptances(prisma, { now })).rejected).toEqual(['SETP990000007']);
+    await processTacitAcceptances(prisma, { now: new Date('2026-10-11T12:00:00Z') });
+
+    expect(submitEvent).toHaveBeenCalledTimes(1);
+    expect(tacitAcceptances()).toEqual([expect.objectContaining({ status: 'rejected', attempts: 0 })]);
+  });
+
+  it('lets a failed event be sent again by hand', async () => {
+    submitEvent.mockResolvedValueOnce({ isValid: true, errors: [], documentKey: 'key-1' });
+    events.push({
+      id: 'e034', dianInvoiceId: 'invoice-1', eventCode: '034', eventNumber: 'EV1', status: 'failed', attempts: 3, xml: '<ApplicationResponse/>', signedAt: received
+    });
+
+    const { event } = await transmitEvent(prisma, { ...events[2] });
+
+    expect(event.status).toBe('accepted');
+  });
+});
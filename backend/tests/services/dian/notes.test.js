@@ -0,0 +1,96 @@
+const { generateNote, creditedTotal } = require('../../../src/services/dian/notes');
+const { dianConfig } = require('../../helpers/dian');
+
+const invoice = {
+  id: 'invoice-1',
+  invoiceNumber: 'SETP990000001',
+  cufe: 'c'.repeat(96),
+  createdAt: new Date('2024-03-01T15:00:00Z'),
+  customer: { taxId: '800199436-5', documentType: '31', name: 'Cooperativa del Huila' },
+  sale: { customerName: 'Cooperativa del Huila', paymentMethod: 'credit' }
+};
+
+const fakeTx = (config) => ({
+  dianConfig: {
+    update: jest.fn(async ({ data }) => {
+      const [field] = Object.keys(data);
+      config[field] += data[field].increment;
+      return { ...config };
+    })
+  },
+  dianNote: {
+    create: jest.fn(async ({ data }) => ({ id: 'note-1', ...data, items: data.items.create }))
+  }
+});
+
+describe('generateNote', () => {
+  beforeEach(() => {
+    process.env.DIAN_SOFTWARE_PIN = '12345';
+    process.env.DIAN_TEST_MODE = 'true';
+  });
+
+  it('numbers a credit note, computes its CUDE and references the invoice', async () => {
+    const config = dianConfig({ creditNotePrefix: 'NC', creditNoteNumber: 7 });
+    const tx = fakeTx(config);
+
+    const note = await generateNote(tx, {
+      type: 'credit',
+      invoice,
+      config,
+      conceptCode: '1',
+      reason: 'Devolución de dos bultos',
+      lines: [{ productId: 'p1', product: { name: 'Concentrado 40 kg' }, quantity: 2, unitPrice: 95000, taxCode: '01', taxPercent: 19 }],
+      restock: true,
+      userId: 'user-1'
+    });
+
+    expect(note.noteNumber).toBe('NC8');
+    expect(note).toMatchObject({
+      type: 'credit', invoiceId: 'invoice-1', status: 'generated', subtotal: 190000, tax: 36100, total: 226100, restock: true
+    });
+    expect(note.cude).toMatch(/^[0-9a-f]{96}$/);
+    expect(note.qrData).toContain(`CUDE: ${note.cude}`);
+    expect(note.xml).toContain('<CreditNote');
+    expect(note.xml).toContain('<cbc:ID>NC8</cbc:ID>');
+    expect(note.xml).toMatch(/<cac:BillingReference>[\s\S]*SETP990000001[\s\S]*<\/cac:BillingReference>/);
+    expect(note.xml).toContain(invoice.cufe);
+    expect(note.items).toEqual([expect.objectContaining({
+      productId: 'p1', description: 'Concentrado 40 kg', quantity: 2, totalPrice: 190000, taxAmount: 36100
+    })]);
+  });
+
+  it('keeps a separate consecutive for debit notes', async () => {
+    const config = dianConfig({ debitNotePrefix: 'ND', debitNoteNumber: 0 });
+    const tx = fakeTx(config);
+
+    const note = await generateNote(tx, {
+      type: 'debit',
+      invoice,
+      config,
+      conceptCode: '3',
+      reason: 'Flete no facturado',
+      lines: [{ description: 'Flete', quantity: 1, unitPrice: 20000, taxCode: '01', taxPercent: 19 }],
+      restock: false,
+      userId: 'user-1'
+    });
+
+    expect(tx.dianConfig.update).toHaveBeenCalledWith({ where: { id: config.id }, data: { debitNoteNumber: { increment: 1 } } });
+    expect(note.noteNumber).toBe('ND1');
+    expect(note.xml).toContain('<DebitNote');
+    expect(note.items[0]).toMatchObject({ productId: null, description: 'Flete', totalPrice: 20000 });
+  });
+});
+
+describe('creditedTotal', () => {
+  it('adds the credit notes that were not rejected', () => {
+    expect(creditedTotal({
+      dianNotes: [
+        { type: 'credit', status: 'accepted', total: '50000.00' },
+        { type: 'credit', status: 'generated', total: 10000 },
+        { type: 'credit', status: 'rejected', total: 99999 },
+        { type: 'debit', status: 'accepted', total: 20000 }
+      ]
+    })).toBe(60000);
+    expect(creditedTotal({})).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/logger'));
+
+const {
+  resolutionEndDate, resolutionStatus, assertResolutionInForce, allocateInvoiceNumber
+} = require('../../../src/services/dian/numbering');
+const { dianConfig } = require('../../helpers/dian');
+
+const now = new Date('2026-10-19T17:00:00Z');
+
+/**
+ * Transaction over a list of DianConfig rows; update applies the conditional increment
+ */
+const fakeTx = (rows) => ({
+  dianConfig: {
+    findMany: jest.fn(async ({ where }) => rows.filter((row) => row.isActive
+      && row.documentType === where.documentType
+      && (!where.prefix || row.prefix === where.prefix)
+      && where.OR.some((condition) => row.branch === condition.branch))),
+    update: jest.fn(async ({ where, data }) => {
+      const row = rows.find((candidate) => candidate.id === where.id);
+      if (!row.isActive || row.currentNumber > where.currentNumber.lte) {
+        throw Object.assign(new Error('Record to update not found'), { code: 'P2025' });
+      }
+      row.currentNumber += data.currentNumber.increment;
+      return { ...row };
+    })
+  }
+});
+
+describe('resolutionStatus', () => {
+  it('counts the numbers and days left of a resolution in force', () => {
+    const status = resolutionStatus(dianConfig({
+      startNumber: 1, endNumber: 1000, currentNumber: 901, resolutionEndDate: new Date('2026-12-31T00:00:00Z')
+    }), now);
+
+    expect(status).toMatchObject({
+      startDate: '2019-01-19', endDate: '2026-12-31', remaining: 100, daysLeft: 73,
+      notStarted: false, expired: false, exhausted: false, usable: true, warning: true
+    });
+  });
+
+  it('keeps the last day of the resolution usable', () => {
+    const status = resolutionStatus(dianConfig({ resolutionEndDate: new Date('2026-10-19T00:00:00Z') }), now);
+    expect(status).toMatchObject({ expired: false, usable: true, daysLeft: 0 });
+  });
+
+  it('flags expired, not started, exhausted and inactive resolutions as unusable', () => {
+    expect(resolutionStatus(dianConfig({ resolutionEndDate: new Date('2026-10-18T00:00:00Z') }), now))
+      .toMatchObject({ expired: true, usable: false });
+    expect(resolutionStatus(dianConfig({ resolutionDate: new Date('2026-10-20T00:00:00Z') }), now))
+      .toMatchObject({ notStarted: true, usable: false });
+    expect(resolutionStatus(dianConfig({ endNumber: 10, currentNumber: 11 }), now))
+      .toMatchObject({ remaining: 0, exhausted: true, usable: false });
+    expect(resolutionStatus(dianConfig({ isActive: false }), now).usable).toBe(false);
+  });
+
+  it('gives a resolution without end date 24 months from its date', () => {
+    expect(resolutionEndDate({ resolutionDate: new Date('2025-02-10T00:00:00Z'), resolutionEndDate: null }).toISOString())
+      .toBe('2027-02-10T00:00:00.000Z');
+  });
+});
+
+describe('assertResolutionInForce', () => {
+  it('rejects documents outside the resolution dates', () => {
+    expect(() => assertResolutionInForce(dianConfig({ resolutionEndDate: new Date('2025-01-01T00:00:00Z') }), now))
+      .toThrow(expect.objectContaining({ code: 'RESOLUTION_EXPIRED', statusCode: 409 }));
+    expect(() => assertResolutionInForce(dianConfig({ resolutionDate: new Date('2027-01-01T00:00:00Z') }), now))
+      .toThrow(expect.objectContaining({ code: 'RESOLUTION_NOT_STARTED' }));
+  });
+});
+
+describe('allocateInvoiceNumber', () => {
+  it('uses the branch resolution before the general one', async () => {
+    const tx = fakeTx([
+      dianConfig({ id: 'general', prefix: 'FE', currentNumber: 50 }),
+      dianConfig({ id: 'caja2', prefix: 'C2', branch: 'CAJA2', currentNumber: 7 })
+    ]);
+
+    await expect(allocateInvoiceNumber(tx, { branch: 'CAJA2', now }))
+      .resolves.toMatchObject({ number: 7, invoiceNumber: 'C27', config: { id: 'caja2', currentNumber: 8 } });
+    await expect(allocateInvoiceNumber(tx, { now })).resolves.toMatchObject({ invoiceNumber: 'FE50' });
+  });
+
+  it('moves on to the next resolution when the first one runs out', async () => {
+    const tx = fakeTx([
+      dianConfig({ id: 'old', prefix: 'FE', endNumber: 100, currentNumber: 100 }),
+      dianConfig({ id: 'new', prefix: 'FE', startNumber: 101, endNumber: 200, currentNumber: 101 })
+    ]);
+
+    await expect(allocateInvoiceNumber(tx, { now })).resolves.toMatchObject({ invoiceNumber: 'FE100' });
+    await expect(allocateInvoiceNumber(tx, { now })).resolves.toMatchObject({ invoiceNumber: 'FE101' });
+  });
+
+  it('explains why no number can be assigned', async () => {
+    await expect(allocateInvoiceNumber(fakeTx([]), { now }))
+      .rejects.toMatchObject({ name: 'NumberingError', code: 'NUMBERING_NOT_CONFIGURED' });
+    await expect(allocateInvoiceNumber(fakeTx([dianConfig({ resolutionEndDate: new Date('2025-01-01T00:00:00Z') })]), { now }))
+      .rejects.toMatchObject({ code: 'RESOLUTION_EXPIRED' });
+    await expect(allocateInvoiceNumber(fakeTx([dianConfig({ endNumber: 10, currentNumber: 11 })]), { now }))
+      .rejects.toMatchObject({ code: 'RESOLUTION_EXHAUSTED' });
+    await expect(allocateInvoiceNumber(fakeTx([dianConfig({ documentType: 'support' })]), { prefix: 'DS', documentType: 'support', now }))
+      .rejects.toThrow('No active DIAN numbering resolution for support documents, prefix DS');
+  });
+});
@@ -0,0 +1,80 @@
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const {
+  mergeTemplate, loadTemplate, printable, formatMoney, wrapText, buildInvoicePdf
+} = require('../../../src/services/dian/pdf');
+const { buildInvoiceXml, calculateInvoiceTotals } = require('../../../src/services/dian/ubl');
+const { computeInvoiceCufe, buildQrData } = require('../../../src/services/dian/cufe');
+const { amountInWords } = require('../../../src/utils/numberToWords');
+const { dianConfig, dianSettings } = require('../../helpers/dian');
+
+describe('PDF template', () => {
+  it('merges a custom template over the default one', () => {
+    const template = mergeTemplate(loadTemplate(null), { colors: { primary: '#004d40' }, footer: ['Gracias por su compra'] });
+
+    expect(template.colors.primary).toBe('#004d40');
+    expect(Object.keys(template.colors).length).toBeGreaterThan(1);
+    expect(template.footer).toEqual(['Gracias por su compra']);
+    expect(template.page.size).toHaveLength(2);
+  });
+});
+
+describe('text helpers', () => {
+  it('keeps Latin-1 text and replaces what the standard fonts cannot draw', () => {
+    expect(printable('Añejo\ncafé 😀')).toBe('Añejo café ??');
+    expect(printable(null)).toBe('');
+  });
+
+  it('formats pesos with two decimals', () => {
+    expect(formatMoney(1234567.5).replace(/\s/g, ' ')).toBe('$ 1.234.567,50');
+  });
+
+  it('splits words longer than the column such as the CUFE', async () => {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const lines = wrapText(`CUFE: ${'a1'.repeat(48)}`, font, 8, 120);
+
+    expect(lines.length).toBeGreaterThan(2);
+    expect(lines.every((line) => font.widthOfTextAtSize(line, 8) <= 120)).toBe(true);
+    expect(lines.join('').replace('CUFE:', '')).toBe('a1'.repeat(48));
+  });
+
+  it('writes amounts in Spanish words', () => {
+    expect(amountInWords(1785000)).toMatch(/^UN MILL[OÓ]N SETECIENTOS OCHENTA Y CINCO MIL PESOS/);
+  });
+});
+
+describe('buildInvoicePdf', () => {
+  it('renders the invoice from its XML with the CUFE in the metadata', async () => {
+    const config = dianConfig();
+    const invoice = {
+      invoiceNumber: 'SETP990000001',
+      issueDate: new Date('2024-03-01T15:00:00Z'),
+      config,
+      settings: dianSettings(),
+      customerName: 'Mostrador',
+      paymentMethod: 'cash',
+      totals: calculateInvoiceTotals(Array.from({ length: 3 }, (value, index) => ({
+        productId: `p${index}`, product: { name: `Producto ${index}` }, quantity: 1, unitPrice: 10000, taxCode: '01', taxPercent: 19
+      })))
+    };
+    const cufe = computeInvoiceCufe(invoice);
+
+    const buffer = await buildInvoicePdf({
+      invoice: {
+        invoiceNumber: invoice.invoiceNumber,
+        xml: buildInvoiceXml({ ...invoice, cufe }),
+        cufe,
+        qrData: buildQrData(invoice, cufe),
+        status: 'accepted'
+      },
+      config,
+      sale: { customer: null, customerName: 'Mostrador', paymentMethod: 'cash' }
+    });
+
+    expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    const pdf = await PDFDocument.load(buffer);
+    expect(pdf.getTitle()).toMatch(/SETP990000001$/);
+    expect(pdf.getSubject()).toBe(cufe);
+    expect(pdf.getPageCount()).toBe(1);
+  });
+});
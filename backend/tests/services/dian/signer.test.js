@@ -0,0 +1,67 @@
+const {
+  SignatureError, loadCertificate, signXml, verifyXml
+} = require('../../../src/services/dian/signer');
+const { buildInvoiceXml, calculateInvoiceTotals } = require('../../../src/services/dian/ubl');
+const { dianConfig, dianSettings } = require('../../helpers/dian');
+const { createTestCertificate } = require('../../helpers/certificate');
+
+const invoiceXml = () => buildInvoiceXml({
+  invoiceNumber: 'SETP990000001',
+  issueDate: new Date('2024-03-01T15:00:00Z'),
+  config: dianConfig(),
+  settings: dianSettings(),
+  customerName: 'Mostrador',
+  paymentMethod: 'cash',
+  totals: calculateInvoiceTotals([{ productId: 'p1', quantity: 1, unitPrice: 10000, taxCode: '01', taxPercent: 19 }]),
+  cufe: 'a'.repeat(96)
+});
+
+describe('XAdES-EPES signing', () => {
+  let file;
+  let certificate;
+
+  beforeAll(() => {
+    file = createTestCertificate();
+    certificate = loadCertificate({ path: file.path, password: file.password });
+  });
+
+  afterAll(() => file.cleanup());
+
+  it('reads the certificate data used in the signing certificate reference', () => {
+    expect(certificate.subjectName).toBe('C=CO,O=Agropecuaria La Suaza SAS,CN=Agropecuaria La Suaza SAS');
+    expect(certificate.serialNumber).toBe(String(0x0a1b2c));
+    expect(certificate.privateKeyPem).toMatch(/BEGIN RSA PRIVATE KEY/);
+  });
+
+  it('signs inside the empty UBL extension with the DIAN policy and verifies it', async () => {
+    const signingTime = new Date('2024-03-01T15:00:05Z');
+    const signed = await signXml(invoiceXml(), certificate, { signingTime });
+
+    expect(signed).toMatch(/<ext:ExtensionContent><ds:Signature [^>]*Id="xmldsig-/);
+    expect(signed).toContain('https://facturaelectronica.dian.gov.co/politicadefirma/v2/politicadefirmav2.pdf');
+    expect(signed).toContain('<xades:SigningTime>2024-03-01T10:00:05-05:00</xades:SigningTime>');
+
+    const result = await verifyXml(signed);
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+  });
+
+  it('detects a document altered after signing', async () => {
+    const signed = await signXml(invoiceXml(), certificate);
+    const tampered = signed.replace('<cbc:PayableAmount currencyID="COP">11900.00', '<cbc:PayableAmount currencyID="COP">1190.00');
+
+    const result = await verifyXml(tampered);
+    expect(result.valid).toBe(false);
+    expect(result.errors.length).toBeGreaterThan(0);
+  });
+
+  it('refuses to sign twice', async () => {
+    const signed = await signXml(invoiceXml(), certificate);
+    await expect(signXml(signed, certificate)).rejects.toMatchObject({ code: 'ALREADY_SIGNED' });
+  });
+
+  it('rejects a wrong certificate password', () => {
+    expect(() => loadCertificate({ path: file.path, password: 'wrong' }))
+      .toThrow(expect.objectContaining({ name: SignatureError.name, code: 'CERTIFICATE_INVALID' }));
+  });
+});
@@ -0,0 +1,144 @@
+jest.mock('../../../src/utils/logger', () => require('../../helpers/logger'));
+jest.mock('../../../src/services/dian/signer', () => ({
+  signDocument: jest.fn(async (xml) => xml.replace('</Invoice>', '<ds:Signature/></Invoice>')),
+  verifyXml: jest.fn(async () => ({ valid: true, errors: [] }))
+}));
+jest.mock('../../../src/services/dian/transmission', () => ({
+  submitToDian: jest.fn()
+}));
+
+const {
+  SupportDocumentError, generateSupportDocument, transmitSupportDocument
+} = require('../../../src/services/dian/supportDocument');
+const { verifyXml } = require('../../../src/services/dian/signer');
+const { submitToDian } = require('../../../src/services/dian/transmission');
+const { dianConfig } = require('../../helpers/dian');
+
+const purchase = (overrides = {}) => ({
+  id: 'purchase-1',
+  orderNumber: 'OC-000123',
+  status: 'received',
+  supplierId: 'supplier-1',
+  supplier: {
+    name: 'Pedro Cardozo', taxId: '12345678', documentType: '13', requiresSupportDocument: true
+  },
+  supportDocument: null,
+  paymentMethod: 'cash',
+  dueDate: null,
+  items: [
+    { productId: 'p1', product: { name: 'Maíz en grano' }, quantity: 10, receivedQuantity: 8, unitCost: 50000, receivedCost: 48000 },
+    { productId: 'p2', product: { name: 'Frijol' }, quantity: 5, receivedQuantity: 0, unitCost: 30000 }
+  ],
+  withholdings: [{ type: 'RETEFUENTE', rate: 1.5, baseAmount: 384000, amount: 5760 }],
+  ...overrides
+});
+
+/**
+ * Prisma with one support resolution; $transaction hands over the same client
+ */
+const fakePrisma = (record, documents = [], config = dianConfig({ id: 'support-1', documentType: 'support', prefix: 'DS', currentNumber: 5 })) => {
+  const prisma = {
+    purchase: { findUnique: jest.fn(async () => record) },
+    dianConfig: {
+      findMany: jest.fn(async ({ where }) => (where.documentType === config.documentType ? [config] : [])),
+      findUnique: jest.fn(async () => config),
+      update: jest.fn(async ({ data }) => {
+        config.currentNumber += data.currentNumber.increment;
+        return { ...config };
+      }),
+      updateMany: jest.fn(async () => ({ count: 0 }))
+    },
+    dianSupportDocument: {
+      create: jest.fn(async ({ data }) => ({ id: 'ds-1', ...data, dianConfig: config })),
+      update: jest.fn(async ({ where, data }) => {
+        const document = documents.find((candidate) => candidate.id === where.id);
+        Object.assign(document, data);
+        return { ...document };
+      })
+    }
+  };
+  prisma.$transaction = jest.fn((callback) => callback(prisma));
+  return prisma;
+};
+
+describe('generateSupportDocument', () => {
+  beforeEach(() => {
+    process.env.DIAN_SOFTWARE_PIN = '12345';
+    process.env.DIAN_TEST_MODE = 'true';
+  });
+
+  it('numbers the document with the support resolution over the received quantities and costs', async () => {
+    const prisma = fakePrisma(purchase());
+
+    const document = await generateSupportDocument(prisma, 'purchase-1', 'user-1');
+
+    expect(document).toMatchObject({
+      documentNumber: 'DS5', dianConfigId: 'support-1', purchaseId: 'purchase-1', status: 'generated', subtotal: 384000, tax: 0, total: 384000
+    });
+    expect(document.cuds).toMatch(/^[0-9a-f]{96}$/);
+    expect(document.qrData).toContain('NumDS: DS5');
+    expect(document.qrData).toContain(`CUDS: ${document.cuds}`);
+    expect(document.xml).toContain('<cbc:ID>DS5</cbc:ID>');
+    expect(document.xml).toContain('Maíz en grano');
+    expect(document.xml).not.toContain('Frijol');
+    expect(document.xml).toContain('12345678');
+  });
+
+  it('refuses purchases that cannot carry a support document', async () => {
+    const cases = [
+      [purchase({ supplier: { name: 'Agroinsumos SAS', taxId: '900', requiresSupportDocument: false } }), 'SUPPLIER_INVOICES'],
+      [purchase({ supplier: { name: 'Pedro Cardozo', requiresSupportDocument: true } }), 'SUPPLIER_WITHOUT_ID'],
+      [purchase({ status: 'partial' }), 'PURCHASE_NOT_RECEIVED'],
+      [purchase({ supportDocument: { documentNumber: 'DS1' } }), 'SUPPORT_DOCUMENT_EXISTS']
+    ];
+
+    for (const [record, code] of cases) {
+      const prisma = fakePrisma(record);
+      await expect(generateSupportDocument(prisma, record.id, 'user-1')).rejects.toMatchObject({ code });
+      expect(prisma.$transaction).not.toHaveBeenCalled();
+    }
+    await expect(generateSupportDocument(fakePrisma(null), 'missing', 'user-1'))
+      .rejects.toMatchObject({ name: 'SupportDocumentError', statusCode: 404 });
+  });
+});
+
+describe('transmitSupportDocument', () => {
+  const generated = {
+    id: 'ds-1', documentNumber: 'DS5', dianConfigId: 'support-1', status: 'generated', cuds: 'd'.repeat(96), xml: '<Invoice></Invoice>'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('signs, sends and records the DIAN validation', async () => {
+    const prisma = fakePrisma(purchase(), [{ ...generated }]);
+    submitToDian.mockResolvedValueOnce({
+      testSet: false, response: { isValid: true, statusCode: '00', documentKey: 'track-1', applicationResponse: '<ApplicationResponse/>', errors: [] }
+    });
+
+    const { document, zipKey } = await transmitSupportDocument(prisma, generated);
+
+    expect(submitToDian).toHaveBeenCalledWith(expect.objectContaining({
+      documentNumber: 'DS5', filePrefix: 'ds', xml: expect.stringContaining('<ds:Signature/>')
+    }));
+    expect(document).toMatchObject({ status: 'accepted', trackId: 'track-1', lastError: null });
+    expect(zipKey).toBeNull();
+  });
+
+  it('keeps the error on the document when the signature does not verify', async () => {
+    const prisma = fakePrisma(purchase(), [{ ...generated }]);
+    verifyXml.mockResolvedValueOnce({ valid: false, errors: ['digest mismatch'] });
+
+    await expect(transmitSupportDocument(prisma, generated)).rejects.toThrow(SupportDocumentError);
+    expect(submitToDian).not.toHaveBeenCalled();
+    expect(prisma.dianSupportDocument.update).toHaveBeenLastCalledWith({
+      where: { id: 'ds-1' }, data: { lastError: 'Support document signature is not valid: digest mismatch' }
+    });
+  });
+
+  it('only sends generated or signed documents', async () => {
+    await expect(transmitSupportDocument(fakePrisma(purchase()), { ...generated, status: 'accepted' }))
+      .rejects.toMatchObject({ code: 'INVALID_STATUS' });
+  });
+});
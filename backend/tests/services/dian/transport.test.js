@@ -0,0 +1,97 @@
+const {
+  documentFileNames, buildDocumentZip, readZipEntries, createSoapTransport, getTransport
+} = require('../../../src/services/dian/transport');
+const { createMockDianServer } = require('../../../src/services/dian/mockServer');
+const { loadCertificate, signXml } = require('../../../src/services/dian/signer');
+const { buildInvoiceXml, calculateInvoiceTotals } = require('../../../src/services/dian/ubl');
+const { computeInvoiceCufe } = require('../../../src/services/dian/cufe');
+const { dianConfig, dianSettings } = require('../../helpers/dian');
+const { createTestCertificate } = require('../../helpers/certificate');
+
+const settings = dianSettings();
+
+const signedInvoice = async (certificate, { cufe } = {}) => {
+  const invoice = {
+    invoiceNumber: 'SETP990000001',
+    issueDate: new Date('2024-03-01T15:00:00Z'),
+    config: dianConfig(),
+    settings,
+    customer: { taxId: '800199436-5', documentType: '31', name: 'Cooperativa del Huila' },
+    paymentMethod: 'cash',
+    totals: calculateInvoiceTotals([{ productId: 'p1', quantity: 2, unitPrice: 95000, taxCode: '01', taxPercent: 19 }])
+  };
+  const documentKey = cufe || computeInvoiceCufe(invoice);
+  return { documentKey, xml: await signXml(buildInvoiceXml({ ...invoice, cufe: documentKey }), certificate) };
+};
+
+describe('document packaging', () => {
+  it('names files after the issuer NIT and the hexadecimal sequence', () => {
+    expect(documentFileNames({ issuerNit: '900123456', sequence: 255, date: new Date('2024-03-01T12:00:00Z') }))
+      .toEqual({ xmlName: 'fv090012345600024000000ff.xml', zipName: 'z090012345600024000000ff.zip' });
+  });
+
+  it('zips the signed XML and reads it back', () => {
+    const { fileName, xmlName, zip } = buildDocumentZip({ issuerNit: '900123456', sequence: 1, xml: '<Invoice/>', prefix: 'nc' });
+
+    expect(fileName).toMatch(/^z0900123456000\d{2}00000001\.zip$/);
+    expect(readZipEntries(zip)).toEqual([{ name: xmlName, content: '<Invoice/>' }]);
+    expect(readZipEntries(zip.toString('base64'))[0].name).toMatch(/^nc/);
+  });
+});
+
+describe('SOAP transport against the local DIAN stand-in', () => {
+  let file;
+  let certificate;
+  let server;
+  let transport;
+
+  beforeAll(async () => {
+    file = createTestCertificate();
+    certificate = loadCertificate({ path: file.path, password: file.password });
+    server = createMockDianServer({ technicalKey: settings.technicalKey, softwarePin: settings.softwarePin }).listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    transport = createSoapTransport({ url: `http://127.0.0.1:${server.address().port}/WcfDianCustomerServices.svc`, certificate, timeout: 5000 });
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    file.cleanup();
+  });
+
+  it('gets a valid invoice accepted and answers its status by CUFE', async () => {
+    const { xml, documentKey } = await signedInvoice(certificate);
+    const { fileName, zip } = buildDocumentZip({ issuerNit: '900123456', sequence: 1, xml });
+
+    const response = await transport.sendBillSync(fileName, zip);
+    expect(response).toMatchObject({ isValid: true, statusCode: '00', documentKey, errors: [] });
+    expect(response.applicationResponse).toContain('<cbc:ResponseCode>02</cbc:ResponseCode>');
+
+    await expect(transport.getStatus(documentKey)).resolves.toMatchObject({ isValid: true, statusCode: '00' });
+  });
+
+  it('rejects an invoice whose CUFE does not match its values', async () => {
+    const { xml } = await signedInvoice(certificate, { cufe: 'f'.repeat(96) });
+    const { fileName, zip } = buildDocumentZip({ issuerNit: '900123456', sequence: 2, xml });
+
+    const response = await transport.sendBillSync(fileName, zip);
+    expect(response.isValid).toBe(false);
+    expect(response.statusCode).toBe('99');
+    expect(response.errors.join('\n')).toMatch(/CUFE/);
+  });
+
+  it('reports an unknown track id', async () => {
+    await expect(transport.getStatus('0'.repeat(96))).resolves.toMatchObject({ isValid: false, statusCode: '66' });
+  });
+
+  it('raises DIAN_UNAVAILABLE when the service cannot be reached', async () => {
+    const offline = createSoapTransport({ url: 'http://127.0.0.1:1/', certificate, timeout: 1000 });
+    await expect(offline.getStatus('x')).rejects.toMatchObject({ name: 'DianTransportError', code: 'DIAN_UNAVAILABLE' });
+  });
+});
+
+describe('getTransport', () => {
+  it('rejects an unknown transport name', () => {
+    expect(() => getTransport({ ...settings, transport: 'carrier-pigeon' }))
+      .toThrow(expect.objectContaining({ code: 'DIAN_TRANSPORT_UNKNOWN' }));
+  });
+});
@@ -0,0 +1,77 @@
+const {
+  calculateInvoiceTotals, formatDateTime, resolveBuyer, buildInvoiceXml, FINAL_CONSUMER
+} = require('../../../src/services/dian/ubl');
+const { dianConfig, dianSettings } = require('../../helpers/dian');
+
+const items = [
+  { productId: 'p1', product: { code: 'CONC-40', name: 'Concentrado 40 kg' }, quantity: 2, unitPrice: 95000, taxCode: '01', taxPercent: 19 },
+  { productId: 'p2', product: { code: 'SEM-01', name: 'Semilla de maíz' }, quantity: 1, unitPrice: 50000, taxCode: null, taxPercent: 0 }
+];
+
+describe('calculateInvoiceTotals', () => {
+  it('liquidates each line with its own tax and leaves excluded lines out of the taxable base', () => {
+    const totals = calculateInvoiceTotals(items);
+
+    expect(totals.lines.map((line) => [line.lineExtension, line.taxAmount])).toEqual([[190000, 36100], [50000, 0]]);
+    expect(totals.lineExtension).toBe(240000);
+    expect(totals.taxExclusive).toBe(190000);
+    expect(totals.taxTotal).toBe(36100);
+    expect(totals.payable).toBe(276100);
+    expect(totals.taxSubtotals).toEqual([
+      expect.objectContaining({ code: '01', percent: 19, taxableAmount: 190000, taxAmount: 36100 })
+    ]);
+  });
+
+  it('skips taxes for sellers not responsible for IVA', () => {
+    const totals = calculateInvoiceTotals(items, { withTaxes: false });
+
+    expect(totals.taxTotal).toBe(0);
+    expect(totals.taxSubtotals).toEqual([]);
+    expect(totals.payable).toBe(240000);
+  });
+});
+
+describe('formatDateTime', () => {
+  it('formats the date and time in Colombian time (UTC-5)', () => {
+    expect(formatDateTime(new Date('2024-03-01T03:15:00Z'))).toEqual({ date: '2024-02-29', time: '22:15:00-05:00' });
+  });
+});
+
+describe('resolveBuyer', () => {
+  it('splits the check digit of a company NIT', () => {
+    expect(resolveBuyer({ taxId: '800199436-5', documentType: '31', name: 'Cooperativa' }))
+      .toEqual(expect.objectContaining({ documentType: '31', number: '800199436', checkDigit: '5' }));
+  });
+
+  it('falls back to the final consumer without a registered customer', () => {
+    expect(resolveBuyer(null, 'Mostrador')).toEqual(expect.objectContaining({
+      number: FINAL_CONSUMER.number, name: 'Mostrador'
+    }));
+  });
+});
+
+describe('buildInvoiceXml', () => {
+  it('builds a UBL 2.1 invoice with the DIAN extensions, parties, totals and lines', () => {
+    const xml = buildInvoiceXml({
+      invoiceNumber: 'SETP990000001',
+      issueDate: new Date('2024-03-01T15:00:00Z'),
+      config: dianConfig(),
+      settings: dianSettings(),
+      customer: { taxId: '800199436-5', documentType: '31', name: 'Cooperativa del Huila', email: 'compras@coop.co' },
+      paymentMethod: 'cash',
+      totals: calculateInvoiceTotals(items),
+      cufe: 'a'.repeat(96)
+    });
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"/);
+    expect(xml).toContain('<cbc:UBLVersionID>UBL 2.1</cbc:UBLVersionID>');
+    expect(xml).toContain('<sts:InvoiceAuthorization>18760000001</sts:InvoiceAuthorization>');
+    expect(xml).toContain('<cbc:ID>SETP990000001</cbc:ID>');
+    expect(xml).toContain(`<cbc:UUID schemeID="2" schemeName="CUFE-SHA384">${'a'.repeat(96)}</cbc:UUID>`);
+    expect(xml).toContain('<cbc:IssueDate>2024-03-01</cbc:IssueDate>');
+    expect(xml).toContain('<cbc:LineCountNumeric>2</cbc:LineCountNumeric>');
+    expect(xml).toMatch(/<cbc:CompanyID[^>]*schemeID="5"[^>]*>800199436<\/cbc:CompanyID>/);
+    expect(xml).toContain('<cbc:PayableAmount currencyID="COP">276100.00</cbc:PayableAmount>');
+    expect(xml.match(/<cac:InvoiceLine>/g)).toHaveLength(2);
+  });
+});
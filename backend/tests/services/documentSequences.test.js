@@ -0,0 +1,51 @@
+const { nextDocumentNumber, formatDocumentNumber, lastIssuedNumber } = require('../../src/services/documentSequences');
+const { documentSequenceStore } = require('../helpers/documentSequences');
+
+describe('nextDocumentNumber', () => {
+  it('starts after the last number issued and keeps counting after a document is deleted', async () => {
+    const { sequences, delegate } = documentSequenceStore();
+    const tx = { documentSequence: delegate };
+    const findLastNumber = jest.fn(async () => 41);
+
+    await expect(nextDocumentNumber(tx, 'quotation', findLastNumber)).resolves.toBe(42);
+    await expect(nextDocumentNumber(tx, 'quotation', findLastNumber)).resolves.toBe(43);
+    await expect(nextDocumentNumber(tx, 'layaway', async () => 0)).resolves.toBe(1);
+
+    expect(findLastNumber).toHaveBeenCalledTimes(1);
+    expect(delegate.createMany).toHaveBeenCalledWith({ data: [{ name: 'quotation', lastNumber: 41 }], skipDuplicates: true });
+    expect(sequences).toEqual(new Map([['quotation', 43], ['layaway', 1]]));
+  });
+
+  it('takes the next number when a concurrent document created the sequence first', async () => {
+    const { delegate } = documentSequenceStore();
+    // The other transaction creates the row and takes 42 between the failed update and createMany
+    delegate.update.mockRejectedValueOnce(Object.assign(new Error('Record to update not found.'), { code: 'P2025' }));
+    delegate.createMany.mockResolvedValueOnce({ count: 0 });
+    delegate.update.mockResolvedValueOnce({ name: 'quotation', lastNumber: 43 });
+
+    await expect(nextDocumentNumber({ documentSequence: delegate }, 'quotation', async () => 41)).resolves.toBe(43);
+    expect(delegate.update).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not hide other database errors', async () => {
+    const { delegate } = documentSequenceStore();
+    delegate.update.mockRejectedValueOnce(Object.assign(new Error('Connection lost'), { code: 'P1001' }));
+
+    await expect(nextDocumentNumber({ documentSequence: delegate }, 'quotation', async () => 0)).rejects.toThrow('Connection lost');
+    expect(delegate.createMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('lastIssuedNumber', () => {
+  it('reads the number of the last document with the prefix', async () => {
+    const delegate = { findFirst: jest.fn(async () => ({ quoteNumber: 'COT-000117' })) };
+
+    await expect(lastIssuedNumber(delegate, 'quoteNumber', 'COT-')).resolves.toBe(117);
+    expect(delegate.findFirst).toHaveBeenCalledWith({
+      where: { quoteNumber: { startsWith: 'COT-' } }, orderBy: { quoteNumber: 'desc' }, select: { quoteNumber: true }
+    });
+    delegate.findFirst.mockResolvedValueOnce(null);
+    await expect(lastIssuedNumber(delegate, 'quoteNumber', 'COT-')).resolves.toBe(0);
+    expect(formatDocumentNumber('SEP-', 7)).toBe('SEP-000007');
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  IdempotencyError, hashRequest, claimKey, completeKey, releaseKey
+} = require('../../src/services/idempotency');
+const { idempotencyKeyStore } = require('../helpers/idempotency');
+
+const MINUTE = 60 * 1000;
+
+describe('hashRequest', () => {
+  it('does not depend on the order of the fields or on undefined fields', () => {
+    const hash = hashRequest('POST', '/api/sales', { items: [{ productId: 'p1', quantity: 2 }], paymentMethod: 'cash' });
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashRequest('POST', '/api/sales', { paymentMethod: 'cash', notes: undefined, items: [{ quantity: 2, productId: 'p1' }] }))
+      .toBe(hash);
+  });
+
+  it('changes with the method, the path, the values and the order of arrays', () => {
+    const hash = hashRequest('POST', '/api/sales', { items: ['a', 'b'] });
+
+    expect(hashRequest('PUT', '/api/sales', { items: ['a', 'b'] })).not.toBe(hash);
+    expect(hashRequest('POST', '/api/payments', { items: ['a', 'b'] })).not.toBe(hash);
+    expect(hashRequest('POST', '/api/sales', { items: ['b', 'a'] })).not.toBe(hash);
+    expect(hashRequest('POST', '/api/sales', { items: ['a', 'b'], amount: 0 })).not.toBe(hash);
+    expect(hashRequest('POST', '/api/sales', undefined)).toBe(hashRequest('POST', '/api/sales', {}));
+  });
+});
+
+describe('claimKey', () => {
+  const request = {
+    userId: 'user-1', key: 'c1b2', method: 'POST', path: '/api/sales', requestHash: hashRequest('POST', '/api/sales', { total: 1 })
+  };
+
+  let store;
+  let prisma;
+
+  beforeEach(() => {
+    store = idempotencyKeyStore();
+    prisma = { idempotencyKey: store.delegate };
+  });
+
+  it('claims a new key for 24 hours and replays the stored response once completed', async () => {
+    const { record } = await claimKey(prisma, request);
+
+    expect(record).toMatchObject({ userId: 'user-1', key: 'c1b2', status: 'processing' });
+    expect(Math.round((record.expiresAt - Date.now()) / (60 * MINUTE))).toBe(24);
+    await expect(claimKey(prisma, request)).rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_IN_PROGRESS', statusCode: 409 });
+
+    await completeKey(prisma, record.id, 201, { id: 'sale-1', total: { toJSON: () => '119000' } });
+    const { replay } = await claimKey(prisma, request);
+    expect(replay).toMatchObject({ status: 'completed', responseStatus: 201, responseBody: { id: 'sale-1', total: '119000' } });
+  });
+
+  it('refuses the key for another request and the same key is free for another user', async () => {
+    await claimKey(prisma, request);
+
+    await expect(claimKey(prisma, { ...request, requestHash: hashRequest('POST', '/api/sales', { total: 2 }) }))
+      .rejects.toEqual(expect.objectContaining({ code: 'IDEMPOTENCY_KEY_MISMATCH', statusCode: 422 }));
+    await expect(claimKey(prisma, { ...request, path: '/api/payments' })).rejects.toThrow(IdempotencyError);
+    await expect(claimKey(prisma, { ...request, userId: 'user-2' })).resolves.toHaveProperty('record');
+  });
+
+  it('takes over expired keys, abandoned keys and keys released after an error', async () => {
+    const { record: expired } = await claimKey(prisma, request);
+    Object.assign(expired, { status: 'completed', expiresAt: new Date(Date.now() - MINUTE) });
+    const { record: retried } = await claimKey(prisma, request);
+    expect(retried.id).not.toBe(expired.id);
+
+    retried.updatedAt = new Date(Date.now() - 6 * MINUTE);
+    const { record: abandoned } = await claimKey(prisma, request);
+    expect(abandoned.id).not.toBe(retried.id);
+
+    await releaseKey(prisma, abandoned.id);
+    await expect(claimKey(prisma, request)).resolves.toHaveProperty('record');
+    expect(store.records).toHaveLength(1);
+  });
+
+  it('reports the key in progress when it keeps colliding', async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+    await expect(claimKey(prisma, request)).rejects.toMatchObject({ code: 'IDEMPOTENCY_KEY_IN_PROGRESS' });
+    expect(prisma.idempotencyKey.create).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,230 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/services/cashSessions', () => ({
+  ...jest.requireActual('../../src/services/cashSessions'),
+  summarizeSession: jest.fn()
+}));
+
+const { summarizeSession } = require('../../src/services/cashSessions');
+const {
+  expireLayaways, createLayaway, addDeposit, cancelLayaway, completeLayaway
+} = require('../../src/services/layaways');
+const { reservedQuantities, withAvailability } = require('../../src/services/stockReservations');
+const { documentSequenceStore } = require('../helpers/documentSequences');
+
+const IVA19 = { type: 'IVA', rate: 19 };
+
+const products = {
+  pump: {
+    id: 'pump', name: 'Motobomba 2"', price: 1000000, cost: 700000, stock: 3, taxClass: IVA19
+  },
+  wire: {
+    id: 'wire', name: 'Alambre de púas', price: 150000, cost: 100000, stock: 10, taxClass: IVA19
+  }
+};
+
+const layaway = (overrides = {}) => ({
+  id: 'layaway-1',
+  layawayNumber: 'SEP-000001',
+  status: 'active',
+  expiryPolicy: 'refund',
+  totalAmount: 1190000,
+  notes: null,
+  payments: [{ amount: 200000 }, { amount: 100000 }],
+  ...overrides
+});
+
+/**
+ * Prisma with an open register, a parked sale holding one pump and a layaway
+ * holding two, and the given layaway
+ */
+const fakePrisma = (current = layaway()) => {
+  const prisma = {
+    cashSession: { findFirst: jest.fn(async () => ({ id: 'session-1', register: 'CAJA1', status: 'open' })) },
+    customer: { findUnique: jest.fn(async ({ where }) => (where.id === 'customer-1' ? { id: 'customer-1', name: 'Finca La Esperanza' } : null)) },
+    priceList: { findMany: jest.fn(async () => []) },
+    product: { findUnique: jest.fn(async ({ where }) => products[where.id] || null) },
+    parkedSaleItem: { findMany: jest.fn(async () => [{ productId: 'pump', quantity: 1 }]) },
+    layawayItem: { findMany: jest.fn(async () => [{ productId: 'pump', quantity: 2 }]) },
+    payment: { create: jest.fn(async ({ data }) => data), updateMany: jest.fn(async () => ({ count: 2 })) },
+    documentSequence: documentSequenceStore({ layaway: 41 }).delegate,
+    layaway: {
+      findFirst: jest.fn(async () => null),
+      create: jest.fn(async ({ data }) => ({ id: 'layaway-42', ...data, payments: [data.payments.create] })),
+      findUnique: jest.fn(async () => current),
+      updateMany: jest.fn(async () => ({ count: 1 })),
+      update: jest.fn(async () => current)
+    }
+  };
+  prisma.$transaction = jest.fn((callback) => callback(prisma));
+  return prisma;
+};
+
+beforeEach(() => {
+  summarizeSession.mockReset();
+});
+
+describe('reservedQuantities', () => {
+  it('adds the units of parked sales and layaways in force, leaving out the given documents', async () => {
+    const prisma = fakePrisma();
+
+    const reserved = await reservedQuantities(prisma, ['pump', 'wire'], { layawayId: 'layaway-1' });
+
+    expect(reserved).toEqual(new Map([['pump', 3]]));
+    expect(prisma.parkedSaleItem.findMany.mock.calls[0][0].where.parkedSale)
+      .toEqual({ status: 'parked', expiresAt: { gt: expect.any(Date) } });
+    expect(prisma.layawayItem.findMany.mock.calls[0][0].where.layaway)
+      .toEqual({ status: 'active', expiresAt: { gt: expect.any(Date) }, id: { not: 'layaway-1' } });
+    expect(withAvailability(products.pump, reserved)).toMatchObject({ stock: 3, reserved: 3, available: 0 });
+    expect(withAvailability(products.wire, reserved)).toMatchObject({ stock: 10, reserved: 0, available: 10 });
+  });
+});
+
+describe('createLayaway', () => {
+  it('opens the layaway at list price with the initial deposit received on the register', async () => {
+    const prisma = fakePrisma();
+
+    const created = await createLayaway(prisma, {
+      customerId: 'customer-1',
+      items: [{ productId: 'wire', quantity: 4 }],
+      deposit: { method: 'cash', amount: 100000 },
+      termDays: 30
+    }, 'user-1');
+
+    expect(created).toMatchObject({
+      layawayNumber: 'SEP-000042',
+      expiryPolicy: 'refund',
+      subtotal: 600000,
+      taxAmount: 114000,
+      totalAmount: 714000,
+      paid: 100000,
+      balance: 614000
+    });
+    expect(created.items.create).toEqual([expect.objectContaining({
+      productId: 'wire', quantity: 4, unitPrice: 150000, totalPrice: 600000, priceOverride: null
+    })]);
+    expect(created.payments[0]).toMatchObject({ method: 'cash', amount: 100000, cashSessionId: 'session-1' });
+    expect(Math.round((created.expiresAt - Date.now()) / (24 * 60 * 60 * 1000))).toBe(30);
+  });
+
+  it('numbers the first layaway after the highest number issued and never repeats one', async () => {
+    const prisma = fakePrisma();
+    prisma.documentSequence = documentSequenceStore().delegate;
+    prisma.layaway.findFirst.mockResolvedValueOnce({ layawayNumber: 'SEP-000007' });
+    const open = () => createLayaway(prisma, {
+      customerId: 'customer-1', items: [{ productId: 'wire', quantity: 1 }], deposit: { method: 'cash', amount: 50000 }
+    }, 'user-1');
+
+    expect([(await open()).layawayNumber, (await open()).layawayNumber]).toEqual(['SEP-000008', 'SEP-000009']);
+    expect(prisma.layaway.findFirst).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses units already reserved, a deposit below the minimum and a price below list without permission', async () => {
+    const prisma = fakePrisma();
+    const open = (items, amount, permissions) => createLayaway(prisma, {
+      customerId: 'customer-1', items, deposit: { method: 'cash', amount }
+    }, 'user-1', permissions);
+
+    await expect(open([{ productId: 'pump', quantity: 1 }], 119000)).rejects.toMatchObject({
+      code: 'INSUFFICIENT_STOCK',
+      statusCode: 409,
+      issues: [expect.objectContaining({
+        productId: 'pump', stock: 3, reserved: 3, available: 0
+      })]
+    });
+    await expect(open([{ productId: 'wire', quantity: 1 }], 17849)).rejects.toMatchObject({ code: 'DEPOSIT_TOO_LOW' });
+    await expect(open([{ productId: 'wire', quantity: 1, unitPrice: 120000 }], 50000))
+      .rejects.toMatchObject({ code: 'PRICE_OVERRIDE_NOT_ALLOWED', statusCode: 403 });
+    await expect(open([{ productId: 'wire', quantity: 1, unitPrice: 120000 }], 50000, ['sales:price-override']))
+      .resolves.toMatchObject({ totalAmount: 142800 });
+    expect(prisma.layaway.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('addDeposit', () => {
+  it('takes deposits up to the balance of an active layaway', async () => {
+    const prisma = fakePrisma();
+
+    await expect(addDeposit(prisma, 'layaway-1', { method: 'check', amount: 1000 }, 'user-1'))
+      .rejects.toMatchObject({ code: 'INVALID_TENDER' });
+    await expect(addDeposit(prisma, 'layaway-1', { method: 'card', amount: 890001 }, 'user-1'))
+      .rejects.toMatchObject({ code: 'DEPOSIT_EXCEEDS_BALANCE' });
+    await addDeposit(prisma, 'layaway-1', { method: 'card', amount: 890000, reference: 'VOUCHER-7' }, 'user-1');
+
+    expect(prisma.payment.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        layawayId: 'layaway-1', method: 'card', amount: 890000, cashSessionId: 'session-1'
+      })
+    });
+    await expect(addDeposit(fakePrisma(layaway({ status: 'expired' })), 'layaway-1', { method: 'cash', amount: 1000 }, 'user-1'))
+      .rejects.toMatchObject({ code: 'LAYAWAY_CLOSED', statusCode: 409 });
+  });
+});
+
+describe('cancelLayaway', () => {
+  it('returns the deposits in cash under the refund policy when the register has them', async () => {
+    const prisma = fakePrisma();
+    summarizeSession.mockResolvedValueOnce({ expected: { cash: 250000 } });
+
+    await expect(cancelLayaway(prisma, 'layaway-1', {}, 'user-1')).rejects.toMatchObject({ code: 'INSUFFICIENT_CASH' });
+    expect(prisma.layaway.updateMany).not.toHaveBeenCalledWith(expect.objectContaining({ data: expect.objectContaining({ status: 'refunded' }) }));
+
+    summarizeSession.mockResolvedValueOnce({ expected: { cash: 500000 } });
+    await cancelLayaway(prisma, 'layaway-1', { reason: 'Cambió de proveedor' }, 'user-1');
+
+    expect(prisma.layaway.updateMany).toHaveBeenCalledWith({
+      where: { id: 'layaway-1', status: 'active' },
+      data: expect.objectContaining({ status: 'refunded', refundAmount: 300000, refundCashSessionId: 'session-1' })
+    });
+    expect(prisma.layaway.update).toHaveBeenCalledWith({
+      where: { id: 'layaway-1' }, data: { notes: 'Anulado: Cambió de proveedor' }
+    });
+  });
+
+  it('keeps the deposits under the forfeit policy', async () => {
+    const prisma = fakePrisma(layaway({ expiryPolicy: 'forfeit' }));
+
+    await cancelLayaway(prisma, 'layaway-1', {}, 'user-1');
+
+    expect(summarizeSession).not.toHaveBeenCalled();
+    expect(prisma.layaway.updateMany).toHaveBeenCalledWith({
+      where: { id: 'layaway-1', status: 'active' },
+      data: { status: 'forfeited', closedAt: expect.any(Date) }
+    });
+  });
+});
+
+describe('expireLayaways', () => {
+  it('leaves refund layaways awaiting the refund and closes forfeit ones', async () => {
+    const prisma = fakePrisma();
+    prisma.layaway.updateMany.mockResolvedValueOnce({ count: 2 }).mockResolvedValueOnce({ count: 1 });
+    const date = new Date('2026-10-19T12:00:00Z');
+
+    await expect(expireLayaways(prisma, date)).resolves.toEqual({ expired: 2, forfeited: 1 });
+    expect(prisma.layaway.updateMany).toHaveBeenCalledWith({
+      where: { status: 'active', expiresAt: { lte: date }, expiryPolicy: 'refund' }, data: { status: 'expired' }
+    });
+    expect(prisma.layaway.updateMany).toHaveBeenCalledWith({
+      where: { status: 'active', expiresAt: { lte: date }, expiryPolicy: 'forfeit' }, data: { status: 'forfeited', closedAt: date }
+    });
+  });
+});
+
+describe('completeLayaway', () => {
+  it('hands the deposits to the sale once and records the excess returned as change', async () => {
+    const prisma = fakePrisma();
+
+    await completeLayaway(prisma, 'layaway-1', { saleId: 'sale-1', excess: 5000, cashSessionId: 'session-1' });
+
+    expect(prisma.layaway.updateMany).toHaveBeenCalledWith({
+      where: { id: 'layaway-1', status: 'active' },
+      data: expect.objectContaining({
+        status: 'completed', saleId: 'sale-1', refundAmount: 5000, refundCashSessionId: 'session-1'
+      })
+    });
+    expect(prisma.payment.updateMany).toHaveBeenCalledWith({ where: { layawayId: 'layaway-1' }, data: { saleId: 'sale-1' } });
+
+    prisma.layaway.updateMany.mockResolvedValueOnce({ count: 0 });
+    await expect(completeLayaway(prisma, 'layaway-1', { saleId: 'sale-2', excess: 0 }))
+      .rejects.toMatchObject({ code: 'LAYAWAY_CLOSED', statusCode: 409 });
+  });
+});
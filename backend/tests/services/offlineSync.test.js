@@ -0,0 +1,158 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/services/sales', () => ({
+  ...jest.requireActual('../../src/services/sales'),
+  createSale: jest.fn()
+}));
+
+const logger = require('../../src/utils/logger');
+const { SaleError, createSale } = require('../../src/services/sales');
+const { NumberingError } = require('../../src/services/dian/numbering');
+const { CashSessionError } = require('../../src/services/cashSessions');
+const { buildOfflineCatalog, syncOfflineSales } = require('../../src/services/offlineSync');
+
+const cashier = { id: 'user-1', permissions: ['sales:create'] };
+
+const entry = (clientId, createdAt, overrides = {}) => ({
+  clientId,
+  createdAt,
+  items: [{ productId: 'p1', quantity: 1, unitPrice: 95000 }],
+  payments: [{ method: 'cash', amount: 113050 }],
+  expectedTotal: 113050,
+  ...overrides
+});
+
+const fakePrisma = (registered = []) => ({
+  sale: {
+    findUnique: jest.fn(async ({ where }) => registered.find((sale) => sale.clientId === where.clientId) || null)
+  },
+  product: {
+    findMany: jest.fn(async () => [
+      {
+        id: 'p1', name: 'Concentrado 40 kg', stock: 10, taxClass: null, category: { taxClass: { type: 'IVA', rate: 5 } }
+      },
+      {
+        id: 'p2', name: 'Semilla de maíz', stock: 4, taxClass: { type: 'EXCLUDED', rate: 0 }, category: null
+      }
+    ])
+  },
+  customer: { findMany: jest.fn(async () => [{ id: 'customer-1', name: 'Cooperativa del Huila' }]) },
+  priceList: { findMany: jest.fn(async () => [{ id: 'list-1', name: 'Mayoristas', items: [] }]) },
+  parkedSaleItem: { findMany: jest.fn(async () => [{ productId: 'p1', quantity: 3 }]) },
+  layawayItem: { findMany: jest.fn(async () => []) }
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('buildOfflineCatalog', () => {
+  it('sends the products with their tax and the units not reserved', async () => {
+    const catalog = await buildOfflineCatalog(fakePrisma());
+
+    expect(catalog.products).toEqual([
+      expect.objectContaining({
+        id: 'p1', tax: { code: '01', name: 'IVA', percent: 5 }, stock: 10, reserved: 3, available: 7
+      }),
+      expect.objectContaining({
+        id: 'p2', tax: { code: null, name: null, percent: 0 }, reserved: 0, available: 4
+      })
+    ]);
+    expect(catalog.customers).toHaveLength(1);
+    expect(catalog.priceLists).toHaveLength(1);
+    expect(catalog.generatedAt).toBeInstanceOf(Date);
+  });
+});
+
+describe('syncOfflineSales', () => {
+  it('registers the sales in the order they were made at the price charged', async () => {
+    createSale.mockImplementation(async (prisma, data) => ({
+      id: `sale-${data.offline.clientId}`, invoiceNumber: 'POS100', clientId: data.offline.clientId, totalAmount: 113050, status: 'COMPLETED'
+    }));
+
+    const { results, summary } = await syncOfflineSales(fakePrisma(), [
+      entry('b', '2026-10-19T15:10:00Z'),
+      entry('a', '2026-10-19T15:00:00Z', { notes: 'Sin conexión' })
+    ], cashier);
+
+    expect(results.map((result) => [result.clientId, result.status])).toEqual([['a', 'synced'], ['b', 'synced']]);
+    expect(summary).toEqual({
+      synced: 2, duplicates: 0, conflicts: 0, errors: 0
+    });
+    expect(createSale).toHaveBeenNthCalledWith(1, expect.anything(), expect.objectContaining({
+      items: [{ productId: 'p1', quantity: 1, unitPrice: 95000 }],
+      notes: 'Sin conexión',
+      offline: {
+        clientId: 'a', createdAt: new Date('2026-10-19T15:00:00Z'), expectedTotal: 113050, allowStockShortage: false
+      }
+    }), 'user-1', ['sales:create']);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('returns a sale already registered as duplicate, also when another register sent it at the same time', async () => {
+    const registered = [{ id: 'sale-a', clientId: 'a', invoiceNumber: 'POS100' }];
+    const prisma = fakePrisma(registered);
+    createSale.mockImplementationOnce(async () => {
+      registered.push({ id: 'sale-b', clientId: 'b', invoiceNumber: 'POS101' });
+      throw Object.assign(new Error('Unique constraint failed on the fields: (`clientId`)'), { code: 'P2002' });
+    });
+
+    const { results, summary } = await syncOfflineSales(prisma, [entry('a'), entry('b')], cashier);
+
+    expect(results).toEqual([
+      { clientId: 'a', status: 'duplicate', sale: registered[0] },
+      { clientId: 'b', status: 'duplicate', sale: registered[1] }
+    ]);
+    expect(summary.duplicates).toBe(2);
+    expect(createSale).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns conflicts by type without stopping the rest of the batch', async () => {
+    createSale
+      .mockRejectedValueOnce(new SaleError('Insufficient stock for Concentrado 40 kg', 'INSUFFICIENT_STOCK', 400, [{ productId: 'p1' }]))
+      .mockRejectedValueOnce(new SaleError('Total differs', 'TOTAL_MISMATCH'))
+      .mockRejectedValueOnce(new NumberingError('Resolution range exhausted', 'RANGE_EXHAUSTED'))
+      .mockRejectedValueOnce(new CashSessionError('No open cash register session', 'CASH_SESSION_REQUIRED'))
+      .mockRejectedValueOnce(new TypeError('Cannot read properties of undefined'))
+      .mockResolvedValueOnce({ id: 'sale-f', clientId: 'f' });
+
+    const { results, summary } = await syncOfflineSales(fakePrisma(), [
+      entry('a', '2026-10-19T15:00:00Z'),
+      entry('b', '2026-10-19T15:01:00Z'),
+      entry('c', '2026-10-19T15:02:00Z'),
+      entry('d', '2026-10-19T15:03:00Z'),
+      entry('e', '2026-10-19T15:04:00Z'),
+      entry('f', '2026-10-19T15:05:00Z')
+    ], cashier);
+
+    expect(results.map((result) => [result.status, result.conflict && result.conflict.type, result.conflict && result.conflict.code]))
+      .toEqual([
+        ['conflict', 'stock', 'INSUFFICIENT_STOCK'],
+        ['conflict', 'price', 'TOTAL_MISMATCH'],
+        ['conflict', 'numbering', 'RANGE_EXHAUSTED'],
+        ['conflict', 'cash_session', 'CASH_SESSION_REQUIRED'],
+        ['error', 'server', 'INTERNAL_ERROR'],
+        ['synced', undefined, undefined]
+      ]);
+    expect(results[0].conflict.issues).toEqual([{ productId: 'p1' }]);
+    expect(results[4].conflict.message).toBe('Internal server error');
+    expect(summary).toEqual({
+      synced: 1, duplicates: 0, conflicts: 4, errors: 1
+    });
+    expect(logger.error).toHaveBeenCalledWith('Error syncing offline sale e:', expect.any(TypeError));
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('a INSUFFICIENT_STOCK; b TOTAL_MISMATCH'));
+  });
+
+  it('only lets users who can adjust inventory register a sale without stock', async () => {
+    createSale.mockResolvedValue({ id: 'sale-a', clientId: 'a' });
+
+    const denied = await syncOfflineSales(fakePrisma(), [entry('a', null, { allowStockShortage: true })], cashier);
+    expect(denied.results[0]).toMatchObject({ status: 'conflict', conflict: { type: 'stock', code: 'STOCK_SHORTAGE_NOT_ALLOWED' } });
+    expect(createSale).not.toHaveBeenCalled();
+
+    const allowed = await syncOfflineSales(fakePrisma(), [entry('a', null, { allowStockShortage: true })], {
+      id: 'user-2', permissions: ['sales:create', 'inventory:update']
+    });
+    expect(allowed.results[0].status).toBe('synced');
+    expect(createSale.mock.calls[0][1].offline.allowStockShortage).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const {
+  parkSale, updateParkedSale, cancelParkedSale, completeParkedSale
+} = require('../../src/services/parkedSales');
+
+const products = [
+  { id: 'p1', name: 'Concentrado 40 kg', stock: 10 },
+  { id: 'p2', name: 'Semilla de maíz', stock: 4 }
+];
+
+/**
+ * Prisma with one parked ticket (ticket-1) holding 6 units of p1 and a layaway holding 1 of p2
+ */
+const fakePrisma = (ticket = { id: 'ticket-1', label: 'Mesa 1', status: 'parked' }) => {
+  const prisma = {
+    customer: { findUnique: jest.fn(async ({ where }) => (where.id === 'customer-1' ? { id: 'customer-1' } : null)) },
+    product: { findMany: jest.fn(async ({ where }) => products.filter((product) => where.id.in.includes(product.id))) },
+    parkedSaleItem: {
+      findMany: jest.fn(async ({ where }) => (where.parkedSale.id && where.parkedSale.id.not === 'ticket-1'
+        ? []
+        : [{ productId: 'p1', quantity: 6 }])),
+      deleteMany: jest.fn(async () => ({ count: 1 }))
+    },
+    layawayItem: { findMany: jest.fn(async () => [{ productId: 'p2', quantity: 1 }]) },
+    cashSession: { findFirst: jest.fn(async () => ({ id: 'session-1', register: 'CAJA2' })) },
+    parkedSale: {
+      updateMany: jest.fn(async () => ({ count: 0 })),
+      findUnique: jest.fn(async () => ticket),
+      create: jest.fn(async ({ data }) => ({ id: 'ticket-2', status: 'parked', ...data })),
+      update: jest.fn(async ({ data }) => ({ ...ticket, ...data }))
+    }
+  };
+  prisma.$transaction = jest.fn((callback) => callback(prisma));
+  return prisma;
+};
+
+describe('parkSale', () => {
+  it('reserves the units on the register of the cashier for the default time', async () => {
+    const before = Date.now();
+    const parked = await parkSale(fakePrisma(), {
+      label: 'Don Pedro', customerId: 'customer-1', items: [{ productId: 'p1', quantity: 4 }, { productId: 'p2', quantity: 3 }]
+    }, 'user-1');
+
+    expect(parked).toMatchObject({ label: 'Don Pedro', customerId: 'customer-1', register: 'CAJA2' });
+    expect(parked.items.create).toEqual([
+      { productId: 'p1', quantity: 4, unitPrice: null },
+      { productId: 'p2', quantity: 3, unitPrice: null }
+    ]);
+    expect(parked.expiresAt.getTime() - before).toBeGreaterThanOrEqual(120 * 60 * 1000);
+    expect(parked.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(120 * 60 * 1000);
+  });
+
+  it('refuses units reserved by other parked sales and layaways', async () => {
+    const prisma = fakePrisma();
+
+    await expect(parkSale(prisma, {
+      label: 'Mesa 2', items: [{ productId: 'p1', quantity: 3 }, { productId: 'p1', quantity: 2 }, { productId: 'p2', quantity: 4 }]
+    }, 'user-1')).rejects.toMatchObject({
+      code: 'INSUFFICIENT_STOCK',
+      statusCode: 409,
+      issues: [
+        expect.objectContaining({
+          productId: 'p1', quantity: 5, stock: 10, reserved: 6, available: 4
+        }),
+        expect.objectContaining({
+          productId: 'p2', quantity: 4, stock: 4, reserved: 1, available: 3
+        })
+      ]
+    });
+    await expect(parkSale(prisma, { label: 'Mesa 2', items: [{ productId: 'p9', quantity: 1 }] }, 'user-1'))
+      .rejects.toMatchObject({ code: 'PRODUCT_NOT_FOUND' });
+    expect(prisma.parkedSale.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateParkedSale', () => {
+  it('does not count the ticket own reservation when its lines change', async () => {
+    const prisma = fakePrisma();
+
+    const updated = await updateParkedSale(prisma, 'ticket-1', { items: [{ productId: 'p1', quantity: 9 }], expiresInMinutes: 30 });
+
+    expect(prisma.parkedSaleItem.deleteMany).toHaveBeenCalledWith({ where: { parkedSaleId: 'ticket-1' } });
+    expect(updated.items).toEqual({ create: [{ productId: 'p1', quantity: 9, unitPrice: null }] });
+    expect(updated.expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(30 * 60 * 1000);
+  });
+
+  it('only changes tickets still parked', async () => {
+    await expect(updateParkedSale(fakePrisma({ id: 'ticket-1', status: 'expired' }), 'ticket-1', { label: 'Otra' }))
+      .rejects.toMatchObject({ code: 'PARKED_SALE_CLOSED', statusCode: 409 });
+    await expect(cancelParkedSale(fakePrisma({ id: 'ticket-1', status: 'completed' }), 'ticket-1', 'user-1'))
+      .rejects.toMatchObject({ code: 'PARKED_SALE_CLOSED' });
+    await expect(cancelParkedSale(fakePrisma(null), 'missing', 'user-1'))
+      .rejects.toMatchObject({ code: 'PARKED_SALE_NOT_FOUND', statusCode: 404 });
+  });
+});
+
+describe('completeParkedSale', () => {
+  it('lets only one sale take a ticket still in force', async () => {
+    const prisma = fakePrisma();
+    prisma.parkedSale.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await expect(completeParkedSale(prisma, 'ticket-1', 'sale-1')).resolves.toBeUndefined();
+    expect(prisma.parkedSale.updateMany).toHaveBeenCalledWith({
+      where: { id: 'ticket-1', status: 'parked', expiresAt: { gt: expect.any(Date) } },
+      data: { status: 'completed', saleId: 'sale-1' }
+    });
+
+    await expect(completeParkedSale(prisma, 'ticket-1', 'sale-2')).rejects.toMatchObject({ code: 'PARKED_SALE_CLOSED' });
+  });
+});
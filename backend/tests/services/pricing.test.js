@@ -0,0 +1,103 @@
+const {
+  findApplicableLists, resolvePrice, createPriceResolver, priceOverrideFlag, canOverridePrice
+} = require('../../src/services/pricing');
+
+const product = { id: 'p1', price: '100000.00' };
+
+const lists = {
+  customer: {
+    id: 'own', name: 'Finca El Recreo', isDefault: false, items: [{ productId: 'p1', minQuantity: 1, price: '88000.00' }]
+  },
+  group: {
+    id: 'wholesale',
+    name: 'Mayoristas',
+    isDefault: false,
+    items: [
+      { productId: 'p1', minQuantity: 1, price: '95000.00' },
+      { productId: 'p1', minQuantity: 10, price: '90000.00' },
+      { productId: 'p1', minQuantity: 50, price: '85000.00' }
+    ]
+  },
+  default: {
+    id: 'retail', name: 'Mostrador', isDefault: true, items: [{ productId: 'p2', minQuantity: 1, price: '5000.00' }]
+  }
+};
+
+const fakePrisma = (group = { id: 'group-1', isActive: true, priceListId: 'wholesale' }) => ({
+  customerGroup: { findUnique: jest.fn(async () => group) },
+  priceList: { findMany: jest.fn(async () => Object.values(lists)) }
+});
+
+describe('resolvePrice', () => {
+  it('uses the highest quantity break the line reaches', () => {
+    expect([1, 9, 10, 49, 50, 200].map((quantity) => resolvePrice([lists.group], product, quantity).price))
+      .toEqual([95000, 95000, 90000, 90000, 85000, 85000]);
+    expect(resolvePrice([lists.group], product, 12)).toEqual({
+      price: 90000, priceListId: 'wholesale', priceListName: 'Mayoristas', minQuantity: 10
+    });
+  });
+
+  it('falls back to the next list and then to the product price', () => {
+    expect(resolvePrice([lists.default, lists.group], product, 1).priceListId).toBe('wholesale');
+    expect(resolvePrice([lists.default], product, 1)).toEqual({
+      price: 100000, priceListId: null, priceListName: null, minQuantity: null
+    });
+  });
+});
+
+describe('findApplicableLists', () => {
+  it('orders the customer list, the group list and the default lists', async () => {
+    const applicable = await findApplicableLists(fakePrisma(), { groupId: 'group-1', priceListId: 'own' });
+    expect(applicable.map((list) => list.id)).toEqual(['own', 'wholesale', 'retail']);
+  });
+
+  it('skips inactive groups and uses only the default lists without a customer', async () => {
+    const inactive = await findApplicableLists(fakePrisma({ isActive: false, priceListId: 'wholesale' }), { groupId: 'group-1' });
+    expect(inactive.map((list) => list.id)).toEqual(['retail']);
+
+    const prisma = fakePrisma();
+    expect((await findApplicableLists(prisma, null)).map((list) => list.id)).toEqual(['retail']);
+    expect(prisma.customerGroup.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('asks only for active lists in force on the sale date', async () => {
+    const prisma = fakePrisma();
+    const date = new Date('2026-10-19T12:00:00Z');
+    await findApplicableLists(prisma, null, date);
+
+    expect(prisma.priceList.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: {
+        isActive: true,
+        AND: [
+          { OR: [{ validFrom: null }, { validFrom: { lte: date } }] },
+          { OR: [{ validTo: null }, { validTo: { gte: date } }] }
+        ]
+      }
+    }));
+  });
+});
+
+describe('createPriceResolver', () => {
+  it('gives a group customer the wholesale break for the quantity', async () => {
+    const priceFor = await createPriceResolver(fakePrisma(), { groupId: 'group-1' });
+
+    expect(priceFor(product, 60).price).toBe(85000);
+    expect(priceFor({ id: 'p2', price: 6000 }, 1).price).toBe(5000);
+  });
+});
+
+describe('price overrides', () => {
+  it('flags prices below cost before prices below the list', () => {
+    expect(priceOverrideFlag({ unitPrice: 69000, listPrice: 90000, cost: 70000 })).toBe('BELOW_COST');
+    expect(priceOverrideFlag({ unitPrice: 89999.999, listPrice: 90000, cost: 70000 })).toBeNull();
+    expect(priceOverrideFlag({ unitPrice: 80000, listPrice: 90000, cost: null })).toBe('BELOW_LIST');
+    expect(priceOverrideFlag({ unitPrice: 95000, listPrice: 90000, cost: 70000 })).toBeNull();
+  });
+
+  it('needs the sales:price-override permission', () => {
+    expect(canOverridePrice(['sales:create'])).toBe(false);
+    expect(canOverridePrice(['sales:price-override'])).toBe(true);
+    expect(canOverridePrice(['*'])).toBe(true);
+    expect(canOverridePrice(undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,160 @@
+const {
+  PromotionError, evaluatePromotion, applyPromotions, recordPromotionUses
+} = require('../../src/services/promotions');
+
+const promotion = (overrides) => ({
+  id: overrides.name,
+  type: 'PERCENTAGE',
+  value: 10,
+  products: [],
+  categoryId: null,
+  couponCode: null,
+  minSubtotal: null,
+  usageLimit: null,
+  usageCount: 0,
+  priority: 0,
+  stackable: false,
+  ...overrides
+});
+
+const line = (index, productId, quantity, unitPrice, categoryId = 'feed') => ({
+  index, productId, categoryId, quantity, net: quantity * unitPrice
+});
+
+describe('evaluatePromotion', () => {
+  it('discounts a percentage or an amount per unit of the lines in scope', () => {
+    const lines = [line(0, 'p1', 4, 50000), line(1, 'p2', 2, 10000, 'seeds')];
+
+    expect([...evaluatePromotion(promotion({ name: 'Diez', value: 10 }), lines)]).toEqual([[0, 20000], [1, 2000]]);
+    expect([...evaluatePromotion(promotion({ name: 'Semillas', type: 'AMOUNT', value: 3000, categoryId: 'seeds' }), lines)])
+      .toEqual([[1, 6000]]);
+    expect([...evaluatePromotion(promotion({ name: 'Todo', type: 'AMOUNT', value: 99999, products: [{ productId: 'p2' }] }), lines)])
+      .toEqual([[1, 20000]]);
+  });
+
+  it('gives getQuantity units of each complete set in a buy X get Y', () => {
+    const twoPlusOne = promotion({
+      name: '2x1', type: 'BUY_X_GET_Y', value: 100, buyQuantity: 2, getQuantity: 1, products: [{ productId: 'p1' }]
+    });
+
+    expect([...evaluatePromotion(twoPlusOne, [line(0, 'p1', 7, 10000)])]).toEqual([[0, 20000]]);
+    expect(evaluatePromotion(twoPlusOne, [line(0, 'p1', 2, 10000)]).size).toBe(0);
+  });
+
+  it('spreads a combo discount over its lines by their share of the regular price', () => {
+    const combo = promotion({
+      name: 'Combo siembra',
+      type: 'COMBO',
+      value: 100000,
+      products: [{ productId: 'p1', quantity: 1 }, { productId: 'p2', quantity: 2 }]
+    });
+
+    // Two combos: regular 2 x 60000 + 4 x 25000 = 220000 for 200000
+    expect([...evaluatePromotion(combo, [line(0, 'p1', 3, 60000), line(1, 'p2', 4, 25000)])])
+      .toEqual([[0, 10909.09], [1, 9090.91]]);
+    expect(evaluatePromotion(combo, [line(0, 'p1', 3, 60000)]).size).toBe(0);
+  });
+
+  it('needs the minimum subtotal of the lines in scope', () => {
+    const minimum = promotion({ name: 'Compra mínima', minSubtotal: '200000' });
+
+    expect(evaluatePromotion(minimum, [line(0, 'p1', 3, 50000)]).size).toBe(0);
+    expect(evaluatePromotion(minimum, [line(0, 'p1', 4, 50000)]).get(0)).toBe(20000);
+  });
+});
+
+describe('applyPromotions', () => {
+  const items = [
+    { productId: 'p1', categoryId: 'feed', quantity: 2, unitPrice: 50000 },
+    { productId: 'p2', categoryId: 'seeds', quantity: 1, unitPrice: 30000 },
+    { productId: 'p3', categoryId: 'feed', quantity: 1, unitPrice: 20000, eligible: false }
+  ];
+
+  it('applies the higher priority first and keeps non-stackable promotions exclusive per line', () => {
+    const { lines, coupon } = applyPromotions([
+      promotion({ name: 'Diez', value: 10 }),
+      promotion({
+        name: 'Concentrado', type: 'AMOUNT', value: 5000, priority: 1, products: [{ productId: 'p1' }]
+      })
+    ], items);
+
+    expect(lines).toEqual([
+      { discount: 10000, promotions: [{ promotionId: 'Concentrado', name: 'Concentrado', amount: 10000 }] },
+      { discount: 3000, promotions: [{ promotionId: 'Diez', name: 'Diez', amount: 3000 }] },
+      { discount: 0, promotions: [] }
+    ]);
+    expect(coupon).toBeNull();
+  });
+
+  it('stacks stackable promotions on what the previous ones left', () => {
+    const { lines } = applyPromotions([
+      promotion({ name: 'Temporada', value: 5, categoryId: 'feed', stackable: true }),
+      promotion({
+        name: 'Aniversario', value: 10, priority: 2, stackable: true
+      })
+    ], items);
+
+    expect(lines[0]).toEqual({
+      discount: 14500,
+      promotions: [
+        { promotionId: 'Aniversario', name: 'Aniversario', amount: 10000 },
+        { promotionId: 'Temporada', name: 'Temporada', amount: 4500 }
+      ]
+    });
+  });
+
+  it('applies coupon promotions only with their code', () => {
+    const summer = promotion({
+      name: 'Verano', value: 20, couponCode: 'VERANO', products: [{ productId: 'p2' }]
+    });
+
+    expect(applyPromotions([summer], items).lines[1].discount).toBe(0);
+
+    const { lines, coupon } = applyPromotions([summer], items, ' verano ');
+    expect(lines[1].discount).toBe(6000);
+    expect(coupon).toBe(summer);
+  });
+
+  it('rejects unknown, exhausted and inapplicable coupons', () => {
+    const coupons = [
+      promotion({ name: 'Agotado', couponCode: 'AGOTADO', usageLimit: 10, usageCount: 10 }),
+      promotion({ name: 'Riego', couponCode: 'RIEGO', products: [{ productId: 'p9' }] })
+    ];
+
+    expect(() => applyPromotions(coupons, items, 'NOEXISTE')).toThrow(expect.objectContaining({ code: 'INVALID_COUPON' }));
+    expect(() => applyPromotions(coupons, items, 'agotado'))
+      .toThrow(expect.objectContaining({ code: 'COUPON_EXHAUSTED', statusCode: 409 }));
+    expect(() => applyPromotions(coupons, items, 'RIEGO')).toThrow(PromotionError);
+    expect(() => applyPromotions(coupons, items, 'RIEGO')).toThrow('does not apply to the products of this sale');
+  });
+});
+
+describe('recordPromotionUses', () => {
+  const usageLimit = { name: 'usageLimit' };
+  const fakeTx = (counts) => {
+    const updateMany = jest.fn();
+    counts.forEach((count) => updateMany.mockResolvedValueOnce({ count }));
+    return { promotion: { fields: { usageLimit }, updateMany } };
+  };
+  const coupon = promotion({ name: 'Verano', couponCode: 'VERANO', usageLimit: 10 });
+
+  it('counts each use only while the promotion is under its limit', async () => {
+    const tx = fakeTx([1, 1]);
+
+    await recordPromotionUses(tx, [{ promotionId: 'Verano', name: 'Verano' }, { promotionId: 'Cosecha', name: 'Cosecha' }], coupon);
+
+    expect(tx.promotion.updateMany).toHaveBeenCalledTimes(2);
+    expect(tx.promotion.updateMany).toHaveBeenCalledWith({
+      where: { id: 'Verano', OR: [{ usageLimit: null }, { usageCount: { lt: usageLimit } }] },
+      data: { usageCount: { increment: 1 } }
+    });
+  });
+
+  it('fails when a concurrent sale used up the coupon or the promotion', async () => {
+    await expect(recordPromotionUses(fakeTx([0]), [{ promotionId: 'Verano', name: 'Verano' }], coupon))
+      .rejects.toMatchObject({ code: 'COUPON_EXHAUSTED', statusCode: 409 });
+    await expect(recordPromotionUses(fakeTx([1, 0]), [
+      { promotionId: 'Verano', name: 'Verano' }, { promotionId: 'Cosecha', name: 'Cosecha' }
+    ], coupon)).rejects.toThrow('Promotion Cosecha has reached its usage limit');
+  });
+});
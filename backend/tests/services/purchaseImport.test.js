@@ -0,0 +1,143 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const {
+  PurchaseImportError, importSupplierInvoice, resolveImportLine, discardImportLine
+} = require('../../src/services/purchaseImport');
+const { calculateInvoiceTotals, buildInvoiceXml } = require('../../src/services/dian/ubl');
+const { dianConfig, dianSettings } = require('../helpers/dian');
+
+const company = dianConfig();
+const supplier = {
+  id: 'supplier-1', name: 'Agroinsumos del Sur SAS', taxId: '901234567-1', taxRegime: 'RESPONSABLE_IVA'
+};
+
+/**
+ * Electronic invoice issued by the supplier to this company
+ */
+const supplierInvoiceXml = () => buildInvoiceXml({
+  invoiceNumber: 'FV1500',
+  issueDate: new Date('2026-10-15T15:00:00Z'),
+  config: dianConfig({ companyName: supplier.name, taxId: supplier.taxId, prefix: 'FV' }),
+  settings: dianSettings(),
+  customer: { taxId: company.taxId, documentType: '31', name: company.companyName },
+  paymentMethod: 'credit',
+  totals: calculateInvoiceTotals([
+    { product: { code: 'AGS-100', barcode: '7701234567890', name: 'Concentrado 40 kg' }, quantity: 10, unitPrice: 80000, taxCode: '01', taxPercent: 5 },
+    { product: { code: 'AGS-200', name: 'Cal agrícola' }, quantity: 4, unitPrice: 12000, taxCode: null, taxPercent: 0 },
+    { product: { code: 'AGS-300', name: 'Melaza (litros)' }, quantity: 2.5, unitPrice: 6000, taxCode: null, taxPercent: 0 }
+  ]),
+  cufe: 'f'.repeat(96)
+});
+
+const fakePrisma = ({ existing = null, mappings = {}, products = {} } = {}) => ({
+  dianConfig: { findFirst: jest.fn(async () => company) },
+  supplier: { findFirst: jest.fn(async ({ where }) => (where.OR.some((condition) => condition.taxId && condition.taxId.startsWith === '901234567-') ? supplier : null)) },
+  purchase: {
+    findUnique: jest.fn(async () => existing),
+    create: jest.fn(async ({ data }) => ({
+      id: 'purchase-1', ...data, items: data.items.create, importLines: data.importLines.create, withholdings: data.withholdings.create
+    }))
+  },
+  supplierProductCode: { findUnique: jest.fn(async ({ where }) => mappings[where.supplierId_supplierCode.supplierCode] || null) },
+  product: {
+    findFirst: jest.fn(async ({ where }) => {
+      const codes = where.OR[0].barcode.in;
+      const id = codes.map((code) => products[code]).find(Boolean);
+      return id ? { id } : null;
+    })
+  },
+  withholdingRule: { findMany: jest.fn(async () => []) }
+});
+
+describe('importSupplierInvoice', () => {
+  it('creates a draft purchase and sends the lines without a product to review', async () => {
+    const prisma = fakePrisma({
+      mappings: { 'AGS-300': { productId: 'melaza' } },
+      products: { 7701234567890: 'concentrado' }
+    });
+
+    const result = await importSupplierInvoice(prisma, { buffer: Buffer.from(supplierInvoiceXml()), fileName: 'FV1500.xml' }, 'user-1');
+
+    expect(result.matched).toBe(1);
+    expect(result.dianValidation).toBeNull();
+    expect(result.purchase).toMatchObject({
+      invoiceNumber: 'FV1500', invoiceCufe: 'f'.repeat(96), supplierId: 'supplier-1', status: 'draft', subtotal: 863000, tax: 40000, total: 903000
+    });
+    expect(result.purchase.items).toEqual([expect.objectContaining({
+      productId: 'concentrado', quantity: 10, unitCost: 80000, taxCode: '01', taxPercent: 5, taxAmount: 40000
+    })]);
+    expect(result.pendingLines).toEqual([
+      expect.objectContaining({ supplierCode: 'AGS-200', reason: 'PRODUCT_NOT_FOUND', productId: null, quantity: 4 }),
+      expect.objectContaining({ supplierCode: 'AGS-300', reason: 'FRACTIONAL_QUANTITY', productId: 'melaza', quantity: 2.5 })
+    ]);
+  });
+
+  it('rejects invoices already imported or from unknown suppliers', async () => {
+    const file = { buffer: Buffer.from(supplierInvoiceXml()), fileName: 'FV1500.xml' };
+
+    await expect(importSupplierInvoice(fakePrisma({ existing: { id: 'purchase-9', orderNumber: 'PO-9' } }), file, 'user-1'))
+      .rejects.toMatchObject({ code: 'INVOICE_ALREADY_IMPORTED', statusCode: 409, details: { purchaseId: 'purchase-9' } });
+
+    const prisma = fakePrisma();
+    prisma.supplier.findFirst.mockResolvedValueOnce(null);
+    await expect(importSupplierInvoice(prisma, file, 'user-1'))
+      .rejects.toMatchObject({ code: 'SUPPLIER_NOT_FOUND', details: { nit: '901234567' } });
+
+    prisma.dianConfig.findFirst.mockResolvedValueOnce(dianConfig({ taxId: '811111111-1' }));
+    await expect(importSupplierInvoice(prisma, file, 'user-1')).rejects.toThrow(PurchaseImportError);
+  });
+});
+
+describe('reviewing import lines', () => {
+  const pendingLine = (overrides = {}) => ({
+    id: 'line-1',
+    purchaseId: 'purchase-1',
+    status: 'pending',
+    supplierCode: 'AGS-300',
+    quantity: 2.5,
+    total: 15000,
+    taxCode: null,
+    taxPercent: 0,
+    taxAmount: 0,
+    purchase: { status: 'draft', supplierId: 'supplier-1' },
+    ...overrides
+  });
+
+  const fakeReviewPrisma = (line) => {
+    const prisma = {
+      purchaseImportLine: {
+        findUnique: jest.fn(async () => line),
+        update: jest.fn(async ({ data }) => ({ ...line, ...data }))
+      },
+      product: { findUnique: jest.fn(async ({ where }) => ({ id: where.id })) },
+      purchaseItem: { create: jest.fn(async ({ data }) => ({ id: 'item-1', ...data })) },
+      supplierProductCode: { upsert: jest.fn(async () => ({})) }
+    };
+    prisma.$transaction = jest.fn((callback) => callback(prisma));
+    return prisma;
+  };
+
+  it('needs whole units for a fractional line and remembers the supplier code', async () => {
+    const prisma = fakeReviewPrisma(pendingLine());
+
+    await expect(resolveImportLine(prisma, 'line-1', { productId: 'melaza' }, 'user-1'))
+      .rejects.toMatchObject({ code: 'QUANTITY_REQUIRED' });
+
+    const { line, item } = await resolveImportLine(prisma, 'line-1', { productId: 'melaza', quantity: 3 }, 'user-1');
+
+    expect(item).toMatchObject({ productId: 'melaza', quantity: 3, unitCost: 5000, total: 15000 });
+    expect(line).toMatchObject({ status: 'resolved', productId: 'melaza', resolvedById: 'user-1' });
+    expect(prisma.supplierProductCode.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      create: { supplierId: 'supplier-1', supplierCode: 'AGS-300', productId: 'melaza' }
+    }));
+  });
+
+  it('only reviews pending lines of draft purchases', async () => {
+    await expect(discardImportLine(fakeReviewPrisma(pendingLine({ status: 'resolved' })), 'line-1', 'user-1'))
+      .rejects.toMatchObject({ code: 'IMPORT_LINE_REVIEWED', statusCode: 409 });
+    await expect(discardImportLine(fakeReviewPrisma(pendingLine({ purchase: { status: 'received' } })), 'line-1', 'user-1'))
+      .rejects.toMatchObject({ code: 'PURCHASE_NOT_DRAFT' });
+    await expect(discardImportLine(fakeReviewPrisma(pendingLine()), 'line-1', 'user-1'))
+      .resolves.toMatchObject({ status: 'discarded', resolvedById: 'user-1' });
+  });
+});
@@ -0,0 +1,182 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/services/sales', () => ({
+  createSale: jest.fn(async (prisma, data) => ({ id: 'sale-1', invoiceNumber: 'SETP990000010', ...data }))
+}));
+
+const {
+  createQuotation, checkQuotation, convertQuotation
+} = require('../../src/services/quotations');
+const { createSale } = require('../../src/services/sales');
+const { documentSequenceStore } = require('../helpers/documentSequences');
+
+const iva5 = { type: 'IVA', rate: '5.00' };
+const products = {
+  p1: {
+    id: 'p1', name: 'Concentrado 40 kg', price: '100000.00', stock: 10, taxClass: iva5, category: null
+  },
+  // Excluded goods carry no IVA
+  p2: {
+    id: 'p2', name: 'Semilla de maíz', price: '50000.00', stock: 3, taxClass: { type: 'EXCLUDED', rate: 0 }, category: null
+  }
+};
+
+const wholesale = (price = '90000.00') => ({
+  id: 'list-1',
+  name: 'Mayoristas',
+  isDefault: false,
+  items: [{ productId: 'p1', minQuantity: 1, price }, { productId: 'p1', minQuantity: 10, price: '85000.00' }]
+});
+
+const fakePrisma = ({ reserved = [], quotation = null, listPrice } = {}) => {
+  const prisma = {
+    customer: { findUnique: jest.fn(async () => ({ id: 'customer-1', name: 'Cooperativa del Huila', email: 'compras@coop.co', priceListId: 'list-1' })) },
+    customerGroup: { findUnique: jest.fn(async () => null) },
+    priceList: { findMany: jest.fn(async () => [wholesale(listPrice)]) },
+    product: { findUnique: jest.fn(async ({ where }) => products[where.id] || null) },
+    parkedSaleItem: { findMany: jest.fn(async () => reserved) },
+    layawayItem: { findMany: jest.fn(async () => []) },
+    documentSequence: documentSequenceStore({ quotation: 41 }).delegate,
+    quotation: {
+      findFirst: jest.fn(async () => null),
+      create: jest.fn(async ({ data }) => ({ id: 'quotation-1', status: 'draft', ...data, items: data.items.create })),
+      updateMany: jest.fn(async () => ({ count: 0 })),
+      findUnique: jest.fn(async () => quotation),
+      update: jest.fn(async ({ data }) => ({ ...quotation, ...data }))
+    }
+  };
+  prisma.$transaction = jest.fn((callback) => callback(prisma));
+  return prisma;
+};
+
+const quoted = (overrides = {}) => ({
+  id: 'quotation-1',
+  quoteNumber: 'COT-000042',
+  status: 'sent',
+  saleId: null,
+  customerId: 'customer-1',
+  customerName: 'Cooperativa del Huila',
+  customer: { id: 'customer-1', priceListId: 'list-1' },
+  validUntil: new Date('2026-11-01T00:00:00Z'),
+  items: [
+    {
+      productId: 'p1', product: products.p1, quantity: 4, unitPrice: '90000.00', listPrice: '90000.00'
+    },
+    {
+      productId: 'p2', product: products.p2, quantity: 2, unitPrice: '50000.00', listPrice: '50000.00'
+    }
+  ],
+  ...overrides
+});
+
+describe('createQuotation', () => {
+  it('prices the lines with the customer list and the tax class of each product', async () => {
+    const quotation = await createQuotation(fakePrisma(), {
+      customerId: 'customer-1',
+      items: [{ productId: 'p1', quantity: 10 }, { productId: 'p2', quantity: 1, unitPrice: 48000 }]
+    }, 'user-1');
+
+    expect(quotation).toMatchObject({
+      quoteNumber: 'COT-000042', customerName: 'Cooperativa del Huila', customerEmail: 'compras@coop.co', subtotal: 898000, taxAmount: 42500, totalAmount: 940500
+    });
+    expect(quotation.items).toEqual([
+      expect.objectContaining({
+        productId: 'p1', unitPrice: 85000, listPrice: 85000, totalPrice: 850000, taxCode: '01', taxPercent: 5, taxAmount: 42500
+      }),
+      expect.objectContaining({
+        productId: 'p2', unitPrice: 48000, listPrice: 50000, taxCode: null, taxAmount: 0
+      })
+    ]);
+  });
+
+  it('numbers the first quotation after the highest number issued, even with deleted drafts in between', async () => {
+    const prisma = fakePrisma();
+    prisma.documentSequence = documentSequenceStore().delegate;
+    prisma.quotation.findFirst.mockResolvedValueOnce({ quoteNumber: 'COT-000117' });
+
+    const first = await createQuotation(prisma, { items: [{ productId: 'p2', quantity: 1 }] }, 'user-1');
+    const second = await createQuotation(prisma, { items: [{ productId: 'p2', quantity: 1 }] }, 'user-1');
+
+    expect([first.quoteNumber, second.quoteNumber]).toEqual(['COT-000118', 'COT-000119']);
+    expect(prisma.quotation.findFirst).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('checkQuotation', () => {
+  it('flags the lines short of unreserved stock or with a new list price', async () => {
+    const lines = await checkQuotation(fakePrisma({ reserved: [{ productId: 'p2', quantity: 2 }], listPrice: '92000.00' }), quoted());
+
+    expect(lines).toEqual([
+      expect.objectContaining({
+        productId: 'p1', quotedPrice: 90000, quotedListPrice: 90000, currentPrice: 92000, priceChanged: true, insufficientStock: false
+      }),
+      expect.objectContaining({
+        productId: 'p2', stock: 3, reserved: 2, priceChanged: false, insufficientStock: true
+      })
+    ]);
+  });
+});
+
+describe('checkQuotation with negotiated prices', () => {
+  it('compares the list price stored at quoting time, not the negotiated price', async () => {
+    const negotiated = quoted({
+      items: [
+        {
+          productId: 'p1', product: products.p1, quantity: 4, unitPrice: '82000.00', listPrice: '90000.00'
+        },
+        // Quoted before list prices were stored: the quoted price is all there is
+        { productId: 'p2', product: products.p2, quantity: 1, unitPrice: '45000.00', listPrice: null }
+      ]
+    });
+
+    const lines = await checkQuotation(fakePrisma(), negotiated);
+
+    expect(lines).toEqual([
+      expect.objectContaining({
+        productId: 'p1', quotedPrice: 82000, quotedListPrice: 90000, currentPrice: 90000, priceChanged: false
+      }),
+      expect.objectContaining({
+        productId: 'p2', quotedPrice: 45000, quotedListPrice: 45000, currentPrice: 50000, priceChanged: true
+      })
+    ]);
+  });
+});
+
+describe('convertQuotation', () => {
+  beforeEach(() => {
+    createSale.mockClear();
+  });
+
+  it('creates the sale at the quoted prices, claiming the quotation within it', async () => {
+    const prisma = fakePrisma({ quotation: quoted() });
+    prisma.quotation.findUnique
+      .mockResolvedValueOnce(quoted())
+      .mockResolvedValueOnce(quoted({ status: 'accepted', saleId: 'sale-1' }));
+
+    const { quotation, sale } = await convertQuotation(prisma, 'quotation-1', { paymentMethod: 'CASH' }, 'user-1', ['sales:create']);
+
+    expect(createSale).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      customerId: 'customer-1',
+      paymentMethod: 'CASH',
+      items: [{ productId: 'p1', quantity: 4, unitPrice: 90000 }, { productId: 'p2', quantity: 2, unitPrice: 50000 }],
+      notes: 'Cotización COT-000042',
+      quotationId: 'quotation-1'
+    }), 'user-1', ['sales:create']);
+    expect(quotation).toMatchObject({ status: 'accepted', saleId: sale.id });
+    expect(prisma.quotation.update).not.toHaveBeenCalled();
+  });
+
+  it('asks before selling at changed prices and refuses closed quotations', async () => {
+    await expect(convertQuotation(fakePrisma({ quotation: quoted(), listPrice: '95000.00' }), 'quotation-1', { paymentMethod: 'CASH' }, 'user-1'))
+      .rejects.toMatchObject({ code: 'PRICES_CHANGED', statusCode: 409 });
+
+    await convertQuotation(fakePrisma({ quotation: quoted(), listPrice: '95000.00' }), 'quotation-1', { paymentMethod: 'CASH', acceptPriceChanges: true }, 'user-1');
+    expect(createSale.mock.calls[0][1].items[0].unitPrice).toBe(90000);
+
+    await expect(convertQuotation(fakePrisma({ quotation: quoted({ status: 'expired' }) }), 'quotation-1', { paymentMethod: 'CASH' }, 'user-1'))
+      .rejects.toMatchObject({ code: 'QUOTATION_EXPIRED' });
+    await expect(convertQuotation(fakePrisma({ quotation: quoted({ saleId: 'sale-0', sale: { invoiceNumber: 'SETP1' } }) }), 'quotation-1', { paymentMethod: 'CASH' }, 'user-1'))
+      .rejects.toMatchObject({ code: 'QUOTATION_CONVERTED' });
+    await expect(convertQuotation(fakePrisma({ quotation: null }), 'missing', { paymentMethod: 'CASH' }, 'user-1'))
+      .rejects.toMatchObject({ code: 'QUOTATION_NOT_FOUND', statusCode: 404 });
+  });
+});
@@ -0,0 +1,47 @@
+const { renderEscPos } = require('../../../src/services/receipts/escpos');
+const { loadReceiptTemplate } = require('../../../src/services/receipts/receipt');
+
+const receipt = (lines, escpos = {}) => {
+  const template = loadReceiptTemplate('');
+  return { template: { ...template, escpos: { ...template.escpos, ...escpos } }, lines };
+};
+
+const indexOfBytes = (buffer, bytes) => buffer.indexOf(Buffer.from(bytes));
+
+describe('renderEscPos', () => {
+  it('initializes the printer on code page PC850 and feeds and cuts at the end', () => {
+    const bytes = renderEscPos(receipt([{ text: 'Hola' }]));
+
+    expect([...bytes.subarray(0, 4)]).toEqual([0x1b, 0x40, 0x1b, 0x74]);
+    expect(bytes[4]).toBe(2);
+    expect(indexOfBytes(bytes, [0x48, 0x6f, 0x6c, 0x61, 0x0a])).toBe(5);
+    expect([...bytes.subarray(-6)]).toEqual([0x1b, 0x64, 4, 0x1d, 0x56, 0x01]);
+    expect(indexOfBytes(bytes, [0x1b, 0x70])).toBe(-1);
+  });
+
+  it('encodes Spanish characters in PC850, prints no-break spaces as spaces and trims the line', () => {
+    const bytes = renderEscPos(receipt([{ text: '¡Año ÑÚ! $ 1.000 ç €   ' }]));
+
+    expect(indexOfBytes(bytes, [0xad, 0x41, 0xa4, 0x6f, 0x20, 0xa5, 0xe9, 0x21, 0x20, 0x24, 0x20, 0x31, 0x2e, 0x30, 0x30, 0x30, 0x20,
+      0x63, 0x20, 0x3f, 0x0a])).toBe(5);
+  });
+
+  it('switches bold only when it changes and turns it off at the end', () => {
+    const bytes = renderEscPos(receipt([{ text: 'A', bold: true }, { text: 'B', bold: true }, { text: 'C' }, { text: 'D', bold: true }]));
+
+    expect(indexOfBytes(bytes, [0x1b, 0x45, 1, 0x41, 0x0a, 0x42, 0x0a, 0x1b, 0x45, 0, 0x43, 0x0a, 0x1b, 0x45, 1, 0x44, 0x0a, 0x1b, 0x45, 0]))
+      .toBe(5);
+  });
+
+  it('prints the QR code centered with its data length and opens the drawer when configured', () => {
+    const data = 'x'.repeat(300);
+    const bytes = renderEscPos(receipt([{ qr: data }], { cut: false, openDrawer: true }));
+
+    expect(indexOfBytes(bytes, [0x1b, 0x61, 0x01, 0x1d, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00])).toBe(5);
+    expect(indexOfBytes(bytes, [0x1d, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 5])).toBeGreaterThan(-1);
+    const store = indexOfBytes(bytes, [0x1d, 0x28, 0x6b, 303 & 0xff, 303 >> 8, 0x31, 0x50, 0x30]);
+    expect(bytes.subarray(store + 8, store + 308).toString()).toBe(data);
+    expect(indexOfBytes(bytes, [0x1d, 0x56, 0x01])).toBe(-1);
+    expect([...bytes.subarray(-5)]).toEqual([0x1b, 0x70, 0x00, 0x19, 0xfa]);
+  });
+});
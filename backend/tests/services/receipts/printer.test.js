@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolvePrinter, sendToPrinter, printSaleReceipt } = require('../../../src/services/receipts/printer');
+const { dianConfig } = require('../../helpers/dian');
+
+const env = { ...process.env };
+let spoolDir;
+
+beforeAll(() => {
+  spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+});
+
+afterAll(() => {
+  fs.rmSync(spoolDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  process.env = { ...env };
+});
+
+describe('resolvePrinter', () => {
+  it('uses the printer of the register or the default one', () => {
+    process.env.RECEIPT_PRINTERS = 'CAJA1=tcp://192.168.1.50, CAJA2=file:/dev/usb/lp0?width=58';
+    process.env.RECEIPT_PRINTER = 'tcp://10.0.0.9:9101';
+
+    expect(resolvePrinter('CAJA1')).toEqual({
+      target: 'tcp://192.168.1.50', protocol: 'tcp', host: '192.168.1.50', port: 9100, width: undefined
+    });
+    expect(resolvePrinter('CAJA2')).toEqual({
+      target: 'file:/dev/usb/lp0?width=58', protocol: 'file', path: '/dev/usb/lp0', width: '58'
+    });
+    expect(resolvePrinter('CAJA3')).toMatchObject({ host: '10.0.0.9', port: 9101 });
+  });
+
+  it('refuses registers without a printer and unsupported targets', () => {
+    process.env.RECEIPT_PRINTERS = 'CAJA1=http://192.168.1.50,CAJA2=not a url';
+    delete process.env.RECEIPT_PRINTER;
+
+    expect(() => resolvePrinter('CAJA3')).toThrow(expect.objectContaining({ code: 'PRINTER_NOT_CONFIGURED', statusCode: 409 }));
+    expect(() => resolvePrinter('CAJA1')).toThrow('must be tcp:// or file:');
+    expect(() => resolvePrinter('CAJA2')).toThrow('Invalid receipt printer target');
+  });
+});
+
+describe('sendToPrinter', () => {
+  it('appends to a spool file and reports an unreachable printer as unavailable', async () => {
+    const spool = path.join(spoolDir, 'spool.bin');
+
+    await sendToPrinter({ protocol: 'file', path: spool, target: `file:${spool}` }, Buffer.from('A'));
+    await sendToPrinter({ protocol: 'file', path: spool, target: `file:${spool}` }, Buffer.from('B'));
+
+    expect(fs.readFileSync(spool, 'utf8')).toBe('AB');
+    await expect(sendToPrinter({ protocol: 'file', path: path.join(spoolDir, 'missing', 'lp0'), target: 'file:lp0' }, Buffer.from('A')))
+      .rejects.toMatchObject({ code: 'PRINTER_UNAVAILABLE', statusCode: 502 });
+  });
+});
+
+describe('printSaleReceipt', () => {
+  const sale = {
+    id: 'sale-1',
+    invoiceNumber: 'POS100',
+    createdAt: new Date('2026-10-19T15:30:00Z'),
+    cashSession: { register: 'CAJA2' },
+    dianConfig: null,
+    items: [{
+      productId: 'p1', product: { name: 'Semilla de maíz' }, quantity: 1, unitPrice: 50000, totalPrice: 50000
+    }],
+    subtotal: 50000,
+    totalAmount: 50000,
+    payments: [{ method: 'cash', amount: 50000 }],
+    dianInvoices: []
+  };
+  const prisma = {
+    sale: { findUnique: jest.fn(async ({ where }) => (where.id === 'sale-1' ? sale : null)) },
+    dianConfig: { findFirst: jest.fn(async () => dianConfig()) }
+  };
+
+  it('prints on the printer of the sale register at its paper width', async () => {
+    const spool = path.join(spoolDir, 'caja2.bin');
+    process.env.RECEIPT_PRINTERS = `CAJA1=tcp://192.168.1.50,CAJA2=file:${spool}?width=58`;
+
+    const result = await printSaleReceipt(prisma, 'sale-1');
+
+    const bytes = fs.readFileSync(spool);
+    expect(result).toEqual({ printer: 'CAJA2', width: '58', bytes: bytes.length });
+    expect(bytes.toString('latin1')).toContain('Agropecuaria La Suaza SAS');
+    expect(bytes.toString('latin1')).toContain('-'.repeat(32));
+    expect(bytes.toString('latin1')).not.toContain('-'.repeat(33));
+  });
+
+  it('only prints on configured printers and existing sales', async () => {
+    process.env.RECEIPT_PRINTERS = 'CAJA1=tcp://192.168.1.50';
+
+    await expect(printSaleReceipt(prisma, 'sale-1', { printer: '../../etc/passwd' }))
+      .rejects.toMatchObject({ code: 'PRINTER_NOT_CONFIGURED' });
+    await expect(printSaleReceipt(prisma, 'sale-1')).rejects.toMatchObject({ code: 'PRINTER_NOT_CONFIGURED' });
+    await expect(printSaleReceipt(prisma, 'sale-9', { printer: 'CAJA1' })).rejects.toMatchObject({ code: 'SALE_NOT_FOUND', statusCode: 404 });
+  });
+});
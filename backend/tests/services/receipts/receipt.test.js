@@ -0,0 +1,155 @@
+const { buildReceipt, loadReceiptTemplate } = require('../../../src/services/receipts/receipt');
+const { formatMoney } = require('../../../src/services/dian/pdf');
+const { dianConfig } = require('../../helpers/dian');
+
+const QR_DATA = 'NumFac: SETP990000001\nhttps://catalogo-vpfe-hab.dian.gov.co/document/searchqr?documentkey=abc123';
+
+/**
+ * Invoiced sale of two lines, paid part by card and part in cash with change, the rest on credit
+ */
+const saleFixture = (overrides = {}) => ({
+  id: 'sale-1',
+  invoiceNumber: 'SETP990000001',
+  status: 'COMPLETED',
+  createdAt: new Date('2026-10-19T15:30:00Z'),
+  customer: {
+    name: 'Cooperativa del Huila', taxId: '800199436-5', documentType: '31'
+  },
+  user: { firstName: 'Ana', lastName: 'Muñoz', username: 'amunoz' },
+  cashSession: { register: 'CAJA1' },
+  dianConfig: dianConfig(),
+  items: [
+    {
+      productId: 'p1',
+      product: { code: 'CONC-40', name: 'Concentrado para ganado de leche 40 kg' },
+      quantity: 1,
+      unitPrice: 100000,
+      totalPrice: 100000,
+      taxCode: '01',
+      taxPercent: 19,
+      taxAmount: 19000
+    },
+    {
+      productId: 'p2',
+      product: { code: 'SEM-01', name: 'Semilla de maíz' },
+      quantity: 2,
+      unitPrice: 5000,
+      totalPrice: 10000,
+      taxCode: null,
+      taxPercent: 0,
+      taxAmount: 0
+    }
+  ],
+  subtotal: 110000,
+  discount: 0,
+  totalAmount: 129000,
+  withholdingTotal: 0,
+  withholdings: [],
+  payments: [
+    {
+      method: 'card', amount: 70000, changeDue: 0, reference: 'VOUCHER-123'
+    },
+    { method: 'cash', amount: 30000, changeDue: 20000 }
+  ],
+  dianInvoices: [
+    { status: 'rejected', cufe: 'b'.repeat(96), qrData: null },
+    { status: 'accepted', cufe: 'c'.repeat(96), qrData: QR_DATA }
+  ],
+  layaway: null,
+  notes: null,
+  ...overrides
+});
+
+const texts = (receipt) => receipt.lines.filter((line) => !line.qr).map((line) => line.text);
+
+describe('buildReceipt', () => {
+  it('lays out an electronic invoice on 80 mm paper with its CUFE and QR code', () => {
+    const receipt = buildReceipt(saleFixture());
+    const lines = texts(receipt);
+
+    expect(receipt).toMatchObject({ width: '80', columns: 48, title: 'FACTURA ELECTRÓNICA DE VENTA' });
+    expect(lines.every((text) => text.length <= 48)).toBe(true);
+    expect(receipt.lines[0]).toEqual({ text: expect.stringContaining('Agropecuaria La Suaza SAS'), bold: true });
+    expect(lines).toContain(`${'NIT 900123456-8'.padStart(31)}`);
+    expect(lines).toContain(`Caja${'CAJA1'.padStart(44)}`);
+    expect(lines).toContain(`NIT${'800199436-5'.padStart(45)}`);
+    expect(lines).toContain('CONC-40 Concentrado para ganado de leche 40 kg');
+    expect(lines).toContain(`IVA 19%${formatMoney(19000).padStart(41)}`);
+    expect(lines).toContain(`Tarjeta${formatMoney(70000).padStart(41)}`);
+    expect(lines).toContain('  Ref. VOUCHER-123');
+    expect(lines).toContain(`Efectivo${formatMoney(50000).padStart(40)}`);
+    expect(lines).toContain(`Cambio${formatMoney(20000).padStart(42)}`);
+    expect(lines).toContain(`Saldo a crédito${formatMoney(29000).padStart(33)}`);
+    expect(lines).toEqual(expect.arrayContaining(['c'.repeat(48), 'c'.repeat(48)]));
+    expect(lines).not.toContain('b'.repeat(48));
+    expect(receipt.lines).toContainEqual({ qr: QR_DATA });
+    expect(lines.join('').replace(/\s/g, '')).toContain('https://catalogo-vpfe-hab.dian.gov.co/document/searchqr?documentkey=abc123');
+  });
+
+  it('wraps to 32 columns on 58 mm paper, moving amounts that do not fit next to their label', () => {
+    const receipt = buildReceipt(saleFixture({
+      items: [{
+        ...saleFixture().items[0], quantity: 1000, unitPrice: 1000000, totalPrice: 1000000000
+      }]
+    }), { width: 58 });
+    const lines = texts(receipt);
+
+    expect(receipt).toMatchObject({ width: '58', columns: 32 });
+    expect(lines.every((text) => text.length <= 32)).toBe(true);
+    // Wrapped labels lose the no-break space of the currency format
+    const label = lines.indexOf(`  1000 x ${formatMoney(1000000).replace(/\s/g, ' ')}`);
+    expect(label).toBeGreaterThan(-1);
+    expect(lines[label + 1]).toBe(formatMoney(1000000000).padStart(32));
+  });
+
+  it('prints a plain ticket without company data, CUFE or the invoice footer', () => {
+    const receipt = buildReceipt(saleFixture({
+      dianConfig: null,
+      dianInvoices: [],
+      customer: null,
+      customerName: null,
+      status: 'CANCELLED',
+      payments: [{ method: 'cash', amount: 129000, changeDue: 0 }]
+    }));
+    const lines = texts(receipt);
+
+    expect(receipt.title).toBe('COMPROBANTE DE VENTA');
+    expect(lines.some((text) => text.includes('Agropecuaria'))).toBe(false);
+    expect(lines.some((text) => text.includes('Resolución DIAN'))).toBe(false);
+    expect(lines).toContain(`Cliente${'Cliente general'.padStart(41)}`);
+    expect(lines.some((text) => text.includes('*** VENTA ANULADA ***'))).toBe(true);
+    expect(lines.some((text) => text.includes('Representación gráfica'))).toBe(false);
+    expect(lines.some((text) => text.includes('¡Gracias por su compra!'))).toBe(true);
+    expect(lines.some((text) => /CUFE|Cambio|Saldo a crédito/.test(text))).toBe(false);
+    expect(receipt.lines.some((line) => line.qr)).toBe(false);
+  });
+
+  it('shows the withholdings, the layaway deposits and the layaway excess handed back', () => {
+    const lines = texts(buildReceipt(saleFixture({
+      withholdingTotal: 2750,
+      withholdings: [{ type: 'RETEFUENTE', rate: 2.5, amount: 2750 }],
+      payments: [
+        { method: 'cash', amount: 100000, layawayId: 'layaway-1' },
+        { method: 'card', amount: 31250, layawayId: 'layaway-1' }
+      ],
+      layaway: { layawayNumber: 'SEP-000042', refundAmount: 5000 }
+    })));
+
+    expect(lines).toContain(`ReteRenta 2.5%${`-${formatMoney(2750)}`.padStart(34)}`);
+    expect(lines).toContain(`Neto a pagar${formatMoney(126250).padStart(36)}`);
+    expect(lines).toContain(`Abono plan separe - Efectivo${formatMoney(100000).padStart(20)}`);
+    expect(lines).toContain(`Cambio${formatMoney(5000).padStart(42)}`);
+    expect(lines.some((text) => text.startsWith('Saldo a crédito'))).toBe(false);
+    expect(lines).toContain('Plan separe SEP-000042');
+  });
+
+  it('refuses paper widths the template does not define', () => {
+    expect(() => buildReceipt(saleFixture(), { width: 72 })).toThrow(expect.objectContaining({ code: 'INVALID_PAPER_WIDTH' }));
+  });
+});
+
+describe('loadReceiptTemplate', () => {
+  it('defaults to 80 mm paper', () => {
+    expect(loadReceiptTemplate('')).toMatchObject({ defaultWidth: 80, paper: { 58: { columns: 32 }, 80: { columns: 48 } } });
+  });
+});
@@ -0,0 +1,183 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const {
+  SaleError, applyTenders, applyLineDiscount, createSale
+} = require('../../src/services/sales');
+const { dianConfig } = require('../helpers/dian');
+
+describe('applyTenders', () => {
+  it('gives change only on cash', () => {
+    expect(applyTenders([{ method: 'cash', amount: 150000 }], 119000)).toEqual({
+      payments: [{
+        method: 'cash', amount: 119000, changeDue: 31000, reference: undefined
+      }],
+      change: 31000,
+      remainder: 0
+    });
+  });
+
+  it('covers with cash what the card and transfer payments leave', () => {
+    const { payments, change, remainder } = applyTenders([
+      { method: 'cash', amount: 50000 },
+      { method: 'card', amount: 80000, reference: 'VOUCHER-123' },
+      { method: 'transfer', amount: 19000, reference: 'NEQUI-9' }
+    ], 119000);
+
+    expect(payments).toEqual([
+      {
+        method: 'cash', amount: 20000, changeDue: 30000, reference: undefined
+      },
+      {
+        method: 'card', amount: 80000, changeDue: 0, reference: 'VOUCHER-123'
+      },
+      {
+        method: 'transfer', amount: 19000, changeDue: 0, reference: 'NEQUI-9'
+      }
+    ]);
+    expect(change).toBe(30000);
+    expect(remainder).toBe(0);
+  });
+
+  it('leaves on credit what the payments do not cover and drops the cash not needed', () => {
+    expect(applyTenders([{ method: 'card', amount: 70000 }], 119000)).toMatchObject({ change: 0, remainder: 49000 });
+    expect(applyTenders([], 119000)).toEqual({ payments: [], change: 0, remainder: 119000 });
+    expect(applyTenders([{ method: 'card', amount: 119000 }, { method: 'cash', amount: 5000 }], 119000))
+      .toEqual({
+        payments: [{
+          method: 'card', amount: 119000, changeDue: 0, reference: undefined
+        }],
+        change: 5000,
+        remainder: 0
+      });
+  });
+
+  it('rejects card payments above the amount due and unknown tenders', () => {
+    expect(() => applyTenders([{ method: 'card', amount: 100000 }, { method: 'transfer', amount: 20000 }], 119000))
+      .toThrow(expect.objectContaining({ code: 'TENDER_EXCEEDS_TOTAL' }));
+    expect(() => applyTenders([{ method: 'credit', amount: 1000 }], 119000)).toThrow(SaleError);
+  });
+});
+
+describe('applyLineDiscount', () => {
+  it('keeps a net unit price and puts the rounding on the last promotion', () => {
+    const line = applyLineDiscount({ quantity: 3, unitPrice: 10000, totalPrice: 30000 }, {
+      discount: 1000,
+      promotions: [{ promotionId: 'a', amount: 500 }, { promotionId: 'b', amount: 500 }]
+    });
+
+    expect(line).toMatchObject({ unitPrice: 9666.67, totalPrice: 29000.01, discount: 999.99 });
+    expect(line.promotions).toEqual([{ promotionId: 'a', amount: 500 }, { promotionId: 'b', amount: 499.99 }]);
+  });
+});
+
+describe('createSale', () => {
+  const customer = {
+    id: 'customer-1', name: 'Finca El Recreo', creditLimit: '500000.00', isBlocked: false
+  };
+  let prisma;
+
+  beforeEach(() => {
+    const config = dianConfig({ prefix: 'POS', currentNumber: 100 });
+    prisma = {
+      cashSession: { findFirst: jest.fn(async () => ({ id: 'session-1', register: 'CAJA1', status: 'open' })) },
+      customer: { findUnique: jest.fn(async () => customer) },
+      customerGroup: { findUnique: jest.fn(async () => null) },
+      parkedSaleItem: { findMany: jest.fn(async () => []) },
+      layawayItem: { findMany: jest.fn(async () => []) },
+      priceList: { findMany: jest.fn(async () => []) },
+      promotion: { findMany: jest.fn(async () => []) },
+      product: {
+        findUnique: jest.fn(async () => ({
+          id: 'p1', name: 'Concentrado 40 kg', price: '100000.00', cost: '70000.00', stock: 8, taxClass: null, category: null
+        })),
+        update: jest.fn(async () => ({}))
+      },
+      credit: {
+        findMany: jest.fn(async () => []),
+        create: jest.fn(async ({ data }) => ({ id: 'credit-1', ...data }))
+      },
+      dianConfig: {
+        findMany: jest.fn(async () => [config]),
+        update: jest.fn(async ({ data }) => {
+          config.currentNumber += data.currentNumber.increment;
+          return { ...config };
+        }),
+        updateMany: jest.fn(async () => ({ count: 0 }))
+      },
+      sale: {
+        create: jest.fn(async ({ data }) => ({
+          id: 'sale-1', ...data, withholdings: data.withholdings.create, payments: data.payments.create
+        }))
+      },
+      saleItem: { create: jest.fn(async () => ({})) },
+      inventoryMovement: { create: jest.fn(async () => ({})) }
+    };
+    prisma.$transaction = jest.fn((callback) => callback(prisma));
+  });
+
+  it('records split tenders and leaves the unpaid balance on the customer credit', async () => {
+    const sale = await createSale(prisma, {
+      customerId: 'customer-1',
+      items: [{ productId: 'p1', quantity: 1 }],
+      payments: [{ method: 'card', amount: 50000, reference: 'VOUCHER-1' }, { method: 'cash', amount: 20000 }]
+    }, 'user-1');
+
+    expect(sale).toMatchObject({
+      invoiceNumber: 'POS100', totalAmount: 119000, paymentMethod: 'mixed', status: 'PENDING', cashSessionId: 'session-1', change: 0, creditAmount: 49000
+    });
+    expect(sale.payments).toEqual([
+      expect.objectContaining({ method: 'card', amount: 50000, cashSessionId: 'session-1' }),
+      expect.objectContaining({ method: 'cash', amount: 20000, cashSessionId: 'session-1' })
+    ]);
+    expect(prisma.credit.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        customerId: 'customer-1', saleId: 'sale-1', amount: 49000, status: 'active', notes: 'Crédito por venta POS100'
+      })
+    });
+  });
+
+  it('returns the change of a cash sale', async () => {
+    const sale = await createSale(prisma, {
+      items: [{ productId: 'p1', quantity: 1 }], payments: [{ method: 'cash', amount: 120000 }]
+    }, 'user-1');
+
+    expect(sale).toMatchObject({
+      paymentMethod: 'cash', status: 'PAID', change: 1000, creditAmount: 0
+    });
+    expect(prisma.credit.create).not.toHaveBeenCalled();
+  });
+
+  it('needs a registered customer to leave a balance on credit', async () => {
+    await expect(createSale(prisma, {
+      items: [{ productId: 'p1', quantity: 1 }], payments: [{ method: 'card', amount: 100000 }]
+    }, 'user-1')).rejects.toMatchObject({ code: 'CUSTOMER_REQUIRED' });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('claims the quotation it converts and fails when another sale took it first', async () => {
+    prisma.quotation = {
+      updateMany: jest.fn()
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 })
+    };
+    const convert = () => createSale(prisma, {
+      items: [{ productId: 'p1', quantity: 1 }], paymentMethod: 'cash', quotationId: 'quotation-1'
+    }, 'user-1');
+
+    await convert();
+    expect(prisma.quotation.updateMany).toHaveBeenNthCalledWith(1, {
+      where: {
+        id: 'quotation-1', saleId: null, status: { in: ['draft', 'sent', 'accepted'] }, validUntil: { gte: expect.any(Date) }
+      },
+      data: { status: 'accepted', saleId: 'sale-1' }
+    });
+    expect(prisma.quotation.updateMany).toHaveBeenNthCalledWith(2, {
+      where: { id: 'quotation-1', acceptedAt: null }, data: { acceptedAt: expect.any(Date) }
+    });
+
+    // Inside the transaction, the error rolls back the sale, its stock and its DIAN number
+    await expect(convert()).rejects.toMatchObject({ code: 'QUOTATION_CLOSED', statusCode: 409 });
+    expect(prisma.saleItem.create).toHaveBeenCalledTimes(1);
+  });
+});
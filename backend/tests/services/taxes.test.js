@@ -0,0 +1,57 @@
+const {
+  GENERAL_IVA, resolveTaxClass, taxOfClass, itemTax, calculateLineTax, summarizeTaxes
+} = require('../../src/services/taxes');
+
+const iva5 = { code: 'IVA5', name: 'IVA 5%', type: 'IVA', rate: '5.00' };
+const inc8 = { code: 'INC8', name: 'INC 8%', type: 'INC', rate: '8.00' };
+
+describe('resolveTaxClass', () => {
+  it('uses the product class, then the category class, then the general IVA', () => {
+    expect(resolveTaxClass({ taxClass: inc8, category: { taxClass: iva5 } })).toBe(inc8);
+    expect(resolveTaxClass({ taxClass: null, category: { taxClass: iva5 } })).toBe(iva5);
+    expect(resolveTaxClass({ taxClass: null, category: { taxClass: null } })).toBe(GENERAL_IVA);
+    expect(resolveTaxClass(null)).toBe(GENERAL_IVA);
+  });
+});
+
+describe('taxOfClass', () => {
+  it('maps each tax type to its DIAN tributo and rate', () => {
+    expect(taxOfClass(iva5)).toEqual({ code: '01', name: 'IVA', percent: 5 });
+    expect(taxOfClass(inc8)).toEqual({ code: '04', name: 'INC', percent: 8 });
+    expect(taxOfClass({ type: 'EXEMPT', rate: 19 })).toEqual({ code: '01', name: 'IVA', percent: 0 });
+    expect(taxOfClass({ type: 'EXCLUDED', rate: 0 })).toEqual({ code: null, name: null, percent: 0 });
+  });
+});
+
+describe('itemTax', () => {
+  it('keeps the tax liquidated on the sale over the current product class', () => {
+    const product = { taxClass: inc8 };
+
+    expect(itemTax({ taxCode: '01', taxPercent: '19.00', product })).toEqual({ code: '01', name: 'IVA', percent: 19 });
+    expect(itemTax({ taxCode: null, taxPercent: 0, product })).toEqual({ code: null, name: null, percent: 0 });
+    expect(itemTax({ product })).toEqual({ code: '04', name: 'INC', percent: 8 });
+  });
+});
+
+describe('calculateLineTax', () => {
+  it('rounds the tax of each line to two decimals and skips excluded lines', () => {
+    expect(calculateLineTax(33333.33, { code: '01', percent: 19 })).toEqual({ taxCode: '01', taxPercent: 19, taxAmount: 6333.33 });
+    expect(calculateLineTax(50000, { code: null, percent: 0 })).toEqual({ taxCode: null, taxPercent: 0, taxAmount: 0 });
+  });
+});
+
+describe('summarizeTaxes', () => {
+  it('groups the lines by tributo and rate, highest rate first', () => {
+    expect(summarizeTaxes([
+      { taxCode: '01', taxPercent: 5, taxableAmount: 100000, taxAmount: 5000 },
+      { taxCode: '01', taxPercent: 19, taxableAmount: 20000, taxAmount: 3800 },
+      { taxCode: '04', taxPercent: '8.00', taxableAmount: '30000.00', taxAmount: '2400.00' },
+      { taxCode: '01', taxPercent: '19.00', taxableAmount: 10000.1, taxAmount: 1900.02 },
+      { taxCode: null, taxPercent: 0, taxableAmount: 45000, taxAmount: 0 }
+    ])).toEqual([
+      { code: '01', name: 'IVA', percent: 19, taxableAmount: 30000.1, taxAmount: 5700.02 },
+      { code: '01', name: 'IVA', percent: 5, taxableAmount: 100000, taxAmount: 5000 },
+      { code: '04', name: 'INC', percent: 8, taxableAmount: 30000, taxAmount: 2400 }
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const {
+  getUvtValue, calculateWithholdings, withholdingTotal, summarizeWithholdings, buildWithholdingCertificate
+} = require('../../src/services/withholdings');
+
+const rule = (overrides) => ({
+  id: `rule-${overrides.type}`,
+  appliesTo: 'purchase',
+  concept: 'COMPRAS',
+  taxRegimes: [],
+  municipalityCode: null,
+  minBaseUvt: '0',
+  isActive: true,
+  ...overrides
+});
+
+const rules = [
+  // 27 UVT of 2026 = 1,414,098
+  rule({ type: 'RETEFUENTE', rate: '2.50', minBaseUvt: '27' }),
+  rule({ type: 'RETEIVA', rate: '15.00', taxRegimes: ['GRAN_CONTRIBUYENTE'] }),
+  rule({ type: 'RETEICA', rate: '0.70', municipalityCode: '41551' })
+];
+
+const fakePrisma = (uvt = null) => ({
+  systemConfig: { findUnique: jest.fn(async () => (uvt === null ? null : { value: uvt })) },
+  withholdingRule: { findMany: jest.fn(async () => rules) }
+});
+
+describe('getUvtValue', () => {
+  it('uses the configured UVT, then the value of the year or the latest known one', async () => {
+    await expect(getUvtValue(fakePrisma('50000'), 2026)).resolves.toBe(50000);
+    await expect(getUvtValue(fakePrisma(), 2025)).resolves.toBe(49799);
+    await expect(getUvtValue(fakePrisma(), 2030)).resolves.toBe(52374);
+    await expect(getUvtValue(fakePrisma('abc'), 2024)).resolves.toBe(47065);
+  });
+});
+
+describe('calculateWithholdings', () => {
+  const date = new Date('2026-06-15T12:00:00');
+
+  it('applies the rules matching the regime, municipality and minimum base', async () => {
+    const withholdings = await calculateWithholdings(fakePrisma(), {
+      appliesTo: 'purchase',
+      party: { taxRegime: 'GRAN_CONTRIBUYENTE', municipalityCode: '41551' },
+      subtotal: 2000000,
+      vat: 380000,
+      date
+    });
+
+    expect(withholdings).toEqual([
+      {
+        ruleId: 'rule-RETEFUENTE', type: 'RETEFUENTE', concept: 'COMPRAS', rate: 2.5, baseAmount: 2000000, amount: 50000, municipalityCode: null, year: 2026
+      },
+      {
+        ruleId: 'rule-RETEIVA', type: 'RETEIVA', concept: 'COMPRAS', rate: 15, baseAmount: 380000, amount: 57000, municipalityCode: null, year: 2026
+      },
+      {
+        ruleId: 'rule-RETEICA', type: 'RETEICA', concept: 'COMPRAS', rate: 0.7, baseAmount: 2000000, amount: 14000, municipalityCode: '41551', year: 2026
+      }
+    ]);
+    expect(withholdingTotal(withholdings)).toBe(121000);
+  });
+
+  it('leaves out the rules below the minimum base or for other regimes and municipalities', async () => {
+    const withholdings = await calculateWithholdings(fakePrisma(), {
+      appliesTo: 'purchase',
+      party: { taxRegime: 'RESPONSABLE_IVA', municipalityCode: '41001' },
+      subtotal: 1000000,
+      vat: 190000,
+      date
+    });
+
+    expect(withholdings).toEqual([]);
+  });
+
+  it('only withholds on sales to customers that are withholding agents', async () => {
+    const prisma = fakePrisma();
+
+    await expect(calculateWithholdings(prisma, {
+      appliesTo: 'sale', party: { isWithholdingAgent: false }, subtotal: 5000000, date
+    })).resolves.toEqual([]);
+    await expect(calculateWithholdings(prisma, { appliesTo: 'sale', party: null, subtotal: 5000000, date })).resolves.toEqual([]);
+    expect(prisma.withholdingRule.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('summarizeWithholdings', () => {
+  it('groups the withholdings by DIAN tributo and rate', () => {
+    expect(summarizeWithholdings([
+      { type: 'RETEFUENTE', rate: '2.50', baseAmount: '1000000.00', amount: '25000.00' },
+      { type: 'RETEFUENTE', rate: '2.50', baseAmount: 500000, amount: 12500 },
+      { type: 'RETEIVA', rate: '15.00', baseAmount: 190000, amount: 28500 }
+    ])).toEqual([
+      { code: '05', name: 'ReteIVA', percent: 15, taxableAmount: 190000, taxAmount: 28500 },
+      { code: '06', name: 'ReteRenta', percent: 2.5, taxableAmount: 1500000, taxAmount: 37500 }
+    ]);
+  });
+});
+
+describe('buildWithholdingCertificate', () => {
+  it('adds up the year withholdings of a supplier by type, concept, rate and municipality', async () => {
+    const prisma = {
+      withholding: {
+        findMany: jest.fn(async () => [
+          { purchaseId: 'p1', type: 'RETEFUENTE', concept: 'COMPRAS', rate: '2.50', municipalityCode: null, baseAmount: 2000000, amount: 50000 },
+          { purchaseId: 'p1', type: 'RETEICA', concept: 'COMPRAS', rate: '0.70', municipalityCode: '41551', baseAmount: 2000000, amount: 14000 },
+          { purchaseId: 'p2', type: 'RETEFUENTE', concept: 'COMPRAS', rate: '2.50', municipalityCode: null, baseAmount: 3000000, amount: 75000 }
+        ])
+      }
+    };
+
+    const certificate = await buildWithholdingCertificate(prisma, { id: 'supplier-1' }, 2026);
+
+    expect(prisma.withholding.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { supplierId: 'supplier-1', year: 2026, purchase: { status: { not: 'cancelled' } } }
+    }));
+    expect(certificate.rows).toEqual([
+      expect.objectContaining({ type: 'RETEFUENTE', name: 'ReteRenta', rate: 2.5, baseAmount: 5000000, amount: 125000 }),
+      expect.objectContaining({ type: 'RETEICA', municipalityCode: '41551', amount: 14000 })
+    ]);
+    expect(certificate.totals).toEqual({
+      RETEFUENTE: 125000, RETEIVA: 0, RETEICA: 14000, total: 139000
+    });
+    expect(certificate.purchases).toBe(2);
+  });
+});
@@ -0,0 +1,15 @@
+const { round } = require('../../src/utils/money');
+
+describe('round', () => {
+  it('rounds pesos to two decimals, halves up despite their binary representation', () => {
+    expect(round(1.005)).toBe(1.01);
+    expect(round(190000 * 0.19)).toBe(36100);
+    expect(round(0.1 + 0.2)).toBe(0.3);
+    expect(round(2.344)).toBe(2.34);
+  });
+
+  it('takes strings and Prisma decimals', () => {
+    expect(round('119000.005')).toBe(119000.01);
+    expect(round({ valueOf: () => 42.125 })).toBe(42.13);
+  });
+});
@@ -32,7 +32,8 @@ import {
   Delete as DeleteIcon,
   Person as PersonIcon,
 } from '@mui/icons-material';
-import { customersService } from '../services/api';
+import { customersService, customerGroupsService, priceListsService } from '../services/api';
+import type { CustomerGroup, PriceList } from '../services/api';
 import toast from 'react-hot-toast';
 
 // ============================================================================
@@ -53,7 +54,11 @@ interface Customer {
   address?: string;
   city?: string;
   creditLimit?: number;
+  groupId?: string | null;
+  priceListId?: string | null;
   isActive: boolean;
+  isBlocked?: boolean;
+  blockedReason?: string | null;
   createdAt: string;
 }
 
@@ -69,6 +74,13 @@ interface CustomerFormData {
   address: string;
   city: string;
   creditLimit: number;
+  /** Empty string when the customer has no group */
+  groupId: string;
+  /** Empty string when the customer uses its group's or the default list */
+  priceListId: string;
+  /** Blocked customers cannot buy on credit without a supervisor's authorization */
+  isBlocked: boolean;
+  blockedReason: string;
 }
 
 // ============================================================================
@@ -98,6 +110,10 @@ const DEFAULT_FORM_DATA: CustomerFormData = {
   address: '',
   city: '',
   creditLimit: 0,
+  groupId: '',
+  priceListId: '',
+  isBlocked: false,
+  blockedReason: '',
 };
 
 // ============================================================================
@@ -138,6 +154,8 @@ const CustomersPage: React.FC = () => {
   
   // Data state
   const [customers, setCustomers] = useState<Customer[]>([]);
+  const [groups, setGroups] = useState<CustomerGroup[]>([]);
+  const [priceLists, setPriceLists] = useState<PriceList[]>([]);
   
   // UI state
   const [loading, setLoading] = useState<boolean>(true);
@@ -165,7 +183,7 @@ const CustomersPage: React.FC = () => {
   const initializeData = async (): Promise<void> => {
     try {
       setLoading(true);
-      await fetchCustomers();
+      await Promise.all([fetchCustomers(), fetchPricing()]);
     } catch (error) {
       console.error('Error initializing customer data:', error);
       toast.error('Error al cargar los datos de clientes');
@@ -187,6 +205,22 @@ const CustomersPage: React.FC = () => {
     }
   };
 
+  /**
+   * Fetches the customer groups and price lists offered in the form
+   */
+  const fetchPricing = async (): Promise<void> => {
+    try {
+      const [groupsResponse, listsResponse] = await Promise.all([
+        customerGroupsService.getAll(),
+        priceListsService.getAll(),
+      ]);
+      setGroups(groupsResponse.data);
+      setPriceLists(listsResponse.data.filter(list => list.isActive));
+    } catch (error) {
+      console.error('Error fetching price lists:', error);
+    }
+  };
+
   // ============================================================================
   // STATISTICS & COMPUTED VALUES
   // ============================================================================
@@ -228,6 +262,10 @@ const CustomersPage: React.FC = () => {
         address: customer.address || '',
         city: customer.city || '',
         creditLimit: customer.creditLimit || 0,
+        groupId: customer.groupId || '',
+        priceListId: customer.priceListId || '',
+        isBlocked: customer.isBlocked || false,
+        blockedReason: customer.blockedReason || '',
       });
     } else {
       setEditingCustomer(null);
@@ -254,11 +292,18 @@ const CustomersPage: React.FC = () => {
    */
   const handleSubmit = async (): Promise<void> => {
     try {
+      const customerData = {
+        ...formData,
+        groupId: formData.groupId || null,
+        priceListId: formData.priceListId || null,
+        blockedReason: formData.blockedReason || null,
+      };
+
       if (editingCustomer) {
-        await customersService.update(editingCustomer.id, formData);
+        await customersService.update(editingCustomer.id, customerData);
         toast.success('Cliente actualizado exitosamente');
       } else {
-        await customersService.create(formData);
+        await customersService.create(customerData);
         toast.success('Cliente creado exitosamente');
       }
       
@@ -424,6 +469,15 @@ const CustomersPage: React.FC = () => {
                       color={customer.isActive ? 'success' : 'default'}
                       size="small"
                     />
+                    {customer.isBlocked && (
+                      <Chip
+                        label="Bloqueado"
+                        color="error"
+                        size="small"
+                        title={customer.blockedReason || undefined}
+                        sx={{ ml: 1 }}
+                      />
+                    )}
                   </TableCell>
                   <TableCell>
                     <IconButton
@@ -531,6 +585,67 @@ const CustomersPage: React.FC = () => {
                 placeholder="0"
               />
             </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth>
+                <InputLabel>Grupo</InputLabel>
+                <Select
+                  value={formData.groupId}
+                  onChange={(e) => setFormData({ ...formData, groupId: e.target.value })}
+                  label="Grupo"
+                >
+                  <MenuItem value="">Sin grupo</MenuItem>
+                  {groups.map((group) => (
+                    <MenuItem key={group.id} value={group.id}>
+                      {group.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth>
+                <InputLabel>Lista de Precios</InputLabel>
+                <Select
+                  value={formData.priceListId}
+                  onChange={(e) => setFormData({ ...formData, priceListId: e.target.value })}
+                  label="Lista de Precios"
+                >
+                  <MenuItem value="">Del grupo / por defecto</MenuItem>
+                  {priceLists.map((list) => (
+                    <MenuItem key={list.id} value={list.id}>
+                      {list.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            {editingCustomer && (
+              <>
+                <Grid item xs={12} sm={6}>
+                  <FormControl fullWidth>
+                    <InputLabel>Crédito</InputLabel>
+                    <Select
+                      value={formData.isBlocked ? 'blocked' : 'enabled'}
+                      onChange={(e) => setFormData({ ...formData, isBlocked: e.target.value === 'blocked' })}
+                      label="Crédito"
+                    >
+                      <MenuItem value="enabled">Habilitado</MenuItem>
+                      <MenuItem value="blocked">Bloqueado</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+                {formData.isBlocked && (
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      fullWidth
+                      label="Motivo del bloqueo"
+                      value={formData.blockedReason}
+                      onChange={(e) => setFormData({ ...formData, blockedReason: e.target.value })}
+                    />
+                  </Grid>
+                )}
+              </>
+            )}
           </Grid>
         </DialogContent>
         <DialogActions>
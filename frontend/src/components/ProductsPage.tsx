@@ -291,7 +291,7 @@ const ProductsPage: React.FC = () => {
             </TableHead>
             <TableBody>
               {products.map((product) => {
-                const stockStatus = getStockStatus(product.stock, product.minStock || 0);
+                const stockStatus = getStockStatus(product.available ?? product.stock, product.minStock || 0);
                 return (
                   <TableRow key={product.id}>
                     <TableCell>{product.code}</TableCell>
@@ -301,6 +301,11 @@ const ProductsPage: React.FC = () => {
                     <TableCell>
                       <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                         <Typography>{product.stock}</Typography>
+                        {(product.reserved || 0) > 0 && (
+                          <Typography variant="caption" color="text.secondary">
+                            ({product.available} disp. / {product.reserved} reserv.)
+                          </Typography>
+                        )}
                         <Chip
                           label={stockStatus.label}
                           color={stockStatus.color}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   Box,
   Paper,
@@ -30,6 +30,9 @@ import {
   List,
   ListItem,
   ListItemText,
+  Checkbox,
+  Tabs,
+  Tab,
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -37,8 +40,45 @@ import {
   Delete as DeleteIcon,
   ShoppingCart as ShoppingCartIcon,
   Receipt as ReceiptIcon,
+  PointOfSale as PointOfSaleIcon,
+  AssignmentReturn as AssignmentReturnIcon,
+  PauseCircle as PauseCircleIcon,
+  Print as PrintIcon,
+  CloudOff as CloudOffIcon,
+  Sync as SyncIcon,
 } from '@mui/icons-material';
-import { salesService, customersService, productsService, type Customer, type Product, type Sale } from '../services/api';
+import {
+  salesService,
+  customersService,
+  productsService,
+  cashSessionsService,
+  parkedSalesService,
+  offlineSalesService,
+  type Customer,
+  type Product,
+  type ProductTax,
+  type Sale,
+  type SaleReturn,
+  type CashSession,
+  type CashSessionSummary,
+  type CreditStatus,
+  type CreditOverride,
+  type ParkedSale,
+  type OfflineCatalog,
+  type OfflineSaleInput,
+} from '../services/api';
+import {
+  saveCatalog,
+  loadCatalog,
+  deductCatalogStock,
+  resolveOfflinePrice,
+  generateClientId,
+  queueSale,
+  getQueuedSales,
+  updateQueuedSale,
+  removeQueuedSale,
+  type QueuedSale,
+} from '../services/offlineStore';
 import toast from 'react-hot-toast';
 
 // ============================================================================
@@ -50,8 +90,15 @@ import toast from 'react-hot-toast';
  */
 interface SaleItemForm {
   productId: string;
+  product?: Product;
   quantity: number;
   unitPrice: number;
+  /** Price list that set unitPrice, when the customer has one */
+  priceListName?: string | null;
+  /** Promotion discount on the line, as resolved by the server */
+  discount?: number;
+  /** Names of the promotions applied to the line */
+  promotions?: string[];
 }
 
 /**
@@ -61,19 +108,72 @@ interface SaleFormData {
   customerId: string | null;
   customerName: string;
   paymentMethod: string;
-  discount: number;
+  /** Tenders of a mixed payment */
+  payments: TenderForm[];
+  /** Promotion coupon applied to the sale */
+  couponCode: string;
   items: SaleItemForm[];
 }
 
+/**
+ * Ticket open on this terminal; the active one lives in the form state
+ */
+interface OpenTicket {
+  key: string;
+  label: string;
+  /** Parked sale it was recalled from; charging it consumes the reservation */
+  parkedSaleId: string | null;
+  formData: SaleFormData;
+  saleItems: SaleItemForm[];
+  couponInput: string;
+}
+
+/**
+ * Tender row of a mixed payment
+ */
+interface TenderForm {
+  method: TenderMethod;
+  amount: number;
+  reference: string;
+}
+
+/**
+ * Returnable line of a sale in the return dialog
+ */
+interface ReturnLineForm {
+  saleItemId: string;
+  productId: string;
+  name: string;
+  unitPrice: number;
+  /** Units sold and not yet returned */
+  available: number;
+  quantity: number;
+  damaged: boolean;
+}
+
 /**
  * Payment method options
  */
-type PaymentMethod = 'cash' | 'credit' | 'transfer';
+type PaymentMethod = 'cash' | 'credit' | 'transfer' | 'mixed';
+
+/**
+ * Tender options of a mixed payment
+ */
+type TenderMethod = 'cash' | 'card' | 'transfer';
 
 /**
  * Sale status options
  */
-type SaleStatus = 'PENDING' | 'PAID' | 'CANCELLED';
+type SaleStatus = 'PENDING' | 'PAID' | 'CANCELLED' | 'RETURNED';
+
+/**
+ * Tax subtotal by DIAN tax and rate
+ */
+interface TaxSubtotal {
+  label: string;
+  taxableAmount: number;
+  taxAmount: number;
+}
 
 /**
  * Calculated totals interface
@@ -82,6 +182,7 @@ interface SaleTotals {
   subtotal: number;
   discount: number;
   taxAmount: number;
+  taxes: TaxSubtotal[];
   totalAmount: number;
 }
 
@@ -90,9 +191,9 @@ interface SaleTotals {
 // ============================================================================
 
 /**
- * Tax rate for Colombia (IVA 19%)
+ * General IVA for Colombia, for products loaded without their tax
  */
-const TAX_RATE = 0.19;
+const GENERAL_IVA: ProductTax = { code: '01', name: 'IVA', percent: 19 };
 
 /**
  * Payment method options with labels
@@ -101,6 +202,16 @@ const PAYMENT_METHODS: Record<PaymentMethod, string> = {
   cash: 'Efectivo',
   credit: 'Crédito',
   transfer: 'Transferencia',
+  mixed: 'Pago mixto',
+};
+
+/**
+ * Tender options with labels
+ */
+const TENDER_METHODS: Record<TenderMethod, string> = {
+  cash: 'Efectivo',
+  card: 'Tarjeta',
+  transfer: 'Transferencia / Nequi',
 };
 
 /**
@@ -110,6 +221,7 @@ const SALE_STATUS_LABELS: Record<SaleStatus, string> = {
   PENDING: 'Pendiente',
   PAID: 'Pagado',
   CANCELLED: 'Cancelado',
+  RETURNED: 'Devuelto',
 };
 
 /**
@@ -119,6 +231,16 @@ const SALE_STATUS_COLORS: Record<SaleStatus, 'warning' | 'success' | 'error' | '
   PENDING: 'warning',
   PAID: 'success',
   CANCELLED: 'error',
+  RETURNED: 'default',
+};
+
+/**
+ * Refund options for returns
+ */
+const REFUND_METHODS: Record<SaleReturn['refundMethod'], string> = {
+  cash: 'Efectivo de la caja',
+  store_credit: 'Saldo a favor del cliente',
+  credit: 'Abono al crédito de la venta',
 };
 
 /**
@@ -128,19 +250,90 @@ const DEFAULT_FORM_DATA: SaleFormData = {
   customerId: null,
   customerName: '',
   paymentMethod: 'cash',
-  discount: 0,
+  payments: [],
+  couponCode: '',
   items: [],
 };
 
+/**
+ * Error codes of a coupon that cannot be applied to the sale
+ */
+const COUPON_ERRORS = ['INVALID_COUPON', 'COUPON_EXHAUSTED', 'COUPON_NOT_APPLICABLE'];
+
+/**
+ * Error codes of a credit sale that needs a supervisor's authorization
+ */
+const CREDIT_CONTROL_ERRORS = ['CUSTOMER_BLOCKED', 'CREDIT_OVERDUE', 'CREDIT_LIMIT_EXCEEDED'];
+
+/**
+ * Empty supervisor authorization form
+ */
+const DEFAULT_CREDIT_OVERRIDE: CreditOverride = {
+  username: '',
+  pin: '',
+  reason: '',
+};
+
+/**
+ * Reservation times offered when parking a sale, in minutes
+ */
+const PARK_MINUTES = [30, 60, 120, 240];
+
 /**
  * General customer name for sales without specific customer
  */
 const GENERAL_CUSTOMER_NAME = 'Cliente General';
 
+/**
+ * Register proposed when opening a cash session
+ */
+const DEFAULT_REGISTER = 'CAJA1';
+
+/**
+ * Offline sales sent per sync request (the server's batch limit)
+ */
+const OFFLINE_SYNC_BATCH = 50;
+
+/**
+ * Labels of the conflicts the server reports for an offline sale
+ */
+const OFFLINE_CONFLICT_LABELS: Record<string, string> = {
+  stock: 'Existencias',
+  price: 'Precio',
+  catalog: 'Catálogo',
+  numbering: 'Numeración',
+  cash_session: 'Caja',
+  credit: 'Crédito',
+  promotion: 'Promoción',
+  sale: 'Venta',
+  server: 'Error del servidor',
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
+/**
+ * Units that can be sold: stock not reserved by parked sales or layaways
+ * @param product - Product as returned by the API
+ * @returns Sellable units
+ */
+const sellableStock = (product: Product): number => product.available ?? product.stock;
+
+/**
+ * Creates an empty ticket
+ * @param number - Ticket number shown in its default label
+ * @returns New open ticket
+ */
+const createTicket = (number: number): OpenTicket => ({
+  key: `ticket-${Date.now()}`,
+  label: `Tiquete ${number}`,
+  parkedSaleId: null,
+  formData: DEFAULT_FORM_DATA,
+  saleItems: [],
+  couponInput: '',
+});
+
 /**
  * Formats currency values for Colombian Pesos
  * @param amount - The amount to format
@@ -172,17 +365,40 @@ const getStatusColor = (status: string): 'warning' | 'success' | 'error' | 'defa
 };
 
 /**
- * Calculates sale totals including tax and discount
+ * Rounds an amount to two decimals, as taxes are liquidated per line
+ * @param amount - The amount to round
+ * @returns Rounded amount
+ */
+const roundAmount = (amount: number): number => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Calculates sale totals including tax and promotion discounts. Each line is
+ * taxed with its product's tax on its discounted value.
  * @param items - Array of sale items
- * @param discount - Discount amount
  * @returns Calculated totals object
  */
-const calculateSaleTotals = (items: SaleItemForm[], discount: number): SaleTotals => {
+const calculateSaleTotals = (items: SaleItemForm[]): SaleTotals => {
   const subtotal = items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
-  const taxAmount = (subtotal - discount) * TAX_RATE;
+  const discount = roundAmount(items.reduce((sum, item) => sum + (item.discount || 0), 0));
+  const taxes = new Map<string, TaxSubtotal>();
+
+  items.forEach((item) => {
+    const tax = item.product?.tax ?? GENERAL_IVA;
+    if (!tax.code) {
+      return;
+    }
+    const taxableAmount = roundAmount(item.quantity * item.unitPrice - (item.discount || 0));
+    const label = `${tax.name} (${tax.percent}%)`;
+    const entry = taxes.get(label) ?? { label, taxableAmount: 0, taxAmount: 0 };
+    entry.taxableAmount += taxableAmount;
+    entry.taxAmount += roundAmount(taxableAmount * tax.percent / 100);
+    taxes.set(label, entry);
+  });
+
+  const taxAmount = roundAmount(Array.from(taxes.values()).reduce((sum, entry) => sum + entry.taxAmount, 0));
   const totalAmount = subtotal - discount + taxAmount;
 
-  return { subtotal, discount, taxAmount, totalAmount };
+  return { subtotal, discount, taxAmount, taxes: Array.from(taxes.values()), totalAmount };
 };
 
 // ============================================================================
@@ -218,6 +434,46 @@ const SalesPage: React.FC = () => {
   const [editingSale, setEditingSale] = useState<Sale | null>(null);
   const [saleItems, setSaleItems] = useState<SaleItemForm[]>([]);
   const [formData, setFormData] = useState<SaleFormData>(DEFAULT_FORM_DATA);
+  const [couponInput, setCouponInput] = useState<string>('');
+  const [creditStatus, setCreditStatus] = useState<CreditStatus | null>(null);
+  const [creditIssues, setCreditIssues] = useState<{ code: string; message: string }[] | null>(null);
+  const [creditOverride, setCreditOverride] = useState<CreditOverride>(DEFAULT_CREDIT_OVERRIDE);
+
+  // Open tickets state (the active ticket's data is the form state above)
+  const [tickets, setTickets] = useState<OpenTicket[]>([]);
+  const [activeTicket, setActiveTicket] = useState<string>('');
+  const [ticketLabel, setTicketLabel] = useState<string>('');
+  const [parkedSaleId, setParkedSaleId] = useState<string | null>(null);
+  const [parkMinutes, setParkMinutes] = useState<number>(120);
+  const [parkedSales, setParkedSales] = useState<ParkedSale[]>([]);
+  const [openParkedDialog, setOpenParkedDialog] = useState<boolean>(false);
+  // Idempotency key of each ticket's charge, kept until the server confirms it
+  const saleKeys = useRef<Record<string, string>>({});
+
+  // Cash register session state
+  const [cashSession, setCashSession] = useState<CashSession | null>(null);
+  const [cashSummary, setCashSummary] = useState<CashSessionSummary | null>(null);
+  const [openCashDialog, setOpenCashDialog] = useState<boolean>(false);
+  const [closeCashDialog, setCloseCashDialog] = useState<boolean>(false);
+  const [register, setRegister] = useState<string>(DEFAULT_REGISTER);
+  const [openingFloat, setOpeningFloat] = useState<number>(0);
+  const [countedCash, setCountedCash] = useState<number>(0);
+
+  // Return state
+  const [returnSale, setReturnSale] = useState<Sale | null>(null);
+  const [returnLines, setReturnLines] = useState<ReturnLineForm[]>([]);
+  const [refundMethod, setRefundMethod] = useState<SaleReturn['refundMethod']>('cash');
+  const [returnReason, setReturnReason] = useState<string>('');
+  const returnKey = useRef<string>('');
+
+  // Offline mode state
+  const [isOnline, setIsOnline] = useState<boolean>(navigator.onLine);
+  const [offlineCatalog, setOfflineCatalog] = useState<OfflineCatalog | null>(null);
+  const [queuedSales, setQueuedSales] = useState<QueuedSale[]>([]);
+  const [openQueueDialog, setOpenQueueDialog] = useState<boolean>(false);
+  const [syncing, setSyncing] = useState<boolean>(false);
+  // Guards against overlapping syncs (the online event and the button)
+  const syncingRef = useRef<boolean>(false);
 
   // ============================================================================
   // EFFECTS
@@ -227,6 +483,115 @@ const SalesPage: React.FC = () => {
     initializeData();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  useEffect(() => {
+    const handleOnline = (): void => {
+      setIsOnline(true);
+      handleSyncOffline();
+    };
+    const handleOffline = (): void => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (!openDialog || !formData.customerId) {
+      setCreditStatus(null);
+      return;
+    }
+
+    let cancelled = false;
+    customersService.getCreditStatus(formData.customerId)
+      .then(response => !cancelled && setCreditStatus(response.data))
+      .catch(error => console.error('Error fetching credit status:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [openDialog, formData.customerId]);
+
+  /**
+   * Cart lines as "productId:quantity" so prices are resolved again only when
+   * products or quantities change, not when a resolved price is written back
+   */
+  const priceKey = saleItems.map(item => `${item.productId}:${item.quantity}`).join(',');
+
+  useEffect(() => {
+    if (!openDialog || editingSale || saleItems.length === 0) {
+      return;
+    }
+
+    // Offline the cached price lists set the prices; promotions are not applied
+    if (!isOnline) {
+      if (!offlineCatalog) {
+        return;
+      }
+      const customer = customers.find(c => c.id === formData.customerId) || null;
+      setSaleItems(prev =>
+        prev.map(item => {
+          if (!item.product) {
+            return item;
+          }
+          const resolved = resolveOfflinePrice(offlineCatalog, customer, item.product, item.quantity);
+          return {
+            ...item,
+            unitPrice: resolved.price,
+            priceListName: resolved.priceListName,
+            discount: 0,
+            promotions: [],
+          };
+        })
+      );
+      return;
+    }
+
+    let cancelled = false;
+    salesService
+      .resolvePrices({
+        customerId: formData.customerId || undefined,
+        couponCode: formData.couponCode || undefined,
+        items: saleItems.map(item => ({ productId: item.productId, quantity: item.quantity })),
+      })
+      .then(response => {
+        if (cancelled) {
+          return;
+        }
+        const prices = response.data.prices;
+        setSaleItems(prev =>
+          prev.map(item => {
+            const resolved = prices.find(price => price.productId === item.productId);
+            return resolved
+              ? {
+                  ...item,
+                  unitPrice: resolved.price,
+                  priceListName: resolved.priceListName,
+                  discount: resolved.discount,
+                  promotions: resolved.promotions.map(promotion => promotion.name),
+                }
+              : item;
+          })
+        );
+      })
+      .catch(error => {
+        // A coupon that is not valid or does not apply is dropped so prices still resolve
+        if (!cancelled && COUPON_ERRORS.includes(error.response?.data?.code)) {
+          toast.error(error.response.data.error);
+          setFormData(prev => ({ ...prev, couponCode: '' }));
+          setCouponInput('');
+          return;
+        }
+        console.error('Error resolving prices:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [openDialog, editingSale, formData.customerId, formData.couponCode, priceKey, isOnline]); // eslint-disable-line react-hooks/exhaustive-deps
+
   // ============================================================================
   // DATA FETCHING FUNCTIONS
   // ============================================================================
@@ -241,6 +606,9 @@ const SalesPage: React.FC = () => {
         fetchSales(),
         fetchCustomers(),
         fetchProducts(),
+        fetchCashSession(),
+        fetchOfflineCatalog(),
+        refreshQueuedSales(),
       ]);
     } catch (error) {
       console.error('Error initializing data:', error);
@@ -287,6 +655,362 @@ const SalesPage: React.FC = () => {
     }
   };
 
+  /**
+   * Downloads the catalog for selling offline and caches it; without connection
+   * the cached catalog fills the products and customers
+   */
+  const fetchOfflineCatalog = async (): Promise<void> => {
+    try {
+      const response = await offlineSalesService.getCatalog();
+      await saveCatalog(response.data);
+      setOfflineCatalog(response.data);
+    } catch (error) {
+      console.error('Error fetching offline catalog:', error);
+      const cached = await loadCatalog();
+      if (cached) {
+        setOfflineCatalog(cached);
+        setProducts(cached.products);
+        setCustomers(cached.customers);
+      }
+    }
+  };
+
+  /**
+   * Loads the sales waiting to be synced
+   */
+  const refreshQueuedSales = async (): Promise<void> => {
+    try {
+      setQueuedSales(await getQueuedSales());
+    } catch (error) {
+      console.error('Error loading offline sales:', error);
+    }
+  };
+
+  /**
+   * Fetches the cashier's open register session and its running totals
+   */
+  const fetchCashSession = async (): Promise<void> => {
+    try {
+      const response = await cashSessionsService.getCurrent();
+      setCashSession(response.data.session);
+      setCashSummary(response.data.summary);
+    } catch (error) {
+      console.error('Error fetching cash session:', error);
+    }
+  };
+
+  // ============================================================================
+  // CASH REGISTER FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Opens a register session with the starting float
+   */
+  const handleOpenCash = async (): Promise<void> => {
+    try {
+      await cashSessionsService.open({ register, openingFloat });
+      toast.success(`Caja ${register} abierta`);
+      setOpenCashDialog(false);
+      await fetchCashSession();
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Error al abrir la caja');
+    }
+  };
+
+  /**
+   * Closes the register session with the counted cash and opens the Z report
+   */
+  const handleCloseCash = async (): Promise<void> => {
+    if (!cashSession) return;
+
+    try {
+      const response = await cashSessionsService.close(cashSession.id, { counted: { cash: countedCash } });
+      const difference = Number(response.data.session.cashDifference || 0);
+      if (difference === 0) {
+        toast.success('Caja cerrada sin diferencias');
+      } else {
+        toast.error(`Caja cerrada con ${difference < 0 ? 'faltante' : 'sobrante'} de ${formatCurrency(Math.abs(difference))}`);
+      }
+
+      const report = await cashSessionsService.getReportPdf(cashSession.id);
+      window.open(URL.createObjectURL(report.data), '_blank');
+
+      setCloseCashDialog(false);
+      setCashSession(null);
+      setCashSummary(null);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Error al cerrar la caja');
+    }
+  };
+
+  // ============================================================================
+  // RECEIPT FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Prints the sale receipt on the register's thermal printer. Without a configured or
+   * reachable printer it opens the PDF receipt to print from the browser.
+   * @param saleId - Sale to print
+   * @param fallback - Open the PDF when the register has no printer (off right after a sale)
+   */
+  const handlePrintReceipt = async (saleId: string, fallback = true): Promise<void> => {
+    try {
+      await salesService.printReceipt(saleId);
+      toast.success('Tirilla enviada a la impresora');
+      return;
+    } catch (error: any) {
+      const code = error.response?.data?.code;
+      if (code === 'PRINTER_UNAVAILABLE') {
+        toast.error(error.response.data.error);
+      } else if (code !== 'PRINTER_NOT_CONFIGURED') {
+        toast.error(error.response?.data?.error || 'Error al imprimir la tirilla');
+        return;
+      }
+      if (!fallback && code === 'PRINTER_NOT_CONFIGURED') return;
+    }
+
+    try {
+      const receipt = await salesService.getReceipt(saleId, { format: 'pdf' });
+      window.open(URL.createObjectURL(receipt.data), '_blank');
+    } catch (error) {
+      console.error('Error generating receipt:', error);
+      toast.error('Error al generar la tirilla');
+    }
+  };
+
+  // ============================================================================
+  // OFFLINE MODE FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Records the active ticket in the local queue when there is no connection. It is
+   * registered (and gets its invoice number) when the queue is synced.
+   * @param sale - Sale at the prices charged offline
+   */
+  const queueOfflineSale = async (sale: Omit<OfflineSaleInput, 'clientId' | 'createdAt'>): Promise<void> => {
+    const queued = await queueSale({
+      ...sale,
+      clientId: generateClientId(),
+      createdAt: new Date().toISOString(),
+    });
+
+    const catalog = await deductCatalogStock(sale.items);
+    if (catalog) {
+      setOfflineCatalog(catalog);
+      setProducts(catalog.products);
+    }
+    await refreshQueuedSales();
+    toast.success(`Venta ${queued.localNumber} guardada sin conexión; se registrará al volver la conexión`);
+  };
+
+  /**
+   * Sends the pending offline sales to the server in the order they were sold.
+   * Registered and duplicate sales leave the queue; conflicts stay for the cashier.
+   */
+  const handleSyncOffline = async (): Promise<void> => {
+    if (syncingRef.current) return;
+
+    const pending = (await getQueuedSales()).filter(queued => queued.status === 'pending');
+    if (pending.length === 0) return;
+
+    syncingRef.current = true;
+    setSyncing(true);
+    let synced = 0;
+    let conflicts = 0;
+    try {
+      for (let start = 0; start < pending.length; start += OFFLINE_SYNC_BATCH) {
+        const batch = pending.slice(start, start + OFFLINE_SYNC_BATCH);
+        const response = await offlineSalesService.sync(batch.map(queued => queued.sale));
+
+        for (const result of response.data.results) {
+          const queued = batch.find(entry => entry.clientId === result.clientId);
+          if (!queued) continue;
+          if (result.status === 'synced' || result.status === 'duplicate') {
+            await removeQueuedSale(queued.clientId);
+            synced += 1;
+          } else {
+            await updateQueuedSale({ ...queued, status: result.status, conflict: result.conflict });
+            conflicts += 1;
+          }
+        }
+      }
+      setIsOnline(true);
+    } catch (error: any) {
+      console.error('Error syncing offline sales:', error);
+      if (error.code === 'ERR_NETWORK') {
+        setIsOnline(false);
+      } else {
+        toast.error(error.response?.data?.error || 'Error al sincronizar las ventas sin conexión');
+      }
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+
+    if (synced > 0) {
+      toast.success(`${synced} ventas sin conexión sincronizadas`);
+    }
+    if (conflicts > 0) {
+      toast.error(`${conflicts} ventas sin conexión con conflictos por resolver`);
+      setOpenQueueDialog(true);
+    }
+    await Promise.all([
+      refreshQueuedSales(),
+      fetchSales(),
+      fetchProducts(),
+      fetchCashSession(),
+      fetchOfflineCatalog(),
+    ]);
+  };
+
+  /**
+   * Checks the connection again after a request failed with the browser still reporting it online
+   */
+  const handleReconnect = async (): Promise<void> => {
+    try {
+      const response = await offlineSalesService.getCatalog();
+      await saveCatalog(response.data);
+      setOfflineCatalog(response.data);
+    } catch (error) {
+      console.error('Error reconnecting:', error);
+      toast.error('Aún sin conexión con el servidor');
+      return;
+    }
+
+    setIsOnline(true);
+    toast.success('Conexión restablecida');
+    await Promise.all([fetchProducts(), fetchCustomers(), fetchCashSession()]);
+    await handleSyncOffline();
+  };
+
+  /**
+   * Sends a sale in conflict again, with the cashier's resolution
+   * @param queued - Sale in conflict
+   * @param changes - Resolution (register without stock, charge current prices) or none to retry as is
+   */
+  const handleRetryOffline = async (queued: QueuedSale, changes: Partial<OfflineSaleInput> = {}): Promise<void> => {
+    await updateQueuedSale({ ...queued, status: 'pending', conflict: undefined, sale: { ...queued.sale, ...changes } });
+    await refreshQueuedSales();
+    if (isOnline) {
+      await handleSyncOffline();
+    }
+  };
+
+  /**
+   * Charges a sale in price conflict at the server's current prices
+   * @param queued - Sale in conflict
+   */
+  const handleRepriceOffline = (queued: QueuedSale): Promise<void> =>
+    handleRetryOffline(queued, {
+      items: queued.sale.items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+      expectedTotal: undefined,
+    });
+
+  /**
+   * Discards a sale from the queue; it is never registered
+   * @param queued - Queued sale
+   */
+  const handleDiscardOffline = async (queued: QueuedSale): Promise<void> => {
+    if (!window.confirm(`¿Descartar la venta ${queued.localNumber}? No quedará registrada.`)) return;
+
+    await removeQueuedSale(queued.clientId);
+    await refreshQueuedSales();
+    toast.success(`Venta ${queued.localNumber} descartada`);
+  };
+
+  // ============================================================================
+  // RETURN FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Opens the return dialog with the units of the sale that can still be returned
+   * @param sale - Sale to return items from
+   */
+  const handleOpenReturn = async (sale: Sale): Promise<void> => {
+    try {
+      const response = await salesService.getById(sale.id);
+      const detail = response.data;
+      const lines: ReturnLineForm[] = detail.items.map(item => ({
+        saleItemId: item.id,
+        productId: item.productId,
+        name: item.product?.name || item.productId,
+        unitPrice: Number(item.unitPrice),
+        available: item.quantity,
+        quantity: 0,
+        damaged: false,
+      }));
+
+      // Returns recorded before sale lines were linked come off the product's lines in order
+      (detail.returns || []).flatMap(saleReturn => saleReturn.items).forEach(item => {
+        let pending = item.quantity;
+        lines
+          .filter(line => (item.saleItemId ? line.saleItemId === item.saleItemId : line.productId === item.productId))
+          .forEach(line => {
+            const taken = Math.min(pending, line.available);
+            line.available -= taken;
+            pending -= taken;
+          });
+      });
+
+      returnKey.current = generateClientId();
+      setReturnSale(detail);
+      setReturnLines(lines.filter(line => line.available > 0));
+      setRefundMethod(detail.paymentMethod === 'credit' ? 'credit' : 'cash');
+      setReturnReason('');
+    } catch (error) {
+      console.error('Error fetching sale:', error);
+      toast.error('Error al cargar la venta');
+    }
+  };
+
+  /**
+   * Updates the quantity or destination of a returned line
+   * @param saleItemId - Sale line
+   * @param changes - Fields to update
+   */
+  const updateReturnLine = (saleItemId: string, changes: Partial<ReturnLineForm>): void => {
+    setReturnLines(lines => lines.map(line => (line.saleItemId === saleItemId ? { ...line, ...changes } : line)));
+  };
+
+  /**
+   * Registers the return; a credit note is issued when the sale was invoiced
+   */
+  const handleSubmitReturn = async (): Promise<void> => {
+    if (!returnSale) return;
+
+    const items = returnLines
+      .filter(line => line.quantity > 0)
+      .map(line => ({
+        saleItemId: line.saleItemId,
+        productId: line.productId,
+        quantity: line.quantity,
+        destination: line.damaged ? 'damaged' as const : 'stock' as const,
+      }));
+
+    if (items.length === 0) {
+      toast.error('Indique las unidades devueltas');
+      return;
+    }
+
+    try {
+      const response = await salesService.createReturn(returnSale.id, {
+        items,
+        refundMethod,
+        reason: returnReason,
+      }, returnKey.current);
+      const creditNote = response.data.creditNote;
+      toast.success(
+        `Devolución ${response.data.returnNumber} por ${formatCurrency(Number(response.data.refundAmount))}` +
+        (creditNote ? ` - nota crédito ${creditNote.noteNumber}` : '')
+      );
+
+      setReturnSale(null);
+      await Promise.all([fetchSales(), fetchCashSession(), fetchProducts()]);
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Error al registrar la devolución');
+    }
+  };
+
   // ============================================================================
   // DIALOG MANAGEMENT FUNCTIONS
   // ============================================================================
@@ -302,7 +1026,8 @@ const SalesPage: React.FC = () => {
         customerId: sale.customer?.id || null,
         customerName: sale.customerName || '',
         paymentMethod: sale.paymentMethod,
-        discount: sale.discount,
+        payments: [],
+        couponCode: sale.couponCode || '',
         items: sale.items.map(item => ({
           productId: item.productId,
           quantity: item.quantity,
@@ -314,22 +1039,234 @@ const SalesPage: React.FC = () => {
         quantity: item.quantity,
         unitPrice: item.unitPrice
       })));
+      setCouponInput(sale.couponCode || '');
+      setTickets([]);
     } else {
+      const ticket = createTicket(1);
       setEditingSale(null);
-      setFormData(DEFAULT_FORM_DATA);
-      setSaleItems([]);
+      setTickets([ticket]);
+      loadTicket(ticket);
     }
     setOpenDialog(true);
   };
 
   /**
-   * Closes the sale dialog and resets form state
+   * Closes the sale dialog and resets form state, discarding the open tickets
    */
-  const handleCloseDialog = (): void => {
+  const resetSaleDialog = (): void => {
     setOpenDialog(false);
     setEditingSale(null);
     setSaleItems([]);
     setFormData(DEFAULT_FORM_DATA);
+    setCouponInput('');
+    setCreditIssues(null);
+    setCreditOverride(DEFAULT_CREDIT_OVERRIDE);
+    setTickets([]);
+    setActiveTicket('');
+    setTicketLabel('');
+    setParkedSaleId(null);
+  };
+
+  /**
+   * Closes the sale dialog, confirming first when open tickets would be lost
+   */
+  const handleCloseDialog = (): void => {
+    const pending = tickets.filter(ticket => ticket.key !== activeTicket && ticket.saleItems.length > 0).length
+      + (!editingSale && saleItems.length > 0 ? 1 : 0);
+    if (pending > 0 && !window.confirm(
+      `Hay ${pending} tiquete(s) sin cobrar que se descartarán; póngalos en espera para recuperarlos después. ¿Cerrar?`
+    )) {
+      return;
+    }
+    resetSaleDialog();
+  };
+
+  // ============================================================================
+  // OPEN TICKETS & PARKED SALES FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Snapshot of the active ticket from the form state
+   */
+  const currentTicket = (): OpenTicket => ({
+    key: activeTicket,
+    label: ticketLabel,
+    parkedSaleId,
+    formData,
+    saleItems,
+    couponInput,
+  });
+
+  /**
+   * Makes a ticket the active one, loading it into the form state
+   * @param ticket - Ticket to load
+   */
+  const loadTicket = (ticket: OpenTicket): void => {
+    setActiveTicket(ticket.key);
+    setTicketLabel(ticket.label);
+    setParkedSaleId(ticket.parkedSaleId);
+    setFormData(ticket.formData);
+    setSaleItems(ticket.saleItems);
+    setCouponInput(ticket.couponInput);
+    setCreditIssues(null);
+  };
+
+  /**
+   * Open tickets with the active one saved
+   */
+  const savedTickets = (): OpenTicket[] =>
+    tickets.map(ticket => (ticket.key === activeTicket ? currentTicket() : ticket));
+
+  /**
+   * Switches to another open ticket, keeping the active one as it is
+   * @param key - Ticket to switch to
+   */
+  const handleSwitchTicket = (key: string): void => {
+    if (key === activeTicket) {
+      return;
+    }
+    const saved = savedTickets();
+    setTickets(saved);
+    loadTicket(saved.find(ticket => ticket.key === key) as OpenTicket);
+  };
+
+  /**
+   * Starts a new ticket for the next customer
+   */
+  const handleAddTicket = (): void => {
+    const ticket = createTicket(tickets.length + 1);
+    setTickets([...savedTickets(), ticket]);
+    loadTicket(ticket);
+  };
+
+  /**
+   * Removes the active ticket once charged or parked and moves to the next one;
+   * the dialog closes when none is left
+   */
+  const closeActiveTicket = (): void => {
+    const remaining = tickets.filter(ticket => ticket.key !== activeTicket);
+    if (remaining.length === 0) {
+      resetSaleDialog();
+      return;
+    }
+    setTickets(remaining);
+    loadTicket(remaining[0]);
+  };
+
+  /**
+   * Parks the active ticket server-side, reserving its units, so it can be
+   * recalled from any terminal
+   */
+  const handleParkTicket = async (): Promise<void> => {
+    if (saleItems.length === 0) {
+      toast.error('Debe agregar al menos un producto');
+      return;
+    }
+
+    const data = {
+      label: ticketLabel.trim() || formData.customerName || 'Tiquete',
+      customerId: formData.customerId || null,
+      customerName: formData.customerName || undefined,
+      couponCode: formData.couponCode || undefined,
+      expiresInMinutes: parkMinutes,
+      items: saleItems.map(item => ({
+        productId: item.productId,
+        quantity: parseInt(item.quantity.toString()),
+      })),
+    };
+
+    try {
+      if (parkedSaleId) {
+        await parkedSalesService.update(parkedSaleId, data);
+      } else {
+        await parkedSalesService.park(data);
+      }
+      toast.success(`Tiquete "${data.label}" en espera por ${parkMinutes} minutos`);
+      closeActiveTicket();
+    } catch (error: any) {
+      // A recalled ticket that was charged elsewhere, cancelled or expired is parked again as new
+      if (error.response?.data?.code === 'PARKED_SALE_CLOSED') {
+        setParkedSaleId(null);
+      }
+      toast.error(error.response?.data?.error || 'Error al poner la venta en espera');
+    }
+  };
+
+  /**
+   * Opens the list of parked sales from every register
+   */
+  const handleOpenParked = async (): Promise<void> => {
+    try {
+      const response = await parkedSalesService.getAll();
+      setParkedSales(response.data);
+      setOpenParkedDialog(true);
+    } catch (error) {
+      console.error('Error fetching parked sales:', error);
+      toast.error('Error al cargar las ventas en espera');
+    }
+  };
+
+  /**
+   * Recalls a parked sale into a new ticket; it stays reserved until charged
+   * @param parked - Parked sale to recall
+   */
+  const handleRecallParked = (parked: ParkedSale): void => {
+    setOpenParkedDialog(false);
+
+    const open = savedTickets().find(ticket => ticket.parkedSaleId === parked.id);
+    if (openDialog && open) {
+      handleSwitchTicket(open.key);
+      return;
+    }
+
+    const ticket: OpenTicket = {
+      key: `parked-${parked.id}`,
+      label: parked.label,
+      parkedSaleId: parked.id,
+      formData: {
+        ...DEFAULT_FORM_DATA,
+        customerId: parked.customerId || null,
+        customerName: parked.customerName || '',
+        couponCode: parked.couponCode || '',
+      },
+      saleItems: parked.items.map(item => ({
+        productId: item.productId,
+        product: products.find(product => product.id === item.productId),
+        quantity: item.quantity,
+        unitPrice: Number(item.unitPrice ?? item.product?.price ?? 0),
+      })),
+      couponInput: parked.couponCode || '',
+    };
+
+    if (!openDialog || editingSale) {
+      setEditingSale(null);
+      setTickets([ticket]);
+      setOpenDialog(true);
+    } else {
+      // An empty active ticket gives way to the recalled one
+      setTickets([
+        ...savedTickets().filter(open => open.key !== activeTicket || open.saleItems.length > 0),
+        ticket,
+      ]);
+    }
+    loadTicket(ticket);
+  };
+
+  /**
+   * Cancels a parked sale, releasing its reserved units
+   * @param parked - Parked sale to cancel
+   */
+  const handleCancelParked = async (parked: ParkedSale): Promise<void> => {
+    if (!window.confirm(`¿Anular el tiquete en espera "${parked.label}"? Sus unidades quedan disponibles.`)) {
+      return;
+    }
+    try {
+      await parkedSalesService.cancel(parked.id);
+      toast.success('Tiquete en espera anulado');
+      setParkedSales(prev => prev.filter(sale => sale.id !== parked.id));
+    } catch (error: any) {
+      toast.error(error.response?.data?.error || 'Error al anular el tiquete');
+    }
   };
 
   // ============================================================================
@@ -344,7 +1281,7 @@ const SalesPage: React.FC = () => {
     const existingItem = saleItems.find(item => item.productId === product.id);
 
     if (existingItem) {
-      if (existingItem.quantity < product.stock) {
+      if (existingItem.quantity < sellableStock(product)) {
         setSaleItems(prev =>
           prev.map(item =>
             item.productId === product.id
@@ -356,7 +1293,7 @@ const SalesPage: React.FC = () => {
         toast.error('No hay suficiente stock disponible');
       }
     } else {
-      if (product.stock > 0) {
+      if (sellableStock(product) > 0) {
         setSaleItems(prev => [
           ...prev,
           {
@@ -384,7 +1321,7 @@ const SalesPage: React.FC = () => {
     }
 
     const product = products.find(p => p.id === productId);
-    if (product && quantity <= product.stock) {
+    if (product && quantity <= sellableStock(product)) {
       setSaleItems(prev =>
         prev.map(item =>
           item.productId === productId ? { ...item, quantity } : item
@@ -411,13 +1348,64 @@ const SalesPage: React.FC = () => {
    * Calculates the current sale totals using memoization for performance
    */
   const currentTotals = useMemo((): SaleTotals => {
-    return calculateSaleTotals(saleItems, formData.discount);
-  }, [saleItems, formData.discount]);
+    return calculateSaleTotals(saleItems);
+  }, [saleItems]);
+
+  /**
+   * Splits the total across the tenders: cash above what is due is change,
+   * and what the tenders do not cover stays on the customer's credit
+   */
+  const tenderTotals = useMemo(() => {
+    const nonCash = formData.payments
+      .filter(tender => tender.method !== 'cash')
+      .reduce((sum, tender) => sum + Number(tender.amount || 0), 0);
+    const cash = formData.payments
+      .filter(tender => tender.method === 'cash')
+      .reduce((sum, tender) => sum + Number(tender.amount || 0), 0);
+    const cashDue = Math.max(currentTotals.totalAmount - nonCash, 0);
+
+    return {
+      nonCash,
+      change: Math.max(cash - cashDue, 0),
+      remainder: Math.max(cashDue - cash, 0),
+    };
+  }, [formData.payments, currentTotals.totalAmount]);
+
+  /**
+   * Adds a tender row to a mixed payment, prefilled with what is still due
+   */
+  const addTender = (): void => {
+    setFormData(prev => ({
+      ...prev,
+      payments: [...prev.payments, { method: 'cash', amount: tenderTotals.remainder, reference: '' }],
+    }));
+  };
+
+  /**
+   * Updates a tender row of a mixed payment
+   * @param index - Row to update
+   * @param changes - Changed fields
+   */
+  const updateTender = (index: number, changes: Partial<TenderForm>): void => {
+    setFormData(prev => ({
+      ...prev,
+      payments: prev.payments.map((tender, i) => (i === index ? { ...tender, ...changes } : tender)),
+    }));
+  };
+
+  /**
+   * Removes a tender row from a mixed payment
+   * @param index - Row to remove
+   */
+  const removeTender = (index: number): void => {
+    setFormData(prev => ({ ...prev, payments: prev.payments.filter((_, i) => i !== index) }));
+  };
 
   /**
    * Handles the submission of the sale form
+   * @param override - Supervisor authorization when the customer's credit status does not allow the sale
    */
-  const handleSubmit = async (): Promise<void> => {
+  const handleSubmit = async (override?: CreditOverride): Promise<void> => {
     if (saleItems.length === 0) {
       toast.error('Debe agregar al menos un producto');
       return;
@@ -427,15 +1415,76 @@ const SalesPage: React.FC = () => {
     const customerId = formData.customerId || null;
     const customerName = formData.customerName || GENERAL_CUSTOMER_NAME;
 
+    const mixed = formData.paymentMethod === 'mixed';
+    const tenders = formData.payments.filter(tender => Number(tender.amount) > 0);
+    if (mixed && tenders.length === 0) {
+      toast.error('Debe registrar al menos un pago');
+      return;
+    }
+    if (mixed && tenderTotals.remainder > 0 && !customerId) {
+      toast.error('Seleccione un cliente registrado para dejar el saldo a crédito');
+      return;
+    }
+
+    if (!isOnline && !editingSale) {
+      // Its online charge may have gone through; retrying it online cannot duplicate it, queueing it can
+      if (saleKeys.current[activeTicket]) {
+        toast.error('Esta venta pudo quedar registrada antes de perder la conexión; cóbrela cuando vuelva la conexión');
+        return;
+      }
+      try {
+        await queueOfflineSale({
+          customerId,
+          customerName,
+          ...(mixed
+            ? {
+                payments: tenders.map(tender => ({
+                  method: tender.method,
+                  amount: Number(tender.amount),
+                  reference: tender.reference || undefined,
+                })),
+              }
+            : { paymentMethod: formData.paymentMethod as OfflineSaleInput['paymentMethod'] }),
+          // The server registers it at the prices charged here and reports a different total as a conflict
+          items: saleItems.map(item => ({
+            productId: item.productId,
+            quantity: parseInt(item.quantity.toString()),
+            unitPrice: item.unitPrice,
+          })),
+          expectedTotal: currentTotals.totalAmount,
+        });
+        if (mixed && tenderTotals.change > 0) {
+          toast.success(`Cambio ${formatCurrency(tenderTotals.change)}`);
+        }
+        closeActiveTicket();
+      } catch (error) {
+        console.error('Error queueing offline sale:', error);
+        toast.error('Error al guardar la venta sin conexión');
+      }
+      return;
+    }
+
     try {
       const saleData = {
         customerId,
         customerName,
-        paymentMethod: formData.paymentMethod,
+        ...(mixed
+          ? {
+              payments: tenders.map(tender => ({
+                method: tender.method,
+                amount: Number(tender.amount),
+                reference: tender.reference || undefined,
+              })),
+            }
+          : { paymentMethod: formData.paymentMethod }),
+        couponCode: formData.couponCode || undefined,
+        creditOverride: override,
+        // Charging a recalled ticket consumes its reservation
+        parkedSaleId: editingSale ? undefined : parkedSaleId || undefined,
+        // Prices and promotions are resolved server-side from the customer's price list
         items: saleItems.map(item => ({
           productId: item.productId,
           quantity: parseInt(item.quantity.toString()),
-          unitPrice: parseFloat(item.unitPrice.toString()),
         })),
       };
 
@@ -443,13 +1492,64 @@ const SalesPage: React.FC = () => {
         await salesService.update(editingSale.id, saleData);
         toast.success('Venta actualizada exitosamente');
       } else {
-        await salesService.create(saleData);
-        toast.success('Venta creada exitosamente');
+        // The same key on every attempt: a retry of a sale that went through returns it instead of charging twice
+        if (!saleKeys.current[activeTicket]) {
+          saleKeys.current[activeTicket] = generateClientId();
+        }
+        const response = await salesService.create(saleData, saleKeys.current[activeTicket]);
+        delete saleKeys.current[activeTicket];
+        const { change, creditAmount } = response.data;
+        toast.success(
+          'Venta creada exitosamente' +
+          (change > 0 ? ` - cambio ${formatCurrency(change)}` : '') +
+          (creditAmount > 0 && mixed ? ` - saldo a crédito ${formatCurrency(creditAmount)}` : '')
+        );
+        handlePrintReceipt(response.data.id, false);
       }
 
-      handleCloseDialog();
-      await fetchSales();
+      if (editingSale) {
+        resetSaleDialog();
+      } else {
+        closeActiveTicket();
+      }
+      await Promise.all([fetchSales(), fetchCashSession()]);
     } catch (error: any) {
+      // The request may or may not have reached the server; charging again reuses its idempotency key
+      if (error.code === 'ERR_NETWORK') {
+        setIsOnline(false);
+        toast.error('Se perdió la conexión antes de confirmar la venta. Cóbrela de nuevo cuando vuelva: si ya quedó registrada no se duplicará');
+        return;
+      }
+      if (error.code === 'ECONNABORTED') {
+        toast.error('El servidor no respondió a tiempo. Cobre de nuevo: si la venta ya quedó registrada no se duplicará');
+        return;
+      }
+      if (error.response?.data?.code === 'IDEMPOTENCY_KEY_IN_PROGRESS') {
+        toast.error('La venta aún se está registrando; intente de nuevo en unos segundos');
+        return;
+      }
+      // The first attempt went through before the ticket changed
+      if (error.response?.data?.code === 'IDEMPOTENCY_KEY_MISMATCH') {
+        delete saleKeys.current[activeTicket];
+        toast.error('Esta venta ya quedó registrada antes de modificar el tiquete; revise el listado de ventas');
+        await fetchSales();
+        return;
+      }
+      if (error.response?.data?.code === 'CASH_SESSION_REQUIRED') {
+        await fetchCashSession();
+      }
+      // Charged at another register, cancelled or expired: the ticket goes on without its reservation
+      if (error.response?.data?.code === 'PARKED_SALE_CLOSED') {
+        setParkedSaleId(null);
+      }
+      if (CREDIT_CONTROL_ERRORS.includes(error.response?.data?.code)) {
+        setCreditIssues(error.response.data.issues);
+        return;
+      }
+      if (override) {
+        setCreditOverride({ ...creditOverride, pin: '' });
+      }
+
       const errorMessage = 
         error.response?.data?.error ||
         error.response?.data?.message ||
@@ -485,7 +1585,7 @@ const SalesPage: React.FC = () => {
    * Gets available products with stock for the autocomplete
    */
   const availableProducts = useMemo(() => {
-    return products.filter(p => p.stock > 0);
+    return products.filter(p => sellableStock(p) > 0);
   }, [products]);
 
   // ============================================================================
@@ -506,13 +1606,68 @@ const SalesPage: React.FC = () => {
         <Typography variant="h4" component="h1">
           🛒 Gestión de Ventas
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={() => handleOpenDialog()}
-        >
-          Nueva Venta
-        </Button>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {!isOnline && (
+            <Chip
+              icon={<CloudOffIcon />}
+              label="Sin conexión"
+              color="warning"
+              onClick={handleReconnect}
+            />
+          )}
+          {queuedSales.length > 0 && (
+            <Button
+              variant="outlined"
+              color={queuedSales.some(queued => queued.status !== 'pending') ? 'error' : 'primary'}
+              startIcon={syncing ? <CircularProgress size={16} /> : <SyncIcon />}
+              onClick={() => setOpenQueueDialog(true)}
+            >
+              {queuedSales.length} por sincronizar
+            </Button>
+          )}
+          {cashSession ? (
+            <>
+              <Chip
+                icon={<PointOfSaleIcon />}
+                label={`Caja ${cashSession.register} · Efectivo esperado ${formatCurrency(cashSummary?.expected.cash || 0)}`}
+                color="success"
+              />
+              <Button
+                variant="outlined"
+                onClick={() => {
+                  setCountedCash(cashSummary?.expected.cash || 0);
+                  setCloseCashDialog(true);
+                }}
+              >
+                Cerrar Caja
+              </Button>
+            </>
+          ) : (
+            <Button
+              variant="outlined"
+              startIcon={<PointOfSaleIcon />}
+              onClick={() => setOpenCashDialog(true)}
+            >
+              Abrir Caja
+            </Button>
+          )}
+          <Button
+            variant="outlined"
+            startIcon={<PauseCircleIcon />}
+            onClick={handleOpenParked}
+            disabled={!cashSession || !isOnline}
+          >
+            Ventas en espera
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => handleOpenDialog()}
+            disabled={!cashSession && isOnline}
+          >
+            Nueva Venta
+          </Button>
+        </Box>
       </Box>
 
       {/* Sales Statistics Cards */}
@@ -627,6 +1782,21 @@ const SalesPage: React.FC = () => {
                       >
                         <EditIcon />
                       </IconButton>
+                      <IconButton
+                        size="small"
+                        title="Imprimir tirilla"
+                        onClick={() => handlePrintReceipt(sale.id)}
+                      >
+                        <PrintIcon />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        title="Devolución"
+                        disabled={sale.status === 'CANCELLED' || sale.status === 'RETURNED'}
+                        onClick={() => handleOpenReturn(sale)}
+                      >
+                        <AssignmentReturnIcon />
+                      </IconButton>
                       <IconButton
                         size="small"
                         color="error"
@@ -648,7 +1818,68 @@ const SalesPage: React.FC = () => {
           {editingSale ? 'Editar Venta' : 'Nueva Venta'}
         </DialogTitle>
         <DialogContent>
+          {!editingSale && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, borderBottom: 1, borderColor: 'divider' }}>
+              <Tabs
+                value={activeTicket}
+                onChange={(_, key) => handleSwitchTicket(key)}
+                variant="scrollable"
+                scrollButtons="auto"
+                sx={{ flexGrow: 1 }}
+              >
+                {tickets.map(ticket => {
+                  const active = ticket.key === activeTicket;
+                  const count = active ? saleItems.length : ticket.saleItems.length;
+                  return (
+                    <Tab
+                      key={ticket.key}
+                      value={ticket.key}
+                      label={`${active ? ticketLabel || 'Tiquete' : ticket.label}${count > 0 ? ` (${count})` : ''}`}
+                      icon={(active ? parkedSaleId : ticket.parkedSaleId) ? <PauseCircleIcon fontSize="small" /> : undefined}
+                      iconPosition="start"
+                    />
+                  );
+                })}
+              </Tabs>
+              <Button size="small" startIcon={<AddIcon />} onClick={handleAddTicket}>
+                Otro tiquete
+              </Button>
+            </Box>
+          )}
           <Grid container spacing={3} sx={{ mt: 1 }}>
+            {!editingSale && (
+              <Grid item xs={12}>
+                <Grid container spacing={2}>
+                  <Grid item xs={12} md={8}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Etiqueta del tiquete"
+                      value={ticketLabel}
+                      onChange={(e) => setTicketLabel(e.target.value)}
+                      inputProps={{ maxLength: 80 }}
+                      helperText={parkedSaleId ? 'Recuperado de espera: sus unidades siguen reservadas hasta cobrarlo' : 'Ej. cliente y placa del camión'}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={4}>
+                    <FormControl fullWidth size="small">
+                      <InputLabel>Reservar por</InputLabel>
+                      <Select
+                        value={parkMinutes}
+                        label="Reservar por"
+                        onChange={(e) => setParkMinutes(Number(e.target.value))}
+                      >
+                        {PARK_MINUTES.map(minutes => (
+                          <MenuItem key={minutes} value={minutes}>
+                            {minutes < 60 ? `${minutes} minutos` : `${minutes / 60} hora(s)`}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                </Grid>
+              </Grid>
+            )}
             {/* Información del cliente */}
             <Grid item xs={12} md={6}>
               <Typography variant="h6" gutterBottom>Información del Cliente</Typography>
@@ -668,6 +1899,19 @@ const SalesPage: React.FC = () => {
                       ))}
                     </Select>
                   </FormControl>
+                  {creditStatus && (
+                    <Typography
+                      variant="caption"
+                      color={creditStatus.isBlocked || creditStatus.overdue.length > 0 ? 'error' : 'text.secondary'}
+                    >
+                      {creditStatus.isBlocked
+                        ? `Cliente bloqueado${creditStatus.blockedReason ? `: ${creditStatus.blockedReason}` : ''} - `
+                        : ''}
+                      {creditStatus.overdue.length > 0 ? `${creditStatus.overdue.length} crédito(s) vencido(s) - ` : ''}
+                      Saldo {formatCurrency(creditStatus.outstanding)}
+                      {creditStatus.available !== null ? ` | Cupo disponible ${formatCurrency(creditStatus.available)}` : ' | Sin cupo definido'}
+                    </Typography>
+                  )}
                 </Grid>
                 <Grid item xs={12}>
                   <TextField
@@ -695,10 +1939,16 @@ const SalesPage: React.FC = () => {
                 <Grid item xs={12} sm={6}>
                   <TextField
                     fullWidth
-                    label="Descuento"
-                    type="number"
-                    value={formData.discount}
-                    onChange={(e) => setFormData({ ...formData, discount: Number(e.target.value) })}
+                    label="Cupón"
+                    value={couponInput}
+                    onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                    onBlur={() => setFormData({ ...formData, couponCode: couponInput.trim() })}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') {
+                        setFormData({ ...formData, couponCode: couponInput.trim() });
+                      }
+                    }}
+                    helperText={formData.couponCode ? `Cupón ${formData.couponCode} aplicado` : 'Las promociones vigentes se aplican solas'}
                   />
                 </Grid>
               </Grid>
@@ -709,7 +1959,7 @@ const SalesPage: React.FC = () => {
               <Typography variant="h6" gutterBottom>Productos Disponibles</Typography>
               <Autocomplete
                 options={availableProducts}
-                getOptionLabel={(option) => `${option.code} - ${option.name} (Stock: ${option.stock})`}
+                getOptionLabel={(option) => `${option.code} - ${option.name} (Disponible: ${sellableStock(option)})`}
                 renderInput={(params) => (
                   <TextField {...params} label="Buscar producto" />
                 )}
@@ -729,7 +1979,10 @@ const SalesPage: React.FC = () => {
                     <ListItem key={item.productId} sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                       <ListItemText
                         primary={`${product?.code || 'N/A'} - ${product?.name || 'Producto no encontrado'}`}
-                        secondary={`Precio: ${formatCurrency(item.unitPrice)} | Stock: ${product?.stock || 0}`}
+                        secondary={
+                          `Precio: ${formatCurrency(item.unitPrice)}${item.priceListName ? ` (${item.priceListName})` : ''} | Disponible: ${product ? sellableStock(product) : 0}`
+                          + (item.discount ? ` | ${item.promotions?.join(', ')}: -${formatCurrency(item.discount)}` : '')
+                        }
                       />
                     <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                       <TextField
@@ -740,7 +1993,7 @@ const SalesPage: React.FC = () => {
                         sx={{ width: 80 }}
                       />
                       <Typography variant="body2" sx={{ minWidth: 100 }}>
-                        {formatCurrency(item.quantity * item.unitPrice)}
+                        {formatCurrency(item.quantity * item.unitPrice - (item.discount || 0))}
                       </Typography>
                       <IconButton
                         size="small"
@@ -767,22 +2020,450 @@ const SalesPage: React.FC = () => {
                 <Typography>Descuento:</Typography>
                 <Typography>-{formatCurrency(currentTotals.discount)}</Typography>
               </Box>
-              <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
-                <Typography>IVA (19%):</Typography>
-                <Typography>{formatCurrency(currentTotals.taxAmount)}</Typography>
-              </Box>
+              {currentTotals.taxes.map((tax) => (
+                <Box key={tax.label} sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography>{tax.label}:</Typography>
+                  <Typography>{formatCurrency(tax.taxAmount)}</Typography>
+                </Box>
+              ))}
+              {currentTotals.taxes.length === 0 && (
+                <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography>Impuestos:</Typography>
+                  <Typography>{formatCurrency(0)}</Typography>
+                </Box>
+              )}
               <Divider />
               <Box sx={{ display: 'flex', justifyContent: 'space-between', fontWeight: 'bold' }}>
                 <Typography variant="h6">Total:</Typography>
                 <Typography variant="h6">{formatCurrency(currentTotals.totalAmount)}</Typography>
               </Box>
             </Grid>
+
+            {/* Pagos de un pago mixto */}
+            {formData.paymentMethod === 'mixed' && (
+              <Grid item xs={12}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                  <Typography variant="h6">Pagos</Typography>
+                  <Button size="small" startIcon={<AddIcon />} onClick={addTender}>
+                    Agregar pago
+                  </Button>
+                </Box>
+                {formData.payments.map((tender, index) => (
+                  <Box key={index} sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 1 }}>
+                    <FormControl size="small" sx={{ minWidth: 180 }}>
+                      <Select
+                        value={tender.method}
+                        onChange={(e) => updateTender(index, { method: e.target.value as TenderMethod })}
+                      >
+                        {Object.entries(TENDER_METHODS).map(([value, label]) => (
+                          <MenuItem key={value} value={value}>
+                            {label}
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                    <TextField
+                      size="small"
+                      type="number"
+                      label={tender.method === 'cash' ? 'Recibido' : 'Valor'}
+                      value={tender.amount}
+                      onChange={(e) => updateTender(index, { amount: Number(e.target.value) })}
+                    />
+                    {tender.method !== 'cash' && (
+                      <TextField
+                        size="small"
+                        label="Referencia"
+                        value={tender.reference}
+                        onChange={(e) => updateTender(index, { reference: e.target.value })}
+                      />
+                    )}
+                    <IconButton size="small" color="error" onClick={() => removeTender(index)}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Box>
+                ))}
+                {tenderTotals.nonCash > currentTotals.totalAmount && (
+                  <Typography color="error" variant="body2" sx={{ mt: 1 }}>
+                    Los pagos con tarjeta o transferencia superan el total
+                  </Typography>
+                )}
+                {tenderTotals.change > 0 && (
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
+                    <Typography>Cambio:</Typography>
+                    <Typography>{formatCurrency(tenderTotals.change)}</Typography>
+                  </Box>
+                )}
+                {tenderTotals.remainder > 0 && (
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', mt: 1 }}>
+                    <Typography>Saldo a crédito:</Typography>
+                    <Typography>{formatCurrency(tenderTotals.remainder)}</Typography>
+                  </Box>
+                )}
+              </Grid>
+            )}
           </Grid>
         </DialogContent>
         <DialogActions>
+          {!editingSale && (
+            <>
+              <Button onClick={handleOpenParked} sx={{ mr: 'auto' }} disabled={!isOnline}>
+                Ventas en espera
+              </Button>
+              <Button startIcon={<PauseCircleIcon />} onClick={handleParkTicket} disabled={!isOnline}>
+                Poner en espera
+              </Button>
+            </>
+          )}
           <Button onClick={handleCloseDialog}>Cancelar</Button>
-          <Button onClick={handleSubmit} variant="contained">
-            {editingSale ? 'Actualizar' : 'Crear Venta'}
+          <Button onClick={() => handleSubmit()} variant="contained" disabled={Boolean(editingSale) && !isOnline}>
+            {editingSale ? 'Actualizar' : isOnline ? 'Crear Venta' : 'Guardar sin conexión'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog de ventas en espera (todas las cajas) */}
+      <Dialog open={openParkedDialog} onClose={() => setOpenParkedDialog(false)} maxWidth="md" fullWidth>
+        <DialogTitle>Ventas en espera</DialogTitle>
+        <DialogContent>
+          {parkedSales.length === 0 ? (
+            <Typography color="text.secondary" sx={{ py: 2 }}>
+              No hay ventas en espera
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Tiquete</TableCell>
+                    <TableCell>Cliente</TableCell>
+                    <TableCell align="right">Productos</TableCell>
+                    <TableCell>Caja</TableCell>
+                    <TableCell>Vence</TableCell>
+                    <TableCell align="right">Acciones</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {parkedSales.map(parked => (
+                    <TableRow key={parked.id}>
+                      <TableCell>{parked.label}</TableCell>
+                      <TableCell>{parked.customer?.name || parked.customerName || GENERAL_CUSTOMER_NAME}</TableCell>
+                      <TableCell align="right">
+                        {parked.items.reduce((total, item) => total + item.quantity, 0)}
+                      </TableCell>
+                      <TableCell>
+                        {parked.register || '-'}
+                        {parked.user && (
+                          <Typography variant="caption" display="block" color="text.secondary">
+                            {parked.user.firstName} {parked.user.lastName}
+                          </Typography>
+                        )}
+                      </TableCell>
+                      <TableCell>{new Date(parked.expiresAt).toLocaleTimeString('es-CO', { hour: '2-digit', minute: '2-digit' })}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" onClick={() => handleRecallParked(parked)}>
+                          Recuperar
+                        </Button>
+                        <Button size="small" color="error" onClick={() => handleCancelParked(parked)}>
+                          Anular
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenParkedDialog(false)}>Cerrar</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog de ventas sin conexión por sincronizar */}
+      <Dialog open={openQueueDialog} onClose={() => setOpenQueueDialog(false)} maxWidth="lg" fullWidth>
+        <DialogTitle>Ventas sin conexión</DialogTitle>
+        <DialogContent>
+          {queuedSales.length === 0 ? (
+            <Typography color="text.secondary" sx={{ py: 2 }}>
+              No hay ventas por sincronizar
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Número</TableCell>
+                    <TableCell>Fecha</TableCell>
+                    <TableCell>Cliente</TableCell>
+                    <TableCell align="right">Total</TableCell>
+                    <TableCell>Estado</TableCell>
+                    <TableCell align="right">Acciones</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {queuedSales.map(queued => (
+                    <TableRow key={queued.clientId}>
+                      <TableCell>{queued.localNumber}</TableCell>
+                      <TableCell>{new Date(queued.sale.createdAt).toLocaleString('es-CO')}</TableCell>
+                      <TableCell>{queued.sale.customerName || GENERAL_CUSTOMER_NAME}</TableCell>
+                      <TableCell align="right">
+                        {queued.sale.expectedTotal !== undefined ? formatCurrency(queued.sale.expectedTotal) : '-'}
+                      </TableCell>
+                      <TableCell>
+                        {queued.conflict ? (
+                          <>
+                            <Chip
+                              label={OFFLINE_CONFLICT_LABELS[queued.conflict.type] || queued.conflict.type}
+                              color="error"
+                              size="small"
+                            />
+                            <Typography variant="caption" display="block" color="text.secondary">
+                              {queued.conflict.message}
+                            </Typography>
+                          </>
+                        ) : (
+                          <Chip label="Pendiente" size="small" />
+                        )}
+                      </TableCell>
+                      <TableCell align="right">
+                        {queued.conflict?.type === 'stock' && (
+                          <Button size="small" onClick={() => handleRetryOffline(queued, { allowStockShortage: true })}>
+                            Registrar sin existencias
+                          </Button>
+                        )}
+                        {queued.conflict?.type === 'price' && (
+                          <Button size="small" onClick={() => handleRepriceOffline(queued)}>
+                            Cobrar a precio actual
+                          </Button>
+                        )}
+                        {queued.status !== 'pending' && (
+                          <Button size="small" onClick={() => handleRetryOffline(queued)}>
+                            Reintentar
+                          </Button>
+                        )}
+                        <Button size="small" color="error" onClick={() => handleDiscardOffline(queued)}>
+                          Descartar
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button
+            startIcon={<SyncIcon />}
+            onClick={handleSyncOffline}
+            disabled={!isOnline || syncing || !queuedSales.some(queued => queued.status === 'pending')}
+          >
+            Sincronizar
+          </Button>
+          <Button onClick={() => setOpenQueueDialog(false)}>Cerrar</Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog para abrir caja */}
+      <Dialog open={openCashDialog} onClose={() => setOpenCashDialog(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Abrir Caja</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Caja"
+            value={register}
+            onChange={(e) => setRegister(e.target.value)}
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Base de caja"
+            type="number"
+            value={openingFloat}
+            onChange={(e) => setOpeningFloat(Number(e.target.value))}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenCashDialog(false)}>Cancelar</Button>
+          <Button onClick={handleOpenCash} variant="contained" disabled={!register}>
+            Abrir
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog para cerrar caja */}
+      <Dialog open={closeCashDialog} onClose={() => setCloseCashDialog(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Cerrar Caja {cashSession?.register}</DialogTitle>
+        <DialogContent>
+          {cashSummary && (
+            <Box sx={{ mt: 1 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Typography>Base de caja:</Typography>
+                <Typography>{formatCurrency(cashSummary.openingFloat)}</Typography>
+              </Box>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Typography>Ventas ({cashSummary.sales.count}):</Typography>
+                <Typography>{formatCurrency(cashSummary.sales.total)}</Typography>
+              </Box>
+              {cashSummary.refunds.count > 0 && (
+                <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <Typography>Devoluciones ({cashSummary.refunds.count}):</Typography>
+                  <Typography>-{formatCurrency(cashSummary.refunds.total)}</Typography>
+                </Box>
+              )}
+              <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Typography>Entradas / salidas:</Typography>
+                <Typography>{formatCurrency(cashSummary.movements.in - cashSummary.movements.out)}</Typography>
+              </Box>
+              <Divider sx={{ my: 1 }} />
+              <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Typography variant="subtitle1">Efectivo esperado:</Typography>
+                <Typography variant="subtitle1">{formatCurrency(cashSummary.expected.cash)}</Typography>
+              </Box>
+            </Box>
+          )}
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Efectivo contado"
+            type="number"
+            value={countedCash}
+            onChange={(e) => setCountedCash(Number(e.target.value))}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCloseCashDialog(false)}>Cancelar</Button>
+          <Button onClick={handleCloseCash} variant="contained">
+            Cerrar e imprimir informe Z
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog para devoluciones */}
+      <Dialog open={Boolean(returnSale)} onClose={() => setReturnSale(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Devolución de la venta {returnSale?.invoiceNumber}</DialogTitle>
+        <DialogContent>
+          {returnLines.length === 0 ? (
+            <Typography sx={{ mt: 1 }}>Todas las unidades de esta venta ya fueron devueltas</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Producto</TableCell>
+                  <TableCell>Precio</TableCell>
+                  <TableCell>Disponible</TableCell>
+                  <TableCell>Devuelve</TableCell>
+                  <TableCell>Averiado</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {returnLines.map(line => (
+                  <TableRow key={line.saleItemId}>
+                    <TableCell>{line.name}</TableCell>
+                    <TableCell>{formatCurrency(line.unitPrice)}</TableCell>
+                    <TableCell>{line.available}</TableCell>
+                    <TableCell>
+                      <TextField
+                        type="number"
+                        size="small"
+                        value={line.quantity}
+                        onChange={(e) => updateReturnLine(line.saleItemId, {
+                          quantity: Math.min(line.available, Math.max(0, parseInt(e.target.value) || 0)),
+                        })}
+                        inputProps={{ min: 0, max: line.available }}
+                        sx={{ width: 80 }}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <Checkbox
+                        checked={line.damaged}
+                        onChange={(e) => updateReturnLine(line.saleItemId, { damaged: e.target.checked })}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Reintegro</InputLabel>
+            <Select
+              value={refundMethod}
+              label="Reintegro"
+              onChange={(e) => setRefundMethod(e.target.value as SaleReturn['refundMethod'])}
+            >
+              {Object.entries(REFUND_METHODS)
+                .filter(([method]) => method !== 'credit' || ['credit', 'mixed'].includes(returnSale?.paymentMethod || ''))
+                .filter(([method]) => method !== 'store_credit' || returnSale?.customerId)
+                .map(([method, label]) => (
+                  <MenuItem key={method} value={method}>{label}</MenuItem>
+                ))}
+            </Select>
+          </FormControl>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Motivo"
+            value={returnReason}
+            onChange={(e) => setReturnReason(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReturnSale(null)}>Cancelar</Button>
+          <Button
+            onClick={handleSubmitReturn}
+            variant="contained"
+            disabled={!returnReason || !returnLines.some(line => line.quantity > 0)}
+          >
+            Registrar devolución
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Dialog de autorización del supervisor para ventas a crédito */}
+      <Dialog open={Boolean(creditIssues)} onClose={() => setCreditIssues(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Autorización de crédito</DialogTitle>
+        <DialogContent>
+          <List dense>
+            {(creditIssues || []).map(issue => (
+              <ListItem key={issue.code}>
+                <ListItemText primary={issue.message} />
+              </ListItem>
+            ))}
+          </List>
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Usuario del supervisor"
+            value={creditOverride.username}
+            onChange={(e) => setCreditOverride({ ...creditOverride, username: e.target.value })}
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label="PIN"
+            type="password"
+            inputProps={{ inputMode: 'numeric' }}
+            value={creditOverride.pin}
+            onChange={(e) => setCreditOverride({ ...creditOverride, pin: e.target.value })}
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            label="Motivo"
+            value={creditOverride.reason}
+            onChange={(e) => setCreditOverride({ ...creditOverride, reason: e.target.value })}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreditIssues(null)}>Cancelar</Button>
+          <Button
+            onClick={() => handleSubmit({ ...creditOverride, reason: creditOverride.reason || undefined })}
+            variant="contained"
+            disabled={!creditOverride.username || !creditOverride.pin}
+          >
+            Autorizar y registrar
           </Button>
         </DialogActions>
       </Dialog>
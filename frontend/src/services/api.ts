@@ -1,7 +1,7 @@
 // ============================================================================
 // DEPENDENCIES
 // ============================================================================
-import axios, { AxiosInstance, AxiosResponse, AxiosError } from 'axios';
+import axios, { AxiosInstance, AxiosResponse, AxiosError, AxiosRequestConfig } from 'axios';
 
 // ============================================================================
 // TYPES & INTERFACES
@@ -55,6 +55,14 @@ const API_CONFIG = {
  */
 const api: AxiosInstance = axios.create(API_CONFIG);
 
+/**
+ * Request config with an Idempotency-Key header: the server answers a retry with the
+ * same key with the original response instead of charging again
+ * @param idempotencyKey - Key generated once per operation and reused on its retries
+ */
+const withIdempotencyKey = (idempotencyKey?: string): AxiosRequestConfig | undefined =>
+  idempotencyKey ? { headers: { 'Idempotency-Key': idempotencyKey } } : undefined;
+
 // ============================================================================
 // INTERCEPTORS
 // ============================================================================
@@ -109,10 +117,155 @@ interface Customer {
   city?: string;
   taxId: string;
   creditLimit?: number;
+  /** Balance in the customer's favour from returns */
+  storeCredit?: number;
+  taxRegime?: string | null;
+  /** Customer withholds ReteFuente/ReteIVA/ReteICA on its purchases */
+  isWithholdingAgent?: boolean;
+  municipalityCode?: string | null;
+  groupId?: string | null;
+  group?: { id: string; name: string; priceListId?: string | null; isActive?: boolean } | null;
+  /** Own price list; takes precedence over the group's and the default list */
+  priceListId?: string | null;
+  priceList?: { id: string; name: string } | null;
   isActive: boolean;
+  /** Blocked customers cannot buy on credit without a supervisor's authorization */
+  isBlocked?: boolean;
+  blockedReason?: string | null;
   createdAt: string;
 }
 
+/**
+ * Customer credit status checked on credit sales
+ */
+interface CreditStatus {
+  /** null when the customer has no credit limit */
+  creditLimit: number | null;
+  outstanding: number;
+  available: number | null;
+  overdue: { id: string; saleId?: string | null; dueDate: string; balance: number }[];
+  isBlocked: boolean;
+  blockedReason: string | null;
+}
+
+/**
+ * Supervisor authorization for a credit sale the customer's credit status does not allow
+ */
+interface CreditOverride {
+  username: string;
+  pin: string;
+  reason?: string;
+}
+
+/**
+ * Customer group (mayorista, cooperativa...) sharing a price list
+ */
+interface CustomerGroup {
+  id: string;
+  name: string;
+  description?: string | null;
+  priceListId?: string | null;
+  priceList?: { id: string; name: string } | null;
+  isActive: boolean;
+  _count?: { customers: number };
+}
+
+/**
+ * Price list with per-product quantity breaks
+ */
+interface PriceList {
+  id: string;
+  name: string;
+  description?: string | null;
+  /** Applies to customers without a list of their own or of their group */
+  isDefault: boolean;
+  validFrom?: string | null;
+  validTo?: string | null;
+  isActive: boolean;
+  items?: PriceListItem[];
+  _count?: { items: number; customers: number; groups: number };
+}
+
+/**
+ * Price of a product from a minimum quantity per line
+ */
+interface PriceListItem {
+  id?: string;
+  productId: string;
+  product?: Pick<Product, 'id' | 'code' | 'name' | 'price' | 'cost'>;
+  minQuantity: number;
+  price: number;
+}
+
+/**
+ * Price resolved server-side for a customer and quantity
+ */
+interface ResolvedPrice {
+  productId: string;
+  quantity: number;
+  basePrice: number;
+  price: number;
+  priceListId: string | null;
+  priceListName: string | null;
+  minQuantity: number | null;
+  /** Unit price after promotions */
+  netPrice: number;
+  discount: number;
+  promotions: { promotionId: string; name: string; amount: number }[];
+}
+
+/**
+ * Promotion: percentage or amount off, buy X get Y, combo price; optionally with a coupon
+ */
+interface Promotion {
+  id: string;
+  name: string;
+  description?: string | null;
+  type: 'PERCENTAGE' | 'AMOUNT' | 'BUY_X_GET_Y' | 'COMBO';
+  /** Percent off, amount off per unit, percent off the Y units (100 = free) or combo price */
+  value: number;
+  buyQuantity?: number | null;
+  getQuantity?: number | null;
+  /** Category-wide campaign */
+  categoryId?: string | null;
+  category?: { id: string; name: string } | null;
+  /** Products in scope; for combos, the quantity of each one in the combo */
+  products?: { productId: string; quantity: number; product?: Pick<Product, 'id' | 'code' | 'name' | 'price'> }[];
+  couponCode?: string | null;
+  minSubtotal?: number | null;
+  stackable: boolean;
+  priority: number;
+  startsAt: string;
+  endsAt?: string | null;
+  usageLimit?: number | null;
+  usageCount: number;
+  isActive: boolean;
+  usage?: { lines: number; discount: number };
+}
+
+/**
+ * Withholding practiced on a sale or purchase
+ */
+interface Withholding {
+  id: string;
+  type: 'RETEFUENTE' | 'RETEIVA' | 'RETEICA';
+  concept: string;
+  rate: number;
+  baseAmount: number;
+  amount: number;
+  municipalityCode?: string | null;
+}
+
+/**
+ * Tax applied to a product line (from its tax class, its category's, or the general IVA)
+ */
+interface ProductTax {
+  /** DIAN tax code: 01 IVA, 04 INC; null for excluded goods */
+  code: string | null;
+  name: string | null;
+  percent: number;
+}
+
 /**
  * Product interface
  */
@@ -125,11 +278,17 @@ interface Product {
   price: number;
   cost?: number;
   stock: number;
+  /** Units held by parked sales and layaways */
+  reserved?: number;
+  /** Stock that can be sold (stock - reserved) */
+  available?: number;
   minStock?: number;
   maxStock?: number;
   unit: string;
   categoryId?: string;
   category?: any;
+  taxClassId?: string | null;
+  tax?: ProductTax;
   isActive: boolean;
   hasExpiration?: boolean;
   createdAt: string;
@@ -146,12 +305,33 @@ interface Sale {
   customerName: string;
   totalAmount: number;
   taxAmount: number;
+  /** Net of promotion discounts */
   subtotal: number;
+  /** Promotion discounts, already deducted from the subtotal */
   discount: number;
+  couponCode?: string | null;
+  /** Withheld by the customer; the amount receivable is totalAmount - withholdingTotal */
+  withholdingTotal?: number;
+  withholdings?: Withholding[];
+  /** Single method, or 'mixed' when paid with several tenders or partly on credit */
   paymentMethod: string;
+  payments?: SalePayment[];
   status: string;
   createdAt: string;
   items: SaleItem[];
+  returns?: SaleReturn[];
+}
+
+/**
+ * Tender received on a sale
+ */
+interface SalePayment {
+  id: string;
+  method: 'cash' | 'card' | 'transfer';
+  /** Amount applied to the sale (cash received minus change) */
+  amount: number;
+  changeDue: number;
+  reference?: string | null;
 }
 
 /**
@@ -164,6 +344,291 @@ interface SaleItem {
   quantity: number;
   unitPrice: number;
   totalPrice: number;
+  /** Price the customer's list resolved when the sale was made */
+  listPrice?: number | null;
+  priceListId?: string | null;
+  /** Manual price below the list price or below cost */
+  priceOverride?: 'BELOW_LIST' | 'BELOW_COST' | null;
+  /** Promotion discount on the line; unitPrice is already net of it */
+  discount?: number;
+  promotions?: { id: string; promotionId: string; amount: number; promotion?: Pick<Promotion, 'id' | 'name' | 'type' | 'couponCode'> }[];
+  taxCode?: string | null;
+  taxPercent?: number;
+  taxAmount?: number;
+}
+
+/**
+ * Return of part of a sale
+ */
+interface SaleReturn {
+  id: string;
+  returnNumber: string;
+  saleId: string;
+  reason: string;
+  refundMethod: 'cash' | 'store_credit' | 'credit';
+  subtotal: number;
+  taxAmount: number;
+  totalAmount: number;
+  /** Total minus the share withheld by the customer */
+  refundAmount: number;
+  creditNoteId?: string | null;
+  creditNote?: { id: string; noteNumber: string; status: string; total: number } | null;
+  createdAt: string;
+  items: {
+    id: string;
+    /** Sale line returned; null on returns recorded before lines were linked */
+    saleItemId?: string | null;
+    productId: string;
+    product?: Product;
+    quantity: number;
+    unitPrice: number;
+    totalPrice: number;
+    destination: 'stock' | 'damaged';
+  }[];
+}
+
+/**
+ * Sale parked while the customer is away; its units stay reserved until it is charged,
+ * cancelled or expires
+ */
+interface ParkedSale {
+  id: string;
+  label: string;
+  customerId?: string | null;
+  customer?: { id: string; name: string; taxId?: string | null } | null;
+  customerName?: string | null;
+  couponCode?: string | null;
+  notes?: string | null;
+  status: 'parked' | 'completed' | 'cancelled' | 'expired';
+  expiresAt: string;
+  /** Register where it was parked */
+  register?: string | null;
+  user?: { id: string; username: string; firstName: string; lastName: string };
+  items: {
+    id: string;
+    productId: string;
+    quantity: number;
+    /** Keyed-in price; without it the list price applies when charged */
+    unitPrice?: number | null;
+    product?: Pick<Product, 'id' | 'code' | 'name' | 'price' | 'stock'>;
+  }[];
+  sale?: { id: string; invoiceNumber: string } | null;
+  createdAt: string;
+}
+
+/**
+ * Data to park a sale
+ */
+interface ParkedSaleInput {
+  label: string;
+  customerId?: string | null;
+  customerName?: string;
+  couponCode?: string;
+  notes?: string;
+  /** Reservation time (server default 120 minutes) */
+  expiresInMinutes?: number;
+  items: { productId: string; quantity: number; unitPrice?: number }[];
+}
+
+/**
+ * Layaway (plan separe): reserved units paid with deposits and collected later
+ */
+interface Layaway {
+  id: string;
+  layawayNumber: string;
+  customerId: string;
+  customer?: { id: string; name: string; taxId?: string | null; phone?: string | null };
+  /** expired: deposits awaiting refund */
+  status: 'active' | 'completed' | 'expired' | 'refunded' | 'forfeited';
+  expiresAt: string;
+  /** What happens to the deposits on expiry or cancellation */
+  expiryPolicy: 'refund' | 'forfeit';
+  subtotal: number;
+  taxAmount: number;
+  totalAmount: number;
+  paid: number;
+  balance: number;
+  refundAmount?: number | null;
+  refundedAt?: string | null;
+  notes?: string | null;
+  items: {
+    id: string;
+    productId: string;
+    quantity: number;
+    /** Agreed price, kept when it is converted into a sale */
+    unitPrice: number;
+    totalPrice: number;
+    taxAmount: number;
+    product?: Pick<Product, 'id' | 'code' | 'name' | 'price' | 'stock'>;
+  }[];
+  payments: { id: string; method: string; amount: number; reference?: string | null; createdAt: string }[];
+  sale?: { id: string; invoiceNumber: string } | null;
+  user?: { id: string; username: string; firstName: string; lastName: string };
+  createdAt: string;
+}
+
+/**
+ * Deposit received on a layaway
+ */
+interface LayawayDeposit {
+  method: 'cash' | 'card' | 'transfer';
+  amount: number;
+  reference?: string;
+}
+
+/**
+ * Catalog the POS keeps in IndexedDB to sell without connection
+ */
+interface OfflineCatalog {
+  generatedAt: string;
+  products: Product[];
+  customers: Customer[];
+  /** Price lists in force with their quantity breaks */
+  priceLists: PriceList[];
+}
+
+/**
+ * Sale recorded while offline, sent to the bulk sync endpoint
+ */
+interface OfflineSaleInput {
+  /** Generated by the POS; resending a registered sale returns it as duplicate */
+  clientId: string;
+  /** When it was sold */
+  createdAt: string;
+  customerId?: string | null;
+  customerName?: string;
+  /** Lines at the prices charged offline */
+  items: { productId: string; quantity: number; unitPrice?: number }[];
+  payments?: { method: 'cash' | 'card' | 'transfer'; amount: number; reference?: string }[];
+  paymentMethod?: 'cash' | 'card' | 'transfer' | 'credit';
+  /** Total charged offline; a different server total is a price conflict */
+  expectedTotal?: number;
+  /** Register the sale even without stock (requires inventory:update) */
+  allowStockShortage?: boolean;
+  notes?: string;
+}
+
+/**
+ * Result of syncing one offline sale
+ */
+interface OfflineSyncResult {
+  clientId: string;
+  status: 'synced' | 'duplicate' | 'conflict' | 'error';
+  sale?: { id: string; invoiceNumber: string; totalAmount: number; status: string; change?: number; creditAmount?: number };
+  conflict?: {
+    type: 'stock' | 'price' | 'catalog' | 'numbering' | 'cash_session' | 'credit' | 'promotion' | 'sale' | 'server';
+    code: string;
+    message: string;
+    issues?: any[];
+  };
+}
+
+/**
+ * Quotation (cotización) that can be converted into a sale
+ */
+interface Quotation {
+  id: string;
+  quoteNumber: string;
+  customerId?: string | null;
+  customer?: Customer | null;
+  customerName?: string | null;
+  customerEmail?: string | null;
+  status: 'draft' | 'sent' | 'accepted' | 'expired';
+  validUntil: string;
+  terms?: string | null;
+  notes?: string | null;
+  subtotal: number;
+  taxAmount: number;
+  totalAmount: number;
+  saleId?: string | null;
+  sale?: { id: string; invoiceNumber: string; totalAmount: number; createdAt: string } | null;
+  user?: { id: string; username: string; firstName: string; lastName: string };
+  sentAt?: string | null;
+  acceptedAt?: string | null;
+  createdAt: string;
+  items: {
+    id: string;
+    productId: string;
+    product?: Product;
+    quantity: number;
+    unitPrice: number;
+    totalPrice: number;
+    taxAmount: number;
+  }[];
+}
+
+/**
+ * Stock and price check of a quotation line against the current list price
+ */
+interface QuotationCheck {
+  productId: string;
+  name: string;
+  quantity: number;
+  stock: number;
+  /** Units reserved by parked sales; they cannot be sold */
+  reserved: number;
+  /** Price on the quotation, possibly negotiated below the list */
+  quotedPrice: number;
+  /** Customer list price when the line was quoted; priceChanged compares it with currentPrice */
+  quotedListPrice: number;
+  currentPrice: number;
+  insufficientStock: boolean;
+  priceChanged: boolean;
+}
+
+/**
+ * Cash register session (turno de caja)
+ */
+interface CashSession {
+  id: string;
+  register: string;
+  userId: string;
+  status: 'open' | 'closed';
+  openingFloat: number;
+  openedAt: string;
+  closedAt?: string | null;
+  expectedCash?: number | null;
+  countedCash?: number | null;
+  cashDifference?: number | null;
+  reconciliation?: Record<string, { expected: number; counted: number | null; difference: number | null }> | null;
+  notes?: string | null;
+}
+
+/**
+ * Running totals of a cash register session
+ */
+interface CashSessionSummary {
+  openingFloat: number;
+  sales: {
+    count: number;
+    cancelled: number;
+    total: number;
+    withheld: number;
+    byMethod: Record<string, { count: number; total: number; withheld: number; collected: number }>;
+  };
+  payments: { count: number; total: number; byMethod: Record<string, number> };
+  /** Layaway deposits received */
+  deposits: { count: number; total: number; byMethod: Record<string, number> };
+  /** Returns refunded in cash from the register */
+  refunds: { count: number; total: number };
+  /** Layaway deposits paid back in cash */
+  layawayRefunds: { count: number; total: number };
+  movements: { in: number; out: number; items: CashMovement[] };
+  creditSales: number;
+  /** Expected amount per payment method; cash includes the opening float and movements */
+  expected: Record<string, number>;
+}
+
+/**
+ * Cash in/out movement of a session
+ */
+interface CashMovement {
+  id: string;
+  type: 'in' | 'out';
+  category: 'DEPOSIT' | 'EXPENSE' | 'WITHDRAWAL' | 'OTHER';
+  amount: number;
+  description: string;
+  createdAt: string;
 }
 
 // ============================================================================
@@ -244,6 +709,142 @@ export const customersService = {
    */
   delete: (id: string): Promise<AxiosResponse<ApiResponse>> =>
     api.delete(`/customers/${id}`),
+
+  /**
+   * Get customer credit status
+   * @param id - Customer ID
+   * @returns Promise with credit limit, outstanding balance, overdue credits and block
+   */
+  getCreditStatus: (id: string): Promise<AxiosResponse<CreditStatus>> =>
+    api.get(`/customers/${id}/credit-status`),
+};
+
+/**
+ * Customer groups service
+ */
+export const customerGroupsService = {
+  /**
+   * Get all customer groups
+   * @returns Promise with customer groups
+   */
+  getAll: (): Promise<AxiosResponse<CustomerGroup[]>> =>
+    api.get('/customer-groups'),
+
+  /**
+   * Create customer group
+   * @param data - Group data
+   * @returns Promise with created group
+   */
+  create: (data: Partial<CustomerGroup>): Promise<AxiosResponse<CustomerGroup>> =>
+    api.post('/customer-groups', data),
+
+  /**
+   * Update customer group
+   * @param id - Group ID
+   * @param data - Updated group data
+   * @returns Promise with updated group
+   */
+  update: (id: string, data: Partial<CustomerGroup>): Promise<AxiosResponse<CustomerGroup>> =>
+    api.put(`/customer-groups/${id}`, data),
+
+  /**
+   * Delete customer group
+   * @param id - Group ID
+   * @returns Promise with deletion response
+   */
+  delete: (id: string): Promise<AxiosResponse<ApiResponse>> =>
+    api.delete(`/customer-groups/${id}`),
+};
+
+/**
+ * Price lists service
+ */
+export const priceListsService = {
+  /**
+   * Get all price lists
+   * @returns Promise with price lists
+   */
+  getAll: (): Promise<AxiosResponse<PriceList[]>> =>
+    api.get('/price-lists'),
+
+  /**
+   * Get price list with its quantity breaks
+   * @param id - Price list ID
+   * @returns Promise with price list data
+   */
+  getById: (id: string): Promise<AxiosResponse<PriceList>> =>
+    api.get(`/price-lists/${id}`),
+
+  /**
+   * Create price list
+   * @param data - Price list data and items
+   * @returns Promise with created price list
+   */
+  create: (data: Partial<PriceList>): Promise<AxiosResponse<PriceList>> =>
+    api.post('/price-lists', data),
+
+  /**
+   * Update price list; items, when sent, replace all of its prices
+   * @param id - Price list ID
+   * @param data - Updated price list data
+   * @returns Promise with updated price list
+   */
+  update: (id: string, data: Partial<PriceList>): Promise<AxiosResponse<PriceList>> =>
+    api.put(`/price-lists/${id}`, data),
+
+  /**
+   * Delete price list
+   * @param id - Price list ID
+   * @returns Promise with deletion response
+   */
+  delete: (id: string): Promise<AxiosResponse<ApiResponse>> =>
+    api.delete(`/price-lists/${id}`),
+};
+
+/**
+ * Promotions service
+ */
+export const promotionsService = {
+  /**
+   * Get promotions
+   * @param params - Query parameters (active: only those in force today)
+   * @returns Promise with promotions
+   */
+  getAll: (params?: { active?: boolean }): Promise<AxiosResponse<Promotion[]>> =>
+    api.get('/promotions', { params }),
+
+  /**
+   * Get promotion with its usage so far
+   * @param id - Promotion ID
+   * @returns Promise with promotion data
+   */
+  getById: (id: string): Promise<AxiosResponse<Promotion>> =>
+    api.get(`/promotions/${id}`),
+
+  /**
+   * Create promotion
+   * @param data - Promotion data
+   * @returns Promise with created promotion
+   */
+  create: (data: Partial<Promotion>): Promise<AxiosResponse<Promotion>> =>
+    api.post('/promotions', data),
+
+  /**
+   * Update promotion
+   * @param id - Promotion ID
+   * @param data - Updated promotion data
+   * @returns Promise with updated promotion
+   */
+  update: (id: string, data: Partial<Promotion>): Promise<AxiosResponse<Promotion>> =>
+    api.put(`/promotions/${id}`, data),
+
+  /**
+   * Delete promotion
+   * @param id - Promotion ID
+   * @returns Promise with deletion response
+   */
+  delete: (id: string): Promise<AxiosResponse<ApiResponse>> =>
+    api.delete(`/promotions/${id}`),
 };
 
 /**
@@ -314,11 +915,21 @@ export const salesService = {
 
   /**
    * Create new sale
-   * @param data - Sale data
-   * @returns Promise with created sale
+   * @param data - Sale data; payments splits it across tenders and leaves the rest on credit, which a
+   *   supervisor authorizes with creditOverride when the customer is blocked, overdue or over the limit
+   * @param idempotencyKey - Key of this charge, reused if it is retried
+   * @returns Promise with created sale, the change due and the amount left on credit
+   */
+  create: (data: any, idempotencyKey?: string): Promise<AxiosResponse<Sale & { change: number; creditAmount: number }>> =>
+    api.post('/sales', data, withIdempotencyKey(idempotencyKey)),
+
+  /**
+   * Resolve the customer's list prices and the promotions for the cart lines
+   * @param data - Customer and coupon (optional) and lines
+   * @returns Promise with the price and discount per line and the applied coupon
    */
-  create: (data: any): Promise<AxiosResponse<Sale>> =>
-    api.post('/sales', data),
+  resolvePrices: (data: { customerId?: string; couponCode?: string; items: { productId: string; quantity: number }[] }): Promise<AxiosResponse<{ prices: ResolvedPrice[]; coupon: { id: string; name: string } | null }>> =>
+    api.post('/sales/prices', data),
 
   /**
    * Update sale
@@ -336,6 +947,328 @@ export const salesService = {
    */
   delete: (id: string): Promise<AxiosResponse<ApiResponse>> =>
     api.delete(`/sales/${id}`),
+
+  /**
+   * Return part of a sale
+   * @param id - Sale ID
+   * @param data - Returned items, refund method and reason
+   * @param idempotencyKey - Key of this return, reused if it is retried
+   * @returns Promise with the created return
+   */
+  createReturn: (id: string, data: {
+    items: { saleItemId?: string; productId: string; quantity: number; destination?: 'stock' | 'damaged' }[];
+    refundMethod?: SaleReturn['refundMethod'];
+    reason: string;
+  }, idempotencyKey?: string): Promise<AxiosResponse<SaleReturn>> =>
+    api.post(`/sales/${id}/returns`, data, withIdempotencyKey(idempotencyKey)),
+
+  /**
+   * Get the returns of a sale
+   * @param id - Sale ID
+   * @returns Promise with the returns
+   */
+  getReturns: (id: string): Promise<AxiosResponse<SaleReturn[]>> =>
+    api.get(`/sales/${id}/returns`),
+
+  /**
+   * Get the printable receipt of a sale (HTML/PDF fallback when the register has no thermal printer)
+   * @param id - Sale ID
+   * @param params - Format (default html) and paper width in mm
+   * @returns Promise with the receipt document
+   */
+  getReceipt: (id: string, params?: { format?: 'html' | 'pdf' | 'escpos'; width?: '58' | '80' }): Promise<AxiosResponse<Blob>> =>
+    api.get(`/sales/${id}/receipt`, { params, responseType: 'blob' }),
+
+  /**
+   * Print the receipt of a sale on the thermal printer of its register
+   * @param id - Sale ID
+   * @param data - Configured printer name and paper width (optional)
+   * @returns Promise with the printer used, the paper width and the bytes sent
+   */
+  printReceipt: (id: string, data: { printer?: string; width?: '58' | '80' } = {}): Promise<AxiosResponse<{ printer: string; width: string; bytes: number }>> =>
+    api.post(`/sales/${id}/receipt/print`, data),
+};
+
+/**
+ * Parked sales service
+ */
+export const parkedSalesService = {
+  /**
+   * Get parked sales from every register
+   * @param params - Status (default parked) and label or customer search
+   * @returns Promise with parked sales, oldest first
+   */
+  getAll: (params?: { status?: ParkedSale['status']; search?: string }): Promise<AxiosResponse<ParkedSale[]>> =>
+    api.get('/parked-sales', { params }),
+
+  /**
+   * Park an in-progress sale, reserving its units
+   * @param data - Label, customer, coupon and lines
+   * @returns Promise with the parked sale
+   */
+  park: (data: ParkedSaleInput): Promise<AxiosResponse<ParkedSale>> =>
+    api.post('/parked-sales', data),
+
+  /**
+   * Update a parked sale; lines sent replace its reservations
+   * @param id - Parked sale ID
+   * @param data - Updated data; expiresInMinutes counts from now
+   * @returns Promise with the updated parked sale
+   */
+  update: (id: string, data: Partial<ParkedSaleInput>): Promise<AxiosResponse<ParkedSale>> =>
+    api.put(`/parked-sales/${id}`, data),
+
+  /**
+   * Cancel a parked sale, releasing its units
+   * @param id - Parked sale ID
+   * @returns Promise with the cancelled parked sale
+   */
+  cancel: (id: string): Promise<AxiosResponse<ParkedSale>> =>
+    api.delete(`/parked-sales/${id}`),
+};
+
+/**
+ * Offline POS service
+ */
+export const offlineSalesService = {
+  /**
+   * Get the catalog to cache for selling without connection
+   * @returns Promise with products, customers and price lists in force
+   */
+  getCatalog: (): Promise<AxiosResponse<OfflineCatalog>> =>
+    api.get('/offline-sales/catalog'),
+
+  /**
+   * Register the sales recorded offline, in the order they were sold
+   * @param sales - Queued sales (up to 50 per batch)
+   * @returns Promise with one result per sale and the batch summary
+   */
+  sync: (sales: OfflineSaleInput[]): Promise<AxiosResponse<{
+    results: OfflineSyncResult[];
+    summary: { synced: number; duplicates: number; conflicts: number; errors: number };
+  }>> =>
+    api.post('/offline-sales/sync', { sales }),
+};
+
+/**
+ * Layaways (plan separe) service
+ */
+export const layawaysService = {
+  /**
+   * Get layaways with their deposits and balance
+   * @param params - Pagination, status, customer and number or customer search
+   * @returns Promise with layaways, soonest to expire first
+   */
+  getAll: (params?: { page?: number; limit?: number; status?: Layaway['status']; customerId?: string; search?: string }): Promise<AxiosResponse<{ layaways: Layaway[]; pagination: Pagination }>> =>
+    api.get('/layaways', { params }),
+
+  /**
+   * Get layaway by ID
+   * @param id - Layaway ID
+   * @returns Promise with the layaway
+   */
+  getById: (id: string): Promise<AxiosResponse<Layaway>> =>
+    api.get(`/layaways/${id}`),
+
+  /**
+   * Open a layaway with its initial deposit, reserving its units
+   * @param data - Customer, lines, initial deposit, term and expiry policy
+   * @param idempotencyKey - Key of this layaway, reused if it is retried
+   * @returns Promise with the layaway
+   */
+  create: (data: {
+    customerId: string;
+    items: { productId: string; quantity: number; unitPrice?: number }[];
+    deposit: LayawayDeposit;
+    termDays?: number;
+    expiryPolicy?: Layaway['expiryPolicy'];
+    notes?: string;
+  }, idempotencyKey?: string): Promise<AxiosResponse<Layaway>> =>
+    api.post('/layaways', data, withIdempotencyKey(idempotencyKey)),
+
+  /**
+   * Register a deposit
+   * @param id - Layaway ID
+   * @param data - Deposit (up to the balance)
+   * @param idempotencyKey - Key of this deposit, reused if it is retried
+   * @returns Promise with the layaway and its new balance
+   */
+  addDeposit: (id: string, data: LayawayDeposit, idempotencyKey?: string): Promise<AxiosResponse<Layaway>> =>
+    api.post(`/layaways/${id}/deposits`, data, withIdempotencyKey(idempotencyKey)),
+
+  /**
+   * Convert a fully paid layaway into a sale with its deposits applied
+   * @param id - Layaway ID
+   * @param data - Resolution branch and customer withholding concept
+   * @returns Promise with the completed layaway and the sale (change: deposits above the amount due)
+   */
+  convert: (id: string, data?: { branch?: string; withholdingConcept?: string }): Promise<AxiosResponse<{ layaway: Layaway; sale: Sale & { change: number } }>> =>
+    api.post(`/layaways/${id}/convert`, data || {}),
+
+  /**
+   * Cancel a layaway; its policy refunds the deposits in cash or forfeits them
+   * @param id - Layaway ID
+   * @param reason - Reason for cancelling
+   * @returns Promise with the closed layaway
+   */
+  cancel: (id: string, reason?: string): Promise<AxiosResponse<Layaway>> =>
+    api.post(`/layaways/${id}/cancel`, { reason }),
+
+  /**
+   * Pay back the deposits of an expired layaway
+   * @param id - Layaway ID
+   * @returns Promise with the refunded layaway
+   */
+  refund: (id: string): Promise<AxiosResponse<Layaway>> =>
+    api.post(`/layaways/${id}/refund`),
+};
+
+/**
+ * Cash register sessions service
+ */
+export const cashSessionsService = {
+  /**
+   * Get the open session of the current cashier
+   * @returns Promise with the session and its summary (session null when closed)
+   */
+  getCurrent: (): Promise<AxiosResponse<{ session: CashSession | null; summary: CashSessionSummary | null }>> =>
+    api.get('/cash-sessions/current'),
+
+  /**
+   * Open a session with a starting float
+   * @param data - Register and opening float
+   * @returns Promise with the opened session
+   */
+  open: (data: { register: string; openingFloat: number; notes?: string }): Promise<AxiosResponse<CashSession>> =>
+    api.post('/cash-sessions/open', data),
+
+  /**
+   * Record a cash in/out movement
+   * @param id - Session ID
+   * @param data - Movement data
+   * @param idempotencyKey - Key of this movement, reused if it is retried
+   * @returns Promise with the created movement
+   */
+  addMovement: (id: string, data: Omit<CashMovement, 'id' | 'createdAt'>, idempotencyKey?: string): Promise<AxiosResponse<CashMovement>> =>
+    api.post(`/cash-sessions/${id}/movements`, data, withIdempotencyKey(idempotencyKey)),
+
+  /**
+   * Close a session with the counted amounts
+   * @param id - Session ID
+   * @param data - Counted amount per payment method
+   * @returns Promise with the closed session and its summary
+   */
+  close: (id: string, data: { counted: Record<string, number>; notes?: string }): Promise<AxiosResponse<{ session: CashSession; summary: CashSessionSummary }>> =>
+    api.post(`/cash-sessions/${id}/close`, data),
+
+  /**
+   * Get the printable X/Z report
+   * @param id - Session ID
+   * @returns Promise with the report PDF
+   */
+  getReportPdf: (id: string): Promise<AxiosResponse<Blob>> =>
+    api.get(`/cash-sessions/${id}/report/pdf`, { responseType: 'blob' }),
+};
+
+/**
+ * Quotations service
+ */
+export const quotationsService = {
+  /**
+   * Get quotations with pagination
+   * @param params - Query parameters (page, limit, status, customerId, userId, search)
+   * @returns Promise with paginated quotations
+   */
+  getAll: (params?: { page?: number; limit?: number; status?: Quotation['status']; customerId?: string; userId?: string; search?: string }): Promise<AxiosResponse<{ quotations: Quotation[]; pagination: Pagination }>> =>
+    api.get('/quotations', { params }),
+
+  /**
+   * Get quotation by ID
+   * @param id - Quotation ID
+   * @returns Promise with the quotation and its stock/price check
+   */
+  getById: (id: string): Promise<AxiosResponse<Quotation & { check: QuotationCheck[] }>> =>
+    api.get(`/quotations/${id}`),
+
+  /**
+   * Create a draft quotation
+   * @param data - Customer, items, validity and terms
+   * @returns Promise with created quotation
+   */
+  create: (data: {
+    customerId?: string;
+    customerName?: string;
+    customerEmail?: string;
+    items: { productId: string; quantity: number; unitPrice?: number }[];
+    validUntil?: string;
+    terms?: string;
+    notes?: string;
+  }): Promise<AxiosResponse<Quotation>> =>
+    api.post('/quotations', data),
+
+  /**
+   * Update a draft or sent quotation
+   * @param id - Quotation ID
+   * @param data - Updated quotation data
+   * @returns Promise with updated quotation
+   */
+  update: (id: string, data: {
+    customerEmail?: string;
+    items?: { productId: string; quantity: number; unitPrice?: number }[];
+    validUntil?: string;
+    terms?: string;
+    notes?: string;
+  }): Promise<AxiosResponse<Quotation>> =>
+    api.put(`/quotations/${id}`, data),
+
+  /**
+   * Mark a quotation as sent, accepted or expired
+   * @param id - Quotation ID
+   * @param status - New status
+   * @returns Promise with updated quotation
+   */
+  updateStatus: (id: string, status: 'sent' | 'accepted' | 'expired'): Promise<AxiosResponse<Quotation>> =>
+    api.put(`/quotations/${id}/status`, { status }),
+
+  /**
+   * Get the printable quotation
+   * @param id - Quotation ID
+   * @returns Promise with the quotation PDF
+   */
+  getPdf: (id: string): Promise<AxiosResponse<Blob>> =>
+    api.get(`/quotations/${id}/pdf`, { responseType: 'blob' }),
+
+  /**
+   * Email the quotation PDF to the customer
+   * @param id - Quotation ID
+   * @param data - Optional address overriding the customer's and message
+   * @returns Promise with the sent quotation
+   */
+  send: (id: string, data?: { email?: string; message?: string }): Promise<AxiosResponse<{ message: string; quotation: Quotation }>> =>
+    api.post(`/quotations/${id}/send`, data || {}),
+
+  /**
+   * Convert a quotation into a sale
+   * @param id - Quotation ID
+   * @param data - Payment method, whether to keep the quoted prices when list prices changed and the supervisor's credit authorization
+   * @returns Promise with the accepted quotation and the created sale
+   */
+  convert: (id: string, data: {
+    paymentMethod: 'cash' | 'card' | 'transfer' | 'credit';
+    acceptPriceChanges?: boolean;
+    creditOverride?: CreditOverride;
+    branch?: string;
+    withholdingConcept?: string;
+  }): Promise<AxiosResponse<{ quotation: Quotation; sale: Sale }>> =>
+    api.post(`/quotations/${id}/convert`, data),
+
+  /**
+   * Delete a draft quotation
+   * @param id - Quotation ID
+   * @returns Promise with deletion response
+   */
+  delete: (id: string): Promise<AxiosResponse<ApiResponse>> =>
+    api.delete(`/quotations/${id}`),
 };
 
 /**
@@ -408,6 +1341,22 @@ export const reportsService = {
    */
   getInventoryReport: (): Promise<AxiosResponse<ApiResponse>> =>
     api.get('/reports/inventory'),
+
+  /**
+   * Get quote-to-sale conversion per seller
+   * @param params - Report parameters (startDate, endDate)
+   * @returns Promise with quotations report data
+   */
+  getQuotationsReport: (params?: { startDate?: string; endDate?: string }): Promise<AxiosResponse<ApiResponse>> =>
+    api.get('/reports/quotations', { params }),
+
+  /**
+   * Get the discount given per promotion
+   * @param params - Report parameters (startDate, endDate)
+   * @returns Promise with promotions report data
+   */
+  getPromotionsReport: (params?: { startDate?: string; endDate?: string }): Promise<AxiosResponse<ApiResponse>> =>
+    api.get('/reports/promotions', { params }),
 };
 
 // ============================================================================
@@ -415,4 +1364,4 @@ export const reportsService = {
 // ============================================================================
 
 export default api;
-export type { Customer, Product, Sale, SaleItem, ApiResponse, Pagination, PaginatedResponse };
+export type { Customer, CreditStatus, CreditOverride, CustomerGroup, PriceList, PriceListItem, ResolvedPrice, Promotion, Product, ProductTax, Sale, SaleItem, SalePayment, SaleReturn, ParkedSale, ParkedSaleInput, Layaway, LayawayDeposit, OfflineCatalog, OfflineSaleInput, OfflineSyncResult, Quotation, QuotationCheck, Withholding, CashSession, CashSessionSummary, CashMovement, ApiResponse, Pagination, PaginatedResponse };
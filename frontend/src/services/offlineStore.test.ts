@@ -0,0 +1,86 @@
+import { describe, expect, it } from '@jest/globals';
+import { resolveOfflinePrice } from './offlineStore';
+import type { Customer, OfflineCatalog, Product } from './api';
+
+const product: Product = {
+  id: 'p1',
+  name: 'Concentrado 40 kg',
+  code: 'CONC-40',
+  price: 100000,
+  stock: 10,
+  unit: 'bulto',
+  isActive: true,
+  createdAt: '2026-01-01T00:00:00Z',
+};
+
+const catalog: OfflineCatalog = {
+  generatedAt: '2026-10-19T15:00:00Z',
+  products: [product],
+  customers: [],
+  priceLists: [
+    {
+      id: 'default',
+      name: 'Precio general',
+      isDefault: true,
+      isActive: true,
+      items: [{ productId: 'p1', minQuantity: 10, price: 95000 }],
+    },
+    {
+      id: 'wholesale',
+      name: 'Mayoristas',
+      isDefault: false,
+      isActive: true,
+      items: [
+        { productId: 'p1', minQuantity: 1, price: 92000 },
+        { productId: 'p1', minQuantity: 20, price: 88000 },
+      ],
+    },
+    {
+      id: 'cooperative',
+      name: 'Cooperativas',
+      isDefault: false,
+      isActive: true,
+      items: [{ productId: 'p2', minQuantity: 1, price: 40000 }],
+    },
+  ],
+};
+
+const customer = (overrides: Partial<Customer> = {}): Customer => ({
+  id: 'customer-1',
+  name: 'Finca La Esperanza',
+  taxId: '12345678',
+  isActive: true,
+  createdAt: '2026-01-01T00:00:00Z',
+  ...overrides,
+});
+
+describe('resolveOfflinePrice', () => {
+  it('uses the product price unless the default list has a break for the quantity', () => {
+    expect(resolveOfflinePrice(catalog, null, product, 9)).toEqual({ price: 100000, priceListName: null });
+    expect(resolveOfflinePrice(catalog, null, product, 10)).toEqual({ price: 95000, priceListName: 'Precio general' });
+  });
+
+  it('takes the highest break of the customer list before the default list', () => {
+    const wholesaler = customer({ priceListId: 'wholesale' });
+
+    expect(resolveOfflinePrice(catalog, wholesaler, product, 5)).toEqual({ price: 92000, priceListName: 'Mayoristas' });
+    expect(resolveOfflinePrice(catalog, wholesaler, product, 25)).toEqual({ price: 88000, priceListName: 'Mayoristas' });
+  });
+
+  it('falls back from the customer list to the group list when it has no price for the product', () => {
+    const member = customer({
+      priceListId: 'cooperative',
+      group: { id: 'group-1', name: 'Mayoristas', priceListId: 'wholesale', isActive: true },
+    });
+
+    expect(resolveOfflinePrice(catalog, member, product, 1)).toEqual({ price: 92000, priceListName: 'Mayoristas' });
+  });
+
+  it('ignores the list of an inactive group and lists no longer in the catalog', () => {
+    const inactive = customer({ group: { id: 'group-1', name: 'Mayoristas', priceListId: 'wholesale', isActive: false } });
+    const expired = customer({ priceListId: 'expired-list' });
+
+    expect(resolveOfflinePrice(catalog, inactive, product, 1)).toEqual({ price: 100000, priceListName: null });
+    expect(resolveOfflinePrice(catalog, expired, product, 10)).toEqual({ price: 95000, priceListName: 'Precio general' });
+  });
+});
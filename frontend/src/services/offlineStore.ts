@@ -0,0 +1,220 @@
+// ============================================================================
+// DEPENDENCIES
+// ============================================================================
+import type { Customer, OfflineCatalog, OfflineSaleInput, OfflineSyncResult, Product } from './api';
+
+// ============================================================================
+// TYPES & INTERFACES
+// ============================================================================
+
+/**
+ * Sale waiting in the local queue until it is synced
+ */
+interface QueuedSale {
+  clientId: string;
+  /** Provisional number shown to the cashier until the server assigns the invoice number */
+  localNumber: string;
+  /** pending until sent; conflict or error until the cashier resolves it */
+  status: 'pending' | 'conflict' | 'error';
+  sale: OfflineSaleInput;
+  conflict?: OfflineSyncResult['conflict'];
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DB_NAME = 'suaza-pos';
+const DB_VERSION = 1;
+const CATALOG_STORE = 'catalog';
+const QUEUE_STORE = 'sales';
+const CATALOG_KEY = 'current';
+
+// ============================================================================
+// INDEXEDDB HELPERS
+// ============================================================================
+
+/**
+ * Opens the POS database, creating its stores on first use
+ */
+const openDatabase = (): Promise<IDBDatabase> =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(CATALOG_STORE)) {
+        db.createObjectStore(CATALOG_STORE);
+      }
+      if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+        db.createObjectStore(QUEUE_STORE, { keyPath: 'clientId' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Runs one request on a store and resolves with its result once the transaction commits
+ */
+const runRequest = async <T>(
+  storeName: string,
+  mode: IDBTransactionMode,
+  operation: (store: IDBObjectStore) => IDBRequest
+): Promise<T> => {
+  const db = await openDatabase();
+  return new Promise<T>((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result as T);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+// ============================================================================
+// CATALOG
+// ============================================================================
+
+/**
+ * Stores the catalog downloaded from the server
+ * @param catalog - Products, customers and price lists
+ */
+export const saveCatalog = (catalog: OfflineCatalog): Promise<void> =>
+  runRequest<void>(CATALOG_STORE, 'readwrite', store => store.put(catalog, CATALOG_KEY));
+
+/**
+ * Gets the cached catalog
+ * @returns The catalog, or null if it was never downloaded
+ */
+export const loadCatalog = async (): Promise<OfflineCatalog | null> =>
+  (await runRequest<OfflineCatalog | undefined>(CATALOG_STORE, 'readonly', store => store.get(CATALOG_KEY))) ?? null;
+
+/**
+ * Deducts the units sold offline from the cached stock so later offline sales see them
+ * @param items - Lines of the queued sale
+ * @returns The updated catalog, or null if there is none
+ */
+export const deductCatalogStock = async (
+  items: { productId: string; quantity: number }[]
+): Promise<OfflineCatalog | null> => {
+  const catalog = await loadCatalog();
+  if (!catalog) {
+    return null;
+  }
+  const updated = {
+    ...catalog,
+    products: catalog.products.map(product => {
+      const sold = items
+        .filter(item => item.productId === product.id)
+        .reduce((sum, item) => sum + item.quantity, 0);
+      return sold
+        ? { ...product, stock: product.stock - sold, available: (product.available ?? product.stock) - sold }
+        : product;
+    }),
+  };
+  await saveCatalog(updated);
+  return updated;
+};
+
+/**
+ * Resolves a product price from the cached price lists, the same way the server does:
+ * the customer's own list, then its group's, then the default lists, and the product
+ * price when none has it. Within a list the highest quantity break reached applies.
+ * @param catalog - Cached catalog
+ * @param customer - Sale customer (null for the general customer)
+ * @param product - Product sold
+ * @param quantity - Line quantity
+ * @returns Unit price and the list that set it
+ */
+export const resolveOfflinePrice = (
+  catalog: OfflineCatalog,
+  customer: Customer | null,
+  product: Product,
+  quantity: number
+): { price: number; priceListName: string | null } => {
+  const byId = (id?: string | null) => (id ? catalog.priceLists.find(list => list.id === id) : undefined);
+  const groupActive = customer?.group && customer.group.isActive !== false;
+  const lists = [
+    byId(customer?.priceListId),
+    groupActive ? byId(customer?.group?.priceListId) : undefined,
+    ...catalog.priceLists.filter(list => list.isDefault),
+  ].filter(Boolean) as OfflineCatalog['priceLists'];
+
+  for (const list of lists) {
+    const tier = (list.items || [])
+      .filter(item => item.productId === product.id && item.minQuantity <= quantity)
+      .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    if (tier) {
+      return { price: Number(tier.price), priceListName: list.name };
+    }
+  }
+  return { price: Number(product.price), priceListName: null };
+};
+
+// ============================================================================
+// SALES QUEUE
+// ============================================================================
+
+/**
+ * Generates the client ID (UUID v4) of an offline sale. crypto.randomUUID only exists
+ * in secure contexts, and a register on the store LAN may be served over plain http.
+ */
+export const generateClientId = (): string => {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Adds a sale made offline to the queue
+ * @param sale - Sale with its client-generated ID
+ * @returns The queued sale
+ */
+export const queueSale = async (sale: OfflineSaleInput): Promise<QueuedSale> => {
+  const queued: QueuedSale = {
+    clientId: sale.clientId,
+    localNumber: `OFF-${sale.clientId.slice(0, 8).toUpperCase()}`,
+    status: 'pending',
+    sale,
+  };
+  await runRequest<IDBValidKey>(QUEUE_STORE, 'readwrite', store => store.put(queued));
+  return queued;
+};
+
+/**
+ * Gets the queued sales, oldest first
+ */
+export const getQueuedSales = async (): Promise<QueuedSale[]> => {
+  const sales = await runRequest<QueuedSale[]>(QUEUE_STORE, 'readonly', store => store.getAll());
+  return sales.sort((a, b) => a.sale.createdAt.localeCompare(b.sale.createdAt));
+};
+
+/**
+ * Replaces a queued sale (status, conflict or the cashier's resolution)
+ * @param queued - Updated queued sale
+ */
+export const updateQueuedSale = (queued: QueuedSale): Promise<IDBValidKey> =>
+  runRequest<IDBValidKey>(QUEUE_STORE, 'readwrite', store => store.put(queued));
+
+/**
+ * Removes a sale from the queue once synced or discarded
+ * @param clientId - Client-generated sale ID
+ */
+export const removeQueuedSale = (clientId: string): Promise<void> =>
+  runRequest<void>(QUEUE_STORE, 'readwrite', store => store.delete(clientId));
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export type { QueuedSale };